@@ -27,9 +27,14 @@ class RangeQuery {
             // Parse range reference (e.g., "A1:D100" or named range)
             const model = this.adapter.model;
 
-            // Check if it's a named range
+            // Check if it's a named range, or the array spilled by a formula (A1#)
             if (model.namedRanges.has(rangeRef)) {
                 this.rangeRef = model.namedRanges.get(rangeRef);
+            } else if (rangeRef.endsWith('#')) {
+                this.rangeRef = model.getSpillRange(rangeRef);
+                if (!this.rangeRef) {
+                    throw new Error(`${rangeRef} does not refer to a formula`);
+                }
             }
 
             // Get the raw cell values as a 2D array
@@ -479,6 +484,207 @@ function CELL(ref) {
     return isNaN(numValue) ? value : numValue;
 }
 
+// Lookup and financial functions live on the adapter so formulas evaluated anywhere share them.
+// getSpreadsheetFunctions() builds every function afresh, so build them once per adapter.
+const adapterFunctions = new WeakMap();
+
+function callAdapterFunction(name, args) {
+    const adapter = getAdapter();
+    let functions = adapterFunctions.get(adapter);
+    if (!functions) {
+        functions = adapter.getSpreadsheetFunctions();
+        adapterFunctions.set(adapter, functions);
+    }
+    return functions[name](...args);
+}
+
+function VLOOKUP(...args) {
+    return callAdapterFunction('VLOOKUP', args);
+}
+
+function HLOOKUP(...args) {
+    return callAdapterFunction('HLOOKUP', args);
+}
+
+function XLOOKUP(...args) {
+    return callAdapterFunction('XLOOKUP', args);
+}
+
+function INDEX(...args) {
+    return callAdapterFunction('INDEX', args);
+}
+
+function MATCH(...args) {
+    return callAdapterFunction('MATCH', args);
+}
+
+function OFFSET(...args) {
+    return callAdapterFunction('OFFSET', args);
+}
+
+// Financial functions
+function PMT(...args) {
+    return callAdapterFunction('PMT', args);
+}
+
+function IPMT(...args) {
+    return callAdapterFunction('IPMT', args);
+}
+
+function PPMT(...args) {
+    return callAdapterFunction('PPMT', args);
+}
+
+function FV(...args) {
+    return callAdapterFunction('FV', args);
+}
+
+function PV(...args) {
+    return callAdapterFunction('PV', args);
+}
+
+function RATE(...args) {
+    return callAdapterFunction('RATE', args);
+}
+
+function NPER(...args) {
+    return callAdapterFunction('NPER', args);
+}
+
+function NPV(...args) {
+    return callAdapterFunction('NPV', args);
+}
+
+function IRR(...args) {
+    return callAdapterFunction('IRR', args);
+}
+
+function XNPV(...args) {
+    return callAdapterFunction('XNPV', args);
+}
+
+function XIRR(...args) {
+    return callAdapterFunction('XIRR', args);
+}
+
+function MIRR(...args) {
+    return callAdapterFunction('MIRR', args);
+}
+
+function SLN(...args) {
+    return callAdapterFunction('SLN', args);
+}
+
+function DDB(...args) {
+    return callAdapterFunction('DDB', args);
+}
+
+// Statistics functions
+function CORREL(...args) {
+    return callAdapterFunction('CORREL', args);
+}
+
+function COVARIANCE_P(...args) {
+    return callAdapterFunction('COVARIANCE_P', args);
+}
+
+function COVARIANCE_S(...args) {
+    return callAdapterFunction('COVARIANCE_S', args);
+}
+
+function PERCENTILE(...args) {
+    return callAdapterFunction('PERCENTILE', args);
+}
+
+function QUARTILE(...args) {
+    return callAdapterFunction('QUARTILE', args);
+}
+
+function RANK(...args) {
+    return callAdapterFunction('RANK', args);
+}
+
+function MODE(...args) {
+    return callAdapterFunction('MODE', args);
+}
+
+function SKEW(...args) {
+    return callAdapterFunction('SKEW', args);
+}
+
+function KURT(...args) {
+    return callAdapterFunction('KURT', args);
+}
+
+function SLOPE(...args) {
+    return callAdapterFunction('SLOPE', args);
+}
+
+function INTERCEPT(...args) {
+    return callAdapterFunction('INTERCEPT', args);
+}
+
+function RSQ(...args) {
+    return callAdapterFunction('RSQ', args);
+}
+
+function FORECAST_LINEAR(...args) {
+    return callAdapterFunction('FORECAST_LINEAR', args);
+}
+
+function TREND(...args) {
+    return callAdapterFunction('TREND', args);
+}
+
+function GROWTH(...args) {
+    return callAdapterFunction('GROWTH', args);
+}
+
+// Dynamic array functions
+function FILTER(...args) {
+    return callAdapterFunction('FILTER', args);
+}
+
+function SORT(...args) {
+    return callAdapterFunction('SORT', args);
+}
+
+function SORTBY(...args) {
+    return callAdapterFunction('SORTBY', args);
+}
+
+function UNIQUE(...args) {
+    return callAdapterFunction('UNIQUE', args);
+}
+
+function SEQUENCE(...args) {
+    return callAdapterFunction('SEQUENCE', args);
+}
+
+function TRANSPOSE(...args) {
+    return callAdapterFunction('TRANSPOSE', args);
+}
+
+function MMULT(...args) {
+    return callAdapterFunction('MMULT', args);
+}
+
+function MINVERSE(...args) {
+    return callAdapterFunction('MINVERSE', args);
+}
+
+function MDETERM(...args) {
+    return callAdapterFunction('MDETERM', args);
+}
+
+function VSTACK(...args) {
+    return callAdapterFunction('VSTACK', args);
+}
+
+function HSTACK(...args) {
+    return callAdapterFunction('HSTACK', args);
+}
+
 // MEDIAN value in range
 function MEDIAN_RANGE(rangeRef) {
     const adapter = getAdapter();
@@ -638,7 +844,7 @@ function COUNTIF_RANGE(rangeRef, condition) {
 function SPREADSHEET_FUNCTIONS_META() {
     return {
         name: 'spreadsheet-functions',
-        version: '2.1.0',
+        version: '2.5.0',
         type: 'functions',
         description: 'Comprehensive spreadsheet range functions for RexxJS - Excel-like statistical and conditional functions with query chaining support',
         functions: [
@@ -656,7 +862,53 @@ function SPREADSHEET_FUNCTIONS_META() {
             'VARP_RANGE',
             'SUMIF_RANGE',
             'COUNTIF_RANGE',
-            'CELL'
+            'CELL',
+            'VLOOKUP',
+            'HLOOKUP',
+            'XLOOKUP',
+            'INDEX',
+            'MATCH',
+            'OFFSET',
+            'PMT',
+            'IPMT',
+            'PPMT',
+            'FV',
+            'PV',
+            'RATE',
+            'NPER',
+            'NPV',
+            'IRR',
+            'XNPV',
+            'XIRR',
+            'MIRR',
+            'SLN',
+            'DDB',
+            'CORREL',
+            'COVARIANCE_P',
+            'COVARIANCE_S',
+            'PERCENTILE',
+            'QUARTILE',
+            'RANK',
+            'MODE',
+            'SKEW',
+            'KURT',
+            'SLOPE',
+            'INTERCEPT',
+            'RSQ',
+            'FORECAST_LINEAR',
+            'TREND',
+            'GROWTH',
+            'FILTER',
+            'SORT',
+            'SORTBY',
+            'UNIQUE',
+            'SEQUENCE',
+            'TRANSPOSE',
+            'MMULT',
+            'MINVERSE',
+            'MDETERM',
+            'VSTACK',
+            'HSTACK'
         ],
         classes: [
             'RangeQuery'
@@ -693,6 +945,54 @@ if (typeof module !== 'undefined' && module.exports) {
         SUMIF_RANGE,
         COUNTIF_RANGE,
         CELL,
+        // Lookup functions
+        VLOOKUP,
+        HLOOKUP,
+        XLOOKUP,
+        INDEX,
+        MATCH,
+        OFFSET,
+        // Financial functions
+        PMT,
+        IPMT,
+        PPMT,
+        FV,
+        PV,
+        RATE,
+        NPER,
+        NPV,
+        IRR,
+        XNPV,
+        XIRR,
+        MIRR,
+        SLN,
+        DDB,
+        CORREL,
+        COVARIANCE_P,
+        COVARIANCE_S,
+        PERCENTILE,
+        QUARTILE,
+        RANK,
+        MODE,
+        SKEW,
+        KURT,
+        SLOPE,
+        INTERCEPT,
+        RSQ,
+        FORECAST_LINEAR,
+        TREND,
+        GROWTH,
+        FILTER,
+        SORT,
+        SORTBY,
+        UNIQUE,
+        SEQUENCE,
+        TRANSPOSE,
+        MMULT,
+        MINVERSE,
+        MDETERM,
+        VSTACK,
+        HSTACK,
         SPREADSHEET_FUNCTIONS_META
     };
 }
@@ -725,5 +1025,53 @@ if (typeof window !== 'undefined') {
     window.SUMIF_RANGE = SUMIF_RANGE;
     window.COUNTIF_RANGE = COUNTIF_RANGE;
     window.CELL = CELL;
+    // Lookup functions
+    window.VLOOKUP = VLOOKUP;
+    window.HLOOKUP = HLOOKUP;
+    window.XLOOKUP = XLOOKUP;
+    window.INDEX = INDEX;
+    window.MATCH = MATCH;
+    window.OFFSET = OFFSET;
+    // Financial functions
+    window.PMT = PMT;
+    window.IPMT = IPMT;
+    window.PPMT = PPMT;
+    window.FV = FV;
+    window.PV = PV;
+    window.RATE = RATE;
+    window.NPER = NPER;
+    window.NPV = NPV;
+    window.IRR = IRR;
+    window.XNPV = XNPV;
+    window.XIRR = XIRR;
+    window.MIRR = MIRR;
+    window.SLN = SLN;
+    window.DDB = DDB;
+    window.CORREL = CORREL;
+    window.COVARIANCE_P = COVARIANCE_P;
+    window.COVARIANCE_S = COVARIANCE_S;
+    window.PERCENTILE = PERCENTILE;
+    window.QUARTILE = QUARTILE;
+    window.RANK = RANK;
+    window.MODE = MODE;
+    window.SKEW = SKEW;
+    window.KURT = KURT;
+    window.SLOPE = SLOPE;
+    window.INTERCEPT = INTERCEPT;
+    window.RSQ = RSQ;
+    window.FORECAST_LINEAR = FORECAST_LINEAR;
+    window.TREND = TREND;
+    window.GROWTH = GROWTH;
+    window.FILTER = FILTER;
+    window.SORT = SORT;
+    window.SORTBY = SORTBY;
+    window.UNIQUE = UNIQUE;
+    window.SEQUENCE = SEQUENCE;
+    window.TRANSPOSE = TRANSPOSE;
+    window.MMULT = MMULT;
+    window.MINVERSE = MINVERSE;
+    window.MDETERM = MDETERM;
+    window.VSTACK = VSTACK;
+    window.HSTACK = HSTACK;
     window.SPREADSHEET_FUNCTIONS_META = SPREADSHEET_FUNCTIONS_META;
 }
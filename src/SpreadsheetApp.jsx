@@ -5,13 +5,27 @@
  * - Cell: Individual spreadsheet cell
  * - Grid: Spreadsheet grid
  * - FormulaBar: Formula/value editor
+ * - HistoryPanel: Undo history with jump-to
+ * - FunctionPanel: Function browser (user-defined functions and built-in commands)
+ * - WhatIfModal: Goal Seek and Solver dialog
+ * - ConditionalFormatModal: Conditional formatting rules dialog
  * - App: Main application with state management
  */
 
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { listen } from '@tauri-apps/api/event';
-import { createSpreadsheetControlFunctions } from './spreadsheet-control-functions';
+import { createSpreadsheetControlFunctions, functionMetadata } from './spreadsheet-control-functions';
 import SpreadsheetModel from './spreadsheet-model.js';
+import { parseConstraint } from './spreadsheet-solver.js';
+import { CONDITIONAL_FORMAT_TYPES, ICON_SETS, parseConditionCriteria } from './spreadsheet-conditional-format.js';
+import {
+    parseFormatString,
+    mergeStyles,
+    toggleStyle,
+    styleToCSS,
+    styleToValueCSS,
+    formatNumberWithColor
+} from './spreadsheet-cell-style.js';
 
 /**
  * Helper function to check if a value is a base64 image data URI
@@ -25,7 +39,7 @@ function isBase64Image(value) {
 /**
  * Cell Component
  */
-function Cell({ cellRef, cell, isSelected, isInSelection, onSelect, onEdit, onStartEdit, viewMode, onMouseDown, onMouseEnter, onContextMenu, onChartClick, bufferedKeysRef, isTransitioningRef, width, height }) {
+function Cell({ cellRef, cell, cellStyle = {}, border = {}, conditionalStyle, visuals, isSelected, isInSelection, onSelect, onEdit, onStartEdit, viewMode, onMouseDown, onMouseEnter, onContextMenu, onChartClick, bufferedKeysRef, isTransitioningRef, width, height }) {
     const inputRef = useRef(null);
     const [isEditing, setIsEditing] = useState(false);
     const [editValue, setEditValue] = useState('');
@@ -102,6 +116,7 @@ function Cell({ cellRef, cell, isSelected, isInSelection, onSelect, onEdit, onSt
 
     // Determine what to display based on view mode
     let displayValue = '';
+    let numberColor = null;
     let showCell = true;
 
     if (viewMode === 'values') {
@@ -116,9 +131,11 @@ function Cell({ cellRef, cell, isSelected, isInSelection, onSelect, onEdit, onSt
     } else {
         // Normal mode - show value with number formatting if applicable
         displayValue = cell.error ? cell.value : (cell.value || '');
-        // Apply number formatting if present
-        if (!cell.error && cell.format) {
-            displayValue = applyNumberFormat(displayValue, cell.format);
+        // Apply number formatting if present; format codes may also colour the value
+        if (!cell.error && cellStyle.numberFormat) {
+            const formatted = formatNumberWithColor(displayValue, cellStyle.numberFormat);
+            displayValue = formatted.text;
+            numberColor = formatted.color;
         }
     }
 
@@ -127,13 +144,16 @@ function Cell({ cellRef, cell, isSelected, isInSelection, onSelect, onEdit, onSt
     const hasFormat = !!cell.format;
     const hasComment = !!cell.comment;
     const hasChart = !!cell.chartScript;
+    const isSpilled = !!cell.spilledFrom;
 
     // Build title attribute
     let title = '';
     if (cell.error) {
-        title = cell.error;
+        title = cell.errorType ? `${cell.errorType} ${cell.error}` : cell.error;
     } else if (cell.expression) {
         title = '=' + cell.expression;
+    } else if (isSpilled) {
+        title = `Spilled from ${cell.spilledFrom}`;
     }
     if (cell.comment) {
         title += (title ? '\n' : '') + '💬 ' + cell.comment;
@@ -145,8 +165,23 @@ function Cell({ cellRef, cell, isSelected, isInSelection, onSelect, onEdit, onSt
         title += (title ? '\n' : '') + '📊 Chart (Click to view)';
     }
 
-    // Apply formatting styles
-    const formatStyles = cell.format ? parseFormatToCSS(cell.format) : {};
+    // Apply formatting styles; conditional formats override the cell's own
+    // Borders come from the model, which draws a merged block's border around the whole block
+    const formatStyles = styleToCSS(mergeStyles(
+        { ...cellStyle, border },
+        numberColor && { font: { color: numberColor } },
+        parseFormatString(conditionalStyle, { strict: false })
+    ));
+
+    // Data bars are drawn as a gradient behind the value
+    const dataBar = visuals?.dataBar;
+    if (dataBar) {
+        formatStyles.backgroundImage = `linear-gradient(to right, ${dataBar.color}, ${dataBar.color}33)`;
+        formatStyles.backgroundSize = `${Math.round(dataBar.fraction * 100)}% 70%`;
+        formatStyles.backgroundRepeat = 'no-repeat';
+        formatStyles.backgroundPosition = 'left center';
+    }
+    const icon = visuals?.icon;
 
     // Add text wrapping styles if enabled
     if (cell.wrapText) {
@@ -172,11 +207,11 @@ function Cell({ cellRef, cell, isSelected, isInSelection, onSelect, onEdit, onSt
 
     return (
         <div
-            className={`cell ${isSelected ? 'selected' : ''} ${isInSelection ? 'in-selection' : ''} ${hasError ? 'error' : ''} ${hasFormula ? 'formula' : ''} ${hasFormat ? 'formatted' : ''} ${hasComment ? 'commented' : ''} ${hasChart ? 'has-chart' : ''} ${hasWrap ? 'wrapped' : ''} ${isImage ? 'has-image' : ''} ${viewMode !== 'normal' ? 'view-mode-' + viewMode : ''}`}
+            className={`cell ${isSelected ? 'selected' : ''} ${isInSelection ? 'in-selection' : ''} ${hasError ? 'error' : ''} ${hasFormula ? 'formula' : ''} ${hasFormat ? 'formatted' : ''} ${hasComment ? 'commented' : ''} ${hasChart ? 'has-chart' : ''} ${isSpilled ? 'spilled' : ''} ${hasWrap ? 'wrapped' : ''} ${isImage ? 'has-image' : ''} ${icon ? 'has-icon' : ''} ${viewMode !== 'normal' ? 'view-mode-' + viewMode : ''}`}
             onClick={handleCellClick}
             onDoubleClick={handleDoubleClick}
-            onMouseDown={onMouseDown}
-            onMouseEnter={onMouseEnter}
+            onMouseDown={() => onMouseDown(cellRef)}
+            onMouseEnter={() => onMouseEnter(cellRef)}
             onContextMenu={onContextMenu ? (e) => onContextMenu(e, cellRef) : undefined}
             title={title}
             style={formatStyles}
@@ -206,7 +241,12 @@ function Cell({ cellRef, cell, isSelected, isInSelection, onSelect, onEdit, onSt
                             }}
                         />
                     ) : (
-                        <span className="cell-value">{displayValue}</span>
+                        <>
+                            {icon && <span className="cell-icon" style={{ color: icon.color }}>{icon.symbol}</span>}
+                            {(!icon || visuals.showValue) && (
+                                <span className="cell-value" style={styleToValueCSS(cellStyle)}>{displayValue}</span>
+                            )}
+                        </>
                     )
                 )
             )}
@@ -214,6 +254,25 @@ function Cell({ cellRef, cell, isSelected, isInSelection, onSelect, onEdit, onSt
     );
 }
 
+/**
+ * Cell props that do not come from the model. A cell re-renders when one of
+ * them changes, when the whole grid is refreshed (updateCounter) or when the
+ * model reports a change to that cell (changedCells); otherwise it skips work.
+ */
+const CELL_VIEW_PROPS = [
+    'cellRef', 'isSelected', 'isInSelection', 'viewMode', 'width', 'height',
+    'onSelect', 'onEdit', 'onStartEdit', 'onMouseDown', 'onMouseEnter', 'onContextMenu', 'onChartClick',
+    'bufferedKeysRef', 'isTransitioningRef'
+];
+
+function sameCellView(prev, next) {
+    if (prev.updateCounter !== next.updateCounter) return false;
+    if (prev.changedCells !== next.changedCells && next.changedCells.has(next.cellRef)) return false;
+    return CELL_VIEW_PROPS.every(key => prev[key] === next[key]);
+}
+
+const GridCell = React.memo(Cell, sameCellView);
+
 /**
  * Column Header Component
  */
@@ -321,7 +380,7 @@ function RowHeader({ row, model, onResize }) {
 /**
  * Grid Component
  */
-function Grid({ model, selectedCell, selectionRange, onSelectCell, onEditCell, onStartCellEdit, visibleRows, visibleCols, viewMode, onSelectionStart, onSelectionMove, onSelectionEnd, onContextMenu, onChartClick, bufferedKeysRef, isTransitioningRef, onResize }) {
+function Grid({ model, updateCounter, changedCells, selectedCell, selectionRange, onSelectCell, onEditCell, onStartCellEdit, visibleRows, visibleCols, viewMode, onSelectionStart, onSelectionMove, onSelectionEnd, onContextMenu, onChartClick, bufferedKeysRef, isTransitioningRef, onResize }) {
     const rows = [];
 
     // Header row with column letters
@@ -357,18 +416,24 @@ function Grid({ model, selectedCell, selectionRange, onSelectCell, onEditCell, o
             const isInSelection = selectionRange && isCellInRange(cellRef, selectionRange);
 
             cells.push(
-                <Cell
+                <GridCell
                     key={`${cellRef}-${cell.value}-${cell.expression}`}
+                    updateCounter={updateCounter}
+                    changedCells={changedCells}
                     cellRef={cellRef}
                     cell={cell}
+                    cellStyle={model.getCellStyle(cellRef)}
+                    border={model.getCellBorder(cellRef)}
+                    conditionalStyle={model.getConditionalStyle(cellRef)}
+                    visuals={model.getConditionalVisuals(cellRef)}
                     isSelected={isSelected}
                     isInSelection={isInSelection}
                     onSelect={onSelectCell}
                     onEdit={onEditCell}
                     onStartEdit={onStartCellEdit}
                     viewMode={viewMode}
-                    onMouseDown={() => onSelectionStart(cellRef)}
-                    onMouseEnter={() => onSelectionMove(cellRef)}
+                    onMouseDown={onSelectionStart}
+                    onMouseEnter={onSelectionMove}
                     onContextMenu={onContextMenu}
                     onChartClick={onChartClick}
                     bufferedKeysRef={bufferedKeysRef}
@@ -406,6 +471,16 @@ function isCellInRange(cellRef, range) {
     return col >= minCol && col <= maxCol && row >= minRow && row <= maxRow;
 }
 
+/**
+ * Format a selection range as "A1:C5" (top-left to bottom-right)
+ */
+function formatSelectionRange(range) {
+    const { startCol, startRow, endCol, endRow } = range;
+    const topLeft = SpreadsheetModel.formatCellRef(Math.min(startCol, endCol), Math.min(startRow, endRow));
+    const bottomRight = SpreadsheetModel.formatCellRef(Math.max(startCol, endCol), Math.max(startRow, endRow));
+    return `${topLeft}:${bottomRight}`;
+}
+
 /**
  * Parse cell reference like "A1" to {col: 1, row: 1}
  */
@@ -425,100 +500,6 @@ function parseCellRef(ref) {
     return { col, row };
 }
 
-/**
- * Parse format string to CSS styles
- * Format string: "bold;italic;color:red;background:yellow;align:center;number:0.00"
- */
-function parseFormatToCSS(formatString) {
-    if (!formatString) return {};
-
-    const styles = {};
-    const parts = formatString.split(';').filter(p => p.trim());
-
-    for (const part of parts) {
-        const trimmed = part.trim();
-        if (trimmed === 'bold') {
-            styles.fontWeight = 'bold';
-        } else if (trimmed === 'italic') {
-            styles.fontStyle = 'italic';
-        } else if (trimmed === 'underline') {
-            styles.textDecoration = 'underline';
-        } else if (trimmed.startsWith('color:')) {
-            styles.color = trimmed.substring(6);
-        } else if (trimmed.startsWith('background:')) {
-            styles.backgroundColor = trimmed.substring(11);
-        } else if (trimmed.startsWith('font-size:')) {
-            styles.fontSize = trimmed.substring(10);
-        } else if (trimmed.startsWith('align:')) {
-            const alignment = trimmed.substring(6);
-            styles.textAlign = alignment; // left, center, right, justify
-        }
-        // Note: number formatting is handled in display logic, not CSS
-    }
-
-    return styles;
-}
-
-/**
- * Apply number formatting to a value
- * Format examples: "number:0", "number:0.00", "currency:USD", "percent:0.0%"
- */
-function applyNumberFormat(value, formatString) {
-    if (!formatString || value === '' || value === null || value === undefined) {
-        return value;
-    }
-
-    // Extract number format from format string
-    const parts = formatString.split(';').filter(p => p.trim());
-    let numberFormat = null;
-
-    for (const part of parts) {
-        const trimmed = part.trim();
-        if (trimmed.startsWith('number:') || trimmed.startsWith('currency:') || trimmed.startsWith('percent:')) {
-            numberFormat = trimmed;
-            break;
-        }
-    }
-
-    if (!numberFormat) {
-        return value;
-    }
-
-    // Try to parse as number
-    const numValue = typeof value === 'number' ? value : parseFloat(value);
-    if (isNaN(numValue)) {
-        return value; // Not a number, return as-is
-    }
-
-    if (numberFormat.startsWith('number:')) {
-        // Extract decimal places from format like "number:0.00"
-        const formatPattern = numberFormat.substring(7);
-        const decimalMatch = formatPattern.match(/0\.(\d+)/);
-        const decimalPlaces = decimalMatch ? decimalMatch[1].length : 0;
-        return numValue.toFixed(decimalPlaces);
-    } else if (numberFormat.startsWith('currency:')) {
-        // Extract currency code from format like "currency:USD"
-        const currencyCode = numberFormat.substring(9);
-        try {
-            return new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: currencyCode || 'USD'
-            }).format(numValue);
-        } catch (e) {
-            // Fallback if currency code invalid
-            return '$' + numValue.toFixed(2);
-        }
-    } else if (numberFormat.startsWith('percent:')) {
-        // Extract decimal places from format like "percent:0.0%"
-        const formatPattern = numberFormat.substring(8);
-        const decimalMatch = formatPattern.match(/0\.(\d+)/);
-        const decimalPlaces = decimalMatch ? decimalMatch[1].length : 0;
-        return (numValue * 100).toFixed(decimalPlaces) + '%';
-    }
-
-    return value;
-}
-
 /**
  * Formula Bar Component
  */
@@ -564,10 +545,25 @@ function FormulaBar({ selectedCell, model, onEdit }) {
     );
 }
 
+// Border presets for the selection (specs as for SETBORDER); `ribbon` marks those on the ribbon
+const BORDER_MENU_PRESETS = [
+    { label: 'All Borders', spec: 'all', ribbon: '⊞ All' },
+    { label: 'Outside Borders', spec: 'outline', ribbon: '□ Outline' },
+    { label: 'Thick Outside Borders', spec: 'outline thick' },
+    { label: 'Inside Borders', spec: 'inside' },
+    { label: 'Top Border', spec: 'top' },
+    { label: 'Bottom Border', spec: 'bottom' },
+    { label: 'Bottom Double Border', spec: 'bottom double', ribbon: '‗ Bottom Double' },
+    { label: 'Left Border', spec: 'left' },
+    { label: 'Right Border', spec: 'right' },
+    { label: 'Dashed Outside Borders', spec: 'outline dashed' },
+    { label: 'No Border', spec: 'none', ribbon: 'No Border' }
+];
+
 /**
- * Ribbon Component - Toolbar with column/row operations
+ * Ribbon Component - Toolbar with column/row, sort and border operations
  */
-function Ribbon({ model, selectedCell, onUpdate }) {
+function Ribbon({ model, selectedCell, onUpdate, onBorder }) {
     const [showColumnPicker, setShowColumnPicker] = useState(false);
     const [showSortDialog, setShowSortDialog] = useState(false);
 
@@ -640,6 +636,20 @@ function Ribbon({ model, selectedCell, onUpdate }) {
                     Sort Z→A
                 </button>
             </div>
+            <div className="ribbon-group">
+                <span className="ribbon-label">Borders:</span>
+                {BORDER_MENU_PRESETS.filter(preset => preset.ribbon).map(preset => (
+                    <button
+                        key={preset.spec}
+                        className="ribbon-button"
+                        onClick={() => onBorder(preset.spec)}
+                        disabled={!selectedCell}
+                        title={preset.label}
+                    >
+                        {preset.ribbon}
+                    </button>
+                ))}
+            </div>
         </div>
     );
 }
@@ -681,11 +691,9 @@ function InfoPanel({ selectedCell, selectionRange, model, viewMode }) {
     const valueType = typeof cell.value === 'number' ? 'Number' :
                       cell.value ? 'String' : 'Empty';
 
-    // Get dependents
-    const dependents = [];
-    if (model.dependents.has(selectedCell)) {
-        dependents.push(...model.dependents.get(selectedCell));
-    }
+    // Get dependents (including formulas that reference this cell through a range)
+    const dependents = model.getDependents(selectedCell);
+    const spillRange = cell.expression ? model.getSpillRange(selectedCell) : null;
 
     // Show selection info if present
     let selectionInfo = null;
@@ -722,12 +730,25 @@ function InfoPanel({ selectedCell, selectionRange, model, viewMode }) {
                     <code className="formula-display">={cell.expression}</code></p>
                 )}
 
+                {spillRange && spillRange !== `${selectedCell}:${selectedCell}` && (
+                    <p><strong>Spill Range:</strong> {spillRange} <em>(refer to it as {selectedCell}#)</em></p>
+                )}
+
+                {cell.spilledFrom && (
+                    <p><strong>Spilled From:</strong> {cell.spilledFrom}</p>
+                )}
+
                 <p><strong>Value:</strong> {cell.value || <em>(empty)</em>}</p>
 
                 <p><strong>Value Type:</strong> {valueType}</p>
 
                 {cell.error && (
-                    <p className="error-display"><strong>Error:</strong> {cell.error}</p>
+                    <div className="error-display">
+                        {cell.errorType && (
+                            <p><strong>Error Type:</strong> <code>{cell.errorType}</code></p>
+                        )}
+                        <p><strong>Error:</strong> {cell.error}</p>
+                    </div>
                 )}
             </div>
 
@@ -738,6 +759,13 @@ function InfoPanel({ selectedCell, selectionRange, model, viewMode }) {
                 </div>
             )}
 
+            {cell.rangeDependencies && cell.rangeDependencies.length > 0 && (
+                <div className="cell-detail-section">
+                    <p><strong>Range Dependencies:</strong></p>
+                    <p className="dependency-list">{cell.rangeDependencies.join(', ')}</p>
+                </div>
+            )}
+
             {dependents.length > 0 && (
                 <div className="cell-detail-section">
                     <p><strong>Used By:</strong></p>
@@ -766,10 +794,135 @@ function InfoPanel({ selectedCell, selectionRange, model, viewMode }) {
     );
 }
 
+/**
+ * History Panel Component - Lists undo steps; clicking one jumps to that point
+ */
+function HistoryPanel({ model, onJump, onClose }) {
+    const entries = model ? model.getHistory() : [];
+    const dropped = model ? model.getDroppedHistoryCount() : 0;
+    const current = entries.filter(entry => !entry.undone).length;
+
+    const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString();
+
+    return (
+        <div className="info-panel history-panel">
+            <h3>
+                History
+                <button className="history-close" onClick={onClose} title="Close history">×</button>
+            </h3>
+            <div className="history-actions">
+                <button className="ribbon-button" onClick={() => onJump(current - 1)} disabled={current === 0}>
+                    ↶ Undo
+                </button>
+                <button className="ribbon-button" onClick={() => onJump(current + 1)} disabled={current === entries.length}>
+                    ↷ Redo
+                </button>
+            </div>
+            <ol className="history-list">
+                <li
+                    className={`history-entry${current === 0 ? ' current' : ''}`}
+                    onClick={() => onJump(0)}
+                >
+                    <span className="history-action"><em>Start</em></span>
+                </li>
+                {entries.map(entry => (
+                    <li
+                        key={entry.index}
+                        className={`history-entry${entry.undone ? ' undone' : ''}${entry.index === current ? ' current' : ''}`}
+                        onClick={() => onJump(entry.index)}
+                        title={entry.undone ? 'Click to redo up to here' : 'Click to undo back to here'}
+                    >
+                        <span className="history-action">{entry.action}</span>
+                        <span className="history-time">{formatTime(entry.timestamp)}</span>
+                    </li>
+                ))}
+            </ol>
+            {entries.length === 0 && (
+                <p className="no-selection">No changes yet</p>
+            )}
+            {dropped > 0 && (
+                <p className="no-selection">
+                    {dropped} older change{dropped === 1 ? '' : 's'} dropped (the last {model.maxHistorySize} are kept)
+                </p>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Function Panel Component - browse functions declared with DEFINE_FUNCTION
+ * in the setup script, then the built-in commands
+ */
+function FunctionPanel({ adapter, onClose }) {
+    const [search, setSearch] = useState('');
+    const wanted = search.trim().toLowerCase();
+    const matches = (name, description) => !wanted
+        || name.toLowerCase().includes(wanted)
+        || (description || '').toLowerCase().includes(wanted);
+
+    const userFunctions = (adapter ? adapter.getUserFunctions() : [])
+        .filter(definition => matches(definition.name, definition.description));
+    const builtins = Object.values(functionMetadata)
+        .filter(meta => matches(meta.name, meta.description));
+
+    return (
+        <div className="info-panel function-panel">
+            <h3>
+                Functions
+                <button className="history-close" onClick={onClose} title="Close function browser">×</button>
+            </h3>
+            <input
+                type="text"
+                className="function-search"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search functions"
+            />
+
+            <h4>Defined in Setup</h4>
+            {userFunctions.length === 0 && (
+                <p className="no-selection">
+                    {wanted ? 'No matches' : 'None yet. Use DEFINE_FUNCTION in the setup script.'}
+                </p>
+            )}
+            <ul className="function-list">
+                {userFunctions.map(definition => (
+                    <li key={definition.name} className="function-entry user-defined">
+                        <code className="function-signature">{definition.signature}</code>
+                        {definition.description && <p>{definition.description}</p>}
+                        {definition.params.length > 0 && (
+                            <ul className="function-params">
+                                {definition.params.map(param => (
+                                    <li key={param.name}>
+                                        <code>{param.name}</code>
+                                        {param.description && ` - ${param.description}`}
+                                        {'default' in param && ` (default ${param.default})`}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                        <code className="function-body">= {definition.body}</code>
+                    </li>
+                ))}
+            </ul>
+
+            <h4>Built-in Commands</h4>
+            <ul className="function-list">
+                {builtins.map(meta => (
+                    <li key={meta.name} className="function-entry">
+                        <code className="function-signature">{meta.name}({meta.params.join(', ')})</code>
+                        <p>{meta.description}</p>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
 /**
  * Context Menu Component
  */
-function ContextMenu({ x, y, cellRef, cell, onClose, onFormat, onCut, onCopy, onPaste, onPasteValues, onInsertRow, onDeleteRow, onInsertColumn, onDeleteColumn, onEditChart, onCreateChart, onToggleWrap, onMoveColumnLeft, onMoveColumnRight, onApplyFilter, onClearFilter, model }) {
+function ContextMenu({ x, y, cellRef, cell, onClose, onFormat, onBorder, onCut, onCopy, onPaste, onPasteValues, onPasteFormats, onInsertRow, onDeleteRow, onInsertColumn, onDeleteColumn, onEditChart, onCreateChart, onToggleWrap, onMoveColumnLeft, onMoveColumnRight, onApplyFilter, onClearFilter, model }) {
     const menuRef = useRef(null);
 
     useEffect(() => {
@@ -785,6 +938,7 @@ function ContextMenu({ x, y, cellRef, cell, onClose, onFormat, onCut, onCopy, on
 
     const [formatMenuOpen, setFormatMenuOpen] = useState(false);
     const [alignMenuOpen, setAlignMenuOpen] = useState(false);
+    const [borderMenuOpen, setBorderMenuOpen] = useState(false);
     const [numberFormatMenuOpen, setNumberFormatMenuOpen] = useState(false);
     const [rowMenuOpen, setRowMenuOpen] = useState(false);
     const [columnMenuOpen, setColumnMenuOpen] = useState(false);
@@ -814,6 +968,9 @@ function ContextMenu({ x, y, cellRef, cell, onClose, onFormat, onCut, onCopy, on
             <div className="context-menu-item" onClick={() => onPasteValues()}>
                 <span>📝 Paste Values Only</span>
             </div>
+            <div className="context-menu-item" onClick={() => onPasteFormats()}>
+                <span>🖌️ Paste Formats Only</span>
+            </div>
             <div className="context-menu-separator"></div>
             <div className="context-menu-item" onClick={() => { onCreateChart(); onClose(); }}>
                 <span>📊 Create Chart...</span>
@@ -999,6 +1156,23 @@ function ContextMenu({ x, y, cellRef, cell, onClose, onFormat, onCut, onCopy, on
                     </div>
                 )}
             </div>
+            <div
+                className="context-menu-item context-menu-submenu"
+                onMouseEnter={() => setBorderMenuOpen(true)}
+                onMouseLeave={() => setBorderMenuOpen(false)}
+            >
+                <span>🔲 Borders</span>
+                <span className="submenu-arrow">▶</span>
+                {borderMenuOpen && (
+                    <div className="context-submenu">
+                        {BORDER_MENU_PRESETS.map(preset => (
+                            <div key={preset.spec} className="context-menu-item" onClick={() => { onBorder(preset.spec); onClose(); }}>
+                                <span>{preset.label}</span>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
             <div className="context-menu-item" onClick={() => { onToggleWrap(); onClose(); }}>
                 <span>{cell?.wrapText ? '⬜ Unwrap Text' : '↩️ Wrap Text'}</span>
             </div>
@@ -1023,6 +1197,40 @@ function ContextMenu({ x, y, cellRef, cell, onClose, onFormat, onCut, onCopy, on
                         <div className="context-menu-item" onClick={() => handleFormatClick('number:0.000')}>
                             <span>3 Decimals (0.000)</span>
                         </div>
+                        <div className="context-menu-item" onClick={() => handleFormatClick('number:#,##0.00')}>
+                            <span>Thousands (#,##0.00)</span>
+                        </div>
+                        <div className="context-menu-item" onClick={() => handleFormatClick('number:{#,##0.00;[Red](#,##0.00);"-"}')}>
+                            <span>Accounting ((1,234.00) in red)</span>
+                        </div>
+                        <div className="context-menu-item" onClick={() => handleFormatClick('number:0.00E+00')}>
+                            <span>Scientific (1.23E+04)</span>
+                        </div>
+                        <div className="context-menu-item" onClick={() => handleFormatClick('number:# ?/?')}>
+                            <span>Fraction (1 1/2)</span>
+                        </div>
+                        <div className="context-menu-item" onClick={() => handleFormatClick('number:yyyy-mm-dd')}>
+                            <span>📅 Date (yyyy-mm-dd)</span>
+                        </div>
+                        <div className="context-menu-item" onClick={() => handleFormatClick('number:yyyy-mm-dd hh:mm')}>
+                            <span>🕒 Date and Time (yyyy-mm-dd hh:mm)</span>
+                        </div>
+                        <div
+                            className="context-menu-item"
+                            onClick={() => {
+                                const code = prompt('Enter a number format code (e.g. #,##0.00;[Red](#,##0.00)):');
+                                if (code) {
+                                    try {
+                                        parseFormatString(`number:{${code}}`);
+                                        handleFormatClick(`number:{${code}}`);
+                                    } catch (error) {
+                                        alert(error.message);
+                                    }
+                                }
+                            }}
+                        >
+                            <span>Custom Format Code...</span>
+                        </div>
                         <div className="context-menu-separator"></div>
                         <div className="context-menu-item" onClick={() => handleFormatClick('currency:USD')}>
                             <span>💵 Currency (USD)</span>
@@ -1367,7 +1575,7 @@ function SettingsModal({ isOpen, onClose, model, adapter, onScriptExecuted }) {
                         className="setup-script-editor"
                         value={setupScript}
                         onChange={(e) => setSetupScript(e.target.value)}
-                        placeholder={`// Example: Load Excel-like functions\nREQUIRE "cwd:../../extras/functions/excel/src/excel-functions.js"\n\n// Example: Load R statistics\nREQUIRE "cwd:../../extras/functions/r-inspired/src/r-statistics-functions.js"\n\n// Now VLOOKUP, SUMIF, MEAN, MEDIAN, etc. are available in all cells`}
+                        placeholder={`// Example: Load Excel-like functions\nREQUIRE "cwd:../../extras/functions/excel/src/excel-functions.js"\n\n// Example: Load R statistics\nREQUIRE "cwd:../../extras/functions/r-inspired/src/r-statistics-functions.js"\n\n// Now SUMIF, MEAN, MEDIAN, etc. are available in all cells\n// (VLOOKUP, XLOOKUP, INDEX, MATCH and OFFSET are built in)`}
                         rows={12}
                     />
                     {executeMessage && (
@@ -1385,6 +1593,361 @@ function SettingsModal({ isOpen, onClose, model, adapter, onScriptExecuted }) {
     );
 }
 
+/**
+ * What-If Modal Component - Goal Seek and Solver
+ * Runs model.goalSeek / model.solve; each answer is one undoable step
+ */
+function WhatIfModal({ isOpen, onClose, model, adapter, selectedCell, onSolved }) {
+    const [mode, setMode] = useState('goalSeek');
+    const [targetRef, setTargetRef] = useState('');
+    const [goal, setGoal] = useState('max');
+    const [targetValue, setTargetValue] = useState('');
+    const [changing, setChanging] = useState('');
+    const [constraints, setConstraints] = useState('');
+    const [running, setRunning] = useState(false);
+    const [message, setMessage] = useState('');
+
+    useEffect(() => {
+        if (isOpen) {
+            setTargetRef(selectedCell || '');
+            setMessage('');
+        }
+    }, [isOpen, selectedCell]);
+
+    const handleRun = async () => {
+        if (!model || !adapter) return;
+        setRunning(true);
+        setMessage('');
+        try {
+            if (mode === 'goalSeek') {
+                const result = await model.goalSeek(targetRef.trim().toUpperCase(), targetValue,
+                    changing.trim().toUpperCase(), adapter);
+                setMessage(result.found
+                    ? `✅ ${changing.toUpperCase()} = ${model.getCellValue(changing.trim().toUpperCase())}`
+                    : '❌ Goal Seek did not find a solution');
+            } else {
+                const result = await model.solve({
+                    target: targetRef.trim().toUpperCase(),
+                    goal,
+                    targetValue,
+                    changing: changing.trim().toUpperCase(),
+                    constraints: constraints.split('\n').filter(line => line.trim()).map(parseConstraint)
+                }, adapter);
+                setMessage(result.feasible
+                    ? `✅ Solver found ${targetRef.toUpperCase()} = ${result.objective}`
+                    : '❌ Solver could not satisfy the constraints');
+            }
+            onSolved();
+        } catch (error) {
+            setMessage('❌ ' + error.message);
+        } finally {
+            setRunning(false);
+        }
+    };
+
+    if (!isOpen) return null;
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>What-If Analysis</h2>
+                    <button className="close-button" onClick={onClose}>×</button>
+                </div>
+                <div className="modal-body what-if-form">
+                    <div className="what-if-modes">
+                        <label>
+                            <input type="radio" checked={mode === 'goalSeek'} onChange={() => setMode('goalSeek')} />
+                            Goal Seek
+                        </label>
+                        <label>
+                            <input type="radio" checked={mode === 'solver'} onChange={() => setMode('solver')} />
+                            Solver
+                        </label>
+                    </div>
+                    <label>
+                        {mode === 'goalSeek' ? 'Set cell' : 'Target cell'}
+                        <input value={targetRef} onChange={(e) => setTargetRef(e.target.value)} placeholder="B10" />
+                    </label>
+                    {mode === 'solver' && (
+                        <label>
+                            Goal
+                            <select value={goal} onChange={(e) => setGoal(e.target.value)}>
+                                <option value="max">Maximize</option>
+                                <option value="min">Minimize</option>
+                                <option value="value">Value of</option>
+                            </select>
+                        </label>
+                    )}
+                    {(mode === 'goalSeek' || goal === 'value') && (
+                        <label>
+                            To value
+                            <input value={targetValue} onChange={(e) => setTargetValue(e.target.value)} placeholder="1000" />
+                        </label>
+                    )}
+                    <label>
+                        {mode === 'goalSeek' ? 'By changing cell' : 'By changing cells'}
+                        <input value={changing} onChange={(e) => setChanging(e.target.value)}
+                            placeholder={mode === 'goalSeek' ? 'B2' : 'B1:B3'} />
+                    </label>
+                    {mode === 'solver' && (
+                        <label>
+                            Constraints (one per line)
+                            <textarea
+                                className="setup-script-editor"
+                                value={constraints}
+                                onChange={(e) => setConstraints(e.target.value)}
+                                placeholder={'B4 <= 10\nB1 >= 0\nB2 >= C1'}
+                                rows={4}
+                            />
+                        </label>
+                    )}
+                    {message && (
+                        <div className={`execute-message ${message.startsWith('✅') ? 'success' : 'error'}`}>
+                            {message}
+                        </div>
+                    )}
+                </div>
+                <div className="modal-footer">
+                    <button className="button-secondary" onClick={onClose}>Close</button>
+                    <button className="button-primary" onClick={handleRun} disabled={running}>
+                        {running ? 'Solving…' : 'Solve'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Labels, criteria hints and style presets for the conditional formatting dialog
+const CONDITIONAL_FORMAT_LABELS = {
+    cellValue: 'Cell value',
+    textContains: 'Text contains',
+    top: 'Top N',
+    bottom: 'Bottom N',
+    duplicates: 'Duplicate values',
+    expression: 'REXX expression',
+    dataBar: 'Data bar',
+    colorScale: 'Colour scale',
+    iconSet: 'Icon set'
+};
+
+const CONDITIONAL_FORMAT_PLACEHOLDERS = {
+    cellValue: '> 100   or   between 10 and 20',
+    textContains: 'overdue',
+    top: '10   or   10%',
+    bottom: '10   or   10%',
+    duplicates: '',
+    expression: 'B2 > C2'
+};
+
+const CONDITIONAL_FORMAT_PRESETS = [
+    { label: 'Light red fill, dark red text', style: 'background:#ffc7ce;color:#9c0006' },
+    { label: 'Yellow fill, dark yellow text', style: 'background:#ffeb9c;color:#9c5700' },
+    { label: 'Green fill, dark green text', style: 'background:#c6efce;color:#006100' },
+    { label: 'Bold red text', style: 'bold;color:#c00000' }
+];
+
+// Visual formats offered by the dialog; REXX can set any thresholds
+const VISUAL_FORMAT_PRESETS = {
+    blueDataBar: { label: 'Blue data bar', rule: { type: 'dataBar', color: '#638ec6' } },
+    greenDataBar: { label: 'Green data bar', rule: { type: 'dataBar', color: '#63be7b' } },
+    redYellowGreen: {
+        label: 'Red - yellow - green scale',
+        rule: { type: 'colorScale', points: [{ color: '#f8696b' }, { color: '#ffeb84' }, { color: '#63be7b' }] }
+    },
+    whiteGreen: { label: 'White - green scale', rule: { type: 'colorScale', points: [{ color: '#ffffff' }, { color: '#63be7b' }] } },
+    arrows3: { label: '3 arrows', rule: { type: 'iconSet', iconSet: 'arrows3' } },
+    arrows5: { label: '5 arrows', rule: { type: 'iconSet', iconSet: 'arrows5' } },
+    trafficLights3: { label: 'Traffic lights', rule: { type: 'iconSet', iconSet: 'trafficLights3' } },
+    symbols3: { label: 'Symbols', rule: { type: 'iconSet', iconSet: 'symbols3' } }
+};
+
+/**
+ * Sample swatch for a rule in the dialog's list
+ */
+function conditionalFormatSample(rule) {
+    switch (rule.type) {
+        case 'dataBar':
+            return { style: { backgroundImage: `linear-gradient(to right, ${rule.color}, ${rule.color}33)` }, text: '' };
+        case 'colorScale':
+            return { style: { backgroundImage: `linear-gradient(to right, ${rule.points.map(point => point.color).join(', ')})` }, text: '' };
+        case 'iconSet':
+            return { style: {}, text: ICON_SETS[rule.iconSet].map(icon => icon.symbol).join('') };
+        default:
+            return { style: styleToCSS(parseFormatString(rule.style, { strict: false })), text: 'AaBb' };
+    }
+}
+
+/**
+ * Conditional Formatting Modal Component
+ * Lists the active sheet's rules in priority order and adds new ones
+ */
+function ConditionalFormatModal({ isOpen, onClose, model, adapter, selectedRange, onChanged }) {
+    const [range, setRange] = useState('');
+    const [type, setType] = useState('cellValue');
+    const [criteria, setCriteria] = useState('');
+    const [style, setStyle] = useState(CONDITIONAL_FORMAT_PRESETS[0].style);
+    const [stopIfTrue, setStopIfTrue] = useState(false);
+    const [message, setMessage] = useState('');
+
+    useEffect(() => {
+        if (isOpen) {
+            setRange(selectedRange || '');
+            setMessage('');
+        }
+    }, [isOpen, selectedRange]);
+
+    if (!isOpen || !model) return null;
+
+    const rules = model.getAllConditionalFormats();
+    const visualPreset = VISUAL_FORMAT_PRESETS[type];
+
+    const handleAdd = async () => {
+        setMessage('');
+        try {
+            let counter = rules.length + 1;
+            while (model.getConditionalFormat(`rule${counter}`)) {
+                counter++;
+            }
+            await model.addConditionalFormat(`rule${counter}`, visualPreset
+                ? { range: range.trim(), ...visualPreset.rule }
+                : {
+                    range: range.trim(),
+                    type,
+                    ...parseConditionCriteria(type, criteria),
+                    style,
+                    stopIfTrue
+                }, adapter);
+            setCriteria('');
+            onChanged();
+        } catch (error) {
+            setMessage('❌ ' + error.message);
+        }
+    };
+
+    const handleDelete = (ruleId) => {
+        model.deleteConditionalFormat(ruleId);
+        onChanged();
+    };
+
+    // Swap priorities with the neighbouring rule
+    const handleMove = (index, offset) => {
+        const rule = rules[index];
+        const other = rules[index + offset];
+        if (!other) return;
+        // Equal priorities are separated so the swap has an effect
+        const priority = rule.priority === other.priority ? other.priority + offset : other.priority;
+        model.transaction('Reorder conditional formats', () => {
+            model.setConditionalFormatPriority(rule.id, priority);
+            model.setConditionalFormatPriority(other.id, rule.priority);
+        });
+        onChanged();
+    };
+
+    const describe = (rule) => {
+        switch (rule.type) {
+            case 'cellValue':
+                return rule.value2 === undefined
+                    ? `Value ${rule.operator} ${rule.value}`
+                    : `Value ${rule.operator === 'between' ? 'between' : 'not between'} ${rule.value} and ${rule.value2}`;
+            case 'textContains':
+                return `Text contains "${rule.text}"`;
+            case 'top':
+            case 'bottom':
+                return `${CONDITIONAL_FORMAT_LABELS[rule.type].replace('N', rule.count)}${rule.percent ? '%' : ''}`;
+            case 'expression':
+                return `=${rule.expression}`;
+            case 'colorScale':
+                return `${rule.points.length}-colour scale`;
+            case 'iconSet':
+                return `Icon set (${rule.iconSet}${rule.reverse ? ', reversed' : ''})`;
+            default:
+                return CONDITIONAL_FORMAT_LABELS[rule.type];
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>Conditional Formatting</h2>
+                    <button className="close-button" onClick={onClose}>×</button>
+                </div>
+                <div className="modal-body what-if-form">
+                    {rules.length === 0 ? (
+                        <p className="conditional-format-empty">No rules on this sheet yet.</p>
+                    ) : (
+                        <ul className="conditional-format-rules">
+                            {rules.map((rule, index) => (
+                                <li key={rule.id}>
+                                    <span className="conditional-format-sample" style={conditionalFormatSample(rule).style}>
+                                        {conditionalFormatSample(rule).text}
+                                    </span>
+                                    <span className="conditional-format-description">
+                                        {rule.range}: {describe(rule)}{rule.stopIfTrue ? ' (stop if true)' : ''}
+                                    </span>
+                                    <button onClick={() => handleMove(index, -1)} disabled={index === 0} title="Apply earlier">↑</button>
+                                    <button onClick={() => handleMove(index, 1)} disabled={index === rules.length - 1} title="Apply later">↓</button>
+                                    <button onClick={() => handleDelete(rule.id)} title="Delete rule">✕</button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    <label>
+                        Apply to range
+                        <input value={range} onChange={(e) => setRange(e.target.value)} placeholder="B2:B20" />
+                    </label>
+                    <label>
+                        Format cells where
+                        <select value={type} onChange={(e) => setType(e.target.value)}>
+                            {CONDITIONAL_FORMAT_TYPES.map(name => (
+                                <option key={name} value={name}>{CONDITIONAL_FORMAT_LABELS[name]}</option>
+                            ))}
+                            <optgroup label="Data bars, colour scales and icons">
+                                {Object.entries(VISUAL_FORMAT_PRESETS).map(([name, preset]) => (
+                                    <option key={name} value={name}>{preset.label}</option>
+                                ))}
+                            </optgroup>
+                        </select>
+                    </label>
+                    {!visualPreset && type !== 'duplicates' && (
+                        <label>
+                            {type === 'expression' ? 'Expression (for the first cell of the range)' : 'Condition'}
+                            <input value={criteria} onChange={(e) => setCriteria(e.target.value)}
+                                placeholder={CONDITIONAL_FORMAT_PLACEHOLDERS[type]} />
+                        </label>
+                    )}
+                    {!visualPreset && (<>
+                        <label>
+                            Style
+                            <select value={CONDITIONAL_FORMAT_PRESETS.some(preset => preset.style === style) ? style : ''}
+                                onChange={(e) => e.target.value && setStyle(e.target.value)}>
+                                {CONDITIONAL_FORMAT_PRESETS.map(preset => (
+                                    <option key={preset.style} value={preset.style}>{preset.label}</option>
+                                ))}
+                                <option value="">Custom…</option>
+                            </select>
+                            <input value={style} onChange={(e) => setStyle(e.target.value)} placeholder="bold;color:red;background:yellow" />
+                        </label>
+                        <label className="conditional-format-stop">
+                            <input type="checkbox" checked={stopIfTrue} onChange={(e) => setStopIfTrue(e.target.checked)} />
+                            Stop if true
+                        </label>
+                    </>)}
+                    {message && (
+                        <div className="execute-message error">{message}</div>
+                    )}
+                </div>
+                <div className="modal-footer">
+                    <button className="button-secondary" onClick={onClose}>Close</button>
+                    <button className="button-primary" onClick={handleAdd}>Add Rule</button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
 /**
  * Sheet Tabs Component
  */
@@ -1483,10 +2046,15 @@ function App() {
     const [selectionRange, setSelectionRange] = useState(null);
     const [isSelecting, setIsSelecting] = useState(false);
     const [sheetName, setSheetName] = useState('Sheet1');
+    const [changedCells, setChangedCells] = useState(() => new Set()); // Cells the model reported changed since the last render
     const [updateCounter, setUpdateCounter] = useState(0);
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
     const [settingsOpen, setSettingsOpen] = useState(false);
+    const [historyOpen, setHistoryOpen] = useState(false);
+    const [functionsOpen, setFunctionsOpen] = useState(false);
+    const [whatIfOpen, setWhatIfOpen] = useState(false);
+    const [conditionalFormatOpen, setConditionalFormatOpen] = useState(false);
     const [viewMode, setViewMode] = useState('normal');
     const [startEditCallback, setStartEditCallback] = useState(null);
     const [contextMenu, setContextMenu] = useState(null);
@@ -1624,16 +2192,23 @@ function App() {
         setUpdateCounter(c => c + 1);
     }, [model, adapter, selectedCell, selectionRange, handleCopy]);
 
-    const handlePaste = useCallback(async (valuesOnly = false) => {
+    const handlePaste = useCallback(async (mode = 'all') => {
         if (!model || !adapter || !clipboard || !selectedCell) return;
 
         const { col: startCol, row: startRow } = parseCellRef(selectedCell);
+        const valuesOnly = mode === 'values';
 
         for (const cellData of clipboard.cells) {
             const targetCol = startCol + cellData.offsetCol;
             const targetRow = startRow + cellData.offsetRow;
             const targetRef = SpreadsheetModel.formatCellRef(targetCol, targetRow);
 
+            if (mode === 'formats') {
+                // Style only, borders included; the target keeps its content
+                model.setCellStyle(targetRef, cellData.format || '');
+                continue;
+            }
+
             let content = cellData.value;
             if (!valuesOnly && cellData.expression) {
                 content = '=' + cellData.expression;
@@ -1650,34 +2225,29 @@ function App() {
         setUpdateCounter(c => c + 1);
     }, [model, adapter, clipboard, selectedCell]);
 
-    const handleFormat = useCallback(async (format) => {
+    const handleBorder = useCallback((spec) => {
         if (!model || !selectedCell) return;
 
-        const cell = model.getCell(selectedCell);
-        const existingFormat = cell.format || '';
+        let rangeRef = selectedCell;
+        if (selectionRange) {
+            const { startCol, startRow, endCol, endRow } = selectionRange;
+            rangeRef = `${SpreadsheetModel.formatCellRef(Math.min(startCol, endCol), Math.min(startRow, endRow))}:`
+                + SpreadsheetModel.formatCellRef(Math.max(startCol, endCol), Math.max(startRow, endRow));
+        }
+        model.setBorder(rangeRef, spec);
 
-        // Parse existing format
-        const formatParts = existingFormat.split(';').filter(p => p.trim());
+        setUpdateCounter(c => c + 1);
+    }, [model, selectedCell, selectionRange]);
+
+    const handleFormat = useCallback(async (format) => {
+        if (!model || !selectedCell) return;
 
         if (format === '') {
             // Clear all formatting
-            model.setCellMetadata(selectedCell, { format: '' });
+            model.setCellStyle(selectedCell, {});
         } else {
-            // Toggle or set format
-            const [formatKey] = format.split(':');
-
-            // Remove existing format of same type
-            const filtered = formatParts.filter(p => {
-                const [key] = p.split(':');
-                return key !== formatKey && key !== format; // Handle both "bold" and "color:red"
-            });
-
-            // Add new format if not already present
-            if (!formatParts.includes(format)) {
-                filtered.push(format);
-            }
-
-            model.setCellMetadata(selectedCell, { format: filtered.join(';') });
+            // Switch the part off if the cell already has it, otherwise apply it
+            model.setCellStyle(selectedCell, toggleStyle(model.getCellStyle(selectedCell), parseFormatString(format)));
         }
 
         setUpdateCounter(c => c + 1);
@@ -1962,7 +2532,9 @@ function App() {
                 loadSampleData(newModel, newAdapter);
             }
 
-            setModel(newModel);
+            // The UI edits through a view acting as 'ui', so the model can refuse
+            // its edits while a script's transaction is open
+            setModel(newModel.actingAs('ui'));
             setAdapter(newAdapter);
             setIsLoading(false);
             hasInitialized.current = true;
@@ -2078,7 +2650,7 @@ function App() {
                             isolatedInterpreter.scopeElement = scopeElement;
 
                             // Register control functions
-                            const controlFunctions = createSpreadsheetControlFunctions(model, adapter);
+                            const controlFunctions = createSpreadsheetControlFunctions(adapter.model, adapter);
                             for (const [name, func] of Object.entries(controlFunctions)) {
                                 isolatedInterpreter.externalFunctions[name] = func;
                             }
@@ -2145,6 +2717,57 @@ function App() {
         };
     }, [model, adapter]);
 
+    // Re-render on model change events, at most once per animation frame. Changed
+    // cells on the active sheet re-render on their own; anything else (ranges,
+    // metadata, sheet and structure changes) refreshes the whole grid.
+    useEffect(() => {
+        if (!model) return;
+
+        let frame = null;
+        let changed = new Set();
+        let everything = false;
+        const unsubscribe = model.on('*', (event) => {
+            if (event.type === 'recalcCompleted' || event.type === 'editRefused') {
+                return; // Recalculated cells arrive as cellChanged; refusals have their own notice
+            }
+            if (event.type.startsWith('sheet') || event.type === 'workbookLoaded') {
+                setSheetName(model.getActiveSheetName());
+            }
+            if (event.type === 'cellChanged') {
+                if (event.sheet === model.getActiveSheetName()) {
+                    changed.add(event.ref);
+                }
+            } else {
+                everything = true;
+            }
+            if (frame === null) {
+                frame = requestAnimationFrame(() => {
+                    frame = null;
+                    if (everything) {
+                        setUpdateCounter(c => c + 1);
+                    } else if (changed.size > 0) {
+                        setChangedCells(changed);
+                    }
+                    changed = new Set();
+                    everything = false;
+                });
+            }
+        });
+
+        return () => {
+            unsubscribe();
+            if (frame !== null) {
+                cancelAnimationFrame(frame);
+            }
+        };
+    }, [model]);
+
+    // Edits refused while a script's transaction is open
+    useEffect(() => {
+        if (!model) return;
+        return model.on('editRefused', ({ message }) => alert(message));
+    }, [model]);
+
     // Listen for spreadsheet updates from ADDRESS handler
     useEffect(() => {
         const handleUpdate = () => {
@@ -2304,10 +2927,10 @@ function App() {
         setIsSelecting(false);
     }, []);
 
-    const handleStartCellEdit = (callback) => {
+    const handleStartCellEdit = useCallback((callback) => {
         setStartEditCallback(() => (char) => callback(char));
         return () => setStartEditCallback(null);
-    };
+    }, []);
 
     // Sheet management handlers
     const handleChangeSheet = useCallback((sheetName) => {
@@ -2321,7 +2944,7 @@ function App() {
     const handleAddSheet = useCallback((sheetName) => {
         if (model) {
             try {
-                model.addSheet(sheetName);
+                model.addSheet(sheetName, adapter);
                 model.setActiveSheet(sheetName);
                 setSheetName(sheetName);
                 setUpdateCounter(c => c + 1);
@@ -2329,7 +2952,7 @@ function App() {
                 alert(error.message);
             }
         }
-    }, [model]);
+    }, [model, adapter]);
 
     const handleRenameSheet = useCallback((oldName, newName) => {
         if (model) {
@@ -2348,14 +2971,27 @@ function App() {
     const handleDeleteSheet = useCallback((sheetName) => {
         if (model) {
             try {
-                model.deleteSheet(sheetName);
+                model.deleteSheet(sheetName, adapter).then(() => setUpdateCounter(c => c + 1));
                 setSheetName(model.getActiveSheetName());
                 setUpdateCounter(c => c + 1);
             } catch (error) {
                 alert(error.message);
             }
         }
-    }, [model]);
+    }, [model, adapter]);
+
+    // History panel handler
+    const handleJumpToHistory = useCallback(async (index) => {
+        if (model) {
+            try {
+                await model.undoTo(index, adapter);
+                setSheetName(model.getActiveSheetName());
+                setUpdateCounter(c => c + 1);
+            } catch (error) {
+                alert(error.message);
+            }
+        }
+    }, [model, adapter]);
 
     // Row filtering handlers
     const handleApplyFilter = useCallback((columnNum, criteria) => {
@@ -2428,6 +3064,18 @@ function App() {
                     <div className="view-mode-badge" title="Hold V/E/F to peek at different views">
                         View: {viewMode.toUpperCase()}
                     </div>
+                    <button className="settings-button" onClick={() => setHistoryOpen(open => !open)} title="Show undo history">
+                        🕘 History
+                    </button>
+                    <button className="settings-button" onClick={() => setFunctionsOpen(open => !open)} title="Browse functions">
+                        ƒ Functions
+                    </button>
+                    <button className="settings-button" onClick={() => setWhatIfOpen(true)} title="Goal Seek and Solver">
+                        🎯 What-If
+                    </button>
+                    <button className="settings-button" onClick={() => setConditionalFormatOpen(true)} title="Conditional formatting rules">
+                        🎨 Conditional
+                    </button>
                     <button className="settings-button" onClick={() => setSettingsOpen(true)}>
                         ⚙️ Setup
                     </button>
@@ -2445,6 +3093,7 @@ function App() {
                 model={model}
                 selectedCell={selectedCell}
                 onUpdate={() => setUpdateCounter(c => c + 1)}
+                onBorder={handleBorder}
             />
 
             <SheetTabs
@@ -2458,7 +3107,10 @@ function App() {
 
             <div className="main-content">
                 <Grid
+                    key={sheetName}
                     model={model}
+                    updateCounter={updateCounter}
+                    changedCells={changedCells}
                     selectedCell={selectedCell}
                     selectionRange={selectionRange}
                     onSelectCell={handleSelectCell}
@@ -2483,6 +3135,21 @@ function App() {
                     model={model}
                     viewMode={viewMode}
                 />
+
+                {historyOpen && (
+                    <HistoryPanel
+                        model={model}
+                        onJump={handleJumpToHistory}
+                        onClose={() => setHistoryOpen(false)}
+                    />
+                )}
+
+                {functionsOpen && (
+                    <FunctionPanel
+                        adapter={adapter}
+                        onClose={() => setFunctionsOpen(false)}
+                    />
+                )}
             </div>
 
             {contextMenu && (
@@ -2494,10 +3161,12 @@ function App() {
                     model={model}
                     onClose={() => setContextMenu(null)}
                     onFormat={handleFormat}
+                    onBorder={handleBorder}
                     onCut={() => { handleCut(); setContextMenu(null); }}
                     onCopy={() => { handleCopy(); setContextMenu(null); }}
-                    onPaste={() => { handlePaste(false); setContextMenu(null); }}
-                    onPasteValues={() => { handlePaste(true); setContextMenu(null); }}
+                    onPaste={() => { handlePaste('all'); setContextMenu(null); }}
+                    onPasteValues={() => { handlePaste('values'); setContextMenu(null); }}
+                    onPasteFormats={() => { handlePaste('formats'); setContextMenu(null); }}
                     onInsertRow={handleInsertRow}
                     onDeleteRow={handleDeleteRow}
                     onInsertColumn={handleInsertColumn}
@@ -2543,6 +3212,24 @@ function App() {
                 />
             )}
 
+            <WhatIfModal
+                isOpen={whatIfOpen}
+                onClose={() => setWhatIfOpen(false)}
+                model={model}
+                adapter={adapter}
+                selectedCell={selectedCell}
+                onSolved={() => setUpdateCounter(c => c + 1)}
+            />
+
+            <ConditionalFormatModal
+                isOpen={conditionalFormatOpen}
+                onClose={() => setConditionalFormatOpen(false)}
+                model={model}
+                adapter={adapter}
+                selectedRange={selectionRange ? formatSelectionRange(selectionRange) : selectedCell}
+                onChanged={() => setUpdateCounter(c => c + 1)}
+            />
+
             <SettingsModal
                 isOpen={settingsOpen}
                 onClose={() => setSettingsOpen(false)}
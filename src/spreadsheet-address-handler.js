@@ -23,9 +23,9 @@ export function createSpreadsheetAddressHandler(model, adapter) {
             // It has access to: model, adapter, and the spreadsheet functions
 
             try {
-                // Parse and execute the REXX command
+                // Parse and execute the REXX command as one undo step; a failure rolls back its changes
                 const commands = parse(commandString);
-                await interpreter.run(commands);
+                await model.transaction('ADDRESS SPREADSHEET', () => interpreter.run(commands), adapter);
 
                 // Get the RESULT variable if set
                 const result = interpreter.getVariable('RESULT');
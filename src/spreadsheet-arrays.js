@@ -0,0 +1,350 @@
+/**
+ * Spreadsheet Arrays
+ * Native, Excel-compatible dynamic array functions: SEQUENCE, TRANSPOSE,
+ * VSTACK/HSTACK, UNIQUE, SORT/SORTBY and FILTER, and the matrix functions
+ * MMULT, MINVERSE and MDETERM
+ *
+ * Functions take and return grids (arrays of rows); the adapter reads them
+ * from ranges and the model spills the results into neighbouring cells.
+ */
+
+import { SpreadsheetError } from './spreadsheet-errors.js';
+import { compareLookupValues } from './spreadsheet-lookup.js';
+
+/**
+ * Read a numeric argument; numeric text is accepted
+ * @throws {SpreadsheetError} #VALUE! if the argument is not a number
+ */
+function toNumber(value, name) {
+    const num = typeof value === 'number' ? value : Number(String(value).trim());
+    if (value === '' || value === null || value === undefined || isNaN(num)) {
+        throw new SpreadsheetError('#VALUE!', `${name} must be a number, got "${value}"`);
+    }
+    return num;
+}
+
+/**
+ * Check a grid holds only numbers, as the matrix functions need
+ */
+function requireNumbers(grid, name) {
+    if (grid.some(row => row.some(value => typeof value !== 'number'))) {
+        throw new SpreadsheetError('#VALUE!', `${name} needs a range of numbers`);
+    }
+}
+
+/**
+ * Check a grid is a non-empty square of numbers
+ */
+function requireSquare(grid, name) {
+    requireNumbers(grid, name);
+    if (grid.length === 0 || grid.some(row => row.length !== grid.length)) {
+        throw new SpreadsheetError('#VALUE!', `${name} needs a square range, got ${grid.length} rows by ${grid.length ? grid[0].length : 0} columns`);
+    }
+}
+
+/**
+ * Results with nothing in them are #CALC!, as in Excel
+ */
+function requireValues(grid, name) {
+    if (grid.length === 0 || grid[0].length === 0) {
+        throw new SpreadsheetError('#CALC!', `${name} found nothing to return`);
+    }
+    return grid;
+}
+
+/**
+ * SEQUENCE - Grid of numbers counting across each row, then down
+ * @param {number} rows - Number of rows
+ * @param {number} [columns=1] - Number of columns
+ * @param {number} [start=1] - First number
+ * @param {number} [step=1] - Amount added for each next number
+ * @returns {number[][]}
+ */
+export function sequence(rows, columns = 1, start = 1, step = 1) {
+    rows = Math.trunc(toNumber(rows, 'rows'));
+    columns = Math.trunc(toNumber(columns, 'columns'));
+    start = toNumber(start, 'start');
+    step = toNumber(step, 'step');
+    if (rows < 0 || columns < 0) {
+        throw new SpreadsheetError('#VALUE!', `SEQUENCE needs rows and columns of 0 or more, got ${rows} by ${columns}`);
+    }
+    if (rows === 0 || columns === 0) {
+        throw new SpreadsheetError('#CALC!', 'SEQUENCE found nothing to return');
+    }
+    return Array.from({ length: rows }, (unused, row) =>
+        Array.from({ length: columns }, (unused2, col) => start + (row * columns + col) * step));
+}
+
+/**
+ * TRANSPOSE - Swap rows and columns
+ */
+export function transpose(grid) {
+    requireValues(grid, 'TRANSPOSE');
+    return grid[0].map((unused, col) => grid.map(row => row[col]));
+}
+
+/**
+ * Stack grids, padding short ones with #N/A as Excel does
+ */
+function stack(grids, name) {
+    const parts = grids.filter(grid => grid.length > 0);
+    if (parts.length === 0) {
+        throw new SpreadsheetError('#CALC!', `${name} found nothing to return`);
+    }
+    const width = Math.max(...parts.map(grid => Math.max(...grid.map(row => row.length))));
+    return parts.flatMap(grid => grid.map(row =>
+        row.length < width ? [...row, ...Array(width - row.length).fill('#N/A')] : [...row]));
+}
+
+/**
+ * VSTACK - Grids one below another
+ * @param {...Array<Array>} grids - Grids to stack
+ * @returns {Array<Array>}
+ */
+export function vstack(...grids) {
+    return stack(grids, 'VSTACK');
+}
+
+/**
+ * HSTACK - Grids side by side
+ */
+export function hstack(...grids) {
+    return transpose(stack(grids.filter(grid => grid.length > 0).map(transpose), 'HSTACK'));
+}
+
+/**
+ * Key for comparing rows the way UNIQUE does: text without regard to case
+ */
+function rowKey(row) {
+    return JSON.stringify(row.map(value => typeof value === 'string' ? value.toLowerCase() : value));
+}
+
+/**
+ * UNIQUE - Distinct rows (or columns) in order of first appearance
+ * @param {Array<Array>} grid - Values
+ * @param {boolean} [byColumn=false] - Compare columns instead of rows
+ * @param {boolean} [exactlyOnce=false] - Keep only rows that appear once
+ * @returns {Array<Array>}
+ */
+export function unique(grid, byColumn = false, exactlyOnce = false) {
+    const lines = byColumn ? transpose(grid) : grid;
+    const counts = new Map();
+    lines.forEach(line => {
+        const key = rowKey(line);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    const seen = new Set();
+    const result = lines.filter(line => {
+        const key = rowKey(line);
+        if (seen.has(key) || (exactlyOnce && counts.get(key) > 1)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+    requireValues(result, 'UNIQUE');
+    return byColumn ? transpose(result) : result;
+}
+
+/**
+ * Read a sort order: 1 ascending, -1 descending
+ */
+function toOrder(value, name) {
+    const order = value === '' || value === null || value === undefined ? 1 : toNumber(value, name);
+    if (order !== 1 && order !== -1) {
+        throw new SpreadsheetError('#VALUE!', `${name} must be 1 (ascending) or -1 (descending), got ${order}`);
+    }
+    return order;
+}
+
+/**
+ * Compare values for sorting: numbers before text, text without regard to
+ * case, and blanks last in either order
+ */
+function compareForSort(a, b, order) {
+    const blankA = a === '' || a === null || a === undefined;
+    const blankB = b === '' || b === null || b === undefined;
+    if (blankA || blankB) {
+        return compareLookupValues(a, b);
+    }
+    return order * compareLookupValues(a, b);
+}
+
+/**
+ * Sort lines by keys, keeping the original order of ties
+ * @param {Array<Array>} lines - Rows to sort
+ * @param {Array<{keys: Array, order: number}>} sortKeys - One key per line for each sort level
+ */
+function sortLines(lines, sortKeys) {
+    return lines
+        .map((line, index) => ({ line, index }))
+        .sort((a, b) => {
+            for (const { keys, order } of sortKeys) {
+                const result = compareForSort(keys[a.index], keys[b.index], order);
+                if (result !== 0) {
+                    return result;
+                }
+            }
+            return a.index - b.index;
+        })
+        .map(({ line }) => line);
+}
+
+/**
+ * SORT - Sort rows by one of their columns (or columns by one of their rows)
+ * @param {Array<Array>} grid - Values
+ * @param {number} [sortIndex=1] - Column (or row) to sort by, from 1
+ * @param {number} [sortOrder=1] - 1 ascending, -1 descending
+ * @param {boolean} [byColumn=false] - Sort columns instead of rows
+ * @returns {Array<Array>}
+ */
+export function sort(grid, sortIndex = 1, sortOrder = 1, byColumn = false) {
+    const lines = byColumn ? transpose(grid) : requireValues(grid, 'SORT');
+    const index = sortIndex === '' || sortIndex === null || sortIndex === undefined
+        ? 1
+        : Math.trunc(toNumber(sortIndex, 'sort_index'));
+    if (index < 1 || index > lines[0].length) {
+        throw new SpreadsheetError('#VALUE!', `SORT sort_index must be from 1 to ${lines[0].length}, got ${index}`);
+    }
+    const sorted = sortLines(lines, [{ keys: lines.map(line => line[index - 1]), order: toOrder(sortOrder, 'sort_order') }]);
+    return byColumn ? transpose(sorted) : sorted;
+}
+
+/**
+ * SORTBY - Sort rows by other lists of the same length, each with its own order
+ * @param {Array<Array>} grid - Values
+ * @param {Array<{keys: Array, order: number}>} sortKeys - Lists to sort by, most significant first
+ * @returns {Array<Array>}
+ */
+export function sortBy(grid, sortKeys) {
+    requireValues(grid, 'SORTBY');
+    if (sortKeys.length === 0) {
+        throw new SpreadsheetError('#VALUE!', 'SORTBY needs at least one list to sort by');
+    }
+    const levels = sortKeys.map(({ keys, order }) => {
+        if (keys.length !== grid.length) {
+            throw new SpreadsheetError('#VALUE!', `SORTBY lists must have one value per row, got ${keys.length} for ${grid.length} rows`);
+        }
+        return { keys, order: toOrder(order, 'sort_order') };
+    });
+    return sortLines(grid, levels);
+}
+
+/**
+ * FILTER - Rows whose include value is true; a single row of include values
+ * the width of the grid filters columns instead
+ * @param {Array<Array>} grid - Values
+ * @param {Array} include - One true/false (or 1/0) per row
+ * @param {*} [ifEmpty] - Result when nothing is included (default #CALC!)
+ * @returns {Array<Array>}
+ */
+export function filter(grid, include, ifEmpty) {
+    requireValues(grid, 'FILTER');
+    const keep = (value) => value === true || (typeof value === 'number' && value !== 0);
+    let result;
+    if (include.length === grid.length) {
+        result = grid.filter((row, i) => keep(include[i]));
+    } else if (include.length === grid[0].length) {
+        result = grid.map(row => row.filter((value, i) => keep(include[i])));
+        if (result[0].length === 0) {
+            result = [];
+        }
+    } else {
+        throw new SpreadsheetError('#VALUE!', `FILTER include must have one value per row, got ${include.length} for ${grid.length} rows`);
+    }
+    if (result.length === 0 && ifEmpty !== undefined) {
+        return [[ifEmpty]];
+    }
+    return requireValues(result, 'FILTER');
+}
+
+/**
+ * MMULT - Matrix product
+ * @param {number[][]} a - m x n matrix
+ * @param {number[][]} b - n x p matrix
+ * @returns {number[][]} m x p matrix
+ */
+export function mmult(a, b) {
+    requireNumbers(a, 'MMULT');
+    requireNumbers(b, 'MMULT');
+    requireValues(a, 'MMULT');
+    requireValues(b, 'MMULT');
+    if (a[0].length !== b.length) {
+        throw new SpreadsheetError('#VALUE!', `MMULT needs array1 to have as many columns as array2 has rows, got ${a[0].length} and ${b.length}`);
+    }
+    return a.map(row => b[0].map((unused, col) =>
+        row.reduce((sum, value, k) => sum + value * b[k][col], 0)));
+}
+
+/**
+ * Gaussian elimination with partial pivoting on a copy of the matrix,
+ * carrying along extra columns (the identity, for MINVERSE)
+ * @returns {{determinant: number, augmented: number[][]}}
+ */
+function eliminate(matrix, extra) {
+    const n = matrix.length;
+    const rows = matrix.map((row, i) => [...row, ...(extra ? extra[i] : [])]);
+    let determinant = 1;
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) {
+                pivot = row;
+            }
+        }
+        if (rows[pivot][col] === 0) {
+            return { determinant: 0, augmented: rows };
+        }
+        if (pivot !== col) {
+            [rows[pivot], rows[col]] = [rows[col], rows[pivot]];
+            determinant = -determinant;
+        }
+        const value = rows[col][col];
+        determinant *= value;
+        rows[col] = rows[col].map(x => x / value);
+        for (let row = 0; row < n; row++) {
+            if (row !== col && rows[row][col] !== 0) {
+                const factor = rows[row][col];
+                rows[row] = rows[row].map((x, k) => x - factor * rows[col][k]);
+            }
+        }
+    }
+    return { determinant, augmented: rows };
+}
+
+/**
+ * MDETERM - Determinant of a square matrix
+ */
+export function mdeterm(matrix) {
+    requireSquare(matrix, 'MDETERM');
+    return eliminate(matrix).determinant;
+}
+
+/**
+ * MINVERSE - Inverse of a square matrix
+ * @throws {SpreadsheetError} #NUM! if the matrix is singular
+ */
+export function minverse(matrix) {
+    requireSquare(matrix, 'MINVERSE');
+    const n = matrix.length;
+    const identity = matrix.map((row, i) => row.map((unused, j) => (i === j ? 1 : 0)));
+    const { determinant, augmented } = eliminate(matrix, identity);
+    if (determinant === 0) {
+        throw new SpreadsheetError('#NUM!', 'MINVERSE: the matrix has no inverse');
+    }
+    return augmented.map(row => row.slice(n));
+}
+
+export default {
+    sequence,
+    transpose,
+    vstack,
+    hstack,
+    unique,
+    sort,
+    sortBy,
+    filter,
+    mmult,
+    mdeterm,
+    minverse
+};
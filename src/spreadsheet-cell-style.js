@@ -0,0 +1,545 @@
+/**
+ * Spreadsheet Cell Styles
+ * A cell's look as a typed object rather than a free-form string:
+ *
+ *   {
+ *     font: { bold, italic, underline, strikethrough, color, size, family },
+ *     fill: { color },
+ *     border: { top, right, bottom, left },        - each { style, color }
+ *     alignment: { horizontal, vertical, indent, rotation },
+ *     numberFormat: 'number:#,##0.00'               - or 'currency:USD', 'percent:0.0%'
+ *   }
+ *
+ * Only the fields that are set are present. Every style also has a canonical
+ * format string ("bold;color:red;number:0.00"), the form REXX scripts and older
+ * workbooks use; cells keep that string as their key into the workbook's
+ * StyleRegistry, so cells that look the same share one style object.
+ *
+ * "number:" takes any Excel format code (see spreadsheet-number-format.js). A
+ * code with sections is written in braces so its ";" stays inside the part:
+ * "bold;number:{#,##0.00;[Red](#,##0.00)}".
+ */
+
+import { parseNumberFormat, formatValue } from './spreadsheet-number-format.js';
+
+/**
+ * Sections of a style object
+ */
+export const STYLE_SECTIONS = ['font', 'fill', 'border', 'alignment', 'numberFormat'];
+
+/**
+ * Border line styles and how they are drawn
+ */
+export const BORDER_STYLES = {
+    thin: '1px solid',
+    medium: '2px solid',
+    thick: '3px solid',
+    dashed: '1px dashed',
+    dotted: '1px dotted',
+    double: '3px double'
+};
+
+export const BORDER_SIDES = ['top', 'right', 'bottom', 'left'];
+
+/**
+ * Border presets for a range: every edge, the outer edges, the edges between
+ * cells, one outer edge, or clear them all
+ */
+export const BORDER_PRESETS = ['all', 'outline', 'inside', 'top', 'bottom', 'left', 'right', 'none'];
+
+export const HORIZONTAL_ALIGNMENTS = ['left', 'center', 'right', 'justify'];
+
+export const VERTICAL_ALIGNMENTS = ['top', 'middle', 'bottom'];
+
+const FONT_FLAGS = ['bold', 'italic', 'underline', 'strikethrough'];
+const NUMBER_FORMAT_KINDS = ['number', 'currency', 'percent'];
+const MAX_INDENT = 15;
+const EMPTY_STYLE = Object.freeze({});
+
+/**
+ * Validate a style object and drop unset fields
+ * @param {Object} style - Style object (may be partial)
+ * @returns {Object} Normalized style; {} when nothing is set
+ */
+export function normalizeStyle(style) {
+    if (style === null || style === undefined || style === '') {
+        return {};
+    }
+    if (typeof style !== 'object' || Array.isArray(style)) {
+        throw new Error(`Cell style must be an object, got ${typeof style}`);
+    }
+    const unknown = Object.keys(style).find(key => !STYLE_SECTIONS.includes(key));
+    if (unknown) {
+        throw new Error(`Unknown cell style section: ${unknown}. Use one of ${STYLE_SECTIONS.join(', ')}`);
+    }
+
+    const normalized = {};
+    const font = normalizeSection('font', style.font, {
+        bold: flag, italic: flag, underline: flag, strikethrough: flag,
+        color: text('Font color'), size: fontSize, family: text('Font family')
+    });
+    const fill = normalizeSection('fill', style.fill, { color: text('Fill color') });
+    const border = normalizeSection('border', style.border,
+        Object.fromEntries(BORDER_SIDES.map(side => [side, borderLine(side)])));
+    const alignment = normalizeSection('alignment', style.alignment, {
+        horizontal: oneOf('Horizontal alignment', HORIZONTAL_ALIGNMENTS),
+        vertical: oneOf('Vertical alignment', VERTICAL_ALIGNMENTS),
+        indent: wholeNumber('Indent', 0, MAX_INDENT),
+        rotation: wholeNumber('Rotation', -90, 90)
+    });
+    if (font) normalized.font = font;
+    if (fill) normalized.fill = fill;
+    if (border) normalized.border = border;
+    if (alignment) normalized.alignment = alignment;
+
+    if (style.numberFormat !== undefined && style.numberFormat !== null && style.numberFormat !== '') {
+        normalized.numberFormat = numberFormat(style.numberFormat);
+    }
+    return normalized;
+}
+
+/**
+ * Read a format string such as "bold;color:red;align:center;number:0.00"
+ * @param {string} format - Format string
+ * @param {Object} options - {strict: throw on parts it does not know (default true)}
+ * @returns {Object} Style object
+ */
+export function parseFormatString(format, { strict = true } = {}) {
+    let style = {};
+    for (const part of splitFormatParts(String(format ?? '')).map(p => p.trim()).filter(Boolean)) {
+        try {
+            style = mergeStyles(style, normalizeStyle(parseFormatPart(part)));
+        } catch (error) {
+            if (strict) {
+                throw error;
+            }
+        }
+    }
+    return style;
+}
+
+/**
+ * Canonical format string of a style; parseFormatString reads it back to the same style
+ * @param {Object} style - Style object
+ * @returns {string} Format string, '' for no style
+ */
+export function formatStyle(style) {
+    const { font = {}, fill = {}, border = {}, alignment = {}, numberFormat } = normalizeStyle(style);
+    const parts = FONT_FLAGS.filter(name => font[name]);
+    if (font.color) parts.push(`color:${font.color}`);
+    if (fill.color) parts.push(`background:${fill.color}`);
+    if (font.size !== undefined) parts.push(`font-size:${typeof font.size === 'number' ? `${font.size}px` : font.size}`);
+    if (font.family) parts.push(`font-family:${font.family}`);
+    if (alignment.horizontal) parts.push(`align:${alignment.horizontal}`);
+    if (alignment.vertical) parts.push(`valign:${alignment.vertical}`);
+    if (alignment.indent) parts.push(`indent:${alignment.indent}`);
+    if (alignment.rotation) parts.push(`rotate:${alignment.rotation}`);
+    BORDER_SIDES.filter(side => border[side]).forEach(side => {
+        parts.push(`border-${side}:${[border[side].style, border[side].color].filter(Boolean).join(' ')}`);
+    });
+    if (numberFormat) parts.push(numberFormat.includes(';') ? numberFormat.replace(':', ':{') + '}' : numberFormat);
+    return parts.join(';');
+}
+
+/**
+ * Canonical format string of either form
+ * @param {string|Object} format - Format string or style object
+ * @returns {string} Format string
+ */
+export function toFormatString(format) {
+    return formatStyle(typeof format === 'object' && format !== null ? format : parseFormatString(format));
+}
+
+/**
+ * Combine styles; fields of later styles override earlier ones
+ * @param {...Object} styles - Style objects
+ * @returns {Object} Combined style
+ */
+export function mergeStyles(...styles) {
+    const merged = {};
+    for (const style of styles.filter(Boolean)) {
+        for (const [section, value] of Object.entries(style)) {
+            merged[section] = typeof value === 'object' ? { ...merged[section], ...value } : value;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Switch part of a style on or off, as the formatting buttons do: if the style
+ * already has every field of `partial` it is removed, otherwise it is applied
+ * @param {Object} style - Current style
+ * @param {Object} partial - Style to toggle, e.g. {font: {bold: true}}
+ * @returns {Object} New style
+ */
+export function toggleStyle(style, partial) {
+    const has = (value, expected) => (typeof expected === 'object'
+        ? value !== undefined && Object.entries(expected).every(([key, inner]) => has(value[key], inner))
+        : value === expected);
+    if (!has(style, partial)) {
+        return mergeStyles(style, partial);
+    }
+
+    const toggled = {};
+    for (const [section, value] of Object.entries(style)) {
+        if (!(section in partial)) {
+            toggled[section] = value;
+        } else if (typeof value === 'object') {
+            const remaining = Object.fromEntries(Object.entries(value).filter(([field]) => !(field in partial[section])));
+            if (Object.keys(remaining).length > 0) {
+                toggled[section] = remaining;
+            }
+        }
+    }
+    return toggled;
+}
+
+/**
+ * CSS properties of a style for the cell element (rotation applies to the
+ * value inside it, see styleToValueCSS)
+ * @param {Object} style - Style object
+ * @returns {Object} React style object
+ */
+export function styleToCSS(style) {
+    const { font = {}, fill = {}, border = {}, alignment = {} } = style || {};
+    const css = {};
+    if (font.bold) css.fontWeight = 'bold';
+    if (font.italic) css.fontStyle = 'italic';
+    const decorations = [font.underline && 'underline', font.strikethrough && 'line-through'].filter(Boolean);
+    if (decorations.length > 0) css.textDecoration = decorations.join(' ');
+    if (font.color) css.color = font.color;
+    if (font.size !== undefined) css.fontSize = typeof font.size === 'number' ? `${font.size}px` : font.size;
+    if (font.family) css.fontFamily = font.family;
+    if (fill.color) css.backgroundColor = fill.color;
+
+    if (alignment.horizontal) css.textAlign = alignment.horizontal;
+    if (alignment.vertical) {
+        css.display = 'flex';
+        css.flexDirection = 'column';
+        css.justifyContent = { top: 'flex-start', middle: 'center', bottom: 'flex-end' }[alignment.vertical];
+    }
+    if (alignment.indent) {
+        // About one character per level, on the side the text is aligned to
+        const side = alignment.horizontal === 'right' ? 'paddingRight' : 'paddingLeft';
+        css[side] = `${8 + alignment.indent * 10}px`;
+    }
+
+    BORDER_SIDES.filter(side => border[side]).forEach(side => {
+        const property = `border${side[0].toUpperCase()}${side.substring(1)}`;
+        css[property] = `${BORDER_STYLES[border[side].style]} ${border[side].color || '#000000'}`;
+    });
+    return css;
+}
+
+/**
+ * CSS properties for the value inside a cell: rotated text turns counter-clockwise
+ * for positive angles, as in Excel
+ * @param {Object} style - Style object
+ * @returns {Object|undefined} React style object, or undefined when not rotated
+ */
+export function styleToValueCSS(style) {
+    const rotation = style?.alignment?.rotation;
+    return rotation ? { display: 'inline-block', transform: `rotate(${-rotation}deg)` } : undefined;
+}
+
+/**
+ * Display a value with a number format
+ * Formats: "number:<format code>" such as "number:#,##0.00", "currency:USD", "percent:0.0%"
+ * @param {*} value - Cell value
+ * @param {string} format - Number format; values are returned as-is without one
+ * @returns {*} Formatted text, or the value when it is not a number
+ */
+export function formatNumber(value, format) {
+    return formatNumberWithColor(value, format).text;
+}
+
+/**
+ * Display a value with a number format, with the colour its format code gives
+ * it (e.g. [Red] for negatives)
+ * @param {*} value - Cell value
+ * @param {string} format - Number format
+ * @returns {Object} {text, color}: text as formatNumber returns it, color null when the code sets none
+ */
+export function formatNumberWithColor(value, format) {
+    if (!format || value === '' || value === null || value === undefined) {
+        return { text: value, color: null };
+    }
+
+    const kind = format.substring(0, format.indexOf(':'));
+    const pattern = format.substring(format.indexOf(':') + 1);
+    if (kind === 'number') {
+        return formatValue(value, pattern);
+    }
+    return { text: formatLegacyNumber(value, kind, pattern), color: null };
+}
+
+/**
+ * The currency and percent kinds that predate format codes
+ */
+function formatLegacyNumber(value, kind, pattern) {
+    const numValue = typeof value === 'number' ? value : parseFloat(value);
+    if (isNaN(numValue)) {
+        return value;
+    }
+
+    const decimalMatch = pattern.match(/0\.(\d+)/);
+    const decimalPlaces = decimalMatch ? decimalMatch[1].length : 0;
+    switch (kind) {
+        case 'currency':
+            try {
+                return new Intl.NumberFormat('en-US', {
+                    style: 'currency',
+                    currency: pattern || 'USD'
+                }).format(numValue);
+            } catch (e) {
+                // Fallback if currency code invalid
+                return '$' + numValue.toFixed(2);
+            }
+        case 'percent':
+            return (numValue * 100).toFixed(decimalPlaces) + '%';
+        default:
+            return value;
+    }
+}
+
+/**
+ * Read a border spec for a range such as "outline", "all thin #999" or "bottom double"
+ * @param {string|Object} spec - "<preset> [style] [color]", or {preset, style, color}
+ * @returns {Object} {preset, style, color}; style defaults to thin, color is only present when given
+ */
+export function parseBorderSpec(spec) {
+    let fields = spec;
+    if (typeof spec !== 'object' || spec === null) {
+        const [preset, style, ...color] = String(spec ?? '').trim().split(/\s+/);
+        fields = { preset, style, color: color.join(' ') };
+    }
+
+    const preset = String(fields.preset ?? '').toLowerCase();
+    if (!BORDER_PRESETS.includes(preset)) {
+        throw new Error(`Border preset must be one of ${BORDER_PRESETS.join(', ')}, got "${fields.preset ?? ''}"`);
+    }
+    if (preset === 'none') {
+        return { preset };
+    }
+    return { preset, ...borderLine(preset)({ style: String(fields.style || 'thin').toLowerCase(), color: fields.color }) };
+}
+
+/**
+ * Workbook-wide table of styles, keyed by canonical format string. Cells that
+ * look the same get the same (frozen) style object.
+ */
+export class StyleRegistry {
+    constructor() {
+        this._styles = new Map(); // key: canonical format string, value: frozen style
+    }
+
+    /**
+     * Style for a cell's format string; unknown parts of old formats are ignored
+     * @param {string} format - Format string
+     * @returns {Object} Frozen style object ({} for no format)
+     */
+    styleFor(format) {
+        if (!format) {
+            return EMPTY_STYLE;
+        }
+        let style = this._styles.get(format);
+        if (!style) {
+            style = deepFreeze(parseFormatString(format, { strict: false }));
+            this._styles.set(format, style);
+        }
+        return style;
+    }
+
+    /**
+     * Number of distinct styles seen
+     * @returns {number}
+     */
+    get size() {
+        return this._styles.size;
+    }
+}
+
+/**
+ * Split a format string on ";" outside braces
+ */
+function splitFormatParts(format) {
+    const parts = [''];
+    let depth = 0;
+    for (const char of format) {
+        if (char === ';' && depth === 0) {
+            parts.push('');
+            continue;
+        }
+        if (char === '{') depth++;
+        if (char === '}') depth = Math.max(0, depth - 1);
+        parts[parts.length - 1] += char;
+    }
+    return parts;
+}
+
+/**
+ * Style set by one part of a format string
+ */
+function parseFormatPart(part) {
+    const separator = part.indexOf(':');
+    const key = (separator === -1 ? part : part.substring(0, separator)).trim().toLowerCase();
+    const value = separator === -1 ? '' : part.substring(separator + 1).trim();
+
+    if (separator === -1 && (FONT_FLAGS.includes(key) || key === 'strike')) {
+        return { font: { [key === 'strike' ? 'strikethrough' : key]: true } };
+    }
+    if (NUMBER_FORMAT_KINDS.includes(key)) {
+        const braced = value.startsWith('{') && value.endsWith('}');
+        return { numberFormat: `${key}:${braced ? value.slice(1, -1) : value}` };
+    }
+    if (key === 'border') {
+        return { border: Object.fromEntries(BORDER_SIDES.map(side => [side, parseBorderLine(value)])) };
+    }
+    if (key.startsWith('border-') && BORDER_SIDES.includes(key.substring(7))) {
+        return { border: { [key.substring(7)]: parseBorderLine(value) } };
+    }
+
+    const target = {
+        color: ['font', 'color'],
+        background: ['fill', 'color'],
+        'font-size': ['font', 'size'],
+        'font-family': ['font', 'family'],
+        align: ['alignment', 'horizontal'],
+        valign: ['alignment', 'vertical'],
+        indent: ['alignment', 'indent'],
+        rotate: ['alignment', 'rotation']
+    }[key];
+    if (!target || separator === -1) {
+        throw new Error(`Unknown format part: ${part}`);
+    }
+    return { [target[0]]: { [target[1]]: value } };
+}
+
+function normalizeSection(name, value, fields) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`Cell style ${name} must be an object`);
+    }
+    const unknown = Object.keys(value).find(key => !(key in fields));
+    if (unknown) {
+        throw new Error(`Unknown ${name} style field: ${unknown}. Use one of ${Object.keys(fields).join(', ')}`);
+    }
+
+    const normalized = {};
+    for (const [key, normalize] of Object.entries(fields)) {
+        if (value[key] !== undefined && value[key] !== null) {
+            const result = normalize(value[key]);
+            if (result !== undefined) {
+                normalized[key] = result;
+            }
+        }
+    }
+    return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+function flag(value) {
+    return value === true || value === 1 || value === '1' || value === 'true' ? true : undefined;
+}
+
+function text(label) {
+    return value => {
+        const trimmed = String(value).trim();
+        if (trimmed.includes(';')) {
+            throw new Error(`${label} cannot contain ";", got "${trimmed}"`);
+        }
+        return trimmed || undefined;
+    };
+}
+
+function fontSize(value) {
+    const trimmed = String(value).trim();
+    if (/^\d+(\.\d+)?(px)?$/.test(trimmed)) {
+        return Number(trimmed.replace('px', ''));
+    }
+    if (!/^\d+(\.\d+)?(pt|em|rem|%)$/.test(trimmed)) {
+        throw new Error(`Font size must be a number of pixels or a CSS length such as 12pt, got "${value}"`);
+    }
+    return trimmed;
+}
+
+function oneOf(label, allowed) {
+    return value => {
+        if (!allowed.includes(value)) {
+            throw new Error(`${label} must be one of ${allowed.join(', ')}, got "${value}"`);
+        }
+        return value;
+    };
+}
+
+function wholeNumber(label, min, max) {
+    return value => {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min || number > max) {
+            throw new Error(`${label} must be a whole number from ${min} to ${max}, got ${value}`);
+        }
+        return number === 0 ? undefined : number;
+    };
+}
+
+function borderLine(side) {
+    return value => {
+        if (typeof value !== 'object' || !BORDER_STYLES[value.style]) {
+            throw new Error(`Border ${side} style must be one of ${Object.keys(BORDER_STYLES).join(', ')}, got "${value?.style ?? value}"`);
+        }
+        const color = value.color ? text('Border color')(value.color) : undefined;
+        return color ? { style: value.style, color } : { style: value.style };
+    };
+}
+
+function parseBorderLine(value) {
+    const [style, ...color] = value.split(/\s+/);
+    return color.length > 0 ? { style: style.toLowerCase(), color: color.join(' ') } : { style: style.toLowerCase() };
+}
+
+function numberFormat(value) {
+    const format = String(value).trim();
+    const kind = format.substring(0, format.indexOf(':')).toLowerCase();
+    if (!NUMBER_FORMAT_KINDS.includes(kind)) {
+        throw new Error(`Number format must look like "number:#,##0.00", "currency:USD" or "percent:0.0%", got "${format}"`);
+    }
+    if (kind === 'number') {
+        const code = format.substring(kind.length + 1);
+        if (/[{}]/.test(code)) {
+            throw new Error(`Number format code cannot contain { or }, got "${code}"`);
+        }
+        parseNumberFormat(code);
+    }
+    return `${kind}${format.substring(kind.length)}`;
+}
+
+function deepFreeze(value) {
+    Object.values(value).forEach(inner => {
+        if (inner && typeof inner === 'object') {
+            deepFreeze(inner);
+        }
+    });
+    return Object.freeze(value);
+}
+
+export default {
+    STYLE_SECTIONS,
+    BORDER_STYLES,
+    BORDER_SIDES,
+    BORDER_PRESETS,
+    HORIZONTAL_ALIGNMENTS,
+    VERTICAL_ALIGNMENTS,
+    normalizeStyle,
+    parseFormatString,
+    formatStyle,
+    toFormatString,
+    mergeStyles,
+    toggleStyle,
+    styleToCSS,
+    styleToValueCSS,
+    formatNumber,
+    formatNumberWithColor,
+    parseBorderSpec,
+    StyleRegistry
+};
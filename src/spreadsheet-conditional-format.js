@@ -0,0 +1,524 @@
+/**
+ * Spreadsheet Conditional Formatting
+ * Rules that style the cells of a range according to their values. The model
+ * keeps the rules per sheet and re-evaluates them after each recalculation;
+ * this module validates rules and decides which cells they match. REXX
+ * expression rules need an interpreter, so the model evaluates those itself.
+ *
+ * Rule types:
+ * - cellValue: compare with a value ({operator: '>', value: 100}; 'between'
+ *   and 'notBetween' also take value2)
+ * - textContains: case-insensitive substring ({text: 'overdue'})
+ * - top / bottom: the N highest or lowest numbers ({count: 10, percent: false})
+ * - duplicates: values that occur more than once in the range
+ * - expression: REXX expression written for the top-left cell of the range;
+ *   other cells shift its relative references, as when filling a formula
+ *
+ * These rules have a style (a format string such as "background:#fdd;color:#900"),
+ * a priority (lower numbers are applied first) and stopIfTrue.
+ *
+ * Visual formats scale with the numbers in their range instead:
+ * - dataBar: a bar across the cell ({color, min, max})
+ * - colorScale: a background blended between 2 or 3 colours ({points: [{color, type, value}]})
+ * - iconSet: an icon per band of values ({iconSet: 'arrows3', thresholds, reverse, showValue})
+ * Their thresholds are {type: 'min' | 'max' | 'number' | 'percent' | 'percentile', value}.
+ */
+
+import { isErrorValue } from './spreadsheet-errors.js';
+import { parseFormatString } from './spreadsheet-cell-style.js';
+
+/**
+ * Rule types in the order the dialog lists them
+ */
+export const CONDITIONAL_FORMAT_TYPES = ['cellValue', 'textContains', 'top', 'bottom', 'duplicates', 'expression'];
+
+/**
+ * Visual format types, which style each cell by where its number falls in the range
+ */
+export const VISUAL_FORMAT_TYPES = ['dataBar', 'colorScale', 'iconSet'];
+
+/**
+ * Kinds of threshold for visual formats
+ */
+export const THRESHOLD_TYPES = ['min', 'max', 'number', 'percent', 'percentile'];
+
+/**
+ * Icon sets, lowest band first
+ */
+export const ICON_SETS = {
+    arrows3: [
+        { symbol: '↓', color: '#c00000' },
+        { symbol: '→', color: '#ffc000' },
+        { symbol: '↑', color: '#00b050' }
+    ],
+    arrows5: [
+        { symbol: '↓', color: '#c00000' },
+        { symbol: '↘', color: '#ed7d31' },
+        { symbol: '→', color: '#ffc000' },
+        { symbol: '↗', color: '#92d050' },
+        { symbol: '↑', color: '#00b050' }
+    ],
+    trafficLights3: [
+        { symbol: '●', color: '#c00000' },
+        { symbol: '●', color: '#ffc000' },
+        { symbol: '●', color: '#00b050' }
+    ],
+    symbols3: [
+        { symbol: '✖', color: '#c00000' },
+        { symbol: '!', color: '#ffc000' },
+        { symbol: '✔', color: '#00b050' }
+    ],
+    flags3: [
+        { symbol: '⚑', color: '#c00000' },
+        { symbol: '⚑', color: '#ffc000' },
+        { symbol: '⚑', color: '#00b050' }
+    ]
+};
+
+// Excel's default data bar colour
+const DEFAULT_DATA_BAR_COLOR = '#638ec6';
+
+/**
+ * Operators of cellValue rules
+ */
+export const VALUE_OPERATORS = ['>', '>=', '<', '<=', '=', '<>', 'between', 'notBetween'];
+
+/**
+ * Validate a rule and fill in defaults
+ * @param {Object} rule - {range, type, style, priority, stopIfTrue, ...criteria}
+ * @returns {Object} Normalized rule (priority stays undefined when not given)
+ */
+export function normalizeConditionalFormat(rule) {
+    const { range, type, style } = rule || {};
+    const visual = VISUAL_FORMAT_TYPES.includes(type);
+    if (!range || !/^[A-Z]+\d+(:[A-Z]+\d+)?$/i.test(range)) {
+        throw new Error(`Conditional format range must look like "A1:B10", got "${range}"`);
+    }
+    if (!CONDITIONAL_FORMAT_TYPES.includes(type) && !visual) {
+        throw new Error(`Unknown conditional format type: ${type}. Use one of ${[...CONDITIONAL_FORMAT_TYPES, ...VISUAL_FORMAT_TYPES].join(', ')}`);
+    }
+    if (!visual && (!style || typeof style !== 'string')) {
+        throw new Error('Conditional format requires a style (e.g., "background:#fdd;color:#900")');
+    }
+    if (!visual) {
+        // Throws on parts a cell format would not understand
+        parseFormatString(style);
+    }
+    if (rule.priority !== undefined && !Number.isFinite(rule.priority)) {
+        throw new Error(`Conditional format priority must be a number, got ${rule.priority}`);
+    }
+
+    const normalized = { range: range.toUpperCase(), type };
+    switch (type) {
+        case 'cellValue': {
+            if (!VALUE_OPERATORS.includes(rule.operator)) {
+                throw new Error(`Unknown value operator: ${rule.operator}`);
+            }
+            const between = rule.operator === 'between' || rule.operator === 'notBetween';
+            if (isBlank(rule.value) || (between && isBlank(rule.value2))) {
+                throw new Error(`Value condition ${rule.operator} needs ${between ? 'two values' : 'a value'}`);
+            }
+            Object.assign(normalized, { operator: rule.operator, value: rule.value });
+            if (between) {
+                normalized.value2 = rule.value2;
+            }
+            break;
+        }
+        case 'textContains':
+            if (isBlank(rule.text)) {
+                throw new Error('Text condition needs the text to look for');
+            }
+            normalized.text = String(rule.text);
+            break;
+        case 'top':
+        case 'bottom': {
+            const percent = !!rule.percent;
+            if (!Number.isInteger(rule.count) || rule.count < 1 || (percent && rule.count > 100)) {
+                throw new Error(`${type === 'top' ? 'Top' : 'Bottom'} rule count must be a whole number from 1${percent ? ' to 100' : ''}, got ${rule.count}`);
+            }
+            Object.assign(normalized, { count: rule.count, percent });
+            break;
+        }
+        case 'expression':
+            if (isBlank(rule.expression)) {
+                throw new Error('Expression condition needs a REXX expression');
+            }
+            normalized.expression = String(rule.expression).trim().replace(/^=\s*/, '');
+            break;
+        case 'dataBar':
+            Object.assign(normalized, {
+                color: normalizeColor(rule.color ?? DEFAULT_DATA_BAR_COLOR),
+                min: normalizeThreshold(rule.min ?? { type: 'min' }),
+                max: normalizeThreshold(rule.max ?? { type: 'max' })
+            });
+            break;
+        case 'colorScale': {
+            const points = rule.points || [];
+            if (points.length !== 2 && points.length !== 3) {
+                throw new Error(`A colour scale needs 2 or 3 colours, got ${points.length}`);
+            }
+            // Unless given, the ends are the lowest and highest values and the middle is the median
+            const defaults = [{ type: 'min' }, { type: 'percentile', value: 50 }, { type: 'max' }];
+            normalized.points = points.map((point, i) => {
+                const fallback = i === 0 ? defaults[0] : (i === points.length - 1 ? defaults[2] : defaults[1]);
+                const threshold = point.type ? { type: point.type, value: point.value } : fallback;
+                return { color: normalizeColor(point.color), ...normalizeThreshold(threshold) };
+            });
+            break;
+        }
+        case 'iconSet': {
+            const icons = ICON_SETS[rule.iconSet];
+            if (!icons) {
+                throw new Error(`Unknown icon set: ${rule.iconSet}. Use one of ${Object.keys(ICON_SETS).join(', ')}`);
+            }
+            // Unless given, the bands are equal shares of the range between lowest and highest
+            const thresholds = rule.thresholds
+                || icons.slice(1).map((icon, i) => ({ type: 'percent', value: Math.round((i + 1) * 100 / icons.length) }));
+            if (thresholds.length !== icons.length - 1) {
+                throw new Error(`Icon set ${rule.iconSet} needs ${icons.length - 1} thresholds, got ${thresholds.length}`);
+            }
+            Object.assign(normalized, {
+                iconSet: rule.iconSet,
+                thresholds: thresholds.map(normalizeThreshold),
+                reverse: !!rule.reverse,
+                showValue: rule.showValue !== false
+            });
+            break;
+        }
+        default:
+            break;
+    }
+
+    if (visual) {
+        return { ...normalized, priority: rule.priority };
+    }
+    return {
+        ...normalized,
+        style,
+        priority: rule.priority,
+        stopIfTrue: !!rule.stopIfTrue
+    };
+}
+
+/**
+ * Read the criteria of a rule as typed in ADDCONDITIONALFORMAT or the dialog
+ * - cellValue: "> 100", "<> Done", "between 1 and 5", "not between 1 and 5"
+ * - textContains / expression: the text or expression itself
+ * - top / bottom: "10" or "10%"
+ * - duplicates: ignored
+ * @param {string} type - Rule type
+ * @param {string} criteria - Criteria text
+ * @returns {Object} Criteria fields to merge into the rule
+ */
+export function parseConditionCriteria(type, criteria) {
+    const text = String(criteria ?? '').trim();
+    switch (type) {
+        case 'cellValue': {
+            const between = text.match(/^(not\s+)?between\s+(.+?)\s+and\s+(.+)$/i);
+            if (between) {
+                return {
+                    operator: between[1] ? 'notBetween' : 'between',
+                    value: parseLiteral(between[2]),
+                    value2: parseLiteral(between[3])
+                };
+            }
+            const comparison = text.match(/^(>=|<=|<>|>|<|=)\s*(.+)$/);
+            if (!comparison) {
+                throw new Error(`Value condition must look like "> 100" or "between 1 and 5", got "${text}"`);
+            }
+            return { operator: comparison[1], value: parseLiteral(comparison[2]) };
+        }
+        case 'textContains':
+            return { text };
+        case 'top':
+        case 'bottom': {
+            const match = text.match(/^(\d+)\s*(%?)$/);
+            if (!match) {
+                throw new Error(`${type === 'top' ? 'Top' : 'Bottom'} rule must look like "10" or "10%", got "${text}"`);
+            }
+            return { count: Number(match[1]), percent: match[2] === '%' };
+        }
+        case 'expression':
+            return { expression: text };
+        default:
+            return {};
+    }
+}
+
+/**
+ * Cells of a range matched by a rule that needs no interpreter
+ * @param {Object} rule - Normalized rule (any type but expression)
+ * @param {Array<{ref: string, value: *}>} cells - Cells of the rule's range
+ * @returns {Set<string>} References of the matching cells
+ */
+export function matchConditionalFormat(rule, cells) {
+    const candidates = cells.filter(({ value }) => !isBlank(value) && !isErrorValue(value));
+
+    switch (rule.type) {
+        case 'cellValue':
+            return refsWhere(candidates, value => compareCondition(value, rule));
+
+        case 'textContains': {
+            const needle = rule.text.toLowerCase();
+            return refsWhere(candidates, value => String(value).toLowerCase().includes(needle));
+        }
+
+        case 'top':
+        case 'bottom': {
+            const numbers = candidates.filter(({ value }) => isNumeric(value));
+            const count = rule.percent
+                ? Math.max(1, Math.floor(numbers.length * rule.count / 100))
+                : rule.count;
+            if (numbers.length === 0) {
+                return new Set();
+            }
+            const sorted = numbers.map(({ value }) => Number(value))
+                .sort((a, b) => (rule.type === 'top' ? b - a : a - b));
+            // Ties with the Nth value are included, as in Excel
+            const threshold = sorted[Math.min(count, sorted.length) - 1];
+            return refsWhere(numbers, value => (rule.type === 'top' ? Number(value) >= threshold : Number(value) <= threshold));
+        }
+
+        case 'duplicates': {
+            const counts = new Map();
+            const keyOf = value => String(value).toLowerCase();
+            candidates.forEach(({ value }) => counts.set(keyOf(value), (counts.get(keyOf(value)) || 0) + 1));
+            return refsWhere(candidates, value => counts.get(keyOf(value)) > 1);
+        }
+
+        default:
+            throw new Error(`${rule.type} rules are evaluated by the model`);
+    }
+}
+
+/**
+ * Read a visual format threshold as typed in REXX: "min", "max", a number,
+ * "10%" (percent of the way from lowest to highest), or "number:5",
+ * "percent:10", "percentile:90"
+ * @param {string} text - Threshold text
+ * @returns {{type: string, value?: number}}
+ */
+export function parseThreshold(text) {
+    const trimmed = String(text ?? '').trim().toLowerCase();
+    if (trimmed === 'min' || trimmed === 'max') {
+        return { type: trimmed };
+    }
+    const percent = trimmed.match(/^(-?[\d.]+)\s*%$/);
+    if (percent) {
+        return normalizeThreshold({ type: 'percent', value: Number(percent[1]) });
+    }
+    const prefixed = trimmed.match(/^(number|percent|percentile)\s*:\s*(.+)$/);
+    if (prefixed) {
+        return normalizeThreshold({ type: prefixed[1], value: Number(prefixed[2]) });
+    }
+    if (isNumeric(trimmed)) {
+        return { type: 'number', value: Number(trimmed) };
+    }
+    throw new Error(`Threshold must be min, max, a number, "10%" or "percentile:90", got "${text}"`);
+}
+
+/**
+ * What a visual format shows in each numeric cell of its range
+ * @param {Object} rule - Normalized dataBar, colorScale or iconSet rule
+ * @param {Array<{ref: string, value: *}>} cells - Cells of the rule's range
+ * @returns {Map<string, Object>} ref -> {dataBar: {fraction, color}},
+ *   {background} or {icon: {symbol, color}, showValue}
+ */
+export function computeVisualFormat(rule, cells) {
+    const numbers = cells
+        .filter(({ value }) => !isBlank(value) && !isErrorValue(value) && isNumeric(value))
+        .map(({ ref, value }) => ({ ref, value: Number(value) }));
+    const results = new Map();
+    if (numbers.length === 0) {
+        return results;
+    }
+
+    const sorted = numbers.map(({ value }) => value).sort((a, b) => a - b);
+    const resolve = threshold => resolveThreshold(threshold, sorted);
+
+    switch (rule.type) {
+        case 'dataBar': {
+            const low = resolve(rule.min);
+            const high = resolve(rule.max);
+            numbers.forEach(({ ref, value }) => {
+                const fraction = high > low ? Math.min(1, Math.max(0, (value - low) / (high - low))) : 1;
+                results.set(ref, { dataBar: { fraction, color: rule.color } });
+            });
+            break;
+        }
+        case 'colorScale': {
+            const stops = rule.points.map(point => ({ at: resolve(point), color: point.color }));
+            numbers.forEach(({ ref, value }) => results.set(ref, { background: colorAt(stops, value) }));
+            break;
+        }
+        case 'iconSet': {
+            const icons = ICON_SETS[rule.iconSet];
+            const bounds = rule.thresholds.map(resolve);
+            numbers.forEach(({ ref, value }) => {
+                const band = bounds.filter(bound => value >= bound).length;
+                const icon = icons[rule.reverse ? icons.length - 1 - band : band];
+                results.set(ref, { icon: { ...icon }, showValue: rule.showValue });
+            });
+            break;
+        }
+        default:
+            throw new Error(`${rule.type} is not a visual format`);
+    }
+    return results;
+}
+
+/**
+ * Whether the result of an expression rule counts as true: true, or a
+ * non-zero number (REXX comparisons give 1 or 0)
+ */
+export function isConditionTrue(result) {
+    if (result === true) {
+        return true;
+    }
+    return !isBlank(result) && isNumeric(result) && Number(result) !== 0;
+}
+
+function compareCondition(value, rule) {
+    switch (rule.operator) {
+        case '>': return compare(value, rule.value) > 0;
+        case '>=': return compare(value, rule.value) >= 0;
+        case '<': return compare(value, rule.value) < 0;
+        case '<=': return compare(value, rule.value) <= 0;
+        case '=': return compare(value, rule.value) === 0;
+        case '<>': return compare(value, rule.value) !== 0;
+        case 'between':
+        case 'notBetween': {
+            if (Number.isNaN(compare(value, rule.value)) || Number.isNaN(compare(value, rule.value2))) {
+                return false;
+            }
+            const [low, high] = compare(rule.value, rule.value2) <= 0
+                ? [rule.value, rule.value2]
+                : [rule.value2, rule.value];
+            const inside = compare(value, low) >= 0 && compare(value, high) <= 0;
+            return rule.operator === 'between' ? inside : !inside;
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Numbers compare numerically and text as case-insensitive text; a number and
+ * text are unordered (NaN), so only <> matches them
+ */
+function compare(a, b) {
+    if (isNumeric(a) && isNumeric(b)) {
+        return Number(a) - Number(b);
+    }
+    if (isNumeric(a) || isNumeric(b)) {
+        return NaN;
+    }
+    const left = String(a).toLowerCase();
+    const right = String(b).toLowerCase();
+    return left < right ? -1 : (left > right ? 1 : 0);
+}
+
+function normalizeThreshold(threshold) {
+    const { type, value } = threshold || {};
+    if (!THRESHOLD_TYPES.includes(type)) {
+        throw new Error(`Unknown threshold type: ${type}. Use one of ${THRESHOLD_TYPES.join(', ')}`);
+    }
+    if (type === 'min' || type === 'max') {
+        return { type };
+    }
+    if (!Number.isFinite(value) || (type !== 'number' && (value < 0 || value > 100))) {
+        throw new Error(`Threshold ${type} needs ${type === 'number' ? 'a number' : 'a value from 0 to 100'}, got ${value}`);
+    }
+    return { type, value };
+}
+
+function normalizeColor(color) {
+    const text = String(color ?? '').trim();
+    const short = text.match(/^#([0-9a-f])([0-9a-f])([0-9a-f])$/i);
+    if (short) {
+        return `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`.toLowerCase();
+    }
+    if (!/^#[0-9a-f]{6}$/i.test(text)) {
+        throw new Error(`Colour must be a hex colour such as #63be7b, got "${text}"`);
+    }
+    return text.toLowerCase();
+}
+
+/**
+ * Value of a threshold among the sorted numbers of a range
+ */
+function resolveThreshold(threshold, sorted) {
+    const low = sorted[0];
+    const high = sorted[sorted.length - 1];
+    switch (threshold.type) {
+        case 'min': return low;
+        case 'max': return high;
+        case 'number': return threshold.value;
+        case 'percent': return low + (high - low) * threshold.value / 100;
+        case 'percentile': {
+            // Interpolated like PERCENTILE.INC
+            const rank = (sorted.length - 1) * threshold.value / 100;
+            const below = Math.floor(rank);
+            const above = Math.min(below + 1, sorted.length - 1);
+            return sorted[below] + (sorted[above] - sorted[below]) * (rank - below);
+        }
+        default:
+            return NaN;
+    }
+}
+
+/**
+ * Colour of a value on a scale of {at, color} stops, blending between neighbours
+ */
+function colorAt(stops, value) {
+    if (value <= stops[0].at) {
+        return stops[0].color;
+    }
+    for (let i = 1; i < stops.length; i++) {
+        const from = stops[i - 1];
+        const to = stops[i];
+        if (value <= to.at) {
+            const t = to.at > from.at ? (value - from.at) / (to.at - from.at) : 1;
+            return blend(from.color, to.color, t);
+        }
+    }
+    return stops[stops.length - 1].color;
+}
+
+function blend(from, to, t) {
+    const channel = (color, i) => parseInt(color.slice(1 + i * 2, 3 + i * 2), 16);
+    return '#' + [0, 1, 2]
+        .map(i => Math.round(channel(from, i) + (channel(to, i) - channel(from, i)) * t).toString(16).padStart(2, '0'))
+        .join('');
+}
+
+function refsWhere(cells, predicate) {
+    return new Set(cells.filter(({ value }) => predicate(value)).map(({ ref }) => ref));
+}
+
+function parseLiteral(text) {
+    const trimmed = text.trim().replace(/^(["'])(.*)\1$/, '$2');
+    return isNumeric(trimmed) ? Number(trimmed) : trimmed;
+}
+
+function isNumeric(value) {
+    return typeof value === 'number' ? Number.isFinite(value) : (String(value).trim() !== '' && Number.isFinite(Number(value)));
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+export default {
+    CONDITIONAL_FORMAT_TYPES,
+    VISUAL_FORMAT_TYPES,
+    THRESHOLD_TYPES,
+    ICON_SETS,
+    VALUE_OPERATORS,
+    normalizeConditionalFormat,
+    parseConditionCriteria,
+    parseThreshold,
+    matchConditionalFormat,
+    computeVisualFormat,
+    isConditionTrue
+};
@@ -19,6 +19,12 @@
  * alternative spreadsheet implementations using this protocol.
  */
 
+import { parseConstraint } from './spreadsheet-solver.js';
+import { CONDITIONAL_FORMAT_TYPES, ICON_SETS, parseConditionCriteria, parseThreshold } from './spreadsheet-conditional-format.js';
+import { formatNumber } from './spreadsheet-cell-style.js';
+import { formatValue } from './spreadsheet-number-format.js';
+import { amortizationSchedule } from './spreadsheet-financial.js';
+
 /**
  * Create spreadsheet control functions bound to a specific model and adapter
  * @param {SpreadsheetModel} model - The spreadsheet model
@@ -44,8 +50,8 @@ export function createSpreadsheetControlFunctions(model, adapter) {
       // Convert content to string
       const contentStr = String(content);
 
-      // Set the cell
-      await model.setCell(cellRef, contentStr, adapter);
+      // Set the cell; from inside a formula, the running recalculation picks it up
+      await model.setCell(cellRef, contentStr, adapter, { fromFormula: adapter.isEvaluating() });
 
       // Trigger UI update
       if (typeof window !== 'undefined') {
@@ -92,7 +98,7 @@ export function createSpreadsheetControlFunctions(model, adapter) {
         throw new Error('CLEARCELL requires cell reference as argument (e.g., "A1")');
       }
 
-      await model.setCell(cellRef, '', adapter);
+      await model.setCell(cellRef, '', adapter, { fromFormula: adapter.isEvaluating() });
 
       // Trigger UI update
       if (typeof window !== 'undefined') {
@@ -285,9 +291,11 @@ export function createSpreadsheetControlFunctions(model, adapter) {
     },
 
     /**
-     * SETFORMAT - Set cell format
+     * SETFORMAT - Set cell format, as a format string or a style object
      * Usage: CALL SETFORMAT("A1", "bold")
-     *        CALL SETFORMAT("A1", "bold;italic;color:red")
+     *        CALL SETFORMAT("A1", "bold;italic;color:red;border-bottom:thin")
+     *        CALL SETFORMAT("A1", '{"font": {"bold": true}, "alignment": {"indent": 2}}')
+     * Returns: The canonical format string now on the cell
      */
     SETFORMAT: async function(cellRef, format) {
       if (!cellRef || typeof cellRef !== 'string') {
@@ -297,28 +305,105 @@ export function createSpreadsheetControlFunctions(model, adapter) {
         format = '';
       }
 
-      const formatStr = String(format);
-      model.setCellMetadata(cellRef, { format: formatStr });
+      let style = format;
+      if (typeof format === 'string' && format.trim().startsWith('{')) {
+        try {
+          style = JSON.parse(format);
+        } catch (error) {
+          throw new Error(`SETFORMAT style object is not valid JSON: ${error.message}`);
+        }
+      } else if (typeof format !== 'object') {
+        style = String(format);
+      }
+      model.setCellStyle(cellRef, style);
 
       // Trigger UI update
       if (typeof window !== 'undefined') {
         window.dispatchEvent(new CustomEvent('spreadsheet-update'));
       }
 
-      return formatStr;
+      return model.getCell(cellRef).format || '';
     },
 
     /**
      * GETFORMAT - Get cell format
-     * Usage: format = GETFORMAT("A1")
+     * Usage: format = GETFORMAT("A1")              -- format string
+     *        style = GETFORMAT("A1", "OBJECT")     -- style object as JSON
      */
-    GETFORMAT: function(cellRef) {
+    GETFORMAT: function(cellRef, form = 'string') {
       if (!cellRef || typeof cellRef !== 'string') {
         throw new Error('GETFORMAT requires cell reference as argument (e.g., "A1")');
       }
 
+      switch (String(form).toLowerCase()) {
+        case 'string':
+          return model.getCell(cellRef).format || '';
+        case 'object':
+        case 'json':
+          return JSON.stringify(model.getCellStyle(cellRef));
+        default:
+          throw new Error(`GETFORMAT form must be STRING or OBJECT, got ${form}`);
+      }
+    },
+
+    /**
+     * SETBORDER - Draw or clear borders on a range; a merged block counts as one cell
+     * Usage: CALL SETBORDER("A1:C5", "outline")            -- thin outer edges
+     *        CALL SETBORDER("A1:C5", "all thin #999999")   -- every edge, grey
+     *        CALL SETBORDER("A5:C5", "bottom double")      -- total line
+     *        CALL SETBORDER("A1:C5", "none")               -- clear
+     * Spec: preset (all, outline, inside, top, bottom, left, right, none),
+     *       then style (thin, medium, thick, dashed, dotted, double) and colour
+     */
+    SETBORDER: async function(rangeRef, spec) {
+      if (!rangeRef || typeof rangeRef !== 'string') {
+        throw new Error('SETBORDER requires a range and a border spec (e.g., "A1:C3", "outline")');
+      }
+      model.setBorder(rangeRef, spec);
+
+      return rangeRef;
+    },
+
+    /**
+     * GETBORDER - Get the border drawn around a cell
+     * Usage: border = GETBORDER("A1")
+     * Returns: JSON of the sides drawn, e.g. {"bottom":{"style":"double"}}
+     */
+    GETBORDER: function(cellRef) {
+      if (!cellRef || typeof cellRef !== 'string') {
+        throw new Error('GETBORDER requires cell reference as argument (e.g., "A1")');
+      }
+      return JSON.stringify(model.getCellBorder(cellRef.toUpperCase()));
+    },
+
+    /**
+     * FORMATVALUE - Display a value with a number format code, like Excel's TEXT()
+     * Usage: text = FORMATVALUE(-1234.5, "#,##0.00;(#,##0.00)")  -- "(1,234.50)"
+     *        text = FORMATVALUE(45306, "yyyy-mm-dd")           -- "2024-01-15"
+     * Returns: The formatted text
+     */
+    FORMATVALUE: function(value, formatCode) {
+      if (formatCode === undefined || formatCode === null) {
+        throw new Error('FORMATVALUE requires a value and a format code');
+      }
+      return formatValue(value, String(formatCode)).text;
+    },
+
+    /**
+     * GETDISPLAYVALUE - Get a cell's value as shown, with its number format applied
+     * Usage: shown = GETDISPLAYVALUE("A1")
+     * Returns: The displayed text; errors are shown as they are
+     */
+    GETDISPLAYVALUE: function(cellRef) {
+      if (!cellRef || typeof cellRef !== 'string') {
+        throw new Error('GETDISPLAYVALUE requires cell reference as argument (e.g., "A1")');
+      }
       const cell = model.getCell(cellRef);
-      return cell.format || '';
+      const value = cell.value ?? '';
+      if (cell.error) {
+        return String(value);
+      }
+      return String(formatNumber(value, model.getCellStyle(cellRef).numberFormat) ?? '');
     },
 
     /**
@@ -499,17 +584,19 @@ export function createSpreadsheetControlFunctions(model, adapter) {
         throw new Error('SETCELLS values must be an array or REXX stem array');
       }
 
-      // Set cells
+      // Set cells as one undo step
       let valueIndex = 0;
-      for (let row = startRow; row <= endRow; row++) {
-        for (let col = startCol; col <= endCol; col++) {
-          if (valueIndex < valuesArray.length) {
-            const ref = SpreadsheetModel.formatCellRef(col, row);
-            await model.setCell(ref, String(valuesArray[valueIndex]), adapter);
-            valueIndex++;
+      await model.transaction(`SETCELLS ${rangeRef}`, async () => {
+        for (let row = startRow; row <= endRow; row++) {
+          for (let col = startCol; col <= endCol; col++) {
+            if (valueIndex < valuesArray.length) {
+              const ref = SpreadsheetModel.formatCellRef(col, row);
+              await model.setCell(ref, String(valuesArray[valueIndex]), adapter);
+              valueIndex++;
+            }
           }
         }
-      }
+      }, adapter);
 
       // Trigger UI update
       if (typeof window !== 'undefined') {
@@ -519,12 +606,55 @@ export function createSpreadsheetControlFunctions(model, adapter) {
       return valueIndex; // Return count of cells set
     },
 
+    /**
+     * AMORTIZE - Write a loan amortisation schedule: a header row, then one row per
+     * period with Period, Payment, Interest, Principal and Balance
+     * Usage: CALL AMORTIZE("A1", 0.05/12, 360, 200000)        -- 30-year loan, monthly
+     *        CALL AMORTIZE("A1", 0.06/12, 60, 25000, 5000)    -- 5000 balloon left to pay
+     *        CALL AMORTIZE("A1", 0.06/12, 60, 25000, 0, 1)    -- paid at the start of each month
+     * Returns: the range written (e.g., "A1:E361")
+     */
+    AMORTIZE: async function(startRef, rate, nper, pv, fv = 0, type = 0) {
+      if (!startRef || typeof startRef !== 'string') {
+        throw new Error('AMORTIZE requires a start cell, rate, number of periods and loan amount (e.g., "A1", 0.05/12, 360, 200000)');
+      }
+
+      const schedule = amortizationSchedule(rate, nper, pv, fv, type);
+      const start = SpreadsheetModel.parseCellRef(startRef.toUpperCase());
+      const startCol = SpreadsheetModel.colLetterToNumber(start.col);
+      const endRow = start.row + schedule.length;
+      if (endRow > model.rows || startCol + 4 > model.cols) {
+        throw new Error(`AMORTIZE needs ${schedule.length + 1} rows and 5 columns from ${startRef}, which runs off the sheet`);
+      }
+
+      const rows = [
+        ['Period', 'Payment', 'Interest', 'Principal', 'Balance'],
+        ...schedule.map(line => [line.period, line.payment, line.interest, line.principal, line.balance])
+      ];
+      const rangeRef = `${SpreadsheetModel.formatCellRef(startCol, start.row)}:${SpreadsheetModel.formatCellRef(startCol + 4, endRow)}`;
+
+      // Write the schedule as one undo step, money columns formatted to cents
+      await model.transaction(`AMORTIZE ${rangeRef}`, async () => {
+        for (let r = 0; r < rows.length; r++) {
+          for (let c = 0; c < 5; c++) {
+            const format = r === 0 ? 'bold' : (c > 0 ? 'number:#,##0.00' : '');
+            const ref = SpreadsheetModel.formatCellRef(startCol + c, start.row + r);
+            await model.setCell(ref, String(rows[r][c]), adapter, { format });
+          }
+        }
+      }, adapter);
+
+      return rangeRef;
+    },
+
     /**
      * BATCH_SET_CELLS - Set multiple cells with individual addresses
      * More flexible than SETCELLS - each cell can have its own address
      * Usage: updates = '[{"address":"A1","value":"100"},{"address":"B2","value":"200"}]'
      *        CALL BATCH_SET_CELLS(updates)
      *        count = BATCH_SET_CELLS(updates)
+     * The updates are one undo step: if any of them fails, none are kept and
+     * the error lists every failed update.
      */
     BATCH_SET_CELLS: async function(updatesJson) {
       if (!updatesJson) {
@@ -557,34 +687,37 @@ export function createSpreadsheetControlFunctions(model, adapter) {
         if (update.value === undefined) {
           throw new Error(`Update for ${update.address} must have a "value" field`);
         }
-        // Validate cell reference format (e.g., A1, B2, AA10)
-        if (!/^[A-Z]+\d+$/i.test(update.address)) {
-          // Don't throw - collect as error instead for partial success
-          // throw new Error(`Invalid cell reference: ${update.address}`);
-        }
       }
 
-      // Apply all updates
+      // Apply all updates as one undo step
       let successCount = 0;
       const errors = [];
 
-      for (const update of updates) {
-        try {
-          // Validate cell reference format
-          if (!/^[A-Z]+\d+$/i.test(update.address)) {
-            throw new Error(`Invalid cell reference format: ${update.address}`);
+      await model.transaction(`BATCH_SET_CELLS ${updates.length} cells`, async () => {
+        for (const update of updates) {
+          try {
+            // Validate cell reference format
+            if (!/^[A-Z]+\d+$/i.test(update.address)) {
+              throw new Error(`Invalid cell reference format: ${update.address}`);
+            }
+
+            const contentStr = String(update.value);
+            await model.setCell(update.address, contentStr, adapter);
+            successCount++;
+          } catch (error) {
+            errors.push({
+              address: update.address,
+              error: error.message
+            });
           }
+        }
 
-          const contentStr = String(update.value);
-          await model.setCell(update.address, contentStr, adapter);
-          successCount++;
-        } catch (error) {
-          errors.push({
-            address: update.address,
-            error: error.message
-          });
+        // Failing the transaction rolls back the updates that succeeded
+        if (errors.length > 0) {
+          const details = errors.map(({ address, error }) => `${address}: ${error}`).join('; ');
+          throw new Error(`BATCH_SET_CELLS failed for ${errors.length} of ${updates.length} cells, no cells were changed (${details})`);
         }
-      }
+      }, adapter);
 
       // Trigger UI update once after all cells are set
       if (typeof window !== 'undefined') {
@@ -610,6 +743,8 @@ export function createSpreadsheetControlFunctions(model, adapter) {
      * Usage: commands = '[{"command":"SETCELL","args":["A1","100"]},{"command":"SETCELL","args":["B1","200"]}]'
      *        CALL BATCH_EXECUTE(commands)
      *        results = BATCH_EXECUTE(commands)
+     * The commands are one undo step: if any of them fails, the changes of all
+     * of them are rolled back and the error lists every failed command.
      */
     BATCH_EXECUTE: async function(commandsJson) {
       if (!commandsJson) {
@@ -637,60 +772,69 @@ export function createSpreadsheetControlFunctions(model, adapter) {
       // Get reference to all control functions
       const controlFunctions = createSpreadsheetControlFunctions(model, adapter);
 
-      // Execute commands
+      // Execute commands as one undo step
       const results = [];
 
-      for (let i = 0; i < commands.length; i++) {
-        const cmd = commands[i];
+      await model.transaction(`BATCH_EXECUTE ${commands.length} commands`, async () => {
+        for (let i = 0; i < commands.length; i++) {
+          const cmd = commands[i];
+
+          if (!cmd.command || typeof cmd.command !== 'string') {
+            results.push({
+              index: i,
+              success: false,
+              error: 'Command must have a "command" field'
+            });
+            continue;
+          }
 
-        if (!cmd.command || typeof cmd.command !== 'string') {
-          results.push({
-            index: i,
-            success: false,
-            error: 'Command must have a "command" field'
-          });
-          continue;
-        }
+          if (!cmd.args || !Array.isArray(cmd.args)) {
+            results.push({
+              index: i,
+              success: false,
+              error: 'Command must have an "args" array'
+            });
+            continue;
+          }
 
-        if (!cmd.args || !Array.isArray(cmd.args)) {
-          results.push({
-            index: i,
-            success: false,
-            error: 'Command must have an "args" array'
-          });
-          continue;
-        }
+          const commandName = cmd.command.toUpperCase();
+          const func = controlFunctions[commandName];
+
+          if (!func) {
+            results.push({
+              index: i,
+              command: commandName,
+              success: false,
+              error: `Unknown command: ${commandName}`
+            });
+            continue;
+          }
 
-        const commandName = cmd.command.toUpperCase();
-        const func = controlFunctions[commandName];
-
-        if (!func) {
-          results.push({
-            index: i,
-            command: commandName,
-            success: false,
-            error: `Unknown command: ${commandName}`
-          });
-          continue;
+          try {
+            const result = await func(...cmd.args);
+            results.push({
+              index: i,
+              command: commandName,
+              success: true,
+              result: result
+            });
+          } catch (error) {
+            results.push({
+              index: i,
+              command: commandName,
+              success: false,
+              error: error.message
+            });
+          }
         }
 
-        try {
-          const result = await func(...cmd.args);
-          results.push({
-            index: i,
-            command: commandName,
-            success: true,
-            result: result
-          });
-        } catch (error) {
-          results.push({
-            index: i,
-            command: commandName,
-            success: false,
-            error: error.message
-          });
+        // Failing the transaction rolls back the commands that succeeded
+        const failed = results.filter(result => !result.success);
+        if (failed.length > 0) {
+          const details = failed.map(({ index, error }) => `#${index + 1}: ${error}`).join('; ');
+          throw new Error(`BATCH_EXECUTE failed for ${failed.length} of ${commands.length} commands, no changes were kept (${details})`);
         }
-      }
+      }, adapter);
 
       // Trigger UI update once after all commands
       if (typeof window !== 'undefined') {
@@ -705,9 +849,7 @@ export function createSpreadsheetControlFunctions(model, adapter) {
      * Usage: CALL CLEAR()
      */
     CLEAR: async function() {
-      model.cells.clear();
-      model.dependents.clear();
-      model.evaluationInProgress.clear();
+      model.clearCells();
 
       // Trigger UI update
       if (typeof window !== 'undefined') {
@@ -738,7 +880,7 @@ export function createSpreadsheetControlFunctions(model, adapter) {
 
       try {
         const data = JSON.parse(jsonData);
-        model.fromJSON(data, adapter);
+        model.importWorkbook(data, adapter);
 
         // Trigger UI update
         if (typeof window !== 'undefined') {
@@ -808,10 +950,8 @@ export function createSpreadsheetControlFunctions(model, adapter) {
         }
       }
 
-      // Recalculate each cell
-      for (const ref of cellsWithFormulas) {
-        await model.evaluateCell(ref, adapter);
-      }
+      // Recalculate in dependency order, waiting for the chain to settle
+      await model.recalculateAll(adapter);
 
       // Trigger UI update
       if (typeof window !== 'undefined') {
@@ -866,6 +1006,113 @@ export function createSpreadsheetControlFunctions(model, adapter) {
       }
     },
 
+    /**
+     * DEFINE_FUNCTION - Declare a function that any cell can call, usually in the setup script
+     * Usage: CALL DEFINE_FUNCTION "TAX", "amount: Price before tax, rate = 0.2: Tax rate", "amount * rate", "Sales tax on an amount"
+     *        CALL DEFINE_FUNCTION "MARGIN", "sales, costs", "(SUM_RANGE(sales) - SUM_RANGE(costs)) / SUM_RANGE(sales)"
+     * Parameters are separated by commas; "= value" makes one optional and
+     * ": text" describes it. Defining a function again replaces it and
+     * recalculates every cell that uses it.
+     */
+    DEFINE_FUNCTION: async function(name, params, body, description) {
+      if (!name || body === undefined || body === null || String(body).trim() === '') {
+        throw new Error('DEFINE_FUNCTION requires a name, a parameter list and a body (e.g., "TAX", "amount", "amount * 0.2")');
+      }
+
+      const definition = await adapter.defineFunction(name, params, body, description);
+
+      return definition.name;
+    },
+
+    /**
+     * SETITERATION - Enable iterative calculation of circular references
+     * Usage: CALL SETITERATION(1)             -- iterate with current limits
+     *        CALL SETITERATION(1, 500, 0.0001) -- max iterations, max change
+     *        CALL SETITERATION(0)             -- cycles become #CIRCULAR! again
+     * Cycles that do not settle within the limits show #CONVERGE!
+     */
+    SETITERATION: async function(enabled, maxIterations, maxChange) {
+      const settings = { enabled: enabled === 1 || enabled === '1' || enabled === true || enabled === 'true' };
+      if (maxIterations !== undefined && maxIterations !== '') {
+        settings.maxIterations = Number(maxIterations);
+      }
+      if (maxChange !== undefined && maxChange !== '') {
+        settings.maxChange = Number(maxChange);
+      }
+
+      await model.setIterativeCalculation(settings, adapter);
+
+      return 'OK';
+    },
+
+    /**
+     * GETITERATION - Get iterative calculation settings
+     * Usage: it = GETITERATION()
+     *        SAY it.enabled it.maxIterations it.maxChange
+     * Returns: Stem with enabled (1 or 0), maxIterations and maxChange
+     */
+    GETITERATION: function() {
+      const settings = model.getIterativeCalculation();
+      return {
+        enabled: settings.enabled ? 1 : 0,
+        maxIterations: settings.maxIterations,
+        maxChange: settings.maxChange
+      };
+    },
+
+    /**
+     * GOALSEEK - Change one cell until a formula cell reaches a value
+     * Usage: price = GOALSEEK("B10", 1000, "B2")   -- make B10 = 1000 by changing B2
+     * Returns: The value written to the changing cell (one undoable step)
+     */
+    GOALSEEK: async function(targetRef, targetValue, changingRef) {
+      if (!targetRef || !changingRef) {
+        throw new Error('GOALSEEK requires target cell, target value and changing cell');
+      }
+
+      const result = await model.goalSeek(String(targetRef).toUpperCase(), targetValue,
+        String(changingRef).toUpperCase(), adapter);
+      if (!result.found) {
+        throw new Error(`GOALSEEK found no value of ${changingRef} that makes ${targetRef} equal ${targetValue}`);
+      }
+
+      return Number(model.getCellValue(String(changingRef).toUpperCase()));
+    },
+
+    /**
+     * SOLVE - Maximize, minimize or hit a value in a formula cell by changing a range
+     * Usage: r = SOLVE("B3", "MAX", "B1:B2", "B4 <= 10", "B1 >= 0", "B2 >= 0")
+     *        r = SOLVE("B3", "MIN", "B1:B2")
+     *        r = SOLVE("B3", 50, "B1:B2")        -- drive B3 to 50
+     * Constraints are "cell op limit" strings, op one of <=, >=, =; limit is a
+     * number or a cell reference
+     * Returns: Stem with feasible (1/0), objective, iterations and one entry per
+     *          changing cell (r.B1, r.B2); the answer is written as one undoable step
+     */
+    SOLVE: async function(targetRef, goal, changingRange, ...constraintSpecs) {
+      if (!targetRef || goal === undefined || !changingRange) {
+        throw new Error('SOLVE requires target cell, goal (MAX, MIN or a value) and changing range');
+      }
+
+      const goalName = String(goal).toLowerCase();
+      const problem = {
+        target: String(targetRef).toUpperCase(),
+        goal: goalName === 'max' || goalName === 'min' ? goalName : 'value',
+        targetValue: Number(goal),
+        changing: String(changingRange).toUpperCase(),
+        constraints: constraintSpecs.map(parseConstraint)
+      };
+
+      const result = await model.solve(problem, adapter);
+
+      return {
+        feasible: result.feasible ? 1 : 0,
+        objective: result.objective,
+        iterations: result.iterations,
+        ...result.values
+      };
+    },
+
     /**
      * INSERTROW - Insert a row at the specified position
      * Usage: CALL INSERTROW(2)  -- Insert before row 2
@@ -1317,12 +1564,12 @@ export function createSpreadsheetControlFunctions(model, adapter) {
      * Usage: CALL DEFINENAMEDRANGE("SalesData", "A1:B10")
      *        CALL DEFINENAMEDRANGE("TaxRate", "A1")
      */
-    DEFINENAMEDRANGE: function(name, rangeRef) {
+    DEFINENAMEDRANGE: async function(name, rangeRef) {
       if (!name || !rangeRef) {
         throw new Error('DEFINENAMEDRANGE requires name and range reference');
       }
 
-      model.defineNamedRange(name, rangeRef);
+      await model.defineNamedRange(name, rangeRef, adapter);
 
       return 'OK';
     },
@@ -1331,12 +1578,12 @@ export function createSpreadsheetControlFunctions(model, adapter) {
      * DELETENAMEDRANGE - Delete a named range
      * Usage: CALL DELETENAMEDRANGE("SalesData")
      */
-    DELETENAMEDRANGE: function(name) {
+    DELETENAMEDRANGE: async function(name) {
       if (!name) {
         throw new Error('DELETENAMEDRANGE requires name as argument');
       }
 
-      model.deleteNamedRange(name);
+      await model.deleteNamedRange(name, adapter);
 
       return 'OK';
     },
@@ -1481,9 +1728,10 @@ export function createSpreadsheetControlFunctions(model, adapter) {
      * UNDO - Undo the last action
      * Usage: success = UNDO()
      * Returns: 1 if undo performed, 0 if nothing to undo
+     * Fails while a transaction is open (COMMIT or ROLLBACK it first)
      */
     UNDO: async function() {
-      const success = model.undo(adapter);
+      const success = await model.undo(adapter);
 
       if (typeof window !== 'undefined') {
         window.dispatchEvent(new CustomEvent('spreadsheet-update'));
@@ -1496,9 +1744,10 @@ export function createSpreadsheetControlFunctions(model, adapter) {
      * REDO - Redo the last undone action
      * Usage: success = REDO()
      * Returns: 1 if redo performed, 0 if nothing to redo
+     * Fails while a transaction is open (COMMIT or ROLLBACK it first)
      */
     REDO: async function() {
-      const success = model.redo(adapter);
+      const success = await model.redo(adapter);
 
       if (typeof window !== 'undefined') {
         window.dispatchEvent(new CustomEvent('spreadsheet-update'));
@@ -1525,6 +1774,68 @@ export function createSpreadsheetControlFunctions(model, adapter) {
       return model.canRedo() ? 1 : 0;
     },
 
+    /**
+     * GETHISTORY - List undo history, oldest first
+     * Usage: history = GETHISTORY()
+     *        SAY history.1.action   -- e.g. "setCell B4"
+     * Returns: REXX stem array of {index, action, timestamp, undone}; entries
+     *          with undone = 1 can be redone. history.dropped counts the oldest
+     *          steps no longer kept (see the history size limit)
+     */
+    GETHISTORY: function() {
+      const entries = model.getHistory();
+      const result = { 0: entries.length, dropped: model.getDroppedHistoryCount() };
+      entries.forEach((entry, i) => {
+        result[i + 1] = {
+          index: entry.index,
+          action: entry.action,
+          timestamp: entry.timestamp,
+          undone: entry.undone ? 1 : 0
+        };
+      });
+      return result;
+    },
+
+    /**
+     * UNDOTO - Undo (or redo) until only the first n history entries are applied
+     * Usage: CALL UNDOTO(3)   -- keep GETHISTORY() entries 1-3
+     *        CALL UNDOTO(0)   -- undo everything
+     * Returns: Number of steps undone (negative when steps were redone)
+     */
+    UNDOTO: async function(index) {
+      return model.undoTo(parseInt(index, 10), adapter);
+    },
+
+    /**
+     * BEGIN_TRANSACTION - Group the following changes into one undo step
+     * Usage: CALL BEGIN_TRANSACTION("Load quarterly figures")
+     * Returns: Number of open transactions
+     */
+    BEGIN_TRANSACTION: function(label) {
+      return model.beginTransaction(label ? String(label) : 'transaction');
+    },
+
+    /**
+     * COMMIT - Close the innermost transaction, keeping its changes
+     * Usage: CALL COMMIT()
+     * Returns: Label of the committed transaction
+     */
+    COMMIT: function() {
+      return model.commitTransaction();
+    },
+
+    /**
+     * ROLLBACK - Close the innermost transaction, reverting its changes
+     * Usage: CALL ROLLBACK()
+     * Returns: Label of the rolled back transaction
+     */
+    ROLLBACK: async function() {
+      const label = model.rollbackTransaction(adapter);
+      await model.whenRecalculated();
+
+      return label;
+    },
+
     /**
      * ADDSHEET - Add a new sheet to the spreadsheet
      * Usage: CALL ADDSHEET("Sheet2")
@@ -1536,7 +1847,7 @@ export function createSpreadsheetControlFunctions(model, adapter) {
         throw new Error('ADDSHEET requires sheet name as argument');
       }
 
-      model.addSheet(sheetName);
+      model.addSheet(sheetName, adapter);
 
       // Trigger UI update
       if (typeof window !== 'undefined') {
@@ -1550,12 +1861,12 @@ export function createSpreadsheetControlFunctions(model, adapter) {
      * DELETESHEET - Delete a sheet from the spreadsheet
      * Usage: CALL DELETESHEET("Sheet2")
      */
-    DELETESHEET: function(sheetName) {
+    DELETESHEET: async function(sheetName) {
       if (!sheetName || typeof sheetName !== 'string') {
         throw new Error('DELETESHEET requires sheet name as argument');
       }
 
-      model.deleteSheet(sheetName);
+      await model.deleteSheet(sheetName, adapter);
 
       // Trigger UI update
       if (typeof window !== 'undefined') {
@@ -2165,6 +2476,391 @@ export function createSpreadsheetControlFunctions(model, adapter) {
       return JSON.stringify(config);
     },
 
+    /**
+     * DATA_TABLE - Create a what-if data table
+     * Usage: CALL DATA_TABLE("rates", "D1:E6", "B5", "", "B2")        -- one variable: D2:D6 into B2
+     *        CALL DATA_TABLE("grid", "D1:H6", "B5", "B3", "B2")      -- two variables: E1:H1 into B3, D2:D6 into B2
+     * The first row holds values for the row input cell, the first column values
+     * for the column input cell; the formula cell's results fill the rest. The
+     * table refreshes whenever its formula or input values change.
+     * Returns: Table ID
+     */
+    DATA_TABLE: async function(tableId, range, formulaCell, rowInputCell, colInputCell) {
+      if (!tableId || typeof tableId !== 'string') {
+        throw new Error('DATA_TABLE requires table ID as first argument');
+      }
+      if (!range || !formulaCell) {
+        throw new Error('DATA_TABLE requires range and formula cell (e.g., "D1:E6", "B5")');
+      }
+
+      await model.createDataTable(tableId, {
+        range,
+        formulaCell,
+        rowInputCell: rowInputCell || null,
+        colInputCell: colInputCell || null
+      }, adapter);
+
+      return tableId;
+    },
+
+    /**
+     * REFRESHDATATABLE - Recompute a data table
+     * Usage: CALL REFRESHDATATABLE("rates")
+     */
+    REFRESHDATATABLE: async function(tableId) {
+      if (!tableId || typeof tableId !== 'string') {
+        throw new Error('REFRESHDATATABLE requires table ID as argument');
+      }
+
+      await model.refreshDataTable(tableId, adapter);
+
+      return tableId;
+    },
+
+    /**
+     * DELETEDATATABLE - Delete a data table (its last results stay in the cells)
+     * Usage: CALL DELETEDATATABLE("rates")
+     */
+    DELETEDATATABLE: function(tableId) {
+      if (!tableId || typeof tableId !== 'string') {
+        throw new Error('DELETEDATATABLE requires table ID as argument');
+      }
+
+      model.deleteDataTable(tableId);
+
+      return tableId;
+    },
+
+    /**
+     * GETDATATABLE - Get data table configuration
+     * Usage: config = GETDATATABLE("rates")
+     */
+    GETDATATABLE: function(tableId) {
+      if (!tableId || typeof tableId !== 'string') {
+        throw new Error('GETDATATABLE requires table ID as argument');
+      }
+
+      const table = model.getDataTable(tableId);
+      return table ? JSON.stringify(table) : '';
+    },
+
+    /**
+     * LISTDATATABLES - Get list of all data tables on the active sheet
+     * Usage: tables = LISTDATATABLES()
+     */
+    LISTDATATABLES: function() {
+      return JSON.stringify(model.getAllDataTables());
+    },
+
+    /**
+     * ADDCONDITIONALFORMAT - Style the cells of a range that meet a condition
+     * Usage: CALL ADDCONDITIONALFORMAT("high", "B2:B20", "cellValue", "> 100", "background:#fdd;color:#900")
+     *        CALL ADDCONDITIONALFORMAT("mid", "B2:B20", "cellValue", "between 10 and 20", "italic")
+     *        CALL ADDCONDITIONALFORMAT("late", "C2:C20", "textContains", "overdue", "color:red", 1)
+     *        CALL ADDCONDITIONALFORMAT("best", "B2:B20", "top", "10%", "bold")
+     *        CALL ADDCONDITIONALFORMAT("dupes", "A2:A20", "duplicates", "", "background:yellow")
+     *        CALL ADDCONDITIONALFORMAT("over", "B2:B20", "expression", "B2 > C2", "color:red")
+     * Types: cellValue, textContains, top, bottom, duplicates, expression. An
+     * expression is written for the first cell of the range and shifts like a
+     * filled formula. Rules apply in the order added (see
+     * SETCONDITIONALFORMATPRIORITY); stopIfTrue=1 skips lower-priority rules
+     * for cells this rule matches. Adding an existing ID replaces the rule.
+     * Returns: Rule ID
+     */
+    ADDCONDITIONALFORMAT: async function(ruleId, range, type, criteria, style, stopIfTrue) {
+      if (!ruleId || typeof ruleId !== 'string') {
+        throw new Error('ADDCONDITIONALFORMAT requires rule ID as first argument');
+      }
+      if (!range || !type || !style) {
+        throw new Error('ADDCONDITIONALFORMAT requires range, type, criteria and style (e.g., "B2:B20", "cellValue", "> 100", "color:red")');
+      }
+
+      const ruleType = CONDITIONAL_FORMAT_TYPES.find(name => name.toLowerCase() === String(type).toLowerCase());
+      if (!ruleType) {
+        throw new Error(`Unknown conditional format type: ${type}. Use one of ${CONDITIONAL_FORMAT_TYPES.join(', ')}`);
+      }
+
+      await model.addConditionalFormat(ruleId, {
+        range,
+        type: ruleType,
+        ...parseConditionCriteria(ruleType, criteria),
+        style,
+        stopIfTrue: !!stopIfTrue && stopIfTrue !== '0'
+      }, adapter);
+
+      return ruleId;
+    },
+
+    /**
+     * DELETECONDITIONALFORMAT - Delete a conditional format rule
+     * Usage: CALL DELETECONDITIONALFORMAT("high")
+     */
+    DELETECONDITIONALFORMAT: function(ruleId) {
+      if (!ruleId || typeof ruleId !== 'string') {
+        throw new Error('DELETECONDITIONALFORMAT requires rule ID as argument');
+      }
+
+      model.deleteConditionalFormat(ruleId);
+
+      return ruleId;
+    },
+
+    /**
+     * SETCONDITIONALFORMATPRIORITY - Change the order rules apply in (lower first)
+     * Usage: CALL SETCONDITIONALFORMATPRIORITY("high", 1)
+     */
+    SETCONDITIONALFORMATPRIORITY: function(ruleId, priority) {
+      if (!ruleId || typeof ruleId !== 'string') {
+        throw new Error('SETCONDITIONALFORMATPRIORITY requires rule ID as first argument');
+      }
+
+      model.setConditionalFormatPriority(ruleId, Number(priority));
+
+      return ruleId;
+    },
+
+    /**
+     * GETCONDITIONALFORMAT - Get a conditional format rule
+     * Usage: rule = GETCONDITIONALFORMAT("high")
+     * Returns: JSON, or empty string when there is no such rule
+     */
+    GETCONDITIONALFORMAT: function(ruleId) {
+      if (!ruleId || typeof ruleId !== 'string') {
+        throw new Error('GETCONDITIONALFORMAT requires rule ID as argument');
+      }
+
+      const rule = model.getConditionalFormat(ruleId);
+      return rule ? JSON.stringify(rule) : '';
+    },
+
+    /**
+     * LISTCONDITIONALFORMATS - Get all conditional format rules on the active sheet
+     * Usage: rules = LISTCONDITIONALFORMATS()
+     * Returns: JSON array in priority order
+     */
+    LISTCONDITIONALFORMATS: function() {
+      return JSON.stringify(model.getAllConditionalFormats());
+    },
+
+    /**
+     * GETCONDITIONALSTYLE - Get the style conditional formats currently give a cell
+     * Usage: style = GETCONDITIONALSTYLE("B5")
+     * Returns: Format string, or empty string when no rule matches
+     */
+    GETCONDITIONALSTYLE: function(cellRef) {
+      if (!cellRef || typeof cellRef !== 'string') {
+        throw new Error('GETCONDITIONALSTYLE requires cell reference as argument');
+      }
+
+      return model.getConditionalStyle(cellRef.toUpperCase());
+    },
+
+    /**
+     * ADDDATABAR - Draw a bar in each cell of a range, as long as its share of the range
+     * Usage: CALL ADDDATABAR("sales", "B2:B20")
+     *        CALL ADDDATABAR("sales", "B2:B20", "#63be7b", "0", "max")
+     * Thresholds are "min", "max", a number, "10%" or "percentile:90"
+     * Returns: Rule ID
+     */
+    ADDDATABAR: async function(ruleId, range, color, min, max) {
+      if (!ruleId || typeof ruleId !== 'string') {
+        throw new Error('ADDDATABAR requires rule ID as first argument');
+      }
+      if (!range) {
+        throw new Error('ADDDATABAR requires range as second argument');
+      }
+
+      await model.addConditionalFormat(ruleId, {
+        range,
+        type: 'dataBar',
+        color: color || undefined,
+        min: min ? parseThreshold(min) : undefined,
+        max: max ? parseThreshold(max) : undefined
+      }, adapter);
+
+      return ruleId;
+    },
+
+    /**
+     * ADDCOLORSCALE - Shade each cell of a range between 2 or 3 colours by its value
+     * Usage: CALL ADDCOLORSCALE("heat", "B2:D10", "#f8696b", "#63be7b")
+     *        CALL ADDCOLORSCALE("heat", "B2:D10", "#f8696b", "#ffeb84", "#63be7b")
+     *        CALL ADDCOLORSCALE("heat", "B2:D10", "#ffffff@0", "#63be7b@percentile:90")
+     * Each colour may name its threshold after "@"; otherwise the scale runs
+     * from the lowest value through the median to the highest.
+     * Returns: Rule ID
+     */
+    ADDCOLORSCALE: async function(ruleId, range, ...colors) {
+      if (!ruleId || typeof ruleId !== 'string') {
+        throw new Error('ADDCOLORSCALE requires rule ID as first argument');
+      }
+      if (!range || (colors.length !== 2 && colors.length !== 3)) {
+        throw new Error('ADDCOLORSCALE requires range and 2 or 3 colours (e.g., "B2:D10", "#f8696b", "#63be7b")');
+      }
+
+      const points = colors.map(spec => {
+        const [color, threshold] = String(spec).split('@');
+        return threshold ? { color, ...parseThreshold(threshold) } : { color };
+      });
+      await model.addConditionalFormat(ruleId, { range, type: 'colorScale', points }, adapter);
+
+      return ruleId;
+    },
+
+    /**
+     * ADDICONSET - Show an icon in each cell of a range for the band its value falls in
+     * Usage: CALL ADDICONSET("trend", "C2:C20", "arrows3")
+     *        CALL ADDICONSET("status", "D2:D20", "trafficLights3", "50%,80%")
+     *        CALL ADDICONSET("risk", "E2:E20", "trafficLights3", "percentile:25,percentile:75", 1, 0)
+     * Icon sets: arrows3, arrows5, trafficLights3, symbols3, flags3. Thresholds
+     * are comma-separated lower bounds of every band but the first (default:
+     * equal percentages). reverse=1 swaps the icon order; showValue=0 shows
+     * only the icon.
+     * Returns: Rule ID
+     */
+    ADDICONSET: async function(ruleId, range, iconSet, thresholds, reverse, showValue) {
+      if (!ruleId || typeof ruleId !== 'string') {
+        throw new Error('ADDICONSET requires rule ID as first argument');
+      }
+      if (!range || !iconSet) {
+        throw new Error('ADDICONSET requires range and icon set (e.g., "C2:C20", "arrows3")');
+      }
+
+      const name = Object.keys(ICON_SETS).find(set => set.toLowerCase() === String(iconSet).toLowerCase());
+      if (!name) {
+        throw new Error(`Unknown icon set: ${iconSet}. Use one of ${Object.keys(ICON_SETS).join(', ')}`);
+      }
+
+      const flag = (value, fallback) => (value === undefined || value === '' ? fallback : !!value && value !== '0');
+      await model.addConditionalFormat(ruleId, {
+        range,
+        type: 'iconSet',
+        iconSet: name,
+        thresholds: thresholds ? String(thresholds).split(',').map(parseThreshold) : undefined,
+        reverse: flag(reverse, false),
+        showValue: flag(showValue, true)
+      }, adapter);
+
+      return ruleId;
+    },
+
+    /**
+     * GETCONDITIONALVISUALS - Get the data bar and icon visual formats currently give a cell
+     * Usage: visuals = GETCONDITIONALVISUALS("B5")
+     * Returns: JSON {dataBar: {fraction, color}, icon: {symbol, color}, showValue},
+     *          or empty string when none apply
+     */
+    GETCONDITIONALVISUALS: function(cellRef) {
+      if (!cellRef || typeof cellRef !== 'string') {
+        throw new Error('GETCONDITIONALVISUALS requires cell reference as argument');
+      }
+
+      const visuals = model.getConditionalVisuals(cellRef.toUpperCase());
+      return visuals ? JSON.stringify(visuals) : '';
+    },
+
+    /**
+     * ADDSCENARIO - Save a named set of input values
+     * Usage: CALL ADDSCENARIO("Best case", "B2=0.08", "B3=12")   -- explicit values
+     *        CALL ADDSCENARIO("Base", "B2:B3")                   -- capture current contents
+     * Arguments after the name are either all "cell=value" assignments or all
+     * cell/range references whose current contents are stored. Adding an
+     * existing name replaces it.
+     * Returns: Scenario name
+     */
+    ADDSCENARIO: function(name, ...cellSpecs) {
+      if (!name || typeof name !== 'string') {
+        throw new Error('ADDSCENARIO requires scenario name as first argument');
+      }
+      if (cellSpecs.length === 0) {
+        throw new Error('ADDSCENARIO requires at least one cell (e.g., "B2=0.08" or "B2:B3")');
+      }
+
+      // Either all "cell=value" assignments, or references to capture
+      const assignments = cellSpecs.map(spec => String(spec).match(/^\s*([A-Za-z]+\d+)\s*=(.*)$/));
+      let cells;
+      if (assignments.every(Boolean)) {
+        cells = Object.fromEntries(assignments.map(match => [match[1], match[2].trim()]));
+      } else if (!assignments.some(Boolean)) {
+        cells = cellSpecs.map(spec => String(spec).trim());
+      } else {
+        throw new Error('ADDSCENARIO cannot mix "cell=value" assignments with cell references');
+      }
+
+      model.addScenario(name, cells);
+
+      return name;
+    },
+
+    /**
+     * APPLYSCENARIO - Write a scenario's values into its input cells (one undo step)
+     * Usage: CALL APPLYSCENARIO("Best case")
+     */
+    APPLYSCENARIO: async function(name) {
+      if (!name || typeof name !== 'string') {
+        throw new Error('APPLYSCENARIO requires scenario name as argument');
+      }
+
+      await model.applyScenario(name, adapter);
+
+      return name;
+    },
+
+    /**
+     * DELETESCENARIO - Delete a scenario
+     * Usage: CALL DELETESCENARIO("Worst case")
+     */
+    DELETESCENARIO: function(name) {
+      if (!name || typeof name !== 'string') {
+        throw new Error('DELETESCENARIO requires scenario name as argument');
+      }
+
+      model.deleteScenario(name);
+
+      return name;
+    },
+
+    /**
+     * LISTSCENARIOS - Get all scenarios on the active sheet
+     * Usage: scenarios = LISTSCENARIOS()
+     * Returns: JSON array of {name, cells, comment}
+     */
+    LISTSCENARIOS: function() {
+      return JSON.stringify(model.getAllScenarios());
+    },
+
+    /**
+     * COMPARESCENARIOS - Result cell values under each scenario, without changing the sheet
+     * Usage: result = COMPARESCENARIOS("B10,B12")
+     *        result = COMPARESCENARIOS("B10:B12", "Best case", "Worst case")
+     * Returns: JSON array of {name, inputs, results}
+     */
+    COMPARESCENARIOS: async function(resultCells, ...names) {
+      if (!resultCells) {
+        throw new Error('COMPARESCENARIOS requires result cells (e.g., "B10,B12")');
+      }
+
+      const comparison = await model.compareScenarios(resultCells, adapter, names.length > 0 ? names : null);
+      return JSON.stringify(comparison);
+    },
+
+    /**
+     * SCENARIOSUMMARY - Write a summary sheet comparing all scenarios
+     * Usage: CALL SCENARIOSUMMARY("B10,B12")
+     *        sheet = SCENARIOSUMMARY("B10:B12", "Forecast")
+     * The sheet (default ScenarioSummary) is created, or replaced if it exists.
+     * Returns: Summary sheet name
+     */
+    SCENARIOSUMMARY: async function(resultCells, sheetName) {
+      if (!resultCells) {
+        throw new Error('SCENARIOSUMMARY requires result cells (e.g., "B10,B12")');
+      }
+
+      const name = await model.scenarioSummary(resultCells, adapter, sheetName ? { sheetName } : {});
+
+      return name;
+    },
+
     /**
      * DEFINETABLE - Define a table with header row
      * Usage: CALL DEFINETABLE("SalesData", "A1:C10")
@@ -2346,12 +3042,14 @@ export function createSpreadsheetControlFunctions(model, adapter) {
         'SETCELL', 'GETCELL', 'GETEXPRESSION', 'CLEARCELL',
         'SUM_RANGE', 'AVERAGE_RANGE', 'COUNT_RANGE', 'MIN_RANGE', 'MAX_RANGE',
         'SUMIF_RANGE', 'COUNTIF_RANGE',
-        'SPREADSHEET_VERSION', 'SETFORMAT', 'GETFORMAT',
+        'SPREADSHEET_VERSION', 'SETFORMAT', 'GETFORMAT', 'FORMATVALUE', 'GETDISPLAYVALUE',
+        'SETBORDER', 'GETBORDER',
         'SETCOMMENT', 'GETCOMMENT', 'GETROW', 'GETCOL',
-        'GETCOLNAME', 'MAKECELLREF', 'GETCELLS', 'SETCELLS',
+        'GETCOLNAME', 'MAKECELLREF', 'GETCELLS', 'SETCELLS', 'AMORTIZE',
         'CLEAR', 'EXPORT', 'IMPORT', 'GETSHEETNAME', 'SETSHEETNAME',
         'EVALUATE', 'RECALCULATE', 'GETSETUPSCRIPT', 'SETSETUPSCRIPT',
-        'EXECUTESETUPSCRIPT', 'INSERTROW', 'DELETEROW', 'INSERTCOLUMN', 'DELETECOLUMN',
+        'EXECUTESETUPSCRIPT', 'DEFINE_FUNCTION', 'SETITERATION', 'GETITERATION',
+        'GOALSEEK', 'SOLVE', 'INSERTROW', 'DELETEROW', 'INSERTCOLUMN', 'DELETECOLUMN',
         'FILLDOWN', 'FILLRIGHT', 'FILLUP', 'FILLLEFT', 'AUTOFILL',
         'SORTRANGE', 'FIND', 'REPLACE',
         'SETWRAPTEXT', 'GETWRAPTEXT',
@@ -2361,17 +3059,28 @@ export function createSpreadsheetControlFunctions(model, adapter) {
         'DEFINENAMEDRANGE', 'DELETENAMEDRANGE', 'GETNAMEDRANGE', 'GETALLNAMEDRANGES',
         'FREEZEPANES', 'UNFREEZEPANES', 'GETFROZENPANES',
         'SETCELLVALIDATION', 'CLEARCELLVALIDATION', 'VALIDATECELL',
-        'UNDO', 'REDO', 'CANUNDO', 'CANREDO',
+        'UNDO', 'REDO', 'CANUNDO', 'CANREDO', 'GETHISTORY', 'UNDOTO',
+        'BEGIN_TRANSACTION', 'COMMIT', 'ROLLBACK',
         'ADDSHEET', 'DELETESHEET', 'RENAMESHEET', 'SETACTIVESHEET', 'GETACTIVESHEET', 'GETSHEETNAMES',
         'APPLYROWFILTER', 'CLEARROWFILTER', 'GETFILTERCRITERIA', 'ISROWVISIBLE',
         'MOVECOLUMNLEFT', 'MOVECOLUMNRIGHT',
         'MERGECELLS', 'UNMERGECELLS', 'GETMERGEDRANGE', 'ISCELLMERGED',
         'SETCELLEDITOR', 'GETCELLEDITOR', 'REMOVECELLEDITOR',
         'CREATEPIVOT', 'UPDATEPIVOT', 'DELETEPIVOT', 'GETPIVOT', 'LISTPIVOTS', 'PIVOTCONFIG',
+        'DATA_TABLE', 'REFRESHDATATABLE', 'DELETEDATATABLE', 'GETDATATABLE', 'LISTDATATABLES',
+        'ADDCONDITIONALFORMAT', 'DELETECONDITIONALFORMAT', 'SETCONDITIONALFORMATPRIORITY', 'GETCONDITIONALFORMAT',
+        'LISTCONDITIONALFORMATS', 'GETCONDITIONALSTYLE', 'ADDDATABAR', 'ADDCOLORSCALE', 'ADDICONSET',
+        'GETCONDITIONALVISUALS',
+        'ADDSCENARIO', 'APPLYSCENARIO', 'DELETESCENARIO', 'LISTSCENARIOS', 'COMPARESCENARIOS', 'SCENARIOSUMMARY',
         'DEFINETABLE', 'DELETETABLE', 'GETTABLE', 'LISTTABLES', 'SORTTABLEBYCOLUMN',
         'LISTCOMMANDS'
       ];
 
+      // Functions declared with DEFINE_FUNCTION
+      if (adapter) {
+        adapter.getUserFunctions().forEach(definition => commands.push(definition.name));
+      }
+
       // Return as REXX stem array
       const result = { 0: commands.length };
       commands.forEach((cmd, index) => {
@@ -2505,18 +3214,57 @@ export const functionMetadata = {
   SETFORMAT: {
     name: 'SETFORMAT',
     params: ['cellRef', 'format'],
-    description: 'Set cell format (bold, italic, color, etc.)',
+    description: 'Set cell format from a format string (bold;color:red) or a style object as JSON',
     examples: [
       'CALL SETFORMAT("A1", "bold")',
-      'CALL SETFORMAT("A1", "bold;italic;color:red")'
+      'CALL SETFORMAT("A1", "bold;italic;color:red")',
+      'CALL SETFORMAT("A1", \'{"font": {"bold": true}, "fill": {"color": "yellow"}}\')'
     ]
   },
   GETFORMAT: {
     name: 'GETFORMAT',
+    params: ['cellRef', 'form'],
+    description: 'Get cell format as a format string, or as a style object (JSON) with form OBJECT',
+    examples: [
+      'format = GETFORMAT("A1")',
+      'style = GETFORMAT("A1", "OBJECT")'
+    ]
+  },
+  SETBORDER: {
+    name: 'SETBORDER',
+    params: ['rangeRef', 'spec'],
+    description: 'Draw or clear borders on a range: preset (all, outline, inside, top, bottom, left, right, none), style and colour',
+    examples: [
+      'CALL SETBORDER("A1:C5", "outline")',
+      'CALL SETBORDER("A1:C5", "all thin #999999")',
+      'CALL SETBORDER("A5:C5", "bottom double")',
+      'CALL SETBORDER("A1:C5", "none")'
+    ]
+  },
+  GETBORDER: {
+    name: 'GETBORDER',
     params: ['cellRef'],
-    description: 'Get cell format',
+    description: 'Get the border drawn around a cell as JSON, by side',
     examples: [
-      'format = GETFORMAT("A1")'
+      'border = GETBORDER("A5")'
+    ]
+  },
+  FORMATVALUE: {
+    name: 'FORMATVALUE',
+    params: ['value', 'formatCode'],
+    description: 'Display a value with an Excel number format code (sections, colours, conditions, dates, fractions)',
+    examples: [
+      'text = FORMATVALUE(-1234.5, "#,##0.00;[Red](#,##0.00)")',
+      'text = FORMATVALUE(45306.5, "yyyy-mm-dd hh:mm")',
+      'text = FORMATVALUE(1234567, \'#,##0,,"M"\')'
+    ]
+  },
+  GETDISPLAYVALUE: {
+    name: 'GETDISPLAYVALUE',
+    params: ['cellRef'],
+    description: 'Get a cell value as displayed, with its number format applied',
+    examples: [
+      'shown = GETDISPLAYVALUE("A1")'
     ]
   },
   SETCOMMENT: {
@@ -2585,6 +3333,15 @@ export const functionMetadata = {
       'CALL SETCELLS("A1:A3", ["100", "200", "300"])'
     ]
   },
+  AMORTIZE: {
+    name: 'AMORTIZE',
+    params: ['startRef', 'rate', 'nper', 'pv', 'fv', 'type'],
+    description: 'Write a loan amortisation schedule (Period, Payment, Interest, Principal, Balance) from a start cell',
+    examples: [
+      'CALL AMORTIZE("A1", 0.05/12, 360, 200000)',
+      'range = AMORTIZE("G1", 0.06/12, 60, 25000, 5000)'
+    ]
+  },
   CLEAR: {
     name: 'CLEAR',
     params: [],
@@ -2666,6 +3423,51 @@ export const functionMetadata = {
       'CALL EXECUTESETUPSCRIPT()'
     ]
   },
+  DEFINE_FUNCTION: {
+    name: 'DEFINE_FUNCTION',
+    params: ['name', 'params', 'body', 'description'],
+    description: 'Declare a function that any cell can call; redefining it recalculates the cells that use it',
+    examples: [
+      'CALL DEFINE_FUNCTION "TAX", "amount: Price before tax, rate = 0.2: Tax rate", "amount * rate", "Sales tax on an amount"',
+      'CALL DEFINE_FUNCTION "MARGIN", "sales, costs", "(SUM_RANGE(sales) - SUM_RANGE(costs)) / SUM_RANGE(sales)"'
+    ]
+  },
+  SETITERATION: {
+    name: 'SETITERATION',
+    params: ['enabled', 'maxIterations', 'maxChange'],
+    description: 'Enable iterative calculation so circular references are solved until they converge',
+    examples: [
+      'CALL SETITERATION(1)',
+      'CALL SETITERATION(1, 500, 0.0001)',
+      'CALL SETITERATION(0)'
+    ]
+  },
+  GETITERATION: {
+    name: 'GETITERATION',
+    params: [],
+    description: 'Get iterative calculation settings (enabled, maxIterations, maxChange)',
+    examples: [
+      'it = GETITERATION()',
+      'SAY it.enabled it.maxIterations it.maxChange'
+    ]
+  },
+  GOALSEEK: {
+    name: 'GOALSEEK',
+    params: ['targetRef', 'targetValue', 'changingRef'],
+    description: 'Change one cell until a formula cell reaches a target value',
+    examples: [
+      'price = GOALSEEK("B10", 1000, "B2")'
+    ]
+  },
+  SOLVE: {
+    name: 'SOLVE',
+    params: ['targetRef', 'goal', 'changingRange', 'constraints'],
+    description: 'Maximize, minimize or reach a value in a formula cell by changing a range, subject to constraints',
+    examples: [
+      'r = SOLVE("B3", "MAX", "B1:B2", "B4 <= 10", "B1 >= 0", "B2 >= 0")',
+      'r = SOLVE("B3", 50, "B1:B2")'
+    ]
+  },
   ADDSHEET: {
     name: 'ADDSHEET',
     params: ['sheetName'],
@@ -2885,6 +3687,183 @@ export const functionMetadata = {
       'config = PIVOTCONFIG("A1:E20", "Amount", "AVERAGE", "G1", \'["Product"]\', \'[]\')'
     ]
   },
+  DATA_TABLE: {
+    name: 'DATA_TABLE',
+    params: ['tableId', 'range', 'formulaCell', 'rowInputCell', 'colInputCell'],
+    description: 'Create a what-if data table that recalculates a formula for each input value (one or two variables)',
+    examples: [
+      'CALL DATA_TABLE("rates", "D1:E6", "B5", "", "B2")',
+      'CALL DATA_TABLE("grid", "D1:H6", "B5", "B3", "B2")'
+    ]
+  },
+  REFRESHDATATABLE: {
+    name: 'REFRESHDATATABLE',
+    params: ['tableId'],
+    description: 'Recompute a data table',
+    examples: [
+      'CALL REFRESHDATATABLE("rates")'
+    ]
+  },
+  DELETEDATATABLE: {
+    name: 'DELETEDATATABLE',
+    params: ['tableId'],
+    description: 'Delete a data table, keeping its last results',
+    examples: [
+      'CALL DELETEDATATABLE("rates")'
+    ]
+  },
+  GETDATATABLE: {
+    name: 'GETDATATABLE',
+    params: ['tableId'],
+    description: 'Get data table configuration as JSON',
+    examples: [
+      'config = GETDATATABLE("rates")'
+    ]
+  },
+  LISTDATATABLES: {
+    name: 'LISTDATATABLES',
+    params: [],
+    description: 'Get all data tables on the active sheet as JSON',
+    examples: [
+      'tables = LISTDATATABLES()'
+    ]
+  },
+  ADDCONDITIONALFORMAT: {
+    name: 'ADDCONDITIONALFORMAT',
+    params: ['ruleId', 'range', 'type', 'criteria', 'style', 'stopIfTrue'],
+    description: 'Style cells of a range that meet a condition (cellValue, textContains, top, bottom, duplicates, expression)',
+    examples: [
+      'CALL ADDCONDITIONALFORMAT("high", "B2:B20", "cellValue", "> 100", "background:#fdd;color:#900")',
+      'CALL ADDCONDITIONALFORMAT("best", "B2:B20", "top", "10%", "bold")',
+      'CALL ADDCONDITIONALFORMAT("over", "B2:B20", "expression", "B2 > C2", "color:red", 1)'
+    ]
+  },
+  DELETECONDITIONALFORMAT: {
+    name: 'DELETECONDITIONALFORMAT',
+    params: ['ruleId'],
+    description: 'Delete a conditional format rule',
+    examples: [
+      'CALL DELETECONDITIONALFORMAT("high")'
+    ]
+  },
+  SETCONDITIONALFORMATPRIORITY: {
+    name: 'SETCONDITIONALFORMATPRIORITY',
+    params: ['ruleId', 'priority'],
+    description: 'Set the priority of a conditional format rule (lower numbers apply first)',
+    examples: [
+      'CALL SETCONDITIONALFORMATPRIORITY("high", 1)'
+    ]
+  },
+  GETCONDITIONALFORMAT: {
+    name: 'GETCONDITIONALFORMAT',
+    params: ['ruleId'],
+    description: 'Get a conditional format rule as JSON',
+    examples: [
+      'rule = GETCONDITIONALFORMAT("high")'
+    ]
+  },
+  LISTCONDITIONALFORMATS: {
+    name: 'LISTCONDITIONALFORMATS',
+    params: [],
+    description: 'Get all conditional format rules on the active sheet as JSON, in priority order',
+    examples: [
+      'rules = LISTCONDITIONALFORMATS()'
+    ]
+  },
+  GETCONDITIONALSTYLE: {
+    name: 'GETCONDITIONALSTYLE',
+    params: ['cellRef'],
+    description: 'Get the style conditional formats currently give a cell',
+    examples: [
+      'style = GETCONDITIONALSTYLE("B5")'
+    ]
+  },
+  ADDDATABAR: {
+    name: 'ADDDATABAR',
+    params: ['ruleId', 'range', 'color', 'min', 'max'],
+    description: 'Draw a data bar in each cell of a range, scaled between min and max thresholds',
+    examples: [
+      'CALL ADDDATABAR("sales", "B2:B20")',
+      'CALL ADDDATABAR("sales", "B2:B20", "#63be7b", "0", "max")'
+    ]
+  },
+  ADDCOLORSCALE: {
+    name: 'ADDCOLORSCALE',
+    params: ['ruleId', 'range', '...colors'],
+    description: 'Shade cells of a range between 2 or 3 colours by value ("color@threshold" sets a threshold)',
+    examples: [
+      'CALL ADDCOLORSCALE("heat", "B2:D10", "#f8696b", "#ffeb84", "#63be7b")',
+      'CALL ADDCOLORSCALE("heat", "B2:D10", "#ffffff@0", "#63be7b@percentile:90")'
+    ]
+  },
+  ADDICONSET: {
+    name: 'ADDICONSET',
+    params: ['ruleId', 'range', 'iconSet', 'thresholds', 'reverse', 'showValue'],
+    description: 'Show an icon per band of values (arrows3, arrows5, trafficLights3, symbols3, flags3)',
+    examples: [
+      'CALL ADDICONSET("trend", "C2:C20", "arrows3")',
+      'CALL ADDICONSET("status", "D2:D20", "trafficLights3", "50%,80%")'
+    ]
+  },
+  GETCONDITIONALVISUALS: {
+    name: 'GETCONDITIONALVISUALS',
+    params: ['cellRef'],
+    description: 'Get the data bar and icon visual formats currently give a cell as JSON',
+    examples: [
+      'visuals = GETCONDITIONALVISUALS("B5")'
+    ]
+  },
+  ADDSCENARIO: {
+    name: 'ADDSCENARIO',
+    params: ['name', '...cells'],
+    description: 'Save a named scenario from "cell=value" assignments or the current contents of cells',
+    examples: [
+      'CALL ADDSCENARIO("Best case", "B2=0.08", "B3=12")',
+      'CALL ADDSCENARIO("Base", "B2:B3")'
+    ]
+  },
+  APPLYSCENARIO: {
+    name: 'APPLYSCENARIO',
+    params: ['name'],
+    description: 'Write a scenario\'s values into its input cells and recalculate',
+    examples: [
+      'CALL APPLYSCENARIO("Best case")'
+    ]
+  },
+  DELETESCENARIO: {
+    name: 'DELETESCENARIO',
+    params: ['name'],
+    description: 'Delete a scenario',
+    examples: [
+      'CALL DELETESCENARIO("Worst case")'
+    ]
+  },
+  LISTSCENARIOS: {
+    name: 'LISTSCENARIOS',
+    params: [],
+    description: 'Get all scenarios on the active sheet as JSON',
+    examples: [
+      'scenarios = LISTSCENARIOS()'
+    ]
+  },
+  COMPARESCENARIOS: {
+    name: 'COMPARESCENARIOS',
+    params: ['resultCells', '...names'],
+    description: 'Get result cell values under each scenario as JSON, leaving the sheet unchanged',
+    examples: [
+      'result = COMPARESCENARIOS("B10,B12")',
+      'result = COMPARESCENARIOS("B10:B12", "Best case", "Worst case")'
+    ]
+  },
+  SCENARIOSUMMARY: {
+    name: 'SCENARIOSUMMARY',
+    params: ['resultCells', 'sheetName'],
+    description: 'Write a summary sheet with the changing and result cells for every scenario',
+    examples: [
+      'CALL SCENARIOSUMMARY("B10,B12")',
+      'sheet = SCENARIOSUMMARY("B10:B12", "Forecast")'
+    ]
+  },
   DEFINETABLE: {
     name: 'DEFINETABLE',
     params: ['name', 'range', 'hasHeader'],
@@ -2963,6 +3942,48 @@ export const functionMetadata = {
       'CALL AUTOFILL("B2:B4", "B5:B20")'
     ]
   },
+  GETHISTORY: {
+    name: 'GETHISTORY',
+    params: [],
+    description: 'List undo history entries (index, action, timestamp, undone), oldest first',
+    examples: [
+      'history = GETHISTORY()',
+      'SAY history.0 "steps; oldest:" history.1.action'
+    ]
+  },
+  UNDOTO: {
+    name: 'UNDOTO',
+    params: ['index'],
+    description: 'Undo or redo until only the first n history entries are applied',
+    examples: [
+      'CALL UNDOTO(3)',
+      'CALL UNDOTO(0)'
+    ]
+  },
+  BEGIN_TRANSACTION: {
+    name: 'BEGIN_TRANSACTION',
+    params: ['label'],
+    description: 'Group the following changes into one undo step',
+    examples: [
+      'CALL BEGIN_TRANSACTION("Load quarterly figures")'
+    ]
+  },
+  COMMIT: {
+    name: 'COMMIT',
+    params: [],
+    description: 'Close the innermost transaction, keeping its changes',
+    examples: [
+      'CALL COMMIT()'
+    ]
+  },
+  ROLLBACK: {
+    name: 'ROLLBACK',
+    params: [],
+    description: 'Close the innermost transaction, reverting its changes',
+    examples: [
+      'CALL ROLLBACK()'
+    ]
+  },
   LISTCOMMANDS: {
     name: 'LISTCOMMANDS',
     params: [],
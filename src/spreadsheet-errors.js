@@ -0,0 +1,90 @@
+/**
+ * Spreadsheet Error Types
+ * Excel-style typed error values (#DIV/0!, #REF!, #NAME?, ...) and the
+ * mapping from interpreter exceptions onto them
+ */
+
+/**
+ * Error codes and their ERROR.TYPE numbers (Excel-compatible where Excel has one).
+ * Errors Excel does not have are numbered from 101, clear of Excel's own codes.
+ */
+export const ERROR_TYPES = {
+    '#NULL!': 1,
+    '#DIV/0!': 2,
+    '#VALUE!': 3,
+    '#REF!': 4,
+    '#NAME?': 5,
+    '#NUM!': 6,
+    '#N/A': 7,
+    '#SPILL!': 9,
+    '#CALC!': 14,
+    '#CIRCULAR!': 101,
+    '#CONVERGE!': 102
+};
+
+/**
+ * Error carrying a spreadsheet error type alongside the original message
+ */
+export class SpreadsheetError extends Error {
+    /**
+     * @param {string} type - Error code, e.g. '#DIV/0!'
+     * @param {string} message - Human-readable description of the cause
+     */
+    constructor(type, message) {
+        super(message || type);
+        this.name = 'SpreadsheetError';
+        this.type = type;
+    }
+}
+
+/**
+ * Check whether a value is a spreadsheet error code
+ * @param {*} value - Cell value
+ * @returns {boolean}
+ */
+export function isErrorValue(value) {
+    return typeof value === 'string' && Object.prototype.hasOwnProperty.call(ERROR_TYPES, value);
+}
+
+// Ordered message patterns; the first match decides the error type
+const MESSAGE_PATTERNS = [
+    [/#(DIV\/0!|REF!|NAME\?|VALUE!|N\/A|NUM!|NULL!|SPILL!|CALC!)/, null],
+    [/divi(de|sion|ded)\s+by\s+zero|by zero/i, '#DIV/0!'],
+    [/invalid cell reference|deleted sheet|sheet .* does not exist|invalid range/i, '#REF!'],
+    [/unknown function|function .*not (found|defined)|not a function|is not defined|undefined (function|variable)|unknown (variable|name)/i, '#NAME?'],
+    [/no match|not found|not available/i, '#N/A'],
+    [/overflow|out of range|infinity|\bNaN\b|did not converge|too large|too small/i, '#NUM!'],
+];
+
+/**
+ * Map an exception thrown during evaluation onto a typed spreadsheet error
+ * @param {Error|string} error - Exception or message
+ * @returns {SpreadsheetError}
+ */
+export function toSpreadsheetError(error) {
+    if (error instanceof SpreadsheetError) {
+        return error;
+    }
+
+    const message = (error && error.message) || String(error);
+    if (error && isErrorValue(error.type)) {
+        return new SpreadsheetError(error.type, message);
+    }
+
+    for (const [pattern, type] of MESSAGE_PATTERNS) {
+        const match = message.match(pattern);
+        if (match) {
+            return new SpreadsheetError(type || `#${match[1]}`, message);
+        }
+    }
+
+    // Anything else is a bad argument or operand
+    return new SpreadsheetError('#VALUE!', message);
+}
+
+export default {
+    ERROR_TYPES,
+    SpreadsheetError,
+    isErrorValue,
+    toSpreadsheetError
+};
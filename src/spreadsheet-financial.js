@@ -0,0 +1,485 @@
+/**
+ * Spreadsheet Financial Functions
+ * Excel-compatible time value of money (PMT, IPMT, PPMT, FV, PV, RATE, NPER),
+ * cash flow (NPV, IRR, XNPV, XIRR, MIRR) and depreciation (SLN, DDB)
+ * functions, plus loan amortisation schedules
+ *
+ * Sign convention follows Excel: money paid out is negative, money received
+ * is positive. Rates are per period. Payments are due at the end of each
+ * period (type 0) or the beginning (type 1).
+ */
+
+import { SpreadsheetError } from './spreadsheet-errors.js';
+import { dateToSerial } from './spreadsheet-number-format.js';
+
+const MAX_ITERATIONS = 100;
+const TOLERANCE = 1e-10;
+
+/**
+ * Read a numeric argument; numeric text is accepted
+ * @throws {SpreadsheetError} #VALUE! if the argument is not a number
+ */
+function toNumber(value, name) {
+    const num = typeof value === 'number' ? value : Number(String(value).trim());
+    if (value === '' || value === null || value === undefined || isNaN(num)) {
+        throw new SpreadsheetError('#VALUE!', `${name} must be a number, got "${value}"`);
+    }
+    return num;
+}
+
+/**
+ * Read a payment timing argument: 0 (end of period) or 1 (beginning)
+ */
+function toType(value) {
+    return toNumber(value ?? 0, 'type') === 0 ? 0 : 1;
+}
+
+/**
+ * Solve f(x) = 0 by Newton's method from a guess, falling back to bisection
+ * over the first sign change found between -0.99 and 10
+ * @param {Function} f - Function of x
+ * @param {number} guess - Starting point
+ * @param {string} name - Function name for the error message
+ * @returns {number}
+ */
+function solve(f, guess, name) {
+    let x = guess;
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+        const y = f(x);
+        if (Math.abs(y) < TOLERANCE) {
+            return x;
+        }
+        const h = Math.max(Math.abs(x) * 1e-7, 1e-9);
+        const slope = (f(x + h) - f(x - h)) / (2 * h);
+        if (!isFinite(slope) || slope === 0) {
+            break;
+        }
+        const next = x - y / slope;
+        if (!isFinite(next) || next <= -1) {
+            break;
+        }
+        if (Math.abs(next - x) < TOLERANCE * Math.max(1, Math.abs(x))) {
+            return next;
+        }
+        x = next;
+    }
+
+    // Newton wandered off; look for a bracket and bisect
+    const points = [-0.99, -0.9, -0.5, -0.2, 0, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10];
+    for (let i = 1; i < points.length; i++) {
+        let low = points[i - 1];
+        let high = points[i];
+        let fLow = f(low);
+        if (!isFinite(fLow) || !isFinite(f(high)) || Math.sign(fLow) === Math.sign(f(high))) {
+            continue;
+        }
+        for (let j = 0; j < 200; j++) {
+            const mid = (low + high) / 2;
+            const fMid = f(mid);
+            if (Math.abs(fMid) < TOLERANCE || (high - low) / 2 < 1e-14) {
+                return mid;
+            }
+            if (Math.sign(fMid) === Math.sign(fLow)) {
+                low = mid;
+                fLow = fMid;
+            } else {
+                high = mid;
+            }
+        }
+        return (low + high) / 2;
+    }
+    throw new SpreadsheetError('#NUM!', `${name} did not converge`);
+}
+
+/**
+ * Future value of pv plus a series of payments (the TVM equation, solved for fv)
+ */
+function futureValue(rate, nper, pmt, pv, type) {
+    if (rate === 0) {
+        return -(pv + pmt * nper);
+    }
+    const growth = Math.pow(1 + rate, nper);
+    return -(pv * growth + pmt * (1 + rate * type) * (growth - 1) / rate);
+}
+
+/**
+ * PMT - Payment per period for a loan or investment
+ * @param {number} rate - Interest rate per period
+ * @param {number} nper - Number of periods
+ * @param {number} pv - Present value (loan amount)
+ * @param {number} [fv=0] - Future value left after the last payment
+ * @param {number} [type=0] - 0 pays at the end of each period, 1 at the beginning
+ * @returns {number}
+ */
+export function pmt(rate, nper, pv, fv = 0, type = 0) {
+    rate = toNumber(rate, 'rate');
+    nper = toNumber(nper, 'nper');
+    pv = toNumber(pv, 'pv');
+    fv = toNumber(fv, 'fv');
+    type = toType(type);
+    if (nper === 0) {
+        throw new SpreadsheetError('#NUM!', 'nper must not be 0');
+    }
+    if (rate === 0) {
+        return -(pv + fv) / nper;
+    }
+    const growth = Math.pow(1 + rate, nper);
+    return -rate * (pv * growth + fv) / ((1 + rate * type) * (growth - 1));
+}
+
+/**
+ * FV - Future value of an investment
+ * @param {number} rate - Interest rate per period
+ * @param {number} nper - Number of periods
+ * @param {number} payment - Payment per period
+ * @param {number} [pv=0] - Present value
+ * @param {number} [type=0] - Payment timing
+ * @returns {number}
+ */
+export function fv(rate, nper, payment, pv = 0, type = 0) {
+    return futureValue(toNumber(rate, 'rate'), toNumber(nper, 'nper'), toNumber(payment, 'pmt'),
+        toNumber(pv, 'pv'), toType(type));
+}
+
+/**
+ * PV - Present value of a series of payments
+ * @param {number} rate - Interest rate per period
+ * @param {number} nper - Number of periods
+ * @param {number} payment - Payment per period
+ * @param {number} [fv=0] - Future value
+ * @param {number} [type=0] - Payment timing
+ * @returns {number}
+ */
+export function pv(rate, nper, payment, fv = 0, type = 0) {
+    rate = toNumber(rate, 'rate');
+    nper = toNumber(nper, 'nper');
+    payment = toNumber(payment, 'pmt');
+    fv = toNumber(fv, 'fv');
+    type = toType(type);
+    if (rate === 0) {
+        return -(fv + payment * nper);
+    }
+    const growth = Math.pow(1 + rate, nper);
+    return -(fv + payment * (1 + rate * type) * (growth - 1) / rate) / growth;
+}
+
+/**
+ * NPER - Number of periods needed to pay off a loan or reach a future value
+ * @param {number} rate - Interest rate per period
+ * @param {number} payment - Payment per period
+ * @param {number} pv - Present value
+ * @param {number} [fv=0] - Future value
+ * @param {number} [type=0] - Payment timing
+ * @returns {number}
+ */
+export function nper(rate, payment, pv, fv = 0, type = 0) {
+    rate = toNumber(rate, 'rate');
+    payment = toNumber(payment, 'pmt');
+    pv = toNumber(pv, 'pv');
+    fv = toNumber(fv, 'fv');
+    type = toType(type);
+    if (rate === 0) {
+        if (payment === 0) {
+            throw new SpreadsheetError('#NUM!', 'NPER needs a payment when the rate is 0');
+        }
+        return -(pv + fv) / payment;
+    }
+    const adjusted = payment * (1 + rate * type);
+    const ratio = (adjusted - fv * rate) / (adjusted + pv * rate);
+    if (!(ratio > 0)) {
+        throw new SpreadsheetError('#NUM!', 'NPER has no solution for these values');
+    }
+    return Math.log(ratio) / Math.log(1 + rate);
+}
+
+/**
+ * IPMT - Interest part of the payment for one period
+ * @param {number} rate - Interest rate per period
+ * @param {number} per - Period, from 1 to nper
+ * @param {number} nper - Number of periods
+ * @param {number} pv - Present value
+ * @param {number} [fv=0] - Future value
+ * @param {number} [type=0] - Payment timing
+ * @returns {number}
+ */
+export function ipmt(rate, per, nper, pv, fv = 0, type = 0) {
+    rate = toNumber(rate, 'rate');
+    per = toNumber(per, 'per');
+    nper = toNumber(nper, 'nper');
+    pv = toNumber(pv, 'pv');
+    fv = toNumber(fv, 'fv');
+    type = toType(type);
+    if (per < 1 || per > nper) {
+        throw new SpreadsheetError('#NUM!', `per must be from 1 to ${nper}, got ${per}`);
+    }
+
+    const payment = pmt(rate, nper, pv, fv, type);
+    if (type === 1) {
+        // Paying at the start of the first period leaves no interest to pay
+        return per === 1 ? 0 : (futureValue(rate, per - 2, payment, pv, 1) - payment) * rate;
+    }
+    return futureValue(rate, per - 1, payment, pv, 0) * rate;
+}
+
+/**
+ * PPMT - Principal part of the payment for one period
+ * @param {number} rate - Interest rate per period
+ * @param {number} per - Period, from 1 to nper
+ * @param {number} nper - Number of periods
+ * @param {number} pv - Present value
+ * @param {number} [fv=0] - Future value
+ * @param {number} [type=0] - Payment timing
+ * @returns {number}
+ */
+export function ppmt(rate, per, nper, pv, fv = 0, type = 0) {
+    return pmt(rate, nper, pv, fv, type) - ipmt(rate, per, nper, pv, fv, type);
+}
+
+/**
+ * RATE - Interest rate per period that makes the payments pay off pv
+ * @param {number} nper - Number of periods
+ * @param {number} payment - Payment per period
+ * @param {number} pv - Present value
+ * @param {number} [fv=0] - Future value
+ * @param {number} [type=0] - Payment timing
+ * @param {number} [guess=0.1] - Starting estimate
+ * @returns {number}
+ * @throws {SpreadsheetError} #NUM! if no rate is found
+ */
+export function rate(nper, payment, pv, fv = 0, type = 0, guess = 0.1) {
+    nper = toNumber(nper, 'nper');
+    payment = toNumber(payment, 'pmt');
+    pv = toNumber(pv, 'pv');
+    fv = toNumber(fv, 'fv');
+    type = toType(type);
+    guess = toNumber(guess, 'guess');
+    return solve(r => futureValue(r, nper, payment, pv, type) - fv, guess, 'RATE');
+}
+
+/**
+ * NPV - Net present value of cash flows at the end of each period
+ * @param {number} rate - Discount rate per period
+ * @param {number[]} values - Cash flows, the first one period from now
+ * @returns {number}
+ */
+export function npv(rate, values) {
+    rate = toNumber(rate, 'rate');
+    if (rate === -1) {
+        throw new SpreadsheetError('#DIV/0!', 'NPV rate must not be -1');
+    }
+    return values.reduce((sum, value, i) => sum + toNumber(value, 'value') / Math.pow(1 + rate, i + 1), 0);
+}
+
+/**
+ * Cash flows need money both paid and received to have a rate of return
+ */
+function requireMixedSigns(values, name) {
+    if (!values.some(value => value > 0) || !values.some(value => value < 0)) {
+        throw new SpreadsheetError('#NUM!', `${name} needs at least one positive and one negative cash flow`);
+    }
+}
+
+/**
+ * IRR - Internal rate of return of cash flows at regular periods
+ * @param {number[]} values - Cash flows, the first one now
+ * @param {number} [guess=0.1] - Starting estimate
+ * @returns {number}
+ * @throws {SpreadsheetError} #NUM! if the flows do not change sign or no rate is found
+ */
+export function irr(values, guess = 0.1) {
+    const flows = values.map(value => toNumber(value, 'value'));
+    requireMixedSigns(flows, 'IRR');
+    return solve(r => flows.reduce((sum, value, i) => sum + value / Math.pow(1 + r, i), 0),
+        toNumber(guess, 'guess'), 'IRR');
+}
+
+/**
+ * Read a date argument as a whole Excel serial day number
+ * Accepts serial numbers, Date objects and date text (2024-01-15 or any form Date understands)
+ */
+function toSerialDay(value) {
+    if (typeof value === 'number') {
+        return Math.floor(value);
+    }
+    if (value instanceof Date) {
+        return Math.floor(dateToSerial(value));
+    }
+    const text = String(value).trim();
+    if (text !== '' && !isNaN(Number(text))) {
+        return Math.floor(Number(text));
+    }
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    const date = iso ? new Date(Date.UTC(+iso[1], iso[2] - 1, +iso[3])) : new Date(text);
+    if (isNaN(date.getTime())) {
+        throw new SpreadsheetError('#VALUE!', `Not a date: "${value}"`);
+    }
+    return iso
+        ? dateToSerial(date)
+        : dateToSerial(new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())));
+}
+
+/**
+ * Pair cash flows with their dates, in days since the first date
+ */
+function datedFlows(values, dates, name) {
+    if (values.length !== dates.length) {
+        throw new SpreadsheetError('#NUM!', `${name} needs one date per value, got ${values.length} values and ${dates.length} dates`);
+    }
+    if (values.length === 0) {
+        throw new SpreadsheetError('#NUM!', `${name} needs at least one value`);
+    }
+    const days = dates.map(toSerialDay);
+    if (days.some(day => day < days[0])) {
+        throw new SpreadsheetError('#NUM!', `${name} dates must not precede the first date`);
+    }
+    return values.map((value, i) => ({ value: toNumber(value, 'value'), years: (days[i] - days[0]) / 365 }));
+}
+
+/**
+ * XNPV - Net present value of cash flows on given dates
+ * @param {number} rate - Annual discount rate
+ * @param {number[]} values - Cash flows
+ * @param {Array<number|string|Date>} dates - Date of each cash flow; the first is the base date
+ * @returns {number}
+ */
+export function xnpv(rate, values, dates) {
+    rate = toNumber(rate, 'rate');
+    const flows = datedFlows(values, dates, 'XNPV');
+    return flows.reduce((sum, flow) => sum + flow.value / Math.pow(1 + rate, flow.years), 0);
+}
+
+/**
+ * XIRR - Annual internal rate of return of cash flows on given dates
+ * @param {number[]} values - Cash flows
+ * @param {Array<number|string|Date>} dates - Date of each cash flow
+ * @param {number} [guess=0.1] - Starting estimate
+ * @returns {number}
+ */
+export function xirr(values, dates, guess = 0.1) {
+    const flows = datedFlows(values, dates, 'XIRR');
+    requireMixedSigns(flows.map(flow => flow.value), 'XIRR');
+    return solve(r => flows.reduce((sum, flow) => sum + flow.value / Math.pow(1 + r, flow.years), 0),
+        toNumber(guess, 'guess'), 'XIRR');
+}
+
+/**
+ * MIRR - Modified internal rate of return: payments financed at one rate,
+ * receipts reinvested at another
+ * @param {number[]} values - Cash flows at regular periods
+ * @param {number} financeRate - Rate paid on money borrowed for the payments
+ * @param {number} reinvestRate - Rate earned on the receipts
+ * @returns {number}
+ */
+export function mirr(values, financeRate, reinvestRate) {
+    const flows = values.map(value => toNumber(value, 'value'));
+    financeRate = toNumber(financeRate, 'finance_rate');
+    reinvestRate = toNumber(reinvestRate, 'reinvest_rate');
+    if (!flows.some(value => value > 0) || !flows.some(value => value < 0)) {
+        throw new SpreadsheetError('#DIV/0!', 'MIRR needs at least one positive and one negative cash flow');
+    }
+
+    const n = flows.length;
+    const receipts = flows.reduce((sum, value, i) => sum + (value > 0 ? value * Math.pow(1 + reinvestRate, n - 1 - i) : 0), 0);
+    const payments = flows.reduce((sum, value, i) => sum + (value < 0 ? value / Math.pow(1 + financeRate, i) : 0), 0);
+    return Math.pow(-receipts / payments, 1 / (n - 1)) - 1;
+}
+
+/**
+ * SLN - Straight-line depreciation for one period
+ * @param {number} cost - Initial cost
+ * @param {number} salvage - Value at the end of its life
+ * @param {number} life - Number of periods
+ * @returns {number}
+ */
+export function sln(cost, salvage, life) {
+    cost = toNumber(cost, 'cost');
+    salvage = toNumber(salvage, 'salvage');
+    life = toNumber(life, 'life');
+    if (life === 0) {
+        throw new SpreadsheetError('#DIV/0!', 'SLN life must not be 0');
+    }
+    return (cost - salvage) / life;
+}
+
+/**
+ * DDB - Declining balance depreciation for one period, never going below salvage
+ * @param {number} cost - Initial cost
+ * @param {number} salvage - Value at the end of its life
+ * @param {number} life - Number of periods
+ * @param {number} period - Period to depreciate, from 1 to life
+ * @param {number} [factor=2] - Rate at which the balance declines (2 is double-declining)
+ * @returns {number}
+ */
+export function ddb(cost, salvage, life, period, factor = 2) {
+    cost = toNumber(cost, 'cost');
+    salvage = toNumber(salvage, 'salvage');
+    life = toNumber(life, 'life');
+    period = toNumber(period, 'period');
+    factor = toNumber(factor, 'factor');
+    if (cost < 0 || salvage < 0 || life <= 0 || factor <= 0 || period < 1 || period > life) {
+        throw new SpreadsheetError('#NUM!', 'DDB needs cost, salvage >= 0, factor > 0 and period from 1 to life');
+    }
+
+    const declineRate = Math.min(factor / life, 1);
+    let depreciated = 0;
+    let depreciation = 0;
+    for (let p = 1; p <= period; p++) {
+        depreciation = Math.min((cost - depreciated) * declineRate, Math.max(0, cost - salvage - depreciated));
+        depreciated += depreciation;
+    }
+    return depreciation;
+}
+
+/**
+ * Loan amortisation schedule: one row per period, amounts shown as positive
+ * numbers for a positive loan amount
+ * @param {number} rate - Interest rate per period
+ * @param {number} periods - Number of periods (a whole number)
+ * @param {number} loan - Amount borrowed
+ * @param {number} [balloon=0] - Balance still owed after the last payment
+ * @param {number} [type=0] - Payment timing
+ * @returns {Array<{period: number, payment: number, interest: number, principal: number, balance: number}>}
+ */
+export function amortizationSchedule(rate, periods, loan, balloon = 0, type = 0) {
+    periods = toNumber(periods, 'nper');
+    if (!Number.isInteger(periods) || periods < 1) {
+        throw new SpreadsheetError('#NUM!', `nper must be a whole number of periods, got ${periods}`);
+    }
+    const fvOwed = -toNumber(balloon, 'fv');
+    const payment = pmt(rate, periods, loan, fvOwed, type);
+
+    // Rounding leaves a paid-off balance a hair away from zero
+    const settled = Math.abs(toNumber(loan, 'pv')) * 1e-12;
+
+    const rows = [];
+    for (let period = 1; period <= periods; period++) {
+        const interest = ipmt(rate, period, periods, loan, fvOwed, type);
+        const balance = -fv(rate, period, payment, loan, type);
+        rows.push({
+            period,
+            payment: -payment,
+            interest: -interest,
+            principal: interest - payment,
+            balance: Math.abs(balance) < settled ? 0 : balance
+        });
+    }
+    return rows;
+}
+
+export default {
+    pmt,
+    ipmt,
+    ppmt,
+    fv,
+    pv,
+    rate,
+    nper,
+    npv,
+    irr,
+    xnpv,
+    xirr,
+    mirr,
+    sln,
+    ddb,
+    amortizationSchedule
+};
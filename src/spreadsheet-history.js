@@ -0,0 +1,283 @@
+/**
+ * Spreadsheet History
+ * Undo/redo built from reversible operations. Each history entry holds the
+ * deltas of one user action (cell before/after, a row insert, a sheet rename, ...),
+ * so memory scales with the size of an edit rather than the size of the workbook.
+ *
+ * Operation shapes (sheet is a sheet name; null means workbook-level):
+ *   { type: 'cell', sheet, ref, before, after }                - cell object or null
+ *   { type: 'entry', sheet, key, entryKey, before, after }     - Map value / Set membership, undefined = absent
+ *   { type: 'property', sheet, key, before, after }            - plain sheet or workbook property
+ *   { type: 'structure', sheet, operation, position }          - row/column insert or delete
+ *   { type: 'addSheet' | 'deleteSheet', sheet, data, index }   - whole sheet added or removed
+ *   { type: 'renameSheet', sheet, from, index }                - sheet is the new name
+ */
+
+/**
+ * Cell fields recomputed by evaluation or the dependency graph; they are not
+ * part of what a user edited
+ */
+const DERIVED_CELL_FIELDS = ['dependencies', 'rangeDependencies'];
+const DERIVED_FORMULA_FIELDS = ['value', 'error', 'errorType'];
+
+/**
+ * Deep-copy plain data (objects, arrays, Maps, Sets); other values are shared
+ * @param {*} value - Value to copy
+ * @returns {*} Copy
+ */
+export function cloneValue(value) {
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (value instanceof Map) {
+        return new Map(Array.from(value.entries(), ([key, item]) => [key, cloneValue(item)]));
+    }
+    if (value instanceof Set) {
+        return new Set(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(cloneValue);
+    }
+    if (Object.getPrototypeOf(value) !== Object.prototype) {
+        return value;
+    }
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = cloneValue(item);
+    }
+    return copy;
+}
+
+/**
+ * Structural equality for plain data
+ * @returns {boolean}
+ */
+export function sameValue(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+        return false;
+    }
+    if (a instanceof Map || a instanceof Set) {
+        if (a.constructor !== b.constructor || a.size !== b.size) {
+            return false;
+        }
+        for (const [key, item] of a.entries()) {
+            if (!b.has(key) || !sameValue(item, b.get(key))) {
+                return false;
+            }
+        }
+        return true;
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) {
+        return false;
+    }
+    return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && sameValue(a[key], b[key]));
+}
+
+/**
+ * Compare two cells by their user-visible content, ignoring derived fields
+ * @param {Object|null} a - Cell or null for an empty cell
+ * @param {Object|null} b - Cell or null for an empty cell
+ * @returns {boolean}
+ */
+export function sameCell(a, b) {
+    if (!a || !b) {
+        return !a && !b;
+    }
+    const ignored = new Set(DERIVED_CELL_FIELDS);
+    if (a.expression || b.expression) {
+        DERIVED_FORMULA_FIELDS.forEach(field => ignored.add(field));
+    }
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const key of keys) {
+        if (!ignored.has(key) && !sameValue(a[key], b[key])) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Identify what an operation changes, so a later delta for the same target
+ * can replace an earlier one within an entry
+ * @param {Object} operation - History operation
+ * @returns {string|null} Target key, or null for operations that are never merged
+ */
+export function operationTarget(operation) {
+    switch (operation.type) {
+        case 'cell':
+            return `cell:${operation.sheet}:${operation.ref}`;
+        case 'entry':
+            return `entry:${operation.sheet}:${operation.key}:${operation.entryKey}`;
+        case 'property':
+            return `property:${operation.sheet}:${operation.key}`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Undo/redo stacks of labelled entries, with nested grouping of operations
+ */
+export class SpreadsheetHistory {
+    /**
+     * @param {number} maxSize - Maximum number of undo entries kept; older
+     *   entries are dropped and counted in `dropped`
+     */
+    constructor(maxSize = 100) {
+        this.undoStack = []; // Entries: {action, timestamp, operations}
+        this.redoStack = [];
+        this.maxSize = maxSize;
+        this.dropped = 0; // Oldest entries dropped to stay within maxSize since the last clear()
+        this._openEntry = null; // Entry collecting operations for the running action
+        this._depth = 0; // Nesting level of begin()/end()
+    }
+
+    /**
+     * Start (or join) the entry for an action. Nested actions become part of
+     * the outermost one.
+     * @param {string} action - Label, e.g. "setCell B4"
+     * @returns {number} Index of the first operation the caller will record
+     */
+    begin(action) {
+        if (this._depth === 0) {
+            this._openEntry = { action, timestamp: Date.now(), operations: [] };
+        }
+        this._depth++;
+        return this._openEntry.operations.length;
+    }
+
+    /**
+     * Finish an action; the outermost end() pushes the entry if it changed anything
+     */
+    end() {
+        if (this._depth === 0) {
+            throw new Error('History end() without matching begin()');
+        }
+        this._depth--;
+        if (this._depth > 0) {
+            return;
+        }
+
+        const entry = this._openEntry;
+        this._openEntry = null;
+        if (entry.operations.length > 0) {
+            this.push(entry);
+        }
+    }
+
+    /**
+     * Finish the outermost action while nested ones carry on: the operations
+     * recorded before `at` are pushed as its entry, and the rest stay open as
+     * a new entry for the next action in
+     * @param {string} action - Label for the entry that stays open
+     * @param {number} [at] - Index of the first operation that stays open (default: none do)
+     * @returns {number} Number of operations pushed, to rebase indexes returned by begin()
+     */
+    split(action, at = Infinity) {
+        if (this._depth < 2) {
+            throw new Error('History split() needs a nested action to stay open');
+        }
+        const entry = this._openEntry;
+        const kept = entry.operations.splice(at);
+        this._depth--;
+        this._openEntry = { action, timestamp: Date.now(), operations: kept };
+        if (entry.operations.length > 0) {
+            this.push(entry);
+        }
+        return entry.operations.length;
+    }
+
+    /**
+     * Whether an action is currently collecting operations
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this._depth > 0;
+    }
+
+    /**
+     * Add operations to the open entry
+     * @param {...Object} operations - History operations
+     */
+    record(...operations) {
+        if (!this._openEntry) {
+            throw new Error('History record() outside of an action');
+        }
+        this._openEntry.operations.push(...operations);
+    }
+
+    /**
+     * Record deltas taken around a block of work, replacing any deltas for the
+     * same targets that nested actions recorded since `start`; the block's
+     * before/after pair already spans them.
+     * @param {number} start - Index returned by begin()
+     * @param {Object[]} operations - Deltas for the block
+     */
+    recordSince(start, operations) {
+        if (operations.length === 0) {
+            return;
+        }
+        const targets = new Set(operations.map(operationTarget));
+        const recorded = this._openEntry.operations;
+        const kept = recorded.slice(start).filter(operation => !targets.has(operationTarget(operation)));
+        recorded.splice(start, recorded.length - start, ...kept, ...operations);
+    }
+
+    /**
+     * Remove the operations recorded since `start` from the open entry
+     * @param {number} start - Index returned by begin()
+     * @returns {Object[]} Removed operations, in the order they were applied
+     */
+    takeSince(start) {
+        if (!this._openEntry) {
+            return [];
+        }
+        return this._openEntry.operations.splice(start);
+    }
+
+    /**
+     * Push a finished entry onto the undo stack and clear the redo stack.
+     * The oldest entries beyond maxSize are dropped and counted.
+     * @param {Object} entry - {action, timestamp, operations}
+     */
+    push(entry) {
+        this.undoStack.push(entry);
+        while (this.undoStack.length > this.maxSize) {
+            this.undoStack.shift();
+            this.dropped++;
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Drop all history
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.dropped = 0;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+}
+
+export default {
+    SpreadsheetHistory,
+    cloneValue,
+    sameValue,
+    sameCell,
+    operationTarget
+};
@@ -21,6 +21,30 @@ function columnIndexToLetter(index) {
     return letter;
 }
 
+/**
+ * Runs an importer as a single undo step. A failed or throwing import is
+ * rolled back, so cells written before the failure do not linger.
+ * @param {SpreadsheetModel} model - The spreadsheet model to import into
+ * @param {string} label - History label
+ * @param {Function} importer - Performs the import and returns its result object
+ * @returns {Object} The importer's result
+ */
+function runImport(model, label, importer) {
+    model.beginTransaction(label);
+    let result;
+    try {
+        result = importer();
+    } finally {
+        // Also closes the transaction when the importer throws
+        if (result && result.success) {
+            model.commitTransaction();
+        } else {
+            model.rollbackTransaction();
+        }
+    }
+    return result;
+}
+
 /**
  * Imports CSV data into a spreadsheet model
  * @param {SpreadsheetModel} model - The spreadsheet model to import into
@@ -32,6 +56,14 @@ function columnIndexToLetter(index) {
  * @returns {Object} Result with success status and metadata
  */
 export function importCSV(model, csvData, sheetName = null, options = {}) {
+    return runImport(model, `importCSV ${sheetName || model.activeSheetName}`,
+        () => loadCSV(model, csvData, sheetName, options));
+}
+
+/**
+ * Writes CSV data into the model (see importCSV)
+ */
+function loadCSV(model, csvData, sheetName, options) {
     const { hasHeaders = true, delimiter = '' } = options;
 
     try {
@@ -133,6 +165,14 @@ export function importCSV(model, csvData, sheetName = null, options = {}) {
  * @returns {Object} Result with success status and metadata
  */
 export function importJSON(model, jsonData, sheetName = null, options = {}) {
+    return runImport(model, `importJSON ${sheetName || model.activeSheetName}`,
+        () => loadJSON(model, jsonData, sheetName, options));
+}
+
+/**
+ * Writes JSON data into the model (see importJSON)
+ */
+function loadJSON(model, jsonData, sheetName, options) {
     const { includeHeaders = true } = options;
 
     try {
@@ -269,6 +309,14 @@ export function importJSON(model, jsonData, sheetName = null, options = {}) {
  * @returns {Object} Result with success status and metadata
  */
 export function importTOML(model, tomlData, sheetName = null, options = {}) {
+    return runImport(model, `importTOML ${sheetName || model.activeSheetName}`,
+        () => loadTOML(model, tomlData, sheetName, options));
+}
+
+/**
+ * Writes TOML data into the model (see importTOML)
+ */
+function loadTOML(model, tomlData, sheetName, options) {
     const { flattenObjects = true } = options;
 
     try {
@@ -399,6 +447,14 @@ export function importTOML(model, tomlData, sheetName = null, options = {}) {
  * @returns {Object} Result with success status and metadata
  */
 export function importYAML(model, yamlData, sheetName = null, options = {}) {
+    return runImport(model, `importYAML ${sheetName || model.activeSheetName}`,
+        () => loadYAML(model, yamlData, sheetName, options));
+}
+
+/**
+ * Writes YAML data into the model (see importYAML)
+ */
+function loadYAML(model, yamlData, sheetName, options) {
     const { includeHeaders = true } = options;
 
     try {
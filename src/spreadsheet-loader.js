@@ -8,6 +8,8 @@
  * - Apply data to SpreadsheetModel
  */
 
+import { parseFormatString, formatStyle } from './spreadsheet-cell-style.js';
+
 class SpreadsheetLoader {
     /**
      * Load spreadsheet from URL (web mode)
@@ -163,9 +165,9 @@ class SpreadsheetLoader {
                 ? '=' + cellData.expression
                 : cellData.value;
 
-            // Set cell with metadata
+            // Set cell with metadata; format strings are migrated, skipping parts that are not understood
             const metadata = {
-                format: cellData.format || null,
+                format: cellData.format ? formatStyle(parseFormatString(cellData.format, { strict: false })) : null,
                 comment: cellData.comment || null
             };
 
@@ -177,7 +179,7 @@ class SpreadsheetLoader {
                     value: cellData.value || '',
                     expression: cellData.expression || null,
                     dependencies: [],
-                    format: cellData.format || null,
+                    format: metadata.format,
                     comment: cellData.comment || null
                 });
             }
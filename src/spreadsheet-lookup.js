@@ -0,0 +1,227 @@
+/**
+ * Spreadsheet Lookup
+ * Matching rules shared by VLOOKUP, HLOOKUP, XLOOKUP and MATCH: Excel value
+ * ordering, wildcard patterns, and linear or binary searches for an exact or
+ * nearest match
+ */
+
+/**
+ * XLOOKUP match modes
+ */
+export const MATCH_MODES = {
+    EXACT: 0,
+    EXACT_OR_SMALLER: -1,
+    EXACT_OR_LARGER: 1,
+    WILDCARD: 2
+};
+
+/**
+ * XLOOKUP search modes
+ */
+export const SEARCH_MODES = {
+    FIRST_TO_LAST: 1,
+    LAST_TO_FIRST: -1,
+    BINARY_ASCENDING: 2,
+    BINARY_DESCENDING: -2
+};
+
+/**
+ * Normalize a value for comparison: numeric text becomes a number, text is
+ * compared without regard to case, and blanks are null
+ * @param {*} value - Cell value or lookup value
+ * @returns {{type: string, value: *}|null}
+ */
+function lookupKey(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    if (typeof value === 'number') {
+        return { type: 'number', value };
+    }
+    const text = String(value);
+    const num = Number(text.trim());
+    if (text.trim() !== '' && !isNaN(num)) {
+        return { type: 'number', value: num };
+    }
+    return { type: 'text', value: text.toLowerCase() };
+}
+
+/**
+ * Compare two values in Excel sort order (numbers before text, text
+ * case-insensitive); blanks sort last
+ * @returns {number} Negative, zero or positive
+ */
+export function compareLookupValues(a, b) {
+    const keyA = a && a.type ? a : lookupKey(a);
+    const keyB = b && b.type ? b : lookupKey(b);
+    if (!keyA || !keyB) {
+        return (keyA ? -1 : 0) + (keyB ? 1 : 0);
+    }
+    if (keyA.type !== keyB.type) {
+        return keyA.type === 'number' ? -1 : 1;
+    }
+    if (keyA.value === keyB.value) {
+        return 0;
+    }
+    return keyA.value < keyB.value ? -1 : 1;
+}
+
+/**
+ * Turn an Excel wildcard pattern into a regular expression: * matches any run
+ * of characters, ? any single character, and ~ escapes the next character
+ * @param {string} pattern - Wildcard pattern
+ * @returns {RegExp}
+ */
+export function wildcardToRegExp(pattern) {
+    let source = '';
+    const text = String(pattern);
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '~' && i + 1 < text.length) {
+            source += text[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        } else if (ch === '*') {
+            source += '[\\s\\S]*';
+        } else if (ch === '?') {
+            source += '[\\s\\S]';
+        } else {
+            source += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check whether a text value uses wildcard characters
+ */
+export function hasWildcards(value) {
+    return typeof value === 'string' && /[*?~]/.test(value);
+}
+
+/**
+ * Scan in order for an exact (or wildcard) match, remembering the nearest
+ * smaller or larger value of the same type
+ */
+function linearSearch(values, key, matchMode, reverse) {
+    const pattern = matchMode === MATCH_MODES.WILDCARD && key.type === 'text'
+        ? wildcardToRegExp(key.value)
+        : null;
+    let best = -1;
+
+    for (let n = 0; n < values.length; n++) {
+        const i = reverse ? values.length - 1 - n : n;
+        const candidate = lookupKey(values[i]);
+        if (!candidate) {
+            continue;
+        }
+        if (pattern) {
+            if (candidate.type === 'text' && pattern.test(candidate.value)) {
+                return i;
+            }
+            continue;
+        }
+        if (candidate.type !== key.type) {
+            continue;
+        }
+        const order = compareLookupValues(candidate, key);
+        if (order === 0) {
+            return i;
+        }
+        if (matchMode === MATCH_MODES.EXACT_OR_SMALLER && order < 0 &&
+            (best < 0 || compareLookupValues(candidate, lookupKey(values[best])) > 0)) {
+            best = i;
+        } else if (matchMode === MATCH_MODES.EXACT_OR_LARGER && order > 0 &&
+            (best < 0 || compareLookupValues(candidate, lookupKey(values[best])) < 0)) {
+            best = i;
+        }
+    }
+    return best;
+}
+
+/**
+ * Binary search over values sorted ascending or descending. Returns the
+ * exact match, or the nearest smaller or larger value for those match modes.
+ */
+function binarySearch(values, key, matchMode, descending) {
+    // Number of leading values that sort before (ascending) or after
+    // (descending) the lookup value, plus those equal to it
+    const boundary = (inclusive) => {
+        let low = 0;
+        let high = values.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            let order = compareLookupValues(values[mid], key);
+            if (descending) {
+                order = -order;
+            }
+            if (order < 0 || (inclusive && order === 0)) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    };
+
+    const before = boundary(false);
+    const through = boundary(true);
+    if (through > before) {
+        return descending ? through - 1 : before;
+    }
+
+    const wantsSmaller = matchMode === MATCH_MODES.EXACT_OR_SMALLER;
+    const wantsLarger = matchMode === MATCH_MODES.EXACT_OR_LARGER;
+    let index = -1;
+    if (wantsSmaller) {
+        index = descending ? before : before - 1;
+    } else if (wantsLarger) {
+        index = descending ? before - 1 : before;
+    }
+    if (index < 0 || index >= values.length) {
+        return -1;
+    }
+    const candidate = lookupKey(values[index]);
+    return candidate && candidate.type === key.type ? index : -1;
+}
+
+/**
+ * Find the position of a value in a list
+ * @param {Array} values - Values to search
+ * @param {*} lookupValue - Value to find
+ * @param {object} [options]
+ * @param {number} [options.matchMode=0] - One of MATCH_MODES
+ * @param {number} [options.searchMode=1] - One of SEARCH_MODES
+ * @returns {number} Zero-based index, or -1 when nothing matches
+ */
+export function findMatch(values, lookupValue, options = {}) {
+    const matchMode = options.matchMode ?? MATCH_MODES.EXACT;
+    const searchMode = options.searchMode ?? SEARCH_MODES.FIRST_TO_LAST;
+    if (!Object.values(MATCH_MODES).includes(matchMode)) {
+        throw new Error(`Match mode must be 0, -1, 1 or 2, got ${matchMode}`);
+    }
+    if (!Object.values(SEARCH_MODES).includes(searchMode)) {
+        throw new Error(`Search mode must be 1, -1, 2 or -2, got ${searchMode}`);
+    }
+
+    const key = lookupKey(lookupValue);
+    if (!key) {
+        return values.findIndex(value => lookupKey(value) === null);
+    }
+
+    if (searchMode === SEARCH_MODES.BINARY_ASCENDING || searchMode === SEARCH_MODES.BINARY_DESCENDING) {
+        // Wildcards need a scan; binary search only applies to ordered values
+        if (matchMode === MATCH_MODES.WILDCARD) {
+            return linearSearch(values, key, matchMode, false);
+        }
+        return binarySearch(values, key, matchMode, searchMode === SEARCH_MODES.BINARY_DESCENDING);
+    }
+    return linearSearch(values, key, matchMode, searchMode === SEARCH_MODES.LAST_TO_FIRST);
+}
+
+export default {
+    MATCH_MODES,
+    SEARCH_MODES,
+    compareLookupValues,
+    wildcardToRegExp,
+    hasWildcards,
+    findMatch
+};
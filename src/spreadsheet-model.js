@@ -9,6 +9,84 @@
  * - Evaluation order resolution
  */
 
+import { isErrorValue, toSpreadsheetError } from './spreadsheet-errors.js';
+import {
+    createStructuralEdit,
+    adjustIndex,
+    adjustCellRef,
+    adjustRangeRef,
+    adjustExpression,
+    adjustIndexSet,
+    adjustIndexMap,
+    adjustCellMap
+} from './spreadsheet-structural-edit.js';
+import { SpreadsheetHistory, cloneValue, sameValue, sameCell } from './spreadsheet-history.js';
+import { seekGoal, minimize } from './spreadsheet-solver.js';
+import {
+    normalizeConditionalFormat,
+    matchConditionalFormat,
+    computeVisualFormat,
+    isConditionTrue,
+    VISUAL_FORMAT_TYPES
+} from './spreadsheet-conditional-format.js';
+import { StyleRegistry, BORDER_SIDES, parseBorderSpec, parseFormatString, toFormatString } from './spreadsheet-cell-style.js';
+import { callsFunction } from './spreadsheet-user-functions.js';
+
+// Functions that receive error values instead of propagating them
+const ERROR_HANDLING_PATTERN = /\b(ISERROR|ISERR|ISNA|IFERROR|IFNA|ERROR[._]TYPE)\s*\(/i;
+
+// Range references such as A1:B10, $A$1:$B$10 or Sheet2.A1:B10
+const RANGE_REF_PATTERN = /(?<![A-Za-z0-9_.$])(?:[A-Za-z][A-Za-z0-9_]*\.)?\$?[A-Z]+\$?\d+:\$?[A-Z]+\$?\d+\b/g;
+
+// Spill references such as A1# or Sheet2.A1#: the whole array returned by the formula in A1
+const SPILL_REF_PATTERN = /(?<![A-Za-z0-9_.$])(?:[A-Za-z][A-Za-z0-9_]*\.)?\$?[A-Z]+\$?\d+#/g;
+
+// Cell or range references, each part with its $ and an optional sheet prefix (Sheet2.A1, Sheet2_A1)
+const CELL_OR_RANGE_REF_PATTERN = /(?<![A-Za-z0-9_.$])(?:([A-Za-z][A-Za-z0-9_]*)[._])?(\$?)([A-Z]+)(\$?)(\d+)(?::(\$?)([A-Z]+)(\$?)(\d+))?/;
+
+// Range dependencies whose cells never move: A1:B10 or a single cell, as opposed to names and A1#
+const FIXED_RANGE_DEPENDENCY_PATTERN = /^[A-Z]+\d+(?::[A-Z]+\d+)?$/;
+
+/**
+ * Error for an edit refused because another party's transaction is open
+ */
+class EditRefusedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'EditRefusedError';
+    }
+}
+
+// Events emitted through model.on(); see the Change Events section
+const MODEL_EVENTS = [
+    'cellChanged', 'rangeChanged', 'sheetAdded', 'sheetRenamed', 'sheetDeleted',
+    'structureChanged', 'metadataChanged', 'recalcCompleted', 'workbookLoaded', 'editRefused'
+];
+
+// Iterative calculation is off by default, so reference cycles are #CIRCULAR!
+const DEFAULT_ITERATIVE_CALCULATION = { enabled: false, maxIterations: 100, maxChange: 0.001 };
+
+// Comparison operators accepted in Solver constraints
+const SOLVER_OPERATORS = ['<=', '>=', '='];
+
+// Weight of constraint violations relative to the Solver objective
+const SOLVER_PENALTY = 1e6;
+
+// Each structural edit and the edit that undoes it
+const INVERSE_STRUCTURAL_EDITS = {
+    insertRow: 'deleteRow',
+    deleteRow: 'insertRow',
+    insertColumn: 'deleteColumn',
+    deleteColumn: 'insertColumn'
+};
+
+// Position-keyed sheet Maps/Sets moved by structural edits
+const STRUCTURAL_METADATA_KEYS = [
+    'hiddenRows', 'hiddenColumns', 'columnWidths', 'rowHeights', 'filteredRows',
+    'validations', 'cellEditors', 'mergedCells', 'namedRanges', 'tableMetadata', 'pivotTables',
+    'dataTables', 'scenarios', 'conditionalFormats'
+];
+
 class SpreadsheetModel {
     constructor(rows = 100, cols = 26) {
         this.rows = rows;
@@ -23,10 +101,21 @@ class SpreadsheetModel {
         this._initializeSheet('Sheet1');
 
         this.setupScript = ''; // Page-level RexxJS code (REQUIRE statements, etc.)
-        this.undoStack = []; // History for undo
-        this.redoStack = []; // History for redo
-        this.maxHistorySize = 100; // Limit undo/redo stack size
+        this.iterativeCalculation = { ...DEFAULT_ITERATIVE_CALCULATION }; // Settings for solving reference cycles
+        this.history = new SpreadsheetHistory(100); // Undo/redo entries of reversible operations; keeps the last 100 (see maxHistorySize)
         this.recordingHistory = true; // Flag to enable/disable history recording
+        this._transactions = []; // Open transactions, innermost last: {label, start, implicit, owner}
+        this._actor = null; // Party the running call acts for (see actingAs), null for scripts and internal work
+        this._listeners = new Map(); // key: event name (or '*'), value: Set of listeners
+
+        // Recalculation scheduler state
+        this._dirtyCells = new Set(); // Cells changed since the last recalculation pass
+        this._recalcPromise = null; // Promise for the pass currently running, if any
+        this._recalcInterpreter = null; // Interpreter used by the running pass
+        this._evaluatingCells = []; // Cells whose formulas are being evaluated, innermost last: {ref, sheet}, or {ref: null, sheet, trackedRanges} for a conditional format
+        this._trialEvaluation = 0; // Nesting of data table and what-if trial runs, whose values are not reported
+        this._conditionalFormatSheets = new Set(); // Sheets whose conditional formats need re-evaluating
+        this.styleRegistry = new StyleRegistry(); // Shared style objects for cell format strings
     }
 
     /**
@@ -35,7 +124,10 @@ class SpreadsheetModel {
     _initializeSheet(name) {
         this.sheets.set(name, {
             cells: new Map(), // key: "A1", value: {value, expression, dependencies}
-            dependents: new Map(), // key: "A1", value: Set of cells that depend on A1
+            dependents: new Map(), // key: "A1", value: Set of qualified cells that depend on A1 (e.g. "Sheet2.B1")
+            rangeDependents: new Map(), // key: "A1:A10" or range/table name, value: Set of qualified cells that depend on it
+            rangeIndex: new Map(), // key: column number, value: Map of fixed ranges in rangeDependents covering it -> bounds (derived)
+            movingRanges: new Set(), // Named ranges, tables and A1# in rangeDependents, resolved when looked up (derived)
             evaluationInProgress: new Set(), // For circular reference detection
             hiddenRows: new Set(), // Set of hidden row numbers
             hiddenColumns: new Set(), // Set of hidden column numbers
@@ -51,10 +143,16 @@ class SpreadsheetModel {
             mergedCells: new Map(), // key: "A1" (top-left), value: "C3" (bottom-right)
             cellEditors: new Map(), // key: "A1", value: {type: 'checkbox'|'dropdown'|'date', config: {}}
             pivotTables: new Map(), // key: pivotId, value: {sourceRange, rowFields, colFields, valueField, aggFunction, outputCell}
+            dataTables: new Map(), // key: tableId, value: {range, formulaCell, rowInputCell, colInputCell}
+            scenarios: new Map(), // key: scenario name, value: {cells: {A1: content}, comment}
+            conditionalFormats: new Map(), // key: ruleId, value: {range, type, ...criteria, style, priority, stopIfTrue}
+            conditionalFormatMatches: new Map(), // key: ruleId, value: Set of matching cells, or Map of cell -> visual for visual formats (derived, not saved)
+            conditionalFormatRanges: new Map(), // key: ruleId, value: Set of qualified ranges its expression read through OFFSET and the like (derived, not saved)
             autoIdColumn: null, // Column for auto-IDs (e.g., "A" or null if disabled)
             nextId: 1, // Next ID to assign
             idPrefix: '', // Optional prefix for IDs (e.g., "ID-")
-            tableMetadata: new Map() // key: tableName, value: {range, columns, hasHeader, types, descriptions}
+            tableMetadata: new Map(), // key: tableName, value: {range, columns, hasHeader, types, descriptions}
+            spills: new Map() // key: formula cell "A1", value: {range, startCol, startRow, endCol, endRow, values, blocked} (derived, not saved)
         });
     }
 
@@ -72,6 +170,93 @@ class SpreadsheetModel {
         return this.sheets.get(sheetName || this.activeSheetName);
     }
 
+    /**
+     * Change Events
+     * Payloads:
+     *   cellChanged      { sheet, ref, oldValue, newValue, source }  source: 'edit', 'recalc' or 'history'
+     *   rangeChanged     { sheet, range, action }                    range null = whole sheet
+     *   sheetAdded       { sheet, index }
+     *   sheetRenamed     { from, to }
+     *   sheetDeleted     { sheet, index }
+     *   structureChanged { sheet, operation, position }              row/column insert or delete
+     *   metadataChanged  { sheet, keys, action }                     styles, formats, scenarios, ...; sheet null = workbook
+     *   recalcCompleted  { cells }                                   qualified refs evaluated by the pass
+     *   workbookLoaded   { sheets }
+     *   editRefused      { actor, transaction, message }             see Transactions
+     * A listener for '*' receives every event as { type, ...payload }.
+     */
+
+    /**
+     * Subscribe to a model event
+     * @param {string} event - Event name, or '*' for all events
+     * @param {Function} listener - Called with the event payload
+     * @returns {Function} Unsubscribes the listener
+     */
+    on(event, listener) {
+        if (event !== '*' && !MODEL_EVENTS.includes(event)) {
+            throw new Error(`Unknown model event: ${event}`);
+        }
+        if (typeof listener !== 'function') {
+            throw new Error('Event listener must be a function');
+        }
+        if (!this._listeners.has(event)) {
+            this._listeners.set(event, new Set());
+        }
+        this._listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Unsubscribe a listener added with on()
+     */
+    off(event, listener) {
+        const listeners = this._listeners.get(event);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    /**
+     * Notify listeners. A failing listener is logged and does not affect the
+     * model or the other listeners.
+     */
+    _emit(event, payload) {
+        const targets = [
+            [this._listeners.get(event), payload],
+            [this._listeners.get('*'), { type: event, ...payload }]
+        ];
+        for (const [listeners, argument] of targets) {
+            if (!listeners) continue;
+            for (const listener of [...listeners]) {
+                try {
+                    listener(argument);
+                } catch (error) {
+                    console.error(`Error in ${event} listener:`, error);
+                }
+            }
+        }
+    }
+
+    /**
+     * Undo/redo stacks and their size limit, kept on the history object
+     */
+    get undoStack() {
+        return this.history.undoStack;
+    }
+    get redoStack() {
+        return this.history.redoStack;
+    }
+    /**
+     * Number of undo steps kept. Older steps are dropped as new ones are
+     * recorded; getDroppedHistoryCount() reports how many.
+     */
+    get maxHistorySize() {
+        return this.history.maxSize;
+    }
+    set maxHistorySize(value) {
+        this.history.maxSize = value;
+    }
+
     /**
      * Legacy compatibility: expose cells, dependents, etc. from active sheet
      */
@@ -89,6 +274,13 @@ class SpreadsheetModel {
         this._getActiveSheet().dependents = value;
     }
 
+    get rangeDependents() {
+        return this._getActiveSheet().rangeDependents;
+    }
+    set rangeDependents(value) {
+        this._getActiveSheet().rangeDependents = value;
+    }
+
     get evaluationInProgress() {
         return this._getActiveSheet().evaluationInProgress;
     }
@@ -194,6 +386,27 @@ class SpreadsheetModel {
         this._getActiveSheet().pivotTables = value;
     }
 
+    get dataTables() {
+        return this._getActiveSheet().dataTables;
+    }
+    set dataTables(value) {
+        this._getActiveSheet().dataTables = value;
+    }
+
+    get conditionalFormats() {
+        return this._getActiveSheet().conditionalFormats;
+    }
+    set conditionalFormats(value) {
+        this._getActiveSheet().conditionalFormats = value;
+    }
+
+    get scenarios() {
+        return this._getActiveSheet().scenarios;
+    }
+    set scenarios(value) {
+        this._getActiveSheet().scenarios = value;
+    }
+
     get tableMetadata() {
         return this._getActiveSheet().tableMetadata;
     }
@@ -301,7 +514,8 @@ class SpreadsheetModel {
     /**
      * Add a new sheet
      */
-    addSheet(name) {
+    addSheet(name, rexxInterpreter = null) {
+        this._assertCanEdit();
         if (!SpreadsheetModel.isValidSheetName(name)) {
             throw new Error('Sheet name must be a valid Rexx variable name (start with letter, no spaces)');
         }
@@ -310,13 +524,35 @@ class SpreadsheetModel {
         }
         this._initializeSheet(name);
         this.sheetOrder.push(name);
+        this._recordOperations(`addSheet ${name}`, {
+            type: 'addSheet', sheet: name, data: this.sheets.get(name), index: this.sheetOrder.length - 1
+        });
+        this._emit('sheetAdded', { sheet: name, index: this.sheetOrder.length - 1 });
+
+        // Formulas that already referenced this sheet can now be linked to it
+        this._rebuildDependents();
+        const referencing = [];
+        for (const dependents of this.sheets.get(name).dependents.values()) {
+            referencing.push(...dependents);
+        }
+        for (const dependents of this.sheets.get(name).rangeDependents.values()) {
+            referencing.push(...dependents);
+        }
+        if (referencing.length > 0) {
+            this.recalculate(referencing, rexxInterpreter);
+        }
+
         return name;
     }
 
     /**
      * Delete a sheet
+     * Formulas on other sheets that reference it have those references replaced
+     * with #REF!, and their dependents are recalculated.
+     * @returns {Promise<void>} - Resolves once dependent formulas have settled
      */
-    deleteSheet(name) {
+    deleteSheet(name, rexxInterpreter = null) {
+        this._assertCanEdit();
         if (this.sheets.size <= 1) {
             throw new Error('Cannot delete the last sheet');
         }
@@ -324,22 +560,60 @@ class SpreadsheetModel {
             throw new Error(`Sheet "${name}" does not exist`);
         }
 
+        const data = this.sheets.get(name);
         this.sheets.delete(name);
         const index = this.sheetOrder.indexOf(name);
         if (index > -1) {
             this.sheetOrder.splice(index, 1);
         }
+        const operations = [{ type: 'deleteSheet', sheet: name, data, index }];
 
         // If we deleted the active sheet, switch to another one
         if (this.activeSheetName === name) {
             this.activeSheetName = this.sheetOrder[0];
         }
+
+        // Invalidate references to the deleted sheet
+        const pattern = this._sheetReferencePattern(name, true);
+        const invalidated = [];
+        for (const [sheetName, sheet] of this.sheets.entries()) {
+            for (const [ref, cell] of sheet.cells.entries()) {
+                const expression = cell.expression && cell.expression.replace(pattern, '#REF!');
+                if (expression && expression !== cell.expression) {
+                    const updated = { ...cell, expression };
+                    this._setCellError(updated, '#REF!', `Reference to deleted sheet "${name}"`);
+                    sheet.cells.set(ref, updated);
+                    operations.push({ type: 'cell', sheet: sheetName, ref, before: cloneValue(cell), after: cloneValue(updated) });
+                    invalidated.push(this._qualifyRef(ref, sheetName));
+                }
+            }
+        }
+        this._recordOperations(`deleteSheet ${name}`, ...operations);
+        this._emit('sheetDeleted', { sheet: name, index });
+
+        // The invalidated cells keep their #REF! value; only their dependents need recalculating
+        this._rebuildDependents();
+        const affected = invalidated.flatMap(ref => this._getQualifiedDependents(ref));
+        return this.recalculate(affected, rexxInterpreter);
+    }
+
+    /**
+     * Build a pattern matching references into a sheet, in both Sheet2.A1 and
+     * Rexx Sheet2_A1 form. With wholeReference the cell (or range) part is
+     * included in the match, with the # of a spill reference (Sheet2.A1#);
+     * otherwise only the sheet name and separator are.
+     */
+    _sheetReferencePattern(sheetName, wholeReference = false) {
+        const cell = '\\$?[A-Z]+\\$?\\d+';
+        const tail = wholeReference ? `${cell}(?::${cell}\\b|\\b#?)` : `(?=${cell}\\b)`;
+        return new RegExp(`(?<![A-Za-z0-9_.])${sheetName}([._])${tail}`, 'g');
     }
 
     /**
      * Rename a sheet
      */
     renameSheet(oldName, newName) {
+        this._assertCanEdit();
         if (!SpreadsheetModel.isValidSheetName(newName)) {
             throw new Error('Sheet name must be a valid Rexx variable name (start with letter, no spaces)');
         }
@@ -363,7 +637,23 @@ class SpreadsheetModel {
             this.activeSheetName = newName;
         }
 
-        // TODO: Update formulas that reference this sheet
+        // Update formulas that reference this sheet
+        const operations = [{ type: 'renameSheet', sheet: newName, from: oldName, index }];
+        const pattern = this._sheetReferencePattern(oldName);
+        for (const [sheetName, sheet] of this.sheets.entries()) {
+            for (const [ref, cell] of sheet.cells.entries()) {
+                const expression = cell.expression && cell.expression.replace(pattern, `${newName}$1`);
+                if (expression && expression !== cell.expression) {
+                    const updated = { ...cell, expression };
+                    sheet.cells.set(ref, updated);
+                    operations.push({ type: 'cell', sheet: sheetName, ref, before: cloneValue(cell), after: cloneValue(updated) });
+                }
+            }
+        }
+        this._recordOperations(`renameSheet ${oldName} ${newName}`, ...operations);
+        this._emit('sheetRenamed', { from: oldName, to: newName });
+
+        this._rebuildDependents();
     }
 
     /**
@@ -397,7 +687,16 @@ class SpreadsheetModel {
         if (typeof ref === 'object') {
             ref = SpreadsheetModel.formatCellRef(ref.col, ref.row);
         }
-        return this.cells.get(ref) || { value: '', expression: null, dependencies: [], chartScript: null, wrapText: false };
+        let sheet = this._getActiveSheet();
+        if (ref.includes('.')) {
+            // Cross-sheet reference such as Sheet2.A1
+            const qualified = this._splitQualifiedRef(ref);
+            sheet = this.sheets.get(qualified.sheet);
+            ref = qualified.ref;
+        }
+        const cell = sheet ? sheet.cells.get(ref) : undefined;
+        return this._spilledCell(sheet, ref, cell) || cell ||
+            { value: '', expression: null, dependencies: [], rangeDependencies: [], chartScript: null, wrapText: false };
     }
 
     /**
@@ -418,2669 +717,5991 @@ class SpreadsheetModel {
      * Set cell content
      * If content starts with '=', treat as expression
      * Otherwise, treat as literal value
+     *
+     * The cell is stored synchronously; the returned promise resolves once the
+     * cell and everything depending on it has been recalculated.
+     * metadata.fromFormula marks an edit made by a formula being evaluated
+     * (e.g. via SETCELL); see recalculate().
+     * @returns {Promise<void>}
      */
     setCell(ref, content, rexxInterpreter = null, metadata = {}) {
         if (typeof ref === 'object') {
             ref = SpreadsheetModel.formatCellRef(ref.col, ref.row);
         }
+        const format = metadata.format ? toFormatString(metadata.format) : '';
 
-        // Clear old dependencies
-        const oldCell = this.cells.get(ref);
-        if (oldCell && oldCell.dependencies) {
-            oldCell.dependencies.forEach(dep => {
-                const depSet = this.dependents.get(dep);
-                if (depSet) {
-                    depSet.delete(ref);
-                }
-            });
-        }
-
-        if (content === '' || content === null || content === undefined) {
-            // Clear cell
-            this.cells.delete(ref);
-            this.propagateChanges(ref, rexxInterpreter);
-            return;
-        }
-
-        const isExpression = typeof content === 'string' && content.trim().startsWith('=');
-
-        if (isExpression) {
-            // Store expression, evaluate later
-            let expression = content.trim().substring(1).trim();
+        return this._recordChange(`setCell ${ref}`, { cells: [ref] }, () => {
+            // Clear old dependencies
+            const oldCell = this.cells.get(ref);
+            if (oldCell) {
+                this._unregisterDependencies(ref, oldCell);
+            }
 
-            // Resolve named ranges in the expression
-            expression = this.resolveNamedRanges(expression);
+            if (content === '' || content === null || content === undefined) {
+                // Clear cell
+                this.cells.delete(ref);
+                this._emitCellChanged(this.activeSheetName, ref, oldCell ? oldCell.value : '', 'edit');
+                return this.recalculate([ref], rexxInterpreter, { fromFormula: metadata.fromFormula });
+            }
 
-            this.cells.set(ref, {
-                value: '',
-                expression: expression,
-                dependencies: [],
-                error: null,
-                comment: metadata.comment || oldCell?.comment || '',
-                format: metadata.format || oldCell?.format || '',
-                chartScript: metadata.chartScript || oldCell?.chartScript || null,
-                wrapText: metadata.wrapText !== undefined ? metadata.wrapText : (oldCell?.wrapText || false)
-            });
+            const isExpression = typeof content === 'string' && content.trim().startsWith('=');
+
+            if (isExpression) {
+                // Store expression, evaluate later. Named ranges stay in it and are
+                // resolved at evaluation, so redefining one updates the formula.
+                const expression = content.trim().substring(1).trim();
+
+                const cell = {
+                    value: '',
+                    expression: expression,
+                    dependencies: this.extractCellReferences(expression),
+                    rangeDependencies: this.extractRangeReferences(expression),
+                    error: null,
+                    comment: metadata.comment || oldCell?.comment || '',
+                    format: format || oldCell?.format || '',
+                    chartScript: metadata.chartScript || oldCell?.chartScript || null,
+                    wrapText: metadata.wrapText !== undefined ? metadata.wrapText : (oldCell?.wrapText || false)
+                };
+                this.cells.set(ref, cell);
 
-            // Evaluate the expression
-            if (rexxInterpreter) {
-                this.evaluateCell(ref, rexxInterpreter);
+                // Register dependencies up front so the recalculation order is known
+                this._registerDependencies(ref, cell);
+            } else {
+                // Literal value
+                this.cells.set(ref, {
+                    value: content,
+                    expression: null,
+                    dependencies: [],
+                    rangeDependencies: [],
+                    error: null,
+                    comment: metadata.comment || oldCell?.comment || '',
+                    format: format || oldCell?.format || '',
+                    chartScript: metadata.chartScript || oldCell?.chartScript || null,
+                    wrapText: metadata.wrapText !== undefined ? metadata.wrapText : (oldCell?.wrapText || false)
+                });
             }
-        } else {
-            // Literal value
-            this.cells.set(ref, {
-                value: content,
-                expression: null,
-                dependencies: [],
-                error: null,
-                comment: metadata.comment || oldCell?.comment || '',
-                format: metadata.format || oldCell?.format || '',
-                chartScript: metadata.chartScript || oldCell?.chartScript || null,
-                wrapText: metadata.wrapText !== undefined ? metadata.wrapText : (oldCell?.wrapText || false)
-            });
-        }
 
-        // Propagate to dependent cells
-        this.propagateChanges(ref, rexxInterpreter);
+            this._emitCellChanged(this.activeSheetName, ref, oldCell ? oldCell.value : '', 'edit');
+
+            // Evaluate this cell (if it is an expression) and everything depending on it
+            return this.recalculate([ref], rexxInterpreter, { fromFormula: metadata.fromFormula });
+        });
     }
 
     /**
      * Evaluate a cell's expression using RexxJS
+     * @param {string} ref - Local cell reference
+     * @param {object} rexxInterpreter - Evaluator exposing evaluate(expression, model, context)
+     * @param {string} [sheetName] - Sheet the cell is on; its local references
+     *   resolve against this sheet, whichever sheet is active
      */
-    async evaluateCell(ref, rexxInterpreter) {
-        const cell = this.cells.get(ref);
+    async evaluateCell(ref, rexxInterpreter, sheetName = this.activeSheetName) {
+        const sheet = this.sheets.get(sheetName);
+        const cell = sheet && sheet.cells.get(ref);
         if (!cell || !cell.expression) {
+            // A formula that was cleared or replaced takes its spilled values with it
+            if (sheet) {
+                this._updateSpill(ref, null, null, sheetName);
+            }
             return;
         }
 
         // Check for circular references
-        if (this.evaluationInProgress.has(ref)) {
-            cell.error = 'Circular reference';
-            cell.value = '#CIRCULAR!';
+        if (sheet.evaluationInProgress.has(ref)) {
+            this._setCellError(cell, '#CIRCULAR!', 'Circular reference');
             return;
         }
 
-        this.evaluationInProgress.add(ref);
+        sheet.evaluationInProgress.add(ref);
+        let grid = null;
 
         try {
-            // Extract cell references from expression
-            const dependencies = this.extractCellReferences(cell.expression);
-            cell.dependencies = dependencies;
+            // Extract cell and range references from expression, dropping any
+            // recorded by the previous evaluation (see trackRangeDependency)
+            this._unregisterDependencies(ref, cell, sheetName);
+            cell.dependencies = this.extractCellReferences(cell.expression);
+            cell.rangeDependencies = this.extractRangeReferences(cell.expression, sheetName);
+
+            // Update dependents maps
+            this._registerDependencies(ref, cell, sheetName);
+
+            // References invalidated by a structural edit cannot be evaluated
+            if (cell.expression.includes('#REF!')) {
+                this._setCellError(cell, '#REF!', 'Invalid cell reference');
+                return;
+            }
 
-            // Update dependents map
-            dependencies.forEach(dep => {
-                if (!this.dependents.has(dep)) {
-                    this.dependents.set(dep, new Set());
+            // Errors in referenced cells propagate unless the formula handles them
+            if (!ERROR_HANDLING_PATTERN.test(cell.expression)) {
+                const upstream = this._findReferencedError(cell, sheetName);
+                if (upstream) {
+                    const cause = upstream.cell.error ? ` (${upstream.cell.error})` : '';
+                    this._setCellError(cell, upstream.cell.value, `${upstream.ref} contains ${upstream.cell.value}${cause}`);
+                    return;
                 }
-                this.dependents.get(dep).add(ref);
-            });
+            }
 
             // Evaluate expression via RexxJS
-            const result = await rexxInterpreter.evaluate(cell.expression, this);
-            cell.value = result;
-            cell.error = null;
+            this._evaluatingCells.push({ ref, sheet: sheetName });
+            let result;
+            try {
+                result = await rexxInterpreter.evaluate(cell.expression, this, { sheet: sheetName });
+            } finally {
+                this._evaluatingCells.pop();
+            }
+            grid = this._toSpillGrid(result);
+            if (grid && grid.length === 1 && grid[0].length === 1) {
+                // A one-value array is just that value
+                result = grid[0][0];
+                grid = null;
+            }
+            if (grid && (grid.length === 0 || grid[0].length === 0)) {
+                this._setCellError(cell, '#CALC!', 'Formula returned an empty array');
+                grid = null;
+            } else if (isErrorValue(result)) {
+                this._setCellError(cell, result, `Formula returned ${result}`);
+            } else {
+                cell.value = grid ? grid[0][0] : result;
+                cell.error = null;
+                cell.errorType = null;
+            }
         } catch (error) {
-            cell.error = error.message;
-            cell.value = '#ERROR!';
+            const spreadsheetError = toSpreadsheetError(error);
+            this._setCellError(cell, spreadsheetError.type, spreadsheetError.message);
         } finally {
-            this.evaluationInProgress.delete(ref);
+            sheet.evaluationInProgress.delete(ref);
+            this._updateSpill(ref, cell, grid, sheetName);
         }
     }
 
     /**
-     * Extract cell references from an expression
-     * Matches patterns like A1, B2, AA10, and cross-sheet references like Sheet2.A1
+     * Emit cellChanged for a cell whose content or value may have changed
+     * @param {string} sheetName - Sheet the cell is on
+     * @param {string} ref - Cell reference on that sheet
+     * @param {*} oldValue - Value before the change
+     * @param {string} source - 'edit', 'recalc' or 'history'
      */
-    extractCellReferences(expression) {
-        const crossSheetPattern = /\b([A-Za-z][A-Za-z0-9_]*)\.([A-Z]+\d+)\b/gi;
-        const cellRefPattern = /\b([A-Z]+\d+)\b/g;
-
-        const refs = new Set();
-
-        // Extract cross-sheet references first
-        let match;
-        while ((match = crossSheetPattern.exec(expression)) !== null) {
-            refs.add(match[0]); // Full match: Sheet2.A1
-        }
-
-        // Extract local cell references
-        const cellMatches = expression.match(cellRefPattern);
-        if (cellMatches) {
-            cellMatches.forEach(ref => {
-                // Only add if not already part of a cross-sheet reference
-                if (!Array.from(refs).some(r => r.endsWith('.' + ref))) {
-                    refs.add(ref);
-                }
-            });
-        }
+    _emitCellChanged(sheetName, ref, oldValue, source) {
+        const sheet = this.sheets.get(sheetName);
+        const cell = sheet && (this._spilledCell(sheet, ref, sheet.cells.get(ref)) || sheet.cells.get(ref));
+        this._emit('cellChanged', {
+            sheet: sheetName,
+            ref,
+            oldValue,
+            newValue: cell ? cell.value : '',
+            source
+        });
+    }
 
-        return Array.from(refs);
+    /**
+     * Put a cell into an error state
+     * @param {object} cell - Cell data
+     * @param {string} type - Error code such as '#DIV/0!'
+     * @param {string} message - Original error message
+     */
+    _setCellError(cell, type, message) {
+        cell.value = type;
+        cell.errorType = type;
+        cell.error = message;
     }
 
     /**
-     * Propagate changes to dependent cells
+     * Find the first cell referenced by a formula (directly or through a range)
+     * whose value is an error
+     * @param {object} cell - The formula cell
+     * @param {string} [formulaSheet] - Sheet the formula is on
+     * @returns {{ref: string, cell: object}|null}
      */
-    async propagateChanges(ref, rexxInterpreter) {
-        const deps = this.dependents.get(ref);
-        if (!deps || !rexxInterpreter) {
-            return;
+    _findReferencedError(cell, formulaSheet = this.activeSheetName) {
+        for (const dep of cell.dependencies || []) {
+            const depCell = this.getCell(this._qualifyRef(dep, formulaSheet));
+            if (isErrorValue(depCell.value)) {
+                return { ref: dep, cell: depCell };
+            }
         }
 
-        for (const depRef of deps) {
-            await this.evaluateCell(depRef, rexxInterpreter);
-            await this.propagateChanges(depRef, rexxInterpreter);
+        for (const rangeDep of cell.rangeDependencies || []) {
+            const { sheet: sheetName, ref: localRange } = this._splitQualifiedRef(this._qualifyRef(rangeDep, formulaSheet));
+            const sheet = this.sheets.get(sheetName);
+            const bounds = sheet && this._resolveRangeDependency(localRange, sheetName);
+            if (!bounds) continue;
+            for (const [ref, rangeCell] of this._cellsWithin(sheet, bounds)) {
+                if (isErrorValue(rangeCell.value)) {
+                    return { ref: sheetName === formulaSheet ? ref : `${sheetName}.${ref}`, cell: rangeCell };
+                }
+            }
         }
+
+        return null;
     }
 
     /**
-     * Get all non-empty cells
+     * The stored cells of a sheet that lie within bounds, visiting whichever
+     * is smaller: the range or the sheet's cells
+     * @returns {Array<[string, object]>} - [local ref, cell] pairs
      */
-    getAllCells() {
+    _cellsWithin(sheet, bounds) {
+        const area = (bounds.endRow - bounds.startRow + 1) * (bounds.endCol - bounds.startCol + 1);
         const result = [];
-        for (const [ref, cell] of this.cells.entries()) {
-            result.push({ ref, ...cell });
+        if (area <= sheet.cells.size) {
+            for (let row = bounds.startRow; row <= bounds.endRow; row++) {
+                for (let col = bounds.startCol; col <= bounds.endCol; col++) {
+                    const ref = SpreadsheetModel.formatCellRef(col, row);
+                    if (sheet.cells.has(ref)) {
+                        result.push([ref, sheet.cells.get(ref)]);
+                    }
+                }
+            }
+            return result;
+        }
+        for (const [ref, cell] of sheet.cells.entries()) {
+            const match = ref.match(/^([A-Z]+)(\d+)$/);
+            const col = match && SpreadsheetModel.colLetterToNumber(match[1]);
+            const row = match && parseInt(match[2], 10);
+            if (match && col >= bounds.startCol && col <= bounds.endCol && row >= bounds.startRow && row <= bounds.endRow) {
+                result.push([ref, cell]);
+            }
         }
         return result;
     }
 
     /**
-     * Set cell metadata (comment, format, chartScript)
+     * Dynamic Arrays
+     * A formula whose result holds several values (an array, an array of rows
+     * or a RangeQuery) shows the first value in its own cell and spills the rest
+     * into the cells below and to the right. Spilled values are not stored as
+     * cells; getCell reads them from the sheet's spills map, and A1# refers to
+     * the whole spill range.
      */
-    setCellMetadata(ref, metadata) {
-        if (typeof ref === 'object') {
-            ref = SpreadsheetModel.formatCellRef(ref.col, ref.row);
-        }
 
-        const cell = this.cells.get(ref);
-        if (!cell) {
-            // Create empty cell with metadata
-            this.cells.set(ref, {
-                value: '',
-                expression: null,
-                dependencies: [],
-                error: null,
-                comment: metadata.comment || '',
-                format: metadata.format || '',
-                chartScript: metadata.chartScript || null,
-                wrapText: metadata.wrapText || false
-            });
+    /**
+     * Arrange a formula result that holds several values as rows of values:
+     * a flat array becomes one value per row, an array of rows is kept, and a
+     * RangeQuery gives its header row (if it has one) and data rows. Short
+     * rows are padded with blanks.
+     * @param {*} result - Formula result
+     * @returns {Array<Array>|null} - null for a single value
+     */
+    _toSpillGrid(result) {
+        let rows;
+        if (Array.isArray(result)) {
+            rows = result.some(Array.isArray) ? result : result.map(value => [value]);
+        } else if (result && typeof result === 'object' && Array.isArray(result.data) && !result.groups) {
+            rows = Array.isArray(result.headers) ? [result.headers, ...result.data] : result.data;
         } else {
-            // Update existing cell
-            if (metadata.comment !== undefined) {
-                cell.comment = metadata.comment;
-            }
-            if (metadata.format !== undefined) {
-                cell.format = metadata.format;
-            }
-            if (metadata.chartScript !== undefined) {
-                cell.chartScript = metadata.chartScript;
-            }
-            if (metadata.wrapText !== undefined) {
-                cell.wrapText = metadata.wrapText;
-            }
+            return null;
         }
+        rows = rows.map(row => Array.isArray(row) ? row : [row]);
+        const width = Math.max(0, ...rows.map(row => row.length));
+        return rows.map(row => Array.from({ length: width }, (unused, i) => {
+            const value = row[i];
+            return value === undefined || value === null ? '' : value;
+        }));
     }
 
     /**
-     * Parse a range reference (e.g., "A1:C3")
-     * @param {string} rangeRef - Range reference
-     * @returns {object|null} - {startCol, startRow, endCol, endRow} or null if invalid
+     * Whether a cell holds a formula or a value (rather than only formatting)
      */
-    parseRange(rangeRef) {
-        const match = rangeRef.match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/i);
+    _hasContent(cell) {
+        return !!cell && (!!cell.expression || (cell.value !== '' && cell.value !== null && cell.value !== undefined));
+    }
+
+    /**
+     * The cell shown at ref when it lies in another formula's spill range: a
+     * cell without content takes its value from the array, keeping its own
+     * formatting, and records the formula cell in spilledFrom
+     * @param {object} sheet - Sheet data
+     * @param {string} ref - Local cell reference
+     * @param {object|undefined} cell - The stored cell at ref, if any
+     * @returns {object|null} - null if no spill covers ref
+     */
+    _spilledCell(sheet, ref, cell) {
+        if (!sheet || sheet.spills.size === 0 || this._hasContent(cell)) {
+            return null;
+        }
+        const match = ref.match(/^([A-Z]+)(\d+)$/);
         if (!match) {
             return null;
         }
-
-        const startColLetter = match[1].toUpperCase();
-        const startRow = parseInt(match[2], 10);
-        const endColLetter = match[3].toUpperCase();
-        const endRow = parseInt(match[4], 10);
-
-        return {
-            startCol: SpreadsheetModel.colLetterToNumber(startColLetter),
-            startRow,
-            endCol: SpreadsheetModel.colLetterToNumber(endColLetter),
-            endRow
-        };
+        const col = SpreadsheetModel.colLetterToNumber(match[1]);
+        const row = parseInt(match[2], 10);
+        for (const [anchor, spill] of sheet.spills.entries()) {
+            if (spill.blocked || anchor === ref ||
+                col < spill.startCol || col > spill.endCol || row < spill.startRow || row > spill.endRow) {
+                continue;
+            }
+            return {
+                ...(cell || { value: '', expression: null, dependencies: [], rangeDependencies: [], chartScript: null, wrapText: false }),
+                value: spill.values[row - spill.startRow][col - spill.startCol],
+                spilledFrom: anchor
+            };
+        }
+        return null;
     }
 
     /**
-     * Merge cells in a range
-     * @param {string} rangeRef - Range reference (e.g., "A1:C3")
-     * @param {object} rexxInterpreter - Optional Rexx interpreter for recalculation
+     * Spill a formula's array result from its cell, or
+     * remove its spill when the result is a single value or an error. A spill
+     * that cannot be placed keeps its range (marked blocked) so the formula is
+     * evaluated again when something in the range changes. Cells whose spilled
+     * values change are queued for the running recalculation pass.
+     * @param {string} ref - Formula cell
+     * @param {object|null} cell - Its cell data; null if it no longer holds a formula
+     * @param {Array<Array>|null} grid - Rows of values from _toSpillGrid
+     * @param {string} [sheetName] - Sheet the formula is on
      */
-    mergeCells(rangeRef, rexxInterpreter = null) {
-        const range = this.parseRange(rangeRef);
-        if (!range) {
-            throw new Error(`Invalid range: ${rangeRef}`);
+    _updateSpill(ref, cell, grid, sheetName = this.activeSheetName) {
+        const sheet = this.sheets.get(sheetName);
+        const previous = sheet.spills.get(ref) || null;
+        if (!previous && !grid) {
+            return;
         }
 
-        const topLeft = SpreadsheetModel.formatCellRef(range.startCol, range.startRow);
-        const bottomRight = SpreadsheetModel.formatCellRef(range.endCol, range.endRow);
+        const spill = cell && grid ? this._placeSpill(sheetName, ref, cell, grid) : null;
+        if (sameValue(previous, spill)) {
+            return;
+        }
 
-        // Check if any cells in this range are already part of another merge
-        for (let row = range.startRow; row <= range.endRow; row++) {
-            for (let col = range.startCol; col <= range.endCol; col++) {
-                const cellRef = SpreadsheetModel.formatCellRef(col, row);
-                if (this.isCellMerged(cellRef) && cellRef !== topLeft) {
-                    throw new Error(`Cell ${cellRef} is already part of a merged range`);
+        // Cells either range covers gain, change or lose spilled values
+        const areaRefs = new Set();
+        [previous, spill].forEach(area => {
+            if (!area) return;
+            for (let row = area.startRow; row <= Math.min(area.endRow, this.rows); row++) {
+                for (let col = area.startCol; col <= Math.min(area.endCol, this.cols); col++) {
+                    areaRefs.add(SpreadsheetModel.formatCellRef(col, row));
                 }
             }
-        }
+        });
+        areaRefs.delete(ref);
+        const valueAt = areaRef => this.getCellValue(this._qualifyRef(areaRef, sheetName));
+        const oldValues = new Map(Array.from(areaRefs, areaRef => [areaRef, valueAt(areaRef)]));
 
-        // Store the merge - top-left cell maps to bottom-right
-        this.mergedCells.set(topLeft, bottomRight);
+        if (spill) {
+            sheet.spills.set(ref, spill);
+        } else {
+            sheet.spills.delete(ref);
+        }
+        areaRefs.forEach(areaRef => {
+            this._dirtyCells.add(this._qualifyRef(areaRef, sheetName));
+            if (this._trialEvaluation === 0 && oldValues.get(areaRef) !== valueAt(areaRef)) {
+                this._emitCellChanged(sheetName, areaRef, oldValues.get(areaRef), 'recalc');
+            }
+        });
+    }
 
-        // Save history
-        this._recordSnapshot('mergeCells');
+    /**
+     * Work out where an array result spills from ref. If the range runs off
+     * the sheet, holds content or merged cells, overlaps another spill or
+     * covers cells the formula refers to, the formula shows #SPILL! (or
+     * #CIRCULAR!) and the spill is returned blocked.
+     * @param {string} sheetName - Sheet the formula is on
+     * @returns {object} - {range, startCol, startRow, endCol, endRow, values, blocked}
+     */
+    _placeSpill(sheetName, ref, cell, grid) {
+        const anchor = SpreadsheetModel.parseCellRef(ref);
+        const startCol = SpreadsheetModel.colLetterToNumber(anchor.col);
+        const spill = {
+            startCol,
+            startRow: anchor.row,
+            endCol: startCol + grid[0].length - 1,
+            endRow: anchor.row + grid.length - 1,
+            values: grid,
+            blocked: false
+        };
+        spill.range = `${ref}:${SpreadsheetModel.formatCellRef(spill.endCol, spill.endRow)}`;
 
-        return topLeft;
+        const obstruction = this._findSpillObstruction(sheetName, ref, cell, spill);
+        if (obstruction) {
+            this._setCellError(cell, obstruction.type, obstruction.message);
+            spill.values = null;
+            spill.blocked = true;
+        }
+        return spill;
     }
 
     /**
-     * Unmerge cells
-     * @param {string} cellRef - Any cell reference in the merged range
+     * Find what stops a spill from being placed
+     * @returns {{type: string, message: string}|null}
      */
-    unmergeCells(cellRef) {
-        if (typeof cellRef === 'object') {
-            cellRef = SpreadsheetModel.formatCellRef(cellRef.col, cellRef.row);
+    _findSpillObstruction(sheetName, ref, cell, spill) {
+        const sheet = this.sheets.get(sheetName);
+        if (spill.endRow > this.rows || spill.endCol > this.cols) {
+            return { type: '#SPILL!', message: `Spill range ${spill.range} runs off the sheet` };
         }
 
-        // Find the merge that contains this cell
-        const mergeInfo = this.getMergedRange(cellRef);
-        if (!mergeInfo) {
-            throw new Error(`Cell ${cellRef} is not part of a merged range`);
+        for (const [otherRef, other] of sheet.spills.entries()) {
+            if (otherRef !== ref && !other.blocked &&
+                other.startCol <= spill.endCol && other.endCol >= spill.startCol &&
+                other.startRow <= spill.endRow && other.endRow >= spill.startRow) {
+                return { type: '#SPILL!', message: `Spill range ${spill.range} overlaps the spill from ${otherRef}` };
+            }
         }
 
-        // Remove the merge
-        this.mergedCells.delete(mergeInfo.topLeft);
-
-        // Save history
-        this._recordSnapshot('unmergeCells');
-
-        return mergeInfo.topLeft;
+        const referencedRanges = (cell.rangeDependencies || [])
+            .filter(dep => !dep.includes('.'))
+            .map(dep => this._resolveRangeDependency(dep, sheetName))
+            .filter(Boolean);
+        for (let row = spill.startRow; row <= spill.endRow; row++) {
+            for (let col = spill.startCol; col <= spill.endCol; col++) {
+                const areaRef = SpreadsheetModel.formatCellRef(col, row);
+                if (areaRef === ref) continue;
+                if (this._hasContent(sheet.cells.get(areaRef))) {
+                    return { type: '#SPILL!', message: `Spill range ${spill.range} is blocked by ${areaRef}` };
+                }
+                if (sheet.mergedCells.size > 0 && this._isInMergedCells(sheet, col, row)) {
+                    return { type: '#SPILL!', message: `Spill range ${spill.range} is blocked by merged cells at ${areaRef}` };
+                }
+                const referenced = (cell.dependencies || []).includes(areaRef) || referencedRanges.some(bounds =>
+                    col >= bounds.startCol && col <= bounds.endCol && row >= bounds.startRow && row <= bounds.endRow);
+                if (referenced) {
+                    return { type: '#CIRCULAR!', message: `Spill range ${spill.range} covers ${areaRef}, which the formula refers to` };
+                }
+            }
+        }
+        return null;
     }
 
     /**
-     * Get merged range information for a cell
-     * @param {string} cellRef - Cell reference
-     * @returns {object|null} - {topLeft, bottomRight, range} or null if not merged
+     * Whether a cell lies in one of a sheet's merged ranges
      */
-    getMergedRange(cellRef) {
-        if (typeof cellRef === 'object') {
-            cellRef = SpreadsheetModel.formatCellRef(cellRef.col, cellRef.row);
+    _isInMergedCells(sheet, col, row) {
+        for (const [topLeft, bottomRight] of sheet.mergedCells.entries()) {
+            const start = SpreadsheetModel.parseCellRef(topLeft);
+            const end = SpreadsheetModel.parseCellRef(bottomRight);
+            if (row >= start.row && row <= end.row &&
+                col >= SpreadsheetModel.colLetterToNumber(start.col) && col <= SpreadsheetModel.colLetterToNumber(end.col)) {
+                return true;
+            }
         }
+        return false;
+    }
 
-        // Check if this cell is the top-left of a merge
-        const bottomRight = this.mergedCells.get(cellRef);
-        if (bottomRight) {
-            return {
-                topLeft: cellRef,
-                bottomRight: bottomRight,
-                range: `${cellRef}:${bottomRight}`
-            };
+    /**
+     * Add the formulas whose spill ranges need re-placing after cells change:
+     * those whose spill is blocked, and those whose range now has content
+     * @param {string[]} refs - Changed qualified cell references
+     * @returns {string[]} - refs plus those formula cells
+     */
+    _withAffectedSpills(refs) {
+        const result = new Set(refs);
+        refs.forEach(qualifiedRef => {
+            const { sheet: sheetName, ref } = this._splitQualifiedRef(qualifiedRef);
+            const sheet = this.sheets.get(sheetName);
+            const match = ref.match(/^([A-Z]+)(\d+)$/);
+            if (!sheet || sheet.spills.size === 0 || !match) return;
+            const col = SpreadsheetModel.colLetterToNumber(match[1]);
+            const row = parseInt(match[2], 10);
+            for (const [anchor, spill] of sheet.spills.entries()) {
+                if (anchor !== ref && (spill.blocked || this._hasContent(sheet.cells.get(ref))) &&
+                    col >= spill.startCol && col <= spill.endCol && row >= spill.startRow && row <= spill.endRow) {
+                    result.add(this._qualifyRef(anchor, sheetName));
+                }
+            }
+        });
+        return Array.from(result);
+    }
+
+    /**
+     * Range covered by a formula's array result, as referred to by A1#
+     * @param {string} ref - Formula cell such as A1, $A$1 or Sheet2.A1, with or without the #
+     * @returns {string|null} - Local range such as "A1:C3" (just the cell for a
+     *   single value or a blocked spill), or null if ref holds no formula
+     */
+    getSpillRange(ref) {
+        const qualified = this._splitQualifiedRef(this._qualifyRef(String(ref).replace(/[$#]/g, '')));
+        const localRef = qualified.ref.toUpperCase();
+        const sheet = this._getSheet(qualified.sheet);
+        const cell = sheet && sheet.cells.get(localRef);
+        if (!cell || !cell.expression) {
+            return null;
         }
+        const spill = sheet.spills.get(localRef);
+        return spill && !spill.blocked ? spill.range : `${localRef}:${localRef}`;
+    }
 
-        // Check if this cell is inside any merge
-        const parsed = SpreadsheetModel.parseCellRef(cellRef);
-        for (const [topLeft, bottomRight] of this.mergedCells.entries()) {
-            const topLeftParsed = SpreadsheetModel.parseCellRef(topLeft);
-            const bottomRightParsed = SpreadsheetModel.parseCellRef(bottomRight);
+    /**
+     * Extract cell references from an expression
+     * Matches patterns like A1, B2, AA10, and cross-sheet references written
+     * either as Sheet2.A1 or in Rexx form as Sheet2_A1 (normalized to Sheet2.A1)
+     * Range endpoints (A1:A10) are left to extractRangeReferences
+     */
+    extractCellReferences(expression) {
+        const crossSheetPattern = /\b([A-Za-z][A-Za-z0-9_]*)\.([A-Z]+\d+)\b/gi;
+        const rexxCrossSheetPattern = /\b([A-Za-z][A-Za-z0-9_]*)_([A-Z]+\d+)\b/g;
+        const cellRefPattern = /\b([A-Z]+\d+)\b/g;
 
-            if (parsed.row >= topLeftParsed.row && parsed.row <= bottomRightParsed.row &&
-                SpreadsheetModel.colLetterToNumber(parsed.col) >= SpreadsheetModel.colLetterToNumber(topLeftParsed.col) &&
-                SpreadsheetModel.colLetterToNumber(parsed.col) <= SpreadsheetModel.colLetterToNumber(bottomRightParsed.col)) {
-                return {
-                    topLeft: topLeft,
-                    bottomRight: bottomRight,
-                    range: `${topLeft}:${bottomRight}`
-                };
+        const refs = new Set();
+        expression = expression.replace(RANGE_REF_PATTERN, ' ');
+
+        // Extract cross-sheet references first, removing them before local extraction
+        expression = expression.replace(crossSheetPattern, (match) => {
+            refs.add(match); // Full match: Sheet2.A1
+            return ' ';
+        });
+        expression = expression.replace(rexxCrossSheetPattern, (match, sheetName, cellRef) => {
+            if (!this.sheets.has(sheetName)) {
+                return match; // Ordinary Rexx variable, not a sheet reference
             }
+            refs.add(`${sheetName}.${cellRef}`);
+            return ' ';
+        });
+
+        // Extract local cell references
+        const cellMatches = expression.match(cellRefPattern);
+        if (cellMatches) {
+            cellMatches.forEach(ref => refs.add(ref));
         }
 
-        return null;
+        return Array.from(refs);
     }
 
     /**
-     * Check if a cell is part of a merged range
-     * @param {string} cellRef - Cell reference
-     * @returns {boolean}
+     * Extract range references from an expression
+     * Matches ranges such as "A1:A10" or Sheet2.A1:B5 (quoted or bare), plus
+     * quoted named range and table names such as SUM_RANGE("Sales") or TABLE("Orders").
+     * Ranges are kept whole rather than expanded into single cells.
+     * @param {string} expression - The formula expression
+     * @param {string} [sheetName] - Sheet whose named ranges and tables the formula can name
+     * @returns {string[]} - Normalized range references and range/table names
      */
-    isCellMerged(cellRef) {
-        return this.getMergedRange(cellRef) !== null;
+    extractRangeReferences(expression, sheetName = this.activeSheetName) {
+        const sheet = this._getSheet(sheetName);
+        const refs = new Set();
+
+        let match;
+        const rangePattern = new RegExp(RANGE_REF_PATTERN.source, 'g');
+        while ((match = rangePattern.exec(expression)) !== null) {
+            const dot = match[0].lastIndexOf('.');
+            const sheetPrefix = match[0].substring(0, dot + 1);
+            refs.add(sheetPrefix + match[0].substring(dot + 1).replace(/\$/g, '').toUpperCase());
+        }
+
+        // Spill references such as "A1#" depend on every cell of the spilled array
+        const spillPattern = new RegExp(SPILL_REF_PATTERN.source, 'g');
+        while ((match = spillPattern.exec(expression)) !== null) {
+            const dot = match[0].lastIndexOf('.');
+            refs.add(match[0].substring(0, dot + 1) + match[0].substring(dot + 1).replace(/\$/g, '').toUpperCase());
+        }
+
+        // Named ranges and tables referenced by name inside string literals
+        const namePattern = /(["'])([A-Za-z][A-Za-z0-9_]*)\1/g;
+        const lookupPattern = /\b(RANGE|TABLE)\s*\(\s*$/i;
+        while ((match = namePattern.exec(expression)) !== null) {
+            const name = match[2];
+            const isLookupArgument = lookupPattern.test(expression.substring(0, match.index));
+            if (isLookupArgument || (sheet && (sheet.namedRanges.has(name) || sheet.tableMetadata.has(name)))) {
+                refs.add(name);
+            }
+        }
+
+        // Named ranges used as bare names outside string literals, e.g. =Rate * 2;
+        // a name shaped like a cell reference is the cell
+        if (sheet && sheet.namedRanges.size > 0) {
+            const unquoted = expression.replace(/"(?:[^"]|"")*"|'(?:[^']|'')*'/g, '""');
+            const barePattern = /(?<![A-Za-z0-9_.$])([A-Za-z][A-Za-z0-9_]*)(?![A-Za-z0-9_.(\[])/g;
+            while ((match = barePattern.exec(unquoted)) !== null) {
+                if (sheet.namedRanges.has(match[1]) && !/^[A-Z]+\d+$/.test(match[1])) {
+                    refs.add(match[1]);
+                }
+            }
+        }
+
+        // Table columns such as "Orders[Total]" depend on the whole table
+        const columnPattern = /(["'])([A-Za-z][A-Za-z0-9_]*)\[[^\]"']+\]\1/g;
+        while ((match = columnPattern.exec(expression)) !== null) {
+            refs.add(match[2]);
+        }
+
+        return Array.from(refs);
     }
 
     /**
-     * Set custom editor for a cell
-     * @param {string} cellRef - Cell reference
-     * @param {string} type - Editor type: 'checkbox', 'dropdown', 'date'
-     * @param {object} config - Configuration object for the editor
+     * Add a range to the dependencies of the formula being evaluated, for
+     * functions such as OFFSET whose cells are only known once they run.
+     * Does nothing outside formula evaluation.
+     * @param {string} rangeRef - Range such as B2:C4 or Sheet2.B2:C4
      */
-    setCellEditor(cellRef, type, config = {}) {
-        if (typeof cellRef === 'object') {
-            cellRef = SpreadsheetModel.formatCellRef(cellRef.col, cellRef.row);
+    trackRangeDependency(rangeRef) {
+        const current = this._evaluatingCells[this._evaluatingCells.length - 1];
+        const dot = rangeRef.lastIndexOf('.');
+        const rangeDep = rangeRef.substring(0, dot + 1) + rangeRef.substring(dot + 1).replace(/\$/g, '').toUpperCase();
+        if (current && current.trackedRanges) {
+            // A conditional format's expression
+            current.trackedRanges.add(this._qualifyRef(rangeDep, current.sheet));
+            return;
         }
 
-        const validTypes = ['checkbox', 'dropdown', 'date'];
-        if (!validTypes.includes(type)) {
-            throw new Error(`Invalid editor type: ${type}. Must be one of: ${validTypes.join(', ')}`);
+        const sheet = current && this.sheets.get(current.sheet);
+        const cell = sheet && sheet.cells.get(current.ref);
+        if (!cell) {
+            return;
         }
 
-        // Validate config based on type
-        if (type === 'dropdown' && !config.options) {
-            throw new Error('Dropdown editor requires "options" array in config');
+        if (!cell.rangeDependencies) {
+            cell.rangeDependencies = [];
         }
+        if (!cell.rangeDependencies.includes(rangeDep)) {
+            cell.rangeDependencies.push(rangeDep);
+            this._registerDependencies(current.ref, { rangeDependencies: [rangeDep] }, current.sheet);
+        }
+    }
 
-        this.cellEditors.set(cellRef, { type, config });
-
-        // Save history
-        this._recordSnapshot('setCellEditor');
+    /**
+     * Qualify a reference with its sheet name (A1 -> Sheet1.A1)
+     * Already-qualified references are returned unchanged
+     */
+    _qualifyRef(ref, sheetName = this.activeSheetName) {
+        return ref.includes('.') ? ref : `${sheetName}.${ref}`;
+    }
 
-        return cellRef;
+    /**
+     * Split a qualified reference into sheet name and local reference
+     * @returns {{sheet: string, ref: string}}
+     */
+    _splitQualifiedRef(qualifiedRef) {
+        const dot = qualifiedRef.lastIndexOf('.');
+        return {
+            sheet: qualifiedRef.substring(0, dot),
+            ref: qualifiedRef.substring(dot + 1)
+        };
     }
 
     /**
-     * Get custom editor for a cell
-     * @param {string} cellRef - Cell reference
-     * @returns {object|null} - {type, config} or null if no custom editor
+     * Resolve a range dependency (range string or named range/table) to its bounds
+     * @param {string} rangeDep - Local range reference or range/table name
+     * @param {string} sheetName - Sheet the range belongs to
+     * @returns {object|null} - {startCol, startRow, endCol, endRow} or null if unresolvable
      */
-    getCellEditor(cellRef) {
-        if (typeof cellRef === 'object') {
-            cellRef = SpreadsheetModel.formatCellRef(cellRef.col, cellRef.row);
+    _resolveRangeDependency(rangeDep, sheetName = this.activeSheetName) {
+        const sheet = this._getSheet(sheetName);
+        if (!sheet) {
+            return null;
         }
 
-        return this.cellEditors.get(cellRef) || null;
+        let rangeRef = rangeDep;
+        if (rangeDep.endsWith('#')) {
+            // The current spill range of a formula (A1#)
+            rangeRef = this.getSpillRange(`${sheetName}.${rangeDep}`);
+            if (!rangeRef) {
+                return null;
+            }
+        } else if (sheet.namedRanges.has(rangeDep)) {
+            rangeRef = sheet.namedRanges.get(rangeDep);
+        } else if (sheet.tableMetadata.has(rangeDep)) {
+            rangeRef = sheet.tableMetadata.get(rangeDep).range;
+        }
+
+        // A single-cell named range such as "B2"
+        if (/^[A-Z]+\d+$/i.test(rangeRef)) {
+            rangeRef = `${rangeRef}:${rangeRef}`;
+        }
+
+        const bounds = this.parseRange(rangeRef);
+        if (!bounds) {
+            return null;
+        }
+        return {
+            startCol: Math.min(bounds.startCol, bounds.endCol),
+            endCol: Math.max(bounds.startCol, bounds.endCol),
+            startRow: Math.min(bounds.startRow, bounds.endRow),
+            endRow: Math.max(bounds.startRow, bounds.endRow)
+        };
     }
 
     /**
-     * Remove custom editor from a cell
-     * @param {string} cellRef - Cell reference
+     * Check whether a local cell lies within a range dependency on the same sheet
      */
-    removeCellEditor(cellRef) {
-        if (typeof cellRef === 'object') {
-            cellRef = SpreadsheetModel.formatCellRef(cellRef.col, cellRef.row);
+    _rangeDependencyContains(rangeDep, ref, sheetName = this.activeSheetName) {
+        const bounds = this._resolveRangeDependency(rangeDep, sheetName);
+        if (!bounds) {
+            return false;
+        }
+        const match = ref.match(/^([A-Z]+)(\d+)$/i);
+        if (!match) {
+            return false;
         }
+        const col = SpreadsheetModel.colLetterToNumber(match[1].toUpperCase());
+        const row = parseInt(match[2], 10);
+        return col >= bounds.startCol && col <= bounds.endCol &&
+               row >= bounds.startRow && row <= bounds.endRow;
+    }
+
+    /**
+     * Add a cell's single and range dependencies to the workbook dependency graph.
+     * Each precedent is recorded on its own sheet, keyed by its local reference,
+     * with the dependent stored as a qualified reference (Sheet1.B1).
+     */
+    _registerDependencies(ref, cell, sheetName = this.activeSheetName) {
+        const dependent = this._qualifyRef(ref, sheetName);
+
+        (cell.dependencies || []).forEach(dep => {
+            const target = this._splitQualifiedRef(this._qualifyRef(dep, sheetName));
+            const sheet = this.sheets.get(target.sheet);
+            if (!sheet) return; // Unknown sheet; registered when the sheet is added
+            if (!sheet.dependents.has(target.ref)) {
+                sheet.dependents.set(target.ref, new Set());
+            }
+            sheet.dependents.get(target.ref).add(dependent);
+        });
 
-        this.cellEditors.delete(cellRef);
+        (cell.rangeDependencies || []).forEach(dep => {
+            const target = this._splitQualifiedRef(this._qualifyRef(dep, sheetName));
+            const sheet = this.sheets.get(target.sheet);
+            if (!sheet) return;
+            if (!sheet.rangeDependents.has(target.ref)) {
+                sheet.rangeDependents.set(target.ref, new Set());
+                this._indexRangeDependency(target.sheet, target.ref);
+            }
+            sheet.rangeDependents.get(target.ref).add(dependent);
+        });
+    }
 
-        // Save history
-        this._recordSnapshot('removeCellEditor');
+    /**
+     * Remove a cell's single and range dependencies from the workbook dependency graph
+     */
+    _unregisterDependencies(ref, cell, sheetName = this.activeSheetName) {
+        const dependent = this._qualifyRef(ref, sheetName);
+
+        (cell.dependencies || []).forEach(dep => {
+            const target = this._splitQualifiedRef(this._qualifyRef(dep, sheetName));
+            const sheet = this.sheets.get(target.sheet);
+            const depSet = sheet && sheet.dependents.get(target.ref);
+            if (depSet) {
+                depSet.delete(dependent);
+            }
+        });
 
-        return cellRef;
+        (cell.rangeDependencies || []).forEach(dep => {
+            const target = this._splitQualifiedRef(this._qualifyRef(dep, sheetName));
+            const sheet = this.sheets.get(target.sheet);
+            const depSet = sheet && sheet.rangeDependents.get(target.ref);
+            if (depSet) {
+                depSet.delete(dependent);
+                if (depSet.size === 0) {
+                    sheet.rangeDependents.delete(target.ref);
+                    this._unindexRangeDependency(target.sheet, target.ref);
+                }
+            }
+        });
     }
 
     /**
-     * Create or update a pivot table
-     * @param {string} pivotId - Unique identifier for this pivot table
-     * @param {object} config - Pivot configuration
-     *   {sourceRange, rowFields, colFields, valueField, aggFunction, outputCell}
-     * @param {object} rexxInterpreter - Optional interpreter for recalculation
+     * Add a range dependency to its sheet's range index. A fixed range is
+     * parsed once here and filed under each column it covers; a named range,
+     * table or spill reference can move, so it is resolved on each lookup.
+     * @param {string} sheetName - Sheet the range is on
+     * @param {string} rangeDep - Local range reference or range/table name
      */
-    createPivotTable(pivotId, config, rexxInterpreter = null) {
-        // Validate configuration
-        if (!config.sourceRange || !config.outputCell) {
-            throw new Error('Pivot table requires sourceRange and outputCell');
+    _indexRangeDependency(sheetName, rangeDep) {
+        const sheet = this.sheets.get(sheetName);
+        if (!FIXED_RANGE_DEPENDENCY_PATTERN.test(rangeDep)) {
+            sheet.movingRanges.add(rangeDep);
+            return;
         }
-        if (!config.valueField || !config.aggFunction) {
-            throw new Error('Pivot table requires valueField and aggFunction (SUM, COUNT, AVERAGE, MIN, MAX)');
+        const bounds = this._fixedRangeBounds(rangeDep);
+        for (let col = bounds.startCol; col <= bounds.endCol; col++) {
+            if (!sheet.rangeIndex.has(col)) {
+                sheet.rangeIndex.set(col, new Map());
+            }
+            sheet.rangeIndex.get(col).set(rangeDep, bounds);
         }
+    }
+
+    /**
+     * Bounds of a fixed range dependency such as B2:C4 or B2
+     */
+    _fixedRangeBounds(rangeDep) {
+        const [start, end = start] = rangeDep.split(':');
+        const bounds = this.parseRange(`${start}:${end}`);
+        return {
+            startCol: Math.min(bounds.startCol, bounds.endCol),
+            endCol: Math.max(bounds.startCol, bounds.endCol),
+            startRow: Math.min(bounds.startRow, bounds.endRow),
+            endRow: Math.max(bounds.startRow, bounds.endRow)
+        };
+    }
 
-        const validAggFunctions = ['SUM', 'COUNT', 'AVERAGE', 'MIN', 'MAX'];
-        if (!validAggFunctions.includes(config.aggFunction.toUpperCase())) {
-            throw new Error(`Invalid aggregation function: ${config.aggFunction}. Must be one of: ${validAggFunctions.join(', ')}`);
+    /**
+     * Remove a range dependency from its sheet's range index
+     */
+    _unindexRangeDependency(sheetName, rangeDep) {
+        const sheet = this.sheets.get(sheetName);
+        if (sheet.movingRanges.delete(rangeDep)) {
+            return;
+        }
+        const bounds = this._fixedRangeBounds(rangeDep);
+        for (let col = bounds.startCol; col <= bounds.endCol; col++) {
+            const ranges = sheet.rangeIndex.get(col);
+            if (ranges) {
+                ranges.delete(rangeDep);
+                if (ranges.size === 0) {
+                    sheet.rangeIndex.delete(col);
+                }
+            }
         }
+    }
 
-        // Store pivot configuration
-        this.pivotTables.set(pivotId, {
-            sourceRange: config.sourceRange,
-            rowFields: config.rowFields || [],
-            colFields: config.colFields || [],
-            valueField: config.valueField,
-            aggFunction: config.aggFunction.toUpperCase(),
-            outputCell: config.outputCell,
-            filters: config.filters || {}
+    /**
+     * Range dependencies of a sheet that contain one of its cells, found
+     * through the range index
+     * @param {string} sheetName - Sheet the cell is on
+     * @param {string} ref - Local cell reference
+     * @returns {string[]} - Keys of the sheet's rangeDependents
+     */
+    _rangeDependenciesContaining(sheetName, ref) {
+        const sheet = this.sheets.get(sheetName);
+        const match = ref.match(/^([A-Z]+)(\d+)$/);
+        if (!sheet || !match) {
+            return [];
+        }
+        const row = parseInt(match[2], 10);
+        const result = [];
+        const ranges = sheet.rangeIndex.get(SpreadsheetModel.colLetterToNumber(match[1]));
+        if (ranges) {
+            for (const [rangeDep, bounds] of ranges.entries()) {
+                if (row >= bounds.startRow && row <= bounds.endRow) {
+                    result.push(rangeDep);
+                }
+            }
+        }
+        sheet.movingRanges.forEach(rangeDep => {
+            if (this._rangeDependencyContains(rangeDep, ref, sheetName)) {
+                result.push(rangeDep);
+            }
         });
+        return result;
+    }
 
-        // Generate and populate pivot table
-        this._generatePivotTable(pivotId, rexxInterpreter);
+    /**
+     * Get the qualified references of cells that directly depend on a qualified cell
+     */
+    _getQualifiedDependents(qualifiedRef) {
+        const { sheet: sheetName, ref } = this._splitQualifiedRef(qualifiedRef);
+        const sheet = this.sheets.get(sheetName);
+        if (!sheet) {
+            return [];
+        }
 
-        // Save history
-        this._recordSnapshot('createPivotTable');
+        const result = new Set(sheet.dependents.get(ref) || []);
+        this._rangeDependenciesContaining(sheetName, ref).forEach(rangeDep => {
+            sheet.rangeDependents.get(rangeDep).forEach(cellRef => result.add(cellRef));
+        });
+        return Array.from(result);
+    }
 
-        return pivotId;
+    /**
+     * Get the cells that directly depend on a cell, through single or range references.
+     * Dependents on the active sheet are returned as local references (B1), those on
+     * other sheets as qualified references (Sheet2.B1).
+     * @param {string} ref - Cell reference (A1 or Sheet2.A1)
+     * @returns {string[]} - Dependent cell references
+     */
+    getDependents(ref) {
+        const prefix = `${this.activeSheetName}.`;
+        return this._getQualifiedDependents(this._qualifyRef(ref))
+            .map(dep => dep.startsWith(prefix) ? dep.substring(prefix.length) : dep);
     }
 
     /**
-     * Update an existing pivot table
-     * @param {string} pivotId - Pivot table identifier
-     * @param {object} rexxInterpreter - Optional interpreter for recalculation
+     * Propagate changes to dependent cells
      */
-    updatePivotTable(pivotId, rexxInterpreter = null) {
-        if (!this.pivotTables.has(pivotId)) {
-            throw new Error(`Pivot table not found: ${pivotId}`);
+    async propagateChanges(ref, rexxInterpreter) {
+        const deps = this.getDependents(ref);
+        if (deps.length === 0 || !rexxInterpreter) {
+            return;
         }
 
-        this._generatePivotTable(pivotId, rexxInterpreter);
-
-        // Save history
-        this._recordSnapshot('updatePivotTable');
-
-        return pivotId;
+        await this.recalculate(deps, rexxInterpreter);
     }
 
     /**
-     * Delete a pivot table
-     * @param {string} pivotId - Pivot table identifier
+     * Recalculate the given cells and everything that transitively depends on them,
+     * across all sheets. Each affected cell is evaluated exactly once, in topological
+     * order; cells that are part of a reference cycle are marked #CIRCULAR! instead
+     * of being evaluated, unless iterative calculation is enabled (see
+     * setIterativeCalculation). Requests made while a pass is running are folded into it.
+     * @param {string[]} refs - Changed cell references (A1 for the active sheet, or Sheet2.A1)
+     * @param {object} rexxInterpreter - Evaluator exposing evaluate(expression, model)
+     * @param {Object} [options] - { fromFormula }: the caller is a formula being
+     *   evaluated, which cannot wait for the pass evaluating it
+     * @returns {Promise<void>} - Resolves once the whole chain has settled
      */
-    deletePivotTable(pivotId) {
-        if (!this.pivotTables.has(pivotId)) {
-            throw new Error(`Pivot table not found: ${pivotId}`);
+    recalculate(refs, rexxInterpreter, { fromFormula = false } = {}) {
+        if (!rexxInterpreter) {
+            return Promise.resolve();
         }
 
-        this.pivotTables.delete(pivotId);
+        refs.forEach(ref => this._dirtyCells.add(this._qualifyRef(ref)));
+        this._recalcInterpreter = rexxInterpreter;
 
-        // Save history
-        this._recordSnapshot('deletePivotTable');
+        // A formula that edits cells (e.g. via SETCELL) would deadlock waiting
+        // for the pass evaluating it; the running pass picks up the new dirty
+        // cells instead. Other callers wait for the pass, which drains their cells too.
+        if (fromFormula) {
+            return Promise.resolve();
+        }
 
-        return pivotId;
+        if (!this._recalcPromise) {
+            this._recalcPromise = this._runRecalculation().finally(() => {
+                this._recalcPromise = null;
+            });
+        }
+        return this._recalcPromise;
     }
 
     /**
-     * Get pivot table configuration
-     * @param {string} pivotId - Pivot table identifier
-     * @returns {object|null} Pivot configuration or null
+     * Wait for any recalculation pass in progress to finish
+     * @returns {Promise<void>}
      */
-    getPivotTable(pivotId) {
-        return this.pivotTables.get(pivotId) || null;
+    whenRecalculated() {
+        return this._recalcPromise || Promise.resolve();
     }
 
     /**
-     * Get all pivot tables
-     * @returns {Array} Array of {id, config} objects
+     * Recalculate every formula cell in the workbook
+     * @param {object} rexxInterpreter - Evaluator exposing evaluate(expression, model)
+     * @returns {Promise<void>}
      */
-    getAllPivotTables() {
-        const result = [];
-        for (const [id, config] of this.pivotTables.entries()) {
-            result.push({ id, config });
-        }
-        return result;
+    recalculateAll(rexxInterpreter) {
+        this._rebuildDependents();
+        return this._recalculateAll(rexxInterpreter);
     }
 
     /**
-     * Generate pivot table data and populate cells
-     * @private
+     * Recalculate every formula, on any sheet, that calls one of the given
+     * functions (and whatever depends on those cells), e.g. after a
+     * user-defined function changes
+     * @param {string[]} functionNames - Function names, in any case
+     * @param {object} rexxInterpreter - Evaluator exposing evaluate(expression, model)
+     * @returns {Promise<void>}
      */
-    _generatePivotTable(pivotId, rexxInterpreter = null) {
-        const config = this.pivotTables.get(pivotId);
-        if (!config) return;
-
-        // Parse source range
-        const sourceRange = this.parseRange(config.sourceRange);
-        if (!sourceRange) {
-            throw new Error(`Invalid source range: ${config.sourceRange}`);
+    recalculateFunctionCallers(functionNames, rexxInterpreter) {
+        const callers = [];
+        for (const [sheetName, sheet] of this.sheets.entries()) {
+            for (const [ref, cell] of sheet.cells.entries()) {
+                if (cell.expression && functionNames.some(name => callsFunction(cell.expression, name))) {
+                    callers.push(`${sheetName}.${ref}`);
+                }
+            }
         }
+        return callers.length > 0 ? this.recalculate(callers, rexxInterpreter) : Promise.resolve();
+    }
 
-        // Extract source data
-        const sourceData = this._extractRangeData(sourceRange);
-
-        // Build pivot table structure
-        const pivotData = this._buildPivotData(sourceData, config);
-
-        // Write pivot table to output cells
-        this._writePivotTable(pivotData, config.outputCell, rexxInterpreter);
+    /**
+     * Drain the dirty set, evaluating affected cells in dependency order
+     */
+    async _runRecalculation() {
+        const evaluated = new Set();
+        const refreshedTables = new Set();
+        const changedCells = new Set();
+        // Cells edited while conditional formats are refreshed need another round
+        do {
+            while (this._dirtyCells.size > 0) {
+                const changed = this._withAffectedSpills(Array.from(this._dirtyCells));
+                this._dirtyCells.clear();
+                const rexxInterpreter = this._recalcInterpreter;
+
+                const affected = this._collectDependents(changed);
+                await this._evaluateInOrder(affected, rexxInterpreter, evaluated);
+                await this._refreshAffectedDataTables(affected, rexxInterpreter, refreshedTables);
+                affected.forEach(qualifiedRef => changedCells.add(qualifiedRef));
+            }
+            await this._refreshConditionalFormats(changedCells, this._recalcInterpreter);
+            changedCells.clear();
+        } while (this._dirtyCells.size > 0);
+        this._emit('recalcCompleted', { cells: Array.from(evaluated) });
     }
 
     /**
-     * Extract data from a range into array of row objects
-     * @private
+     * Evaluate cells in dependency order; reference cycles are iterated or
+     * marked #CIRCULAR!
+     * @param {Set<string>} affected - Qualified references to evaluate
+     * @param {object} rexxInterpreter - Evaluator exposing evaluate(expression, model)
+     * @param {Set<string>} evaluated - Collects the references evaluated
      */
-    _extractRangeData(range) {
-        const data = [];
-        const headers = [];
+    async _evaluateInOrder(affected, rexxInterpreter, evaluated) {
+        for (const component of this._computeEvaluationOrder(affected)) {
+            if (component.circular && this.iterativeCalculation.enabled) {
+                await this._iterateComponent(component.refs, rexxInterpreter);
+                component.refs.forEach(qualifiedRef => evaluated.add(qualifiedRef));
+                continue;
+            }
+            if (component.circular) {
+                component.refs.forEach(qualifiedRef => {
+                    const cell = this._getQualifiedCell(qualifiedRef);
+                    if (cell) {
+                        const oldValue = cell.value;
+                        this._setCellError(cell, '#CIRCULAR!', 'Circular reference');
+                        this._emitRecalculatedValue(qualifiedRef, oldValue);
+                        evaluated.add(qualifiedRef);
+                    }
+                });
+                continue;
+            }
 
-        // Extract headers from first row
-        for (let col = range.startCol; col <= range.endCol; col++) {
-            const ref = SpreadsheetModel.formatCellRef(col, range.startRow);
-            const cell = this.getCell(ref);
-            headers.push(cell.value || `Column${col}`);
+            await this._evaluateQualifiedCell(component.refs[0], rexxInterpreter);
+            evaluated.add(component.refs[0]);
         }
+    }
 
-        // Extract data rows
-        for (let row = range.startRow + 1; row <= range.endRow; row++) {
-            const rowData = {};
-            for (let col = range.startCol; col <= range.endCol; col++) {
-                const ref = SpreadsheetModel.formatCellRef(col, row);
-                const cell = this.getCell(ref);
-                const colIndex = col - range.startCol;
-                rowData[headers[colIndex]] = cell.value || '';
+    /**
+     * Solve a reference cycle by evaluating its cells repeatedly, starting from
+     * their previous values, until no numeric value moves by more than
+     * maxChange. Cycles that are still moving after maxIterations passes are
+     * marked #CONVERGE!; an error inside the cycle stops the iteration.
+     * @param {string[]} refs - Qualified references of the cycle's cells
+     * @param {object} rexxInterpreter - Evaluator exposing evaluate(expression, model)
+     */
+    async _iterateComponent(refs, rexxInterpreter) {
+        const { maxIterations, maxChange } = this.iterativeCalculation;
+        const members = refs
+            .map(qualifiedRef => ({ qualifiedRef, cell: this._getQualifiedCell(qualifiedRef) }))
+            .filter(member => member.cell);
+        const oldValues = members.map(({ cell }) => cell.value);
+
+        // Blank and error values (e.g. #CIRCULAR! from before iteration was enabled) start at zero
+        members.forEach(({ cell }) => {
+            if (cell.value === '' || isErrorValue(cell.value)) {
+                cell.value = 0;
+                cell.error = null;
+                cell.errorType = null;
+            }
+        });
+
+        let converged = false;
+        let failed = false;
+        for (let iteration = 0; iteration < maxIterations && !converged && !failed; iteration++) {
+            converged = true;
+            for (const { qualifiedRef, cell } of members) {
+                const previous = cell.value;
+                await this._evaluateOnOwnSheet(qualifiedRef, rexxInterpreter);
+                if (cell.errorType) {
+                    failed = true;
+                    break;
+                }
+                if (!this._withinMaxChange(previous, cell.value, maxChange)) {
+                    converged = false;
+                }
             }
-            data.push(rowData);
         }
 
-        return { headers, data };
+        members.forEach(({ qualifiedRef, cell }, index) => {
+            if (!converged && !failed) {
+                this._setCellError(cell, '#CONVERGE!', `Did not converge within ${maxIterations} iterations`);
+            }
+            this._emitRecalculatedValue(qualifiedRef, oldValues[index]);
+        });
     }
 
     /**
-     * Build pivot table from source data
-     * @private
+     * Whether an iterated value has settled: numbers within maxChange, anything else unchanged
      */
-    _buildPivotData(sourceData, config) {
-        const { data } = sourceData;
-        const rowFields = config.rowFields || [];
-        const colFields = config.colFields || [];
-        const valueField = config.valueField;
-        const aggFunction = config.aggFunction;
-
-        // Group data
-        const groups = new Map();
-
-        for (const row of data) {
-            // Apply filters if any
-            let includeRow = true;
-            for (const [field, filterValue] of Object.entries(config.filters || {})) {
-                if (row[field] !== filterValue) {
-                    includeRow = false;
-                    break;
-                }
-            }
-            if (!includeRow) continue;
-
-            // Build group key
-            const rowKey = rowFields.map(f => row[f] || '').join('|');
-            const colKey = colFields.map(f => row[f] || '').join('|');
-            const key = `${rowKey}::${colKey}`;
-
-            if (!groups.has(key)) {
-                groups.set(key, {
-                    rowKey,
-                    colKey,
-                    rowValues: rowFields.map(f => row[f] || ''),
-                    colValues: colFields.map(f => row[f] || ''),
-                    values: []
-                });
-            }
-
-            const value = parseFloat(row[valueField]);
-            if (!isNaN(value)) {
-                groups.get(key).values.push(value);
-            }
+    _withinMaxChange(previous, current, maxChange) {
+        const a = Number(previous);
+        const b = Number(current);
+        if (previous !== '' && current !== '' && Number.isFinite(a) && Number.isFinite(b)) {
+            return Math.abs(b - a) <= maxChange;
         }
+        return previous === current;
+    }
 
-        // Calculate aggregations
-        const result = new Map();
-        for (const [key, group] of groups.entries()) {
-            let aggregatedValue = 0;
-            if (group.values.length > 0) {
-                switch (aggFunction) {
-                    case 'SUM':
-                        aggregatedValue = group.values.reduce((a, b) => a + b, 0);
-                        break;
-                    case 'COUNT':
-                        aggregatedValue = group.values.length;
-                        break;
-                    case 'AVERAGE':
-                        aggregatedValue = group.values.reduce((a, b) => a + b, 0) / group.values.length;
-                        break;
-                    case 'MIN':
-                        aggregatedValue = Math.min(...group.values);
-                        break;
-                    case 'MAX':
-                        aggregatedValue = Math.max(...group.values);
-                        break;
-                }
-            }
-            result.set(key, {
-                rowKey: group.rowKey,
-                colKey: group.colKey,
-                rowValues: group.rowValues,
-                colValues: group.colValues,
-                value: aggregatedValue
-            });
+    /**
+     * Emit cellChanged when recalculation changed a cell's value
+     */
+    _emitRecalculatedValue(qualifiedRef, oldValue) {
+        if (this._trialEvaluation > 0) {
+            return;
         }
-
-        // Get unique row and column values
-        const uniqueRows = new Set();
-        const uniqueCols = new Set();
-        for (const entry of result.values()) {
-            uniqueRows.add(entry.rowKey);
-            uniqueCols.add(entry.colKey);
+        const cell = this._getQualifiedCell(qualifiedRef);
+        if (cell && cell.value !== oldValue) {
+            const { sheet, ref } = this._splitQualifiedRef(qualifiedRef);
+            this._emitCellChanged(sheet, ref, oldValue, 'recalc');
         }
+    }
 
-        return {
-            data: result,
-            rowKeys: Array.from(uniqueRows),
-            colKeys: Array.from(uniqueCols),
-            rowFields,
-            colFields
-        };
+    /**
+     * Look up a cell by qualified reference without changing the active sheet
+     */
+    _getQualifiedCell(qualifiedRef) {
+        const { sheet, ref } = this._splitQualifiedRef(qualifiedRef);
+        const sheetData = this.sheets.get(sheet);
+        return sheetData ? sheetData.cells.get(ref) : undefined;
     }
 
     /**
-     * Write pivot table to spreadsheet cells
-     * @private
+     * Evaluate a cell on any sheet, emitting cellChanged if its value changed
      */
-    _writePivotTable(pivotData, outputCell, rexxInterpreter = null) {
-        const outputRef = SpreadsheetModel.parseCellRef(outputCell);
-        let currentRow = outputRef.row;
+    async _evaluateQualifiedCell(qualifiedRef, rexxInterpreter) {
+        const oldValue = this._getQualifiedCell(qualifiedRef)?.value;
+        await this._evaluateOnOwnSheet(qualifiedRef, rexxInterpreter);
+        this._emitRecalculatedValue(qualifiedRef, oldValue);
+    }
 
-        // Write column headers
-        let currentCol = SpreadsheetModel.colLetterToNumber(outputRef.col);
-        // Skip row label columns
-        for (let i = 0; i < pivotData.rowFields.length; i++) {
-            const ref = SpreadsheetModel.formatCellRef(currentCol + i, currentRow);
-            this.setCell(ref, pivotData.rowFields[i] || '', rexxInterpreter);
-        }
-        currentCol += pivotData.rowFields.length;
+    /**
+     * Evaluate a cell on its own sheet, without emitting change events. The
+     * active sheet is left alone: it belongs to the UI, which may switch
+     * sheets or edit cells while the evaluation is waiting.
+     */
+    async _evaluateOnOwnSheet(qualifiedRef, rexxInterpreter) {
+        const { sheet, ref } = this._splitQualifiedRef(qualifiedRef);
+        await this.evaluateCell(ref, rexxInterpreter, sheet);
+    }
 
-        // Write column values as headers
-        for (const colKey of pivotData.colKeys) {
-            const ref = SpreadsheetModel.formatCellRef(currentCol, currentRow);
-            this.setCell(ref, colKey || '(blank)', rexxInterpreter);
-            currentCol++;
+    /**
+     * Collect the given cells plus all cells that transitively depend on them
+     * @param {string[]} refs - Starting qualified cell references
+     * @returns {Set<string>}
+     */
+    _collectDependents(refs) {
+        const affected = new Set();
+        const queue = [...refs];
+
+        // Read through the queue by index; shift() would make long chains quadratic
+        for (let next = 0; next < queue.length; next++) {
+            const ref = queue[next];
+            if (affected.has(ref)) continue;
+            affected.add(ref);
+
+            this._getQualifiedDependents(ref).forEach(dep => {
+                if (!affected.has(dep)) queue.push(dep);
+            });
         }
-        currentRow++;
 
-        // Write data rows
-        for (const rowKey of pivotData.rowKeys) {
-            currentCol = SpreadsheetModel.colLetterToNumber(outputRef.col);
+        return affected;
+    }
 
-            // Write row labels
-            const rowValues = Array.from(pivotData.data.values()).find(e => e.rowKey === rowKey)?.rowValues || [];
-            for (let i = 0; i < pivotData.rowFields.length; i++) {
-                const ref = SpreadsheetModel.formatCellRef(currentCol + i, currentRow);
-                this.setCell(ref, rowValues[i] || '', rexxInterpreter);
+    /**
+     * Order a set of cells so every cell comes after the cells it depends on.
+     * Uses Tarjan's algorithm, so strongly connected components (reference
+     * cycles) are reported as a single unit.
+     * @param {Set<string>} refs - Qualified cell references to order
+     * @returns {Array<{refs: string[], circular: boolean}>} - Components in evaluation order
+     */
+    _computeEvaluationOrder(refs) {
+        const index = new Map();
+        const lowLink = new Map();
+        const stack = [];
+        const onStack = new Set();
+        const components = [];
+        let counter = 0;
+
+        // Each cell's precedents among refs, read off the dependency graph
+        const precedents = new Map(Array.from(refs, ref => [ref, []]));
+        refs.forEach(ref => {
+            this._getQualifiedDependents(ref).forEach(dependent => {
+                const cell = this._getQualifiedCell(dependent);
+                if (precedents.has(dependent) && cell && cell.expression) {
+                    precedents.get(dependent).push(ref);
+                }
+            });
+        });
+        const dependenciesOf = (qualifiedRef) => precedents.get(qualifiedRef);
+
+        const strongConnect = (root) => {
+            // Explicit stack of [ref, index of the next precedent to follow],
+            // so that long reference chains cannot overflow the call stack
+            const work = [];
+            const enter = (ref) => {
+                index.set(ref, counter);
+                lowLink.set(ref, counter);
+                counter++;
+                stack.push(ref);
+                onStack.add(ref);
+                work.push([ref, 0]);
+            };
+            enter(root);
+
+            while (work.length > 0) {
+                const frame = work[work.length - 1];
+                const [ref, next] = frame;
+                const dependencies = dependenciesOf(ref);
+
+                if (next < dependencies.length) {
+                    frame[1]++;
+                    const dep = dependencies[next];
+                    if (!index.has(dep)) {
+                        enter(dep);
+                    } else if (onStack.has(dep)) {
+                        lowLink.set(ref, Math.min(lowLink.get(ref), index.get(dep)));
+                    }
+                    continue;
+                }
+
+                work.pop();
+                if (work.length > 0) {
+                    const parent = work[work.length - 1][0];
+                    lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(ref)));
+                }
+
+                if (lowLink.get(ref) === index.get(ref)) {
+                    const members = [];
+                    let member;
+                    do {
+                        member = stack.pop();
+                        onStack.delete(member);
+                        members.push(member);
+                    } while (member !== ref);
+
+                    const circular = members.length > 1 || dependencies.includes(ref);
+                    components.push({ refs: members.reverse(), circular });
+                }
             }
-            currentCol += pivotData.rowFields.length;
+        };
 
-            // Write values
-            for (const colKey of pivotData.colKeys) {
-                const key = `${rowKey}::${colKey}`;
-                const entry = pivotData.data.get(key);
-                const ref = SpreadsheetModel.formatCellRef(currentCol, currentRow);
-                this.setCell(ref, entry ? String(entry.value) : '0', rexxInterpreter);
-                currentCol++;
+        for (const ref of refs) {
+            if (!index.has(ref)) {
+                strongConnect(ref);
             }
-            currentRow++;
         }
+
+        return components;
     }
 
     /**
-     * Get setup script
+     * Get all non-empty cells
      */
-    getSetupScript() {
-        return this.setupScript;
+    getAllCells() {
+        const result = [];
+        for (const [ref, cell] of this.cells.entries()) {
+            result.push({ ref, ...cell });
+        }
+        return result;
     }
 
     /**
-     * Set setup script
+     * Clear every cell on the active sheet
      */
-    setSetupScript(script) {
-        this.setupScript = script || '';
+    clearCells() {
+        this._recordChange('clearCells', { cells: 'all' }, () => {
+            this.cells.clear();
+            this.evaluationInProgress.clear();
+            this._getActiveSheet().spills.clear();
+        });
+        this._rebuildDependents();
+        this._emit('rangeChanged', { sheet: this.activeSheetName, range: null, action: 'clearCells' });
     }
 
     /**
-     * Export to JSON
+     * Set cell metadata (comment, format, chartScript)
+     * The format may be a format string or a style object (see spreadsheet-cell-style.js);
+     * either way the cell stores the canonical format string.
      */
-    toJSON() {
-        const data = {
-            version: 2, // Version 2 with multi-sheet support
-            setupScript: this.setupScript,
-            activeSheetName: this.activeSheetName,
-            sheetOrder: [...this.sheetOrder],
-            sheets: {}
-        };
-
-        // Export each sheet
-        for (const [sheetName, sheet] of this.sheets.entries()) {
-            const sheetData = {
-                cells: {},
-                hiddenRows: Array.from(sheet.hiddenRows),
-                hiddenColumns: Array.from(sheet.hiddenColumns),
-                columnWidths: Object.fromEntries(sheet.columnWidths),
-                rowHeights: Object.fromEntries(sheet.rowHeights),
-                namedRanges: Object.fromEntries(sheet.namedRanges),
-                frozenRows: sheet.frozenRows,
-                frozenColumns: sheet.frozenColumns,
-                validations: Object.fromEntries(sheet.validations),
-                mergedCells: Object.fromEntries(sheet.mergedCells),
-                cellEditors: Object.fromEntries(sheet.cellEditors),
-                pivotTables: Object.fromEntries(sheet.pivotTables),
-                tableMetadata: Object.fromEntries(sheet.tableMetadata),
-                autoIdColumn: sheet.autoIdColumn,
-                nextId: sheet.nextId,
-                idPrefix: sheet.idPrefix
-            };
-
-            // Add filter criteria if present
-            if (sheet.filterCriteria) {
-                sheetData.filterCriteria = sheet.filterCriteria;
-            }
-
-            // Export cells
-            for (const [ref, cell] of sheet.cells.entries()) {
-                const cellData = {};
-
-                if (cell.expression) {
-                    cellData.content = '=' + cell.expression;
-                } else if (cell.value !== '') {
-                    cellData.content = cell.value;
-                }
-
-                // Add metadata if present
-                if (cell.comment) {
-                    cellData.comment = cell.comment;
-                }
-                if (cell.format) {
-                    cellData.format = cell.format;
+    setCellMetadata(ref, metadata) {
+        if (typeof ref === 'object') {
+            ref = SpreadsheetModel.formatCellRef(ref.col, ref.row);
+        }
+        const format = metadata.format === undefined ? undefined : toFormatString(metadata.format);
+
+        return this._recordChange(`setCellMetadata ${ref}`, { cells: [ref] }, () => {
+            const cell = this.cells.get(ref);
+            if (!cell) {
+                // Create empty cell with metadata
+                this.cells.set(ref, {
+                    value: '',
+                    expression: null,
+                    dependencies: [],
+                    error: null,
+                    comment: metadata.comment || '',
+                    format: format || '',
+                    chartScript: metadata.chartScript || null,
+                    wrapText: metadata.wrapText || false
+                });
+            } else {
+                // Update existing cell
+                if (metadata.comment !== undefined) {
+                    cell.comment = metadata.comment;
                 }
-                if (cell.chartScript) {
-                    cellData.chartScript = cell.chartScript;
+                if (format !== undefined) {
+                    cell.format = format;
                 }
-                if (cell.wrapText) {
-                    cellData.wrapText = cell.wrapText;
+                if (metadata.chartScript !== undefined) {
+                    cell.chartScript = metadata.chartScript;
                 }
-
-                // Only store if there's content or metadata
-                if (cellData.content || cellData.comment || cellData.format || cellData.chartScript || cellData.wrapText) {
-                    // If only content, store as string for backward compatibility
-                    if (Object.keys(cellData).length === 1 && cellData.content) {
-                        sheetData.cells[ref] = cellData.content;
-                    } else {
-                        sheetData.cells[ref] = cellData;
-                    }
+                if (metadata.wrapText !== undefined) {
+                    cell.wrapText = metadata.wrapText;
                 }
             }
+            this._emitCellChanged(this.activeSheetName, ref, cell ? cell.value : '', 'edit');
+        });
+    }
 
-            data.sheets[sheetName] = sheetData;
-        }
+    /**
+     * Get the style of a cell as an object (see spreadsheet-cell-style.js).
+     * Cells with the same format share one frozen style object.
+     * @param {string} ref - Cell reference
+     * @returns {Object} Style object, {} for an unformatted cell
+     */
+    getCellStyle(ref) {
+        return this.styleRegistry.styleFor(this.getCell(ref).format);
+    }
 
-        return data;
+    /**
+     * Set the style of a cell
+     * @param {string} ref - Cell reference
+     * @param {Object|string} style - Style object or format string; replaces the current style
+     */
+    setCellStyle(ref, style) {
+        this.setCellMetadata(ref, { format: style || '' });
     }
 
     /**
-     * Import from JSON
+     * Draw or clear borders on a range, as one undo step. A merged block counts
+     * as one cell: its border is kept on the top-left cell and drawn around the
+     * whole block (see getCellBorder).
+     * @param {string} rangeRef - Range ("A1:C3") or a single cell
+     * @param {string|Object} spec - "outline", "all thin #999", "bottom double", "none"... (see parseBorderSpec)
      */
-    fromJSON(data, rexxInterpreter = null) {
-        this.undoStack = [];
-        this.redoStack = [];
+    setBorder(rangeRef, spec) {
+        const { preset, ...line } = parseBorderSpec(spec);
+        const range = this.parseRange(rangeRef.includes(':') ? rangeRef : `${rangeRef}:${rangeRef}`);
+        if (!range) {
+            throw new Error(`Invalid range: ${rangeRef}`);
+        }
 
-        // Handle version 2 (multi-sheet) format
-        if (data.version === 2 && data.sheets) {
-            this.setupScript = data.setupScript || '';
-            this.sheets.clear();
-            this.sheetOrder = data.sheetOrder || Object.keys(data.sheets);
-            this.activeSheetName = data.activeSheetName || this.sheetOrder[0] || 'Sheet1';
+        this.transaction(`setBorder ${rangeRef} ${preset}`, () => {
+            for (const block of this._cellBlocks(range)) {
+                // Sides of the block on the outside of the range
+                const outer = {
+                    top: block.startRow <= range.startRow,
+                    bottom: block.endRow >= range.endRow,
+                    left: block.startCol <= range.startCol,
+                    right: block.endCol >= range.endCol
+                };
+                const sides = {
+                    all: BORDER_SIDES,
+                    none: BORDER_SIDES,
+                    outline: BORDER_SIDES.filter(side => outer[side]),
+                    inside: BORDER_SIDES.filter(side => !outer[side])
+                }[preset] || (outer[preset] ? [preset] : []);
+                if (sides.length === 0) {
+                    continue;
+                }
+
+                const style = this.getCellStyle(block.topLeft);
+                const border = { ...style.border };
+                sides.forEach(side => {
+                    if (preset === 'none') {
+                        delete border[side];
+                    } else {
+                        border[side] = line;
+                    }
+                });
+                this.setCellStyle(block.topLeft, { ...style, border });
+            }
+        });
+        this._emit('rangeChanged', { sheet: this.activeSheetName, range: rangeRef, action: 'setBorder' });
+    }
+
+    /**
+     * Border drawn around a cell: its own, or for a cell of a merged block the
+     * sides of the block's border that lie on that cell's edges
+     * @param {string} ref - Cell reference
+     * @returns {Object} Border lines by side ({} for none)
+     */
+    getCellBorder(ref) {
+        const merge = this.mergedCells.size > 0 ? this.getMergedRange(ref) : null;
+        if (!merge) {
+            return this.getCellStyle(ref).border || {};
+        }
+
+        const block = this.parseRange(merge.range);
+        const { col, row } = SpreadsheetModel.parseCellRef(ref);
+        const colNum = SpreadsheetModel.colLetterToNumber(col);
+        const onEdge = {
+            top: row === block.startRow,
+            bottom: row === block.endRow,
+            left: colNum === block.startCol,
+            right: colNum === block.endCol
+        };
+        const border = this.getCellStyle(merge.topLeft).border || {};
+        return Object.fromEntries(Object.entries(border).filter(([side]) => onEdge[side]));
+    }
+
+    /**
+     * The cells of a range, with each merged block that touches it as one entry
+     * @returns {Array<Object>} {topLeft, startCol, startRow, endCol, endRow}
+     */
+    _cellBlocks(range) {
+        const blocks = new Map(); // key: top-left cell
+        for (let row = range.startRow; row <= range.endRow; row++) {
+            for (let col = range.startCol; col <= range.endCol; col++) {
+                const ref = SpreadsheetModel.formatCellRef(col, row);
+                const merge = this.mergedCells.size > 0 ? this.getMergedRange(ref) : null;
+                if (!merge) {
+                    blocks.set(ref, { topLeft: ref, startCol: col, startRow: row, endCol: col, endRow: row });
+                } else if (!blocks.has(merge.topLeft)) {
+                    blocks.set(merge.topLeft, { topLeft: merge.topLeft, ...this.parseRange(merge.range) });
+                }
+            }
+        }
+        return Array.from(blocks.values());
+    }
+
+    /**
+     * Parse a range reference (e.g., "A1:C3")
+     * @param {string} rangeRef - Range reference
+     * @returns {object|null} - {startCol, startRow, endCol, endRow} or null if invalid
+     */
+    parseRange(rangeRef) {
+        const match = rangeRef.match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/i);
+        if (!match) {
+            return null;
+        }
+
+        const startColLetter = match[1].toUpperCase();
+        const startRow = parseInt(match[2], 10);
+        const endColLetter = match[3].toUpperCase();
+        const endRow = parseInt(match[4], 10);
+
+        return {
+            startCol: SpreadsheetModel.colLetterToNumber(startColLetter),
+            startRow,
+            endCol: SpreadsheetModel.colLetterToNumber(endColLetter),
+            endRow
+        };
+    }
+
+    /**
+     * Merge cells in a range
+     * @param {string} rangeRef - Range reference (e.g., "A1:C3")
+     * @param {object} rexxInterpreter - Optional Rexx interpreter for recalculation
+     */
+    mergeCells(rangeRef, rexxInterpreter = null) {
+        const result = this._recordChange(`mergeCells ${rangeRef}`, { entries: { mergedCells: 'all' } }, () => {
+            const range = this.parseRange(rangeRef);
+            if (!range) {
+                throw new Error(`Invalid range: ${rangeRef}`);
+            }
+
+            const topLeft = SpreadsheetModel.formatCellRef(range.startCol, range.startRow);
+            const bottomRight = SpreadsheetModel.formatCellRef(range.endCol, range.endRow);
+
+            // Check if any cells in this range are already part of another merge
+            for (let row = range.startRow; row <= range.endRow; row++) {
+                for (let col = range.startCol; col <= range.endCol; col++) {
+                    const cellRef = SpreadsheetModel.formatCellRef(col, row);
+                    if (this.isCellMerged(cellRef) && cellRef !== topLeft) {
+                        throw new Error(`Cell ${cellRef} is already part of a merged range`);
+                    }
+                }
+            }
+
+            // Store the merge - top-left cell maps to bottom-right
+            this.mergedCells.set(topLeft, bottomRight);
+
+            return topLeft;
+        });
+        this._emit('rangeChanged', { sheet: this.activeSheetName, range: rangeRef, action: 'mergeCells' });
+        return result;
+    }
+
+    /**
+     * Unmerge cells
+     * @param {string} cellRef - Any cell reference in the merged range
+     */
+    unmergeCells(cellRef) {
+        if (typeof cellRef === 'object') {
+            cellRef = SpreadsheetModel.formatCellRef(cellRef.col, cellRef.row);
+        }
+
+        return this._recordChange(`unmergeCells ${cellRef}`, { entries: { mergedCells: 'all' } }, () => {
+            // Find the merge that contains this cell
+            const mergeInfo = this.getMergedRange(cellRef);
+            if (!mergeInfo) {
+                throw new Error(`Cell ${cellRef} is not part of a merged range`);
+            }
+
+            // Remove the merge
+            this.mergedCells.delete(mergeInfo.topLeft);
+            this._emit('rangeChanged', { sheet: this.activeSheetName, range: mergeInfo.range, action: 'unmergeCells' });
+
+            return mergeInfo.topLeft;
+        });
+    }
+
+    /**
+     * Get merged range information for a cell
+     * @param {string} cellRef - Cell reference
+     * @returns {object|null} - {topLeft, bottomRight, range} or null if not merged
+     */
+    getMergedRange(cellRef) {
+        if (typeof cellRef === 'object') {
+            cellRef = SpreadsheetModel.formatCellRef(cellRef.col, cellRef.row);
+        }
+
+        // Check if this cell is the top-left of a merge
+        const bottomRight = this.mergedCells.get(cellRef);
+        if (bottomRight) {
+            return {
+                topLeft: cellRef,
+                bottomRight: bottomRight,
+                range: `${cellRef}:${bottomRight}`
+            };
+        }
+
+        // Check if this cell is inside any merge
+        const parsed = SpreadsheetModel.parseCellRef(cellRef);
+        for (const [topLeft, bottomRight] of this.mergedCells.entries()) {
+            const topLeftParsed = SpreadsheetModel.parseCellRef(topLeft);
+            const bottomRightParsed = SpreadsheetModel.parseCellRef(bottomRight);
+
+            if (parsed.row >= topLeftParsed.row && parsed.row <= bottomRightParsed.row &&
+                SpreadsheetModel.colLetterToNumber(parsed.col) >= SpreadsheetModel.colLetterToNumber(topLeftParsed.col) &&
+                SpreadsheetModel.colLetterToNumber(parsed.col) <= SpreadsheetModel.colLetterToNumber(bottomRightParsed.col)) {
+                return {
+                    topLeft: topLeft,
+                    bottomRight: bottomRight,
+                    range: `${topLeft}:${bottomRight}`
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check if a cell is part of a merged range
+     * @param {string} cellRef - Cell reference
+     * @returns {boolean}
+     */
+    isCellMerged(cellRef) {
+        return this.getMergedRange(cellRef) !== null;
+    }
+
+    /**
+     * Set custom editor for a cell
+     * @param {string} cellRef - Cell reference
+     * @param {string} type - Editor type: 'checkbox', 'dropdown', 'date'
+     * @param {object} config - Configuration object for the editor
+     */
+    setCellEditor(cellRef, type, config = {}) {
+        if (typeof cellRef === 'object') {
+            cellRef = SpreadsheetModel.formatCellRef(cellRef.col, cellRef.row);
+        }
+
+        return this._recordChange(`setCellEditor ${cellRef}`, { entries: { cellEditors: [cellRef] } }, () => {
+            const validTypes = ['checkbox', 'dropdown', 'date'];
+            if (!validTypes.includes(type)) {
+                throw new Error(`Invalid editor type: ${type}. Must be one of: ${validTypes.join(', ')}`);
+            }
+
+            // Validate config based on type
+            if (type === 'dropdown' && !config.options) {
+                throw new Error('Dropdown editor requires "options" array in config');
+            }
+
+            this.cellEditors.set(cellRef, { type, config });
+
+            return cellRef;
+        });
+    }
+
+    /**
+     * Get custom editor for a cell
+     * @param {string} cellRef - Cell reference
+     * @returns {object|null} - {type, config} or null if no custom editor
+     */
+    getCellEditor(cellRef) {
+        if (typeof cellRef === 'object') {
+            cellRef = SpreadsheetModel.formatCellRef(cellRef.col, cellRef.row);
+        }
+
+        return this.cellEditors.get(cellRef) || null;
+    }
+
+    /**
+     * Remove custom editor from a cell
+     * @param {string} cellRef - Cell reference
+     */
+    removeCellEditor(cellRef) {
+        if (typeof cellRef === 'object') {
+            cellRef = SpreadsheetModel.formatCellRef(cellRef.col, cellRef.row);
+        }
+
+        return this._recordChange(`removeCellEditor ${cellRef}`, { entries: { cellEditors: [cellRef] } }, () => {
+            this.cellEditors.delete(cellRef);
+
+            return cellRef;
+        });
+    }
+
+    /**
+     * Create or update a pivot table
+     * @param {string} pivotId - Unique identifier for this pivot table
+     * @param {object} config - Pivot configuration
+     *   {sourceRange, rowFields, colFields, valueField, aggFunction, outputCell}
+     * @param {object} rexxInterpreter - Optional interpreter for recalculation
+     */
+    createPivotTable(pivotId, config, rexxInterpreter = null) {
+        return this._recordChange(`createPivotTable ${pivotId}`, { entries: { pivotTables: [pivotId] } }, () => {
+            // Validate configuration
+            if (!config.sourceRange || !config.outputCell) {
+                throw new Error('Pivot table requires sourceRange and outputCell');
+            }
+            if (!config.valueField || !config.aggFunction) {
+                throw new Error('Pivot table requires valueField and aggFunction (SUM, COUNT, AVERAGE, MIN, MAX)');
+            }
+
+            const validAggFunctions = ['SUM', 'COUNT', 'AVERAGE', 'MIN', 'MAX'];
+            if (!validAggFunctions.includes(config.aggFunction.toUpperCase())) {
+                throw new Error(`Invalid aggregation function: ${config.aggFunction}. Must be one of: ${validAggFunctions.join(', ')}`);
+            }
+
+            // Store pivot configuration
+            this.pivotTables.set(pivotId, {
+                sourceRange: config.sourceRange,
+                rowFields: config.rowFields || [],
+                colFields: config.colFields || [],
+                valueField: config.valueField,
+                aggFunction: config.aggFunction.toUpperCase(),
+                outputCell: config.outputCell,
+                filters: config.filters || {}
+            });
+
+            // Generate and populate pivot table
+            this._generatePivotTable(pivotId, rexxInterpreter);
+
+            return pivotId;
+        });
+    }
+
+    /**
+     * Update an existing pivot table
+     * @param {string} pivotId - Pivot table identifier
+     * @param {object} rexxInterpreter - Optional interpreter for recalculation
+     */
+    updatePivotTable(pivotId, rexxInterpreter = null) {
+        return this._recordChange(`updatePivotTable ${pivotId}`, {}, () => {
+            if (!this.pivotTables.has(pivotId)) {
+                throw new Error(`Pivot table not found: ${pivotId}`);
+            }
+
+            this._generatePivotTable(pivotId, rexxInterpreter);
+
+            return pivotId;
+        });
+    }
+
+    /**
+     * Delete a pivot table
+     * @param {string} pivotId - Pivot table identifier
+     */
+    deletePivotTable(pivotId) {
+        return this._recordChange(`deletePivotTable ${pivotId}`, { entries: { pivotTables: [pivotId] } }, () => {
+            if (!this.pivotTables.has(pivotId)) {
+                throw new Error(`Pivot table not found: ${pivotId}`);
+            }
+
+            this.pivotTables.delete(pivotId);
+
+            return pivotId;
+        });
+    }
+
+    /**
+     * Get pivot table configuration
+     * @param {string} pivotId - Pivot table identifier
+     * @returns {object|null} Pivot configuration or null
+     */
+    getPivotTable(pivotId) {
+        return this.pivotTables.get(pivotId) || null;
+    }
+
+    /**
+     * Get all pivot tables
+     * @returns {Array} Array of {id, config} objects
+     */
+    getAllPivotTables() {
+        const result = [];
+        for (const [id, config] of this.pivotTables.entries()) {
+            result.push({ id, config });
+        }
+        return result;
+    }
+
+    /**
+     * Generate pivot table data and populate cells
+     * @private
+     */
+    _generatePivotTable(pivotId, rexxInterpreter = null) {
+        const config = this.pivotTables.get(pivotId);
+        if (!config) return;
+
+        // Parse source range
+        const sourceRange = this.parseRange(config.sourceRange);
+        if (!sourceRange) {
+            throw new Error(`Invalid source range: ${config.sourceRange}`);
+        }
+
+        // Extract source data
+        const sourceData = this._extractRangeData(sourceRange);
+
+        // Build pivot table structure
+        const pivotData = this._buildPivotData(sourceData, config);
+
+        // Write pivot table to output cells
+        this._writePivotTable(pivotData, config.outputCell, rexxInterpreter);
+    }
+
+    /**
+     * Extract data from a range into array of row objects
+     * @private
+     */
+    _extractRangeData(range) {
+        const data = [];
+        const headers = [];
+
+        // Extract headers from first row
+        for (let col = range.startCol; col <= range.endCol; col++) {
+            const ref = SpreadsheetModel.formatCellRef(col, range.startRow);
+            const cell = this.getCell(ref);
+            headers.push(cell.value || `Column${col}`);
+        }
+
+        // Extract data rows
+        for (let row = range.startRow + 1; row <= range.endRow; row++) {
+            const rowData = {};
+            for (let col = range.startCol; col <= range.endCol; col++) {
+                const ref = SpreadsheetModel.formatCellRef(col, row);
+                const cell = this.getCell(ref);
+                const colIndex = col - range.startCol;
+                rowData[headers[colIndex]] = cell.value || '';
+            }
+            data.push(rowData);
+        }
+
+        return { headers, data };
+    }
+
+    /**
+     * Build pivot table from source data
+     * @private
+     */
+    _buildPivotData(sourceData, config) {
+        const { data } = sourceData;
+        const rowFields = config.rowFields || [];
+        const colFields = config.colFields || [];
+        const valueField = config.valueField;
+        const aggFunction = config.aggFunction;
+
+        // Group data
+        const groups = new Map();
+
+        for (const row of data) {
+            // Apply filters if any
+            let includeRow = true;
+            for (const [field, filterValue] of Object.entries(config.filters || {})) {
+                if (row[field] !== filterValue) {
+                    includeRow = false;
+                    break;
+                }
+            }
+            if (!includeRow) continue;
+
+            // Build group key
+            const rowKey = rowFields.map(f => row[f] || '').join('|');
+            const colKey = colFields.map(f => row[f] || '').join('|');
+            const key = `${rowKey}::${colKey}`;
+
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    rowKey,
+                    colKey,
+                    rowValues: rowFields.map(f => row[f] || ''),
+                    colValues: colFields.map(f => row[f] || ''),
+                    values: []
+                });
+            }
+
+            const value = parseFloat(row[valueField]);
+            if (!isNaN(value)) {
+                groups.get(key).values.push(value);
+            }
+        }
+
+        // Calculate aggregations
+        const result = new Map();
+        for (const [key, group] of groups.entries()) {
+            let aggregatedValue = 0;
+            if (group.values.length > 0) {
+                switch (aggFunction) {
+                    case 'SUM':
+                        aggregatedValue = group.values.reduce((a, b) => a + b, 0);
+                        break;
+                    case 'COUNT':
+                        aggregatedValue = group.values.length;
+                        break;
+                    case 'AVERAGE':
+                        aggregatedValue = group.values.reduce((a, b) => a + b, 0) / group.values.length;
+                        break;
+                    case 'MIN':
+                        aggregatedValue = Math.min(...group.values);
+                        break;
+                    case 'MAX':
+                        aggregatedValue = Math.max(...group.values);
+                        break;
+                }
+            }
+            result.set(key, {
+                rowKey: group.rowKey,
+                colKey: group.colKey,
+                rowValues: group.rowValues,
+                colValues: group.colValues,
+                value: aggregatedValue
+            });
+        }
+
+        // Get unique row and column values
+        const uniqueRows = new Set();
+        const uniqueCols = new Set();
+        for (const entry of result.values()) {
+            uniqueRows.add(entry.rowKey);
+            uniqueCols.add(entry.colKey);
+        }
+
+        return {
+            data: result,
+            rowKeys: Array.from(uniqueRows),
+            colKeys: Array.from(uniqueCols),
+            rowFields,
+            colFields
+        };
+    }
+
+    /**
+     * Write pivot table to spreadsheet cells
+     * @private
+     */
+    _writePivotTable(pivotData, outputCell, rexxInterpreter = null) {
+        const outputRef = SpreadsheetModel.parseCellRef(outputCell);
+        let currentRow = outputRef.row;
+
+        // Write column headers
+        let currentCol = SpreadsheetModel.colLetterToNumber(outputRef.col);
+        // Skip row label columns
+        for (let i = 0; i < pivotData.rowFields.length; i++) {
+            const ref = SpreadsheetModel.formatCellRef(currentCol + i, currentRow);
+            this.setCell(ref, pivotData.rowFields[i] || '', rexxInterpreter);
+        }
+        currentCol += pivotData.rowFields.length;
+
+        // Write column values as headers
+        for (const colKey of pivotData.colKeys) {
+            const ref = SpreadsheetModel.formatCellRef(currentCol, currentRow);
+            this.setCell(ref, colKey || '(blank)', rexxInterpreter);
+            currentCol++;
+        }
+        currentRow++;
+
+        // Write data rows
+        for (const rowKey of pivotData.rowKeys) {
+            currentCol = SpreadsheetModel.colLetterToNumber(outputRef.col);
+
+            // Write row labels
+            const rowValues = Array.from(pivotData.data.values()).find(e => e.rowKey === rowKey)?.rowValues || [];
+            for (let i = 0; i < pivotData.rowFields.length; i++) {
+                const ref = SpreadsheetModel.formatCellRef(currentCol + i, currentRow);
+                this.setCell(ref, rowValues[i] || '', rexxInterpreter);
+            }
+            currentCol += pivotData.rowFields.length;
+
+            // Write values
+            for (const colKey of pivotData.colKeys) {
+                const key = `${rowKey}::${colKey}`;
+                const entry = pivotData.data.get(key);
+                const ref = SpreadsheetModel.formatCellRef(currentCol, currentRow);
+                this.setCell(ref, entry ? String(entry.value) : '0', rexxInterpreter);
+                currentCol++;
+            }
+            currentRow++;
+        }
+    }
+
+    /**
+     * Data Tables (what-if)
+     * A data table recalculates one formula cell for every value in its first
+     * column and/or first row, substituting them into the column and row input
+     * cells, and writes the results into the rest of its range:
+     *
+     *         | r1  r2  r3     <- values for rowInputCell
+     *      c1 | .   .   .
+     *      c2 | .   .   .      <- results
+     *      ^ values for colInputCell
+     *
+     * A one-variable table has only one input cell and a single result column
+     * (or row). Tables are refreshed by any recalculation that reaches their
+     * formula cell or input values. Results are derived values, like formula
+     * results, so refreshing does not add undo steps.
+     */
+
+    /**
+     * Create (or replace) a data table and fill it
+     * @param {string} tableId - Unique identifier for this data table
+     * @param {object} config - {range, formulaCell, rowInputCell, colInputCell}
+     * @param {object} rexxInterpreter - Optional interpreter; without one the
+     *   results are filled in by the next recalculation
+     * @returns {Promise<string>} tableId
+     */
+    async createDataTable(tableId, config, rexxInterpreter = null) {
+        this._assertCanEdit();
+        const table = this._normalizeDataTable(config);
+        const { resultRefs } = this._dataTableLayout(table);
+
+        let results = new Map();
+        if (rexxInterpreter) {
+            await this.whenRecalculated();
+            results = await this._computeDataTable(table, this.activeSheetName, rexxInterpreter);
+        }
+
+        const sheetName = this.activeSheetName;
+        this._recordChange(`createDataTable ${tableId}`, { entries: { dataTables: [tableId] }, cells: resultRefs }, () => {
+            this.dataTables.set(tableId, table);
+            this._writeDataTableResults(sheetName, results);
+        });
+        await this.recalculate(resultRefs, rexxInterpreter);
+
+        return tableId;
+    }
+
+    /**
+     * Recompute a data table's results
+     * @param {string} tableId - Data table identifier
+     * @param {object} rexxInterpreter - Interpreter used to compute the results
+     * @returns {Promise<string>} tableId
+     */
+    async refreshDataTable(tableId, rexxInterpreter) {
+        this._assertCanEdit();
+        const table = this.dataTables.get(tableId);
+        if (!table) {
+            throw new Error(`Data table not found: ${tableId}`);
+        }
+        if (this._isBrokenDataTable(table)) {
+            throw new Error(`Data table ${tableId} refers to deleted cells`);
+        }
+
+        const sheetName = this.activeSheetName;
+        await this.whenRecalculated();
+        const results = await this._computeDataTable(table, sheetName, rexxInterpreter);
+        const changed = this._writeDataTableResults(sheetName, results);
+        await this.recalculate(changed, rexxInterpreter);
+
+        return tableId;
+    }
+
+    /**
+     * Delete a data table definition; its last results stay in the cells
+     * @param {string} tableId - Data table identifier
+     */
+    deleteDataTable(tableId) {
+        return this._recordChange(`deleteDataTable ${tableId}`, { entries: { dataTables: [tableId] } }, () => {
+            if (!this.dataTables.has(tableId)) {
+                throw new Error(`Data table not found: ${tableId}`);
+            }
+
+            this.dataTables.delete(tableId);
+
+            return tableId;
+        });
+    }
+
+    /**
+     * Get data table configuration
+     * @param {string} tableId - Data table identifier
+     * @returns {object|null} Data table configuration or null
+     */
+    getDataTable(tableId) {
+        return this.dataTables.get(tableId) || null;
+    }
+
+    /**
+     * Get all data tables on the active sheet
+     * @returns {Array} Array of {id, config} objects
+     */
+    getAllDataTables() {
+        const result = [];
+        for (const [id, config] of this.dataTables.entries()) {
+            result.push({ id, config });
+        }
+        return result;
+    }
+
+    /**
+     * Validate a data table configuration against the active sheet
+     * @private
+     */
+    _normalizeDataTable(config) {
+        const upper = ref => (ref ? String(ref).trim().toUpperCase() : null);
+        const table = {
+            range: upper(config.range),
+            formulaCell: upper(config.formulaCell),
+            rowInputCell: upper(config.rowInputCell),
+            colInputCell: upper(config.colInputCell)
+        };
+
+        const range = table.range && this.parseRange(table.range);
+        if (!range) {
+            throw new Error(`Invalid data table range: ${config.range}`);
+        }
+        if (!table.formulaCell) {
+            throw new Error('Data table requires a formula cell');
+        }
+        if (!table.rowInputCell && !table.colInputCell) {
+            throw new Error('Data table requires a row input cell, a column input cell or both');
+        }
+        for (const ref of [table.formulaCell, table.rowInputCell, table.colInputCell].filter(Boolean)) {
+            if (!/^[A-Z]+\d+$/.test(ref)) {
+                throw new Error(`Invalid cell reference: ${ref}`);
+            }
+            if (this._rangeContains(range, ref)) {
+                throw new Error(`Data table cell ${ref} must be outside the table range ${table.range}`);
+            }
+        }
+
+        if (range.endRow <= range.startRow || range.endCol <= range.startCol) {
+            throw new Error('Data table range needs input values in its first row or column and room for results');
+        }
+        if (!table.rowInputCell && range.endCol - range.startCol !== 1) {
+            throw new Error('A one-variable data table with a column input cell has a single result column');
+        }
+        if (!table.colInputCell && range.endRow - range.startRow !== 1) {
+            throw new Error('A one-variable data table with a row input cell has a single result row');
+        }
+
+        if (!this.getCellExpression(table.formulaCell)) {
+            throw new Error(`Data table formula cell ${table.formulaCell} must contain a formula`);
+        }
+        for (const ref of [table.rowInputCell, table.colInputCell].filter(Boolean)) {
+            if (this.getCellExpression(ref)) {
+                throw new Error(`Data table input cell ${ref} must contain a value, not a formula`);
+            }
+        }
+        for (const ref of this._dataTableLayout(table).resultRefs) {
+            if (this.getCellExpression(ref)) {
+                throw new Error(`Data table results would overwrite the formula in ${ref}`);
+            }
+        }
+
+        return table;
+    }
+
+    /**
+     * Whether a parsed range contains a cell
+     * @private
+     */
+    _rangeContains(range, ref) {
+        const { col, row } = SpreadsheetModel.parseCellRef(ref);
+        const colNum = SpreadsheetModel.colLetterToNumber(col);
+        return row >= range.startRow && row <= range.endRow && colNum >= range.startCol && colNum <= range.endCol;
+    }
+
+    /**
+     * Whether a structural edit deleted cells a data table needs
+     * @private
+     */
+    _isBrokenDataTable(table) {
+        return [table.range, table.formulaCell, table.rowInputCell, table.colInputCell].includes('#REF!');
+    }
+
+    /**
+     * Work out which cells of a data table hold input values and which receive results
+     * @private
+     * @returns {{results: Array<{ref, rowValueRef, colValueRef}>, resultRefs: string[], valueRefs: string[]}}
+     */
+    _dataTableLayout(table) {
+        const range = this.parseRange(table.range);
+        const results = [];
+        for (let row = range.startRow + 1; row <= range.endRow; row++) {
+            for (let col = range.startCol + 1; col <= range.endCol; col++) {
+                results.push({
+                    ref: SpreadsheetModel.formatCellRef(col, row),
+                    rowValueRef: SpreadsheetModel.formatCellRef(col, range.startRow),
+                    colValueRef: SpreadsheetModel.formatCellRef(range.startCol, row)
+                });
+            }
+        }
+
+        const valueRefs = [];
+        if (table.rowInputCell) {
+            for (let col = range.startCol + 1; col <= range.endCol; col++) {
+                valueRefs.push(SpreadsheetModel.formatCellRef(col, range.startRow));
+            }
+        }
+        if (table.colInputCell) {
+            for (let row = range.startRow + 1; row <= range.endRow; row++) {
+                valueRefs.push(SpreadsheetModel.formatCellRef(range.startCol, row));
+            }
+        }
+
+        return { results, resultRefs: results.map(result => result.ref), valueRefs };
+    }
+
+    /**
+     * Evaluate the formula cell once per combination of input values. The input
+     * cells are put back (and their dependents re-evaluated) afterwards; none
+     * of the trial values are reported as changes.
+     * @private
+     * @returns {Promise<Map<string, *>>} Result value per result cell
+     */
+    async _computeDataTable(table, sheetName, rexxInterpreter) {
+        const sheet = this.sheets.get(sheetName);
+        const { results } = this._dataTableLayout(table);
+        const inputRefs = [table.rowInputCell, table.colInputCell].filter(Boolean);
+        const saved = inputRefs.map(ref => sheet.cells.get(ref));
+        const affected = this._collectDependents(inputRefs.map(ref => this._qualifyRef(ref, sheetName)));
+        const valueOf = ref => (sheet.cells.get(ref) || { value: '' }).value;
+        const setInput = (ref, index, value) => {
+            sheet.cells.set(ref, {
+                ...(saved[index] || { expression: null, dependencies: [], rangeDependencies: [], error: null }),
+                value
+            });
+        };
+
+        const values = new Map();
+        this._trialEvaluation++;
+        try {
+            for (const { ref, rowValueRef, colValueRef } of results) {
+                if (table.rowInputCell) {
+                    setInput(table.rowInputCell, inputRefs.indexOf(table.rowInputCell), valueOf(rowValueRef));
+                }
+                if (table.colInputCell) {
+                    setInput(table.colInputCell, inputRefs.indexOf(table.colInputCell), valueOf(colValueRef));
+                }
+                await this._evaluateInOrder(affected, rexxInterpreter, new Set());
+                values.set(ref, valueOf(table.formulaCell));
+            }
+        } finally {
+            inputRefs.forEach((ref, index) => {
+                if (saved[index]) {
+                    sheet.cells.set(ref, saved[index]);
+                } else {
+                    sheet.cells.delete(ref);
+                }
+            });
+            await this._evaluateInOrder(affected, rexxInterpreter, new Set());
+            this._trialEvaluation--;
+        }
+        return values;
+    }
+
+    /**
+     * Store data table results as values, leaving cells that now hold formulas alone
+     * @private
+     * @returns {string[]} References whose value changed
+     */
+    _writeDataTableResults(sheetName, results) {
+        const sheet = this.sheets.get(sheetName);
+        const changed = [];
+        for (const [ref, value] of results.entries()) {
+            const cell = sheet.cells.get(ref);
+            if (cell && cell.expression) {
+                continue;
+            }
+            const oldValue = cell ? cell.value : '';
+            if (sameValue(oldValue, value)) {
+                continue;
+            }
+            sheet.cells.set(ref, {
+                comment: '',
+                format: '',
+                chartScript: null,
+                wrapText: false,
+                ...cell,
+                value,
+                expression: null,
+                dependencies: [],
+                rangeDependencies: [],
+                error: null,
+                errorType: isErrorValue(value) ? value : null
+            });
+            this._emitCellChanged(sheetName, ref, oldValue, 'recalc');
+            changed.push(this._qualifyRef(ref, sheetName));
+        }
+        return changed;
+    }
+
+    /**
+     * Refresh the data tables a recalculation pass touched: their formula cell
+     * or one of their input values was among the affected cells. Each table is
+     * refreshed at most once per pass; cells depending on the new results are
+     * queued for the same pass.
+     * @private
+     */
+    async _refreshAffectedDataTables(affected, rexxInterpreter, refreshed) {
+        if (this._trialEvaluation > 0) {
+            return;
+        }
+        for (const [sheetName, sheet] of this.sheets.entries()) {
+            for (const [tableId, table] of sheet.dataTables.entries()) {
+                const key = `${sheetName}.${tableId}`;
+                if (refreshed.has(key) || this._isBrokenDataTable(table)) {
+                    continue;
+                }
+                const watched = [table.formulaCell, ...this._dataTableLayout(table).valueRefs];
+                if (!watched.some(ref => affected.has(this._qualifyRef(ref, sheetName)))) {
+                    continue;
+                }
+
+                refreshed.add(key);
+                const results = await this._computeDataTable(table, sheetName, rexxInterpreter);
+                this._writeDataTableResults(sheetName, results)
+                    .forEach(qualifiedRef => this._dirtyCells.add(qualifiedRef));
+            }
+        }
+    }
+
+    /**
+     * Get setup script
+     */
+    getSetupScript() {
+        return this.setupScript;
+    }
+
+    /**
+     * Set setup script
+     */
+    setSetupScript(script) {
+        return this._recordChange('setSetupScript', { workbook: ['setupScript'] }, () => {
+            this.setupScript = script || '';
+        });
+    }
+
+    /**
+     * Get the iterative calculation settings
+     * @returns {{enabled: boolean, maxIterations: number, maxChange: number}}
+     */
+    getIterativeCalculation() {
+        return { ...this.iterativeCalculation };
+    }
+
+    /**
+     * Enable or tune iterative calculation. When enabled, reference cycles are
+     * evaluated repeatedly until they converge instead of being marked #CIRCULAR!.
+     * @param {Object} settings - Any of {enabled, maxIterations, maxChange}
+     * @param {Object} rexxInterpreter - Optional interpreter; formulas are recalculated with it
+     * @returns {Promise<void>} Resolves once the recalculation has settled
+     */
+    setIterativeCalculation(settings, rexxInterpreter = null) {
+        const next = { ...this.iterativeCalculation, ...settings };
+        next.enabled = Boolean(next.enabled);
+        next.maxIterations = Number(next.maxIterations);
+        next.maxChange = Number(next.maxChange);
+        if (!Number.isInteger(next.maxIterations) || next.maxIterations < 1) {
+            throw new Error(`Maximum iterations must be a positive integer, got ${settings.maxIterations}`);
+        }
+        if (!Number.isFinite(next.maxChange) || next.maxChange < 0) {
+            throw new Error(`Maximum change must be a non-negative number, got ${settings.maxChange}`);
+        }
+
+        this._recordChange('setIterativeCalculation', { workbook: ['iterativeCalculation'] }, () => {
+            this.iterativeCalculation = next;
+        });
+        return this._recalculateAll(rexxInterpreter);
+    }
+
+    /**
+     * Export to JSON
+     */
+    toJSON() {
+        const data = {
+            version: 2, // Version 2 with multi-sheet support
+            setupScript: this.setupScript,
+            iterativeCalculation: { ...this.iterativeCalculation },
+            activeSheetName: this.activeSheetName,
+            sheetOrder: [...this.sheetOrder],
+            styles: {},
+            sheets: {}
+        };
+        // Cells refer to the workbook's style table by ID, so each distinct style is saved once
+        const styleIds = new Map();
+        const styleIdFor = (format) => {
+            if (!styleIds.has(format)) {
+                const id = `s${styleIds.size + 1}`;
+                styleIds.set(format, id);
+                data.styles[id] = this.styleRegistry.styleFor(format);
+            }
+            return styleIds.get(format);
+        };
+
+        // Export each sheet
+        for (const [sheetName, sheet] of this.sheets.entries()) {
+            const sheetData = {
+                cells: {},
+                hiddenRows: Array.from(sheet.hiddenRows),
+                hiddenColumns: Array.from(sheet.hiddenColumns),
+                columnWidths: Object.fromEntries(sheet.columnWidths),
+                rowHeights: Object.fromEntries(sheet.rowHeights),
+                namedRanges: Object.fromEntries(sheet.namedRanges),
+                frozenRows: sheet.frozenRows,
+                frozenColumns: sheet.frozenColumns,
+                validations: Object.fromEntries(sheet.validations),
+                mergedCells: Object.fromEntries(sheet.mergedCells),
+                cellEditors: Object.fromEntries(sheet.cellEditors),
+                pivotTables: Object.fromEntries(sheet.pivotTables),
+                dataTables: Object.fromEntries(sheet.dataTables),
+                scenarios: Object.fromEntries(sheet.scenarios),
+                conditionalFormats: Object.fromEntries(sheet.conditionalFormats),
+                tableMetadata: Object.fromEntries(sheet.tableMetadata),
+                autoIdColumn: sheet.autoIdColumn,
+                nextId: sheet.nextId,
+                idPrefix: sheet.idPrefix
+            };
+
+            // Add filter criteria if present
+            if (sheet.filterCriteria) {
+                sheetData.filterCriteria = sheet.filterCriteria;
+            }
+
+            // Export cells
+            for (const [ref, cell] of sheet.cells.entries()) {
+                const cellData = {};
+
+                if (cell.expression) {
+                    cellData.content = '=' + cell.expression;
+                } else if (cell.value !== '') {
+                    cellData.content = cell.value;
+                }
+
+                // Add metadata if present
+                if (cell.comment) {
+                    cellData.comment = cell.comment;
+                }
+                if (cell.format) {
+                    cellData.style = styleIdFor(cell.format);
+                }
+                if (cell.chartScript) {
+                    cellData.chartScript = cell.chartScript;
+                }
+                if (cell.wrapText) {
+                    cellData.wrapText = cell.wrapText;
+                }
+
+                // Only store if there's content or metadata
+                if (cellData.content || cellData.comment || cellData.style || cellData.chartScript || cellData.wrapText) {
+                    // If only content, store as string for backward compatibility
+                    if (Object.keys(cellData).length === 1 && cellData.content) {
+                        sheetData.cells[ref] = cellData.content;
+                    } else {
+                        sheetData.cells[ref] = cellData;
+                    }
+                }
+            }
+
+            data.sheets[sheetName] = sheetData;
+        }
+
+        return data;
+    }
+
+    /**
+     * Import from JSON
+     */
+    fromJSON(data, rexxInterpreter = null) {
+        // Loading replaces the workbook, so it is not itself an undoable step
+        const wasRecording = this.recordingHistory;
+        this.recordingHistory = false;
+        try {
+            this._importJSON(data, rexxInterpreter);
+        } finally {
+            this.recordingHistory = wasRecording;
+            this.history.clear();
+        }
+        this._emit('workbookLoaded', { sheets: this.getSheetNames() });
+    }
+
+    /**
+     * Replace the workbook with JSON data as one undoable step
+     * (fromJSON, used for loading files, starts a fresh history instead)
+     * @param {Object} data - Workbook JSON in any layout fromJSON accepts
+     * @param {Object} rexxInterpreter - Optional interpreter for evaluation
+     */
+    importWorkbook(data, rexxInterpreter = null) {
+        this._assertCanEdit();
+        if (!this.recordingHistory) {
+            this._importJSON(data, rexxInterpreter);
+            this._emit('workbookLoaded', { sheets: this.getSheetNames() });
+            return;
+        }
+
+        const previousSheets = this.sheetOrder.map((name, index) => ({ name, index, data: this.sheets.get(name) }));
+        const previous = {
+            setupScript: this.setupScript,
+            iterativeCalculation: this.iterativeCalculation,
+            activeSheetName: this.activeSheetName
+        };
+
+        this.recordingHistory = false;
+        try {
+            this._importJSON(data, rexxInterpreter);
+        } finally {
+            this.recordingHistory = true;
+        }
+
+        // Removed last-to-first so undo re-inserts them at their original indexes
+        const operations = previousSheets.reverse()
+            .map(({ name, index, data: sheet }) => ({ type: 'deleteSheet', sheet: name, data: sheet, index }));
+        this.sheetOrder.forEach((name, index) => {
+            operations.push({ type: 'addSheet', sheet: name, data: this.sheets.get(name), index });
+        });
+        for (const key of ['setupScript', 'iterativeCalculation', 'activeSheetName']) {
+            if (!sameValue(previous[key], this[key])) {
+                operations.push({ type: 'property', sheet: null, key, before: previous[key], after: this[key] });
+            }
+        }
+        this._recordOperations('importWorkbook', ...operations);
+        this._emit('workbookLoaded', { sheets: this.getSheetNames() });
+    }
+
+    /**
+     * Load any of the supported JSON layouts (v2 multi-sheet, v1 single sheet, bare cells)
+     */
+    _importJSON(data, rexxInterpreter) {
+
+        // Handle version 2 (multi-sheet) format
+        if (data.version === 2 && data.sheets) {
+            this.setupScript = data.setupScript || '';
+            this.iterativeCalculation = { ...DEFAULT_ITERATIVE_CALCULATION, ...data.iterativeCalculation };
+            this.sheets.clear();
+            this.sheetOrder = data.sheetOrder || Object.keys(data.sheets);
+            this.activeSheetName = data.activeSheetName || this.sheetOrder[0] || 'Sheet1';
 
             // Import each sheet
             for (const [sheetName, sheetData] of Object.entries(data.sheets)) {
                 this._initializeSheet(sheetName);
                 const sheet = this.sheets.get(sheetName);
 
-                // Restore hidden rows/columns
-                if (sheetData.hiddenRows) {
-                    sheetData.hiddenRows.forEach(row => sheet.hiddenRows.add(row));
-                }
-                if (sheetData.hiddenColumns) {
-                    sheetData.hiddenColumns.forEach(col => sheet.hiddenColumns.add(col));
-                }
+                // Restore hidden rows/columns
+                if (sheetData.hiddenRows) {
+                    sheetData.hiddenRows.forEach(row => sheet.hiddenRows.add(row));
+                }
+                if (sheetData.hiddenColumns) {
+                    sheetData.hiddenColumns.forEach(col => sheet.hiddenColumns.add(col));
+                }
+
+                // Restore column widths and row heights
+                if (sheetData.columnWidths) {
+                    Object.entries(sheetData.columnWidths).forEach(([col, width]) => {
+                        sheet.columnWidths.set(Number(col), width);
+                    });
+                }
+                if (sheetData.rowHeights) {
+                    Object.entries(sheetData.rowHeights).forEach(([row, height]) => {
+                        sheet.rowHeights.set(Number(row), height);
+                    });
+                }
+
+                // Restore named ranges
+                if (sheetData.namedRanges) {
+                    Object.entries(sheetData.namedRanges).forEach(([name, range]) => {
+                        sheet.namedRanges.set(name, range);
+                    });
+                }
+
+                // Restore frozen panes
+                sheet.frozenRows = sheetData.frozenRows || 0;
+                sheet.frozenColumns = sheetData.frozenColumns || 0;
+
+                // Restore validations
+                if (sheetData.validations) {
+                    Object.entries(sheetData.validations).forEach(([ref, validation]) => {
+                        sheet.validations.set(ref, validation);
+                    });
+                }
+
+                // Restore merged cells
+                if (sheetData.mergedCells) {
+                    Object.entries(sheetData.mergedCells).forEach(([topLeft, bottomRight]) => {
+                        sheet.mergedCells.set(topLeft, bottomRight);
+                    });
+                }
+
+                // Restore cell editors
+                if (sheetData.cellEditors) {
+                    Object.entries(sheetData.cellEditors).forEach(([ref, editor]) => {
+                        sheet.cellEditors.set(ref, editor);
+                    });
+                }
+
+                // Restore pivot tables
+                if (sheetData.pivotTables) {
+                    Object.entries(sheetData.pivotTables).forEach(([id, config]) => {
+                        sheet.pivotTables.set(id, config);
+                    });
+                }
+
+                // Restore data tables
+                if (sheetData.dataTables) {
+                    Object.entries(sheetData.dataTables).forEach(([id, table]) => {
+                        sheet.dataTables.set(id, table);
+                    });
+                }
+
+                // Restore conditional formats (matched on the next recalculation)
+                if (sheetData.conditionalFormats) {
+                    Object.entries(sheetData.conditionalFormats).forEach(([ruleId, rule]) => {
+                        sheet.conditionalFormats.set(ruleId, rule);
+                    });
+                }
+
+                // Restore scenarios
+                if (sheetData.scenarios) {
+                    Object.entries(sheetData.scenarios).forEach(([name, scenario]) => {
+                        sheet.scenarios.set(name, scenario);
+                    });
+                }
+
+                // Restore table metadata
+                if (sheetData.tableMetadata) {
+                    Object.entries(sheetData.tableMetadata).forEach(([name, metadata]) => {
+                        sheet.tableMetadata.set(name, metadata);
+                    });
+                }
+
+                // Restore auto-ID configuration
+                if (sheetData.autoIdColumn !== undefined) {
+                    sheet.autoIdColumn = sheetData.autoIdColumn;
+                }
+                if (sheetData.nextId !== undefined) {
+                    sheet.nextId = sheetData.nextId;
+                }
+                if (sheetData.idPrefix !== undefined) {
+                    sheet.idPrefix = sheetData.idPrefix;
+                }
+
+                // Import cells first (filter needs cells to be present)
+                const cells = sheetData.cells || {};
+                const savedActive = this.activeSheetName;
+                this.activeSheetName = sheetName;
+
+                for (const [ref, cellData] of Object.entries(cells)) {
+                    this._importCell(ref, cellData, data.styles || {}, rexxInterpreter);
+                }
+
+                // Restore filter criteria after cells are imported
+                if (sheetData.filterCriteria) {
+                    this.applyRowFilter(sheetData.filterCriteria.column, sheetData.filterCriteria.criteria);
+                }
+
+                this.activeSheetName = savedActive;
+            }
+        }
+        // Handle version 1 (single sheet) format - backward compatibility
+        else if (data.setupScript !== undefined) {
+            this.setupScript = data.setupScript || '';
+            this.iterativeCalculation = { ...DEFAULT_ITERATIVE_CALCULATION };
+            this.sheets.clear();
+            this.sheetOrder = ['Sheet1'];
+            this.activeSheetName = 'Sheet1';
+            this._initializeSheet('Sheet1');
+
+            // Restore hidden rows/columns
+            if (data.hiddenRows) {
+                data.hiddenRows.forEach(row => this.hiddenRows.add(row));
+            }
+            if (data.hiddenColumns) {
+                data.hiddenColumns.forEach(col => this.hiddenColumns.add(col));
+            }
+
+            // Restore column widths and row heights
+            if (data.columnWidths) {
+                Object.entries(data.columnWidths).forEach(([col, width]) => {
+                    this.columnWidths.set(Number(col), width);
+                });
+            }
+            if (data.rowHeights) {
+                Object.entries(data.rowHeights).forEach(([row, height]) => {
+                    this.rowHeights.set(Number(row), height);
+                });
+            }
+
+            // Restore named ranges
+            if (data.namedRanges) {
+                Object.entries(data.namedRanges).forEach(([name, range]) => {
+                    this.namedRanges.set(name, range);
+                });
+            }
+
+            // Restore frozen panes
+            this.frozenRows = data.frozenRows || 0;
+            this.frozenColumns = data.frozenColumns || 0;
+
+            // Restore validations
+            if (data.validations) {
+                Object.entries(data.validations).forEach(([ref, validation]) => {
+                    this.validations.set(ref, validation);
+                });
+            }
+
+            // Restore merged cells
+            if (data.mergedCells) {
+                Object.entries(data.mergedCells).forEach(([topLeft, bottomRight]) => {
+                    this.mergedCells.set(topLeft, bottomRight);
+                });
+            }
+
+            // Restore cell editors
+            if (data.cellEditors) {
+                Object.entries(data.cellEditors).forEach(([ref, editor]) => {
+                    this.cellEditors.set(ref, editor);
+                });
+            }
+
+            // Restore pivot tables
+            if (data.pivotTables) {
+                Object.entries(data.pivotTables).forEach(([id, config]) => {
+                    this.pivotTables.set(id, config);
+                });
+            }
+
+            const cells = data.cells || {};
+            for (const [ref, cellData] of Object.entries(cells)) {
+                this._importCell(ref, cellData, {}, rexxInterpreter);
+            }
+        } else {
+            // Very old format - all entries are cells
+            this.setupScript = '';
+            this.iterativeCalculation = { ...DEFAULT_ITERATIVE_CALCULATION };
+            this.sheets.clear();
+            this.sheetOrder = ['Sheet1'];
+            this.activeSheetName = 'Sheet1';
+            this._initializeSheet('Sheet1');
+
+            for (const [ref, content] of Object.entries(data)) {
+                this.setCell(ref, content, rexxInterpreter);
+            }
+        }
+    }
+
+    /**
+     * Restore one saved cell: a bare content string, or an object with content
+     * and metadata. The style comes from the workbook's style table; files from
+     * before the table have a format string instead, which is migrated (parts
+     * that were never understood are dropped).
+     * @private
+     */
+    _importCell(ref, cellData, styles, rexxInterpreter) {
+        // Handle both string format and object format
+        if (typeof cellData === 'string') {
+            this.setCell(ref, cellData, rexxInterpreter);
+            return;
+        }
+
+        let style = null;
+        if (cellData.style !== undefined) {
+            style = styles[cellData.style];
+            if (!style) {
+                throw new Error(`Cell ${ref} refers to unknown style ${cellData.style}`);
+            }
+        } else if (cellData.format) {
+            style = parseFormatString(cellData.format, { strict: false });
+        }
+        const metadata = {
+            comment: cellData.comment || '',
+            format: style || '',
+            chartScript: cellData.chartScript || null,
+            wrapText: cellData.wrapText || false
+        };
+        if (cellData.content !== undefined && cellData.content !== '') {
+            this.setCell(ref, cellData.content, rexxInterpreter, metadata);
+        } else {
+            // Formatted or commented but empty
+            this.setCellMetadata(ref, metadata);
+        }
+    }
+
+    /**
+     * Insert a row at the specified position
+     * Shifts all rows at or below the position down by 1
+     */
+    insertRow(rowNum, rexxInterpreter = null) {
+        if (rowNum < 1 || rowNum > this.rows) {
+            throw new Error(`Invalid row number: ${rowNum}. Must be between 1 and ${this.rows}`);
+        }
+
+        this._recordChange(`insertRow ${rowNum}`, { properties: ['nextId'] }, () => {
+            this._recordStructuralEdit('insertRow', rowNum);
+
+            // Auto-generate ID if auto-ID column is configured
+            if (this.autoIdColumn) {
+                const idValue = this.idPrefix + this.nextId;
+                const idCellRef = `${this.autoIdColumn}${rowNum}`;
+                this.setCell(idCellRef, String(idValue), rexxInterpreter);
+                this.nextId++; // Increment for next row
+            }
+        });
+
+        // Rebuild dependents map
+        this._rebuildDependents();
+
+        // Recalculate all formulas if interpreter provided
+        if (rexxInterpreter) {
+            this._recalculateAll(rexxInterpreter);
+        }
+    }
+
+    /**
+     * Delete a row at the specified position
+     * Shifts all rows below the position up by 1
+     */
+    deleteRow(rowNum, rexxInterpreter = null) {
+        if (rowNum < 1 || rowNum > this.rows) {
+            throw new Error(`Invalid row number: ${rowNum}. Must be between 1 and ${this.rows}`);
+        }
+
+        this._recordStructuralEdit('deleteRow', rowNum);
+
+        // Rebuild dependents map
+        this._rebuildDependents();
+
+        // Recalculate all formulas if interpreter provided
+        if (rexxInterpreter) {
+            this._recalculateAll(rexxInterpreter);
+        }
+    }
+
+    /**
+     * Insert a column at the specified position
+     * Shifts all columns at or to the right of the position right by 1
+     */
+    insertColumn(colNum, rexxInterpreter = null) {
+        // Convert column number to letter if needed
+        if (typeof colNum === 'string') {
+            colNum = SpreadsheetModel.colLetterToNumber(colNum);
+        }
+
+        if (colNum < 1 || colNum > this.cols) {
+            throw new Error(`Invalid column number: ${colNum}. Must be between 1 and ${this.cols}`);
+        }
+
+        this._recordStructuralEdit('insertColumn', colNum);
+
+        // Rebuild dependents map
+        this._rebuildDependents();
+
+        // Recalculate all formulas if interpreter provided
+        if (rexxInterpreter) {
+            this._recalculateAll(rexxInterpreter);
+        }
+    }
+
+    /**
+     * Delete a column at the specified position
+     * Shifts all columns to the right of the position left by 1
+     */
+    deleteColumn(colNum, rexxInterpreter = null) {
+        // Convert column number to letter if needed
+        if (typeof colNum === 'string') {
+            colNum = SpreadsheetModel.colLetterToNumber(colNum);
+        }
+
+        if (colNum < 1 || colNum > this.cols) {
+            throw new Error(`Invalid column number: ${colNum}. Must be between 1 and ${this.cols}`);
+        }
+
+        this._recordStructuralEdit('deleteColumn', colNum);
+
+        // Rebuild dependents map
+        this._rebuildDependents();
+
+        // Recalculate all formulas if interpreter provided
+        if (rexxInterpreter) {
+            this._recalculateAll(rexxInterpreter);
+        }
+    }
+
+    /**
+     * Move cells, formula references and all position-keyed metadata of the active
+     * sheet for a row/column insertion or deletion. Every map and set is replaced
+     * rather than mutated so undo snapshots keep the previous state.
+     * @param {string} operation - 'insertRow', 'deleteRow', 'insertColumn', 'deleteColumn'
+     * @param {number} position - The row/column number where the operation occurs
+     */
+    _applyStructuralEdit(operation, position) {
+        const edit = createStructuralEdit(operation, position);
+        const sheet = this._getActiveSheet();
+
+        // Cells move to their new address; cells in a deleted row/column are dropped
+        const newCells = new Map();
+        for (const [ref, cell] of sheet.cells.entries()) {
+            const newRef = adjustCellRef(ref, edit);
+            if (newRef === null) continue;
+
+            const cellCopy = { ...cell };
+            if (cellCopy.expression) {
+                cellCopy.expression = this._adjustCellReferencesInExpression(
+                    cellCopy.expression, operation, position
+                );
+            }
+            newCells.set(newRef, cellCopy);
+        }
+        sheet.cells = newCells;
+        // Spills are placed again when the moved formulas are recalculated
+        sheet.spills.clear();
+
+        // Formulas on other sheets that point into this one
+        this._adjustLinkedSheetFormulas(operation, position);
+
+        this._adjustSheetMetadata(sheet, edit);
+        this._emit('structureChanged', { sheet: this.activeSheetName, operation, position });
+    }
+
+    /**
+     * Move per-cell and per-range metadata of a sheet for a structural edit
+     * @param {Object} sheet - Sheet data
+     * @param {Object} edit - Structural edit from createStructuralEdit
+     */
+    _adjustSheetMetadata(sheet, edit) {
+        const isRowEdit = edit.axis === 'row';
+
+        // Row/column keyed state
+        if (isRowEdit) {
+            sheet.hiddenRows = adjustIndexSet(sheet.hiddenRows, edit);
+            sheet.rowHeights = adjustIndexMap(sheet.rowHeights, edit);
+            if (sheet.filteredRows) {
+                sheet.filteredRows = adjustIndexSet(sheet.filteredRows, edit);
+            }
+        } else {
+            sheet.hiddenColumns = adjustIndexSet(sheet.hiddenColumns, edit);
+            sheet.columnWidths = adjustIndexMap(sheet.columnWidths, edit);
+        }
+
+        // Edits inside the frozen panes grow or shrink them
+        const frozenKey = isRowEdit ? 'frozenRows' : 'frozenColumns';
+        if (edit.position <= sheet[frozenKey]) {
+            sheet[frozenKey] += edit.kind === 'insert' ? 1 : -1;
+        }
+
+        // Cell keyed state
+        sheet.validations = adjustCellMap(sheet.validations, edit);
+        sheet.cellEditors = adjustCellMap(sheet.cellEditors, edit);
+
+        // Merges are ranges; one that no longer spans several cells is dropped
+        const mergedCells = new Map();
+        for (const [topLeft, bottomRight] of sheet.mergedCells.entries()) {
+            const range = adjustRangeRef(`${topLeft}:${bottomRight}`, edit);
+            if (range && range.includes(':')) {
+                const [newTopLeft, newBottomRight] = range.split(':');
+                if (newTopLeft !== newBottomRight) {
+                    mergedCells.set(newTopLeft, newBottomRight);
+                }
+            }
+        }
+        sheet.mergedCells = mergedCells;
+
+        // Named ranges whose cells are all deleted become invalid
+        const namedRanges = new Map();
+        for (const [name, range] of sheet.namedRanges.entries()) {
+            namedRanges.set(name, adjustRangeRef(range, edit) || '#REF!');
+        }
+        sheet.namedRanges = namedRanges;
+
+        // Tables whose cells are all deleted are removed
+        const tableMetadata = new Map();
+        for (const [name, table] of sheet.tableMetadata.entries()) {
+            const moved = this._adjustTableMetadata(table, edit);
+            if (moved) {
+                tableMetadata.set(name, moved);
+            }
+        }
+        sheet.tableMetadata = tableMetadata;
+
+        // Pivot tables keep their definition; a vanished source is reported on refresh
+        const pivotTables = new Map();
+        for (const [pivotId, pivot] of sheet.pivotTables.entries()) {
+            pivotTables.set(pivotId, {
+                ...pivot,
+                sourceRange: adjustRangeRef(pivot.sourceRange, edit) || '#REF!',
+                // A deleted output row/column means the rest of the output moved into its place
+                outputCell: adjustCellRef(pivot.outputCell, edit) || pivot.outputCell
+            });
+        }
+        sheet.pivotTables = pivotTables;
+
+        // Data tables follow their cells; references to deleted cells become #REF!
+        const dataTables = new Map();
+        for (const [tableId, table] of sheet.dataTables.entries()) {
+            const moveRef = ref => ref && (adjustCellRef(ref, edit) || '#REF!');
+            dataTables.set(tableId, {
+                range: adjustRangeRef(table.range, edit) || '#REF!',
+                formulaCell: moveRef(table.formulaCell),
+                rowInputCell: moveRef(table.rowInputCell),
+                colInputCell: moveRef(table.colInputCell)
+            });
+        }
+        sheet.dataTables = dataTables;
+
+        // Scenario input cells follow their cells; deleted ones are dropped
+        const scenarios = new Map();
+        for (const [name, scenario] of sheet.scenarios.entries()) {
+            const cells = {};
+            for (const [ref, content] of Object.entries(scenario.cells)) {
+                const newRef = adjustCellRef(ref, edit);
+                if (newRef !== null) {
+                    cells[newRef] = content;
+                }
+            }
+            scenarios.set(name, { ...scenario, cells });
+        }
+        sheet.scenarios = scenarios;
+
+        // Conditional formats shrink with their range and are removed with it;
+        // matches move with their cells until the next recalculation
+        const conditionalFormats = new Map();
+        for (const [ruleId, rule] of sheet.conditionalFormats.entries()) {
+            const range = adjustRangeRef(rule.range, edit);
+            if (range) {
+                const moved = { ...rule, range };
+                if (rule.expression) {
+                    moved.expression = this._adjustCellReferencesInExpression(rule.expression, edit.operation, edit.position);
+                }
+                conditionalFormats.set(ruleId, moved);
+            }
+        }
+        sheet.conditionalFormats = conditionalFormats;
+        sheet.conditionalFormatMatches = new Map(Array.from(sheet.conditionalFormatMatches.entries(), ([ruleId, matches]) => {
+            if (matches instanceof Map) {
+                return [ruleId, new Map(Array.from(matches.entries(), ([ref, visual]) => [adjustCellRef(ref, edit), visual])
+                    .filter(([ref]) => ref))];
+            }
+            return [ruleId, new Set(Array.from(matches, ref => adjustCellRef(ref, edit)).filter(Boolean))];
+        }));
+        // Rules that read cells through OFFSET and the like are matched again, as those cells may have moved
+        for (const [ruleId, ranges] of sheet.conditionalFormatRanges.entries()) {
+            if (ranges.size > 0) {
+                sheet.conditionalFormatMatches.delete(ruleId);
+            }
+        }
+        sheet.conditionalFormatRanges.clear();
+    }
+
+    /**
+     * Move a table definition for a structural edit
+     * Handles both the column-mapping form (setTableMetadata) and the
+     * sortable-table form (defineTable)
+     * @returns {Object|null} Moved table, or null when all of its cells were deleted
+     */
+    _adjustTableMetadata(table, edit) {
+        const range = adjustRangeRef(table.range, edit);
+        if (!range) {
+            return null;
+        }
+
+        const moved = { ...table, range };
+        const bounds = this.parseRange(range.includes(':') ? range : `${range}:${range}`);
+
+        // Column name -> letter mapping
+        if (table.columns && edit.axis === 'col') {
+            moved.columns = {};
+            for (const [columnName, letter] of Object.entries(table.columns)) {
+                const col = adjustIndex(SpreadsheetModel.colLetterToNumber(letter), edit);
+                if (col !== null) {
+                    moved.columns[columnName] = SpreadsheetModel.colNumberToLetter(col);
+                }
+            }
+        }
+
+        if (table.startRow === undefined || !bounds) {
+            return moved;
+        }
+
+        Object.assign(moved, {
+            startCol: bounds.startCol,
+            endCol: bounds.endCol,
+            startRow: bounds.startRow,
+            endRow: bounds.endRow
+        });
+
+        if (edit.axis === 'col' && Array.isArray(table.headers)) {
+            const offset = edit.position - table.startCol;
+            moved.headers = [...table.headers];
+            if (edit.kind === 'delete' && offset >= 0 && offset < table.headers.length) {
+                moved.headers.splice(offset, 1);
+            } else if (edit.kind === 'insert' && offset > 0 && offset <= table.headers.length) {
+                moved.headers.splice(offset, 0, SpreadsheetModel.colNumberToLetter(edit.position));
+            }
+        }
+
+        if (edit.axis === 'row' && Array.isArray(table.originalOrder)) {
+            const originalOrder = [];
+            for (const row of table.originalOrder) {
+                const next = adjustIndex(row, edit);
+                if (next !== null) {
+                    originalOrder.push(next);
+                }
+            }
+            // A row inserted inside the data area becomes part of the table
+            const dataStartRow = moved.hasHeader ? moved.startRow + 1 : moved.startRow;
+            if (edit.kind === 'insert' && edit.position >= dataStartRow && edit.position <= moved.endRow
+                && !originalOrder.includes(edit.position)) {
+                const after = originalOrder.indexOf(edit.position - 1);
+                originalOrder.splice(after + 1, 0, edit.position);
+            }
+            moved.originalOrder = originalOrder;
+        }
+
+        return moved;
+    }
+
+    /**
+     * Rebuild the workbook dependency graph from scratch based on current cells
+     */
+    _rebuildDependents() {
+        for (const sheet of this.sheets.values()) {
+            sheet.dependents.clear();
+            sheet.rangeDependents.clear();
+            sheet.rangeIndex.clear();
+            sheet.movingRanges.clear();
+        }
+
+        for (const [sheetName, sheet] of this.sheets.entries()) {
+            for (const [ref, cell] of sheet.cells.entries()) {
+                if (cell.expression) {
+                    cell.dependencies = this.extractCellReferences(cell.expression);
+                    // Named ranges and tables are resolved against the cell's own sheet
+                    cell.rangeDependencies = this.extractRangeReferences(cell.expression, sheetName);
+                    this._registerDependencies(ref, cell, sheetName);
+                }
+            }
+        }
+    }
+
+    /**
+     * Recalculate all formula cells in the workbook
+     */
+    _recalculateAll(rexxInterpreter) {
+        const formulaRefs = [];
+        for (const [sheetName, sheet] of this.sheets.entries()) {
+            for (const [ref, cell] of sheet.cells.entries()) {
+                if (cell.expression) {
+                    formulaRefs.push(this._qualifyRef(ref, sheetName));
+                }
+            }
+        }
+        return this.recalculate(formulaRefs, rexxInterpreter);
+    }
+
+    /**
+     * Adjust cell references in an expression based on row/column operations
+     * @param {string} expression - The formula expression
+     * @param {string} operation - 'insertRow', 'deleteRow', 'insertColumn', 'deleteColumn'
+     * @param {number} position - The row/column number where the operation occurs
+     * @param {string} formulaSheet - Sheet the formula lives on (resolves unqualified references)
+     * @param {string} editedSheet - Sheet whose rows/columns are changing
+     * @returns {string} - The adjusted expression
+     */
+    _adjustCellReferencesInExpression(expression, operation, position,
+        formulaSheet = this.activeSheetName, editedSheet = this.activeSheetName) {
+        return adjustExpression(expression, createStructuralEdit(operation, position), {
+            formulaSheet,
+            editedSheet,
+            sheetExists: (name) => this.sheets.has(name)
+        });
+    }
+
+    /**
+     * Rewrite references to the active sheet in formulas that live on other sheets
+     * @param {string} operation - 'insertRow', 'deleteRow', 'insertColumn', 'deleteColumn'
+     * @param {number} position - The row/column number where the operation occurs
+     */
+    _adjustLinkedSheetFormulas(operation, position) {
+        for (const [sheetName, sheet] of this.sheets.entries()) {
+            if (sheetName === this.activeSheetName) continue;
+
+            for (const [ref, cell] of sheet.cells.entries()) {
+                if (!cell.expression) continue;
+                const expression = this._adjustCellReferencesInExpression(
+                    cell.expression, operation, position, sheetName, this.activeSheetName
+                );
+                if (expression !== cell.expression) {
+                    // Replace rather than mutate so undo snapshots keep the original
+                    sheet.cells.set(ref, { ...cell, expression });
+                }
+            }
+        }
+    }
+
+    /**
+     * Auto-ID Column Management
+     */
+
+    /**
+     * Configure auto-ID column for the current sheet
+     * @param {string|null} column - Column letter (e.g., "A") or null to disable
+     * @param {number} startId - Starting ID number (default: 1)
+     * @param {string} prefix - Optional prefix for IDs (default: '')
+     */
+    configureAutoId(column, startId = 1, prefix = '') {
+        return this._recordChange(`configureAutoId ${column}`, { properties: ['autoIdColumn', 'nextId', 'idPrefix'] }, () => {
+            if (column !== null && !/^[A-Z]+$/i.test(column)) {
+                throw new Error(`Invalid column letter: ${column}`);
+            }
+
+            this.autoIdColumn = column ? column.toUpperCase() : null;
+            this.nextId = startId;
+            this.idPrefix = prefix;
+        });
+    }
+
+    /**
+     * Find row number by ID value
+     * @param {string|number} idValue - ID to search for
+     * @returns {number|null} - Row number or null if not found
+     */
+    findRowById(idValue) {
+        if (!this.autoIdColumn) {
+            throw new Error('Auto-ID column is not configured for this sheet');
+        }
+
+        const searchValue = String(idValue);
+
+        // Search through the auto-ID column
+        for (let row = 1; row <= this.rows; row++) {
+            const cellRef = `${this.autoIdColumn}${row}`;
+            const cellValue = this.getCellValue(cellRef);
+
+            if (String(cellValue) === searchValue) {
+                return row;
+            }
+        }
+
+        return null; // Not found
+    }
+
+    /**
+     * Get the next ID that will be assigned
+     * @returns {string} - Next ID value with prefix
+     */
+    getNextId() {
+        return this.idPrefix + this.nextId;
+    }
+
+    /**
+     * Sort a range of cells by a specific column
+     * @param {string} rangeRef - Range like "A1:C5"
+     * @param {number|string} sortCol - Column to sort by (1-based index or letter)
+     * @param {boolean} ascending - Sort direction (default: true)
+     * @param {Object} rexxInterpreter - Optional interpreter for recalculation
+     */
+    sortRange(rangeRef, sortCol, ascending = true, rexxInterpreter = null) {
+        const result = this._recordChange(`sortRange ${rangeRef}`, {}, () => {
+            // Parse range reference
+            const match = rangeRef.match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/i);
+            if (!match) {
+                throw new Error(`Invalid range reference: ${rangeRef}. Expected format: "A1:C5"`);
+            }
+
+            const startColLetter = match[1].toUpperCase();
+            const startRow = parseInt(match[2], 10);
+            const endColLetter = match[3].toUpperCase();
+            const endRow = parseInt(match[4], 10);
+
+            const startCol = SpreadsheetModel.colLetterToNumber(startColLetter);
+            const endCol = SpreadsheetModel.colLetterToNumber(endColLetter);
+
+            // Convert sortCol to number if needed
+            const sortColNum = typeof sortCol === 'string' ?
+                SpreadsheetModel.colLetterToNumber(sortCol) :
+                sortCol;
+
+            // Validate sort column is within range
+            if (sortColNum < startCol || sortColNum > endCol) {
+                throw new Error(`Sort column ${sortCol} is outside the range ${rangeRef}`);
+            }
+
+            // Extract all rows in the range
+            const rows = [];
+            for (let row = startRow; row <= endRow; row++) {
+                const rowData = {
+                    rowNum: row,
+                    cells: {}
+                };
+                for (let col = startCol; col <= endCol; col++) {
+                    const ref = SpreadsheetModel.formatCellRef(col, row);
+                    const cell = this.getCell(ref);
+                    rowData.cells[col] = { ...cell };
+                }
+                rows.push(rowData);
+            }
+
+            // Sort rows by the sort column
+            rows.sort((a, b) => {
+                const aCell = a.cells[sortColNum];
+                const bCell = b.cells[sortColNum];
+                const aVal = aCell.value || '';
+                const bVal = bCell.value || '';
+
+                // Try numeric comparison first
+                const aNum = parseFloat(aVal);
+                const bNum = parseFloat(bVal);
+                if (!isNaN(aNum) && !isNaN(bNum)) {
+                    return ascending ? aNum - bNum : bNum - aNum;
+                }
+
+                // Fall back to string comparison
+                const aStr = String(aVal).toLowerCase();
+                const bStr = String(bVal).toLowerCase();
+                if (aStr < bStr) return ascending ? -1 : 1;
+                if (aStr > bStr) return ascending ? 1 : -1;
+                return 0;
+            });
+
+            // Write sorted rows back to the model
+            for (let i = 0; i < rows.length; i++) {
+                const targetRow = startRow + i;
+                const sourceRow = rows[i];
+
+                for (let col = startCol; col <= endCol; col++) {
+                    const targetRef = SpreadsheetModel.formatCellRef(col, targetRow);
+                    const sourceCell = sourceRow.cells[col];
+
+                    if (sourceCell.expression) {
+                        // Preserve expression
+                        const metadata = {
+                            comment: sourceCell.comment || '',
+                            format: sourceCell.format || '',
+                            wrapText: sourceCell.wrapText || false
+                        };
+                        this.setCell(targetRef, '=' + sourceCell.expression, rexxInterpreter, metadata);
+                    } else if (sourceCell.value !== '') {
+                        // Preserve value
+                        const metadata = {
+                            comment: sourceCell.comment || '',
+                            format: sourceCell.format || '',
+                            wrapText: sourceCell.wrapText || false
+                        };
+                        this.setCell(targetRef, sourceCell.value, rexxInterpreter, metadata);
+                    } else {
+                        // Clear cell
+                        this.setCell(targetRef, '', rexxInterpreter);
+                    }
+                }
+            }
+
+            // Recalculate if interpreter provided
+            if (rexxInterpreter) {
+                this._recalculateAll(rexxInterpreter);
+            }
+        });
+        this._emit('rangeChanged', { sheet: this.activeSheetName, range: rangeRef, action: 'sortRange' });
+        return result;
+    }
+
+    /**
+     * Fill down - Copy cell(s) down to a range
+     * @param {string} sourceRef - Source cell or range (e.g., "A1" or "A1:B1")
+     * @param {string} targetRangeRef - Target range (e.g., "A2:A10")
+     * @param {Object} rexxInterpreter - Optional interpreter for recalculation
+     */
+    fillDown(sourceRef, targetRangeRef, rexxInterpreter = null) {
+        const result = this._recordChange(`fillDown ${targetRangeRef}`, {}, () => {
+            // Parse source range
+            const sourceMatch = sourceRef.match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/i);
+            if (!sourceMatch) {
+                throw new Error(`Invalid source reference: ${sourceRef}`);
+            }
+
+            const sourceStartCol = sourceMatch[1].toUpperCase();
+            const sourceStartRow = parseInt(sourceMatch[2], 10);
+            const sourceEndCol = sourceMatch[3] ? sourceMatch[3].toUpperCase() : sourceStartCol;
+            const sourceEndRow = sourceMatch[4] ? parseInt(sourceMatch[4], 10) : sourceStartRow;
+
+            // Parse target range
+            const targetMatch = targetRangeRef.match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/i);
+            if (!targetMatch) {
+                throw new Error(`Invalid target range: ${targetRangeRef}`);
+            }
+
+            const targetStartCol = targetMatch[1].toUpperCase();
+            const targetStartRow = parseInt(targetMatch[2], 10);
+            const targetEndCol = targetMatch[3].toUpperCase();
+            const targetEndRow = parseInt(targetMatch[4], 10);
+
+            const sourceColStart = SpreadsheetModel.colLetterToNumber(sourceStartCol);
+            const sourceColEnd = SpreadsheetModel.colLetterToNumber(sourceEndCol);
+            const targetColStart = SpreadsheetModel.colLetterToNumber(targetStartCol);
+            const targetColEnd = SpreadsheetModel.colLetterToNumber(targetEndCol);
 
-                // Restore column widths and row heights
-                if (sheetData.columnWidths) {
-                    Object.entries(sheetData.columnWidths).forEach(([col, width]) => {
-                        sheet.columnWidths.set(Number(col), width);
-                    });
-                }
-                if (sheetData.rowHeights) {
-                    Object.entries(sheetData.rowHeights).forEach(([row, height]) => {
-                        sheet.rowHeights.set(Number(row), height);
-                    });
-                }
+            const sourceWidth = sourceColEnd - sourceColStart + 1;
+            const targetWidth = targetColEnd - targetColStart + 1;
 
-                // Restore named ranges
-                if (sheetData.namedRanges) {
-                    Object.entries(sheetData.namedRanges).forEach(([name, range]) => {
-                        sheet.namedRanges.set(name, range);
-                    });
+            if (sourceWidth !== targetWidth) {
+                throw new Error('Source and target must have the same number of columns');
+            }
+
+            // Fill down
+            for (let row = targetStartRow; row <= targetEndRow; row++) {
+                for (let colOffset = 0; colOffset < sourceWidth; colOffset++) {
+                    const sourceCol = sourceColStart + colOffset;
+                    const targetCol = targetColStart + colOffset;
+                    const sourceRowToUse = sourceStartRow + ((row - targetStartRow) % (sourceEndRow - sourceStartRow + 1));
+
+                    const sourceCellRef = SpreadsheetModel.formatCellRef(sourceCol, sourceRowToUse);
+                    const targetCellRef = SpreadsheetModel.formatCellRef(targetCol, row);
+
+                    const sourceCell = this.getCell(sourceCellRef);
+                    if (sourceCell.expression) {
+                        // Adjust formula for new position
+                        const rowOffset = row - sourceRowToUse;
+                        const colOffset = targetCol - sourceCol;
+                        const adjustedExpression = this._adjustFormulaForCopy(sourceCell.expression, rowOffset, colOffset);
+                        this.setCell(targetCellRef, '=' + adjustedExpression, rexxInterpreter, {
+                            format: sourceCell.format,
+                            comment: sourceCell.comment,
+                            wrapText: sourceCell.wrapText
+                        });
+                    } else {
+                        this.setCell(targetCellRef, sourceCell.value, rexxInterpreter, {
+                            format: sourceCell.format,
+                            comment: sourceCell.comment,
+                            wrapText: sourceCell.wrapText
+                        });
+                    }
                 }
+            }
+        });
+        this._emit('rangeChanged', { sheet: this.activeSheetName, range: targetRangeRef, action: 'fillDown' });
+        return result;
+    }
 
-                // Restore frozen panes
-                sheet.frozenRows = sheetData.frozenRows || 0;
-                sheet.frozenColumns = sheetData.frozenColumns || 0;
+    /**
+     * Fill right - Copy cell(s) right to a range
+     * @param {string} sourceRef - Source cell or range (e.g., "A1" or "A1:A2")
+     * @param {string} targetRangeRef - Target range (e.g., "B1:E1")
+     * @param {Object} rexxInterpreter - Optional interpreter for recalculation
+     */
+    fillRight(sourceRef, targetRangeRef, rexxInterpreter = null) {
+        const result = this._recordChange(`fillRight ${targetRangeRef}`, {}, () => {
+            // Parse source range
+            const sourceMatch = sourceRef.match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/i);
+            if (!sourceMatch) {
+                throw new Error(`Invalid source reference: ${sourceRef}`);
+            }
 
-                // Restore validations
-                if (sheetData.validations) {
-                    Object.entries(sheetData.validations).forEach(([ref, validation]) => {
-                        sheet.validations.set(ref, validation);
-                    });
-                }
+            const sourceStartCol = sourceMatch[1].toUpperCase();
+            const sourceStartRow = parseInt(sourceMatch[2], 10);
+            const sourceEndCol = sourceMatch[3] ? sourceMatch[3].toUpperCase() : sourceStartCol;
+            const sourceEndRow = sourceMatch[4] ? parseInt(sourceMatch[4], 10) : sourceStartRow;
 
-                // Restore merged cells
-                if (sheetData.mergedCells) {
-                    Object.entries(sheetData.mergedCells).forEach(([topLeft, bottomRight]) => {
-                        sheet.mergedCells.set(topLeft, bottomRight);
-                    });
+            // Parse target range
+            const targetMatch = targetRangeRef.match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/i);
+            if (!targetMatch) {
+                throw new Error(`Invalid target range: ${targetRangeRef}`);
+            }
+
+            const targetStartCol = targetMatch[1].toUpperCase();
+            const targetStartRow = parseInt(targetMatch[2], 10);
+            const targetEndCol = targetMatch[3].toUpperCase();
+            const targetEndRow = parseInt(targetMatch[4], 10);
+
+            const sourceColStart = SpreadsheetModel.colLetterToNumber(sourceStartCol);
+            const sourceColEnd = SpreadsheetModel.colLetterToNumber(sourceEndCol);
+            const targetColStart = SpreadsheetModel.colLetterToNumber(targetStartCol);
+            const targetColEnd = SpreadsheetModel.colLetterToNumber(targetEndCol);
+
+            const sourceHeight = sourceEndRow - sourceStartRow + 1;
+            const targetHeight = targetEndRow - targetStartRow + 1;
+
+            if (sourceHeight !== targetHeight) {
+                throw new Error('Source and target must have the same number of rows');
+            }
+
+            // Fill right
+            for (let col = targetColStart; col <= targetColEnd; col++) {
+                for (let rowOffset = 0; rowOffset < sourceHeight; rowOffset++) {
+                    const sourceRow = sourceStartRow + rowOffset;
+                    const targetRow = targetStartRow + rowOffset;
+                    const sourceColToUse = sourceColStart + ((col - targetColStart) % (sourceColEnd - sourceColStart + 1));
+
+                    const sourceCellRef = SpreadsheetModel.formatCellRef(sourceColToUse, sourceRow);
+                    const targetCellRef = SpreadsheetModel.formatCellRef(col, targetRow);
+
+                    const sourceCell = this.getCell(sourceCellRef);
+                    if (sourceCell.expression) {
+                        // Adjust formula for new position
+                        const rowDiff = targetRow - sourceRow;
+                        const colDiff = col - sourceColToUse;
+                        const adjustedExpression = this._adjustFormulaForCopy(sourceCell.expression, rowDiff, colDiff);
+                        this.setCell(targetCellRef, '=' + adjustedExpression, rexxInterpreter, {
+                            format: sourceCell.format,
+                            comment: sourceCell.comment,
+                            wrapText: sourceCell.wrapText
+                        });
+                    } else {
+                        this.setCell(targetCellRef, sourceCell.value, rexxInterpreter, {
+                            format: sourceCell.format,
+                            comment: sourceCell.comment,
+                            wrapText: sourceCell.wrapText
+                        });
+                    }
                 }
+            }
+        });
+        this._emit('rangeChanged', { sheet: this.activeSheetName, range: targetRangeRef, action: 'fillRight' });
+        return result;
+    }
 
-                // Restore cell editors
-                if (sheetData.cellEditors) {
-                    Object.entries(sheetData.cellEditors).forEach(([ref, editor]) => {
-                        sheet.cellEditors.set(ref, editor);
-                    });
+    /**
+     * Adjust formula when copying (not inserting/deleting)
+     * Only adjusts relative references
+     */
+    _adjustFormulaForCopy(expression, rowOffset, colOffset) {
+        if (!expression) return expression;
+
+        const cellRefPattern = /(\$?)([A-Z]+)(\$?)(\d+)/g;
+
+        return expression.replace(cellRefPattern, (match, colAbs, col, rowAbs, row) => {
+            const rowNum = parseInt(row, 10);
+            const colNum = SpreadsheetModel.colLetterToNumber(col);
+
+            const newRow = rowAbs ? rowNum : rowNum + rowOffset;
+            const newCol = colAbs ? col : SpreadsheetModel.colNumberToLetter(colNum + colOffset);
+
+            return `${colAbs}${newCol}${rowAbs}${newRow}`;
+        });
+    }
+
+    /**
+     * Find all cells matching criteria
+     * @param {string} searchValue - Value to search for
+     * @param {Object} options - { matchCase: boolean, matchEntireCell: boolean, searchFormulas: boolean }
+     * @returns {Array} Array of cell references that match
+     */
+    find(searchValue, options = {}) {
+        const {
+            matchCase = false,
+            matchEntireCell = false,
+            searchFormulas = false
+        } = options;
+
+        const results = [];
+        const searchStr = matchCase ? searchValue : searchValue.toLowerCase();
+
+        for (const [ref, cell] of this.cells.entries()) {
+            let textToSearch = searchFormulas && cell.expression ? cell.expression : cell.value;
+            if (!matchCase) {
+                textToSearch = String(textToSearch).toLowerCase();
+            } else {
+                textToSearch = String(textToSearch);
+            }
+
+            const matches = matchEntireCell
+                ? textToSearch === searchStr
+                : textToSearch.includes(searchStr);
+
+            if (matches) {
+                results.push(ref);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Replace all occurrences of a value
+     * @param {string} searchValue - Value to search for
+     * @param {string} replaceValue - Value to replace with
+     * @param {Object} options - { matchCase, matchEntireCell, searchFormulas }
+     * @param {Object} rexxInterpreter - Optional interpreter for recalculation
+     * @returns {number} Number of replacements made
+     */
+    replace(searchValue, replaceValue, options = {}, rexxInterpreter = null) {
+        const result = this._recordChange(`replace ${searchValue}`, {}, () => {
+            const {
+                matchCase = false,
+                matchEntireCell = false,
+                searchFormulas = false
+            } = options;
+
+            let count = 0;
+
+            for (const [ref, cell] of this.cells.entries()) {
+                let textToReplace = searchFormulas && cell.expression ? cell.expression : cell.value;
+                let originalText = textToReplace;
+
+                if (matchEntireCell) {
+                    if (matchCase) {
+                        if (textToReplace === searchValue) {
+                            textToReplace = replaceValue;
+                        }
+                    } else {
+                        if (String(textToReplace).toLowerCase() === searchValue.toLowerCase()) {
+                            textToReplace = replaceValue;
+                        }
+                    }
+                } else {
+                    if (matchCase) {
+                        textToReplace = String(textToReplace).split(searchValue).join(replaceValue);
+                    } else {
+                        const regex = new RegExp(searchValue.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+                        textToReplace = String(textToReplace).replace(regex, replaceValue);
+                    }
                 }
 
-                // Restore pivot tables
-                if (sheetData.pivotTables) {
-                    Object.entries(sheetData.pivotTables).forEach(([id, config]) => {
-                        sheet.pivotTables.set(id, config);
-                    });
+                if (textToReplace !== originalText) {
+                    if (searchFormulas && cell.expression) {
+                        this.setCell(ref, '=' + textToReplace, rexxInterpreter, {
+                            format: cell.format,
+                            comment: cell.comment,
+                            wrapText: cell.wrapText
+                        });
+                    } else {
+                        this.setCell(ref, textToReplace, rexxInterpreter, {
+                            format: cell.format,
+                            comment: cell.comment,
+                            wrapText: cell.wrapText
+                        });
+                    }
+                    count++;
                 }
+            }
+
+            return count;
+        });
+        this._emit('rangeChanged', { sheet: this.activeSheetName, range: null, action: 'replace' });
+        return result;
+    }
+
+    /**
+     * Hide a row
+     * @param {number} rowNum - Row number to hide
+     */
+    hideRow(rowNum) {
+        return this._recordChange(`hideRow ${rowNum}`, { entries: { hiddenRows: [rowNum] } }, () => {
+            if (rowNum < 1 || rowNum > this.rows) {
+                throw new Error(`Invalid row number: ${rowNum}`);
+            }
+            this.hiddenRows.add(rowNum);
+        });
+    }
+
+    /**
+     * Unhide a row
+     * @param {number} rowNum - Row number to unhide
+     */
+    unhideRow(rowNum) {
+        return this._recordChange(`unhideRow ${rowNum}`, { entries: { hiddenRows: [rowNum] } }, () => {
+            this.hiddenRows.delete(rowNum);
+        });
+    }
+
+    /**
+     * Hide a column
+     * @param {number|string} colNum - Column number or letter to hide
+     */
+    hideColumn(colNum) {
+        if (typeof colNum === 'string') {
+            colNum = SpreadsheetModel.colLetterToNumber(colNum);
+        }
+        return this._recordChange(`hideColumn ${colNum}`, { entries: { hiddenColumns: [colNum] } }, () => {
+            if (colNum < 1 || colNum > this.cols) {
+                throw new Error(`Invalid column number: ${colNum}`);
+            }
+            this.hiddenColumns.add(colNum);
+        });
+    }
+
+    /**
+     * Unhide a column
+     * @param {number|string} colNum - Column number or letter to unhide
+     */
+    unhideColumn(colNum) {
+        if (typeof colNum === 'string') {
+            colNum = SpreadsheetModel.colLetterToNumber(colNum);
+        }
+        return this._recordChange(`unhideColumn ${colNum}`, { entries: { hiddenColumns: [colNum] } }, () => {
+            this.hiddenColumns.delete(colNum);
+        });
+    }
+
+    /**
+     * Check if a row is hidden
+     */
+    isRowHidden(rowNum) {
+        return this.hiddenRows.has(rowNum);
+    }
+
+    /**
+     * Check if a column is hidden
+     */
+    isColumnHidden(colNum) {
+        if (typeof colNum === 'string') {
+            colNum = SpreadsheetModel.colLetterToNumber(colNum);
+        }
+        return this.hiddenColumns.has(colNum);
+    }
+
+    /**
+     * Set column width
+     * @param {number|string} colNum - Column number or letter
+     * @param {number} width - Width in pixels (must be > 0)
+     */
+    setColumnWidth(colNum, width) {
+        if (typeof colNum === 'string') {
+            colNum = SpreadsheetModel.colLetterToNumber(colNum);
+        }
+        return this._recordChange(`setColumnWidth ${colNum}`, { entries: { columnWidths: [colNum] } }, () => {
+            if (colNum < 1 || colNum > this.cols) {
+                throw new Error(`Invalid column number: ${colNum}`);
+            }
+            if (width <= 0) {
+                throw new Error(`Width must be greater than 0: ${width}`);
+            }
+            this.columnWidths.set(colNum, width);
+        });
+    }
+
+    /**
+     * Get column width
+     * @param {number|string} colNum - Column number or letter
+     * @returns {number} Width in pixels (default 100 if not set)
+     */
+    getColumnWidth(colNum) {
+        if (typeof colNum === 'string') {
+            colNum = SpreadsheetModel.colLetterToNumber(colNum);
+        }
+        return this.columnWidths.get(colNum) || 100; // Default width 100px
+    }
+
+    /**
+     * Set row height
+     * @param {number} rowNum - Row number
+     * @param {number} height - Height in pixels (must be > 0)
+     */
+    setRowHeight(rowNum, height) {
+        return this._recordChange(`setRowHeight ${rowNum}`, { entries: { rowHeights: [rowNum] } }, () => {
+            if (rowNum < 1 || rowNum > this.rows) {
+                throw new Error(`Invalid row number: ${rowNum}`);
+            }
+            if (height <= 0) {
+                throw new Error(`Height must be greater than 0: ${height}`);
+            }
+            this.rowHeights.set(rowNum, height);
+        });
+    }
+
+    /**
+     * Get row height
+     * @param {number} rowNum - Row number
+     * @returns {number} Height in pixels (default 32 if not set)
+     */
+    getRowHeight(rowNum) {
+        return this.rowHeights.get(rowNum) || 32; // Default height 32px
+    }
 
-                // Restore table metadata
-                if (sheetData.tableMetadata) {
-                    Object.entries(sheetData.tableMetadata).forEach(([name, metadata]) => {
-                        sheet.tableMetadata.set(name, metadata);
-                    });
-                }
+    /**
+     * Define a named range. Formulas naming it are recalculated against its new cells.
+     * @param {string} name - Name for the range (e.g., "SalesData")
+     * @param {string} rangeRef - Range reference (e.g., "A1:B10")
+     * @param {Object} rexxInterpreter - Optional interpreter for recalculation
+     * @returns {Promise<void>} Resolves once the formulas naming it have been recalculated
+     */
+    defineNamedRange(name, rangeRef, rexxInterpreter = null) {
+        return this._recordChange(`defineNamedRange ${name}`, { entries: { namedRanges: [name] } }, () => {
+            // Validate name (alphanumeric, underscore, must start with letter)
+            if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
+                throw new Error('Named range must start with a letter and contain only letters, numbers, and underscores');
+            }
 
-                // Restore auto-ID configuration
-                if (sheetData.autoIdColumn !== undefined) {
-                    sheet.autoIdColumn = sheetData.autoIdColumn;
-                }
-                if (sheetData.nextId !== undefined) {
-                    sheet.nextId = sheetData.nextId;
-                }
-                if (sheetData.idPrefix !== undefined) {
-                    sheet.idPrefix = sheetData.idPrefix;
-                }
+            // Validate range reference
+            const match = rangeRef.match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/i);
+            if (!match) {
+                throw new Error(`Invalid range reference: ${rangeRef}`);
+            }
 
-                // Import cells first (filter needs cells to be present)
-                const cells = sheetData.cells || {};
-                const savedActive = this.activeSheetName;
-                this.activeSheetName = sheetName;
+            this.namedRanges.set(name, rangeRef.toUpperCase());
+            return this._recalculateNameCallers(this.activeSheetName, name, rexxInterpreter);
+        });
+    }
 
-                for (const [ref, cellData] of Object.entries(cells)) {
-                    // Handle both string format and object format
-                    if (typeof cellData === 'string') {
-                        this.setCell(ref, cellData, rexxInterpreter);
-                    } else {
-                        const metadata = {
-                            comment: cellData.comment || '',
-                            format: cellData.format || '',
-                            chartScript: cellData.chartScript || null,
-                            wrapText: cellData.wrapText || false
-                        };
-                        this.setCell(ref, cellData.content || '', rexxInterpreter, metadata);
-                    }
-                }
+    /**
+     * Delete a named range. Formulas naming it are recalculated.
+     * @param {string} name - Name of the range to delete
+     * @param {Object} rexxInterpreter - Optional interpreter for recalculation
+     * @returns {Promise<void>} Resolves once the formulas naming it have been recalculated
+     */
+    deleteNamedRange(name, rexxInterpreter = null) {
+        return this._recordChange(`deleteNamedRange ${name}`, { entries: { namedRanges: [name] } }, () => {
+            this.namedRanges.delete(name);
+            return this._recalculateNameCallers(this.activeSheetName, name, rexxInterpreter);
+        });
+    }
 
-                // Restore filter criteria after cells are imported
-                if (sheetData.filterCriteria) {
-                    this.applyRowFilter(sheetData.filterCriteria.column, sheetData.filterCriteria.criteria);
-                }
+    /**
+     * Relink and recalculate the formulas that name a named range
+     * @param {string} sheetName - Sheet the named range belongs to
+     * @param {string} name - Named range that was defined, redefined or deleted
+     * @param {Object} rexxInterpreter - Optional interpreter for recalculation
+     * @returns {Promise<void>}
+     */
+    _recalculateNameCallers(sheetName, name, rexxInterpreter) {
+        const callers = this._relinkNameCallers(sheetName, name);
+        return callers.length > 0 ? this.recalculate(callers, rexxInterpreter) : Promise.resolve();
+    }
 
-                this.activeSheetName = savedActive;
+    /**
+     * Re-register the dependencies of the formulas that name a named range or
+     * table, which follow its definition
+     * @param {string} sheetName - Sheet the name belongs to
+     * @param {string} name - Named range or table that was defined, redefined or deleted
+     * @returns {string[]} Qualified refs of the formulas naming it
+     */
+    _relinkNameCallers(sheetName, name) {
+        const callers = [];
+        for (const [ref, cell] of this._getSheet(sheetName).cells.entries()) {
+            if (!cell.expression) {
+                continue;
+            }
+            const rangeDependencies = this.extractRangeReferences(cell.expression, sheetName);
+            if (rangeDependencies.includes(name) || (cell.rangeDependencies || []).includes(name)) {
+                this._unregisterDependencies(ref, cell, sheetName);
+                cell.rangeDependencies = rangeDependencies;
+                this._registerDependencies(ref, cell, sheetName);
+                callers.push(`${sheetName}.${ref}`);
             }
         }
-        // Handle version 1 (single sheet) format - backward compatibility
-        else if (data.setupScript !== undefined) {
-            this.setupScript = data.setupScript || '';
-            this.sheets.clear();
-            this.sheetOrder = ['Sheet1'];
-            this.activeSheetName = 'Sheet1';
-            this._initializeSheet('Sheet1');
+        return callers;
+    }
 
-            // Restore hidden rows/columns
-            if (data.hiddenRows) {
-                data.hiddenRows.forEach(row => this.hiddenRows.add(row));
-            }
-            if (data.hiddenColumns) {
-                data.hiddenColumns.forEach(col => this.hiddenColumns.add(col));
-            }
+    /**
+     * Get a named range reference
+     * @param {string} name - Name of the range
+     * @returns {string|null} Range reference or null if not found
+     */
+    getNamedRange(name) {
+        return this.namedRanges.get(name) || null;
+    }
 
-            // Restore column widths and row heights
-            if (data.columnWidths) {
-                Object.entries(data.columnWidths).forEach(([col, width]) => {
-                    this.columnWidths.set(Number(col), width);
-                });
-            }
-            if (data.rowHeights) {
-                Object.entries(data.rowHeights).forEach(([row, height]) => {
-                    this.rowHeights.set(Number(row), height);
-                });
-            }
+    /**
+     * Get all named ranges
+     * @returns {Object} Object with name -> range mappings
+     */
+    getAllNamedRanges() {
+        return Object.fromEntries(this.namedRanges);
+    }
 
-            // Restore named ranges
-            if (data.namedRanges) {
-                Object.entries(data.namedRanges).forEach(([name, range]) => {
-                    this.namedRanges.set(name, range);
-                });
-            }
+    /**
+     * Resolve named ranges in an expression. Formulas keep their names (they
+     * are resolved at evaluation); this gives the expression as it reads now.
+     * @param {string} expression - Expression that may contain named ranges
+     * @returns {string} Expression with named ranges replaced by cell references
+     */
+    resolveNamedRanges(expression) {
+        if (!expression) return expression;
 
-            // Restore frozen panes
-            this.frozenRows = data.frozenRows || 0;
-            this.frozenColumns = data.frozenColumns || 0;
+        // Replace named ranges with their cell references
+        // Named ranges should match pattern: word boundary + name + word boundary,
+        // leaving table column references such as Orders[Total] to the lookup functions
+        for (const [name, rangeRef] of this.namedRanges.entries()) {
+            const regex = new RegExp(`\\b${name}\\b(?!\\[)`, 'g');
+            expression = expression.replace(regex, rangeRef);
+        }
 
-            // Restore validations
-            if (data.validations) {
-                Object.entries(data.validations).forEach(([ref, validation]) => {
-                    this.validations.set(ref, validation);
-                });
-            }
+        return expression;
+    }
 
-            // Restore merged cells
-            if (data.mergedCells) {
-                Object.entries(data.mergedCells).forEach(([topLeft, bottomRight]) => {
-                    this.mergedCells.set(topLeft, bottomRight);
-                });
+    /**
+     * Set table metadata for a named range
+     * @param {string} tableName - Name of the table (must match a named range or range reference)
+     * @param {Object} metadata - Table metadata object
+     * @param {string} metadata.range - Range reference (e.g., "A1:D100")
+     * @param {Object} metadata.columns - Column name to column letter mappings (e.g., {id: "A", name: "B"})
+     * @param {boolean} metadata.hasHeader - Whether the range has a header row
+     * @param {Object} [metadata.types] - Optional column type information (e.g., {id: "number", name: "string"})
+     * @param {Object} [metadata.descriptions] - Optional column descriptions
+     */
+    setTableMetadata(tableName, metadata) {
+        return this._recordChange(`setTableMetadata ${tableName}`, { entries: { tableMetadata: [tableName], namedRanges: [tableName] } }, () => {
+            // Validate table name
+            if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(tableName)) {
+                throw new Error('Table name must start with a letter and contain only letters, numbers, and underscores');
             }
 
-            // Restore cell editors
-            if (data.cellEditors) {
-                Object.entries(data.cellEditors).forEach(([ref, editor]) => {
-                    this.cellEditors.set(ref, editor);
-                });
+            // Validate required fields
+            if (!metadata.range || !metadata.columns) {
+                throw new Error('Table metadata must include range and columns');
             }
 
-            // Restore pivot tables
-            if (data.pivotTables) {
-                Object.entries(data.pivotTables).forEach(([id, config]) => {
-                    this.pivotTables.set(id, config);
-                });
+            // Validate range reference
+            const match = metadata.range.match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/i);
+            if (!match) {
+                throw new Error(`Invalid range reference: ${metadata.range}`);
             }
 
-            const cells = data.cells || {};
-            for (const [ref, cellData] of Object.entries(cells)) {
-                // Handle both string format and object format
-                if (typeof cellData === 'string') {
-                    this.setCell(ref, cellData, rexxInterpreter);
-                } else {
-                    const metadata = {
-                        comment: cellData.comment || '',
-                        format: cellData.format || '',
-                        chartScript: cellData.chartScript || null,
-                        wrapText: cellData.wrapText || false
-                    };
-                    this.setCell(ref, cellData.content || '', rexxInterpreter, metadata);
-                }
+            // Validate columns object
+            if (typeof metadata.columns !== 'object' || Array.isArray(metadata.columns)) {
+                throw new Error('Columns must be an object mapping column names to column letters');
             }
-        } else {
-            // Very old format - all entries are cells
-            this.setupScript = '';
-            this.sheets.clear();
-            this.sheetOrder = ['Sheet1'];
-            this.activeSheetName = 'Sheet1';
-            this._initializeSheet('Sheet1');
 
-            for (const [ref, content] of Object.entries(data)) {
-                this.setCell(ref, content, rexxInterpreter);
-            }
-        }
+            // Store the metadata
+            this.tableMetadata.set(tableName, {
+                range: metadata.range.toUpperCase(),
+                columns: metadata.columns,
+                hasHeader: metadata.hasHeader !== false, // Default to true
+                types: metadata.types || {},
+                descriptions: metadata.descriptions || {}
+            });
+
+            // Also create/update a named range for the table
+            this.namedRanges.set(tableName, metadata.range.toUpperCase());
+        });
     }
 
     /**
-     * Insert a row at the specified position
-     * Shifts all rows at or below the position down by 1
+     * Get table metadata
+     * @param {string} tableName - Name of the table
+     * @returns {Object|null} Table metadata or null if not found
      */
-    insertRow(rowNum, rexxInterpreter = null) {
-        if (rowNum < 1 || rowNum > this.rows) {
-            throw new Error(`Invalid row number: ${rowNum}. Must be between 1 and ${this.rows}`);
-        }
+    getTableMetadata(tableName) {
+        return this.tableMetadata.get(tableName) || null;
+    }
 
-        // Create a new map to hold updated cells
-        const newCells = new Map();
+    /**
+     * Delete table metadata
+     * @param {string} tableName - Name of the table
+     */
+    deleteTableMetadata(tableName) {
+        return this._recordChange(`deleteTableMetadata ${tableName}`, { entries: { tableMetadata: [tableName], namedRanges: [tableName] } }, () => {
+            this.tableMetadata.delete(tableName);
+            // Optionally delete the associated named range
+            this.namedRanges.delete(tableName);
+        });
+    }
 
-        // Move cells down, starting from the bottom to avoid overwrites
-        for (const [ref, cell] of this.cells.entries()) {
-            const { col, row } = SpreadsheetModel.parseCellRef(ref);
-            const cellCopy = { ...cell };
+    /**
+     * Get all table metadata
+     * @returns {Object} Object with table name -> metadata mappings
+     */
+    getAllTableMetadata() {
+        return Object.fromEntries(this.tableMetadata);
+    }
 
-            // Adjust formula references if this cell has an expression
-            if (cellCopy.expression) {
-                cellCopy.expression = this._adjustCellReferencesInExpression(
-                    cellCopy.expression,
-                    'insertRow',
-                    rowNum
-                );
+    /**
+     * List all table names
+     * @returns {Array<string>} Array of table names
+     */
+    listTables() {
+        return Array.from(this.tableMetadata.keys());
+    }
+
+    /**
+     * Freeze panes - lock rows and columns in place
+     * @param {number} rows - Number of rows to freeze from top
+     * @param {number} cols - Number of columns to freeze from left
+     */
+    freezePanes(rows, cols) {
+        return this._recordChange(`freezePanes ${rows} ${cols}`, { properties: ['frozenRows', 'frozenColumns'] }, () => {
+            if (rows < 0 || rows > this.rows) {
+                throw new Error(`Invalid rows to freeze: ${rows}`);
+            }
+            if (cols < 0 || cols > this.cols) {
+                throw new Error(`Invalid columns to freeze: ${cols}`);
             }
+            this.frozenRows = rows;
+            this.frozenColumns = cols;
+        });
+    }
 
-            if (row >= rowNum) {
-                // Shift this cell down
-                const newRef = SpreadsheetModel.formatCellRef(col, row + 1);
-                newCells.set(newRef, cellCopy);
-            } else {
-                // Keep this cell where it is
-                newCells.set(ref, cellCopy);
+    /**
+     * Unfreeze all panes
+     */
+    unfreezePanes() {
+        return this._recordChange('unfreezePanes', { properties: ['frozenRows', 'frozenColumns'] }, () => {
+            this.frozenRows = 0;
+            this.frozenColumns = 0;
+        });
+    }
+
+    /**
+     * Get frozen pane settings
+     * @returns {Object} {rows, columns}
+     */
+    getFrozenPanes() {
+        return {
+            rows: this.frozenRows,
+            columns: this.frozenColumns
+        };
+    }
+
+    /**
+     * Set cell validation rules
+     * @param {string} cellRef - Cell reference
+     * @param {Object} validation - Validation rules
+     */
+    setCellValidation(cellRef, validation) {
+        return this._recordChange(`setCellValidation ${cellRef}`, { entries: { validations: [cellRef] } }, () => {
+            if (!validation) {
+                this.validations.delete(cellRef);
+                return;
             }
-        }
 
-        // Replace cells map
-        this.cells = newCells;
+            // Validate the validation object
+            if (!validation.type) {
+                throw new Error('Validation must have a type');
+            }
 
-        // Auto-generate ID if auto-ID column is configured
-        if (this.autoIdColumn) {
-            const idValue = this.idPrefix + this.nextId;
-            const idCellRef = `${this.autoIdColumn}${rowNum}`;
-            this.setCell(idCellRef, String(idValue), rexxInterpreter);
-            this.nextId++; // Increment for next row
-        }
+            const validTypes = ['list', 'number', 'date', 'text', 'custom', 'contextual'];
+            if (!validTypes.includes(validation.type)) {
+                throw new Error(`Invalid validation type: ${validation.type}`);
+            }
+
+            // For contextual validations, ensure at least one context rule exists
+            if (validation.type === 'contextual') {
+                if (!validation.onCreate && !validation.onUpdate && !validation.always) {
+                    throw new Error('Contextual validation requires at least one of: onCreate, onUpdate, or always');
+                }
+            }
 
-        // Rebuild dependents map
-        this._rebuildDependents();
+            this.validations.set(cellRef, validation);
+        });
+    }
 
-        // Recalculate all formulas if interpreter provided
-        if (rexxInterpreter) {
-            this._recalculateAll(rexxInterpreter);
-        }
+    /**
+     * Get cell validation rules
+     * @param {string} cellRef - Cell reference
+     * @returns {Object|null} Validation rules or null
+     */
+    getCellValidation(cellRef) {
+        return this.validations.get(cellRef) || null;
     }
 
     /**
-     * Delete a row at the specified position
-     * Shifts all rows below the position up by 1
+     * Validate a cell value against its validation rules
+     * @param {string} cellRef - Cell reference
+     * @param {string} value - Value to validate
+     * @param {string} context - Validation context: 'create', 'update', or 'always' (default: 'always')
+     * @param {Object} options - Optional: {interpreter, previousValue}
+     * @returns {Object} {valid: boolean, message: string}
      */
-    deleteRow(rowNum, rexxInterpreter = null) {
-        if (rowNum < 1 || rowNum > this.rows) {
-            throw new Error(`Invalid row number: ${rowNum}. Must be between 1 and ${this.rows}`);
+    validateCellValue(cellRef, value, context = 'always', options = {}) {
+        const validation = this.validations.get(cellRef);
+        if (!validation) {
+            return { valid: true, message: '' };
         }
 
-        // Create a new map to hold updated cells
-        const newCells = new Map();
+        // Determine if this is create or update context
+        const currentValue = this.getCellValue(cellRef);
+        const isCreate = !currentValue || currentValue === '';
+        const isUpdate = !isCreate;
 
-        // Delete row and shift cells up
-        for (const [ref, cell] of this.cells.entries()) {
-            const { col, row } = SpreadsheetModel.parseCellRef(ref);
-            if (row === rowNum) {
-                // Skip this cell (delete it)
-                continue;
-            }
+        // Adjust context based on cell state if context is 'always'
+        if (context === 'always') {
+            context = isCreate ? 'create' : 'update';
+        }
 
-            const cellCopy = { ...cell };
+        // Handle contextual validation type
+        if (validation.type === 'contextual') {
+            return this._validateContextual(cellRef, value, context, validation, options);
+        }
 
-            // Adjust formula references if this cell has an expression
-            if (cellCopy.expression) {
-                cellCopy.expression = this._adjustCellReferencesInExpression(
-                    cellCopy.expression,
-                    'deleteRow',
-                    rowNum
-                );
-            }
+        // Standard validation types
+        switch (validation.type) {
+            case 'list':
+                if (!validation.values || !Array.isArray(validation.values)) {
+                    return { valid: false, message: 'Invalid list validation configuration' };
+                }
+                const valid = validation.values.includes(value);
+                return {
+                    valid,
+                    message: valid ? '' : `Value must be one of: ${validation.values.join(', ')}`
+                };
 
-            if (row > rowNum) {
-                // Shift this cell up
-                const newRef = SpreadsheetModel.formatCellRef(col, row - 1);
-                newCells.set(newRef, cellCopy);
-            } else {
-                // Keep this cell where it is
-                newCells.set(ref, cellCopy);
-            }
-        }
+            case 'number':
+                const num = parseFloat(value);
+                if (isNaN(num)) {
+                    return { valid: false, message: 'Value must be a number' };
+                }
+                if (validation.min !== undefined && num < validation.min) {
+                    return { valid: false, message: `Value must be >= ${validation.min}` };
+                }
+                if (validation.max !== undefined && num > validation.max) {
+                    return { valid: false, message: `Value must be <= ${validation.max}` };
+                }
+                return { valid: true, message: '' };
 
-        // Replace cells map
-        this.cells = newCells;
+            case 'text':
+                const text = String(value);
+                if (validation.minLength !== undefined && text.length < validation.minLength) {
+                    return { valid: false, message: `Text must be at least ${validation.minLength} characters` };
+                }
+                if (validation.maxLength !== undefined && text.length > validation.maxLength) {
+                    return { valid: false, message: `Text must be at most ${validation.maxLength} characters` };
+                }
+                if (validation.pattern) {
+                    const regex = new RegExp(validation.pattern);
+                    if (!regex.test(text)) {
+                        return { valid: false, message: `Text must match pattern: ${validation.pattern}` };
+                    }
+                }
+                return { valid: true, message: '' };
 
-        // Rebuild dependents map
-        this._rebuildDependents();
+            case 'custom':
+                // Custom validation with a function (stored as string)
+                if (!validation.formula) {
+                    return { valid: false, message: 'Custom validation requires a formula' };
+                }
+                // For now, return valid - would need interpreter to evaluate
+                return { valid: true, message: '' };
 
-        // Recalculate all formulas if interpreter provided
-        if (rexxInterpreter) {
-            this._recalculateAll(rexxInterpreter);
+            default:
+                return { valid: true, message: '' };
         }
     }
 
     /**
-     * Insert a column at the specified position
-     * Shifts all columns at or to the right of the position right by 1
+     * Validate contextual validation rules
+     * @private
      */
-    insertColumn(colNum, rexxInterpreter = null) {
-        // Convert column number to letter if needed
-        if (typeof colNum === 'string') {
-            colNum = SpreadsheetModel.colLetterToNumber(colNum);
-        }
+    _validateContextual(cellRef, value, context, validation, options) {
+        const results = [];
 
-        if (colNum < 1 || colNum > this.cols) {
-            throw new Error(`Invalid column number: ${colNum}. Must be between 1 and ${this.cols}`);
+        // Always validate 'always' rules
+        if (validation.always) {
+            const result = this._evaluateValidationFormula(
+                cellRef,
+                value,
+                validation.always,
+                context,
+                options
+            );
+            if (!result.valid) {
+                return result;
+            }
+            results.push(result);
         }
 
-        // Create a new map to hold updated cells
-        const newCells = new Map();
-
-        // Move cells right, processing from right to left to avoid overwrites
-        for (const [ref, cell] of this.cells.entries()) {
-            const { col, row } = SpreadsheetModel.parseCellRef(ref);
-            const currentColNum = SpreadsheetModel.colLetterToNumber(col);
-            const cellCopy = { ...cell };
-
-            // Adjust formula references if this cell has an expression
-            if (cellCopy.expression) {
-                cellCopy.expression = this._adjustCellReferencesInExpression(
-                    cellCopy.expression,
-                    'insertColumn',
-                    colNum
-                );
+        // Validate context-specific rules
+        if (context === 'create' && validation.onCreate) {
+            const result = this._evaluateValidationFormula(
+                cellRef,
+                value,
+                validation.onCreate,
+                context,
+                options
+            );
+            if (!result.valid) {
+                return result;
             }
+            results.push(result);
+        }
 
-            if (currentColNum >= colNum) {
-                // Shift this cell right
-                const newRef = SpreadsheetModel.formatCellRef(currentColNum + 1, row);
-                newCells.set(newRef, cellCopy);
-            } else {
-                // Keep this cell where it is
-                newCells.set(ref, cellCopy);
+        if (context === 'update' && validation.onUpdate) {
+            const result = this._evaluateValidationFormula(
+                cellRef,
+                value,
+                validation.onUpdate,
+                context,
+                options
+            );
+            if (!result.valid) {
+                return result;
             }
+            results.push(result);
         }
 
-        // Replace cells map
-        this.cells = newCells;
-
-        // Rebuild dependents map
-        this._rebuildDependents();
-
-        // Recalculate all formulas if interpreter provided
-        if (rexxInterpreter) {
-            this._recalculateAll(rexxInterpreter);
-        }
+        // All validations passed
+        return { valid: true, message: '' };
     }
 
     /**
-     * Delete a column at the specified position
-     * Shifts all columns to the right of the position left by 1
+     * Evaluate a validation formula
+     * @private
      */
-    deleteColumn(colNum, rexxInterpreter = null) {
-        // Convert column number to letter if needed
-        if (typeof colNum === 'string') {
-            colNum = SpreadsheetModel.colLetterToNumber(colNum);
-        }
+    _evaluateValidationFormula(cellRef, value, formula, context, options) {
+        try {
+            // Simple expression evaluation
+            // Support UNIQUE(range, value), PREVIOUS(cellRef), and simple comparisons
 
-        if (colNum < 1 || colNum > this.cols) {
-            throw new Error(`Invalid column number: ${colNum}. Must be between 1 and ${this.cols}`);
-        }
+            // Handle UNIQUE(range, value) - check if value is unique in range
+            const uniqueMatch = formula.match(/UNIQUE\(['"]([A-Z]+\d+:[A-Z]+\d+)['"]\s*,\s*(.+)\)/i);
+            if (uniqueMatch) {
+                const rangeRef = uniqueMatch[1];
+                const checkValue = value; // Use the value being validated
 
-        // Create a new map to hold updated cells
-        const newCells = new Map();
+                // Get all values in the range
+                const [start, end] = rangeRef.split(':');
+                const startParsed = SpreadsheetModel.parseCellRef(start);
+                const endParsed = SpreadsheetModel.parseCellRef(end);
 
-        // Delete column and shift cells left
-        for (const [ref, cell] of this.cells.entries()) {
-            const { col, row } = SpreadsheetModel.parseCellRef(ref);
-            const currentColNum = SpreadsheetModel.colLetterToNumber(col);
+                const startCol = SpreadsheetModel.colLetterToNumber(startParsed.col);
+                const endCol = SpreadsheetModel.colLetterToNumber(endParsed.col);
+                const startRow = startParsed.row;
+                const endRow = endParsed.row;
 
-            if (currentColNum === colNum) {
-                // Skip this cell (delete it)
-                continue;
+                // Check if value exists in range (excluding current cell)
+                for (let row = startRow; row <= endRow; row++) {
+                    for (let col = startCol; col <= endCol; col++) {
+                        const ref = SpreadsheetModel.formatCellRef(col, row);
+                        if (ref !== cellRef) {
+                            const cellValue = this.getCellValue(ref);
+                            if (cellValue === checkValue) {
+                                return {
+                                    valid: false,
+                                    message: `Value "${checkValue}" must be unique in range ${rangeRef}`
+                                };
+                            }
+                        }
+                    }
+                }
+
+                return { valid: true, message: '' };
             }
 
-            const cellCopy = { ...cell };
+            // Handle PREVIOUS(cellRef) - get previous value of cell
+            const previousMatch = formula.match(/PREVIOUS\(['"]?(\w+)['"]\)/i);
+            if (previousMatch) {
+                const targetRef = previousMatch[1];
+                const previousValue = options.previousValue !== undefined
+                    ? options.previousValue
+                    : this.getCellValue(targetRef);
 
-            // Adjust formula references if this cell has an expression
-            if (cellCopy.expression) {
-                cellCopy.expression = this._adjustCellReferencesInExpression(
-                    cellCopy.expression,
-                    'deleteColumn',
-                    colNum
-                );
-            }
+                // Replace PREVIOUS() with the actual value
+                const evaluableFormula = formula.replace(/PREVIOUS\([^)]+\)/i, previousValue);
 
-            if (currentColNum > colNum) {
-                // Shift this cell left
-                const newRef = SpreadsheetModel.formatCellRef(currentColNum - 1, row);
-                newCells.set(newRef, cellCopy);
-            } else {
-                // Keep this cell where it is
-                newCells.set(ref, cellCopy);
-            }
-        }
+                // Inject current value as a variable
+                const finalFormula = evaluableFormula.replace(/\bvalue\b/gi, value);
 
-        // Replace cells map
-        this.cells = newCells;
+                // Simple eval for comparisons
+                try {
+                    const result = eval(finalFormula);
+                    return {
+                        valid: result,
+                        message: result ? '' : `Validation failed: ${formula}`
+                    };
+                } catch (e) {
+                    return {
+                        valid: false,
+                        message: `Invalid validation formula: ${e.message}`
+                    };
+                }
+            }
 
-        // Rebuild dependents map
-        this._rebuildDependents();
+            // Simple expression evaluation (e.g., "value != ''", "value > 0")
+            const evaluableFormula = formula.replace(/\bvalue\b/gi, `"${value}"`);
+            const result = eval(evaluableFormula);
 
-        // Recalculate all formulas if interpreter provided
-        if (rexxInterpreter) {
-            this._recalculateAll(rexxInterpreter);
+            return {
+                valid: result,
+                message: result ? '' : `Validation failed: ${formula}`
+            };
+        } catch (error) {
+            return {
+                valid: false,
+                message: `Validation error: ${error.message}`
+            };
         }
     }
 
     /**
-     * Rebuild the dependents map from scratch based on current cells
+     * Conditional Formatting
+     * Rules style the cells of a range by value (see spreadsheet-conditional-format.js).
+     * They are stored per sheet and matched again at the end of every
+     * recalculation pass; getConditionalStyle() combines the rules matching a
+     * cell in priority order. Data bars and icon sets are not styles and come
+     * from getConditionalVisuals() instead.
      */
-    _rebuildDependents() {
-        this.dependents.clear();
 
-        for (const [ref, cell] of this.cells.entries()) {
-            if (cell.expression) {
-                const dependencies = this.extractCellReferences(cell.expression);
-                cell.dependencies = dependencies;
+    /**
+     * Add or replace a conditional format rule on the active sheet
+     * @param {string} ruleId - Rule ID
+     * @param {Object} rule - {range, type, style, priority, stopIfTrue, ...criteria},
+     *   or a visual format {range, type, priority, ...settings}
+     * @param {object} rexxInterpreter - Interpreter used to match the rule
+     * @returns {Promise<void>} Resolves once the rule has been matched
+     */
+    addConditionalFormat(ruleId, rule, rexxInterpreter = null) {
+        if (!ruleId || typeof ruleId !== 'string') {
+            throw new Error('Conditional format ID is required');
+        }
 
-                dependencies.forEach(dep => {
-                    if (!this.dependents.has(dep)) {
-                        this.dependents.set(dep, new Set());
-                    }
-                    this.dependents.get(dep).add(ref);
-                });
-            }
+        const normalized = normalizeConditionalFormat(rule);
+        if (normalized.priority === undefined) {
+            // A replaced rule keeps its place; new rules go last
+            const existing = this.conditionalFormats.get(ruleId);
+            const priorities = Array.from(this.conditionalFormats.values(), other => other.priority);
+            normalized.priority = existing ? existing.priority : Math.max(0, ...priorities) + 1;
         }
+
+        this._recordChange(`addConditionalFormat ${ruleId}`, { entries: { conditionalFormats: [ruleId] } }, () => {
+            this.conditionalFormats.set(ruleId, normalized);
+        });
+        this._getActiveSheet().conditionalFormatMatches.delete(ruleId);
+
+        return this.recalculate([], rexxInterpreter);
     }
 
     /**
-     * Recalculate all formula cells
+     * Delete a conditional format rule
+     * @param {string} ruleId - Rule ID
      */
-    async _recalculateAll(rexxInterpreter) {
-        for (const [ref, cell] of this.cells.entries()) {
-            if (cell.expression) {
-                await this.evaluateCell(ref, rexxInterpreter);
+    deleteConditionalFormat(ruleId) {
+        this._recordChange(`deleteConditionalFormat ${ruleId}`, { entries: { conditionalFormats: [ruleId] } }, () => {
+            if (!this.conditionalFormats.has(ruleId)) {
+                throw new Error(`Conditional format not found: ${ruleId}`);
             }
-        }
+
+            this.conditionalFormats.delete(ruleId);
+        });
+        this._getActiveSheet().conditionalFormatMatches.delete(ruleId);
     }
 
     /**
-     * Adjust cell references in an expression based on row/column operations
-     * @param {string} expression - The formula expression
-     * @param {string} operation - 'insertRow', 'deleteRow', 'insertColumn', 'deleteColumn'
-     * @param {number} position - The row/column number where the operation occurs
-     * @returns {string} - The adjusted expression
+     * Change the priority of a conditional format rule (lower numbers apply first)
+     * @param {string} ruleId - Rule ID
+     * @param {number} priority - New priority
      */
-    _adjustCellReferencesInExpression(expression, operation, position) {
-        if (!expression) return expression;
-
-        // Match both single cell references (A1) and range references (A1:B5)
-        // This regex captures cell references with optional $ for absolute references
-        const cellRefPattern = /(\$?)([A-Z]+)(\$?)(\d+)/g;
-
-        return expression.replace(cellRefPattern, (match, colAbs, col, rowAbs, row) => {
-            const rowNum = parseInt(row, 10);
-            const colNum = SpreadsheetModel.colLetterToNumber(col);
-
-            let newRow = rowNum;
-            let newCol = col;
-
-            switch (operation) {
-                case 'insertRow':
-                    // If the reference is at or below the insertion point, shift down
-                    if (!rowAbs && rowNum >= position) {
-                        newRow = rowNum + 1;
-                    }
-                    break;
-
-                case 'deleteRow':
-                    // If the reference is the deleted row, mark as invalid
-                    if (rowNum === position) {
-                        return '#REF!';
-                    }
-                    // If the reference is below the deleted row, shift up
-                    if (!rowAbs && rowNum > position) {
-                        newRow = rowNum - 1;
-                    }
-                    break;
-
-                case 'insertColumn':
-                    // If the reference is at or right of the insertion point, shift right
-                    if (!colAbs && colNum >= position) {
-                        newCol = SpreadsheetModel.colNumberToLetter(colNum + 1);
-                    }
-                    break;
+    setConditionalFormatPriority(ruleId, priority) {
+        if (!Number.isFinite(priority)) {
+            throw new Error(`Conditional format priority must be a number, got ${priority}`);
+        }
 
-                case 'deleteColumn':
-                    // If the reference is the deleted column, mark as invalid
-                    if (colNum === position) {
-                        return '#REF!';
-                    }
-                    // If the reference is right of the deleted column, shift left
-                    if (!colAbs && colNum > position) {
-                        newCol = SpreadsheetModel.colNumberToLetter(colNum - 1);
-                    }
-                    break;
+        this._recordChange(`setConditionalFormatPriority ${ruleId}`, { entries: { conditionalFormats: [ruleId] } }, () => {
+            const rule = this.conditionalFormats.get(ruleId);
+            if (!rule) {
+                throw new Error(`Conditional format not found: ${ruleId}`);
             }
 
-            // Reconstruct the cell reference with absolute markers if present
-            return `${colAbs}${newCol}${rowAbs}${newRow}`;
+            this.conditionalFormats.set(ruleId, { ...rule, priority });
         });
     }
 
     /**
-     * Auto-ID Column Management
+     * Get a conditional format rule
+     * @param {string} ruleId - Rule ID
+     * @returns {Object|null} Rule or null
      */
+    getConditionalFormat(ruleId) {
+        return this.conditionalFormats.get(ruleId) || null;
+    }
 
     /**
-     * Configure auto-ID column for the current sheet
-     * @param {string|null} column - Column letter (e.g., "A") or null to disable
-     * @param {number} startId - Starting ID number (default: 1)
-     * @param {string} prefix - Optional prefix for IDs (default: '')
+     * Get all conditional format rules on the active sheet in priority order
+     * @returns {Array} Array of {id, ...rule} objects
      */
-    configureAutoId(column, startId = 1, prefix = '') {
-        if (column !== null && !/^[A-Z]+$/i.test(column)) {
-            throw new Error(`Invalid column letter: ${column}`);
-        }
+    getAllConditionalFormats() {
+        return this._sortedConditionalFormats(this._getActiveSheet())
+            .map(([id, rule]) => ({ id, ...rule }));
+    }
 
-        this.autoIdColumn = column ? column.toUpperCase() : null;
-        this.nextId = startId;
-        this.idPrefix = prefix;
+    /**
+     * Style that conditional formats give a cell, as a format string. Rules are
+     * applied in priority order until one with stopIfTrue matches; where styles
+     * conflict the higher-priority rule wins.
+     * @param {string} ref - Cell reference on the active sheet
+     * @returns {string} Format string, or '' when no rule matches
+     */
+    getConditionalStyle(ref) {
+        const styles = this._applicableConditionalFormats(ref)
+            .map(({ rule, visual }) => (rule.type === 'colorScale' ? `background:${visual.background}` : rule.style))
+            .filter(Boolean);
+        // Later format parts override earlier ones, so the highest priority goes last
+        return styles.reverse().join(';');
     }
 
     /**
-     * Find row number by ID value
-     * @param {string|number} idValue - ID to search for
-     * @returns {number|null} - Row number or null if not found
+     * Data bar and icon that visual formats give a cell; where several rules
+     * apply, the highest priority one of each kind is shown
+     * @param {string} ref - Cell reference on the active sheet
+     * @returns {Object|null} {dataBar: {fraction, color}, icon: {symbol, color}, showValue}, or null
      */
-    findRowById(idValue) {
-        if (!this.autoIdColumn) {
-            throw new Error('Auto-ID column is not configured for this sheet');
+    getConditionalVisuals(ref) {
+        const visuals = {};
+        for (const { rule, visual } of this._applicableConditionalFormats(ref)) {
+            if (rule.type === 'dataBar' && !visuals.dataBar) {
+                visuals.dataBar = visual.dataBar;
+            } else if (rule.type === 'iconSet' && !visuals.icon) {
+                visuals.icon = visual.icon;
+                visuals.showValue = visual.showValue;
+            }
         }
+        return Object.keys(visuals).length > 0 ? visuals : null;
+    }
 
-        const searchValue = String(idValue);
-
-        // Search through the auto-ID column
-        for (let row = 1; row <= this.rows; row++) {
-            const cellRef = `${this.autoIdColumn}${row}`;
-            const cellValue = this.getCellValue(cellRef);
-
-            if (String(cellValue) === searchValue) {
-                return row;
+    /**
+     * Rules matching a cell in priority order, up to the first with stopIfTrue
+     * @private
+     * @returns {Array<{rule: Object, visual: Object|null}>}
+     */
+    _applicableConditionalFormats(ref) {
+        const sheet = this._getActiveSheet();
+        const applicable = [];
+        for (const [ruleId, rule] of this._sortedConditionalFormats(sheet)) {
+            const matches = sheet.conditionalFormatMatches.get(ruleId);
+            if (matches?.has(ref)) {
+                applicable.push({ rule, visual: matches instanceof Map ? matches.get(ref) : null });
+                if (rule.stopIfTrue) {
+                    break;
+                }
             }
         }
-
-        return null; // Not found
+        return applicable;
     }
 
     /**
-     * Get the next ID that will be assigned
-     * @returns {string} - Next ID value with prefix
+     * Rules of a sheet sorted by priority (ties keep creation order)
+     * @private
      */
-    getNextId() {
-        return this.idPrefix + this.nextId;
+    _sortedConditionalFormats(sheet) {
+        return Array.from(sheet.conditionalFormats.entries())
+            .sort(([, a], [, b]) => a.priority - b.priority);
     }
 
     /**
-     * Sort a range of cells by a specific column
-     * @param {string} rangeRef - Range like "A1:C5"
-     * @param {number|string} sortCol - Column to sort by (1-based index or letter)
-     * @param {boolean} ascending - Sort direction (default: true)
-     * @param {Object} rexxInterpreter - Optional interpreter for recalculation
+     * Match again the conditional formats that changed or have not been
+     * matched yet, and those that read a changed cell: through their range or,
+     * for expression rules, through a reference in the expression
+     * @private
+     * @param {Set<string>} changedCells - Qualified references of recalculated or edited cells
+     * @param {object} rexxInterpreter - Interpreter for expression rules
      */
-    sortRange(rangeRef, sortCol, ascending = true, rexxInterpreter = null) {
-        // Parse range reference
-        const match = rangeRef.match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/i);
-        if (!match) {
-            throw new Error(`Invalid range reference: ${rangeRef}. Expected format: "A1:C5"`);
-        }
+    async _refreshConditionalFormats(changedCells, rexxInterpreter) {
+        const changed = Array.from(changedCells, qualifiedRef => {
+            const { sheet, ref } = this._splitQualifiedRef(qualifiedRef);
+            const match = ref.match(/^([A-Z]+)(\d+)$/);
+            return match && { sheet, col: SpreadsheetModel.colLetterToNumber(match[1]), row: parseInt(match[2], 10) };
+        }).filter(Boolean);
 
-        const startColLetter = match[1].toUpperCase();
-        const startRow = parseInt(match[2], 10);
-        const endColLetter = match[3].toUpperCase();
-        const endRow = parseInt(match[4], 10);
-
-        const startCol = SpreadsheetModel.colLetterToNumber(startColLetter);
-        const endCol = SpreadsheetModel.colLetterToNumber(endColLetter);
-
-        // Convert sortCol to number if needed
-        const sortColNum = typeof sortCol === 'string' ?
-            SpreadsheetModel.colLetterToNumber(sortCol) :
-            sortCol;
-
-        // Validate sort column is within range
-        if (sortColNum < startCol || sortColNum > endCol) {
-            throw new Error(`Sort column ${sortCol} is outside the range ${rangeRef}`);
-        }
-
-        // Extract all rows in the range
-        const rows = [];
-        for (let row = startRow; row <= endRow; row++) {
-            const rowData = {
-                rowNum: row,
-                cells: {}
-            };
-            for (let col = startCol; col <= endCol; col++) {
-                const ref = SpreadsheetModel.formatCellRef(col, row);
-                const cell = this.getCell(ref);
-                rowData.cells[col] = { ...cell };
-            }
-            rows.push(rowData);
-        }
-
-        // Sort rows by the sort column
-        rows.sort((a, b) => {
-            const aCell = a.cells[sortColNum];
-            const bCell = b.cells[sortColNum];
-            const aVal = aCell.value || '';
-            const bVal = bCell.value || '';
-
-            // Try numeric comparison first
-            const aNum = parseFloat(aVal);
-            const bNum = parseFloat(bVal);
-            if (!isNaN(aNum) && !isNaN(bNum)) {
-                return ascending ? aNum - bNum : bNum - aNum;
-            }
-
-            // Fall back to string comparison
-            const aStr = String(aVal).toLowerCase();
-            const bStr = String(bVal).toLowerCase();
-            if (aStr < bStr) return ascending ? -1 : 1;
-            if (aStr > bStr) return ascending ? 1 : -1;
-            return 0;
-        });
-
-        // Write sorted rows back to the model
-        for (let i = 0; i < rows.length; i++) {
-            const targetRow = startRow + i;
-            const sourceRow = rows[i];
-
-            for (let col = startCol; col <= endCol; col++) {
-                const targetRef = SpreadsheetModel.formatCellRef(col, targetRow);
-                const sourceCell = sourceRow.cells[col];
-
-                if (sourceCell.expression) {
-                    // Preserve expression
-                    const metadata = {
-                        comment: sourceCell.comment || '',
-                        format: sourceCell.format || '',
-                        wrapText: sourceCell.wrapText || false
-                    };
-                    this.setCell(targetRef, '=' + sourceCell.expression, rexxInterpreter, metadata);
-                } else if (sourceCell.value !== '') {
-                    // Preserve value
-                    const metadata = {
-                        comment: sourceCell.comment || '',
-                        format: sourceCell.format || '',
-                        wrapText: sourceCell.wrapText || false
-                    };
-                    this.setCell(targetRef, sourceCell.value, rexxInterpreter, metadata);
-                } else {
-                    // Clear cell
-                    this.setCell(targetRef, '', rexxInterpreter);
+        for (const [sheetName, sheet] of this.sheets.entries()) {
+            const rulesChanged = this._conditionalFormatSheets.delete(sheetName);
+            const matches = new Map();
+            for (const [ruleId, rule] of sheet.conditionalFormats.entries()) {
+                const previous = sheet.conditionalFormatMatches.get(ruleId);
+                const stale = rulesChanged || !previous || this._conditionalFormatAreas(sheetName, ruleId, rule)
+                    .some(area => changed.some(({ sheet: cellSheet, col, row }) => cellSheet === area.sheet &&
+                        col >= area.startCol && col <= area.endCol && row >= area.startRow && row <= area.endRow));
+                if (!stale) {
+                    matches.set(ruleId, previous);
+                    continue;
+                }
+                const matched = await this._matchConditionalFormat(sheetName, ruleId, rule, rexxInterpreter, previous || new Set());
+                matches.set(ruleId, matched);
+                // Visual formats scale with the values, so they change even when the matches do not
+                if (VISUAL_FORMAT_TYPES.includes(rule.type) || !sameValue(matched, previous)) {
+                    this._emit('rangeChanged', { sheet: sheetName, range: rule.range, action: 'conditionalFormat' });
                 }
             }
-        }
-
-        // Recalculate if interpreter provided
-        if (rexxInterpreter) {
-            this._recalculateAll(rexxInterpreter);
+            sheet.conditionalFormatMatches = matches;
         }
     }
 
     /**
-     * Fill down - Copy cell(s) down to a range
-     * @param {string} sourceRef - Source cell or range (e.g., "A1" or "A1:B1")
-     * @param {string} targetRangeRef - Target range (e.g., "A2:A10")
-     * @param {Object} rexxInterpreter - Optional interpreter for recalculation
+     * Cells a conditional format reads: its range, and for an expression rule
+     * every cell its references reach as they move across the range, the
+     * named ranges and tables it names and the ranges it read through
+     * functions such as OFFSET when last matched
+     * @private
+     * @returns {Array<{sheet: string, startCol: number, startRow: number, endCol: number, endRow: number}>}
      */
-    fillDown(sourceRef, targetRangeRef, rexxInterpreter = null) {
-        // Parse source range
-        const sourceMatch = sourceRef.match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/i);
-        if (!sourceMatch) {
-            throw new Error(`Invalid source reference: ${sourceRef}`);
-        }
-
-        const sourceStartCol = sourceMatch[1].toUpperCase();
-        const sourceStartRow = parseInt(sourceMatch[2], 10);
-        const sourceEndCol = sourceMatch[3] ? sourceMatch[3].toUpperCase() : sourceStartCol;
-        const sourceEndRow = sourceMatch[4] ? parseInt(sourceMatch[4], 10) : sourceStartRow;
-
-        // Parse target range
-        const targetMatch = targetRangeRef.match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/i);
-        if (!targetMatch) {
-            throw new Error(`Invalid target range: ${targetRangeRef}`);
+    _conditionalFormatAreas(sheetName, ruleId, rule) {
+        const range = this.parseRange(rule.range.includes(':') ? rule.range : `${rule.range}:${rule.range}`);
+        const areas = [{ sheet: sheetName, ...range }];
+        if (rule.type !== 'expression' || !rule.expression) {
+            return areas;
         }
 
-        const targetStartCol = targetMatch[1].toUpperCase();
-        const targetStartRow = parseInt(targetMatch[2], 10);
-        const targetEndCol = targetMatch[3].toUpperCase();
-        const targetEndRow = parseInt(targetMatch[4], 10);
-
-        const sourceColStart = SpreadsheetModel.colLetterToNumber(sourceStartCol);
-        const sourceColEnd = SpreadsheetModel.colLetterToNumber(sourceEndCol);
-        const targetColStart = SpreadsheetModel.colLetterToNumber(targetStartCol);
-        const targetColEnd = SpreadsheetModel.colLetterToNumber(targetEndCol);
-
-        const sourceWidth = sourceColEnd - sourceColStart + 1;
-        const targetWidth = targetColEnd - targetColStart + 1;
-
-        if (sourceWidth !== targetWidth) {
-            throw new Error('Source and target must have the same number of columns');
+        // Relative parts of a reference move by up to the range's size; $ parts stay put
+        const height = range.endRow - range.startRow;
+        const width = range.endCol - range.startCol;
+        const referencePattern = new RegExp(CELL_OR_RANGE_REF_PATTERN.source, 'g');
+        let match;
+        while ((match = referencePattern.exec(rule.expression)) !== null) {
+            const [, prefix, ...parts] = match;
+            const corners = parts[5] ? [parts.slice(0, 4), parts.slice(4)] : [parts.slice(0, 4)];
+            const cols = corners.flatMap(([colAbs, col]) => {
+                const number = SpreadsheetModel.colLetterToNumber(col);
+                return colAbs ? [number] : [number, number + width];
+            });
+            const rows = corners.flatMap(([, , rowAbs, row]) => {
+                const number = parseInt(row, 10);
+                return rowAbs ? [number] : [number, number + height];
+            });
+            areas.push({
+                sheet: prefix && this.sheets.has(prefix) ? prefix : sheetName,
+                startCol: Math.min(...cols),
+                endCol: Math.max(...cols),
+                startRow: Math.min(...rows),
+                endRow: Math.max(...rows)
+            });
         }
 
-        // Fill down
-        for (let row = targetStartRow; row <= targetEndRow; row++) {
-            for (let colOffset = 0; colOffset < sourceWidth; colOffset++) {
-                const sourceCol = sourceColStart + colOffset;
-                const targetCol = targetColStart + colOffset;
-                const sourceRowToUse = sourceStartRow + ((row - targetStartRow) % (sourceEndRow - sourceStartRow + 1));
-
-                const sourceCellRef = SpreadsheetModel.formatCellRef(sourceCol, sourceRowToUse);
-                const targetCellRef = SpreadsheetModel.formatCellRef(targetCol, row);
-
-                const sourceCell = this.getCell(sourceCellRef);
-                if (sourceCell.expression) {
-                    // Adjust formula for new position
-                    const rowOffset = row - sourceRowToUse;
-                    const colOffset = targetCol - sourceCol;
-                    const adjustedExpression = this._adjustFormulaForCopy(sourceCell.expression, rowOffset, colOffset);
-                    this.setCell(targetCellRef, '=' + adjustedExpression, rexxInterpreter, {
-                        format: sourceCell.format,
-                        comment: sourceCell.comment,
-                        wrapText: sourceCell.wrapText
-                    });
-                } else {
-                    this.setCell(targetCellRef, sourceCell.value, rexxInterpreter, {
-                        format: sourceCell.format,
-                        comment: sourceCell.comment,
-                        wrapText: sourceCell.wrapText
-                    });
-                }
+        const named = this.extractRangeReferences(rule.expression, sheetName)
+            .filter(rangeDep => !rangeDep.includes('.') && !FIXED_RANGE_DEPENDENCY_PATTERN.test(rangeDep));
+        const tracked = Array.from(this.sheets.get(sheetName).conditionalFormatRanges.get(ruleId) || [], qualified => {
+            const { sheet, ref } = this._splitQualifiedRef(qualified);
+            return { sheet, ref };
+        });
+        [...named.map(ref => ({ sheet: sheetName, ref })), ...tracked].forEach(({ sheet, ref }) => {
+            const bounds = this._resolveRangeDependency(ref, sheet);
+            if (bounds) {
+                areas.push({ sheet, ...bounds });
             }
-        }
+        });
+        return areas;
     }
 
     /**
-     * Fill right - Copy cell(s) right to a range
-     * @param {string} sourceRef - Source cell or range (e.g., "A1" or "A1:A2")
-     * @param {string} targetRangeRef - Target range (e.g., "B1:E1")
-     * @param {Object} rexxInterpreter - Optional interpreter for recalculation
+     * Cells of a rule's range that the rule matches. Expression rules are
+     * evaluated for each cell with their relative references shifted from the
+     * top-left cell; a cell whose expression fails is not matched. Visual
+     * formats return a Map of each numeric cell to what it shows.
+     * @private
      */
-    fillRight(sourceRef, targetRangeRef, rexxInterpreter = null) {
-        // Parse source range
-        const sourceMatch = sourceRef.match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/i);
-        if (!sourceMatch) {
-            throw new Error(`Invalid source reference: ${sourceRef}`);
-        }
-
-        const sourceStartCol = sourceMatch[1].toUpperCase();
-        const sourceStartRow = parseInt(sourceMatch[2], 10);
-        const sourceEndCol = sourceMatch[3] ? sourceMatch[3].toUpperCase() : sourceStartCol;
-        const sourceEndRow = sourceMatch[4] ? parseInt(sourceMatch[4], 10) : sourceStartRow;
-
-        // Parse target range
-        const targetMatch = targetRangeRef.match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/i);
-        if (!targetMatch) {
-            throw new Error(`Invalid target range: ${targetRangeRef}`);
-        }
-
-        const targetStartCol = targetMatch[1].toUpperCase();
-        const targetStartRow = parseInt(targetMatch[2], 10);
-        const targetEndCol = targetMatch[3].toUpperCase();
-        const targetEndRow = parseInt(targetMatch[4], 10);
-
-        const sourceColStart = SpreadsheetModel.colLetterToNumber(sourceStartCol);
-        const sourceColEnd = SpreadsheetModel.colLetterToNumber(sourceEndCol);
-        const targetColStart = SpreadsheetModel.colLetterToNumber(targetStartCol);
-        const targetColEnd = SpreadsheetModel.colLetterToNumber(targetEndCol);
-
-        const sourceHeight = sourceEndRow - sourceStartRow + 1;
-        const targetHeight = targetEndRow - targetStartRow + 1;
-
-        if (sourceHeight !== targetHeight) {
-            throw new Error('Source and target must have the same number of rows');
+    async _matchConditionalFormat(sheetName, ruleId, rule, rexxInterpreter, previous) {
+        const sheet = this.sheets.get(sheetName);
+        const range = this.parseRange(rule.range.includes(':') ? rule.range : `${rule.range}:${rule.range}`);
+        const cells = [];
+        for (let row = range.startRow; row <= range.endRow; row++) {
+            for (let col = range.startCol; col <= range.endCol; col++) {
+                const ref = SpreadsheetModel.formatCellRef(col, row);
+                const cell = sheet.cells.get(ref);
+                cells.push({ ref, row, col, value: cell ? cell.value : '' });
+            }
         }
 
-        // Fill right
-        for (let col = targetColStart; col <= targetColEnd; col++) {
-            for (let rowOffset = 0; rowOffset < sourceHeight; rowOffset++) {
-                const sourceRow = sourceStartRow + rowOffset;
-                const targetRow = targetStartRow + rowOffset;
-                const sourceColToUse = sourceColStart + ((col - targetColStart) % (sourceColEnd - sourceColStart + 1));
-
-                const sourceCellRef = SpreadsheetModel.formatCellRef(sourceColToUse, sourceRow);
-                const targetCellRef = SpreadsheetModel.formatCellRef(col, targetRow);
+        if (VISUAL_FORMAT_TYPES.includes(rule.type)) {
+            return computeVisualFormat(rule, cells);
+        }
+        if (rule.type !== 'expression') {
+            return matchConditionalFormat(rule, cells);
+        }
+        if (!rexxInterpreter) {
+            return previous;
+        }
 
-                const sourceCell = this.getCell(sourceCellRef);
-                if (sourceCell.expression) {
-                    // Adjust formula for new position
-                    const rowDiff = targetRow - sourceRow;
-                    const colDiff = col - sourceColToUse;
-                    const adjustedExpression = this._adjustFormulaForCopy(sourceCell.expression, rowDiff, colDiff);
-                    this.setCell(targetCellRef, '=' + adjustedExpression, rexxInterpreter, {
-                        format: sourceCell.format,
-                        comment: sourceCell.comment,
-                        wrapText: sourceCell.wrapText
-                    });
-                } else {
-                    this.setCell(targetCellRef, sourceCell.value, rexxInterpreter, {
-                        format: sourceCell.format,
-                        comment: sourceCell.comment,
-                        wrapText: sourceCell.wrapText
-                    });
+        const matched = new Set();
+        const trackedRanges = new Set();
+        // Counts as formula evaluation, so an expression that edits cells does not wait for this pass
+        this._evaluatingCells.push({ ref: null, sheet: sheetName, trackedRanges });
+        try {
+            for (const { ref, row, col } of cells) {
+                const expression = this._adjustFormulaForCopy(rule.expression, row - range.startRow, col - range.startCol);
+                try {
+                    if (isConditionTrue(await rexxInterpreter.evaluate(expression, this, { sheet: sheetName }))) {
+                        matched.add(ref);
+                    }
+                } catch (error) {
+                    // Not matched
                 }
             }
+        } finally {
+            this._evaluatingCells.pop();
         }
+        sheet.conditionalFormatRanges.set(ruleId, trackedRanges);
+        return matched;
     }
 
     /**
-     * Adjust formula when copying (not inserting/deleting)
-     * Only adjusts relative references
+     * Row Filtering Methods
      */
-    _adjustFormulaForCopy(expression, rowOffset, colOffset) {
-        if (!expression) return expression;
-
-        const cellRefPattern = /(\$?)([A-Z]+)(\$?)(\d+)/g;
-
-        return expression.replace(cellRefPattern, (match, colAbs, col, rowAbs, row) => {
-            const rowNum = parseInt(row, 10);
-            const colNum = SpreadsheetModel.colLetterToNumber(col);
-
-            const newRow = rowAbs ? rowNum : rowNum + rowOffset;
-            const newCol = colAbs ? col : SpreadsheetModel.colNumberToLetter(colNum + colOffset);
-
-            return `${colAbs}${newCol}${rowAbs}${newRow}`;
-        });
-    }
 
     /**
-     * Find all cells matching criteria
-     * @param {string} searchValue - Value to search for
-     * @param {Object} options - { matchCase: boolean, matchEntireCell: boolean, searchFormulas: boolean }
-     * @returns {Array} Array of cell references that match
+     * Apply a filter to show only rows that match criteria
+     * @param {number} columnNum - Column to filter by (1-based)
+     * @param {string|Function} criteria - Filter criteria (string, number, or function)
      */
-    find(searchValue, options = {}) {
-        const {
-            matchCase = false,
-            matchEntireCell = false,
-            searchFormulas = false
-        } = options;
+    applyRowFilter(columnNum, criteria) {
+        const sheet = this._getActiveSheet();
+        const filteredRows = new Set();
 
-        const results = [];
-        const searchStr = matchCase ? searchValue : searchValue.toLowerCase();
+        // Convert column number to letter if needed
+        const colLetter = typeof columnNum === 'number' ?
+            SpreadsheetModel.colNumberToLetter(columnNum) :
+            columnNum;
 
-        for (const [ref, cell] of this.cells.entries()) {
-            let textToSearch = searchFormulas && cell.expression ? cell.expression : cell.value;
-            if (!matchCase) {
-                textToSearch = String(textToSearch).toLowerCase();
+        // Iterate through all rows
+        for (let row = 1; row <= this.rows; row++) {
+            const cellRef = SpreadsheetModel.formatCellRef(colLetter, row);
+            const cell = this.getCell(cellRef);
+            const value = cell.value;
+
+            let matches = false;
+
+            if (typeof criteria === 'function') {
+                matches = criteria(value, row);
+            } else if (typeof criteria === 'string') {
+                // String matching (case-insensitive)
+                matches = String(value).toLowerCase().includes(criteria.toLowerCase());
             } else {
-                textToSearch = String(textToSearch);
+                // Exact match
+                matches = value == criteria;
             }
 
-            const matches = matchEntireCell
-                ? textToSearch === searchStr
-                : textToSearch.includes(searchStr);
-
             if (matches) {
-                results.push(ref);
+                filteredRows.add(row);
             }
         }
 
-        return results;
+        sheet.filteredRows = filteredRows;
+        sheet.filterCriteria = { column: columnNum, criteria };
     }
 
     /**
-     * Replace all occurrences of a value
-     * @param {string} searchValue - Value to search for
-     * @param {string} replaceValue - Value to replace with
-     * @param {Object} options - { matchCase, matchEntireCell, searchFormulas }
-     * @param {Object} rexxInterpreter - Optional interpreter for recalculation
-     * @returns {number} Number of replacements made
+     * Clear all row filters
      */
-    replace(searchValue, replaceValue, options = {}, rexxInterpreter = null) {
-        const {
-            matchCase = false,
-            matchEntireCell = false,
-            searchFormulas = false
-        } = options;
-
-        let count = 0;
-
-        for (const [ref, cell] of this.cells.entries()) {
-            let textToReplace = searchFormulas && cell.expression ? cell.expression : cell.value;
-            let originalText = textToReplace;
-
-            if (matchEntireCell) {
-                if (matchCase) {
-                    if (textToReplace === searchValue) {
-                        textToReplace = replaceValue;
-                    }
-                } else {
-                    if (String(textToReplace).toLowerCase() === searchValue.toLowerCase()) {
-                        textToReplace = replaceValue;
-                    }
-                }
-            } else {
-                if (matchCase) {
-                    textToReplace = String(textToReplace).split(searchValue).join(replaceValue);
-                } else {
-                    const regex = new RegExp(searchValue.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
-                    textToReplace = String(textToReplace).replace(regex, replaceValue);
-                }
-            }
-
-            if (textToReplace !== originalText) {
-                if (searchFormulas && cell.expression) {
-                    this.setCell(ref, '=' + textToReplace, rexxInterpreter, {
-                        format: cell.format,
-                        comment: cell.comment,
-                        wrapText: cell.wrapText
-                    });
-                } else {
-                    this.setCell(ref, textToReplace, rexxInterpreter, {
-                        format: cell.format,
-                        comment: cell.comment,
-                        wrapText: cell.wrapText
-                    });
-                }
-                count++;
-            }
-        }
-
-        return count;
+    clearRowFilter() {
+        const sheet = this._getActiveSheet();
+        sheet.filteredRows = null;
+        sheet.filterCriteria = null;
     }
 
     /**
-     * Hide a row
-     * @param {number} rowNum - Row number to hide
+     * Check if a row is visible (not filtered out)
      */
-    hideRow(rowNum) {
-        if (rowNum < 1 || rowNum > this.rows) {
-            throw new Error(`Invalid row number: ${rowNum}`);
+    isRowVisible(rowNum) {
+        const sheet = this._getActiveSheet();
+        if (sheet.filteredRows === null) {
+            return true; // No filter applied
         }
-        this.hiddenRows.add(rowNum);
+        return sheet.filteredRows.has(rowNum);
     }
 
     /**
-     * Unhide a row
-     * @param {number} rowNum - Row number to unhide
+     * Get filter criteria
      */
-    unhideRow(rowNum) {
-        this.hiddenRows.delete(rowNum);
+    getFilterCriteria() {
+        return this._getActiveSheet().filterCriteria;
     }
 
     /**
-     * Hide a column
-     * @param {number|string} colNum - Column number or letter to hide
+     * Column Reordering Methods
      */
-    hideColumn(colNum) {
-        if (typeof colNum === 'string') {
-            colNum = SpreadsheetModel.colLetterToNumber(colNum);
-        }
-        if (colNum < 1 || colNum > this.cols) {
-            throw new Error(`Invalid column number: ${colNum}`);
-        }
-        this.hiddenColumns.add(colNum);
-    }
 
     /**
-     * Unhide a column
-     * @param {number|string} colNum - Column number or letter to unhide
+     * Move a column left (swap with previous column)
+     * @param {number|string} colNum - Column to move (1-based number or letter)
+     * @param {Object} rexxInterpreter - Optional interpreter for recalculation
      */
-    unhideColumn(colNum) {
+    moveColumnLeft(colNum, rexxInterpreter = null) {
         if (typeof colNum === 'string') {
             colNum = SpreadsheetModel.colLetterToNumber(colNum);
         }
-        this.hiddenColumns.delete(colNum);
-    }
 
-    /**
-     * Check if a row is hidden
-     */
-    isRowHidden(rowNum) {
-        return this.hiddenRows.has(rowNum);
+        if (colNum <= 1) {
+            throw new Error('Cannot move first column left');
+        }
+
+        this._recordChange(`moveColumnLeft ${colNum}`, { cells: 'all' }, () => {
+            this._swapColumns(colNum, colNum - 1, rexxInterpreter);
+        });
+        this._emit('rangeChanged', { sheet: this.activeSheetName, range: null, action: 'moveColumnLeft' });
     }
 
     /**
-     * Check if a column is hidden
+     * Move a column right (swap with next column)
+     * @param {number|string} colNum - Column to move (1-based number or letter)
+     * @param {Object} rexxInterpreter - Optional interpreter for recalculation
      */
-    isColumnHidden(colNum) {
+    moveColumnRight(colNum, rexxInterpreter = null) {
         if (typeof colNum === 'string') {
             colNum = SpreadsheetModel.colLetterToNumber(colNum);
         }
-        return this.hiddenColumns.has(colNum);
+
+        if (colNum >= this.cols) {
+            throw new Error('Cannot move last column right');
+        }
+
+        this._recordChange(`moveColumnRight ${colNum}`, { cells: 'all' }, () => {
+            this._swapColumns(colNum, colNum + 1, rexxInterpreter);
+        });
+        this._emit('rangeChanged', { sheet: this.activeSheetName, range: null, action: 'moveColumnRight' });
     }
 
     /**
-     * Set column width
-     * @param {number|string} colNum - Column number or letter
-     * @param {number} width - Width in pixels (must be > 0)
+     * Swap two columns
+     * @param {number} col1 - First column number (1-based)
+     * @param {number} col2 - Second column number (1-based)
+     * @param {Object} rexxInterpreter - Optional interpreter for recalculation
      */
-    setColumnWidth(colNum, width) {
-        if (typeof colNum === 'string') {
-            colNum = SpreadsheetModel.colLetterToNumber(colNum);
-        }
-        if (colNum < 1 || colNum > this.cols) {
-            throw new Error(`Invalid column number: ${colNum}`);
+    _swapColumns(col1, col2, rexxInterpreter = null) {
+        const newCells = new Map();
+        const col1Letter = SpreadsheetModel.colNumberToLetter(col1);
+        const col2Letter = SpreadsheetModel.colNumberToLetter(col2);
+
+        // Swap all cells in the two columns
+        for (const [ref, cell] of this.cells.entries()) {
+            const { col, row } = SpreadsheetModel.parseCellRef(ref);
+            const colNum = SpreadsheetModel.colLetterToNumber(col);
+            const cellCopy = { ...cell };
+
+            // Adjust formula references if this cell has an expression
+            if (cellCopy.expression) {
+                cellCopy.expression = this._adjustCellReferencesForColumnSwap(
+                    cellCopy.expression,
+                    col1,
+                    col2
+                );
+            }
+
+            let newRef;
+            if (colNum === col1) {
+                // Move from col1 to col2
+                newRef = SpreadsheetModel.formatCellRef(col2Letter, row);
+            } else if (colNum === col2) {
+                // Move from col2 to col1
+                newRef = SpreadsheetModel.formatCellRef(col1Letter, row);
+            } else {
+                // Keep in same position
+                newRef = ref;
+            }
+
+            newCells.set(newRef, cellCopy);
         }
-        if (width <= 0) {
-            throw new Error(`Width must be greater than 0: ${width}`);
+
+        // Replace cells map
+        this.cells = newCells;
+
+        // Rebuild dependents map
+        this._rebuildDependents();
+
+        // Recalculate all formulas if interpreter provided
+        if (rexxInterpreter) {
+            this._recalculateAll(rexxInterpreter);
         }
-        this.columnWidths.set(colNum, width);
     }
 
     /**
-     * Get column width
-     * @param {number|string} colNum - Column number or letter
-     * @returns {number} Width in pixels (default 100 if not set)
+     * Adjust cell references in formulas when columns are swapped
      */
-    getColumnWidth(colNum) {
-        if (typeof colNum === 'string') {
-            colNum = SpreadsheetModel.colLetterToNumber(colNum);
-        }
-        return this.columnWidths.get(colNum) || 100; // Default width 100px
+    _adjustCellReferencesForColumnSwap(expression, col1, col2) {
+        if (!expression) return expression;
+
+        const cellRefPattern = /(\$?)([A-Z]+)(\$?)(\d+)/g;
+
+        return expression.replace(cellRefPattern, (match, colAbs, col, rowAbs, row) => {
+            const colNum = SpreadsheetModel.colLetterToNumber(col);
+            let newCol = col;
+
+            if (!colAbs) { // Only adjust relative references
+                if (colNum === col1) {
+                    newCol = SpreadsheetModel.colNumberToLetter(col2);
+                } else if (colNum === col2) {
+                    newCol = SpreadsheetModel.colNumberToLetter(col1);
+                }
+            }
+
+            return `${colAbs}${newCol}${rowAbs}${row}`;
+        });
     }
 
     /**
-     * Set row height
-     * @param {number} rowNum - Row number
-     * @param {number} height - Height in pixels (must be > 0)
+     * What-if analysis: Goal Seek and Solver
+     * Both search by writing trial values into the changing cells and
+     * recalculating. Trial values are not recorded in history; the answer is
+     * written back as one undoable step, and the changing cells are restored
+     * when no answer is found.
      */
-    setRowHeight(rowNum, height) {
-        if (rowNum < 1 || rowNum > this.rows) {
-            throw new Error(`Invalid row number: ${rowNum}`);
+
+    /**
+     * Find the value of one cell that makes a formula cell reach a target value
+     * @param {string} targetRef - Formula cell to drive, e.g. "B5"
+     * @param {number} targetValue - Value the target cell should reach
+     * @param {string} changingRef - Value cell to vary
+     * @param {Object} rexxInterpreter - Interpreter used to recalculate
+     * @param {Object} options - {maxIterations, tolerance}
+     * @returns {Promise<{found: boolean, value: number, achieved: number, iterations: number}>}
+     */
+    async goalSeek(targetRef, targetValue, changingRef, rexxInterpreter, options = {}) {
+        this._assertCanEdit();
+        const goal = Number(targetValue);
+        if (targetValue === '' || !Number.isFinite(goal)) {
+            throw new Error(`Goal Seek target value must be a number, got ${targetValue}`);
         }
-        if (height <= 0) {
-            throw new Error(`Height must be greater than 0: ${height}`);
+        this._checkWhatIfCells(targetRef, [changingRef], rexxInterpreter);
+
+        const start = this._numericValue(changingRef);
+        const result = await this._withTrialValues([changingRef], rexxInterpreter, setTrialValues => seekGoal(async (x) => {
+            await setTrialValues([x]);
+            return this._numericValue(targetRef) - goal;
+        }, Number.isFinite(start) ? start : 0, options));
+
+        if (result.found) {
+            await this._writeWhatIfResult(`Goal Seek ${targetRef}`, [changingRef], [result.x], rexxInterpreter);
         }
-        this.rowHeights.set(rowNum, height);
+        return { found: result.found, value: result.x, achieved: goal + result.fx, iterations: result.iterations };
     }
 
     /**
-     * Get row height
-     * @param {number} rowNum - Row number
-     * @returns {number} Height in pixels (default 32 if not set)
+     * Minimize or maximize a formula cell, or drive it to a value, by varying a
+     * range of value cells subject to constraints
+     * @param {Object} problem - Problem definition
+     * @param {string} problem.target - Formula cell to optimize
+     * @param {string} problem.goal - 'max', 'min' or 'value'
+     * @param {number} problem.targetValue - Value to reach when goal is 'value'
+     * @param {string} problem.changing - Value cells to vary, e.g. "B1:B3"
+     * @param {Object[]} problem.constraints - {ref, operator: '<=' | '>=' | '=', value};
+     *   value is a number or a cell reference
+     * @param {Object} rexxInterpreter - Interpreter used to recalculate
+     * @param {Object} options - {maxIterations, tolerance}
+     * @returns {Promise<{feasible: boolean, converged: boolean, objective: number, values: Object, iterations: number}>}
      */
-    getRowHeight(rowNum) {
-        return this.rowHeights.get(rowNum) || 32; // Default height 32px
+    async solve(problem, rexxInterpreter, options = {}) {
+        this._assertCanEdit();
+        const { target, goal = 'max', targetValue, changing, constraints = [] } = problem;
+        if (!['max', 'min', 'value'].includes(goal)) {
+            throw new Error(`Solver goal must be max, min or value, got ${goal}`);
+        }
+        if (goal === 'value' && !Number.isFinite(Number(targetValue))) {
+            throw new Error(`Solver target value must be a number, got ${targetValue}`);
+        }
+        constraints.forEach(constraint => {
+            if (!SOLVER_OPERATORS.includes(constraint.operator)) {
+                throw new Error(`Unknown constraint operator: ${constraint.operator}`);
+            }
+            SpreadsheetModel.parseCellRef(constraint.ref);
+        });
+
+        const refs = this._whatIfRefs(changing);
+        this._checkWhatIfCells(target, refs, rexxInterpreter);
+
+        const violation = () => constraints.reduce((total, { ref, operator, value }) => {
+            const actual = this._numericValue(ref);
+            const limit = typeof value === 'string' && /^[A-Z]+\d+$/i.test(value) ? this._numericValue(value) : Number(value);
+            if (!Number.isFinite(actual) || !Number.isFinite(limit)) {
+                return Infinity;
+            }
+            const excess = operator === '<=' ? actual - limit : operator === '>=' ? limit - actual : Math.abs(actual - limit);
+            return total + Math.max(0, excess - 1e-9 * (1 + Math.abs(limit)));
+        }, 0);
+        const start = refs.map(ref => this._numericValue(ref)).map(value => Number.isFinite(value) ? value : 0);
+        const searchOptions = { maxIterations: 200 * refs.length, ...options };
+        const outcome = await this._withTrialValues(refs, rexxInterpreter, async (setTrialValues) => {
+            const objective = async (values) => {
+                await setTrialValues(values);
+                const actual = this._numericValue(target);
+                const base = goal === 'max' ? -actual : goal === 'min' ? actual : (actual - Number(targetValue)) ** 2;
+                return base + SOLVER_PENALTY * violation();
+            };
+
+            // Restarting from the best point lets a collapsed simplex recover
+            let best = await minimize(objective, start, searchOptions);
+            for (let restart = 0; restart < 3; restart++) {
+                const next = await minimize(objective, best.x, searchOptions);
+                const improved = next.fx < best.fx - 1e-9 * (1 + Math.abs(best.fx));
+                best = next.fx <= best.fx ? next : best;
+                if (!improved) {
+                    break;
+                }
+            }
+            await setTrialValues(best.x);
+            return { ...best, feasible: violation() === 0, objective: this._numericValue(target) };
+        });
+
+        if (outcome.feasible) {
+            await this._writeWhatIfResult(`Solver ${target}`, refs, outcome.x, rexxInterpreter);
+        }
+        return {
+            feasible: outcome.feasible,
+            converged: outcome.converged,
+            objective: outcome.objective,
+            values: Object.fromEntries(refs.map((ref, i) => [ref, outcome.x[i]])),
+            iterations: outcome.iterations
+        };
     }
 
     /**
-     * Define a named range
-     * @param {string} name - Name for the range (e.g., "SalesData")
-     * @param {string} rangeRef - Range reference (e.g., "A1:B10")
+     * Expand a cell or range reference into cell references, row by row
      */
-    defineNamedRange(name, rangeRef) {
-        // Validate name (alphanumeric, underscore, must start with letter)
-        if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
-            throw new Error('Named range must start with a letter and contain only letters, numbers, and underscores');
+    _whatIfRefs(rangeRef) {
+        if (!String(rangeRef).includes(':')) {
+            SpreadsheetModel.parseCellRef(rangeRef);
+            return [String(rangeRef).toUpperCase()];
         }
-
-        // Validate range reference
-        const match = rangeRef.match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/i);
-        if (!match) {
-            throw new Error(`Invalid range reference: ${rangeRef}`);
+        const range = this.parseRange(rangeRef);
+        if (!range) {
+            throw new Error(`Invalid range: ${rangeRef}`);
         }
-
-        this.namedRanges.set(name, rangeRef.toUpperCase());
+        const refs = [];
+        for (let row = range.startRow; row <= range.endRow; row++) {
+            for (let col = range.startCol; col <= range.endCol; col++) {
+                refs.push(SpreadsheetModel.formatCellRef(col, row));
+            }
+        }
+        return refs;
     }
 
     /**
-     * Delete a named range
-     * @param {string} name - Name of the range to delete
+     * Validate the cells of a Goal Seek or Solver run
      */
-    deleteNamedRange(name) {
-        this.namedRanges.delete(name);
+    _checkWhatIfCells(targetRef, changingRefs, rexxInterpreter) {
+        if (!rexxInterpreter) {
+            throw new Error('Goal Seek and Solver need an interpreter to recalculate');
+        }
+        SpreadsheetModel.parseCellRef(targetRef);
+        if (!this.getCellExpression(targetRef)) {
+            throw new Error(`Target cell ${targetRef} must contain a formula`);
+        }
+        for (const ref of changingRefs) {
+            SpreadsheetModel.parseCellRef(ref);
+            if (this.getCellExpression(ref)) {
+                throw new Error(`Changing cell ${ref} must contain a value, not a formula`);
+            }
+        }
     }
 
     /**
-     * Get a named range reference
-     * @param {string} name - Name of the range
-     * @returns {string|null} Range reference or null if not found
+     * Numeric value of a cell; blank counts as 0, text and errors as NaN
      */
-    getNamedRange(name) {
-        return this.namedRanges.get(name) || null;
+    _numericValue(ref) {
+        const value = this.getCellValue(ref);
+        return value === '' ? 0 : Number(value);
     }
 
     /**
-     * Get all named ranges
-     * @returns {Object} Object with name -> range mappings
+     * Run a search that tries values in the changing cells, then put the cells
+     * back the way they were (content and metadata). Like a data table's trial
+     * runs, trial values are written straight into the cells, so they are
+     * neither recorded for undo nor reported as changes. The search takes the
+     * place of a recalculation pass: edits made meanwhile are recorded as
+     * usual, and recalculated once the changing cells are restored.
+     * @param {string[]} refs - Changing cells on the active sheet
+     * @param {object} rexxInterpreter - Interpreter used to recalculate
+     * @param {Function} search - Called with setTrialValues(values), which
+     *   writes one value (or formula) per changing cell and re-evaluates the
+     *   cells depending on them
+     * @returns {Promise<*>} What search returns
      */
-    getAllNamedRanges() {
-        return Object.fromEntries(this.namedRanges);
+    async _withTrialValues(refs, rexxInterpreter, search) {
+        while (this._recalcPromise) {
+            await this._recalcPromise;
+        }
+
+        const sheetName = this.activeSheetName;
+        const sheet = this.sheets.get(sheetName);
+        const saved = refs.map(ref => sheet.cells.get(ref));
+        const written = refs.map(() => null);
+        const affected = this._collectDependents(refs.map(ref => this._qualifyRef(ref, sheetName)));
+        const oldValues = new Map(Array.from(affected, qualifiedRef => [qualifiedRef, this._getQualifiedCell(qualifiedRef)?.value]));
+        const place = (ref, cell) => {
+            const current = sheet.cells.get(ref);
+            if (current) {
+                this._unregisterDependencies(ref, current, sheetName);
+            }
+            if (cell) {
+                sheet.cells.set(ref, cell);
+                this._registerDependencies(ref, cell, sheetName);
+            } else {
+                sheet.cells.delete(ref);
+            }
+        };
+        const setTrialValues = async (values) => {
+            refs.forEach((ref, i) => {
+                const content = String(values[i]).trim();
+                const expression = content.startsWith('=') ? content.substring(1).trim() : null;
+                written[i] = {
+                    ...(saved[i] || { comment: '', format: '', chartScript: null, wrapText: false }),
+                    value: expression ? '' : String(values[i]),
+                    expression,
+                    dependencies: expression ? this.extractCellReferences(expression) : [],
+                    rangeDependencies: expression ? this.extractRangeReferences(expression, sheetName) : [],
+                    error: null,
+                    errorType: null
+                };
+                place(ref, written[i]);
+            });
+            await this._evaluateInOrder(affected, rexxInterpreter, new Set());
+        };
+
+        const trial = (async () => {
+            this._trialEvaluation++;
+            try {
+                return await search(setTrialValues);
+            } finally {
+                // A changing cell the user edited during the search keeps the edit
+                refs.forEach((ref, i) => {
+                    if (written[i] && sheet.cells.get(ref) === written[i]) {
+                        place(ref, saved[i]);
+                    }
+                });
+                await this._evaluateInOrder(affected, rexxInterpreter, new Set());
+                this._trialEvaluation--;
+                // Only edits made during the search can have changed what was there before
+                affected.forEach(qualifiedRef => this._emitRecalculatedValue(qualifiedRef, oldValues.get(qualifiedRef)));
+            }
+        })();
+        this._recalcInterpreter = rexxInterpreter;
+        this._recalcPromise = trial
+            .catch(() => {})
+            .then(() => (this._dirtyCells.size > 0 ? this._runRecalculation() : undefined))
+            .finally(() => {
+                this._recalcPromise = null;
+            });
+        await this._recalcPromise;
+        return trial;
     }
 
     /**
-     * Resolve named ranges in an expression
-     * @param {string} expression - Expression that may contain named ranges
-     * @returns {string} Expression with named ranges replaced by cell references
+     * Write a Goal Seek or Solver answer as one undoable step
      */
-    resolveNamedRanges(expression) {
-        if (!expression) return expression;
-
-        // Replace named ranges with their cell references
-        // Named ranges should match pattern: word boundary + name + word boundary
-        for (const [name, rangeRef] of this.namedRanges.entries()) {
-            const regex = new RegExp(`\\b${name}\\b`, 'g');
-            expression = expression.replace(regex, rangeRef);
-        }
-
-        return expression;
+    _writeWhatIfResult(action, refs, values, rexxInterpreter) {
+        return this._recordChange(action, { cells: refs }, () => {
+            // Drop floating-point noise such as 4.999999999999999
+            refs.forEach((ref, i) => this.setCell(ref, String(Number(values[i].toPrecision(15)))));
+            return this.recalculate(refs, rexxInterpreter);
+        });
     }
 
     /**
-     * Set table metadata for a named range
-     * @param {string} tableName - Name of the table (must match a named range or range reference)
-     * @param {Object} metadata - Table metadata object
-     * @param {string} metadata.range - Range reference (e.g., "A1:D100")
-     * @param {Object} metadata.columns - Column name to column letter mappings (e.g., {id: "A", name: "B"})
-     * @param {boolean} metadata.hasHeader - Whether the range has a header row
-     * @param {Object} [metadata.types] - Optional column type information (e.g., {id: "number", name: "string"})
-     * @param {Object} [metadata.descriptions] - Optional column descriptions
+     * Scenarios
+     * A scenario is a named set of values for input cells on a sheet ("Best
+     * case", "Worst case"). Applying one writes its values as one undoable
+     * step; comparing them uses the same trial-and-restore machinery as Goal
+     * Seek, so the sheet is left as it was.
      */
-    setTableMetadata(tableName, metadata) {
-        // Validate table name
-        if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(tableName)) {
-            throw new Error('Table name must start with a letter and contain only letters, numbers, and underscores');
-        }
 
-        // Validate required fields
-        if (!metadata.range || !metadata.columns) {
-            throw new Error('Table metadata must include range and columns');
+    /**
+     * Add (or replace) a scenario
+     * @param {string} name - Scenario name, e.g. "Best case"
+     * @param {Object|string|string[]} cells - {A1: value} map, or cell/range
+     *   references whose current contents are stored
+     * @param {string} comment - Optional description
+     * @returns {string} Scenario name
+     */
+    addScenario(name, cells, comment = '') {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Scenario name is required');
         }
 
-        // Validate range reference
-        const match = metadata.range.match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/i);
-        if (!match) {
-            throw new Error(`Invalid range reference: ${metadata.range}`);
+        let values;
+        if (typeof cells === 'string' || Array.isArray(cells)) {
+            const refs = [].concat(cells).flatMap(spec => this._whatIfRefs(spec));
+            values = Object.fromEntries(refs.map(ref => [ref, this._cellContent(ref)]));
+        } else {
+            values = Object.fromEntries(Object.entries(cells || {})
+                .map(([ref, value]) => [ref.trim().toUpperCase(), String(value)]));
         }
-
-        // Validate columns object
-        if (typeof metadata.columns !== 'object' || Array.isArray(metadata.columns)) {
-            throw new Error('Columns must be an object mapping column names to column letters');
+        const refs = Object.keys(values);
+        if (refs.length === 0) {
+            throw new Error(`Scenario ${name} needs at least one input cell`);
+        }
+        for (const ref of refs) {
+            if (!/^[A-Z]+\d+$/.test(ref)) {
+                throw new Error(`Invalid cell reference: ${ref}`);
+            }
         }
 
-        // Store the metadata
-        this.tableMetadata.set(tableName, {
-            range: metadata.range.toUpperCase(),
-            columns: metadata.columns,
-            hasHeader: metadata.hasHeader !== false, // Default to true
-            types: metadata.types || {},
-            descriptions: metadata.descriptions || {}
+        return this._recordChange(`addScenario ${name}`, { entries: { scenarios: [name] } }, () => {
+            this.scenarios.set(name, { cells: values, comment });
+            return name;
         });
-
-        // Also create/update a named range for the table
-        this.namedRanges.set(tableName, metadata.range.toUpperCase());
     }
 
     /**
-     * Get table metadata
-     * @param {string} tableName - Name of the table
-     * @returns {Object|null} Table metadata or null if not found
+     * Delete a scenario
+     * @param {string} name - Scenario name
      */
-    getTableMetadata(tableName) {
-        return this.tableMetadata.get(tableName) || null;
+    deleteScenario(name) {
+        return this._recordChange(`deleteScenario ${name}`, { entries: { scenarios: [name] } }, () => {
+            if (!this.scenarios.has(name)) {
+                throw new Error(`Scenario not found: ${name}`);
+            }
+
+            this.scenarios.delete(name);
+
+            return name;
+        });
     }
 
     /**
-     * Delete table metadata
-     * @param {string} tableName - Name of the table
+     * Get a scenario
+     * @param {string} name - Scenario name
+     * @returns {object|null} {cells, comment} or null
      */
-    deleteTableMetadata(tableName) {
-        this.tableMetadata.delete(tableName);
-        // Optionally delete the associated named range
-        this.namedRanges.delete(tableName);
+    getScenario(name) {
+        return this.scenarios.get(name) || null;
     }
 
     /**
-     * Get all table metadata
-     * @returns {Object} Object with table name -> metadata mappings
+     * Get all scenarios on the active sheet
+     * @returns {Array} Array of {name, cells, comment} objects
      */
-    getAllTableMetadata() {
-        return Object.fromEntries(this.tableMetadata);
+    getAllScenarios() {
+        return Array.from(this.scenarios.entries(), ([name, scenario]) => ({ name, ...scenario }));
     }
 
     /**
-     * List all table names
-     * @returns {Array<string>} Array of table names
+     * Write a scenario's values into its input cells as one undoable step
+     * @param {string} name - Scenario name
+     * @param {object} rexxInterpreter - Optional interpreter for recalculation
+     * @returns {Promise<void>} Resolves once dependents have recalculated
      */
-    listTables() {
-        return Array.from(this.tableMetadata.keys());
+    applyScenario(name, rexxInterpreter = null) {
+        const scenario = this.scenarios.get(name);
+        if (!scenario) {
+            throw new Error(`Scenario not found: ${name}`);
+        }
+
+        const refs = Object.keys(scenario.cells);
+        return this._recordChange(`applyScenario ${name}`, { cells: refs }, () => {
+            refs.forEach(ref => this.setCell(ref, scenario.cells[ref]));
+            return this.recalculate(refs, rexxInterpreter);
+        });
     }
 
     /**
-     * Freeze panes - lock rows and columns in place
-     * @param {number} rows - Number of rows to freeze from top
-     * @param {number} cols - Number of columns to freeze from left
+     * Compute result cells under each scenario without changing the sheet
+     * @param {string|string[]} resultRefs - Output cells, e.g. "B10,B12" or ["B10:B12"]
+     * @param {object} rexxInterpreter - Interpreter used to recalculate
+     * @param {string[]} names - Scenarios to compare (default: all, in creation order)
+     * @returns {Promise<Array<{name: string, inputs: Object, results: Object}>>}
+     *   Input and result cell values per scenario
      */
-    freezePanes(rows, cols) {
-        if (rows < 0 || rows > this.rows) {
-            throw new Error(`Invalid rows to freeze: ${rows}`);
-        }
-        if (cols < 0 || cols > this.cols) {
-            throw new Error(`Invalid columns to freeze: ${cols}`);
-        }
-        this.frozenRows = rows;
-        this.frozenColumns = cols;
+    async compareScenarios(resultRefs, rexxInterpreter, names = null) {
+        if (!rexxInterpreter) {
+            throw new Error('Comparing scenarios needs an interpreter to recalculate');
+        }
+        const outputs = this._scenarioResultRefs(resultRefs);
+        const compared = (names || Array.from(this.scenarios.keys())).map(name => {
+            const scenario = this.scenarios.get(name);
+            if (!scenario) {
+                throw new Error(`Scenario not found: ${name}`);
+            }
+            return { name, scenario };
+        });
+
+        // Every scenario sets all inputs, so none inherits another's values
+        const inputRefs = this._scenarioInputRefs(compared.map(({ scenario }) => scenario));
+        const current = inputRefs.map(ref => this._cellContent(ref));
+        const valuesOf = refs => Object.fromEntries(refs.map(ref => [ref, this.getCellValue(ref)]));
+
+        await this.whenRecalculated();
+        return this._withTrialValues(inputRefs, rexxInterpreter, async (setTrialValues) => {
+            const comparison = [];
+            for (const { name, scenario } of compared) {
+                const contents = inputRefs.map((ref, i) => (ref in scenario.cells ? scenario.cells[ref] : current[i]));
+                await setTrialValues(contents);
+                comparison.push({ name, inputs: valuesOf(inputRefs), results: valuesOf(outputs) });
+            }
+            return comparison;
+        });
     }
 
     /**
-     * Unfreeze all panes
+     * Write a scenario summary sheet: one column for the current values and one
+     * per scenario, with rows for the changing cells and the result cells.
+     * An existing sheet of the same name is replaced. One undoable step.
+     * @param {string|string[]} resultRefs - Output cells to report
+     * @param {object} rexxInterpreter - Interpreter used to recalculate
+     * @param {Object} options - {sheetName = 'ScenarioSummary', names}
+     * @returns {Promise<string>} Name of the summary sheet
      */
-    unfreezePanes() {
-        this.frozenRows = 0;
-        this.frozenColumns = 0;
+    async scenarioSummary(resultRefs, rexxInterpreter, options = {}) {
+        this._assertCanEdit();
+        const { sheetName = 'ScenarioSummary', names = null } = options;
+        const sourceSheet = this.activeSheetName;
+        if (sheetName === sourceSheet) {
+            throw new Error('The scenario summary cannot replace the sheet its scenarios are on');
+        }
+
+        const comparison = await this.compareScenarios(resultRefs, rexxInterpreter, names);
+        const outputs = this._scenarioResultRefs(resultRefs);
+        const inputRefs = comparison.length > 0 ? Object.keys(comparison[0].inputs) : [];
+
+        const rows = [
+            [`Scenario Summary (${sourceSheet})`, 'Current values', ...comparison.map(entry => entry.name)],
+            ['Changing cells:'],
+            ...inputRefs.map(ref => [ref, this.getCellValue(ref), ...comparison.map(entry => entry.inputs[ref])]),
+            ['Result cells:'],
+            ...outputs.map(ref => [ref, this.getCellValue(ref), ...comparison.map(entry => entry.results[ref])])
+        ];
+
+        this.transaction(`scenarioSummary ${sheetName}`, () => {
+            if (!this.sheets.has(sheetName)) {
+                this.addSheet(sheetName);
+            }
+            this.activeSheetName = sheetName;
+            try {
+                this.clearCells();
+                rows.forEach((row, rowIndex) => row.forEach((value, colIndex) => {
+                    if (value !== '' && value !== undefined) {
+                        this.setCell(SpreadsheetModel.formatCellRef(colIndex + 1, rowIndex + 1), String(value));
+                    }
+                }));
+            } finally {
+                this.activeSheetName = sourceSheet;
+            }
+        });
+
+        return sheetName;
     }
 
     /**
-     * Get frozen pane settings
-     * @returns {Object} {rows, columns}
+     * Union of the input cells of several scenarios, in first-seen order
+     * @private
      */
-    getFrozenPanes() {
-        return {
-            rows: this.frozenRows,
-            columns: this.frozenColumns
-        };
+    _scenarioInputRefs(scenarios) {
+        const refs = new Set();
+        scenarios.forEach(scenario => Object.keys(scenario.cells).forEach(ref => refs.add(ref)));
+        return Array.from(refs);
     }
 
     /**
-     * Set cell validation rules
-     * @param {string} cellRef - Cell reference
-     * @param {Object} validation - Validation rules
+     * Expand "B10,B12:B13" or ["B10", "B12:B13"] into cell references
+     * @private
      */
-    setCellValidation(cellRef, validation) {
-        if (!validation) {
-            this.validations.delete(cellRef);
-            return;
-        }
-
-        // Validate the validation object
-        if (!validation.type) {
-            throw new Error('Validation must have a type');
-        }
-
-        const validTypes = ['list', 'number', 'date', 'text', 'custom', 'contextual'];
-        if (!validTypes.includes(validation.type)) {
-            throw new Error(`Invalid validation type: ${validation.type}`);
+    _scenarioResultRefs(spec) {
+        const refs = [].concat(spec || [])
+            .flatMap(part => String(part).split(','))
+            .map(part => part.trim())
+            .filter(Boolean)
+            .flatMap(part => this._whatIfRefs(part));
+        if (refs.length === 0) {
+            throw new Error('At least one result cell is required');
         }
+        return refs;
+    }
 
-        // For contextual validations, ensure at least one context rule exists
-        if (validation.type === 'contextual') {
-            if (!validation.onCreate && !validation.onUpdate && !validation.always) {
-                throw new Error('Contextual validation requires at least one of: onCreate, onUpdate, or always');
-            }
+    /**
+     * Content of a cell as it would be typed: "=formula" or the literal value
+     * @private
+     */
+    _cellContent(ref) {
+        const cell = this.cells.get(ref);
+        if (!cell) {
+            return '';
         }
-
-        this.validations.set(cellRef, validation);
+        return cell.expression ? '=' + cell.expression : String(cell.value);
     }
 
     /**
-     * Get cell validation rules
-     * @param {string} cellRef - Cell reference
-     * @returns {Object|null} Validation rules or null
+     * Undo/Redo
+     * Each undo entry holds reversible operations (see spreadsheet-history.js).
+     * Mutating methods run inside _recordChange, which captures before/after
+     * deltas of just the cells and metadata they declare they touch.
      */
-    getCellValidation(cellRef) {
-        return this.validations.get(cellRef) || null;
-    }
 
     /**
-     * Validate a cell value against its validation rules
-     * @param {string} cellRef - Cell reference
-     * @param {string} value - Value to validate
-     * @param {string} context - Validation context: 'create', 'update', or 'always' (default: 'always')
-     * @param {Object} options - Optional: {interpreter, previousValue}
-     * @returns {Object} {valid: boolean, message: string}
+     * Run a change and record it as one undo step (or as part of the enclosing step)
+     * @param {string} action - History label, e.g. "setCell B4"
+     * @param {Object} touched - What the change may modify on the sheet:
+     *   { sheet, cells: [refs]|'all', entries: { mapOrSetKey: [keys]|'all' },
+     *     properties: [sheetKeys], workbook: [modelKeys] }
+     * @param {Function} change - Performs the change; its return value is passed through
+     * @returns {*} Result of change()
      */
-    validateCellValue(cellRef, value, context = 'always', options = {}) {
-        const validation = this.validations.get(cellRef);
-        if (!validation) {
-            return { valid: true, message: '' };
+    _recordChange(action, touched, change) {
+        this._assertCanEdit();
+        const sheetName = touched.sheet || this.activeSheetName;
+        if (!this.recordingHistory) {
+            const result = change();
+            this._emitMetadataChanged(sheetName, touched, action);
+            return result;
         }
 
-        // Determine if this is create or update context
-        const currentValue = this.getCellValue(cellRef);
-        const isCreate = !currentValue || currentValue === '';
-        const isUpdate = !isCreate;
-
-        // Adjust context based on cell state if context is 'always'
-        if (context === 'always') {
-            context = isCreate ? 'create' : 'update';
+        const before = this._captureState(sheetName, touched);
+        const start = this.history.begin(action);
+        try {
+            const result = change();
+            this.history.recordSince(start, this._diffState(sheetName, touched, before));
+            this._emitMetadataChanged(sheetName, touched, action);
+            return result;
+        } finally {
+            this.history.end();
         }
+    }
 
-        // Handle contextual validation type
-        if (validation.type === 'contextual') {
-            return this._validateContextual(cellRef, value, context, validation, options);
+    /**
+     * Report the metadata a recorded change touched (cells report themselves
+     * through cellChanged)
+     * @param {string} sheetName - Sheet the change applies to
+     * @param {Object} touched - Touched specification passed to _recordChange
+     * @param {string} action - History label of the change
+     */
+    _emitMetadataChanged(sheetName, touched, action) {
+        const keys = [...Object.keys(touched.entries || {}), ...(touched.properties || [])];
+        if (keys.length > 0) {
+            this._emit('metadataChanged', { sheet: sheetName, keys, action });
         }
+        if (touched.workbook && touched.workbook.length > 0) {
+            this._emit('metadataChanged', { sheet: null, keys: touched.workbook, action });
+        }
+    }
 
-        // Standard validation types
-        switch (validation.type) {
-            case 'list':
-                if (!validation.values || !Array.isArray(validation.values)) {
-                    return { valid: false, message: 'Invalid list validation configuration' };
-                }
-                const valid = validation.values.includes(value);
-                return {
-                    valid,
-                    message: valid ? '' : `Value must be one of: ${validation.values.join(', ')}`
-                };
-
-            case 'number':
-                const num = parseFloat(value);
-                if (isNaN(num)) {
-                    return { valid: false, message: 'Value must be a number' };
-                }
-                if (validation.min !== undefined && num < validation.min) {
-                    return { valid: false, message: `Value must be >= ${validation.min}` };
-                }
-                if (validation.max !== undefined && num > validation.max) {
-                    return { valid: false, message: `Value must be <= ${validation.max}` };
-                }
-                return { valid: true, message: '' };
-
-            case 'text':
-                const text = String(value);
-                if (validation.minLength !== undefined && text.length < validation.minLength) {
-                    return { valid: false, message: `Text must be at least ${validation.minLength} characters` };
-                }
-                if (validation.maxLength !== undefined && text.length > validation.maxLength) {
-                    return { valid: false, message: `Text must be at most ${validation.maxLength} characters` };
-                }
-                if (validation.pattern) {
-                    const regex = new RegExp(validation.pattern);
-                    if (!regex.test(text)) {
-                        return { valid: false, message: `Text must match pattern: ${validation.pattern}` };
-                    }
-                }
-                return { valid: true, message: '' };
-
-            case 'custom':
-                // Custom validation with a function (stored as string)
-                if (!validation.formula) {
-                    return { valid: false, message: 'Custom validation requires a formula' };
-                }
-                // For now, return valid - would need interpreter to evaluate
-                return { valid: true, message: '' };
-
-            default:
-                return { valid: true, message: '' };
+    /**
+     * Copy the parts of a sheet (and workbook) named by a touched specification
+     */
+    _captureState(sheetName, touched) {
+        const sheet = this._getSheet(sheetName);
+        const state = { cells: new Map(), entries: {}, properties: {}, workbook: {} };
+
+        const cellRefs = touched.cells === 'all' ? sheet.cells.keys() : (touched.cells || []);
+        for (const ref of cellRefs) {
+            state.cells.set(ref, cloneValue(sheet.cells.get(ref) || null));
+        }
+        for (const [key, entryKeys] of Object.entries(touched.entries || {})) {
+            const target = sheet[key];
+            const keys = entryKeys === 'all' ? target.keys() : entryKeys;
+            state.entries[key] = new Map();
+            for (const entryKey of keys) {
+                state.entries[key].set(entryKey, this._readEntry(target, entryKey));
+            }
+        }
+        for (const key of touched.properties || []) {
+            state.properties[key] = cloneValue(sheet[key]);
         }
+        for (const key of touched.workbook || []) {
+            state.workbook[key] = cloneValue(this[key]);
+        }
+        return state;
     }
 
     /**
-     * Validate contextual validation rules
-     * @private
+     * Turn a captured state and the current state into history operations
+     * @returns {Object[]} Operations for everything that changed
      */
-    _validateContextual(cellRef, value, context, validation, options) {
-        const results = [];
-
-        // Always validate 'always' rules
-        if (validation.always) {
-            const result = this._evaluateValidationFormula(
-                cellRef,
-                value,
-                validation.always,
-                context,
-                options
-            );
-            if (!result.valid) {
-                return result;
+    _diffState(sheetName, touched, before) {
+        const sheet = this._getSheet(sheetName);
+        const operations = [];
+
+        const cellRefs = new Set(before.cells.keys());
+        if (touched.cells === 'all') {
+            for (const ref of sheet.cells.keys()) cellRefs.add(ref);
+        }
+        for (const ref of cellRefs) {
+            const previous = before.cells.has(ref) ? before.cells.get(ref) : null;
+            const current = sheet.cells.get(ref) || null;
+            if (!sameCell(previous, current)) {
+                operations.push({ type: 'cell', sheet: sheetName, ref, before: previous, after: cloneValue(current) });
             }
-            results.push(result);
         }
 
-        // Validate context-specific rules
-        if (context === 'create' && validation.onCreate) {
-            const result = this._evaluateValidationFormula(
-                cellRef,
-                value,
-                validation.onCreate,
-                context,
-                options
-            );
-            if (!result.valid) {
-                return result;
+        for (const [key, entries] of Object.entries(before.entries)) {
+            const target = sheet[key];
+            const entryKeys = new Set(entries.keys());
+            if (touched.entries[key] === 'all') {
+                for (const entryKey of target.keys()) entryKeys.add(entryKey);
+            }
+            for (const entryKey of entryKeys) {
+                const previous = entries.get(entryKey);
+                const current = this._readEntry(target, entryKey);
+                if (!sameValue(previous, current)) {
+                    operations.push({ type: 'entry', sheet: sheetName, key, entryKey, before: previous, after: current });
+                }
             }
-            results.push(result);
         }
 
-        if (context === 'update' && validation.onUpdate) {
-            const result = this._evaluateValidationFormula(
-                cellRef,
-                value,
-                validation.onUpdate,
-                context,
-                options
-            );
-            if (!result.valid) {
-                return result;
+        for (const [key, previous] of Object.entries(before.properties)) {
+            if (!sameValue(previous, sheet[key])) {
+                operations.push({ type: 'property', sheet: sheetName, key, before: previous, after: cloneValue(sheet[key]) });
+            }
+        }
+        for (const [key, previous] of Object.entries(before.workbook)) {
+            if (!sameValue(previous, this[key])) {
+                operations.push({ type: 'property', sheet: null, key, before: previous, after: cloneValue(this[key]) });
             }
-            results.push(result);
         }
 
-        // All validations passed
-        return { valid: true, message: '' };
+        return operations;
     }
 
     /**
-     * Evaluate a validation formula
-     * @private
+     * Read one entry of a sheet Map (its value) or Set (true when present)
+     * @returns {*} Copy of the value, or undefined when absent
      */
-    _evaluateValidationFormula(cellRef, value, formula, context, options) {
-        try {
-            // Simple expression evaluation
-            // Support UNIQUE(range, value), PREVIOUS(cellRef), and simple comparisons
-
-            // Handle UNIQUE(range, value) - check if value is unique in range
-            const uniqueMatch = formula.match(/UNIQUE\(['"]([A-Z]+\d+:[A-Z]+\d+)['"]\s*,\s*(.+)\)/i);
-            if (uniqueMatch) {
-                const rangeRef = uniqueMatch[1];
-                const checkValue = value; // Use the value being validated
-
-                // Get all values in the range
-                const [start, end] = rangeRef.split(':');
-                const startParsed = SpreadsheetModel.parseCellRef(start);
-                const endParsed = SpreadsheetModel.parseCellRef(end);
+    _readEntry(target, entryKey) {
+        if (target instanceof Set) {
+            return target.has(entryKey) ? true : undefined;
+        }
+        return target.has(entryKey) ? cloneValue(target.get(entryKey)) : undefined;
+    }
 
-                const startCol = SpreadsheetModel.colLetterToNumber(startParsed.col);
-                const endCol = SpreadsheetModel.colLetterToNumber(endParsed.col);
-                const startRow = startParsed.row;
-                const endRow = endParsed.row;
+    /**
+     * Apply a row/column insert or delete to the active sheet and record it.
+     * The entry stores the edit itself; only state that re-applying its inverse
+     * cannot rebuild (deleted cells, references turned into #REF!, ...) is kept
+     * alongside it.
+     * @param {string} operation - 'insertRow', 'deleteRow', 'insertColumn', 'deleteColumn'
+     * @param {number} position - The row/column number where the operation occurs
+     */
+    _recordStructuralEdit(operation, position) {
+        this._assertCanEdit();
+        if (!this.recordingHistory) {
+            this._applyStructuralEdit(operation, position);
+            return;
+        }
 
-                // Check if value exists in range (excluding current cell)
-                for (let row = startRow; row <= endRow; row++) {
-                    for (let col = startCol; col <= endCol; col++) {
-                        const ref = SpreadsheetModel.formatCellRef(col, row);
-                        if (ref !== cellRef) {
-                            const cellValue = this.getCellValue(ref);
-                            if (cellValue === checkValue) {
-                                return {
-                                    valid: false,
-                                    message: `Value "${checkValue}" must be unique in range ${rangeRef}`
-                                };
-                            }
-                        }
-                    }
+        const sheetName = this.activeSheetName;
+        const edit = createStructuralEdit(operation, position);
+        const inverse = createStructuralEdit(INVERSE_STRUCTURAL_EDITS[operation], position);
+        const original = { ...this._getActiveSheet() };
+        // Formulas may be rewritten in place on other sheets, so note them before the edit
+        const originalCells = [];
+        for (const [name, sheet] of this.sheets.entries()) {
+            for (const [ref, cell] of sheet.cells.entries()) {
+                const deleted = name === sheetName && adjustCellRef(ref, edit) === null;
+                if (deleted || cell.expression) {
+                    originalCells.push({ name, ref, cell, deleted });
                 }
-
-                return { valid: true, message: '' };
             }
+        }
 
-            // Handle PREVIOUS(cellRef) - get previous value of cell
-            const previousMatch = formula.match(/PREVIOUS\(['"]?(\w+)['"]\)/i);
-            if (previousMatch) {
-                const targetRef = previousMatch[1];
-                const previousValue = options.previousValue !== undefined
-                    ? options.previousValue
-                    : this.getCellValue(targetRef);
+        this._applyStructuralEdit(operation, position);
 
-                // Replace PREVIOUS() with the actual value
-                const evaluableFormula = formula.replace(/PREVIOUS\([^)]+\)/i, previousValue);
+        const restore = [];
+        const context = formulaSheet => ({ formulaSheet, editedSheet: sheetName, sheetExists: name => this.sheets.has(name) });
+        const roundTrips = (expression, formulaSheet) =>
+            adjustExpression(adjustExpression(expression, edit, context(formulaSheet)), inverse, context(formulaSheet)) === expression;
 
-                // Inject current value as a variable
-                const finalFormula = evaluableFormula.replace(/\bvalue\b/gi, value);
+        // Cells that are deleted, or whose formulas the inverse edit cannot restore
+        for (const { name, ref, cell, deleted } of originalCells) {
+            if (deleted || !roundTrips(cell.expression, name)) {
+                const copy = cloneValue(cell);
+                restore.push({ type: 'cell', sheet: name, ref, before: copy, after: copy });
+            }
+        }
 
-                // Simple eval for comparisons
-                try {
-                    const result = eval(finalFormula);
-                    return {
-                        valid: result,
-                        message: result ? '' : `Validation failed: ${formula}`
-                    };
-                } catch (e) {
-                    return {
-                        valid: false,
-                        message: `Invalid validation formula: ${e.message}`
-                    };
+        // Metadata the inverse edit cannot restore
+        const roundTrip = { ...this._getActiveSheet() };
+        this._adjustSheetMetadata(roundTrip, inverse);
+        for (const key of STRUCTURAL_METADATA_KEYS) {
+            const previous = original[key];
+            const rebuilt = roundTrip[key];
+            if (!(previous instanceof Map || previous instanceof Set) || !(rebuilt instanceof Map || rebuilt instanceof Set)) {
+                continue;
+            }
+            for (const entryKey of new Set([...previous.keys(), ...rebuilt.keys()])) {
+                const value = this._readEntry(previous, entryKey);
+                if (!sameValue(value, this._readEntry(rebuilt, entryKey))) {
+                    restore.push({ type: 'entry', sheet: sheetName, key, entryKey, before: value, after: value });
                 }
             }
+        }
+        for (const key of ['frozenRows', 'frozenColumns']) {
+            if (original[key] !== roundTrip[key]) {
+                restore.push({ type: 'property', sheet: sheetName, key, before: original[key], after: original[key] });
+            }
+        }
 
-            // Simple expression evaluation (e.g., "value != ''", "value > 0")
-            const evaluableFormula = formula.replace(/\bvalue\b/gi, `"${value}"`);
-            const result = eval(evaluableFormula);
+        // Undo runs backwards: inverse edit first, then the restores
+        this._recordOperations(`${operation} ${position}`, ...restore,
+            { type: 'structure', sheet: sheetName, operation, position });
+    }
 
-            return {
-                valid: result,
-                message: result ? '' : `Validation failed: ${formula}`
-            };
-        } catch (error) {
-            return {
-                valid: false,
-                message: `Validation error: ${error.message}`
-            };
-        }
+    /**
+     * Record already-applied operations as one undo step (or as part of the enclosing step)
+     * @param {string} action - History label
+     * @param {...Object} operations - History operations, in the order they were applied
+     */
+    _recordOperations(action, ...operations) {
+        if (!this.recordingHistory) return;
+
+        this.history.begin(action);
+        this.history.record(...operations);
+        this.history.end();
     }
 
     /**
-     * Row Filtering Methods
+     * Transactions
+     * Everything changed between beginTransaction() and commitTransaction()
+     * becomes a single undo step labelled with the transaction's label.
+     * Transactions nest: an inner transaction joins the outer step, but can
+     * still be rolled back on its own.
+     *
+     * transaction() opens an implicit transaction around a block of work (an
+     * ADDRESS command, a batch, a setup script); COMMIT and ROLLBACK only act
+     * on explicit ones, which may stay open across several such blocks. Undo
+     * and redo close the implicit transactions around them, making the changes
+     * so far a step of their own, and are refused while an explicit one is open.
+     *
+     * Each transaction belongs to the party that opened it (see actingAs()).
+     * Edits from another party while it is open are refused with an
+     * editRefused event, so a UI edit cannot join a running script's step.
      */
 
     /**
-     * Apply a filter to show only rows that match criteria
-     * @param {number} columnNum - Column to filter by (1-based)
-     * @param {string|Function} criteria - Filter criteria (string, number, or function)
+     * Open a transaction
+     * @param {string} label - History label for the resulting undo step
+     * @returns {number} Number of open transactions, including this one
      */
-    applyRowFilter(columnNum, criteria) {
-        const sheet = this._getActiveSheet();
-        const filteredRows = new Set();
+    beginTransaction(label = 'transaction') {
+        this._openTransaction(label, false);
+        return this._transactions.length;
+    }
 
-        // Convert column number to letter if needed
-        const colLetter = typeof columnNum === 'number' ?
-            SpreadsheetModel.colNumberToLetter(columnNum) :
-            columnNum;
+    /**
+     * Close the innermost explicit transaction, keeping its changes
+     * @returns {string} Label of the committed transaction
+     */
+    commitTransaction() {
+        const index = this._innermostExplicitTransaction();
+        if (index === -1) {
+            throw new Error('No transaction to commit');
+        }
+        const { label } = this._transactions[index];
+        this._closeTransaction(index, true);
+        return label;
+    }
 
-        // Iterate through all rows
-        for (let row = 1; row <= this.rows; row++) {
-            const cellRef = SpreadsheetModel.formatCellRef(colLetter, row);
-            const cell = this.getCell(cellRef);
-            const value = cell.value;
+    /**
+     * Close the innermost explicit transaction, reverting everything it changed
+     * @param {Object} rexxInterpreter - Optional interpreter for recalculation
+     * @returns {string} Label of the rolled back transaction
+     */
+    rollbackTransaction(rexxInterpreter = null) {
+        const index = this._innermostExplicitTransaction();
+        if (index === -1) {
+            throw new Error('No transaction to roll back');
+        }
+        const { label } = this._transactions[index];
+        this._closeTransaction(index, false, rexxInterpreter);
+        return label;
+    }
 
-            let matches = false;
+    /**
+     * Whether a transaction is open
+     * @returns {boolean}
+     */
+    inTransaction() {
+        return this._transactions.length > 0;
+    }
 
-            if (typeof criteria === 'function') {
-                matches = criteria(value, row);
-            } else if (typeof criteria === 'string') {
-                // String matching (case-insensitive)
-                matches = String(value).toLowerCase().includes(criteria.toLowerCase());
-            } else {
-                // Exact match
-                matches = value == criteria;
-            }
+    /**
+     * Refuse an action that must not join or cut across an open transaction
+     * @param {string} action - What was attempted, for the error message
+     * @throws {Error} If a transaction is open
+     */
+    assertNoTransaction(action) {
+        if (this.inTransaction()) {
+            const { label } = this._transactions[this._transactions.length - 1];
+            throw new Error(`Cannot ${action} while transaction "${label}" is open`);
+        }
+    }
 
-            if (matches) {
-                filteredRows.add(row);
+    /**
+     * Run work (sync or async) as one undo step. If it throws, or its promise
+     * rejects, everything it changed is rolled back, including transactions
+     * it opened, and the error is rethrown. Explicit transactions the work
+     * opened and left open stay open once it succeeds.
+     * @param {string} label - History label
+     * @param {Function} work - Performs the changes
+     * @param {Object} rexxInterpreter - Optional interpreter for recalculation after a rollback
+     * @returns {*} Result of work(), or a promise for it
+     */
+    transaction(label, work, rexxInterpreter = null) {
+        const record = this._openTransaction(label, true);
+        const finish = (commit) => {
+            const index = this._transactions.indexOf(record);
+            if (index === -1) {
+                return;
             }
-        }
+            if (commit) {
+                this._closeTransaction(index, true);
+                return;
+            }
+            while (this._transactions.length > index) {
+                this._closeTransaction(this._transactions.length - 1, false, rexxInterpreter);
+            }
+        };
 
-        sheet.filteredRows = filteredRows;
-        sheet.filterCriteria = { column: columnNum, criteria };
+        let result;
+        try {
+            result = work();
+        } catch (error) {
+            finish(false);
+            throw error;
+        }
+
+        if (result && typeof result.then === 'function') {
+            return result.then(
+                value => {
+                    finish(true);
+                    return value;
+                },
+                error => {
+                    finish(false);
+                    throw error;
+                }
+            );
+        }
+        finish(true);
+        return result;
     }
 
     /**
-     * Clear all row filters
+     * Get a view of the model whose method calls act for the given party,
+     * e.g. model.actingAs('ui'). Transactions opened through the view belong
+     * to that party, and edits it makes while another party's transaction is
+     * open are refused: the view reports them through the editRefused event
+     * and returns undefined instead of throwing.
+     * @param {string} actor - Name of the acting party
+     * @returns {SpreadsheetModel} Proxy for this model
      */
-    clearRowFilter() {
-        const sheet = this._getActiveSheet();
-        sheet.filteredRows = null;
-        sheet.filterCriteria = null;
+    actingAs(actor) {
+        const wrappers = new Map(); // key: method name, value: {method, wrapper}
+        return new Proxy(this, {
+            get: (target, key) => {
+                const method = target[key];
+                if (typeof method !== 'function' || key === 'constructor') {
+                    return method;
+                }
+                const cached = wrappers.get(key);
+                if (cached && cached.method === method) {
+                    return cached.wrapper;
+                }
+                const wrapper = (...args) => {
+                    const previousActor = target._actor;
+                    target._actor = actor;
+                    try {
+                        const result = method.apply(target, args);
+                        if (result instanceof Promise) {
+                            return result.catch(error => {
+                                if (error instanceof EditRefusedError) {
+                                    return undefined;
+                                }
+                                throw error;
+                            });
+                        }
+                        return result;
+                    } catch (error) {
+                        if (error instanceof EditRefusedError) {
+                            return undefined;
+                        }
+                        throw error;
+                    } finally {
+                        target._actor = previousActor;
+                    }
+                };
+                wrappers.set(key, { method, wrapper });
+                return wrapper;
+            }
+        });
     }
 
     /**
-     * Check if a row is visible (not filtered out)
+     * Refuse an edit made while another party's transaction is open. Calls
+     * made outside actingAs() are not checked: they come from the scripts and
+     * internal work the transactions run. Async methods check before their
+     * first await, while the acting party is still known.
+     * @throws {EditRefusedError} After emitting editRefused
      */
-    isRowVisible(rowNum) {
-        const sheet = this._getActiveSheet();
-        if (sheet.filteredRows === null) {
-            return true; // No filter applied
+    _assertCanEdit() {
+        if (this._actor === null) {
+            return;
+        }
+        const foreign = this._transactions.find(record => record.owner !== this._actor);
+        if (foreign) {
+            const error = new EditRefusedError(`Cannot edit the spreadsheet while transaction "${foreign.label}" is open`);
+            this._emit('editRefused', { actor: this._actor, transaction: foreign.label, message: error.message });
+            throw error;
         }
-        return sheet.filteredRows.has(rowNum);
     }
 
     /**
-     * Get filter criteria
+     * Open a transaction record and the history entry it collects into
+     * @param {string} label - History label
+     * @param {boolean} implicit - Opened by transaction() rather than beginTransaction()
+     * @returns {Object} Record {label, start, implicit, owner}
      */
-    getFilterCriteria() {
-        return this._getActiveSheet().filterCriteria;
+    _openTransaction(label, implicit) {
+        this._assertCanEdit();
+        const start = this.history.begin(label);
+        const record = { label, start, implicit, owner: this._actor };
+        this._transactions.push(record);
+        return record;
     }
 
     /**
-     * Column Reordering Methods
+     * Index of the innermost transaction opened with beginTransaction()
+     * @returns {number} Index in _transactions, or -1
      */
+    _innermostExplicitTransaction() {
+        for (let i = this._transactions.length - 1; i >= 0; i--) {
+            if (!this._transactions[i].implicit) {
+                return i;
+            }
+        }
+        return -1;
+    }
 
     /**
-     * Move a column left (swap with previous column)
-     * @param {number|string} colNum - Column to move (1-based number or letter)
-     * @param {Object} rexxInterpreter - Optional interpreter for recalculation
+     * Close one transaction, which need not be the innermost. Closing the
+     * outermost one while others are still open makes its changes so far an
+     * undo step, leaving the rest to the transaction that stays open.
+     * @param {number} index - Index in _transactions
+     * @param {boolean} commit - Keep (true) or revert (false) its changes
+     * @param {Object} rexxInterpreter - Optional interpreter for recalculation after a rollback
      */
-    moveColumnLeft(colNum, rexxInterpreter = null) {
-        if (typeof colNum === 'string') {
-            colNum = SpreadsheetModel.colLetterToNumber(colNum);
+    _closeTransaction(index, commit, rexxInterpreter = null) {
+        const [record] = this._transactions.splice(index, 1);
+        const inner = this._transactions.slice(index);
+
+        if (!commit) {
+            const operations = this.history.takeSince(record.start);
+            inner.forEach(open => {
+                open.start = Math.min(open.start, record.start);
+            });
+            this._replayOperations(operations.reverse(), 'undo', rexxInterpreter);
         }
 
-        if (colNum <= 1) {
-            throw new Error('Cannot move first column left');
+        if (index > 0 || inner.length === 0) {
+            this.history.end();
+            return;
+        }
+
+        // Changes belong to the outermost transaction until the next one in
+        // was opened; an implicit one takes over from now
+        let at = record.start;
+        if (commit) {
+            at = inner[0].implicit ? Infinity : inner[0].start;
+        }
+        const pushed = this.history.split(inner[0].label, at);
+        inner.forEach(open => {
+            open.start = Math.max(0, open.start - pushed);
+        });
+    }
+
+    /**
+     * Run an undo, redo or history jump. Implicit transactions around it are
+     * committed first, making the changes so far an undo step of their own,
+     * and reopened afterwards.
+     * @param {string} action - What is attempted, for the error message
+     * @param {Function} move - Moves through the history
+     * @returns {*} Result of move()
+     * @throws {Error} If an explicit transaction is open
+     */
+    _moveThroughHistory(action, move) {
+        this._assertCanEdit();
+        const explicit = this._innermostExplicitTransaction();
+        if (explicit !== -1) {
+            throw new Error(`Cannot ${action} while transaction "${this._transactions[explicit].label}" is open`);
+        }
+
+        const suspended = this._transactions.splice(0);
+        suspended.forEach(() => this.history.end());
+        try {
+            return move();
+        } finally {
+            suspended.forEach(record => {
+                record.start = this.history.begin(record.label);
+                this._transactions.push(record);
+            });
         }
-
-        this._swapColumns(colNum, colNum - 1, rexxInterpreter);
     }
 
     /**
-     * Move a column right (swap with next column)
-     * @param {number|string} colNum - Column to move (1-based number or letter)
+     * Undo the last action
+     * The workbook is restored synchronously; the returned promise resolves
+     * once the restored cells' dependents have been recalculated.
      * @param {Object} rexxInterpreter - Optional interpreter for recalculation
+     * @returns {Promise<boolean>} True if undo was performed, false if there was nothing to undo
+     * @throws {Error} If an explicit transaction is open
      */
-    moveColumnRight(colNum, rexxInterpreter = null) {
-        if (typeof colNum === 'string') {
-            colNum = SpreadsheetModel.colLetterToNumber(colNum);
-        }
-
-        if (colNum >= this.cols) {
-            throw new Error('Cannot move last column right');
-        }
+    undo(rexxInterpreter = null) {
+        return this._moveThroughHistory('undo', () => {
+            if (!this.history.canUndo()) {
+                return Promise.resolve(false);
+            }
 
-        this._swapColumns(colNum, colNum + 1, rexxInterpreter);
+            const replayed = this._undoStep();
+            return this._settleReplay(replayed, rexxInterpreter).then(() => true);
+        });
     }
 
     /**
-     * Swap two columns
-     * @param {number} col1 - First column number (1-based)
-     * @param {number} col2 - Second column number (1-based)
+     * Redo the last undone action
+     * The workbook is restored synchronously; the returned promise resolves
+     * once the restored cells' dependents have been recalculated.
      * @param {Object} rexxInterpreter - Optional interpreter for recalculation
+     * @returns {Promise<boolean>} True if redo was performed, false if there was nothing to redo
+     * @throws {Error} If an explicit transaction is open
      */
-    _swapColumns(col1, col2, rexxInterpreter = null) {
-        const newCells = new Map();
-        const col1Letter = SpreadsheetModel.colNumberToLetter(col1);
-        const col2Letter = SpreadsheetModel.colNumberToLetter(col2);
-
-        // Swap all cells in the two columns
-        for (const [ref, cell] of this.cells.entries()) {
-            const { col, row } = SpreadsheetModel.parseCellRef(ref);
-            const colNum = SpreadsheetModel.colLetterToNumber(col);
-            const cellCopy = { ...cell };
-
-            // Adjust formula references if this cell has an expression
-            if (cellCopy.expression) {
-                cellCopy.expression = this._adjustCellReferencesForColumnSwap(
-                    cellCopy.expression,
-                    col1,
-                    col2
-                );
-            }
-
-            let newRef;
-            if (colNum === col1) {
-                // Move from col1 to col2
-                newRef = SpreadsheetModel.formatCellRef(col2Letter, row);
-            } else if (colNum === col2) {
-                // Move from col2 to col1
-                newRef = SpreadsheetModel.formatCellRef(col1Letter, row);
-            } else {
-                // Keep in same position
-                newRef = ref;
+    redo(rexxInterpreter = null) {
+        return this._moveThroughHistory('redo', () => {
+            if (!this.history.canRedo()) {
+                return Promise.resolve(false);
             }
 
-            newCells.set(newRef, cellCopy);
-        }
-
-        // Replace cells map
-        this.cells = newCells;
-
-        // Rebuild dependents map
-        this._rebuildDependents();
+            const replayed = this._redoStep();
+            return this._settleReplay(replayed, rexxInterpreter).then(() => true);
+        });
+    }
 
-        // Recalculate all formulas if interpreter provided
-        if (rexxInterpreter) {
-            this._recalculateAll(rexxInterpreter);
-        }
+    /**
+     * Move the newest undo entry to the redo stack, reverting its operations
+     * @param {Object} [replayed] - Accumulator to add to (see _applyOperations)
+     * @returns {Object} The accumulator
+     */
+    _undoStep(replayed) {
+        const entry = this.history.undoStack.pop();
+        replayed = this._applyOperations([...entry.operations].reverse(), 'undo', replayed);
+        this.history.redoStack.push(entry);
+        return replayed;
     }
 
     /**
-     * Adjust cell references in formulas when columns are swapped
+     * Move the newest redo entry back to the undo stack, reapplying its operations
+     * @param {Object} [replayed] - Accumulator to add to (see _applyOperations)
+     * @returns {Object} The accumulator
      */
-    _adjustCellReferencesForColumnSwap(expression, col1, col2) {
-        if (!expression) return expression;
+    _redoStep(replayed) {
+        const entry = this.history.redoStack.pop();
+        replayed = this._applyOperations(entry.operations, 'redo', replayed);
+        this.history.undoStack.push(entry);
+        return replayed;
+    }
 
-        const cellRefPattern = /(\$?)([A-Z]+)(\$?)(\d+)/g;
+    /**
+     * List the history, oldest first: every step that can be undone, followed
+     * by the steps that can be redone
+     * @returns {Array<{index: number, action: string, timestamp: number, undone: boolean}>}
+     *   index is the number of steps applied once the workbook is at that entry
+     */
+    getHistory() {
+        const done = this.history.undoStack.map(entry => ({ entry, undone: false }));
+        const undone = [...this.history.redoStack].reverse().map(entry => ({ entry, undone: true }));
+        return [...done, ...undone].map(({ entry, undone: isUndone }, i) => ({
+            index: i + 1,
+            action: entry.action,
+            timestamp: entry.timestamp,
+            undone: isUndone
+        }));
+    }
 
-        return expression.replace(cellRefPattern, (match, colAbs, col, rowAbs, row) => {
-            const colNum = SpreadsheetModel.colLetterToNumber(col);
-            let newCol = col;
+    /**
+     * Number of the oldest history steps dropped to stay within maxHistorySize
+     * since the history was last cleared; they can no longer be undone
+     * @returns {number}
+     */
+    getDroppedHistoryCount() {
+        return this.history.dropped;
+    }
 
-            if (!colAbs) { // Only adjust relative references
-                if (colNum === col1) {
-                    newCol = SpreadsheetModel.colNumberToLetter(col2);
-                } else if (colNum === col2) {
-                    newCol = SpreadsheetModel.colNumberToLetter(col1);
-                }
+    /**
+     * Jump to a point in the history, undoing or redoing as many steps as needed
+     * The workbook is restored synchronously; the returned promise resolves
+     * once it has been recalculated, which happens once for all the steps.
+     * @param {number} index - Number of steps to leave applied (0 = before the oldest step)
+     * @param {Object} rexxInterpreter - Optional interpreter for recalculation
+     * @returns {Promise<number>} Number of steps undone (negative when steps were redone)
+     */
+    undoTo(index, rexxInterpreter = null) {
+        return this._moveThroughHistory('move through history', () => {
+            const total = this.history.undoStack.length + this.history.redoStack.length;
+            if (!Number.isInteger(index) || index < 0 || index > total) {
+                throw new Error(`History index must be between 0 and ${total}`);
             }
 
-            return `${colAbs}${newCol}${rowAbs}${row}`;
+            const start = this.history.undoStack.length;
+            let replayed;
+            while (this.history.undoStack.length > index) {
+                replayed = this._undoStep(replayed);
+            }
+            while (this.history.undoStack.length < index) {
+                replayed = this._redoStep(replayed);
+            }
+            const settled = replayed ? this._settleReplay(replayed, rexxInterpreter) : Promise.resolve();
+            return settled.then(() => start - index);
         });
     }
 
     /**
-     * Record a snapshot for undo
+     * Apply history operations in the given order without recording them, and
+     * recalculate what they changed
+     * @param {Object[]} operations - Operations, already ordered for the direction
+     * @param {string} direction - 'undo' (restore before) or 'redo' (restore after)
+     * @param {Object} rexxInterpreter - Optional interpreter for recalculation
+     * @returns {Promise<void>} Resolves once the workbook has been recalculated
      */
-    _recordSnapshot(action) {
-        if (!this.recordingHistory) return;
-
-        const snapshot = {
-            action,
-            cells: new Map(this.cells),
-            hiddenRows: new Set(this.hiddenRows),
-            hiddenColumns: new Set(this.hiddenColumns),
-            namedRanges: new Map(this.namedRanges),
-            frozenRows: this.frozenRows,
-            frozenColumns: this.frozenColumns,
-            validations: new Map(this.validations),
-            mergedCells: new Map(this.mergedCells),
-            cellEditors: new Map(this.cellEditors),
-            pivotTables: new Map(this.pivotTables),
-            tableMetadata: new Map(this.tableMetadata),
-            autoIdColumn: this.autoIdColumn,
-            nextId: this.nextId,
-            idPrefix: this.idPrefix,
-            timestamp: Date.now()
-        };
-
-        this.undoStack.push(snapshot);
+    _replayOperations(operations, direction, rexxInterpreter) {
+        return this._settleReplay(this._applyOperations(operations, direction), rexxInterpreter);
+    }
 
-        // Limit stack size
-        if (this.undoStack.length > this.maxHistorySize) {
-            this.undoStack.shift();
+    /**
+     * Apply history operations in the given order without recording them.
+     * Restored cells are relinked into the dependency graph one by one; only
+     * structural and sheet operations leave the whole graph to be rebuilt.
+     * @param {Object[]} operations - Operations, already ordered for the direction
+     * @param {string} direction - 'undo' (restore before) or 'redo' (restore after)
+     * @param {Object} [replayed] - Accumulator from earlier steps
+     * @returns {Object} Accumulator {cells, metadata, structural}: qualified refs
+     *   of changed cells, the metadata keys changed per sheet (null for the
+     *   workbook), and whether the dependency graph must be rebuilt
+     */
+    _applyOperations(operations, direction, replayed = { cells: [], metadata: new Map(), structural: false }) {
+        const wasRecording = this.recordingHistory;
+        this.recordingHistory = false;
+        try {
+            for (const operation of operations) {
+                this._applyOperation(operation, direction, replayed);
+            }
+        } finally {
+            this.recordingHistory = wasRecording;
         }
 
-        // Clear redo stack when new action is recorded
-        this.redoStack = [];
+        if (!this.sheets.has(this.activeSheetName)) {
+            this.activeSheetName = this.sheetOrder[0];
+        }
+        return replayed;
     }
 
     /**
-     * Undo the last action
+     * Bring the dependency graph up to date after history operations were
+     * applied, and recalculate the cells they changed
+     * @param {Object} replayed - Accumulator returned by _applyOperations
      * @param {Object} rexxInterpreter - Optional interpreter for recalculation
-     * @returns {boolean} True if undo was performed
+     * @returns {Promise<void>}
      */
-    undo(rexxInterpreter = null) {
-        if (this.undoStack.length === 0) {
-            return false;
+    _settleReplay(replayed, rexxInterpreter) {
+        replayed.metadata.forEach((keys, sheet) => {
+            if (sheet === null || this.sheets.has(sheet)) {
+                this._emit('metadataChanged', { sheet, keys: Array.from(keys), action: 'history' });
+            }
+        });
+        if (replayed.structural) {
+            this._rebuildDependents();
         }
-
-        // Save current state to redo stack
-        const currentSnapshot = {
-            action: 'redo',
-            cells: new Map(this.cells),
-            hiddenRows: new Set(this.hiddenRows),
-            hiddenColumns: new Set(this.hiddenColumns),
-            namedRanges: new Map(this.namedRanges),
-            frozenRows: this.frozenRows,
-            frozenColumns: this.frozenColumns,
-            validations: new Map(this.validations),
-            mergedCells: new Map(this.mergedCells),
-            cellEditors: new Map(this.cellEditors),
-            pivotTables: new Map(this.pivotTables),
-            tableMetadata: new Map(this.tableMetadata),
-            autoIdColumn: this.autoIdColumn,
-            nextId: this.nextId,
-            idPrefix: this.idPrefix,
-            timestamp: Date.now()
-        };
-        this.redoStack.push(currentSnapshot);
-
-        // Restore previous state
-        const snapshot = this.undoStack.pop();
-        this.recordingHistory = false;
-
-        this.cells = new Map(snapshot.cells);
-        this.hiddenRows = new Set(snapshot.hiddenRows);
-        this.hiddenColumns = new Set(snapshot.hiddenColumns);
-        this.namedRanges = new Map(snapshot.namedRanges);
-        this.frozenRows = snapshot.frozenRows;
-        this.frozenColumns = snapshot.frozenColumns;
-        this.validations = new Map(snapshot.validations);
-        this.mergedCells = new Map(snapshot.mergedCells || new Map());
-        this.cellEditors = new Map(snapshot.cellEditors || new Map());
-        this.pivotTables = new Map(snapshot.pivotTables || new Map());
-        this.tableMetadata = new Map(snapshot.tableMetadata || new Map());
-        this.autoIdColumn = snapshot.autoIdColumn !== undefined ? snapshot.autoIdColumn : null;
-        this.nextId = snapshot.nextId !== undefined ? snapshot.nextId : 1;
-        this.idPrefix = snapshot.idPrefix !== undefined ? snapshot.idPrefix : '';
-
-        this._rebuildDependents();
-        if (rexxInterpreter) {
-            this._recalculateAll(rexxInterpreter);
+        if (!rexxInterpreter) {
+            return Promise.resolve();
         }
-
-        this.recordingHistory = true;
-        return true;
+        if (replayed.structural) {
+            return this._recalculateAll(rexxInterpreter);
+        }
+        if (replayed.cells.length > 0 || this._conditionalFormatSheets.size > 0) {
+            return this.recalculate(replayed.cells, rexxInterpreter);
+        }
+        return Promise.resolve();
     }
 
     /**
-     * Redo the last undone action
-     * @param {Object} rexxInterpreter - Optional interpreter for recalculation
-     * @returns {boolean} True if redo was performed
+     * Note a replayed metadata key, reported once the replay settles
      */
-    redo(rexxInterpreter = null) {
-        if (this.redoStack.length === 0) {
-            return false;
+    _noteReplayedMetadata(replayed, operation) {
+        if (!replayed.metadata.has(operation.sheet)) {
+            replayed.metadata.set(operation.sheet, new Set());
         }
+        replayed.metadata.get(operation.sheet).add(operation.key);
+    }
 
-        // Save current state to undo stack
-        const currentSnapshot = {
-            action: 'undo',
-            cells: new Map(this.cells),
-            hiddenRows: new Set(this.hiddenRows),
-            hiddenColumns: new Set(this.hiddenColumns),
-            namedRanges: new Map(this.namedRanges),
-            frozenRows: this.frozenRows,
-            frozenColumns: this.frozenColumns,
-            validations: new Map(this.validations),
-            mergedCells: new Map(this.mergedCells),
-            cellEditors: new Map(this.cellEditors),
-            pivotTables: new Map(this.pivotTables),
-            tableMetadata: new Map(this.tableMetadata),
-            autoIdColumn: this.autoIdColumn,
-            nextId: this.nextId,
-            idPrefix: this.idPrefix,
-            timestamp: Date.now()
-        };
-        this.undoStack.push(currentSnapshot);
+    /**
+     * Apply one history operation
+     * @param {Object} operation - History operation
+     * @param {string} direction - 'undo' or 'redo'
+     * @param {Object} replayed - Accumulator {cells, metadata, structural} to record the effect in
+     */
+    _applyOperation(operation, direction, replayed) {
+        const value = direction === 'undo' ? operation.before : operation.after;
+
+        switch (operation.type) {
+            case 'cell': {
+                const cells = this._getSheet(operation.sheet).cells;
+                const previous = cells.get(operation.ref);
+                if (previous) {
+                    this._unregisterDependencies(operation.ref, previous, operation.sheet);
+                }
+                if (value) {
+                    const cell = cloneValue(value);
+                    if (cell.expression) {
+                        // Named ranges may have changed since the cell was recorded
+                        cell.dependencies = this.extractCellReferences(cell.expression);
+                        cell.rangeDependencies = this.extractRangeReferences(cell.expression, operation.sheet);
+                        this._registerDependencies(operation.ref, cell, operation.sheet);
+                    }
+                    cells.set(operation.ref, cell);
+                } else {
+                    cells.delete(operation.ref);
+                }
+                this._emitCellChanged(operation.sheet, operation.ref, previous ? previous.value : '', 'history');
+                replayed.cells.push(this._qualifyRef(operation.ref, operation.sheet));
+                return;
+            }
 
-        // Restore redo state
-        const snapshot = this.redoStack.pop();
-        this.recordingHistory = false;
+            case 'entry': {
+                const target = this._getSheet(operation.sheet)[operation.key];
+                if (value === undefined) {
+                    target.delete(operation.entryKey);
+                } else if (target instanceof Set) {
+                    target.add(operation.entryKey);
+                } else {
+                    target.set(operation.entryKey, cloneValue(value));
+                }
+                if (operation.key === 'conditionalFormats') {
+                    this._conditionalFormatSheets.add(operation.sheet);
+                }
+                this._noteReplayedMetadata(replayed, operation);
+                // Formulas naming a named range or table follow its definition
+                if (operation.key === 'namedRanges' || operation.key === 'tableMetadata') {
+                    replayed.cells.push(...this._relinkNameCallers(operation.sheet, operation.entryKey));
+                }
+                return;
+            }
+
+            case 'property': {
+                const target = operation.sheet === null ? this : this._getSheet(operation.sheet);
+                target[operation.key] = cloneValue(value);
+                this._noteReplayedMetadata(replayed, operation);
+                return;
+            }
 
-        this.cells = new Map(snapshot.cells);
-        this.hiddenRows = new Set(snapshot.hiddenRows);
-        this.hiddenColumns = new Set(snapshot.hiddenColumns);
-        this.namedRanges = new Map(snapshot.namedRanges);
-        this.frozenRows = snapshot.frozenRows;
-        this.frozenColumns = snapshot.frozenColumns;
-        this.validations = new Map(snapshot.validations);
-        this.mergedCells = new Map(snapshot.mergedCells || new Map());
-        this.cellEditors = new Map(snapshot.cellEditors || new Map());
-        this.pivotTables = new Map(snapshot.pivotTables || new Map());
-        this.tableMetadata = new Map(snapshot.tableMetadata || new Map());
-        this.autoIdColumn = snapshot.autoIdColumn !== undefined ? snapshot.autoIdColumn : null;
-        this.nextId = snapshot.nextId !== undefined ? snapshot.nextId : 1;
-        this.idPrefix = snapshot.idPrefix !== undefined ? snapshot.idPrefix : '';
+            case 'structure': {
+                const savedActiveSheet = this.activeSheetName;
+                this.activeSheetName = operation.sheet;
+                try {
+                    const edit = direction === 'undo'
+                        ? INVERSE_STRUCTURAL_EDITS[operation.operation]
+                        : operation.operation;
+                    this._applyStructuralEdit(edit, operation.position);
+                } finally {
+                    this.activeSheetName = savedActiveSheet;
+                }
+                replayed.structural = true;
+                return;
+            }
 
-        this._rebuildDependents();
-        if (rexxInterpreter) {
-            this._recalculateAll(rexxInterpreter);
-        }
+            case 'addSheet':
+            case 'deleteSheet': {
+                const adding = (operation.type === 'addSheet') === (direction === 'redo');
+                if (adding) {
+                    this.sheets.set(operation.sheet, operation.data);
+                    this.sheetOrder.splice(operation.index, 0, operation.sheet);
+                    this._emit('sheetAdded', { sheet: operation.sheet, index: operation.index });
+                } else {
+                    // An active sheet that disappears is replaced once the whole entry has been replayed
+                    this.sheets.delete(operation.sheet);
+                    this.sheetOrder = this.sheetOrder.filter(name => name !== operation.sheet);
+                    this._emit('sheetDeleted', { sheet: operation.sheet, index: operation.index });
+                }
+                replayed.structural = true;
+                return;
+            }
+
+            case 'renameSheet': {
+                const [from, to] = direction === 'undo'
+                    ? [operation.sheet, operation.from]
+                    : [operation.from, operation.sheet];
+                this.sheets.set(to, this.sheets.get(from));
+                this.sheets.delete(from);
+                if (operation.index > -1) {
+                    this.sheetOrder[operation.index] = to;
+                }
+                if (this.activeSheetName === from) {
+                    this.activeSheetName = to;
+                }
+                this._emit('sheetRenamed', { from, to });
+                replayed.structural = true;
+                return;
+            }
 
-        this.recordingHistory = true;
-        return true;
+            default:
+                throw new Error(`Unknown history operation: ${operation.type}`);
+        }
     }
 
     /**
      * Clear undo/redo history
      */
     clearHistory() {
-        this.undoStack = [];
-        this.redoStack = [];
+        this.history.clear();
     }
 
     /**
      * Check if undo is available
      */
     canUndo() {
-        return this.undoStack.length > 0;
+        return this.history.canUndo();
     }
 
     /**
      * Check if redo is available
      */
     canRedo() {
-        return this.redoStack.length > 0;
+        return this.history.canRedo();
     }
 
     // ========================================================================
@@ -3095,55 +6716,57 @@ class SpreadsheetModel {
      * @returns {Object} Table metadata
      */
     defineTable(name, range, hasHeader = true) {
-        const sheet = this._getActiveSheet();
-
-        // Validate range format
-        const match = range.match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/i);
-        if (!match) {
-            throw new Error(`Invalid range reference: ${range}. Expected format: "A1:C10"`);
-        }
-
-        const startColLetter = match[1].toUpperCase();
-        const startRow = parseInt(match[2], 10);
-        const endColLetter = match[3].toUpperCase();
-        const endRow = parseInt(match[4], 10);
+        return this._recordChange(`defineTable ${name}`, { entries: { tableMetadata: [name] } }, () => {
+            const sheet = this._getActiveSheet();
 
-        const startCol = SpreadsheetModel.colLetterToNumber(startColLetter);
-        const endCol = SpreadsheetModel.colLetterToNumber(endColLetter);
+            // Validate range format
+            const match = range.match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/i);
+            if (!match) {
+                throw new Error(`Invalid range reference: ${range}. Expected format: "A1:C10"`);
+            }
 
-        // Extract header row if applicable
-        const headers = [];
-        if (hasHeader) {
-            for (let col = startCol; col <= endCol; col++) {
-                const headerRef = SpreadsheetModel.formatCellRef(col, startRow);
-                const headerCell = this.getCell(headerRef);
-                headers.push(headerCell.value || SpreadsheetModel.colNumberToLetter(col));
+            const startColLetter = match[1].toUpperCase();
+            const startRow = parseInt(match[2], 10);
+            const endColLetter = match[3].toUpperCase();
+            const endRow = parseInt(match[4], 10);
+
+            const startCol = SpreadsheetModel.colLetterToNumber(startColLetter);
+            const endCol = SpreadsheetModel.colLetterToNumber(endColLetter);
+
+            // Extract header row if applicable
+            const headers = [];
+            if (hasHeader) {
+                for (let col = startCol; col <= endCol; col++) {
+                    const headerRef = SpreadsheetModel.formatCellRef(col, startRow);
+                    const headerCell = this.getCell(headerRef);
+                    headers.push(headerCell.value || SpreadsheetModel.colNumberToLetter(col));
+                }
             }
-        }
 
-        // Store original row order for restoration
-        const originalOrder = [];
-        const dataStartRow = hasHeader ? startRow + 1 : startRow;
-        for (let row = dataStartRow; row <= endRow; row++) {
-            originalOrder.push(row);
-        }
+            // Store original row order for restoration
+            const originalOrder = [];
+            const dataStartRow = hasHeader ? startRow + 1 : startRow;
+            for (let row = dataStartRow; row <= endRow; row++) {
+                originalOrder.push(row);
+            }
 
-        const tableMetadata = {
-            name,
-            range,
-            startCol,
-            endCol,
-            startRow,
-            endRow,
-            hasHeader,
-            headers,
-            originalOrder,  // Track original row order for restoration
-            currentSortColumn: null,  // null = unsorted
-            currentSortDirection: null  // null | 'asc' | 'desc'
-        };
+            const tableMetadata = {
+                name,
+                range,
+                startCol,
+                endCol,
+                startRow,
+                endRow,
+                hasHeader,
+                headers,
+                originalOrder,  // Track original row order for restoration
+                currentSortColumn: null,  // null = unsorted
+                currentSortDirection: null  // null | 'asc' | 'desc'
+            };
 
-        sheet.tableMetadata.set(name, tableMetadata);
-        return tableMetadata;
+            sheet.tableMetadata.set(name, tableMetadata);
+            return tableMetadata;
+        });
     }
 
     /**
@@ -3151,11 +6774,13 @@ class SpreadsheetModel {
      * @param {string} name - Table name
      */
     deleteTable(name) {
-        const sheet = this._getActiveSheet();
-        if (!sheet.tableMetadata.has(name)) {
-            throw new Error(`Table ${name} does not exist`);
-        }
-        sheet.tableMetadata.delete(name);
+        return this._recordChange(`deleteTable ${name}`, { entries: { tableMetadata: [name] } }, () => {
+            const sheet = this._getActiveSheet();
+            if (!sheet.tableMetadata.has(name)) {
+                throw new Error(`Table ${name} does not exist`);
+            }
+            sheet.tableMetadata.delete(name);
+        });
     }
 
     /**
@@ -3185,62 +6810,66 @@ class SpreadsheetModel {
      * @returns {string} New sort state: 'asc', 'desc', or 'original'
      */
     sortTableByColumn(tableName, columnLetter, rexxInterpreter = null) {
-        const sheet = this._getActiveSheet();
-        const table = sheet.tableMetadata.get(tableName);
+        const result = this._recordChange(`sortTableByColumn ${tableName} ${columnLetter}`, { entries: { tableMetadata: [tableName] } }, () => {
+            const sheet = this._getActiveSheet();
+            const table = sheet.tableMetadata.get(tableName);
 
-        if (!table) {
-            throw new Error(`Table ${tableName} does not exist`);
-        }
+            if (!table) {
+                throw new Error(`Table ${tableName} does not exist`);
+            }
 
-        const sortCol = SpreadsheetModel.colLetterToNumber(columnLetter.toUpperCase());
+            const sortCol = SpreadsheetModel.colLetterToNumber(columnLetter.toUpperCase());
 
-        // Validate sort column is within table range
-        if (sortCol < table.startCol || sortCol > table.endCol) {
-            throw new Error(`Column ${columnLetter} is outside table range`);
-        }
+            // Validate sort column is within table range
+            if (sortCol < table.startCol || sortCol > table.endCol) {
+                throw new Error(`Column ${columnLetter} is outside table range`);
+            }
 
-        // Determine next sort state
-        let newSortState;
-        let newDirection;
+            // Determine next sort state
+            let newSortState;
+            let newDirection;
 
-        if (table.currentSortColumn !== columnLetter) {
-            // Sorting by a different column - start with ascending
-            newSortState = 'asc';
-            newDirection = true;
-        } else {
-            // Same column - cycle through states
-            if (table.currentSortDirection === null) {
-                // original → ascending
+            if (table.currentSortColumn !== columnLetter) {
+                // Sorting by a different column - start with ascending
                 newSortState = 'asc';
                 newDirection = true;
-            } else if (table.currentSortDirection === 'asc') {
-                // ascending → descending
-                newSortState = 'desc';
-                newDirection = false;
             } else {
-                // descending → original
-                newSortState = 'original';
-                newDirection = null;
+                // Same column - cycle through states
+                if (table.currentSortDirection === null) {
+                    // original → ascending
+                    newSortState = 'asc';
+                    newDirection = true;
+                } else if (table.currentSortDirection === 'asc') {
+                    // ascending → descending
+                    newSortState = 'desc';
+                    newDirection = false;
+                } else {
+                    // descending → original
+                    newSortState = 'original';
+                    newDirection = null;
+                }
             }
-        }
 
-        const dataStartRow = table.hasHeader ? table.startRow + 1 : table.startRow;
-        const dataEndRow = table.endRow;
+            const dataStartRow = table.hasHeader ? table.startRow + 1 : table.startRow;
+            const dataEndRow = table.endRow;
 
-        if (newSortState === 'original') {
-            // Restore original order
-            this._restoreTableOrder(table, rexxInterpreter);
-            table.currentSortColumn = null;
-            table.currentSortDirection = null;
-        } else {
-            // Perform sort
-            const dataRange = `${SpreadsheetModel.colNumberToLetter(table.startCol)}${dataStartRow}:${SpreadsheetModel.colNumberToLetter(table.endCol)}${dataEndRow}`;
-            this._sortTableRange(table, dataRange, columnLetter, newDirection, rexxInterpreter);
-            table.currentSortColumn = columnLetter;
-            table.currentSortDirection = newSortState;
-        }
+            if (newSortState === 'original') {
+                // Restore original order
+                this._restoreTableOrder(table, rexxInterpreter);
+                table.currentSortColumn = null;
+                table.currentSortDirection = null;
+            } else {
+                // Perform sort
+                const dataRange = `${SpreadsheetModel.colNumberToLetter(table.startCol)}${dataStartRow}:${SpreadsheetModel.colNumberToLetter(table.endCol)}${dataEndRow}`;
+                this._sortTableRange(table, dataRange, columnLetter, newDirection, rexxInterpreter);
+                table.currentSortColumn = columnLetter;
+                table.currentSortDirection = newSortState;
+            }
 
-        return newSortState;
+            return newSortState;
+        });
+        this._emit('rangeChanged', { sheet: this.activeSheetName, range: this.tableMetadata.get(tableName)?.range || null, action: 'sortTableByColumn' });
+        return result;
     }
 
     /**
@@ -3470,70 +7099,74 @@ class SpreadsheetModel {
      * @param {Object} rexxInterpreter - Optional interpreter for recalculation
      */
     fillUp(sourceRef, targetRangeRef, rexxInterpreter = null) {
-        // Parse source range
-        const sourceMatch = sourceRef.match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/i);
-        if (!sourceMatch) {
-            throw new Error(`Invalid source reference: ${sourceRef}`);
-        }
-
-        const sourceStartCol = sourceMatch[1].toUpperCase();
-        const sourceStartRow = parseInt(sourceMatch[2], 10);
-        const sourceEndCol = sourceMatch[3] ? sourceMatch[3].toUpperCase() : sourceStartCol;
-        const sourceEndRow = sourceMatch[4] ? parseInt(sourceMatch[4], 10) : sourceStartRow;
-
-        // Parse target range
-        const targetMatch = targetRangeRef.match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/i);
-        if (!targetMatch) {
-            throw new Error(`Invalid target range: ${targetRangeRef}`);
-        }
+        const result = this._recordChange(`fillUp ${targetRangeRef}`, {}, () => {
+            // Parse source range
+            const sourceMatch = sourceRef.match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/i);
+            if (!sourceMatch) {
+                throw new Error(`Invalid source reference: ${sourceRef}`);
+            }
 
-        const targetStartCol = targetMatch[1].toUpperCase();
-        const targetStartRow = parseInt(targetMatch[2], 10);
-        const targetEndCol = targetMatch[3].toUpperCase();
-        const targetEndRow = parseInt(targetMatch[4], 10);
+            const sourceStartCol = sourceMatch[1].toUpperCase();
+            const sourceStartRow = parseInt(sourceMatch[2], 10);
+            const sourceEndCol = sourceMatch[3] ? sourceMatch[3].toUpperCase() : sourceStartCol;
+            const sourceEndRow = sourceMatch[4] ? parseInt(sourceMatch[4], 10) : sourceStartRow;
 
-        const sourceColStart = SpreadsheetModel.colLetterToNumber(sourceStartCol);
-        const sourceColEnd = SpreadsheetModel.colLetterToNumber(sourceEndCol);
-        const targetColStart = SpreadsheetModel.colLetterToNumber(targetStartCol);
-        const targetColEnd = SpreadsheetModel.colLetterToNumber(targetEndCol);
+            // Parse target range
+            const targetMatch = targetRangeRef.match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/i);
+            if (!targetMatch) {
+                throw new Error(`Invalid target range: ${targetRangeRef}`);
+            }
 
-        const sourceWidth = sourceColEnd - sourceColStart + 1;
-        const targetWidth = targetColEnd - targetColStart + 1;
+            const targetStartCol = targetMatch[1].toUpperCase();
+            const targetStartRow = parseInt(targetMatch[2], 10);
+            const targetEndCol = targetMatch[3].toUpperCase();
+            const targetEndRow = parseInt(targetMatch[4], 10);
 
-        if (sourceWidth !== targetWidth) {
-            throw new Error('Source and target must have the same number of columns');
-        }
+            const sourceColStart = SpreadsheetModel.colLetterToNumber(sourceStartCol);
+            const sourceColEnd = SpreadsheetModel.colLetterToNumber(sourceEndCol);
+            const targetColStart = SpreadsheetModel.colLetterToNumber(targetStartCol);
+            const targetColEnd = SpreadsheetModel.colLetterToNumber(targetEndCol);
 
-        // Fill up (reverse direction)
-        for (let row = targetEndRow; row >= targetStartRow; row--) {
-            for (let colOffset = 0; colOffset < sourceWidth; colOffset++) {
-                const sourceCol = sourceColStart + colOffset;
-                const targetCol = targetColStart + colOffset;
-                const sourceRowToUse = sourceEndRow - ((targetEndRow - row) % (sourceEndRow - sourceStartRow + 1));
+            const sourceWidth = sourceColEnd - sourceColStart + 1;
+            const targetWidth = targetColEnd - targetColStart + 1;
 
-                const sourceCellRef = SpreadsheetModel.formatCellRef(sourceCol, sourceRowToUse);
-                const targetCellRef = SpreadsheetModel.formatCellRef(targetCol, row);
+            if (sourceWidth !== targetWidth) {
+                throw new Error('Source and target must have the same number of columns');
+            }
 
-                const sourceCell = this.getCell(sourceCellRef);
-                if (sourceCell.expression) {
-                    // Adjust formula for new position
-                    const rowOffset = row - sourceRowToUse;
-                    const colOffset = targetCol - sourceCol;
-                    const adjustedExpression = this._adjustFormulaForCopy(sourceCell.expression, rowOffset, colOffset);
-                    this.setCell(targetCellRef, '=' + adjustedExpression, rexxInterpreter, {
-                        format: sourceCell.format,
-                        comment: sourceCell.comment,
-                        wrapText: sourceCell.wrapText
-                    });
-                } else {
-                    this.setCell(targetCellRef, sourceCell.value, rexxInterpreter, {
-                        format: sourceCell.format,
-                        comment: sourceCell.comment,
-                        wrapText: sourceCell.wrapText
-                    });
+            // Fill up (reverse direction)
+            for (let row = targetEndRow; row >= targetStartRow; row--) {
+                for (let colOffset = 0; colOffset < sourceWidth; colOffset++) {
+                    const sourceCol = sourceColStart + colOffset;
+                    const targetCol = targetColStart + colOffset;
+                    const sourceRowToUse = sourceEndRow - ((targetEndRow - row) % (sourceEndRow - sourceStartRow + 1));
+
+                    const sourceCellRef = SpreadsheetModel.formatCellRef(sourceCol, sourceRowToUse);
+                    const targetCellRef = SpreadsheetModel.formatCellRef(targetCol, row);
+
+                    const sourceCell = this.getCell(sourceCellRef);
+                    if (sourceCell.expression) {
+                        // Adjust formula for new position
+                        const rowOffset = row - sourceRowToUse;
+                        const colOffset = targetCol - sourceCol;
+                        const adjustedExpression = this._adjustFormulaForCopy(sourceCell.expression, rowOffset, colOffset);
+                        this.setCell(targetCellRef, '=' + adjustedExpression, rexxInterpreter, {
+                            format: sourceCell.format,
+                            comment: sourceCell.comment,
+                            wrapText: sourceCell.wrapText
+                        });
+                    } else {
+                        this.setCell(targetCellRef, sourceCell.value, rexxInterpreter, {
+                            format: sourceCell.format,
+                            comment: sourceCell.comment,
+                            wrapText: sourceCell.wrapText
+                        });
+                    }
                 }
             }
-        }
+        });
+        this._emit('rangeChanged', { sheet: this.activeSheetName, range: targetRangeRef, action: 'fillUp' });
+        return result;
     }
 
     /**
@@ -3543,70 +7176,74 @@ class SpreadsheetModel {
      * @param {Object} rexxInterpreter - Optional interpreter for recalculation
      */
     fillLeft(sourceRef, targetRangeRef, rexxInterpreter = null) {
-        // Parse source range
-        const sourceMatch = sourceRef.match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/i);
-        if (!sourceMatch) {
-            throw new Error(`Invalid source reference: ${sourceRef}`);
-        }
-
-        const sourceStartCol = sourceMatch[1].toUpperCase();
-        const sourceStartRow = parseInt(sourceMatch[2], 10);
-        const sourceEndCol = sourceMatch[3] ? sourceMatch[3].toUpperCase() : sourceStartCol;
-        const sourceEndRow = sourceMatch[4] ? parseInt(sourceMatch[4], 10) : sourceStartRow;
-
-        // Parse target range
-        const targetMatch = targetRangeRef.match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/i);
-        if (!targetMatch) {
-            throw new Error(`Invalid target range: ${targetRangeRef}`);
-        }
+        const result = this._recordChange(`fillLeft ${targetRangeRef}`, {}, () => {
+            // Parse source range
+            const sourceMatch = sourceRef.match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/i);
+            if (!sourceMatch) {
+                throw new Error(`Invalid source reference: ${sourceRef}`);
+            }
 
-        const targetStartCol = targetMatch[1].toUpperCase();
-        const targetStartRow = parseInt(targetMatch[2], 10);
-        const targetEndCol = targetMatch[3].toUpperCase();
-        const targetEndRow = parseInt(targetMatch[4], 10);
+            const sourceStartCol = sourceMatch[1].toUpperCase();
+            const sourceStartRow = parseInt(sourceMatch[2], 10);
+            const sourceEndCol = sourceMatch[3] ? sourceMatch[3].toUpperCase() : sourceStartCol;
+            const sourceEndRow = sourceMatch[4] ? parseInt(sourceMatch[4], 10) : sourceStartRow;
 
-        const sourceColStart = SpreadsheetModel.colLetterToNumber(sourceStartCol);
-        const sourceColEnd = SpreadsheetModel.colLetterToNumber(sourceEndCol);
-        const targetColStart = SpreadsheetModel.colLetterToNumber(targetStartCol);
-        const targetColEnd = SpreadsheetModel.colLetterToNumber(targetEndCol);
+            // Parse target range
+            const targetMatch = targetRangeRef.match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/i);
+            if (!targetMatch) {
+                throw new Error(`Invalid target range: ${targetRangeRef}`);
+            }
 
-        const sourceHeight = sourceEndRow - sourceStartRow + 1;
-        const targetHeight = targetEndRow - targetStartRow + 1;
+            const targetStartCol = targetMatch[1].toUpperCase();
+            const targetStartRow = parseInt(targetMatch[2], 10);
+            const targetEndCol = targetMatch[3].toUpperCase();
+            const targetEndRow = parseInt(targetMatch[4], 10);
 
-        if (sourceHeight !== targetHeight) {
-            throw new Error('Source and target must have the same number of rows');
-        }
+            const sourceColStart = SpreadsheetModel.colLetterToNumber(sourceStartCol);
+            const sourceColEnd = SpreadsheetModel.colLetterToNumber(sourceEndCol);
+            const targetColStart = SpreadsheetModel.colLetterToNumber(targetStartCol);
+            const targetColEnd = SpreadsheetModel.colLetterToNumber(targetEndCol);
 
-        // Fill left (iterate left-to-right, but map to source right-to-left)
-        for (let col = targetColStart; col <= targetColEnd; col++) {
-            for (let rowOffset = 0; rowOffset < sourceHeight; rowOffset++) {
-                const sourceRow = sourceStartRow + rowOffset;
-                const targetRow = targetStartRow + rowOffset;
-                const sourceColToUse = sourceColStart + ((targetColEnd - col) % (sourceColEnd - sourceColStart + 1));
+            const sourceHeight = sourceEndRow - sourceStartRow + 1;
+            const targetHeight = targetEndRow - targetStartRow + 1;
 
-                const sourceCellRef = SpreadsheetModel.formatCellRef(sourceColToUse, sourceRow);
-                const targetCellRef = SpreadsheetModel.formatCellRef(col, targetRow);
+            if (sourceHeight !== targetHeight) {
+                throw new Error('Source and target must have the same number of rows');
+            }
 
-                const sourceCell = this.getCell(sourceCellRef);
-                if (sourceCell.expression) {
-                    // Adjust formula for new position
-                    const rowDiff = targetRow - sourceRow;
-                    const colDiff = col - sourceColToUse;
-                    const adjustedExpression = this._adjustFormulaForCopy(sourceCell.expression, rowDiff, colDiff);
-                    this.setCell(targetCellRef, '=' + adjustedExpression, rexxInterpreter, {
-                        format: sourceCell.format,
-                        comment: sourceCell.comment,
-                        wrapText: sourceCell.wrapText
-                    });
-                } else {
-                    this.setCell(targetCellRef, sourceCell.value, rexxInterpreter, {
-                        format: sourceCell.format,
-                        comment: sourceCell.comment,
-                        wrapText: sourceCell.wrapText
-                    });
+            // Fill left (iterate left-to-right, but map to source right-to-left)
+            for (let col = targetColStart; col <= targetColEnd; col++) {
+                for (let rowOffset = 0; rowOffset < sourceHeight; rowOffset++) {
+                    const sourceRow = sourceStartRow + rowOffset;
+                    const targetRow = targetStartRow + rowOffset;
+                    const sourceColToUse = sourceColStart + ((targetColEnd - col) % (sourceColEnd - sourceColStart + 1));
+
+                    const sourceCellRef = SpreadsheetModel.formatCellRef(sourceColToUse, sourceRow);
+                    const targetCellRef = SpreadsheetModel.formatCellRef(col, targetRow);
+
+                    const sourceCell = this.getCell(sourceCellRef);
+                    if (sourceCell.expression) {
+                        // Adjust formula for new position
+                        const rowDiff = targetRow - sourceRow;
+                        const colDiff = col - sourceColToUse;
+                        const adjustedExpression = this._adjustFormulaForCopy(sourceCell.expression, rowDiff, colDiff);
+                        this.setCell(targetCellRef, '=' + adjustedExpression, rexxInterpreter, {
+                            format: sourceCell.format,
+                            comment: sourceCell.comment,
+                            wrapText: sourceCell.wrapText
+                        });
+                    } else {
+                        this.setCell(targetCellRef, sourceCell.value, rexxInterpreter, {
+                            format: sourceCell.format,
+                            comment: sourceCell.comment,
+                            wrapText: sourceCell.wrapText
+                        });
+                    }
                 }
             }
-        }
+        });
+        this._emit('rangeChanged', { sheet: this.activeSheetName, range: targetRangeRef, action: 'fillLeft' });
+        return result;
     }
 
     /**
@@ -3616,53 +7253,57 @@ class SpreadsheetModel {
      * @param {Object} rexxInterpreter - Optional interpreter for recalculation
      */
     autofill(sourceRange, targetRange, rexxInterpreter = null) {
-        // Determine direction based on source and target ranges
-        const sourceMatch = sourceRange.match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/i);
-        const targetMatch = targetRange.match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/i);
-
-        if (!sourceMatch || !targetMatch) {
-            throw new Error('Invalid range format. Use format like "A1:A3"');
-        }
-
-        const sourceStartCol = SpreadsheetModel.colLetterToNumber(sourceMatch[1].toUpperCase());
-        const sourceStartRow = parseInt(sourceMatch[2], 10);
-        const sourceEndCol = SpreadsheetModel.colLetterToNumber(sourceMatch[3].toUpperCase());
-        const sourceEndRow = parseInt(sourceMatch[4], 10);
-
-        const targetStartCol = SpreadsheetModel.colLetterToNumber(targetMatch[1].toUpperCase());
-        const targetStartRow = parseInt(targetMatch[2], 10);
-        const targetEndCol = SpreadsheetModel.colLetterToNumber(targetMatch[3].toUpperCase());
-        const targetEndRow = parseInt(targetMatch[4], 10);
-
-        // Detect direction
-        let direction;
-        if (targetStartRow > sourceEndRow) {
-            direction = 'down';
-        } else if (targetEndRow < sourceStartRow) {
-            direction = 'up';
-        } else if (targetStartCol > sourceEndCol) {
-            direction = 'right';
-        } else if (targetEndCol < sourceStartCol) {
-            direction = 'left';
-        } else {
-            throw new Error('Target range must be adjacent to source range');
-        }
-
-        // Use existing fill methods based on direction
-        switch (direction) {
-            case 'down':
-                this.fillDown(sourceRange, targetRange, rexxInterpreter);
-                break;
-            case 'up':
-                this.fillUp(sourceRange, targetRange, rexxInterpreter);
-                break;
-            case 'right':
-                this.fillRight(sourceRange, targetRange, rexxInterpreter);
-                break;
-            case 'left':
-                this.fillLeft(sourceRange, targetRange, rexxInterpreter);
-                break;
-        }
+        const result = this._recordChange(`autofill ${targetRange}`, {}, () => {
+            // Determine direction based on source and target ranges
+            const sourceMatch = sourceRange.match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/i);
+            const targetMatch = targetRange.match(/^([A-Z]+)(\d+):([A-Z]+)(\d+)$/i);
+
+            if (!sourceMatch || !targetMatch) {
+                throw new Error('Invalid range format. Use format like "A1:A3"');
+            }
+
+            const sourceStartCol = SpreadsheetModel.colLetterToNumber(sourceMatch[1].toUpperCase());
+            const sourceStartRow = parseInt(sourceMatch[2], 10);
+            const sourceEndCol = SpreadsheetModel.colLetterToNumber(sourceMatch[3].toUpperCase());
+            const sourceEndRow = parseInt(sourceMatch[4], 10);
+
+            const targetStartCol = SpreadsheetModel.colLetterToNumber(targetMatch[1].toUpperCase());
+            const targetStartRow = parseInt(targetMatch[2], 10);
+            const targetEndCol = SpreadsheetModel.colLetterToNumber(targetMatch[3].toUpperCase());
+            const targetEndRow = parseInt(targetMatch[4], 10);
+
+            // Detect direction
+            let direction;
+            if (targetStartRow > sourceEndRow) {
+                direction = 'down';
+            } else if (targetEndRow < sourceStartRow) {
+                direction = 'up';
+            } else if (targetStartCol > sourceEndCol) {
+                direction = 'right';
+            } else if (targetEndCol < sourceStartCol) {
+                direction = 'left';
+            } else {
+                throw new Error('Target range must be adjacent to source range');
+            }
+
+            // Use existing fill methods based on direction
+            switch (direction) {
+                case 'down':
+                    this.fillDown(sourceRange, targetRange, rexxInterpreter);
+                    break;
+                case 'up':
+                    this.fillUp(sourceRange, targetRange, rexxInterpreter);
+                    break;
+                case 'right':
+                    this.fillRight(sourceRange, targetRange, rexxInterpreter);
+                    break;
+                case 'left':
+                    this.fillLeft(sourceRange, targetRange, rexxInterpreter);
+                    break;
+            }
+        });
+        this._emit('rangeChanged', { sheet: this.activeSheetName, range: targetRange, action: 'autofill' });
+        return result;
     }
 }
 
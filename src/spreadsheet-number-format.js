@@ -0,0 +1,684 @@
+/**
+ * Spreadsheet Number Formats
+ * Excel-style number format codes. A code has up to four sections separated
+ * by ";" - positive;negative;zero;text - and each section may have:
+ *
+ *   [Red] [Blue] ...      colour of the displayed value
+ *   [>=1000] [<0] ...     condition choosing the section instead of the sign
+ *   0 # ?                 digit placeholders: digit or 0, digit or nothing, digit or space
+ *   , .                   thousands separator, decimal point; trailing commas divide by 1000
+ *   %  E+00               percentage, scientific notation
+ *   # ?/? or # ?/8        fractions, best fit or with a fixed denominator
+ *   yyyy mm dd hh:mm:ss   dates and times; AM/PM, [h] elapsed hours, ss.00
+ *   "text" \x _x [$€-407] literal text, an escaped character, a space, a currency symbol
+ *   @ General             the text value, Excel's default number display
+ *
+ *   formatValue(-1234.5, '#,##0.00;[Red](#,##0.00)')  → { text: '(1,234.50)', color: 'red' }
+ *   formatValue(45306.5, 'yyyy-mm-dd hh:mm')            → { text: '2024-01-15 12:00', color: null }
+ *
+ * Dates are serial numbers of days since 30 December 1899, as in Excel; ISO
+ * date strings ("2024-01-15", "2024-01-15 09:30") are read as dates too.
+ */
+
+/**
+ * Colours a section can be shown in
+ */
+export const NUMBER_FORMAT_COLORS = ['black', 'blue', 'cyan', 'green', 'magenta', 'red', 'white', 'yellow'];
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+    'September', 'October', 'November', 'December'];
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 86400000;
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?)?$/;
+const CONDITION = /^(<=|>=|<>|<|>|=)\s*(-?\d+(?:\.\d+)?)$/;
+const MAX_FRACTION_DENOMINATOR = 9999;
+
+const compiledFormats = new Map(); // key: format code, value: compiled format
+
+/**
+ * Compile a format code, checking it on the way
+ * @param {string} code - Format code, e.g. "#,##0.00;[Red](#,##0.00)"; '' means General
+ * @returns {Object} Compiled format {code, sections, isDate}
+ */
+export function parseNumberFormat(code) {
+    const key = String(code ?? '');
+    let format = compiledFormats.get(key);
+    if (!format) {
+        format = compileFormat(key);
+        compiledFormats.set(key, format);
+    }
+    return format;
+}
+
+/**
+ * Whether a format code shows dates or times
+ * @param {string} code - Format code
+ * @returns {boolean}
+ */
+export function isDateFormat(code) {
+    return parseNumberFormat(code).isDate;
+}
+
+/**
+ * Display a value with a format code
+ * @param {*} value - Number, numeric string, ISO date string or Date; other text uses the text section
+ * @param {string} code - Format code
+ * @returns {Object} {text, color}: the displayed text and the section's colour (null for none)
+ */
+export function formatValue(value, code) {
+    const format = parseNumberFormat(code);
+    const number = toNumber(value, format.isDate);
+
+    if (number === null) {
+        const textSection = format.textSection;
+        if (value === null || value === undefined || value === '' || !textSection) {
+            return { text: value === null || value === undefined ? '' : String(value), color: null };
+        }
+        return { text: renderText(textSection, String(value)), color: textSection.color };
+    }
+
+    const chosen = chooseSection(format, number);
+    if (!chosen) {
+        return { text: '#####', color: null };
+    }
+    const { section, absolute } = chosen;
+    const shown = absolute ? Math.abs(number) : number;
+    return { text: renderSection(section, shown), color: section.color };
+}
+
+/**
+ * Serial number of a date, counting days since 30 December 1899
+ * @param {Date} date - Date (its UTC fields are used)
+ * @returns {number} Serial number; the fraction is the time of day
+ */
+export function dateToSerial(date) {
+    return (date.getTime() - EXCEL_EPOCH) / MS_PER_DAY;
+}
+
+function compileFormat(code) {
+    const sections = splitSections(code.trim() === '' ? 'General' : code).map(text => parseSection(text, code));
+    if (sections.length > 4) {
+        throw new Error(`A number format has at most 4 sections, got ${sections.length}: ${code}`);
+    }
+
+    // The text section is the fourth, or a lone or last section that shows "@"
+    const last = sections[sections.length - 1];
+    const textSection = sections.length === 4 ? sections[3] : (last.kind === 'text' ? last : null);
+    const numberSections = textSection ? sections.slice(0, sections.indexOf(textSection)) : sections;
+
+    return {
+        code,
+        sections: numberSections.length > 0 ? numberSections : [parseSection('General', code)],
+        textSection,
+        isDate: sections.some(section => section.kind === 'date')
+    };
+}
+
+/**
+ * Split a code on ";" outside quotes, brackets and escapes
+ */
+function splitSections(code) {
+    const sections = [''];
+    for (let i = 0; i < code.length; i++) {
+        const char = code[i];
+        if (char === '"' || char === '[') {
+            const end = code.indexOf(char === '"' ? '"' : ']', i + 1);
+            if (end === -1) {
+                throw new Error(`Unclosed ${char} in number format: ${code}`);
+            }
+            sections[sections.length - 1] += code.substring(i, end + 1);
+            i = end;
+        } else if (char === '\\' || char === '_' || char === '*') {
+            sections[sections.length - 1] += code.substring(i, i + 2);
+            i++;
+        } else if (char === ';') {
+            sections.push('');
+        } else {
+            sections[sections.length - 1] += char;
+        }
+    }
+    return sections;
+}
+
+/**
+ * Tokens of one section, with what kind of value it displays
+ */
+function parseSection(text, code) {
+    const section = { tokens: [], color: null, condition: null };
+    const tokens = section.tokens;
+    const literal = value => {
+        const last = tokens[tokens.length - 1];
+        if (last?.type === 'literal') {
+            last.text += value;
+        } else {
+            tokens.push({ type: 'literal', text: value });
+        }
+    };
+
+    let i = 0;
+    while (i < text.length) {
+        const char = text[i];
+        const rest = text.substring(i);
+        const lower = char.toLowerCase();
+        let match;
+
+        if (char === '"') {
+            const end = text.indexOf('"', i + 1);
+            literal(text.substring(i + 1, end));
+            i = end + 1;
+        } else if (char === '\\') {
+            literal(text[i + 1] ?? '');
+            i += 2;
+        } else if (char === '_') {
+            // Space the width of the next character, used to line up with ")"
+            literal(' ');
+            i += 2;
+        } else if (char === '*') {
+            // Fill character: Excel repeats it across the cell width
+            i += 2;
+        } else if (char === '[') {
+            const end = text.indexOf(']', i);
+            parseBracket(section, text.substring(i + 1, end), literal, code);
+            i = end + 1;
+        } else if ((match = rest.match(/^general/i))) {
+            tokens.push({ type: 'general' });
+            i += match[0].length;
+        } else if ((match = rest.match(/^(am\/pm|a\/p)/i))) {
+            tokens.push({ type: 'ampm', text: match[0] });
+            i += match[0].length;
+        } else if (/^e[+-]/i.test(rest)) {
+            tokens.push({ type: 'exponent', sign: text[i + 1] });
+            i += 2;
+        } else if ('0#?'.includes(char)) {
+            tokens.push({ type: 'digit', char });
+            i++;
+        } else if ('ymdhs'.includes(lower)) {
+            let end = i;
+            while (text[end]?.toLowerCase() === lower) {
+                end++;
+            }
+            tokens.push({ type: 'date', unit: lower, length: end - i });
+            i = end;
+        } else {
+            const type = { '.': 'point', ',': 'comma', '%': 'percent', '/': 'slash', '@': 'text' }[char];
+            if (type) {
+                tokens.push({ type });
+            } else {
+                literal(char);
+            }
+            i++;
+        }
+    }
+
+    return classifySection(section);
+}
+
+function parseBracket(section, inner, literal, code) {
+    const lower = inner.toLowerCase();
+    let match;
+    if (NUMBER_FORMAT_COLORS.includes(lower)) {
+        section.color = lower;
+    } else if ((match = inner.match(CONDITION))) {
+        section.condition = { operator: match[1], value: Number(match[2]) };
+    } else if (/^(h+|m+|s+)$/.test(lower)) {
+        section.tokens.push({ type: 'elapsed', unit: lower[0], length: lower.length });
+    } else if (inner.startsWith('$')) {
+        // Currency and locale, e.g. [$€-407]: only the symbol is shown
+        literal(inner.substring(1).split('-')[0]);
+    } else {
+        throw new Error(`Unknown [${inner}] in number format: ${code}`);
+    }
+}
+
+function classifySection(section) {
+    const tokens = section.tokens;
+    const has = type => tokens.some(token => token.type === type);
+
+    if (has('date') || has('elapsed') || has('ampm')) {
+        section.kind = 'date';
+        resolveMinutes(tokens);
+        // A decimal point followed by zeros shows fractions of a second
+        for (let i = 0; i < tokens.length; i++) {
+            if (tokens[i].type === 'point') {
+                let end = i + 1;
+                while (tokens[end]?.type === 'digit' && tokens[end].char === '0') {
+                    end++;
+                }
+                tokens.splice(i, end - i, end > i + 1 ? { type: 'subsecond', length: end - i - 1 } : { type: 'literal', text: '.' });
+            }
+        }
+        // Everything else is shown as written, e.g. the slashes in mm/dd/yyyy
+        const written = { slash: '/', comma: ',', percent: '%', text: '@', general: 'General' };
+        tokens.forEach((token, i) => {
+            if (token.type in written || token.type === 'digit') {
+                tokens[i] = { type: 'literal', text: written[token.type] ?? token.char };
+            }
+        });
+        section.hasAmPm = has('ampm');
+        section.subsecondDigits = Math.max(0, ...tokens.filter(token => token.type === 'subsecond').map(token => token.length));
+        return section;
+    }
+
+    if (!has('digit')) {
+        section.kind = has('general') ? 'general' : (has('text') ? 'text' : 'literal');
+        return section;
+    }
+
+    const slash = tokens.findIndex(token => token.type === 'slash');
+    if (slash > 0 && tokens[slash - 1].type === 'digit') {
+        section.kind = 'fraction';
+        compileFraction(section, slash);
+        return section;
+    }
+    // A slash anywhere else is shown as it is
+    tokens.forEach((token, i) => {
+        if (token.type === 'slash') tokens[i] = { type: 'literal', text: '/' };
+    });
+
+    section.kind = 'number';
+    compileNumber(section);
+    return section;
+}
+
+/**
+ * "m" after hours or before seconds means minutes, not months
+ */
+function resolveMinutes(tokens) {
+    const timeUnits = tokens.filter(token => token.type === 'date' || token.type === 'elapsed');
+    timeUnits.forEach((token, i) => {
+        if (token.type === 'date' && token.unit === 'm') {
+            const previous = timeUnits[i - 1];
+            const next = timeUnits[i + 1];
+            if (previous?.unit === 'h' || next?.unit === 's') {
+                token.unit = 'minute';
+            }
+        }
+    });
+}
+
+function compileNumber(section) {
+    const tokens = section.tokens;
+    const exponentIndex = tokens.findIndex(token => token.type === 'exponent');
+    const mantissa = exponentIndex === -1 ? tokens : tokens.slice(0, exponentIndex);
+    const pointIndex = mantissa.findIndex(token => token.type === 'point');
+    const lastDigit = mantissa.map(token => token.type).lastIndexOf('digit');
+    const firstDigit = mantissa.findIndex(token => token.type === 'digit');
+
+    section.percents = tokens.filter(token => token.type === 'percent').length;
+    section.scale = 0;
+    section.grouping = false;
+    section.integer = [];
+    section.fraction = [];
+    section.suffix = [];
+
+    // Commas between digits group thousands; commas after the last digit divide by 1000
+    mantissa.forEach((token, i) => {
+        const inInteger = pointIndex === -1 || i < pointIndex;
+        let target;
+        if (token.type === 'comma') {
+            if (i > lastDigit) {
+                section.scale++;
+            } else if (inInteger && i > firstDigit) {
+                section.grouping = true;
+            }
+            return;
+        }
+        if (token.type === 'point') {
+            target = section.integer;
+        } else if (token.type === 'percent') {
+            token = { type: 'literal', text: '%' };
+            target = i > lastDigit ? section.suffix : (inInteger ? section.integer : section.fraction);
+        } else if (i > lastDigit && token.type !== 'digit') {
+            target = section.suffix;
+        } else {
+            target = inInteger ? section.integer : section.fraction;
+        }
+        target.push(token);
+    });
+    section.hasPoint = pointIndex !== -1;
+
+    if (exponentIndex !== -1) {
+        const exponentTokens = tokens.slice(exponentIndex + 1);
+        section.exponent = {
+            sign: tokens[exponentIndex].sign,
+            digits: exponentTokens.filter(token => token.type === 'digit').length,
+            suffix: exponentTokens.filter(token => token.type === 'literal')
+        };
+    }
+}
+
+function compileFraction(section, slash) {
+    const tokens = section.tokens;
+    let numeratorStart = slash;
+    while (numeratorStart > 0 && tokens[numeratorStart - 1].type === 'digit') {
+        numeratorStart--;
+    }
+    const before = tokens.slice(0, numeratorStart);
+    const after = tokens.slice(slash + 1);
+
+    section.numerator = tokens.slice(numeratorStart, slash);
+    section.integer = before.some(token => token.type === 'digit') ? before : null;
+    section.prefix = section.integer ? [] : before;
+
+    // The denominator is placeholders, or a number written out for a fixed denominator
+    const fixed = after[0]?.type === 'literal' && after[0].text.match(/^\d+/);
+    if (fixed) {
+        section.fixedDenominator = Number(fixed[0]);
+        const remainder = after[0].text.substring(fixed[0].length);
+        section.denominator = [];
+        section.suffix = [...(remainder ? [{ type: 'literal', text: remainder }] : []), ...after.slice(1)];
+    } else {
+        let end = 0;
+        while (after[end]?.type === 'digit') {
+            end++;
+        }
+        section.denominator = after.slice(0, end);
+        section.suffix = after.slice(end);
+    }
+}
+
+function chooseSection(format, number) {
+    const sections = format.sections;
+    if (sections.some(section => section.condition)) {
+        const section = sections.find(candidate => !candidate.condition || meetsCondition(number, candidate.condition));
+        return section ? { section, absolute: false } : null;
+    }
+    if (sections.length === 1 || number > 0 || (number === 0 && sections.length === 2)) {
+        return { section: sections[0], absolute: false };
+    }
+    if (number < 0) {
+        return { section: sections[1], absolute: true };
+    }
+    return { section: sections[2], absolute: false };
+}
+
+function meetsCondition(number, { operator, value }) {
+    switch (operator) {
+        case '<': return number < value;
+        case '<=': return number <= value;
+        case '>': return number > value;
+        case '>=': return number >= value;
+        case '=': return number === value;
+        default: return number !== value;
+    }
+}
+
+function renderSection(section, number) {
+    switch (section.kind) {
+        case 'date':
+            return renderDate(section, number);
+        case 'fraction':
+            return withSign(number, renderFraction(section, Math.abs(number)));
+        case 'number':
+            return withSign(number, renderNumber(section, Math.abs(number)));
+        default:
+            // General, literal text only, or "@" shown with the number
+            return section.tokens.map(token => {
+                if (token.type === 'general' || token.type === 'text') return formatGeneral(number);
+                return token.type === 'literal' ? token.text : '';
+            }).join('');
+    }
+}
+
+/**
+ * Minus sign in front, unless everything shown rounded to zero
+ */
+function withSign(number, text) {
+    return number < 0 && /[1-9]/.test(text) ? `-${text}` : text;
+}
+
+function renderText(section, value) {
+    return section.tokens.map(token => {
+        if (token.type === 'text') return value;
+        return token.type === 'literal' ? token.text : '';
+    }).join('');
+}
+
+function renderNumber(section, number) {
+    let value = number * 100 ** section.percents / 1000 ** section.scale;
+    const fractionPlaces = section.fraction.filter(token => token.type === 'digit').length;
+    let exponentText = '';
+
+    if (section.exponent) {
+        const integerPlaces = Math.max(1, section.integer.filter(token => token.type === 'digit').length);
+        const engineering = integerPlaces > 1 && section.integer.some(token => token.char === '#');
+        let exponent = value === 0 ? 0 : Math.floor(Math.log10(value));
+        exponent = engineering ? Math.floor(exponent / integerPlaces) * integerPlaces : exponent - (integerPlaces - 1);
+        let mantissa = roundTo(value / 10 ** exponent, fractionPlaces);
+        if (!engineering && mantissa >= 10 ** integerPlaces) {
+            exponent++;
+            mantissa = roundTo(value / 10 ** exponent, fractionPlaces);
+        }
+        value = mantissa;
+        const sign = exponent < 0 ? '-' : (section.exponent.sign === '+' ? '+' : '');
+        exponentText = `E${sign}${String(Math.abs(exponent)).padStart(section.exponent.digits, '0')}`
+            + section.exponent.suffix.map(token => token.text).join('');
+    }
+
+    const [integerDigits, fractionDigits = ''] = toFixedText(value, fractionPlaces).split('.');
+    return fillInteger(section.integer, integerDigits === '0' ? '' : integerDigits, section.grouping)
+        + fillFraction(section.fraction, fractionDigits)
+        + exponentText
+        + section.suffix.map(token => token.text).join('');
+}
+
+/**
+ * Put integer digits into placeholders from the right; the leftmost takes any extra digits
+ */
+function fillInteger(tokens, digits, grouping) {
+    const placeholders = tokens.filter(token => token.type === 'digit');
+    let remaining = digits;
+    let placed = 0;
+    let seen = 0;
+    const parts = [];
+
+    const emit = digit => {
+        if (grouping && placed > 0 && placed % 3 === 0) {
+            parts.unshift(',');
+        }
+        parts.unshift(digit);
+        placed++;
+    };
+
+    for (let i = tokens.length - 1; i >= 0; i--) {
+        const token = tokens[i];
+        if (token.type === 'point') {
+            parts.unshift('.');
+        } else if (token.type !== 'digit') {
+            parts.unshift(token.text);
+        } else {
+            seen++;
+            const leftmost = seen === placeholders.length;
+            if (remaining) {
+                const take = leftmost ? remaining.length : 1;
+                for (const digit of remaining.slice(-take).split('').reverse()) {
+                    emit(digit);
+                }
+                remaining = remaining.slice(0, -take);
+            } else if (token.char === '0') {
+                emit('0');
+            } else if (token.char === '?') {
+                parts.unshift(' ');
+            }
+        }
+    }
+    return parts.join('');
+}
+
+/**
+ * Put decimal digits into placeholders from the left; trailing zeros in "#" and "?" are dropped
+ */
+function fillFraction(tokens, digits) {
+    const placeholders = tokens.filter(token => token.type === 'digit');
+    const shown = digits.split('');
+    for (let i = placeholders.length - 1; i >= 0 && shown[i] === '0' && placeholders[i].char !== '0'; i--) {
+        shown[i] = placeholders[i].char === '?' ? ' ' : '';
+    }
+
+    let next = 0;
+    return tokens.map(token => (token.type === 'digit' ? shown[next++] : token.text)).join('');
+}
+
+function renderFraction(section, number) {
+    let whole = section.integer ? Math.floor(number) : 0;
+    const rest = number - whole;
+    const maxDenominator = Math.min(MAX_FRACTION_DENOMINATOR, 10 ** section.denominator.length - 1);
+    let [numerator, denominator] = section.fixedDenominator
+        ? [Math.round(rest * section.fixedDenominator), section.fixedDenominator]
+        : bestFraction(rest, maxDenominator);
+    if (section.integer && numerator === denominator) {
+        whole++;
+        numerator = 0;
+    }
+
+    const literals = tokens => tokens.map(token => (token.type === 'literal' ? token.text : '')).join('');
+    // "0" pads with zeros and "?" with spaces; "#" does not pad
+    const width = placeholders => placeholders.filter(token => token.char !== '#').length;
+    const padding = placeholders => (placeholders.some(token => token.char === '0') ? '0' : ' ');
+
+    let text = literals(section.prefix);
+    if (section.integer) {
+        text += fillInteger(section.integer, whole === 0 && numerator !== 0 ? '' : String(whole), false);
+        if (numerator === 0) {
+            // A whole number: the fraction's place is left blank
+            const denominatorWidth = section.fixedDenominator ? String(section.fixedDenominator).length : section.denominator.length;
+            return text + ' '.repeat(section.numerator.length + 1 + denominatorWidth) + literals(section.suffix);
+        }
+    }
+    const numeratorText = String(numerator).padStart(width(section.numerator), padding(section.numerator));
+    const denominatorText = section.fixedDenominator
+        ? String(denominator)
+        : String(denominator).padEnd(width(section.denominator), ' ');
+    return text + numeratorText + '/' + denominatorText + literals(section.suffix);
+}
+
+/**
+ * Closest fraction with a denominator up to the limit; the smallest denominator wins ties
+ */
+function bestFraction(value, maxDenominator) {
+    let best = [Math.round(value), 1];
+    let bestError = Math.abs(value - best[0]);
+    for (let denominator = 2; denominator <= maxDenominator && bestError > 1e-12; denominator++) {
+        const numerator = Math.round(value * denominator);
+        const error = Math.abs(value - numerator / denominator);
+        if (error < bestError - 1e-12) {
+            best = [numerator, denominator];
+            bestError = error;
+        }
+    }
+    return best;
+}
+
+function renderDate(section, serial) {
+    if (serial < 0) {
+        return '#####';
+    }
+    // Round to the precision shown: whole seconds, or the fraction of a second
+    const step = 1000 / 10 ** section.subsecondDigits;
+    const ms = Math.round(serial * MS_PER_DAY / step) * step;
+    const date = new Date(EXCEL_EPOCH + ms);
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = date.getUTCHours();
+    const two = value => String(value).padStart(2, '0');
+
+    return section.tokens.map(token => {
+        switch (token.type) {
+            case 'literal':
+                return token.text;
+            case 'ampm': {
+                const upper = token.text[0] === token.text[0].toUpperCase();
+                const marker = token.text.length > 3 ? (hours < 12 ? 'AM' : 'PM') : (hours < 12 ? 'A' : 'P');
+                return upper ? marker : marker.toLowerCase();
+            }
+            case 'subsecond':
+                return '.' + String(ms % 1000).padStart(3, '0').substring(0, token.length);
+            case 'elapsed': {
+                const elapsed = { h: totalSeconds / 3600, m: totalSeconds / 60, s: totalSeconds }[token.unit];
+                return String(Math.floor(elapsed)).padStart(token.length, '0');
+            }
+            case 'date':
+                return renderDatePart(token, date, section.hasAmPm, two);
+            default:
+                return token.type === 'point' ? '.' : (token.text ?? '');
+        }
+    }).join('');
+}
+
+function renderDatePart({ unit, length }, date, hasAmPm, two) {
+    switch (unit) {
+        case 'y':
+            return length <= 2 ? two(date.getUTCFullYear() % 100) : String(date.getUTCFullYear());
+        case 'm': {
+            const month = date.getUTCMonth();
+            return [String(month + 1), two(month + 1), MONTHS[month].substring(0, 3), MONTHS[month], MONTHS[month][0]][Math.min(length, 5) - 1];
+        }
+        case 'd': {
+            const day = DAYS[date.getUTCDay()];
+            return [String(date.getUTCDate()), two(date.getUTCDate()), day.substring(0, 3), day][Math.min(length, 4) - 1];
+        }
+        case 'h': {
+            const hours = hasAmPm ? (date.getUTCHours() % 12 || 12) : date.getUTCHours();
+            return length === 1 ? String(hours) : two(hours);
+        }
+        case 'minute':
+            return length === 1 ? String(date.getUTCMinutes()) : two(date.getUTCMinutes());
+        default:
+            return length === 1 ? String(date.getUTCSeconds()) : two(date.getUTCSeconds());
+    }
+}
+
+/**
+ * Excel's General display: up to ten significant digits, exponent form for very large or small numbers
+ */
+function formatGeneral(number) {
+    const abs = Math.abs(number);
+    if (Number.isInteger(number) && abs < 1e11) {
+        return String(number);
+    }
+    if (abs !== 0 && (abs >= 1e11 || abs < 1e-6)) {
+        return number.toExponential(5).replace(/\.?0*e/, 'E').replace(/E(\d)/, 'E+$1');
+    }
+    return String(Number(number.toPrecision(10)));
+}
+
+function toNumber(value, isDate) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    if (value instanceof Date) {
+        return dateToSerial(value);
+    }
+    if (typeof value !== 'string' || value.trim() === '') {
+        return null;
+    }
+    const number = Number(value.trim());
+    if (!isNaN(number)) {
+        return number;
+    }
+    const match = isDate && value.trim().match(ISO_DATE);
+    if (match) {
+        const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match;
+        return dateToSerial(new Date(Date.UTC(year, month - 1, day, hours, minutes) + Number(seconds) * 1000));
+    }
+    return null;
+}
+
+/**
+ * Round half away from zero; the nudge keeps 1.005 from showing as 1.00
+ */
+function roundTo(value, places) {
+    return Number(toFixedText(value, places));
+}
+
+function toFixedText(value, places) {
+    return (value * (1 + Number.EPSILON)).toFixed(places);
+}
+
+export default {
+    NUMBER_FORMAT_COLORS,
+    parseNumberFormat,
+    isDateFormat,
+    formatValue,
+    dateToSerial
+};
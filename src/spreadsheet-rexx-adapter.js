@@ -9,11 +9,73 @@
  */
 
 import SpreadsheetModel from './spreadsheet-model.js';
+import { ERROR_TYPES, SpreadsheetError, isErrorValue, toSpreadsheetError } from './spreadsheet-errors.js';
+import { MATCH_MODES, SEARCH_MODES, findMatch, hasWildcards } from './spreadsheet-lookup.js';
+import financial from './spreadsheet-financial.js';
+import statistics from './spreadsheet-statistics.js';
+import arrays from './spreadsheet-arrays.js';
+import { isConditionTrue } from './spreadsheet-conditional-format.js';
+import { bindArguments, callsFunction, createDefinition, formatSignature } from './spreadsheet-user-functions.js';
+
+/**
+ * Read a whole-number function argument; returns null if it is not a number
+ */
+function toIndex(value) {
+    const num = Number(value);
+    return value === '' || value === null || isNaN(num) ? null : Math.trunc(num);
+}
+
+/**
+ * Read a TRUE/FALSE function argument (1/0, true/false or "TRUE"/"FALSE")
+ */
+function toFlag(value) {
+    if (typeof value === 'string') {
+        return !/^(false|0|)$/i.test(value.trim());
+    }
+    return Boolean(value);
+}
+
+/**
+ * Run a function body, turning a SpreadsheetError (a bad range, a result that
+ * cannot be computed) into its error value so IFERROR and IFNA can handle it
+ */
+function withErrorValues(work) {
+    try {
+        return work();
+    } catch (error) {
+        if (error instanceof SpreadsheetError) {
+            return error.type;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Excel names containing dots, registered alongside the underscore names
+ */
+const EXCEL_ALIASES = {
+    'ERROR.TYPE': 'ERROR_TYPE',
+    'COVARIANCE.P': 'COVARIANCE_P',
+    'COVARIANCE.S': 'COVARIANCE_S',
+    'FORECAST.LINEAR': 'FORECAST_LINEAR',
+    'PERCENTILE.INC': 'PERCENTILE',
+    'QUARTILE.INC': 'QUARTILE',
+    'RANK.EQ': 'RANK',
+    'MODE.SNGL': 'MODE'
+};
+
+/**
+ * How deeply user-defined functions may call one another before giving up
+ */
+const MAX_USER_FUNCTION_DEPTH = 64;
 
 class SpreadsheetRexxAdapter {
     constructor(spreadsheetModel) {
         this.model = spreadsheetModel;
         this.interpreter = null;
+        this.userFunctions = new Map(); // key: upper-case name, value: DEFINE_FUNCTION definition
+        this._userFunctionDepth = 0;
+        this._evaluationSheets = []; // Sheets of the expressions being evaluated, innermost last
     }
 
     /**
@@ -51,9 +113,9 @@ class SpreadsheetRexxAdapter {
         }
 
         try {
-            // Parse and execute the setup script
+            // Parse and execute the setup script as one undo step; a failure rolls back its changes
             const commands = parse(script);
-            await this.interpreter.run(commands);
+            await this.model.transaction('executeSetupScript', () => this.interpreter.run(commands), this);
 
             return {
                 success: true,
@@ -68,6 +130,97 @@ class SpreadsheetRexxAdapter {
         }
     }
 
+    /**
+     * Declare a function that cells can call, or change one declared before,
+     * then recalculate the formulas that call it directly or through other
+     * user-defined functions
+     * @param {string} name - Function name, e.g. TAX
+     * @param {string|string[]} params - Parameter list, e.g. "amount, rate = 0.2: Tax rate"
+     * @param {string} body - REXX expression in terms of the parameters
+     * @param {string} [description] - What the function does, for LISTCOMMANDS and the function browser
+     * @returns {Promise<object>} The stored definition
+     * @throws {Error} for an invalid definition or the name of a built-in function
+     */
+    async defineFunction(name, params, body, description = '') {
+        if (!this.interpreter) {
+            throw new Error('Interpreter not initialized');
+        }
+
+        const definition = createDefinition(name, params, body, description);
+        if (!this.interpreter.builtinFunctions) {
+            this.interpreter.builtinFunctions = {};
+        }
+        const externals = this.interpreter.externalFunctions || {};
+        if (!this.userFunctions.has(definition.name)
+            && (this.interpreter.builtinFunctions[definition.name] || externals[definition.name])) {
+            throw new Error(`${definition.name} is already a built-in function`);
+        }
+
+        const previous = this.userFunctions.get(definition.name);
+        this.userFunctions.set(definition.name, definition);
+        this.interpreter.builtinFunctions[definition.name] = (...args) => this.callUserFunction(definition.name, args);
+
+        const unchanged = previous && previous.body === definition.body
+            && JSON.stringify(previous.params) === JSON.stringify(definition.params);
+        if (!unchanged) {
+            await this.model.recalculateFunctionCallers(this._userFunctionsCalling(definition.name), this);
+        }
+        return definition;
+    }
+
+    /**
+     * A user-defined function's name plus those of the user-defined functions
+     * that call it, directly or in turn
+     */
+    _userFunctionsCalling(name) {
+        const names = [name];
+        for (let i = 0; i < names.length; i++) {
+            for (const definition of this.userFunctions.values()) {
+                if (!names.includes(definition.name) && callsFunction(definition.body, names[i])) {
+                    names.push(definition.name);
+                }
+            }
+        }
+        return names;
+    }
+
+    /**
+     * Run a user-defined function: its body is evaluated with the arguments in
+     * place of the parameters, and cells it names become dependencies of the
+     * calling formula
+     * @returns {Promise<*>} The result, or an error value that IFERROR can handle
+     */
+    async callUserFunction(name, args) {
+        const definition = this.userFunctions.get(name);
+        this._userFunctionDepth++;
+        try {
+            if (this._userFunctionDepth > MAX_USER_FUNCTION_DEPTH) {
+                throw new SpreadsheetError('#NUM!', `${name}: user-defined functions nested more than ${MAX_USER_FUNCTION_DEPTH} deep`);
+            }
+            const expression = bindArguments(definition, args);
+            [...this.model.extractCellReferences(expression), ...this.model.extractRangeReferences(expression, this._evaluationSheetName())]
+                .forEach(ref => this.model.trackRangeDependency(ref));
+            return await this.evaluate(expression, this.model);
+        } catch (error) {
+            if (error instanceof SpreadsheetError) {
+                return error.type;
+            }
+            throw error;
+        } finally {
+            this._userFunctionDepth--;
+        }
+    }
+
+    /**
+     * User-defined functions with their signatures, sorted by name
+     * @returns {Array<{name: string, signature: string, params: Array, body: string, description: string}>}
+     */
+    getUserFunctions() {
+        return Array.from(this.userFunctions.values())
+            .map(definition => ({ ...definition, signature: formatSignature(definition) }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
     /**
      * Inject cell reference functions (A1, B2, etc.) into RexxJS context
      * Sets up a variable_missing callback to resolve cell references on-demand
@@ -84,43 +237,89 @@ class SpreadsheetRexxAdapter {
             if (crossSheetMatch) {
                 const sheetName = crossSheetMatch[1];
                 const cellRef = crossSheetMatch[2];
-
-                // Save current active sheet
-                const savedActiveSheet = self.model.activeSheetName;
-
-                try {
-                    // Temporarily switch to the target sheet
-                    if (self.model.sheets.has(sheetName)) {
-                        self.model.setActiveSheet(sheetName);
-                        const value = self.model.getCellValue(cellRef);
-                        // Try to parse as number if possible
-                        const numValue = parseFloat(value);
-                        return isNaN(numValue) ? value : numValue;
-                    }
-                } finally {
-                    // Restore original active sheet
-                    self.model.activeSheetName = savedActiveSheet;
+                if (self.model.sheets.has(sheetName)) {
+                    const value = self.model.getCellValue(`${sheetName}.${cellRef}`);
+                    // Try to parse as number if possible
+                    const numValue = parseFloat(value);
+                    return isNaN(numValue) ? value : numValue;
                 }
             }
 
             // Check if it's a local cell reference pattern (A1, B2, AA10, etc.)
             if (/^[A-Z]+\d+$/.test(name)) {
-                const value = self.model.getCellValue(name);
+                const value = self.model.getCellValue(self.qualifyRef(name));
                 // Try to parse as number if possible
                 const numValue = parseFloat(value);
                 return isNaN(numValue) ? value : numValue;
             }
 
+            // A named range used as a bare name: one cell gives its value, a larger
+            // range its reference, as if the name had been quoted
+            const namedRanges = self.model._getSheet(self._evaluationSheetName()).namedRanges;
+            const named = Array.from(namedRanges.keys()).find(key => key.toUpperCase() === name.toUpperCase());
+            if (named) {
+                const rangeRef = namedRanges.get(named);
+                if (rangeRef.includes(':') || rangeRef === '#REF!') {
+                    return rangeRef;
+                }
+                const value = self.model.getCellValue(self.qualifyRef(rangeRef));
+                const numValue = parseFloat(value);
+                return isNaN(numValue) ? value : numValue;
+            }
+
             // Not a cell reference - return undefined to let normal error handling occur
             return undefined;
         };
     }
 
+    /**
+     * Whether a formula is being evaluated, e.g. so that a cell edit made from
+     * inside one does not wait for the recalculation evaluating it
+     * @returns {boolean}
+     */
+    isEvaluating() {
+        return this._evaluationSheets.length > 0;
+    }
+
+    /**
+     * Sheet that local references, named ranges and tables resolve against:
+     * that of the formula being evaluated, otherwise the active sheet
+     */
+    _evaluationSheetName() {
+        return this._evaluationSheets.length > 0
+            ? this._evaluationSheets[this._evaluationSheets.length - 1]
+            : this.model.activeSheetName;
+    }
+
+    /**
+     * Qualify a local reference with the sheet of the formula being evaluated
+     * (A1 -> Sheet2.A1); references naming a sheet are returned unchanged
+     * @param {string} ref - Cell reference
+     * @returns {string}
+     */
+    qualifyRef(ref) {
+        return String(ref).includes('.') ? ref : `${this._evaluationSheetName()}.${ref}`;
+    }
+
     /**
      * Get a range of cells as an array
      * Example: A1:A5 returns [A1, A2, A3, A4, A5]
+     * Named ranges and table names are resolved to their ranges, and A1# to
+     * the array spilled by the formula in A1
      */
     getCellRange(rangeRef) {
+        const sheetData = this.model._getSheet(this._evaluationSheetName());
+        if (String(rangeRef).endsWith('#')) {
+            rangeRef = this._spillRangeRef(rangeRef);
+        } else if (sheetData.namedRanges.has(rangeRef)) {
+            rangeRef = sheetData.namedRanges.get(rangeRef);
+        } else if (sheetData.tableMetadata.has(rangeRef)) {
+            rangeRef = sheetData.tableMetadata.get(rangeRef).range;
+        }
+        if (!rangeRef.includes(':')) {
+            rangeRef = `${rangeRef}:${rangeRef}`;
+        }
+
         const [start, end] = rangeRef.split(':');
         const startParsed = SpreadsheetModel.parseCellRef(start);
         const endParsed = SpreadsheetModel.parseCellRef(end);
@@ -130,11 +329,14 @@ class SpreadsheetRexxAdapter {
         const startRow = startParsed.row;
         const endRow = endParsed.row;
 
+        // Cross-sheet ranges such as Sheet2.A1:A10 read from the named sheet
+        const sheet = startParsed.sheet || this._evaluationSheetName();
+
         const values = [];
 
         for (let row = startRow; row <= endRow; row++) {
             for (let col = startCol; col <= endCol; col++) {
-                const ref = SpreadsheetModel.formatCellRef(col, row);
+                const ref = SpreadsheetModel.formatCellRef(col, row, sheet);
                 const value = this.model.getCellValue(ref);
                 const numValue = parseFloat(value);
                 values.push(isNaN(numValue) ? value : numValue);
@@ -144,6 +346,273 @@ class SpreadsheetRexxAdapter {
         return values;
     }
 
+    /**
+     * Resolve a range reference to its bounds
+     * Accepts A1:C10, Sheet2.A1:C10, single cells, named ranges, table names
+     * (the data rows, without the header), table columns written as
+     * Table[Column] and spill references such as A1#
+     * @param {string} rangeRef - Range reference or name
+     * @returns {{sheet: string|undefined, startCol: number, startRow: number, endCol: number, endRow: number}}
+     */
+    resolveRangeBounds(rangeRef) {
+        const ref = String(rangeRef).trim().replace(/\$/g, '');
+        const structured = ref.match(/^([A-Za-z][A-Za-z0-9_]*)\[([^\]]+)\]$/);
+        const tableName = structured ? structured[1] : ref;
+        const sheetData = this.model._getSheet(this._evaluationSheetName());
+
+        if (sheetData.tableMetadata.has(tableName)) {
+            const table = sheetData.tableMetadata.get(tableName);
+            const bounds = this.model.parseRange(table.range.includes(':') ? table.range : `${table.range}:${table.range}`);
+            if (table.hasHeader && bounds.endRow > bounds.startRow) {
+                bounds.startRow++;
+            }
+            if (structured) {
+                const col = this._tableColumnNumber(table, structured[2].trim());
+                if (col === null) {
+                    throw new SpreadsheetError('#REF!', `Table ${tableName} has no column ${structured[2]}`);
+                }
+                bounds.startCol = col;
+                bounds.endCol = col;
+            }
+            return bounds;
+        }
+
+        let range = ref;
+        if (ref.endsWith('#')) {
+            range = this._spillRangeRef(ref);
+        } else if (sheetData.namedRanges.has(ref)) {
+            range = sheetData.namedRanges.get(ref);
+        }
+        if (!range.includes(':')) {
+            range = `${range}:${range}`;
+        }
+        const [start, end] = range.split(':');
+        let startParsed;
+        let endParsed;
+        try {
+            startParsed = SpreadsheetModel.parseCellRef(start);
+            endParsed = SpreadsheetModel.parseCellRef(end);
+        } catch (error) {
+            throw new SpreadsheetError('#REF!', `Invalid range: ${rangeRef}`);
+        }
+
+        const startCol = SpreadsheetModel.colLetterToNumber(startParsed.col);
+        const endCol = SpreadsheetModel.colLetterToNumber(endParsed.col);
+        return {
+            sheet: startParsed.sheet,
+            startCol: Math.min(startCol, endCol),
+            startRow: Math.min(startParsed.row, endParsed.row),
+            endCol: Math.max(startCol, endCol),
+            endRow: Math.max(startParsed.row, endParsed.row)
+        };
+    }
+
+    /**
+     * Turn a spill reference such as A1# or Sheet2.A1# into the range the
+     * formula's array currently covers (Sheet2.A1:C3)
+     * @throws {SpreadsheetError} #REF! if the cell holds no formula
+     */
+    _spillRangeRef(spillRef) {
+        const ref = String(spillRef).trim();
+        const range = this.model.getSpillRange(this.qualifyRef(ref));
+        if (!range) {
+            throw new SpreadsheetError('#REF!', `${ref} does not refer to a formula`);
+        }
+        const dot = ref.lastIndexOf('.');
+        return ref.substring(0, dot + 1) + range;
+    }
+
+    /**
+     * Column number of a named table column, or null if the table has no such column
+     */
+    _tableColumnNumber(table, columnName) {
+        const wanted = columnName.toLowerCase();
+        if (table.columns) {
+            const name = Object.keys(table.columns).find(key => key.toLowerCase() === wanted);
+            return name ? SpreadsheetModel.colLetterToNumber(table.columns[name].toUpperCase()) : null;
+        }
+        const index = (table.headers || []).findIndex(header => String(header).toLowerCase() === wanted);
+        return index >= 0 ? table.startCol + index : null;
+    }
+
+    /**
+     * Get a range of cells as rows of values, with numbers parsed
+     * @param {string} rangeRef - Anything resolveRangeBounds accepts
+     * @param {boolean} [parseNumbers=true] - False keeps values as stored (e.g. date text)
+     * @returns {Array<Array>} - One array per row
+     */
+    getRangeGrid(rangeRef, parseNumbers = true) {
+        const bounds = this.resolveRangeBounds(rangeRef);
+        const grid = [];
+        for (let row = bounds.startRow; row <= bounds.endRow; row++) {
+            const values = [];
+            for (let col = bounds.startCol; col <= bounds.endCol; col++) {
+                const value = this.model.getCellValue(SpreadsheetModel.formatCellRef(col, row, bounds.sheet || this._evaluationSheetName()));
+                const numValue = parseFloat(value);
+                values.push(isNaN(numValue) || !parseNumbers ? value : numValue);
+            }
+            grid.push(values);
+        }
+        return grid;
+    }
+
+    /**
+     * Position of a value in one row or column the way VLOOKUP, HLOOKUP and
+     * MATCH find it: approximate lookups take the largest value not above it
+     * in an ascending list, exact lookups allow wildcards in text
+     * @returns {number} Zero-based index, or -1 when nothing matches
+     */
+    _findInLine(values, lookupValue, approximate) {
+        if (approximate) {
+            return findMatch(values, lookupValue, {
+                matchMode: MATCH_MODES.EXACT_OR_SMALLER,
+                searchMode: SEARCH_MODES.BINARY_ASCENDING
+            });
+        }
+        return findMatch(values, lookupValue, {
+            matchMode: hasWildcards(lookupValue) ? MATCH_MODES.WILDCARD : MATCH_MODES.EXACT
+        });
+    }
+
+    /**
+     * Collect the numbers in function arguments for cash flow functions such as
+     * NPV: ranges ("B2:B10", names, tables) contribute their numeric cells and
+     * skip blanks and text; arrays and plain values are taken as they are
+     * @param {Array} args - Function arguments
+     * @returns {number[]}
+     */
+    _numbersFromArgs(args) {
+        const numbers = [];
+        for (const arg of args) {
+            if (Array.isArray(arg)) {
+                numbers.push(...this._numbersFromArgs(arg));
+            } else if (typeof arg === 'string' && isNaN(Number(arg))) {
+                this.getRangeGrid(arg).flat()
+                    .filter(value => typeof value === 'number')
+                    .forEach(value => numbers.push(value));
+            } else {
+                numbers.push(arg);
+            }
+        }
+        return numbers;
+    }
+
+    /**
+     * Read a list argument: a range as its values in order (unparsed if raw),
+     * or an array as given
+     */
+    _listFromArg(arg, raw = false) {
+        if (Array.isArray(arg)) {
+            return arg.flat();
+        }
+        return this.getRangeGrid(arg, !raw).flat();
+    }
+
+    /**
+     * Read two ranges as matching lists, keeping only the positions where both
+     * cells hold numbers, as Excel does for CORREL, SLOPE and the like
+     * @returns {number[][]} [ys, xs]
+     * @throws {SpreadsheetError} #N/A if the ranges differ in size
+     */
+    _pairsFromArgs(ysArg, xsArg) {
+        const ys = this._listFromArg(ysArg);
+        const xs = this._listFromArg(xsArg);
+        if (ys.length !== xs.length) {
+            throw new SpreadsheetError('#N/A', `Ranges must be the same size, got ${ys.length} and ${xs.length} cells`);
+        }
+        const pairedYs = [];
+        const pairedXs = [];
+        ys.forEach((y, i) => {
+            if (typeof y === 'number' && typeof xs[i] === 'number') {
+                pairedYs.push(y);
+                pairedXs.push(xs[i]);
+            }
+        });
+        return [pairedYs, pairedXs];
+    }
+
+    /**
+     * Run TREND or GROWTH: known x and new x values are optional, and a
+     * single new x gives a single value rather than an array
+     * @throws {SpreadsheetError} #VALUE! for non-numeric cells, #REF! if known ranges differ in size
+     */
+    _fitted(fit, knownYs, knownXs, newXs, constant) {
+        const numbers = (arg) => {
+            if (arg === '' || arg === null || arg === undefined) {
+                return [];
+            }
+            const list = typeof arg === 'number' || (typeof arg === 'string' && arg.trim() !== '' && !isNaN(Number(arg)))
+                ? [Number(arg)]
+                : this._listFromArg(arg);
+            if (list.some(value => typeof value !== 'number')) {
+                throw new SpreadsheetError('#VALUE!', 'Known and new values must all be numbers');
+            }
+            return list;
+        };
+        const ys = numbers(knownYs);
+        const xs = numbers(knownXs);
+        if (xs.length > 0 && xs.length !== ys.length) {
+            throw new SpreadsheetError('#REF!', `known_xs must be the same size as known_ys, got ${xs.length} and ${ys.length} cells`);
+        }
+        const values = fit(ys, xs, numbers(newXs), toFlag(constant));
+        return values.length === 1 ? values[0] : values;
+    }
+
+    /**
+     * Read an array argument as rows of values: a range (anything
+     * resolveRangeBounds accepts), an array of rows, a list (read as a
+     * column) or a single value
+     * @returns {Array<Array>}
+     */
+    _gridFromArg(arg) {
+        if (Array.isArray(arg)) {
+            return arg.every(Array.isArray) ? arg.map(row => [...row]) : arg.map(value => [value]);
+        }
+        if (typeof arg === 'string' && arg.trim() !== '' && isNaN(Number(arg))) {
+            return this.getRangeGrid(arg);
+        }
+        return [[arg]];
+    }
+
+    /**
+     * Whether a string names a range rather than holding an expression
+     */
+    _isRangeRef(arg) {
+        try {
+            this.resolveRangeBounds(arg);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * FILTER with a REXX predicate: like an expression conditional format, the
+     * predicate is written for the first row of the range and its relative
+     * references move down a row for each row tested; $ keeps a reference
+     * fixed (C2 > $F$1)
+     * @returns {Promise<Array<Array>|string>} Included rows, or an error value
+     */
+    async _filterByPredicate(array, predicate, ifEmpty) {
+        try {
+            const grid = this._gridFromArg(array);
+            const include = [];
+            for (let i = 0; i < grid.length; i++) {
+                const expression = this.model._adjustFormulaForCopy(predicate, i, 0)
+                    .replace(/\$?\b([A-Z]+)\$?(\d+)\b/g, '$1$2');
+                // The formula only names the first row's cells; it depends on every row's
+                this.model.extractCellReferences(expression).forEach(ref => this.model.trackRangeDependency(ref));
+                include.push(isConditionTrue(await this.evaluate(expression, this.model)) ? 1 : 0);
+            }
+            return arrays.filter(grid, include, ifEmpty);
+        } catch (error) {
+            if (error instanceof SpreadsheetError) {
+                return error.type;
+            }
+            throw error;
+        }
+    }
+
     /**
      * Extract cell references from an expression
      * Returns array of cell references like ['A1', 'B2', 'C3']
@@ -156,12 +625,19 @@ class SpreadsheetRexxAdapter {
 
     /**
      * Evaluate a RexxJS expression in the spreadsheet context
+     * Failures are thrown as SpreadsheetError with a typed error code (#DIV/0!, #NAME?, ...)
+     * @param {string} expression - Expression to evaluate
+     * @param {SpreadsheetModel} spreadsheetModel - The spreadsheet model
+     * @param {object} [context] - { sheet }: the sheet the formula is on, which
+     *   its local references resolve against. Defaults to the sheet of the
+     *   enclosing evaluation, or the active sheet.
      */
-    async evaluate(expression, spreadsheetModel) {
+    async evaluate(expression, spreadsheetModel, context = {}) {
         if (!this.interpreter) {
             throw new Error('Interpreter not initialized');
         }
 
+        this._evaluationSheets.push(context.sheet || this._evaluationSheetName());
         try {
             // NO PRE-INJECTION! Cell references are resolved lazily via variableResolver callback
             // This is more efficient and allows first-class interop
@@ -187,9 +663,18 @@ class SpreadsheetRexxAdapter {
                 result = this.interpreter.getVariable('RESULT') || '';
             }
 
+            // Non-finite arithmetic results surface as typed errors
+            if (typeof result === 'number' && !isFinite(result)) {
+                throw isNaN(result)
+                    ? new SpreadsheetError('#NUM!', 'Result is not a number')
+                    : new SpreadsheetError('#DIV/0!', 'Division by zero');
+            }
+
             return result;
         } catch (error) {
-            throw new Error(`Expression error: ${error.message}`);
+            throw toSpreadsheetError(error);
+        } finally {
+            this._evaluationSheets.pop();
         }
     }
 
@@ -241,7 +726,7 @@ class SpreadsheetRexxAdapter {
 
             // Get cell value by reference
             CELL: function(ref) {
-                const value = self.model.getCellValue(ref);
+                const value = self.model.getCellValue(self.qualifyRef(ref));
                 const numValue = parseFloat(value);
                 return isNaN(numValue) ? value : numValue;
             },
@@ -541,6 +1026,410 @@ class SpreadsheetRexxAdapter {
                 return date.toISOString().split('T')[0];
             },
 
+            // Lookup functions: ranges may be A1:C10, Sheet2.A1:C10, a named range,
+            // a table name (its data rows) or a table column such as "Orders[Total]".
+            // A value that is not found gives #N/A, an index outside the range #REF!
+
+            // VLOOKUP - Find a value in the first column and return the value in colIndex of that row
+            // rangeLookup TRUE (default) expects the first column sorted ascending and takes the
+            // largest value not above lookupValue; FALSE wants an exact match and allows * ? ~ wildcards
+            VLOOKUP: function(lookupValue, rangeRef, colIndex, rangeLookup = 1) {
+                if (isErrorValue(lookupValue)) return lookupValue;
+                return withErrorValues(() => {
+                    const grid = self.getRangeGrid(rangeRef);
+                    const col = toIndex(colIndex);
+                    if (col === null || col < 1) return '#VALUE!';
+                    if (col > grid[0].length) return '#REF!';
+
+                    const index = self._findInLine(grid.map(row => row[0]), lookupValue, toFlag(rangeLookup));
+                    return index < 0 ? '#N/A' : grid[index][col - 1];
+                });
+            },
+
+            // HLOOKUP - Find a value in the first row and return the value in rowIndex of that column
+            HLOOKUP: function(lookupValue, rangeRef, rowIndex, rangeLookup = 1) {
+                if (isErrorValue(lookupValue)) return lookupValue;
+                return withErrorValues(() => {
+                    const grid = self.getRangeGrid(rangeRef);
+                    const row = toIndex(rowIndex);
+                    if (row === null || row < 1) return '#VALUE!';
+                    if (row > grid.length) return '#REF!';
+
+                    const index = self._findInLine(grid[0], lookupValue, toFlag(rangeLookup));
+                    return index < 0 ? '#N/A' : grid[row - 1][index];
+                });
+            },
+
+            // XLOOKUP - Find a value in a single row or column and return the matching item of returnRange
+            // matchMode: 0 exact (default), -1 exact or next smaller, 1 exact or next larger, 2 wildcard
+            // searchMode: 1 first to last (default), -1 last to first, 2 binary ascending, -2 binary descending
+            // A returnRange several columns (or rows) wide returns the whole matching row (or column)
+            XLOOKUP: function(lookupValue, lookupRangeRef, returnRangeRef, ifNotFound, matchMode = 0, searchMode = 1) {
+                if (isErrorValue(lookupValue)) return lookupValue;
+                return withErrorValues(() => {
+                    const lookupGrid = self.getRangeGrid(lookupRangeRef);
+                    const returnGrid = self.getRangeGrid(returnRangeRef);
+                    const mode = toIndex(matchMode);
+                    const search = toIndex(searchMode);
+                    if (!Object.values(MATCH_MODES).includes(mode) || !Object.values(SEARCH_MODES).includes(search)) {
+                        return '#VALUE!';
+                    }
+
+                    const vertical = lookupGrid[0].length === 1;
+                    if (!vertical && lookupGrid.length !== 1) return '#VALUE!';
+                    const values = vertical ? lookupGrid.map(row => row[0]) : lookupGrid[0];
+                    const returnLength = vertical ? returnGrid.length : returnGrid[0].length;
+                    if (returnLength !== values.length) return '#VALUE!';
+
+                    const index = findMatch(values, lookupValue, { matchMode: mode, searchMode: search });
+                    if (index < 0) {
+                        return ifNotFound === undefined ? '#N/A' : ifNotFound;
+                    }
+                    const result = vertical ? returnGrid[index] : returnGrid.map(row => row[index]);
+                    return result.length === 1 ? result[0] : result;
+                });
+            },
+
+            // INDEX - Value at a row and column (1-based) of a range
+            // A single row or column needs only one index; row 0 or column 0 returns the whole column or row
+            INDEX: function(rangeRef, rowNum, colNum) {
+                return withErrorValues(() => {
+                    const grid = self.getRangeGrid(rangeRef);
+                    let row = toIndex(rowNum);
+                    let col = colNum === undefined ? null : toIndex(colNum);
+                    if (row === null || (colNum !== undefined && col === null)) return '#VALUE!';
+
+                    if (col === null) {
+                        if (grid.length === 1) {
+                            col = row;
+                            row = 1;
+                        } else if (grid[0].length === 1) {
+                            col = 1;
+                        } else {
+                            return '#REF!';
+                        }
+                    }
+                    if (row < 0 || col < 0) return '#VALUE!';
+                    if (row > grid.length || col > grid[0].length) return '#REF!';
+
+                    if (row === 0 && col === 0) return grid;
+                    if (row === 0) return grid.map(cells => cells[col - 1]);
+                    if (col === 0) return grid[row - 1];
+                    return grid[row - 1][col - 1];
+                });
+            },
+
+            // MATCH - Position (1-based) of a value in a single row or column
+            // matchType 1 (default): largest value not above lookupValue, range sorted ascending
+            // matchType 0: exact match, allowing * ? ~ wildcards
+            // matchType -1: smallest value not below lookupValue, range sorted descending
+            MATCH: function(lookupValue, rangeRef, matchType = 1) {
+                if (isErrorValue(lookupValue)) return lookupValue;
+                return withErrorValues(() => {
+                    const grid = self.getRangeGrid(rangeRef);
+                    if (grid.length !== 1 && grid[0].length !== 1) return '#N/A';
+                    const values = grid.length === 1 ? grid[0] : grid.map(row => row[0]);
+
+                    const type = Math.sign(toIndex(matchType) ?? NaN);
+                    let index;
+                    if (type === 0) {
+                        index = self._findInLine(values, lookupValue, false);
+                    } else if (type === 1) {
+                        index = self._findInLine(values, lookupValue, true);
+                    } else if (type === -1) {
+                        index = findMatch(values, lookupValue, {
+                            matchMode: MATCH_MODES.EXACT_OR_LARGER,
+                            searchMode: SEARCH_MODES.BINARY_DESCENDING
+                        });
+                    } else {
+                        return '#VALUE!';
+                    }
+                    return index < 0 ? '#N/A' : index + 1;
+                });
+            },
+
+            // OFFSET - Reference shifted by rows and cols from a base reference, optionally resized
+            // Returns the reference (e.g. "C5" or "C5:D8") for CELL() or the range functions:
+            // CELL(OFFSET("A1", 4, 2)), SUM_RANGE(OFFSET("Sales", 0, 0, 3))
+            OFFSET: function(reference, rows, cols, height, width) {
+                return withErrorValues(() => {
+                    const base = self.resolveRangeBounds(reference);
+                    const rowShift = toIndex(rows);
+                    const colShift = toIndex(cols);
+                    const newHeight = height === undefined ? base.endRow - base.startRow + 1 : toIndex(height);
+                    const newWidth = width === undefined ? base.endCol - base.startCol + 1 : toIndex(width);
+                    if (rowShift === null || colShift === null || newHeight === null || newWidth === null) {
+                        return '#VALUE!';
+                    }
+                    if (newHeight < 1 || newWidth < 1) return '#VALUE!';
+
+                    const startRow = base.startRow + rowShift;
+                    const startCol = base.startCol + colShift;
+                    const endRow = startRow + newHeight - 1;
+                    const endCol = startCol + newWidth - 1;
+                    if (startRow < 1 || startCol < 1 || endRow > self.model.rows || endCol > self.model.cols) {
+                        return '#REF!';
+                    }
+
+                    const start = SpreadsheetModel.formatCellRef(startCol, startRow, base.sheet);
+                    const range = `${start}:${SpreadsheetModel.formatCellRef(endCol, endRow)}`;
+                    // The formula does not name the cells it ends up reading, so record them now
+                    self.model.trackRangeDependency(range);
+                    return newHeight === 1 && newWidth === 1 ? start : range;
+                });
+            },
+
+            // Financial functions, with Excel's sign convention: money paid out is negative.
+            // rate is per period; type 0 pays at the end of each period (default), 1 at the start
+
+            // PMT - Payment per period: PMT(0.05/12, 360, 200000) = -1073.64
+            PMT: function(rate, nper, pv, fv = 0, type = 0) {
+                return withErrorValues(() => financial.pmt(rate, nper, pv, fv, type));
+            },
+
+            // IPMT - Interest part of the payment in period per
+            IPMT: function(rate, per, nper, pv, fv = 0, type = 0) {
+                return withErrorValues(() => financial.ipmt(rate, per, nper, pv, fv, type));
+            },
+
+            // PPMT - Principal part of the payment in period per
+            PPMT: function(rate, per, nper, pv, fv = 0, type = 0) {
+                return withErrorValues(() => financial.ppmt(rate, per, nper, pv, fv, type));
+            },
+
+            // FV - Future value of payments plus a present value
+            FV: function(rate, nper, pmt, pv = 0, type = 0) {
+                return withErrorValues(() => financial.fv(rate, nper, pmt, pv, type));
+            },
+
+            // PV - Present value of a series of payments
+            PV: function(rate, nper, pmt, fv = 0, type = 0) {
+                return withErrorValues(() => financial.pv(rate, nper, pmt, fv, type));
+            },
+
+            // RATE - Interest rate per period; #NUM! if it cannot be found
+            RATE: function(nper, pmt, pv, fv = 0, type = 0, guess = 0.1) {
+                return withErrorValues(() => financial.rate(nper, pmt, pv, fv, type, guess));
+            },
+
+            // NPER - Number of periods to pay off pv or reach fv
+            NPER: function(rate, pmt, pv, fv = 0, type = 0) {
+                return withErrorValues(() => financial.nper(rate, pmt, pv, fv, type));
+            },
+
+            // NPV - Net present value of cash flows one period apart, the first one period from now
+            // Flows may be numbers, ranges or both: NPV(0.1, "B2:B6"), NPV(0.1, -1000, 300, 400)
+            NPV: function(rate, ...values) {
+                return withErrorValues(() => financial.npv(rate, self._numbersFromArgs(values)));
+            },
+
+            // IRR - Internal rate of return of cash flows one period apart, the first one now
+            IRR: function(values, guess = 0.1) {
+                return withErrorValues(() => financial.irr(self._numbersFromArgs([values]), guess));
+            },
+
+            // XNPV - Net present value of cash flows on dates (serial numbers or date text)
+            XNPV: function(rate, values, dates) {
+                return withErrorValues(() => financial.xnpv(rate, self._listFromArg(values), self._listFromArg(dates, true)));
+            },
+
+            // XIRR - Annual internal rate of return of cash flows on dates
+            XIRR: function(values, dates, guess = 0.1) {
+                return withErrorValues(() => financial.xirr(self._listFromArg(values), self._listFromArg(dates, true), guess));
+            },
+
+            // MIRR - Modified internal rate of return
+            MIRR: function(values, financeRate, reinvestRate) {
+                return withErrorValues(() => financial.mirr(self._numbersFromArgs([values]), financeRate, reinvestRate));
+            },
+
+            // SLN - Straight-line depreciation per period
+            SLN: function(cost, salvage, life) {
+                return withErrorValues(() => financial.sln(cost, salvage, life));
+            },
+
+            // DDB - Double-declining (or factor) balance depreciation for one period
+            DDB: function(cost, salvage, life, period, factor = 2) {
+                return withErrorValues(() => financial.ddb(cost, salvage, life, period, factor));
+            },
+
+            // Statistics, computed natively like Excel (PY_* functions remain for heavier work)
+            // Pairs where either cell is blank or text are skipped
+
+            // CORREL - Pearson correlation: CORREL("A2:A20", "B2:B20")
+            CORREL: function(array1, array2) {
+                return withErrorValues(() => statistics.correl(...self._pairsFromArgs(array1, array2)));
+            },
+
+            // COVARIANCE_P - Population covariance (COVARIANCE.P)
+            COVARIANCE_P: function(array1, array2) {
+                return withErrorValues(() => statistics.covarianceP(...self._pairsFromArgs(array1, array2)));
+            },
+
+            // COVARIANCE_S - Sample covariance (COVARIANCE.S)
+            COVARIANCE_S: function(array1, array2) {
+                return withErrorValues(() => statistics.covarianceS(...self._pairsFromArgs(array1, array2)));
+            },
+
+            // PERCENTILE - k-th percentile with k from 0 to 1 (PERCENTILE.INC)
+            PERCENTILE: function(values, k) {
+                return withErrorValues(() => statistics.percentile(self._numbersFromArgs([values]), k));
+            },
+
+            // QUARTILE - 0 minimum, 1-3 quartiles, 4 maximum (QUARTILE.INC)
+            QUARTILE: function(values, quart) {
+                return withErrorValues(() => statistics.quartile(self._numbersFromArgs([values]), quart));
+            },
+
+            // RANK - Rank of a number in a range, largest first unless order is 1 (RANK.EQ)
+            RANK: function(number, values, order = 0) {
+                return withErrorValues(() => statistics.rank(number, self._numbersFromArgs([values]), order));
+            },
+
+            // MODE - Most frequent number; #N/A if none repeats (MODE.SNGL)
+            MODE: function(...values) {
+                return withErrorValues(() => statistics.mode(self._numbersFromArgs(values)));
+            },
+
+            // SKEW - Sample skewness
+            SKEW: function(...values) {
+                return withErrorValues(() => statistics.skew(self._numbersFromArgs(values)));
+            },
+
+            // KURT - Sample excess kurtosis
+            KURT: function(...values) {
+                return withErrorValues(() => statistics.kurt(self._numbersFromArgs(values)));
+            },
+
+            // SLOPE - Slope of the least-squares line: SLOPE(known_ys, known_xs)
+            SLOPE: function(knownYs, knownXs) {
+                return withErrorValues(() => statistics.slope(...self._pairsFromArgs(knownYs, knownXs)));
+            },
+
+            // INTERCEPT - y-intercept of the least-squares line
+            INTERCEPT: function(knownYs, knownXs) {
+                return withErrorValues(() => statistics.intercept(...self._pairsFromArgs(knownYs, knownXs)));
+            },
+
+            // RSQ - R squared of the least-squares line
+            RSQ: function(knownYs, knownXs) {
+                return withErrorValues(() => statistics.rsq(...self._pairsFromArgs(knownYs, knownXs)));
+            },
+
+            // FORECAST_LINEAR - Predict y at x from the least-squares line (FORECAST.LINEAR)
+            FORECAST_LINEAR: function(x, knownYs, knownXs) {
+                return withErrorValues(() => statistics.forecastLinear(x, ...self._pairsFromArgs(knownYs, knownXs)));
+            },
+
+            // TREND - Values on the least-squares line at new_xs; an array unless there is one new x
+            TREND: function(knownYs, knownXs = '', newXs = '', constant = 1) {
+                return withErrorValues(() => self._fitted(statistics.trend, knownYs, knownXs, newXs, constant));
+            },
+
+            // GROWTH - Values on the least-squares exponential curve at new_xs
+            GROWTH: function(knownYs, knownXs = '', newXs = '', constant = 1) {
+                return withErrorValues(() => self._fitted(statistics.growth, knownYs, knownXs, newXs, constant));
+            },
+
+            // Dynamic arrays, computed natively (NP_* functions remain for heavier work)
+            // Results are arrays of rows that spill into the cells below and to the right
+
+            // FILTER - Rows of a range whose include value is true: FILTER("A2:C20", "D2:D20"),
+            // or a REXX predicate written for the first row: FILTER("A2:C20", "C2 > 1000", "None")
+            FILTER: function(array, include, ifEmpty) {
+                if (typeof include === 'string' && !self._isRangeRef(include)) {
+                    return self._filterByPredicate(array, include, ifEmpty);
+                }
+                return withErrorValues(() => arrays.filter(self._gridFromArg(array), self._listFromArg(include), ifEmpty));
+            },
+
+            // SORT - Sort rows by a column (1-based), 1 ascending or -1 descending
+            SORT: function(array, sortIndex = 1, sortOrder = 1, byCol = 0) {
+                return withErrorValues(() => arrays.sort(self._gridFromArg(array), sortIndex, sortOrder, toFlag(byCol)));
+            },
+
+            // SORTBY - Sort rows by other ranges: SORTBY("A2:B20", "C2:C20", -1, "A2:A20", 1)
+            SORTBY: function(array, ...byArrayAndOrders) {
+                return withErrorValues(() => {
+                    const sortKeys = [];
+                    for (let i = 0; i < byArrayAndOrders.length; i += 2) {
+                        sortKeys.push({ keys: self._listFromArg(byArrayAndOrders[i]), order: byArrayAndOrders[i + 1] });
+                    }
+                    return arrays.sortBy(self._gridFromArg(array), sortKeys);
+                });
+            },
+
+            // UNIQUE - Distinct rows in order of first appearance
+            UNIQUE: function(array, byCol = 0, exactlyOnce = 0) {
+                return withErrorValues(() => arrays.unique(self._gridFromArg(array), toFlag(byCol), toFlag(exactlyOnce)));
+            },
+
+            // SEQUENCE - Numbers counting across then down: SEQUENCE(rows, [columns], [start], [step])
+            SEQUENCE: function(rows, columns = 1, start = 1, step = 1) {
+                return withErrorValues(() => arrays.sequence(rows, columns, start, step));
+            },
+
+            // TRANSPOSE - Swap rows and columns
+            TRANSPOSE: function(array) {
+                return withErrorValues(() => arrays.transpose(self._gridFromArg(array)));
+            },
+
+            // MMULT - Matrix product of two ranges
+            MMULT: function(array1, array2) {
+                return withErrorValues(() => arrays.mmult(self._gridFromArg(array1), self._gridFromArg(array2)));
+            },
+
+            // MINVERSE - Inverse of a square range; #NUM! if it has none
+            MINVERSE: function(array) {
+                return withErrorValues(() => arrays.minverse(self._gridFromArg(array)));
+            },
+
+            // MDETERM - Determinant of a square range
+            MDETERM: function(array) {
+                return withErrorValues(() => arrays.mdeterm(self._gridFromArg(array)));
+            },
+
+            // VSTACK - Ranges one below another, short rows padded with #N/A
+            VSTACK: function(...arrayArgs) {
+                return withErrorValues(() => arrays.vstack(...arrayArgs.map(arg => self._gridFromArg(arg))));
+            },
+
+            // HSTACK - Ranges side by side, short columns padded with #N/A
+            HSTACK: function(...arrayArgs) {
+                return withErrorValues(() => arrays.hstack(...arrayArgs.map(arg => self._gridFromArg(arg))));
+            },
+
+            // Error handling functions
+            ISERROR: function(value) {
+                return isErrorValue(value) ? 1 : 0;
+            },
+
+            // ISERR - Any error except #N/A
+            ISERR: function(value) {
+                return isErrorValue(value) && value !== '#N/A' ? 1 : 0;
+            },
+
+            ISNA: function(value) {
+                return value === '#N/A' ? 1 : 0;
+            },
+
+            IFERROR: function(value, valueIfError) {
+                return isErrorValue(value) ? valueIfError : value;
+            },
+
+            IFNA: function(value, valueIfNa) {
+                return value === '#N/A' ? valueIfNa : value;
+            },
+
+            // ERROR_TYPE - Excel ERROR.TYPE number for an error value, #N/A otherwise
+            ERROR_TYPE: function(value) {
+                return isErrorValue(value) ? ERROR_TYPES[value] : '#N/A';
+            },
+
+            NA: function() {
+                return '#N/A';
+            },
+
             FORMAT_DATE: function(dateStr, format) {
                 const date = new Date(dateStr);
                 // Simple format replacements
@@ -572,6 +1461,11 @@ class SpreadsheetRexxAdapter {
             // Register in builtin functions
             this.interpreter.builtinFunctions[name] = func;
         });
+
+        // Excel spellings of functions whose names contain dots
+        Object.entries(EXCEL_ALIASES).forEach(([alias, name]) => {
+            this.interpreter.builtinFunctions[alias] = functions[name];
+        });
     }
 
     /**
@@ -0,0 +1,209 @@
+/**
+ * Spreadsheet Solver
+ * Numeric search used by Goal Seek and the Solver. The routines work on any
+ * async function of the changing values; the model supplies functions that
+ * write the values into cells, recalculate and read the target back.
+ *
+ * - seekGoal: one changing value, find where f(x) = 0 (secant steps, with
+ *   bisection once a sign change brackets the root)
+ * - minimize: several changing values, Nelder-Mead simplex search; constraints
+ *   are handled by the caller as penalties
+ * - parseConstraint: read a "B4 <= 10" constraint as typed in SOLVE() or the dialog
+ */
+
+/**
+ * Default limits for both searches
+ */
+export const SOLVER_DEFAULTS = {
+    maxIterations: 100,
+    tolerance: 1e-7
+};
+
+/**
+ * Find x such that f(x) is (within tolerance) zero, starting from `start`
+ * @param {Function} f - async (x) => number
+ * @param {number} start - Initial guess
+ * @param {Object} options - {maxIterations, tolerance}
+ * @returns {Promise<{found: boolean, x: number, fx: number, iterations: number}>}
+ */
+export async function seekGoal(f, start, options = {}) {
+    const { maxIterations, tolerance } = { ...SOLVER_DEFAULTS, ...options };
+
+    let x0 = Number.isFinite(start) ? start : 0;
+    let f0 = await f(x0);
+    if (Math.abs(f0) <= tolerance) {
+        return { found: true, x: x0, fx: f0, iterations: 0 };
+    }
+
+    let x1 = x0 !== 0 ? x0 * 1.01 : 0.01;
+    let f1 = await f(x1);
+    let bracket = null; // {a, fa, b, fb} with fa and fb of opposite sign
+
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+        if (Number.isFinite(f1) && Math.abs(f1) <= tolerance) {
+            return { found: true, ...await shortestWithin(f, x1, f1, tolerance), iterations: iteration };
+        }
+
+        if (Number.isFinite(f0) && Number.isFinite(f1)) {
+            if (!bracket && Math.sign(f0) !== Math.sign(f1)) {
+                bracket = { a: x0, fa: f0, b: x1, fb: f1 };
+            } else if (bracket) {
+                // Keep the endpoint whose sign differs from the new point
+                if (Math.sign(f1) === Math.sign(bracket.fa)) {
+                    bracket.a = x1;
+                    bracket.fa = f1;
+                } else {
+                    bracket.b = x1;
+                    bracket.fb = f1;
+                }
+            }
+        }
+
+        let next = null;
+        if (!Number.isFinite(f1)) {
+            // Stepped somewhere the target cannot be computed; back off
+            next = (x0 + x1) / 2;
+        } else if (f1 !== f0 && Number.isFinite(f0)) {
+            next = x1 - f1 * (x1 - x0) / (f1 - f0);
+        }
+
+        if (bracket) {
+            const low = Math.min(bracket.a, bracket.b);
+            const high = Math.max(bracket.a, bracket.b);
+            if (next === null || !Number.isFinite(next) || next <= low || next >= high) {
+                next = (low + high) / 2;
+            }
+            if (high - low <= Math.abs(next) * Number.EPSILON * 4) {
+                break;
+            }
+        } else if (next === null || !Number.isFinite(next)) {
+            // Flat so far: widen the search
+            next = x1 + (x1 - x0) * 2 || x1 + 1;
+        }
+
+        if (Number.isFinite(f1)) {
+            x0 = x1;
+            f0 = f1;
+        }
+        x1 = next;
+        f1 = await f(x1);
+    }
+
+    const best = Number.isFinite(f1) && (!Number.isFinite(f0) || Math.abs(f1) <= Math.abs(f0))
+        ? { x: x1, fx: f1 }
+        : { x: x0, fx: f0 };
+    return { found: Math.abs(best.fx) <= tolerance, ...best, iterations: maxIterations };
+}
+
+/**
+ * Prefer the shortest decimal near a root that still meets the tolerance, so
+ * Goal Seek writes 12 rather than 11.999999998
+ */
+async function shortestWithin(f, x, fx, tolerance) {
+    for (let digits = 1; digits < 15; digits++) {
+        const candidate = Number(x.toPrecision(digits));
+        if (candidate === x) {
+            break;
+        }
+        const fCandidate = await f(candidate);
+        if (Math.abs(fCandidate) <= tolerance) {
+            return { x: candidate, fx: fCandidate };
+        }
+    }
+    return { x, fx };
+}
+
+/**
+ * Minimize f over several variables with the Nelder-Mead simplex method
+ * @param {Function} f - async (values: number[]) => number; non-finite results count as worst
+ * @param {number[]} start - Initial values
+ * @param {Object} options - {maxIterations, tolerance}
+ * @returns {Promise<{x: number[], fx: number, iterations: number, converged: boolean}>}
+ */
+export async function minimize(f, start, options = {}) {
+    const { maxIterations, tolerance } = { ...SOLVER_DEFAULTS, ...options };
+    const n = start.length;
+    const score = async (x) => {
+        const value = await f(x);
+        return Number.isFinite(value) ? value : Infinity;
+    };
+
+    const simplex = [{ x: [...start], fx: await score(start) }];
+    for (let i = 0; i < n; i++) {
+        const x = [...start];
+        x[i] += Math.abs(x[i]) * 0.1 || 1;
+        simplex.push({ x, fx: await score(x) });
+    }
+
+    const combine = (a, b, t) => a.map((value, i) => value + t * (b[i] - value));
+
+    let iteration = 0;
+    let converged = false;
+    while (iteration < maxIterations) {
+        simplex.sort((p, q) => p.fx - q.fx);
+        const best = simplex[0];
+        const worst = simplex[n];
+
+        const valueSpread = Math.abs(worst.fx - best.fx);
+        const pointSpread = Math.max(...simplex.map(point =>
+            Math.max(...point.x.map((value, i) => Math.abs(value - best.x[i])))));
+        if (valueSpread <= tolerance * (1 + Math.abs(best.fx)) && pointSpread <= Math.sqrt(tolerance) * (1 + Math.max(...best.x.map(Math.abs)))) {
+            converged = true;
+            break;
+        }
+        iteration++;
+
+        const centroid = new Array(n).fill(0);
+        for (let i = 0; i < n; i++) {
+            simplex[i].x.forEach((value, j) => { centroid[j] += value / n; });
+        }
+
+        const reflected = combine(centroid, worst.x, -1);
+        const fReflected = await score(reflected);
+
+        if (fReflected < best.fx) {
+            const expanded = combine(centroid, worst.x, -2);
+            const fExpanded = await score(expanded);
+            simplex[n] = fExpanded < fReflected ? { x: expanded, fx: fExpanded } : { x: reflected, fx: fReflected };
+        } else if (fReflected < simplex[n - 1].fx) {
+            simplex[n] = { x: reflected, fx: fReflected };
+        } else {
+            const outside = fReflected < worst.fx;
+            const contracted = outside ? combine(centroid, reflected, 0.5) : combine(centroid, worst.x, 0.5);
+            const fContracted = await score(contracted);
+            if (fContracted < Math.min(fReflected, worst.fx)) {
+                simplex[n] = { x: contracted, fx: fContracted };
+            } else {
+                // Shrink everything towards the best point
+                for (let i = 1; i <= n; i++) {
+                    const x = combine(best.x, simplex[i].x, 0.5);
+                    simplex[i] = { x, fx: await score(x) };
+                }
+            }
+        }
+    }
+
+    simplex.sort((p, q) => p.fx - q.fx);
+    return { x: simplex[0].x, fx: simplex[0].fx, iterations: iteration, converged };
+}
+
+/**
+ * Parse a constraint written as "cell op limit", e.g. "B4 <= 10" or "B2 >= C1"
+ * @param {string} spec - Constraint text
+ * @returns {{ref: string, operator: string, value: number|string}}
+ */
+export function parseConstraint(spec) {
+    const match = String(spec).match(/^\s*([A-Z]+\d+)\s*(<=|>=|=)\s*(\S+)\s*$/i);
+    if (!match) {
+        throw new Error(`Constraint must look like "B4 <= 10", got "${spec}"`);
+    }
+    const limit = /^[A-Z]+\d+$/i.test(match[3]) ? match[3].toUpperCase() : Number(match[3]);
+    return { ref: match[1].toUpperCase(), operator: match[2], value: limit };
+}
+
+export default {
+    SOLVER_DEFAULTS,
+    seekGoal,
+    minimize,
+    parseConstraint
+};
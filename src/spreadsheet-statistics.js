@@ -0,0 +1,312 @@
+/**
+ * Spreadsheet Statistics
+ * Native, Excel-compatible statistics: correlation and covariance,
+ * percentiles and quartiles, rank and mode, skewness and kurtosis, and
+ * least-squares lines (SLOPE, INTERCEPT, RSQ, FORECAST.LINEAR, TREND, GROWTH)
+ *
+ * Functions take plain arrays of numbers; the adapter reads them from ranges.
+ * Definitions follow Excel, which match SciPy's bias-corrected estimators
+ * (scipy.stats.skew/kurtosis with bias=False) and NumPy's linear percentile.
+ */
+
+import { SpreadsheetError } from './spreadsheet-errors.js';
+
+/**
+ * Read a numeric argument; numeric text is accepted
+ * @throws {SpreadsheetError} #VALUE! if the argument is not a number
+ */
+function toNumber(value, name) {
+    const num = typeof value === 'number' ? value : Number(String(value).trim());
+    if (value === '' || value === null || value === undefined || isNaN(num)) {
+        throw new SpreadsheetError('#VALUE!', `${name} must be a number, got "${value}"`);
+    }
+    return num;
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Sum of squared deviations from the mean, and of the cubed and fourth powers
+ */
+function centralSums(values) {
+    const m = mean(values);
+    let s2 = 0;
+    let s3 = 0;
+    let s4 = 0;
+    for (const value of values) {
+        const d = value - m;
+        s2 += d * d;
+        s3 += d * d * d;
+        s4 += d * d * d * d;
+    }
+    return { s2, s3, s4 };
+}
+
+/**
+ * Check two lists pair up and have enough points
+ */
+function requirePairs(xs, ys, minimum, name) {
+    if (xs.length !== ys.length) {
+        throw new SpreadsheetError('#N/A', `${name} needs ranges of the same size, got ${ys.length} and ${xs.length} values`);
+    }
+    if (xs.length < minimum) {
+        throw new SpreadsheetError('#DIV/0!', `${name} needs at least ${minimum} pairs of values`);
+    }
+}
+
+/**
+ * Sums of products of deviations for paired values
+ */
+function pairedSums(xs, ys) {
+    const mx = mean(xs);
+    const my = mean(ys);
+    let sxx = 0;
+    let syy = 0;
+    let sxy = 0;
+    for (let i = 0; i < xs.length; i++) {
+        sxx += (xs[i] - mx) * (xs[i] - mx);
+        syy += (ys[i] - my) * (ys[i] - my);
+        sxy += (xs[i] - mx) * (ys[i] - my);
+    }
+    return { mx, my, sxx, syy, sxy };
+}
+
+/**
+ * CORREL - Pearson correlation coefficient of two lists
+ * @param {number[]} xs - First list
+ * @param {number[]} ys - Second list, the same length
+ * @returns {number}
+ */
+export function correl(xs, ys) {
+    requirePairs(xs, ys, 2, 'CORREL');
+    const { sxx, syy, sxy } = pairedSums(xs, ys);
+    if (sxx === 0 || syy === 0) {
+        throw new SpreadsheetError('#DIV/0!', 'CORREL needs values that vary');
+    }
+    return sxy / Math.sqrt(sxx * syy);
+}
+
+/**
+ * COVARIANCE.P - Population covariance of two lists
+ */
+export function covarianceP(xs, ys) {
+    requirePairs(xs, ys, 1, 'COVARIANCE.P');
+    return pairedSums(xs, ys).sxy / xs.length;
+}
+
+/**
+ * COVARIANCE.S - Sample covariance of two lists
+ */
+export function covarianceS(xs, ys) {
+    requirePairs(xs, ys, 2, 'COVARIANCE.S');
+    return pairedSums(xs, ys).sxy / (xs.length - 1);
+}
+
+/**
+ * PERCENTILE - k-th percentile, interpolating between values (PERCENTILE.INC)
+ * @param {number[]} values - Data
+ * @param {number} k - Fraction from 0 to 1
+ * @returns {number}
+ */
+export function percentile(values, k) {
+    k = toNumber(k, 'k');
+    if (values.length === 0 || k < 0 || k > 1) {
+        throw new SpreadsheetError('#NUM!', `PERCENTILE needs data and k from 0 to 1, got ${k}`);
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const position = k * (sorted.length - 1);
+    const below = Math.floor(position);
+    const fraction = position - below;
+    return below + 1 < sorted.length
+        ? sorted[below] + fraction * (sorted[below + 1] - sorted[below])
+        : sorted[below];
+}
+
+/**
+ * QUARTILE - Minimum (0), quartiles (1-3) or maximum (4) (QUARTILE.INC)
+ */
+export function quartile(values, quart) {
+    quart = Math.trunc(toNumber(quart, 'quart'));
+    if (quart < 0 || quart > 4) {
+        throw new SpreadsheetError('#NUM!', `QUARTILE quart must be from 0 to 4, got ${quart}`);
+    }
+    return percentile(values, quart / 4);
+}
+
+/**
+ * RANK - Position of a value in a list, largest first unless order is
+ * non-zero; ties share the best position (RANK.EQ)
+ * @param {number} value - Value to rank
+ * @param {number[]} values - List it belongs to
+ * @param {number} [order=0] - 0 ranks descending, anything else ascending
+ * @returns {number}
+ */
+export function rank(value, values, order = 0) {
+    value = toNumber(value, 'number');
+    if (!values.includes(value)) {
+        throw new SpreadsheetError('#N/A', `RANK: ${value} is not in the list`);
+    }
+    const ascending = toNumber(order, 'order') !== 0;
+    return 1 + values.filter(other => ascending ? other < value : other > value).length;
+}
+
+/**
+ * MODE - Most frequent value; among equally frequent values the first to
+ * appear wins (MODE.SNGL)
+ * @throws {SpreadsheetError} #N/A if no value repeats
+ */
+export function mode(values) {
+    const counts = new Map();
+    let best = null;
+    let bestCount = 1;
+    for (const value of values) {
+        const count = (counts.get(value) || 0) + 1;
+        counts.set(value, count);
+        if (count > bestCount) {
+            best = value;
+            bestCount = count;
+        }
+    }
+    if (best === null) {
+        throw new SpreadsheetError('#N/A', 'MODE: no value repeats');
+    }
+    // A later value may have reached the top count first; Excel prefers first appearance
+    return values.find(value => counts.get(value) === bestCount);
+}
+
+/**
+ * SKEW - Sample skewness (adjusted Fisher-Pearson, as Excel's SKEW)
+ */
+export function skew(values) {
+    const n = values.length;
+    const { s2, s3 } = centralSums(values);
+    if (n < 3 || s2 === 0) {
+        throw new SpreadsheetError('#DIV/0!', 'SKEW needs at least 3 values that vary');
+    }
+    const sd = Math.sqrt(s2 / (n - 1));
+    return n / ((n - 1) * (n - 2)) * s3 / Math.pow(sd, 3);
+}
+
+/**
+ * KURT - Sample excess kurtosis (as Excel's KURT)
+ */
+export function kurt(values) {
+    const n = values.length;
+    const { s2, s4 } = centralSums(values);
+    if (n < 4 || s2 === 0) {
+        throw new SpreadsheetError('#DIV/0!', 'KURT needs at least 4 values that vary');
+    }
+    const variance = s2 / (n - 1);
+    return n * (n + 1) / ((n - 1) * (n - 2) * (n - 3)) * s4 / (variance * variance) -
+        3 * (n - 1) * (n - 1) / ((n - 2) * (n - 3));
+}
+
+/**
+ * Least-squares line through (xs, ys)
+ * @param {number[]} ys - Known y values
+ * @param {number[]} xs - Known x values
+ * @param {boolean} [withConstant=true] - False forces the line through the origin
+ * @returns {{slope: number, intercept: number}}
+ */
+function fitLine(ys, xs, withConstant = true, name = 'SLOPE') {
+    requirePairs(xs, ys, withConstant ? 2 : 1, name);
+    if (!withConstant) {
+        const sxx = xs.reduce((sum, x) => sum + x * x, 0);
+        if (sxx === 0) {
+            throw new SpreadsheetError('#DIV/0!', `${name} needs x values that are not all 0`);
+        }
+        return { slope: xs.reduce((sum, x, i) => sum + x * ys[i], 0) / sxx, intercept: 0 };
+    }
+    const { mx, my, sxx, sxy } = pairedSums(xs, ys);
+    if (sxx === 0) {
+        throw new SpreadsheetError('#DIV/0!', `${name} needs x values that vary`);
+    }
+    const slope = sxy / sxx;
+    return { slope, intercept: my - slope * mx };
+}
+
+/**
+ * SLOPE - Slope of the least-squares line through known points
+ */
+export function slope(ys, xs) {
+    return fitLine(ys, xs, true, 'SLOPE').slope;
+}
+
+/**
+ * INTERCEPT - Where the least-squares line crosses the y axis
+ */
+export function intercept(ys, xs) {
+    return fitLine(ys, xs, true, 'INTERCEPT').intercept;
+}
+
+/**
+ * RSQ - Square of the Pearson correlation
+ */
+export function rsq(ys, xs) {
+    const r = correl(xs, ys);
+    return r * r;
+}
+
+/**
+ * FORECAST.LINEAR - y on the least-squares line at x
+ */
+export function forecastLinear(x, ys, xs) {
+    const line = fitLine(ys, xs, true, 'FORECAST.LINEAR');
+    return line.intercept + line.slope * toNumber(x, 'x');
+}
+
+/**
+ * Default x values 1, 2, 3, ... for TREND and GROWTH
+ */
+function defaultXs(ys, xs) {
+    return xs && xs.length > 0 ? xs : ys.map((y, i) => i + 1);
+}
+
+/**
+ * TREND - Values on the least-squares line at new x values
+ * @param {number[]} ys - Known y values
+ * @param {number[]} [xs] - Known x values (default 1, 2, 3, ...)
+ * @param {number[]} [newXs] - Where to evaluate the line (default xs)
+ * @param {boolean} [withConstant=true] - False forces the line through the origin
+ * @returns {number[]}
+ */
+export function trend(ys, xs, newXs, withConstant = true) {
+    xs = defaultXs(ys, xs);
+    const line = fitLine(ys, xs, withConstant, 'TREND');
+    return (newXs && newXs.length > 0 ? newXs : xs).map(x => line.intercept + line.slope * toNumber(x, 'new x'));
+}
+
+/**
+ * GROWTH - Values on the least-squares exponential curve y = b * m^x at new x values
+ * @param {number[]} ys - Known y values, all positive
+ * @param {number[]} [xs] - Known x values (default 1, 2, 3, ...)
+ * @param {number[]} [newXs] - Where to evaluate the curve (default xs)
+ * @param {boolean} [withConstant=true] - False forces b to 1
+ * @returns {number[]}
+ */
+export function growth(ys, xs, newXs, withConstant = true) {
+    if (ys.some(y => y <= 0)) {
+        throw new SpreadsheetError('#NUM!', 'GROWTH needs known y values above 0');
+    }
+    return trend(ys.map(Math.log), xs, newXs, withConstant).map(Math.exp);
+}
+
+export default {
+    correl,
+    covarianceP,
+    covarianceS,
+    percentile,
+    quartile,
+    rank,
+    mode,
+    skew,
+    kurt,
+    slope,
+    intercept,
+    rsq,
+    forecastLinear,
+    trend,
+    growth
+};
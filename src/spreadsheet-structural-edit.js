@@ -0,0 +1,283 @@
+/**
+ * Spreadsheet Structural Edits
+ * Moves references and per-cell/per-range metadata when rows or columns are
+ * inserted or deleted, so everything keyed by position travels with its cells
+ */
+
+const OPERATIONS = {
+    insertRow: { axis: 'row', kind: 'insert' },
+    deleteRow: { axis: 'row', kind: 'delete' },
+    insertColumn: { axis: 'col', kind: 'insert' },
+    deleteColumn: { axis: 'col', kind: 'delete' }
+};
+
+// Single cell (A1) or range (A1:B5), optionally sheet-qualified (Sheet2.A1 / Sheet2_A1),
+// with optional $ absolute markers
+const REFERENCE_PATTERN = /(?<![A-Za-z0-9_.$])(?:([A-Za-z][A-Za-z0-9_]*)([._]))?(\$?)([A-Z]+)(\$?)(\d+)(?::(\$?)([A-Z]+)(\$?)(\d+))?(?![A-Za-z0-9_(])/g;
+
+const RANGE_PATTERN = /^(\$?)([A-Z]+)(\$?)(\d+)(?::(\$?)([A-Z]+)(\$?)(\d+))?$/i;
+
+// REXX string literals, with doubled quotes as escapes
+const STRING_PATTERN = /("(?:[^"]|"")*"|'(?:[^']|'')*')/;
+
+// A string that is nothing but a reference: a range argument such as "Sheet2_A1:B5" or "E1#"
+const REFERENCE_STRING_PATTERN = /^(["'])\s*(?:[A-Za-z][A-Za-z0-9_]*[._])?\$?[A-Z]+\$?\d+(?::\$?[A-Z]+\$?\d+)?#?\s*\1$/;
+
+// Text before a FILTER include argument, which may be a REXX predicate with references
+const FILTER_PREDICATE_PREFIX = /\bFILTER\s*\(\s*(?:"(?:[^"]|"")*"|'(?:[^']|'')*')\s*,\s*$/i;
+
+function colLetterToNumber(letter) {
+    let num = 0;
+    for (let i = 0; i < letter.length; i++) {
+        num = num * 26 + (letter.toUpperCase().charCodeAt(i) - 64);
+    }
+    return num;
+}
+
+function colNumberToLetter(num) {
+    let letter = '';
+    while (num > 0) {
+        const remainder = (num - 1) % 26;
+        letter = String.fromCharCode(65 + remainder) + letter;
+        num = Math.floor((num - 1) / 26);
+    }
+    return letter;
+}
+
+function toPoint(colAbs, col, rowAbs, row) {
+    return { colAbs, col: colLetterToNumber(col), rowAbs, row: parseInt(row, 10) };
+}
+
+function formatPoint({ colAbs, col, rowAbs, row }) {
+    return `${colAbs}${colNumberToLetter(col)}${rowAbs}${row}`;
+}
+
+/**
+ * Describe a structural edit
+ * @param {string} operation - 'insertRow', 'deleteRow', 'insertColumn' or 'deleteColumn'
+ * @param {number} position - Row/column number (1-based) where the edit happens
+ * @returns {Object} { operation, axis, kind, position }
+ */
+export function createStructuralEdit(operation, position) {
+    const definition = OPERATIONS[operation];
+    if (!definition) {
+        throw new Error(`Unknown structural edit: ${operation}`);
+    }
+    return { operation, position, ...definition };
+}
+
+/**
+ * Move a row or column number
+ * @param {number} index - Row/column number on the edited axis
+ * @param {Object} edit - Structural edit
+ * @returns {number|null} New number, or null when that row/column was deleted
+ */
+export function adjustIndex(index, edit) {
+    if (edit.kind === 'insert') {
+        return index >= edit.position ? index + 1 : index;
+    }
+    if (index === edit.position) {
+        return null;
+    }
+    return index > edit.position ? index - 1 : index;
+}
+
+/**
+ * Move a single reference. $ markers are kept but do not anchor: as in Excel,
+ * they only matter when copying, and an absolute reference still follows its cell.
+ * @param {Object} point - { colAbs, col, rowAbs, row } with numeric col/row
+ * @param {Object} edit - Structural edit
+ * @returns {Object|null} Moved point, or null when its row/column was deleted
+ */
+export function adjustPoint(point, edit) {
+    const key = edit.axis;
+    const index = adjustIndex(point[key], edit);
+    return index === null ? null : { ...point, [key]: index };
+}
+
+/**
+ * Move a range. Inserting inside a range grows it and deleting inside shrinks it;
+ * only a range whose cells are all deleted becomes invalid.
+ * @param {Object} start - First corner point
+ * @param {Object} end - Second corner point
+ * @param {Object} edit - Structural edit
+ * @returns {Object|null} { start, end }, or null when the whole range was deleted
+ */
+export function adjustRange(start, end, edit) {
+    const key = edit.axis;
+
+    if (edit.kind === 'insert') {
+        return {
+            start: adjustPoint(start, edit),
+            end: adjustPoint(end, edit)
+        };
+    }
+
+    // Normalise so the corners are in ascending order along the edited axis
+    const ascending = start[key] <= end[key];
+    let [first, last] = ascending ? [start, end] : [end, start];
+
+    if (edit.position < first[key] || edit.position > last[key]) {
+        first = adjustPoint(first, edit);
+        last = adjustPoint(last, edit);
+    } else if (first[key] === last[key]) {
+        return null;
+    } else {
+        // The deleted row/column is inside the range: the far corner pulls in by one,
+        // and the near corner now holds the next surviving row/column
+        last = { ...last, [key]: last[key] - 1 };
+    }
+
+    return ascending ? { start: first, end: last } : { start: last, end: first };
+}
+
+/**
+ * Move a plain cell reference such as "B7"
+ * @param {string} ref - Cell reference
+ * @param {Object} edit - Structural edit
+ * @returns {string|null} Moved reference, or null when the cell was deleted
+ */
+export function adjustCellRef(ref, edit) {
+    const moved = adjustRangeRef(ref, edit);
+    return moved && !moved.includes(':') ? moved : null;
+}
+
+/**
+ * Move a plain range reference such as "A1:C10" (a single cell is accepted too).
+ * Strings that are not references are returned unchanged.
+ * @param {string} range - Range reference
+ * @param {Object} edit - Structural edit
+ * @returns {string|null} Moved range, or null when all of its cells were deleted
+ */
+export function adjustRangeRef(range, edit) {
+    const match = typeof range === 'string' && range.match(RANGE_PATTERN);
+    if (!match) {
+        return range;
+    }
+
+    const start = toPoint(match[1], match[2], match[3], match[4]);
+    if (match[6] === undefined) {
+        const moved = adjustPoint(start, edit);
+        return moved ? formatPoint(moved) : null;
+    }
+
+    const end = toPoint(match[5], match[6], match[7], match[8]);
+    const moved = adjustRange(start, end, edit);
+    return moved ? `${formatPoint(moved.start)}:${formatPoint(moved.end)}` : null;
+}
+
+/**
+ * Rewrite the references in a formula expression. References to deleted cells
+ * become #REF!; absolute ($) references move like relative ones. Quoted text
+ * is left alone unless it is a range argument or a FILTER predicate.
+ * @param {string} expression - Formula expression
+ * @param {Object} edit - Structural edit
+ * @param {Object} context
+ * @param {string} context.formulaSheet - Sheet the formula lives on (owns unqualified references)
+ * @param {string} context.editedSheet - Sheet whose rows/columns are changing
+ * @param {Function} context.sheetExists - Predicate for sheet-name prefixes
+ * @returns {string} Adjusted expression
+ */
+export function adjustExpression(expression, edit, { formulaSheet, editedSheet, sheetExists }) {
+    if (!expression) return expression;
+
+    const parts = expression.split(STRING_PATTERN);
+    return parts.map((part, i) => {
+        const quoted = i % 2 === 1;
+        if (quoted && !REFERENCE_STRING_PATTERN.test(part) && !FILTER_PREDICATE_PREFIX.test(parts.slice(0, i).join(''))) {
+            return part;
+        }
+        return adjustReferences(part, edit, { formulaSheet, editedSheet, sheetExists });
+    }).join('');
+}
+
+/**
+ * Rewrite every reference in a piece of formula text
+ */
+function adjustReferences(text, edit, { formulaSheet, editedSheet, sheetExists }) {
+    return text.replace(REFERENCE_PATTERN, (match, sheet, separator, ...parts) => {
+        if (sheet && !sheetExists(sheet)) {
+            // Part of an identifier (MY_VAR1) or a reference to a sheet that does not exist
+            return match;
+        }
+        if ((sheet || formulaSheet) !== editedSheet) {
+            return match;
+        }
+
+        const prefix = sheet ? `${sheet}${separator}` : '';
+        const start = toPoint(parts[0], parts[1], parts[2], parts[3]);
+
+        if (parts[5] === undefined) {
+            const moved = adjustPoint(start, edit);
+            return moved ? prefix + formatPoint(moved) : '#REF!';
+        }
+
+        const end = toPoint(parts[4], parts[5], parts[6], parts[7]);
+        const moved = adjustRange(start, end, edit);
+        return moved ? `${prefix}${formatPoint(moved.start)}:${formatPoint(moved.end)}` : '#REF!';
+    });
+}
+
+/**
+ * Move a set of row/column numbers (hidden rows, filtered rows, ...)
+ * @param {Set<number>} indexes - Numbers on the edited axis
+ * @param {Object} edit - Structural edit
+ * @returns {Set<number>} New set without deleted entries
+ */
+export function adjustIndexSet(indexes, edit) {
+    const moved = new Set();
+    for (const index of indexes) {
+        const next = adjustIndex(index, edit);
+        if (next !== null) {
+            moved.add(next);
+        }
+    }
+    return moved;
+}
+
+/**
+ * Move a map keyed by row/column number (column widths, row heights)
+ * @param {Map<number, *>} map - Map keyed by numbers on the edited axis
+ * @param {Object} edit - Structural edit
+ * @returns {Map<number, *>} New map without deleted entries
+ */
+export function adjustIndexMap(map, edit) {
+    const moved = new Map();
+    for (const [index, value] of map.entries()) {
+        const next = adjustIndex(Number(index), edit);
+        if (next !== null) {
+            moved.set(next, value);
+        }
+    }
+    return moved;
+}
+
+/**
+ * Move a map keyed by cell reference (validations, cell editors)
+ * @param {Map<string, *>} map - Map keyed by cell references
+ * @param {Object} edit - Structural edit
+ * @returns {Map<string, *>} New map without entries for deleted cells
+ */
+export function adjustCellMap(map, edit) {
+    const moved = new Map();
+    for (const [ref, value] of map.entries()) {
+        const next = adjustCellRef(ref, edit);
+        if (next !== null) {
+            moved.set(next, value);
+        }
+    }
+    return moved;
+}
+
+export default {
+    createStructuralEdit,
+    adjustIndex,
+    adjustPoint,
+    adjustRange,
+    adjustCellRef,
+    adjustRangeRef,
+    adjustExpression,
+    adjustIndexSet,
+    adjustIndexMap,
+    adjustCellMap
+};
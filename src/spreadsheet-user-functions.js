@@ -0,0 +1,168 @@
+/**
+ * Spreadsheet User Functions
+ * Functions declared in the setup script with DEFINE_FUNCTION and called from
+ * cells like built-in ones: parameter lists with defaults and descriptions,
+ * binding call arguments into the REXX body, and finding the formulas that
+ * call a function so they can be recalculated when it changes
+ */
+
+import { SpreadsheetError } from './spreadsheet-errors.js';
+
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+const CELL_REF_PATTERN = /^[A-Za-z]+\d+$/;
+
+/**
+ * Check a function or parameter name is a REXX symbol that cannot be
+ * mistaken for a cell reference
+ * @throws {Error}
+ */
+function requireName(name, kind) {
+    if (!NAME_PATTERN.test(name)) {
+        throw new Error(`${kind} name must be a letter followed by letters, digits or underscores, got "${name}"`);
+    }
+    if (CELL_REF_PATTERN.test(name)) {
+        throw new Error(`${kind} name ${name} looks like a cell reference`);
+    }
+}
+
+/**
+ * Read a default value: quoted text loses its quotes, numeric text becomes a number
+ */
+function parseDefault(text) {
+    const quoted = text.match(/^(['"])(.*)\1$/);
+    if (quoted) {
+        return quoted[2];
+    }
+    return text !== '' && !isNaN(Number(text)) ? Number(text) : text;
+}
+
+/**
+ * Parse a parameter list such as "amount, rate = 0.2: Tax rate as a fraction".
+ * Parameters are separated by commas; each is a name, optionally followed by
+ * "= default" (making it optional) and ": description".
+ * @param {string|string[]} spec - Parameter list, or one entry per parameter
+ * @returns {Array<{name: string, description: string, default?: *}>}
+ * @throws {Error} for a bad or repeated name, or a required parameter after an optional one
+ */
+export function parseParameters(spec) {
+    const entries = Array.isArray(spec) ? spec : String(spec ?? '').split(',');
+    const params = [];
+    for (const entry of entries) {
+        const text = String(entry).trim();
+        if (text === '') {
+            continue;
+        }
+        const match = text.match(/^([^=:]*?)\s*(?:=\s*([^:]*?)\s*)?(?::\s*(.*))?$/);
+        const name = match[1].trim();
+        requireName(name, 'Parameter');
+        if (params.some(param => param.name.toLowerCase() === name.toLowerCase())) {
+            throw new Error(`Parameter ${name} is listed twice`);
+        }
+        const param = { name, description: (match[3] || '').trim() };
+        if (match[2] !== undefined) {
+            param.default = parseDefault(match[2]);
+        } else if (params.some(other => 'default' in other)) {
+            throw new Error(`Parameter ${name} needs a default because an earlier parameter has one`);
+        }
+        params.push(param);
+    }
+    return params;
+}
+
+/**
+ * Validate a DEFINE_FUNCTION declaration
+ * @param {string} name - Function name; stored in upper case, as REXX calls it
+ * @param {string|string[]} params - Parameter list (see parseParameters)
+ * @param {string} body - REXX expression in terms of the parameters
+ * @param {string} [description] - What the function does
+ * @returns {{name: string, params: Array, body: string, description: string}}
+ * @throws {Error} for an invalid name, parameter list or empty body
+ */
+export function createDefinition(name, params, body, description = '') {
+    const functionName = String(name ?? '').trim();
+    requireName(functionName, 'Function');
+    const text = String(body ?? '').trim();
+    if (text === '') {
+        throw new Error(`Function ${functionName} needs a body`);
+    }
+    return {
+        name: functionName.toUpperCase(),
+        params: parseParameters(params),
+        body: text,
+        description: String(description ?? '').trim()
+    };
+}
+
+/**
+ * Signature for display, with optional parameters in brackets: TAX(amount, [rate])
+ */
+export function formatSignature(definition) {
+    const params = definition.params.map(param => ('default' in param ? `[${param.name}]` : param.name));
+    return `${definition.name}(${params.join(', ')})`;
+}
+
+/**
+ * Write a value as a REXX literal: numbers as they are, anything else as quoted text
+ */
+function toLiteral(value) {
+    if (typeof value === 'number' && isFinite(value)) {
+        return String(value);
+    }
+    if (typeof value === 'boolean') {
+        return value ? '1' : '0';
+    }
+    const text = value === null || value === undefined ? '' : String(value);
+    return `'${text.replace(/'/g, "''")}'`;
+}
+
+/**
+ * The body of a call with each parameter replaced by its argument as a
+ * literal. Text inside quotes and names followed by "(" (function calls) are
+ * left alone.
+ * @param {object} definition - From createDefinition
+ * @param {Array} args - Call arguments
+ * @returns {string} REXX expression to evaluate
+ * @throws {SpreadsheetError} #VALUE! for too many arguments or a missing required one
+ */
+export function bindArguments(definition, args) {
+    const { name, params } = definition;
+    if (args.length > params.length) {
+        throw new SpreadsheetError('#VALUE!', `${formatSignature(definition)} takes at most ${params.length} arguments, got ${args.length}`);
+    }
+    const literals = new Map();
+    params.forEach((param, i) => {
+        const value = args[i];
+        if (value === undefined || (value === '' && 'default' in param)) {
+            if (!('default' in param)) {
+                throw new SpreadsheetError('#VALUE!', `${name} needs a value for ${param.name}`);
+            }
+            literals.set(param.name.toLowerCase(), toLiteral(param.default));
+        } else {
+            literals.set(param.name.toLowerCase(), toLiteral(value));
+        }
+    });
+
+    return definition.body
+        .split(/('(?:[^']|'')*'|"(?:[^"]|"")*")/)
+        .map(part => (/^['"]/.test(part)
+            ? part
+            : part.replace(/(?<![\w.])([A-Za-z_]\w*)(?!\w|\s*\()/g, (symbol) => literals.get(symbol.toLowerCase()) ?? symbol)))
+        .join('');
+}
+
+/**
+ * Whether an expression calls a function, in any case
+ * @param {string} expression - Formula or function body
+ * @param {string} name - Function name
+ */
+export function callsFunction(expression, name) {
+    return new RegExp(`(?<![\\w.])${name}\\s*\\(`, 'i').test(expression || '');
+}
+
+export default {
+    parseParameters,
+    createDefinition,
+    formatSignature,
+    bindArguments,
+    callsFunction
+};
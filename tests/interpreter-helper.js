@@ -0,0 +1,97 @@
+/**
+ * Interpreter Helper for Unit Tests
+ *
+ * Provides a real SpreadsheetRexxAdapter backed by a small stand-in for the
+ * RexxJS interpreter, so tests exercise the adapter's own cell reference
+ * resolution, spreadsheet functions and error mapping without loading RexxJS.
+ *
+ * The stand-in runs `LET CELLRESULT = expr` by evaluating expr as JavaScript:
+ * cell references outside string literals (A1, or Rexx-style Sheet2_A1) are
+ * replaced by their values through the adapter's variableResolver, and
+ * every call to an installed function is awaited, as RexxJS does. Division
+ * by a literal zero throws, as it does in Rexx.
+ *
+ * Usage:
+ *   import { createTestAdapter } from './interpreter-helper.js';
+ *
+ *   const adapter = createTestAdapter(model);
+ *   await model.setCell('A2', '=A1 * 2', adapter);
+ *   adapter.interpreter.evaluations; // expressions run, in order
+ *
+ * Options:
+ *   functions - extra functions available to formulas, by name
+ *   delay     - yield to the event loop before each evaluation, so ordering bugs surface
+ */
+
+import SpreadsheetRexxAdapter from '../src/spreadsheet-rexx-adapter.js';
+
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+const STRING_LITERAL = /("(?:[^"]|"")*"|'(?:[^']|'')*')/;
+
+function toLiteral(value) {
+    if (typeof value === 'number') {
+        // Parenthesised so that e.g. A1 ** 2 still parses when A1 is negative
+        return value < 0 ? `(${value})` : String(value);
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Create an adapter for a model with the stand-in interpreter installed
+ * @param {SpreadsheetModel} model - Model the adapter evaluates formulas for
+ * @param {Object} [options] - { functions, delay }
+ * @returns {SpreadsheetRexxAdapter}
+ */
+export function createTestAdapter(model, { functions = {}, delay = false } = {}) {
+    // The adapter parses expressions with the global RexxJS parser
+    if (typeof globalThis.parse !== 'function') {
+        globalThis.parse = (source) => [source];
+    }
+
+    const adapter = new SpreadsheetRexxAdapter(model);
+    let result;
+
+    adapter.interpreter = {
+        builtinFunctions: {},
+        externalFunctions: {},
+        evaluations: [],
+        run: async ([source]) => {
+            const expression = source.replace(/^LET CELLRESULT = /, '');
+            adapter.interpreter.evaluations.push(expression);
+            if (delay) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+
+            // Excel spellings such as ERROR.TYPE cannot be JavaScript names
+            const available = Object.fromEntries(Object.entries({ ...adapter.interpreter.builtinFunctions, ...functions })
+                .filter(([name]) => !name.includes('.')));
+            const resolve = (match) => {
+                const value = adapter.interpreter.variableResolver(match);
+                return value === undefined ? match : toLiteral(value);
+            };
+
+            const parts = expression.split(STRING_LITERAL);
+            if (parts.some((part, i) => i % 2 === 0 && /\/\s*0(?![\d.])/.test(part))) {
+                throw new Error('Division by zero');
+            }
+            const code = parts
+                .map((part, i) => (i % 2 === 1 ? part : part
+                    .replace(/\b[A-Za-z][A-Za-z0-9_]*_[A-Z]+\d+\b/g, resolve)
+                    .replace(/\b[A-Z]+\d+\b/g, resolve)
+                    .replace(/(?<![\w.$])([A-Za-z_][A-Za-z0-9_]*)\s*\(/g, (call, name) =>
+                        (Object.prototype.hasOwnProperty.call(available, name) ? `await ${call}` : call))))
+                .join('');
+            result = await new AsyncFunction(...Object.keys(available), `return (${code});`)(...Object.values(available));
+        },
+        getVariable: () => result
+    };
+
+    adapter.injectCellReferenceFunctions();
+    adapter.installSpreadsheetFunctions();
+    return adapter;
+}
+
+export default {
+    createTestAdapter
+};
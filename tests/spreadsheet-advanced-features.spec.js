@@ -365,7 +365,6 @@ describe('SpreadsheetModel - Advanced Features', () => {
     describe('Undo/Redo', () => {
         it('should undo cell changes', () => {
             model.setCell('A1', '10');
-            model._recordSnapshot('setCell');
             model.setCell('A1', '20');
 
             model.undo();
@@ -374,7 +373,6 @@ describe('SpreadsheetModel - Advanced Features', () => {
 
         it('should redo changes', () => {
             model.setCell('A1', '10');
-            model._recordSnapshot('setCell');
             model.setCell('A1', '20');
 
             model.undo();
@@ -384,9 +382,7 @@ describe('SpreadsheetModel - Advanced Features', () => {
 
         it('should track multiple undos', () => {
             model.setCell('A1', '10');
-            model._recordSnapshot('step1');
             model.setCell('A1', '20');
-            model._recordSnapshot('step2');
             model.setCell('A1', '30');
 
             expect(model.getCellValue('A1')).toBe('30');
@@ -401,7 +397,6 @@ describe('SpreadsheetModel - Advanced Features', () => {
             expect(model.canRedo()).toBe(false);
 
             model.setCell('A1', '10');
-            model._recordSnapshot('test');
 
             expect(model.canUndo()).toBe(true);
             expect(model.canRedo()).toBe(false);
@@ -413,7 +408,6 @@ describe('SpreadsheetModel - Advanced Features', () => {
 
         it('should clear history', () => {
             model.setCell('A1', '10');
-            model._recordSnapshot('test');
 
             model.clearHistory();
             expect(model.canUndo()).toBe(false);
@@ -425,7 +419,6 @@ describe('SpreadsheetModel - Advanced Features', () => {
 
             for (let i = 0; i < 5; i++) {
                 model.setCell('A1', String(i));
-                model._recordSnapshot(`step${i}`);
             }
 
             expect(model.undoStack.length).toBeLessThanOrEqual(3);
@@ -433,15 +426,12 @@ describe('SpreadsheetModel - Advanced Features', () => {
 
         it('should clear redo stack on new action', () => {
             model.setCell('A1', '10');
-            model._recordSnapshot('step1');
             model.setCell('A1', '20');
-            model._recordSnapshot('step2');
 
             model.undo();
             expect(model.canRedo()).toBe(true);
 
             model.setCell('A1', '30');
-            model._recordSnapshot('step3');
             expect(model.canRedo()).toBe(false);
         });
     });
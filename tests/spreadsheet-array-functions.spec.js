@@ -0,0 +1,157 @@
+/**
+ * Tests for native dynamic array functions: FILTER (with include ranges or a
+ * REXX predicate), SORT, SORTBY, UNIQUE, SEQUENCE, TRANSPOSE, VSTACK, HSTACK
+ * and the matrix functions. Matrix results were checked against NumPy
+ * (np.linalg.inv, np.linalg.det, the @ operator).
+ */
+
+import SpreadsheetModel from '../src/spreadsheet-model.js';
+import {
+    sequence, transpose, vstack, hstack, unique, sort, sortBy, filter, mmult, mdeterm, minverse
+} from '../src/spreadsheet-arrays.js';
+import { createTestAdapter } from './interpreter-helper.js';
+
+const matrix = [[4, 7, 2], [3, 6, 1], [2, 5, 3]];
+
+describe('Array functions', () => {
+    it('should build sequences, transpose and stack', () => {
+        expect(sequence(2, 3)).toEqual([[1, 2, 3], [4, 5, 6]]);
+        expect(sequence(3, 1, 10, -5)).toEqual([[10], [5], [0]]);
+        expect(transpose([[1, 2, 3], [4, 5, 6]])).toEqual([[1, 4], [2, 5], [3, 6]]);
+
+        expect(vstack([['a', 'b']], [[1], [2]])).toEqual([['a', 'b'], [1, '#N/A'], [2, '#N/A']]);
+        expect(hstack([[1], [2]], [['x', 'y']])).toEqual([[1, 'x', 'y'], [2, '#N/A', '#N/A']]);
+
+        expect(() => sequence(0)).toThrow('SEQUENCE found nothing to return');
+        expect(() => sequence(-1)).toThrow('SEQUENCE needs rows and columns of 0 or more, got -1 by 1');
+        expect(() => sequence('many')).toThrow('rows must be a number, got "many"');
+    });
+
+    it('should keep distinct rows, ignoring case, in order of first appearance', () => {
+        const rows = [['East', 1], ['west', 2], ['EAST', 1], ['North', 3], ['West', 2]];
+        expect(unique(rows)).toEqual([['East', 1], ['west', 2], ['North', 3]]);
+        expect(unique(rows, false, true)).toEqual([['North', 3]]);
+        expect(unique([[1, 2, 1]], true)).toEqual([[1, 2]]);
+        expect(() => unique([[1], [1]], false, true)).toThrow('UNIQUE found nothing to return');
+    });
+
+    it('should sort stably with numbers before text and blanks last', () => {
+        const rows = [['b', 3], ['a', ''], ['c', 1], ['d', 3], ['e', 'x']];
+        expect(sort(rows, 2)).toEqual([['c', 1], ['b', 3], ['d', 3], ['e', 'x'], ['a', '']]);
+        expect(sort(rows, 2, -1)).toEqual([['e', 'x'], ['b', 3], ['d', 3], ['c', 1], ['a', '']]);
+        expect(sort([[3, 1, 2], ['c', 'a', 'b']], 1, 1, true)).toEqual([[1, 2, 3], ['a', 'b', 'c']]);
+
+        expect(sortBy([['x'], ['y'], ['z']], [
+            { keys: ['B', 'A', 'B'], order: 1 },
+            { keys: [1, 5, 2], order: -1 }
+        ])).toEqual([['y'], ['z'], ['x']]);
+
+        expect(() => sort(rows, 3)).toThrow('SORT sort_index must be from 1 to 2, got 3');
+        expect(() => sort(rows, 1, 0)).toThrow('sort_order must be 1 (ascending) or -1 (descending), got 0');
+        expect(() => sortBy(rows, [{ keys: [1, 2], order: 1 }])).toThrow('SORTBY lists must have one value per row, got 2 for 5 rows');
+    });
+
+    it('should filter rows or columns by include values', () => {
+        const rows = [['a', 1], ['b', 2], ['c', 3]];
+        expect(filter(rows, [1, 0, true])).toEqual([['a', 1], ['c', 3]]);
+        expect(filter([[1, 2, 3, 4]], [0, 1, 0, 1])).toEqual([[2, 4]]);
+        expect(filter(rows, [0, 0, 0], 'None')).toEqual([['None']]);
+        expect(() => filter(rows, [0, 0, 0])).toThrow('FILTER found nothing to return');
+        expect(() => filter(rows, [1, 0, 1, 1])).toThrow('FILTER include must have one value per row, got 4 for 3 rows');
+    });
+
+    it('should match NumPy for matrix products, determinants and inverses', () => {
+        expect(mmult(matrix, [[1, 2], [0, 1], [3, -1]])).toEqual([[10, 13], [6, 11], [11, 6]]);
+        expect(mdeterm(matrix)).toBeCloseTo(8.999999999999998, 12);
+
+        const expected = [
+            [1.4444444444444442, -1.222222222222222, -0.5555555555555556],
+            [-0.7777777777777777, 0.8888888888888888, 0.22222222222222224],
+            [0.3333333333333333, -0.6666666666666666, 0.3333333333333333]
+        ];
+        minverse(matrix).forEach((row, i) => row.forEach((value, j) => expect(value).toBeCloseTo(expected[i][j], 12)));
+        mmult(matrix, minverse(matrix)).forEach((row, i) => row.forEach((value, j) => expect(value).toBeCloseTo(i === j ? 1 : 0, 12)));
+
+        expect(mdeterm([[1, 2], [2, 4]])).toBe(0);
+        expect(() => minverse([[1, 2], [2, 4]])).toThrow('MINVERSE: the matrix has no inverse');
+        expect(() => mdeterm([[1, 2, 3], [4, 5, 6]])).toThrow('MDETERM needs a square range, got 2 rows by 3 columns');
+        expect(() => mmult([[1, 2]], [[1, 2]])).toThrow('MMULT needs array1 to have as many columns as array2 has rows, got 2 and 1');
+        expect(() => mmult([['a']], [[1]])).toThrow('MMULT needs a range of numbers');
+    });
+
+    describe('In formulas', () => {
+        let model;
+        let adapter;
+        let functions;
+
+        beforeEach(() => {
+            model = new SpreadsheetModel(30, 12);
+            adapter = createTestAdapter(model);
+            functions = adapter.getSpreadsheetFunctions();
+            [
+                ['Region', 'Item', 'Amount'],
+                ['East', 'Pens', '1200'],
+                ['West', 'Ink', '300'],
+                ['east', 'Paper', '2500'],
+                ['North', 'Pens', '800']
+            ].forEach((row, r) => row.forEach((value, c) => model.setCell(`${'ABC'[c]}${r + 1}`, value)));
+            matrix.forEach((row, r) => row.forEach((value, c) => model.setCell(`${'HIJ'[c]}${r + 1}`, String(value))));
+        });
+
+        it('should read ranges and give error values that IFERROR can catch', () => {
+            expect(functions.SORT('A2:C5', 3, -1)).toEqual([['east', 'Paper', 2500], ['East', 'Pens', 1200], ['North', 'Pens', 800], ['West', 'Ink', 300]]);
+            expect(functions.SORTBY('B2:B5', 'A2:A5', 1, 'C2:C5', -1)).toEqual([['Paper'], ['Pens'], ['Pens'], ['Ink']]);
+            expect(functions.UNIQUE('A2:A5')).toEqual([['East'], ['West'], ['North']]);
+            expect(functions.FILTER('B2:B5', 'D2:D5', 'None')).toEqual([['None']]);
+            expect(functions.TRANSPOSE('A1:C1')).toEqual([['Region'], ['Item'], ['Amount']]);
+            expect(functions.VSTACK('A1:B1', 'H1:J1')).toEqual([['Region', 'Item', '#N/A'], [4, 7, 2]]);
+            expect(functions.MDETERM('H1:J3')).toBeCloseTo(9, 12);
+            expect(functions.MMULT('H1:J3', [1, 0, 0])).toEqual([[4], [3], [2]]);
+
+            expect(functions.MINVERSE('A1:C3')).toBe('#VALUE!');
+            expect(functions.FILTER('A2:C5', 'D2:D5')).toBe('#CALC!');
+            expect(functions.SORT('A2:C5', 9)).toBe('#VALUE!');
+            expect(functions.IFERROR(functions.MINVERSE('H1:I2'), 'singular')).not.toBe('singular');
+            expect(functions.IFERROR(functions.MINVERSE([[1, 2], [2, 4]]), 'singular')).toBe('singular');
+        });
+
+        it('should filter rows with a REXX predicate written for the first row', async () => {
+            await model.setCell('E1', '=FILTER("A2:C5", "C2 > 1000")', adapter);
+
+            expect(model.getSpillRange('E1')).toBe('E1:G2');
+            expect(model.getCellValue('F1')).toBe('Pens');
+            expect(model.getCellValue('G2')).toBe(2500);
+
+            // Absolute references stay put
+            model.setCell('L1', '1000');
+            await model.setCell('E10', '=FILTER("B2:B5", "C2 < $L$1", "None")', adapter);
+            expect(model.getSpillRange('E10')).toBe('E10:E11');
+            expect(model.getCellValue('E11')).toBe('Pens');
+
+            await model.setCell('C3', '5000', adapter);
+            expect(model.getSpillRange('E1')).toBe('E1:G3');
+            expect(model.getCellValue('F2')).toBe('Ink');
+            expect(model.getCellValue('E11')).toBe('');
+            await model.setCell('L1', '100', adapter);
+            expect(model.getCellValue('E10')).toBe('None');
+
+            await model.setCell('E20', '=FILTER("A2:C5", "C2 > 99999", "None")', adapter);
+            expect(model.getCellValue('E20')).toBe('None');
+            await model.setCell('E21', '=FILTER("A2:C5", "C2 > 99999")', adapter);
+            expect(model.getCellValue('E21')).toBe('#CALC!');
+        });
+
+        it('should spill results that other array functions can read', async () => {
+            await model.setCell('E1', '=SEQUENCE(3, 2, 10, 10)', adapter);
+            await model.setCell('H5', '=SORT("E1#", 1, -1)', adapter);
+            await model.setCell('L1', '=MINVERSE("H1:J3")', adapter);
+
+            expect(model.getSpillRange('E1')).toBe('E1:F3');
+            expect(model.getCellValue('F3')).toBe(60);
+            expect(model.getCellValue('H5')).toBe(50);
+            expect(model.getCellValue('I7')).toBe(20);
+            expect(model.getCellValue('L1')).toBe('#SPILL!');
+            expect(model.getCell('L1').error).toBe('Spill range L1:N3 runs off the sheet');
+        });
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for cell borders: range presets, merged cells, undo, persistence
+ * and SETBORDER/GETBORDER
+ */
+
+import SpreadsheetModel from '../src/spreadsheet-model.js';
+import SpreadsheetRexxAdapter from '../src/spreadsheet-rexx-adapter.js';
+import { createSpreadsheetControlFunctions } from '../src/spreadsheet-control-functions.js';
+import { parseBorderSpec } from '../src/spreadsheet-cell-style.js';
+
+const sides = (model, ref) => Object.keys(model.getCellBorder(ref)).join(',');
+
+describe('Borders', () => {
+    let model;
+
+    beforeEach(() => {
+        model = new SpreadsheetModel(100, 26);
+    });
+
+    it('should read border specs', () => {
+        expect(parseBorderSpec('outline')).toEqual({ preset: 'outline', style: 'thin' });
+        expect(parseBorderSpec('ALL Dashed #999999')).toEqual({ preset: 'all', style: 'dashed', color: '#999999' });
+        expect(parseBorderSpec({ preset: 'none', style: 'thick' })).toEqual({ preset: 'none' });
+        expect(() => parseBorderSpec('around')).toThrow('Border preset must be one of all, outline, inside, top, bottom, left, right, none, got "around"');
+        expect(() => parseBorderSpec('bottom wavy')).toThrow('Border bottom style must be one of thin, medium, thick, dashed, dotted, double, got "wavy"');
+    });
+
+    it('should draw each preset on the right edges', () => {
+        model.setBorder('A1:C3', 'outline');
+        expect(['A1', 'B1', 'C1', 'A2', 'B2', 'C2', 'C3'].map(ref => sides(model, ref)))
+            .toEqual(['top,left', 'top', 'top,right', 'left', '', 'right', 'right,bottom']);
+
+        model.setBorder('A1:C3', 'inside dotted');
+        expect(model.getCellBorder('B2')).toEqual({
+            top: { style: 'dotted' }, right: { style: 'dotted' }, bottom: { style: 'dotted' }, left: { style: 'dotted' }
+        });
+        expect(model.getCellBorder('A1').top).toEqual({ style: 'thin' });
+
+        model.setBorder('A3:C3', 'bottom double');
+        expect(model.getCellBorder('B3').bottom).toEqual({ style: 'double' });
+        expect(model.getCellBorder('B2').bottom).toEqual({ style: 'dotted' });
+
+        model.setBorder('A1:C3', 'none');
+        expect(['A1', 'B2', 'C3'].map(ref => sides(model, ref))).toEqual(['', '', '']);
+    });
+
+    it('should keep the rest of the style and undo as one step', () => {
+        model.setCell('A1', '5', null, { format: 'bold;number:0.00' });
+
+        model.setBorder('A1:B2', 'all medium red');
+        expect(model.getCell('A1').format)
+            .toBe('bold;border-top:medium red;border-right:medium red;border-bottom:medium red;border-left:medium red;number:0.00');
+
+        model.undo();
+        expect(model.getCell('A1').format).toBe('bold;number:0.00');
+        expect(sides(model, 'B2')).toBe('');
+    });
+
+    it('should draw a merged block as one cell', () => {
+        model.mergeCells('B2:C3');
+
+        model.setBorder('A1:C3', 'all thick');
+        expect(model.getCell('C3').format).toBeFalsy();
+        expect(['B2', 'C2', 'B3', 'C3'].map(ref => sides(model, ref)))
+            .toEqual(['top,left', 'top,right', 'bottom,left', 'right,bottom']);
+
+        model.setBorder('A1:C3', 'none');
+        model.setBorder('C3', 'outline');
+        expect(sides(model, 'B2')).toBe('top,left');
+        expect(sides(model, 'C3')).toBe('right,bottom');
+
+        model.unmergeCells('B2');
+        expect(model.getCellBorder('B2')).toEqual({
+            top: { style: 'thin' }, right: { style: 'thin' }, bottom: { style: 'thin' }, left: { style: 'thin' }
+        });
+        expect(sides(model, 'C3')).toBe('');
+    });
+
+    it('should be saved in the styles table', () => {
+        model.setBorder('A1:B1', 'bottom double #000000');
+
+        const data = JSON.parse(JSON.stringify(model.toJSON()));
+        expect(Object.values(data.styles)).toEqual([{ border: { bottom: { style: 'double', color: '#000000' } } }]);
+
+        const restored = new SpreadsheetModel(100, 26);
+        restored.fromJSON(data);
+        expect(restored.getCellBorder('B1')).toEqual({ bottom: { style: 'double', color: '#000000' } });
+    });
+
+    describe('Control functions', () => {
+        let functions;
+
+        beforeEach(() => {
+            functions = createSpreadsheetControlFunctions(model, new SpreadsheetRexxAdapter(model));
+        });
+
+        it('should set and get borders', async () => {
+            expect(await functions.SETBORDER('A1:C5', 'outline thick')).toBe('A1:C5');
+            await functions.SETBORDER('A5:C5', 'bottom double');
+
+            expect(JSON.parse(functions.GETBORDER('c5'))).toEqual({ right: { style: 'thick' }, bottom: { style: 'double' } });
+            expect(functions.GETBORDER('B3')).toBe('{}');
+
+            await expect(functions.SETBORDER('A1:C5', 'sideways')).rejects.toThrow('Border preset must be one of');
+            await expect(functions.SETBORDER('nowhere', 'all')).rejects.toThrow('Invalid range: nowhere');
+
+            const commands = Object.values(functions.LISTCOMMANDS());
+            expect(commands).toContain('SETBORDER');
+            expect(commands).toContain('GETBORDER');
+        });
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * Tests for structured cell styles: format string parsing, the style
+ * registry, JSON persistence and migration, and SETFORMAT/GETFORMAT
+ */
+
+import SpreadsheetModel from '../src/spreadsheet-model.js';
+import SpreadsheetRexxAdapter from '../src/spreadsheet-rexx-adapter.js';
+import { createSpreadsheetControlFunctions } from '../src/spreadsheet-control-functions.js';
+import {
+    normalizeStyle,
+    parseFormatString,
+    formatStyle,
+    toggleStyle,
+    styleToCSS,
+    formatNumber
+} from '../src/spreadsheet-cell-style.js';
+
+describe('Cell styles', () => {
+    it('should read format strings into style objects', () => {
+        expect(parseFormatString('bold;color:red;background:yellow;align:center;number:0.00')).toEqual({
+            font: { bold: true, color: 'red' },
+            fill: { color: 'yellow' },
+            alignment: { horizontal: 'center' },
+            numberFormat: 'number:0.00'
+        });
+        expect(parseFormatString('font-size:14px;indent:2;rotate:45;valign:middle;border-bottom:thick #333')).toEqual({
+            font: { size: 14 },
+            alignment: { indent: 2, rotation: 45, vertical: 'middle' },
+            border: { bottom: { style: 'thick', color: '#333' } }
+        });
+        expect(parseFormatString('border:thin').border).toEqual({
+            top: { style: 'thin' }, right: { style: 'thin' }, bottom: { style: 'thin' }, left: { style: 'thin' }
+        });
+    });
+
+    it('should write a canonical format string that reads back to the same style', () => {
+        const style = parseFormatString('valign:bottom;italic;currency:EUR;strike;border-left:dashed blue;bold');
+
+        expect(formatStyle(style)).toBe('bold;italic;strikethrough;valign:bottom;border-left:dashed blue;currency:EUR');
+        expect(parseFormatString(formatStyle(style))).toEqual(style);
+        expect(formatStyle({})).toBe('');
+    });
+
+    it('should reject what it does not understand unless told to skip it', () => {
+        expect(() => parseFormatString('bold;sparkle')).toThrow('Unknown format part: sparkle');
+        expect(() => parseFormatString('align:middle'))
+            .toThrow('Horizontal alignment must be one of left, center, right, justify, got "middle"');
+        expect(() => parseFormatString('rotate:120')).toThrow('Rotation must be a whole number from -90 to 90, got 120');
+        expect(() => normalizeStyle({ font: { weight: 700 } })).toThrow('Unknown font style field: weight');
+        expect(() => normalizeStyle({ shadow: true })).toThrow('Unknown cell style section: shadow');
+
+        expect(parseFormatString('bold;sparkle;rotate:120', { strict: false })).toEqual({ font: { bold: true } });
+    });
+
+    it('should toggle parts on and off', () => {
+        const bold = { font: { bold: true } };
+
+        expect(toggleStyle({ font: { color: 'red' } }, bold)).toEqual({ font: { color: 'red', bold: true } });
+        expect(toggleStyle({ font: { color: 'red', bold: true } }, bold)).toEqual({ font: { color: 'red' } });
+        expect(toggleStyle({ numberFormat: 'currency:USD' }, { numberFormat: 'number:0.00' }))
+            .toEqual({ numberFormat: 'number:0.00' });
+    });
+
+    it('should turn styles into CSS and format numbers', () => {
+        expect(styleToCSS(parseFormatString('bold;underline;strikethrough;align:right;indent:1;border-top:medium red'))).toEqual({
+            fontWeight: 'bold',
+            textDecoration: 'underline line-through',
+            textAlign: 'right',
+            paddingRight: '18px',
+            borderTop: '2px solid red'
+        });
+        expect(formatNumber('3.14159', 'number:0.00')).toBe('3.14');
+        expect(formatNumber(0.125, 'percent:0.0%')).toBe('12.5%');
+        expect(formatNumber('abc', 'number:0.00')).toBe('abc');
+    });
+});
+
+describe('Cell styles in the model', () => {
+    let model;
+
+    beforeEach(() => {
+        model = new SpreadsheetModel(100, 26);
+    });
+
+    it('should accept either form and share identical styles', () => {
+        model.setCell('A1', '1', null, { format: 'color:red;bold' });
+        model.setCellStyle('A2', { font: { bold: true, color: 'red' } });
+
+        expect(model.getCell('A1').format).toBe('bold;color:red');
+        expect(model.getCell('A2').format).toBe('bold;color:red');
+        expect(model.getCellStyle('A1')).toBe(model.getCellStyle('A2'));
+        expect(Object.isFrozen(model.getCellStyle('A1').font)).toBe(true);
+        expect(model.getCellStyle('B9')).toEqual({});
+    });
+
+    it('should save each distinct style once and restore it', () => {
+        model.setCell('A1', '1', null, { format: 'bold' });
+        model.setCell('A2', '2', null, { format: 'bold' });
+        model.setCellStyle('B1', { fill: { color: 'yellow' }, border: { bottom: { style: 'double' } } });
+
+        const data = JSON.parse(JSON.stringify(model.toJSON()));
+        expect(data.styles).toEqual({
+            s1: { font: { bold: true } },
+            s2: { fill: { color: 'yellow' }, border: { bottom: { style: 'double' } } }
+        });
+        expect(data.sheets.Sheet1.cells.A2).toEqual({ content: '2', style: 's1' });
+        expect(data.sheets.Sheet1.cells.B1).toEqual({ style: 's2' });
+
+        const restored = new SpreadsheetModel(100, 26);
+        restored.fromJSON(data);
+        expect(restored.getCell('A2').format).toBe('bold');
+        expect(restored.getCellStyle('B1').border.bottom.style).toBe('double');
+    });
+
+    it('should migrate format strings from older workbooks', () => {
+        model.fromJSON({
+            version: 2,
+            sheetOrder: ['Sheet1'],
+            sheets: {
+                Sheet1: {
+                    cells: {
+                        A1: { content: '5', format: 'italic;number:0.0;shadow:1' },
+                        A2: { content: '6', format: 'italic;number:0.0' }
+                    }
+                }
+            }
+        });
+
+        expect(model.getCell('A1').format).toBe('italic;number:0.0');
+        expect(model.getCellStyle('A1')).toBe(model.getCellStyle('A2'));
+        expect(() => model.fromJSON({
+            version: 2, sheetOrder: ['Sheet1'], sheets: { Sheet1: { cells: { A1: { content: '1', style: 's9' } } } }
+        })).toThrow('Cell A1 refers to unknown style s9');
+    });
+
+    describe('Control functions', () => {
+        let functions;
+
+        beforeEach(() => {
+            functions = createSpreadsheetControlFunctions(model, new SpreadsheetRexxAdapter(model));
+        });
+
+        it('should set and get formats as strings or style objects', async () => {
+            expect(await functions.SETFORMAT('A1', 'align:center;bold')).toBe('bold;align:center');
+            expect(functions.GETFORMAT('A1')).toBe('bold;align:center');
+
+            expect(await functions.SETFORMAT('A1', '{"font": {"italic": true}, "alignment": {"indent": 3}}'))
+                .toBe('italic;indent:3');
+            expect(JSON.parse(functions.GETFORMAT('A1', 'OBJECT'))).toEqual({
+                font: { italic: true },
+                alignment: { indent: 3 }
+            });
+
+            await expect(functions.SETFORMAT('A1', 'blinking')).rejects.toThrow('Unknown format part: blinking');
+            await expect(functions.SETFORMAT('A1', '{font')).rejects.toThrow('SETFORMAT style object is not valid JSON');
+            expect(() => functions.GETFORMAT('A1', 'XML')).toThrow('GETFORMAT form must be STRING or OBJECT, got XML');
+        });
+    });
+});
@@ -0,0 +1,258 @@
+/**
+ * Tests for conditional formatting: rule matching, priority and stop-if-true,
+ * recalculation, structural edits, persistence and control functions
+ */
+
+import SpreadsheetModel from '../src/spreadsheet-model.js';
+import { createSpreadsheetControlFunctions } from '../src/spreadsheet-control-functions.js';
+import {
+    normalizeConditionalFormat,
+    parseConditionCriteria,
+    matchConditionalFormat
+} from '../src/spreadsheet-conditional-format.js';
+import { createTestAdapter } from './interpreter-helper.js';
+
+const cellsOf = values => values.map((value, i) => ({ ref: `A${i + 1}`, value }));
+const matched = (rule, values) => Array.from(matchConditionalFormat(normalizeConditionalFormat({
+    range: 'A1:A10', style: 'bold', ...rule
+}), cellsOf(values))).sort();
+
+describe('Conditional format rules', () => {
+    it('should compare values numerically or as text', () => {
+        expect(matched({ type: 'cellValue', operator: '>', value: 5 }, [3, '10', 'x', '', 6])).toEqual(['A2', 'A5']);
+        expect(matched({ type: 'cellValue', operator: '=', value: 'done' }, ['Done', 'open'])).toEqual(['A1']);
+        expect(matched({ type: 'cellValue', operator: 'between', value: 10, value2: 2 }, [1, 2, 5, 10, 11])).toEqual(['A2', 'A3', 'A4']);
+        expect(matched({ type: 'cellValue', operator: 'notBetween', value: 2, value2: 10 }, [1, 5, 11])).toEqual(['A1', 'A3']);
+    });
+
+    it('should match text, top and bottom values and duplicates', () => {
+        expect(matched({ type: 'textContains', text: 'DUE' }, ['overdue', 'paid', 'Due soon'])).toEqual(['A1', 'A3']);
+        expect(matched({ type: 'top', count: 2 }, [5, 9, 1, 9, 'n/a'])).toEqual(['A2', 'A4']);
+        expect(matched({ type: 'bottom', count: 50, percent: true }, [5, 9, 1, 7])).toEqual(['A1', 'A3']);
+        expect(matched({ type: 'duplicates' }, ['a', 'b', 'A', '', ''])).toEqual(['A1', 'A3']);
+    });
+
+    it('should skip error values', () => {
+        expect(matched({ type: 'cellValue', operator: '<>', value: 0 }, ['#DIV/0!', 1])).toEqual(['A2']);
+    });
+
+    it('should parse criteria as typed', () => {
+        expect(parseConditionCriteria('cellValue', '>= 10')).toEqual({ operator: '>=', value: 10 });
+        expect(parseConditionCriteria('cellValue', '<> "Done"')).toEqual({ operator: '<>', value: 'Done' });
+        expect(parseConditionCriteria('cellValue', 'not between 1 and 5'))
+            .toEqual({ operator: 'notBetween', value: 1, value2: 5 });
+        expect(parseConditionCriteria('top', '10%')).toEqual({ count: 10, percent: true });
+        expect(() => parseConditionCriteria('cellValue', 'big'))
+            .toThrow('Value condition must look like "> 100" or "between 1 and 5", got "big"');
+    });
+
+    it('should validate rules', () => {
+        expect(() => normalizeConditionalFormat({ range: 'A1-A5', type: 'duplicates', style: 'bold' }))
+            .toThrow('Conditional format range must look like "A1:B10", got "A1-A5"');
+        expect(() => normalizeConditionalFormat({ range: 'A1:A5', type: 'colour', style: 'bold' }))
+            .toThrow('Unknown conditional format type: colour');
+        expect(() => normalizeConditionalFormat({ range: 'A1:A5', type: 'duplicates' }))
+            .toThrow('Conditional format requires a style');
+        expect(() => normalizeConditionalFormat({ range: 'A1:A5', type: 'cellValue', operator: 'between', value: 1, style: 'bold' }))
+            .toThrow('Value condition between needs two values');
+        expect(() => normalizeConditionalFormat({ range: 'A1:A5', type: 'top', count: 0, style: 'bold' }))
+            .toThrow('Top rule count must be a whole number from 1, got 0');
+    });
+});
+
+describe('Conditional formatting in the model', () => {
+    let model;
+    let evaluator;
+
+    beforeEach(async () => {
+        model = new SpreadsheetModel(100, 26);
+        evaluator = createTestAdapter(model);
+        await model.setCell('A1', '5', evaluator);
+        await model.setCell('A2', '50', evaluator);
+        await model.setCell('A3', '500', evaluator);
+        await model.setCell('B1', '=A1 * 2', evaluator);
+    });
+
+    it('should style matching cells and follow recalculation', async () => {
+        await model.addConditionalFormat('big', {
+            range: 'A1:B3', type: 'cellValue', operator: '>', value: 40, style: 'background:red'
+        }, evaluator);
+
+        expect(model.getConditionalStyle('A2')).toBe('background:red');
+        expect(model.getConditionalStyle('A1')).toBe('');
+        expect(model.getConditionalStyle('B1')).toBe('');
+
+        await model.setCell('A1', '30', evaluator);
+        expect(model.getConditionalStyle('B1')).toBe('background:red');
+        expect(model.getConditionalStyle('A1')).toBe('');
+    });
+
+    it('should combine rules by priority and stop when asked', async () => {
+        await model.addConditionalFormat('big', {
+            range: 'A1:A3', type: 'cellValue', operator: '>', value: 40, style: 'color:red'
+        }, evaluator);
+        await model.addConditionalFormat('top', {
+            range: 'A1:A3', type: 'top', count: 1, style: 'bold;color:green'
+        }, evaluator);
+
+        // Higher priority (lower number) goes last so it wins conflicts
+        expect(model.getConditionalStyle('A3')).toBe('bold;color:green;color:red');
+
+        model.setConditionalFormatPriority('top', 0);
+        expect(model.getAllConditionalFormats().map(rule => rule.id)).toEqual(['top', 'big']);
+        expect(model.getConditionalStyle('A3')).toBe('color:red;bold;color:green');
+
+        await model.addConditionalFormat('top', {
+            range: 'A1:A3', type: 'top', count: 1, style: 'bold', stopIfTrue: true
+        }, evaluator);
+        expect(model.getConditionalFormat('top').priority).toBe(0);
+        expect(model.getConditionalStyle('A3')).toBe('bold');
+        expect(model.getConditionalStyle('A2')).toBe('color:red');
+    });
+
+    it('should evaluate expression rules relative to the first cell', async () => {
+        await model.setCell('C1', '10', evaluator);
+        await model.setCell('C2', '100', evaluator);
+        await model.setCell('C3', '100', evaluator);
+
+        await model.addConditionalFormat('over', {
+            range: 'A1:A3', type: 'expression', expression: '=A1 > C1', style: 'color:red'
+        }, evaluator);
+
+        expect(['A1', 'A2', 'A3'].map(ref => model.getConditionalStyle(ref))).toEqual(['', '', 'color:red']);
+
+        // Expression rules are re-evaluated even when only other cells change
+        await model.setCell('C2', '1', evaluator);
+        expect(model.getConditionalStyle('A2')).toBe('color:red');
+    });
+
+    it('should only re-evaluate expression rules that read a changed cell', async () => {
+        await model.addConditionalFormat('over', {
+            range: 'A1:A3', type: 'expression', expression: '=A1 > C1', style: 'color:red'
+        }, evaluator);
+        model.addSheet('Sheet2');
+        evaluator.interpreter.evaluations.length = 0;
+
+        await model.setCell('D5', '1', evaluator);
+        model.setActiveSheet('Sheet2');
+        await model.setCell('C2', '1', evaluator);
+        model.setActiveSheet('Sheet1');
+        expect(evaluator.interpreter.evaluations).toEqual([]);
+
+        await model.setCell('C3', '1000', evaluator);
+        expect(evaluator.interpreter.evaluations).toHaveLength(3);
+        expect(model.getConditionalStyle('A3')).toBe('');
+    });
+
+    it('should re-evaluate expression rules when a cell they read through OFFSET changes', async () => {
+        await model.addConditionalFormat('ahead', {
+            range: 'A1:A1', type: 'expression', expression: 'CELL(OFFSET("C1", 2, 0)) > 0', style: 'bold'
+        }, evaluator);
+        expect(model.getConditionalStyle('A1')).toBe('');
+
+        await model.setCell('C3', '1', evaluator);
+        expect(model.getConditionalStyle('A1')).toBe('bold');
+    });
+
+    it('should match rules on other sheets without switching the active sheet', async () => {
+        model.addSheet('Sheet2');
+        model.setActiveSheet('Sheet2');
+        await model.setCell('A1', '1', evaluator);
+        await model.addConditionalFormat('linked', {
+            range: 'A1:A1', type: 'expression', expression: 'Sheet1_C1 > A1 * 10', style: 'bold'
+        }, evaluator);
+        model.setActiveSheet('Sheet1');
+
+        const slowEvaluator = createTestAdapter(model, { delay: true });
+        const pending = model.setCell('C1', '20', slowEvaluator);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(model.getActiveSheetName()).toBe('Sheet1');
+        await pending;
+
+        model.setActiveSheet('Sheet2');
+        expect(model.getConditionalStyle('A1')).toBe('bold');
+    });
+
+    it('should undo and redo rule changes', async () => {
+        await model.addConditionalFormat('big', {
+            range: 'A1:A3', type: 'cellValue', operator: '>', value: 40, style: 'bold'
+        }, evaluator);
+
+        model.undo(evaluator);
+        await model.whenRecalculated();
+        expect(model.getConditionalFormat('big')).toBeNull();
+        expect(model.getConditionalStyle('A2')).toBe('');
+
+        model.redo(evaluator);
+        await model.whenRecalculated();
+        expect(model.getConditionalStyle('A2')).toBe('bold');
+
+        model.deleteConditionalFormat('big');
+        expect(model.getConditionalStyle('A2')).toBe('');
+        expect(() => model.deleteConditionalFormat('big')).toThrow('Conditional format not found: big');
+    });
+
+    it('should move with structural edits and drop rules whose cells are deleted', async () => {
+        await model.addConditionalFormat('big', {
+            range: 'A1:A3', type: 'cellValue', operator: '>', value: 40, style: 'bold'
+        }, evaluator);
+        await model.addConditionalFormat('over', {
+            range: 'B1:B2', type: 'expression', expression: 'B1 > A1', style: 'bold'
+        }, evaluator);
+
+        model.insertRow(1);
+        expect(model.getConditionalFormat('big').range).toBe('A2:A4');
+        expect(model.getConditionalFormat('over').expression).toBe('B2 > A2');
+        expect(model.getConditionalStyle('A3')).toBe('bold');
+
+        model.deleteColumn(2);
+        expect(model.getConditionalFormat('over')).toBeNull();
+    });
+
+    it('should round-trip through JSON and match after loading', async () => {
+        await model.addConditionalFormat('big', {
+            range: 'A1:A3', type: 'cellValue', operator: '>', value: 40, style: 'bold'
+        }, evaluator);
+
+        const restored = new SpreadsheetModel(100, 26);
+        restored.fromJSON(JSON.parse(JSON.stringify(model.toJSON())));
+        const restoredEvaluator = createTestAdapter(restored);
+        await restored.recalculateAll(restoredEvaluator);
+
+        expect(restored.getAllConditionalFormats()).toEqual(model.getAllConditionalFormats());
+        expect(restored.getConditionalStyle('A3')).toBe('bold');
+    });
+
+    describe('Control functions', () => {
+        let functions;
+
+        beforeEach(() => {
+            functions = createSpreadsheetControlFunctions(model, evaluator);
+        });
+
+        it('should add, inspect and delete rules', async () => {
+            expect(await functions.ADDCONDITIONALFORMAT('mid', 'A1:A3', 'CELLVALUE', 'between 10 and 100', 'italic')).toBe('mid');
+            await functions.ADDCONDITIONALFORMAT('best', 'A1:A3', 'top', '1', 'bold', 1);
+
+            expect(functions.GETCONDITIONALSTYLE('a2')).toBe('italic');
+            expect(JSON.parse(functions.GETCONDITIONALFORMAT('best'))).toEqual({
+                range: 'A1:A3', type: 'top', count: 1, percent: false, style: 'bold', priority: 2, stopIfTrue: true
+            });
+
+            functions.SETCONDITIONALFORMATPRIORITY('best', 0);
+            expect(JSON.parse(functions.LISTCONDITIONALFORMATS()).map(rule => rule.id)).toEqual(['best', 'mid']);
+
+            functions.DELETECONDITIONALFORMAT('mid');
+            expect(functions.GETCONDITIONALFORMAT('mid')).toBe('');
+            await expect(functions.ADDCONDITIONALFORMAT('x', 'A1:A3', 'colour', '', 'bold'))
+                .rejects.toThrow('Unknown conditional format type: colour');
+        });
+
+        it('should be listed', () => {
+            const commands = Object.values(functions.LISTCOMMANDS());
+
+            expect(commands).toContain('ADDCONDITIONALFORMAT');
+            expect(commands).toContain('GETCONDITIONALSTYLE');
+        });
+    });
+});
@@ -0,0 +1,168 @@
+/**
+ * Tests for what-if data tables (one- and two-variable)
+ */
+
+import SpreadsheetModel from '../src/spreadsheet-model.js';
+import { createSpreadsheetControlFunctions } from '../src/spreadsheet-control-functions.js';
+import { createTestAdapter } from './interpreter-helper.js';
+
+describe('Data tables', () => {
+    let model;
+    let evaluator;
+
+    beforeEach(async () => {
+        model = new SpreadsheetModel(100, 26);
+        evaluator = createTestAdapter(model);
+        // Quantity * price + fee
+        await model.setCell('B1', '10', evaluator);
+        await model.setCell('B2', '3', evaluator);
+        await model.setCell('B3', '5', evaluator);
+        await model.setCell('B5', '=B1 * B2 + B3', evaluator);
+        // Prices down the first column, fees across the first row
+        await model.setCell('D2', '1', evaluator);
+        await model.setCell('D3', '2', evaluator);
+        await model.setCell('D4', '4', evaluator);
+        await model.setCell('E1', '0', evaluator);
+        await model.setCell('F1', '100', evaluator);
+    });
+
+    const values = refs => refs.map(ref => model.getCellValue(ref));
+
+    it('should fill a one-variable table down a column', async () => {
+        await model.createDataTable('prices', { range: 'D1:E4', formulaCell: 'B5', colInputCell: 'B2' }, evaluator);
+
+        expect(values(['E2', 'E3', 'E4'])).toEqual([15, 25, 45]);
+        expect(model.getCellValue('B2')).toBe('3');
+        expect(model.getCellValue('B5')).toBe(35);
+    });
+
+    it('should fill a one-variable table along a row', async () => {
+        await model.createDataTable('fees', { range: 'D1:F2', formulaCell: 'B5', rowInputCell: 'B3' }, evaluator);
+
+        expect(values(['E2', 'F2'])).toEqual([30, 130]);
+    });
+
+    it('should fill a two-variable table', async () => {
+        await model.createDataTable('grid', {
+            range: 'D1:F4', formulaCell: 'B5', rowInputCell: 'B3', colInputCell: 'B2'
+        }, evaluator);
+
+        expect(values(['E2', 'F2', 'E3', 'F3', 'E4', 'F4'])).toEqual([10, 110, 20, 120, 40, 140]);
+    });
+
+    it('should refresh when a precedent of the formula or an input value changes', async () => {
+        await model.createDataTable('prices', { range: 'D1:E4', formulaCell: 'B5', colInputCell: 'B2' }, evaluator);
+        await model.setCell('H1', '=E2 + E3', evaluator);
+
+        await model.setCell('B1', '100', evaluator);
+        expect(values(['E2', 'E3', 'E4'])).toEqual([105, 205, 405]);
+        expect(model.getCellValue('H1')).toBe(310);
+
+        await model.setCell('D2', '0', evaluator);
+        expect(model.getCellValue('E2')).toBe(5);
+        expect(model.getCellValue('H1')).toBe(210);
+    });
+
+    it('should not report trial values as changes', async () => {
+        const changed = [];
+        model.on('cellChanged', ({ ref }) => changed.push(ref));
+
+        await model.createDataTable('prices', { range: 'D1:E4', formulaCell: 'B5', colInputCell: 'B2' }, evaluator);
+
+        expect(changed.sort()).toEqual(['E2', 'E3', 'E4']);
+    });
+
+    it('should undo creating a table', async () => {
+        await model.createDataTable('prices', { range: 'D1:E4', formulaCell: 'B5', colInputCell: 'B2' }, evaluator);
+
+        model.undo();
+
+        expect(model.getDataTable('prices')).toBeNull();
+        expect(values(['E2', 'E3', 'E4'])).toEqual(['', '', '']);
+    });
+
+    it('should keep the results but stop refreshing once deleted', async () => {
+        await model.createDataTable('prices', { range: 'D1:E4', formulaCell: 'B5', colInputCell: 'B2' }, evaluator);
+
+        model.deleteDataTable('prices');
+        await model.setCell('B1', '100', evaluator);
+
+        expect(model.getCellValue('E2')).toBe(15);
+        expect(() => model.deleteDataTable('prices')).toThrow('Data table not found: prices');
+    });
+
+    it('should round-trip through JSON and refresh after loading', async () => {
+        await model.createDataTable('grid', {
+            range: 'D1:F4', formulaCell: 'B5', rowInputCell: 'B3', colInputCell: 'B2'
+        }, evaluator);
+
+        const restored = new SpreadsheetModel(100, 26);
+        restored.fromJSON(JSON.parse(JSON.stringify(model.toJSON())));
+        const restoredEvaluator = createTestAdapter(restored);
+        await restored.recalculateAll(restoredEvaluator);
+
+        expect(restored.getDataTable('grid')).toEqual({
+            range: 'D1:F4', formulaCell: 'B5', rowInputCell: 'B3', colInputCell: 'B2'
+        });
+        expect(restored.getCellValue('F4')).toBe(140);
+
+        await restored.setCell('B1', '1', restoredEvaluator);
+        expect(restored.getCellValue('F4')).toBe(104);
+    });
+
+    it('should move with inserted rows and columns', async () => {
+        await model.createDataTable('grid', {
+            range: 'D1:F4', formulaCell: 'B5', rowInputCell: 'B3', colInputCell: 'B2'
+        }, evaluator);
+
+        model.insertRow(1);
+        model.insertColumn(1);
+
+        expect(model.getDataTable('grid')).toEqual({
+            range: 'E2:G5', formulaCell: 'C6', rowInputCell: 'C4', colInputCell: 'C3'
+        });
+    });
+
+    it('should validate the layout and cells', async () => {
+        const create = config => model.createDataTable('t', config, evaluator);
+
+        await expect(create({ range: 'D1:E4', formulaCell: 'B5' }))
+            .rejects.toThrow('Data table requires a row input cell, a column input cell or both');
+        await expect(create({ range: 'D1:F4', formulaCell: 'B5', colInputCell: 'B2' }))
+            .rejects.toThrow('A one-variable data table with a column input cell has a single result column');
+        await expect(create({ range: 'D1:E4', formulaCell: 'B1', colInputCell: 'B2' }))
+            .rejects.toThrow('Data table formula cell B1 must contain a formula');
+        await expect(create({ range: 'D1:E4', formulaCell: 'B5', colInputCell: 'B5' }))
+            .rejects.toThrow('Data table input cell B5 must contain a value, not a formula');
+        await expect(create({ range: 'B1:E4', formulaCell: 'B5', colInputCell: 'B2' }))
+            .rejects.toThrow('Data table cell B2 must be outside the table range B1:E4');
+    });
+
+    describe('Control functions', () => {
+        let functions;
+
+        beforeEach(() => {
+            functions = createSpreadsheetControlFunctions(model, evaluator);
+        });
+
+        it('should create, list and delete data tables', async () => {
+            expect(await functions.DATA_TABLE('prices', 'D1:E4', 'B5', '', 'B2')).toBe('prices');
+            expect(model.getCellValue('E4')).toBe(45);
+
+            expect(JSON.parse(functions.LISTDATATABLES())).toEqual([{
+                id: 'prices',
+                config: { range: 'D1:E4', formulaCell: 'B5', rowInputCell: null, colInputCell: 'B2' }
+            }]);
+
+            functions.DELETEDATATABLE('prices');
+            expect(functions.GETDATATABLE('prices')).toBe('');
+        });
+
+        it('should be listed', () => {
+            const commands = Object.values(functions.LISTCOMMANDS());
+
+            expect(commands).toContain('DATA_TABLE');
+            expect(commands).toContain('REFRESHDATATABLE');
+        });
+    });
+});
@@ -0,0 +1,161 @@
+/**
+ * Tests for dynamic array formulas: results that spill into neighbouring
+ * cells, #SPILL! when the spill range is blocked, A1# references to a whole
+ * spill range, and spills that resize on recalculation
+ */
+
+import SpreadsheetModel from '../src/spreadsheet-model.js';
+import { createTestAdapter } from './interpreter-helper.js';
+
+// Array-returning functions standing in for those RexxJS libraries provide
+const arrayFunctions = {
+    SEQ: (n) => Array.from({ length: n }, (unused, i) => i + 1),
+    ROWS: (...rows) => rows,
+    QUERY: (headers, ...data) => ({ headers, data })
+};
+
+describe('Dynamic arrays', () => {
+    let model;
+    let interpreter;
+
+    beforeEach(() => {
+        model = new SpreadsheetModel(20, 10);
+        interpreter = createTestAdapter(model, { functions: arrayFunctions });
+    });
+
+    it('should spill arrays down and rows of values across', async () => {
+        await model.setCell('A1', '=SEQ(3)', interpreter);
+        await model.setCell('C1', '=ROWS([1, 2, 3], [4, 5])', interpreter);
+
+        expect(['A1', 'A2', 'A3', 'A4'].map(ref => model.getCellValue(ref))).toEqual([1, 2, 3, '']);
+        expect(model.getCell('A3').spilledFrom).toBe('A1');
+        expect(model.getCell('A3').expression).toBeNull();
+        expect(model.getCell('A1').spilledFrom).toBeUndefined();
+        expect(model.getSpillRange('A1')).toBe('A1:A3');
+
+        expect(model.getSpillRange('C1#')).toBe('C1:E2');
+        expect(model.getCellValue('E1')).toBe(3);
+        expect(model.getCellValue('E2')).toBe('');
+        expect(model.getCellValue('D2')).toBe(5);
+    });
+
+    it('should spill query results with their header row', async () => {
+        await model.setCell('B2', '=QUERY(["Name", "Total"], ["Ann", 10], ["Bob", 20])', interpreter);
+
+        expect(model.getSpillRange('B2')).toBe('B2:C4');
+        expect(model.getCellValue('B2')).toBe('Name');
+        expect(model.getCellValue('C4')).toBe(20);
+    });
+
+    it('should keep single values and one-value arrays in one cell', async () => {
+        await model.setCell('A1', '=SEQ(1)', interpreter);
+        await model.setCell('B1', '=2 + 3', interpreter);
+        await model.setCell('C1', '=SEQ(0)', interpreter);
+
+        expect(model.getCellValue('A1')).toBe(1);
+        expect(model.getSpillRange('A1')).toBe('A1:A1');
+        expect(model.getSpillRange('B1#')).toBe('B1:B1');
+        expect(model.getCellValue('C1')).toBe('#CALC!');
+        expect(model.getSpillRange('D1')).toBeNull();
+    });
+
+    it('should show #SPILL! while the spill range is blocked', async () => {
+        model.setCell('A3', 'in the way');
+        await model.setCell('A1', '=SEQ(3)', interpreter);
+
+        expect(model.getCellValue('A1')).toBe('#SPILL!');
+        expect(model.getCell('A1').error).toBe('Spill range A1:A3 is blocked by A3');
+        expect(model.getCellValue('A2')).toBe('');
+        expect(model.getSpillRange('A1')).toBe('A1:A1');
+
+        await model.setCell('A3', '', interpreter);
+        expect(model.getCellValue('A1')).toBe(1);
+        expect(model.getCellValue('A3')).toBe(3);
+
+        // Typing into the spill range blocks it again
+        await model.setCell('A2', 'x', interpreter);
+        expect(model.getCellValue('A1')).toBe('#SPILL!');
+        expect(model.getCellValue('A2')).toBe('x');
+        expect(model.getCellValue('A3')).toBe('');
+
+        // Formatting alone does not block a spill
+        await model.setCell('A2', '', interpreter);
+        model.setCellStyle('A3', { font: { bold: true } });
+        await model.recalculateAll(interpreter);
+        expect(model.getCellValue('A3')).toBe(3);
+        expect(model.getCellStyle('A3').font.bold).toBe(true);
+    });
+
+    it('should refuse spills that run off the sheet, overlap or refer to themselves', async () => {
+        await model.setCell('A19', '=SEQ(3)', interpreter);
+        expect(model.getCell('A19').error).toBe('Spill range A19:A21 runs off the sheet');
+
+        await model.setCell('B1', '=SEQ(3)', interpreter);
+        await model.setCell('C1', '=ROWS([1, 2])', interpreter);
+        await model.setCell('A2', '=ROWS([1, 2, 3])', interpreter);
+        expect(model.getCell('A2').error).toBe('Spill range A2:C2 overlaps the spill from B1');
+        expect(model.getCellValue('B2')).toBe(2);
+
+        await model.setCell('E1', '=SEQ(3)', interpreter);
+        await model.setCell('F1', '=SEQ(E3)', interpreter);
+        expect(model.getCellValue('F1')).toBe(1);
+        await model.setCell('E5', '=ROWS([1], [E6])', interpreter);
+        expect(model.getCellValue('E5')).toBe('#CIRCULAR!');
+    });
+
+    it('should resize the spill and update dependents on recalculation', async () => {
+        model.setCell('C1', '4');
+        await model.setCell('A1', '=SEQ(C1)', interpreter);
+        await model.setCell('D1', '=SUM_RANGE("A1#")', interpreter);
+        await model.setCell('D2', '=A4 + "!"', interpreter);
+
+        expect(model.getCellValue('D1')).toBe(10);
+        expect(model.getCellValue('D2')).toBe('4!');
+        expect(model.extractRangeReferences('SUM_RANGE("$A$1#") + COUNT_RANGE("Sheet2.B2#")'))
+            .toEqual(['A1#', 'Sheet2.B2#']);
+
+        const changes = [];
+        model.on('cellChanged', ({ ref, oldValue, newValue }) => changes.push([ref, oldValue, newValue]));
+        await model.setCell('C1', '2', interpreter);
+
+        expect(model.getSpillRange('A1')).toBe('A1:A2');
+        expect(model.getCellValue('A3')).toBe('');
+        expect(model.getCellValue('D1')).toBe(3);
+        expect(model.getCellValue('D2')).toBe('!');
+        expect(changes).toContainEqual(['A4', 4, '']);
+
+        await model.setCell('C1', '5', interpreter);
+        expect(model.getCellValue('A5')).toBe(5);
+        expect(model.getCellValue('D1')).toBe(15);
+        expect(model.getCellValue('D2')).toBe('4!');
+    });
+
+    it('should clear the spill with its formula and not save spilled values', async () => {
+        await model.setCell('A1', '=SEQ(3)', interpreter);
+        await model.setCell('B1', '=SUM_RANGE("A1#")', interpreter);
+
+        expect(Object.keys(model.toJSON().sheets.Sheet1.cells).sort()).toEqual(['A1', 'B1']);
+
+        await model.setCell('A1', '7', interpreter);
+        expect(model.getCellValue('A2')).toBe('');
+        expect(model.getCellValue('B1')).toBe('#REF!');
+
+        model.undo(interpreter);
+        await model.whenRecalculated();
+        expect(model.getCellValue('A3')).toBe(3);
+        expect(model.getCellValue('B1')).toBe(6);
+    });
+
+    it('should read spill ranges on other sheets', async () => {
+        await model.setCell('A1', '=SEQ(3)', interpreter);
+        model.addSheet('Sheet2');
+        model.setActiveSheet('Sheet2');
+
+        expect(model.getCellValue('Sheet1.A2')).toBe(2);
+        expect(model.getCell('Sheet1.A2').spilledFrom).toBe('A1');
+        expect(model.getSpillRange('Sheet1.A1#')).toBe('A1:A3');
+
+        await model.setCell('A1', '=SUM_RANGE("Sheet1.A1#")', interpreter);
+        expect(model.getCellValue('A1')).toBe(6);
+    });
+});
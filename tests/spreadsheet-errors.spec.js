@@ -0,0 +1,165 @@
+/**
+ * Typed Error Value Tests
+ *
+ * Tests for #DIV/0!, #REF!, #NAME?, #VALUE!, #N/A and #NUM! errors,
+ * their propagation through dependent cells, and the error handling functions.
+ */
+
+import SpreadsheetModel from '../src/spreadsheet-model.js';
+import { ERROR_TYPES, SpreadsheetError, isErrorValue, toSpreadsheetError } from '../src/spreadsheet-errors.js';
+import { createTestAdapter } from './interpreter-helper.js';
+
+describe('Typed error values', () => {
+    let model;
+    let adapter;
+
+    beforeEach(() => {
+        model = new SpreadsheetModel(100, 26);
+        adapter = createTestAdapter(model);
+    });
+
+    describe('Error classification', () => {
+        it('should recognize error values', () => {
+            expect(isErrorValue('#DIV/0!')).toBe(true);
+            expect(isErrorValue('#N/A')).toBe(true);
+            expect(isErrorValue('#ERROR')).toBe(false);
+            expect(isErrorValue(42)).toBe(false);
+        });
+
+        it('should map exception messages onto error types', () => {
+            expect(toSpreadsheetError(new Error('Division by zero')).type).toBe('#DIV/0!');
+            expect(toSpreadsheetError(new Error('Unknown function: FOO')).type).toBe('#NAME?');
+            expect(toSpreadsheetError(new Error('Invalid cell reference: ZZ')).type).toBe('#REF!');
+            expect(toSpreadsheetError(new Error('Value not found in lookup range')).type).toBe('#N/A');
+            expect(toSpreadsheetError(new Error('Numeric overflow')).type).toBe('#NUM!');
+            expect(toSpreadsheetError(new Error('Bad arithmetic conversion')).type).toBe('#VALUE!');
+        });
+
+        it('should keep the original message', () => {
+            const error = toSpreadsheetError(new Error('Division by zero in A1/B1'));
+            expect(error).toBeInstanceOf(SpreadsheetError);
+            expect(error.message).toBe('Division by zero in A1/B1');
+        });
+
+        it('should pass typed errors through unchanged', () => {
+            const original = new SpreadsheetError('#NUM!', 'Did not converge');
+            expect(toSpreadsheetError(original)).toBe(original);
+        });
+    });
+
+    describe('Adapter mapping', () => {
+        it('should throw typed errors from evaluate', async () => {
+            await expect(adapter.evaluate('1 / 0', model)).rejects.toMatchObject({ type: '#DIV/0!' });
+            await expect(adapter.evaluate('UNDEFINED_FN(1)', model)).rejects.toMatchObject({ type: '#NAME?' });
+        });
+
+        it('should map non-finite results', async () => {
+            await expect(adapter.evaluate('Math.sqrt(-1)', model)).rejects.toMatchObject({ type: '#NUM!' });
+        });
+    });
+
+    describe('Cell errors', () => {
+        it('should store the error type and message on the cell', async () => {
+            await model.setCell('A1', '10', adapter);
+            await model.setCell('B1', '=A1 / 0', adapter);
+
+            const cell = model.getCell('B1');
+            expect(cell.value).toBe('#DIV/0!');
+            expect(cell.errorType).toBe('#DIV/0!');
+            expect(cell.error).toBe('Division by zero');
+        });
+
+        it('should propagate errors through dependents with their type intact', async () => {
+            await model.setCell('A1', '=A2 / 0', adapter);
+            await model.setCell('B1', '=A1 + 1', adapter);
+            await model.setCell('C1', '=B1 * 2', adapter);
+
+            expect(model.getCellValue('B1')).toBe('#DIV/0!');
+            expect(model.getCellValue('C1')).toBe('#DIV/0!');
+            expect(model.getCell('C1').error).toContain('B1 contains #DIV/0!');
+        });
+
+        it('should propagate errors from cells inside a range', async () => {
+            await model.setCell('A1', '1', adapter);
+            await model.setCell('A2', '=NA()', adapter);
+            await model.setCell('B1', '=SUM_RANGE("A1:A3")', adapter);
+
+            expect(model.getCellValue('A2')).toBe('#N/A');
+            expect(model.getCellValue('B1')).toBe('#N/A');
+        });
+
+        it('should clear the error once the cause is fixed', async () => {
+            await model.setCell('A1', '=1 / 0', adapter);
+            await model.setCell('B1', '=A1 + 1', adapter);
+
+            await model.setCell('A1', '5', adapter);
+
+            expect(model.getCellValue('B1')).toBe(6);
+            expect(model.getCell('B1').error).toBeNull();
+            expect(model.getCell('B1').errorType).toBeNull();
+        });
+
+        it('should report references invalidated by a row deletion as #REF!', async () => {
+            await model.setCell('A1', '1', adapter);
+            await model.setCell('A2', '2', adapter);
+            await model.setCell('A3', '=A1 + A2', adapter);
+
+            model.deleteRow(1, adapter);
+            await model.whenRecalculated();
+
+            expect(model.getCellValue('A2')).toBe('#REF!');
+            expect(model.getCell('A2').errorType).toBe('#REF!');
+        });
+    });
+
+    describe('Error handling functions', () => {
+        beforeEach(async () => {
+            await model.setCell('A1', '=1 / 0', adapter);
+            await model.setCell('A2', '=NA()', adapter);
+            await model.setCell('A3', '7', adapter);
+        });
+
+        it('should detect errors with ISERROR, ISERR and ISNA', async () => {
+            await model.setCell('B1', '=ISERROR(A1)', adapter);
+            await model.setCell('B2', '=ISERR(A2)', adapter);
+            await model.setCell('B3', '=ISNA(A2)', adapter);
+            await model.setCell('B4', '=ISERROR(A3)', adapter);
+
+            expect(model.getCellValue('B1')).toBe(1);
+            expect(model.getCellValue('B2')).toBe(0);
+            expect(model.getCellValue('B3')).toBe(1);
+            expect(model.getCellValue('B4')).toBe(0);
+        });
+
+        it('should substitute a fallback with IFERROR and IFNA', async () => {
+            await model.setCell('B1', '=IFERROR(A1, 0)', adapter);
+            await model.setCell('B2', '=IFNA(A2, "missing")', adapter);
+            await model.setCell('B3', '=IFERROR(A3, 0)', adapter);
+
+            expect(model.getCellValue('B1')).toBe(0);
+            expect(model.getCellValue('B2')).toBe('missing');
+            expect(model.getCellValue('B3')).toBe(7);
+        });
+
+        it('should return Excel ERROR.TYPE numbers', async () => {
+            await model.setCell('B1', '=ERROR_TYPE(A1)', adapter);
+            await model.setCell('B2', '=ERROR_TYPE(A2)', adapter);
+
+            expect(model.getCellValue('B1')).toBe(ERROR_TYPES['#DIV/0!']);
+            expect(model.getCellValue('B2')).toBe(7);
+            expect(adapter.getSpreadsheetFunctions().ERROR_TYPE('#SPILL!')).toBe(9);
+            expect(adapter.getSpreadsheetFunctions().ERROR_TYPE('#CALC!')).toBe(14);
+        });
+
+        it('should number errors Excel lacks outside Excel\'s codes', () => {
+            const functions = adapter.getSpreadsheetFunctions();
+            expect(functions.ERROR_TYPE('#CIRCULAR!')).toBe(101);
+            expect(functions.ERROR_TYPE('#CONVERGE!')).toBe(102);
+        });
+
+        it('should treat ERROR_TYPE of a non-error as #N/A', () => {
+            const functions = adapter.getSpreadsheetFunctions();
+            expect(functions.ERROR_TYPE(5)).toBe('#N/A');
+        });
+    });
+});
@@ -0,0 +1,187 @@
+/**
+ * Tests for the model change-event API (model.on)
+ */
+
+import SpreadsheetModel from '../src/spreadsheet-model.js';
+import { createTestAdapter } from './interpreter-helper.js';
+
+describe('Model change events', () => {
+    let model;
+    let evaluator;
+    let events;
+
+    beforeEach(() => {
+        model = new SpreadsheetModel(100, 26);
+        evaluator = createTestAdapter(model);
+        events = [];
+        model.on('*', event => events.push(event));
+    });
+
+    const ofType = type => events.filter(event => event.type === type);
+
+    describe('Subscriptions', () => {
+        it('should deliver the payload to listeners of the event', () => {
+            const received = [];
+            model.on('cellChanged', payload => received.push(payload));
+
+            model.setCell('A1', '5');
+
+            expect(received).toEqual([
+                { sheet: 'Sheet1', ref: 'A1', oldValue: '', newValue: '5', source: 'edit' }
+            ]);
+        });
+
+        it('should stop delivering after unsubscribing', () => {
+            const listener = jest.fn();
+            const unsubscribe = model.on('cellChanged', listener);
+
+            model.setCell('A1', '1');
+            unsubscribe();
+            model.setCell('A1', '2');
+
+            expect(listener).toHaveBeenCalledTimes(1);
+        });
+
+        it('should reject unknown events', () => {
+            expect(() => model.on('cellEdited', () => {})).toThrow('Unknown model event: cellEdited');
+        });
+
+        it('should keep going when a listener throws', () => {
+            const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+            model.on('cellChanged', () => {
+                throw new Error('listener bug');
+            });
+
+            model.setCell('A1', 'ok');
+
+            expect(model.getCellValue('A1')).toBe('ok');
+            expect(ofType('cellChanged')).toHaveLength(1);
+            consoleError.mockRestore();
+        });
+    });
+
+    describe('Cells', () => {
+        it('should report old and new values of edits', () => {
+            model.setCell('A1', '1');
+            model.setCell('A1', '2');
+            model.setCell('A1', '');
+
+            expect(ofType('cellChanged').map(event => [event.oldValue, event.newValue])).toEqual([
+                ['', '1'], ['1', '2'], ['2', '']
+            ]);
+        });
+
+        it('should report values computed by recalculation and the completed pass', async () => {
+            await model.setCell('A1', '2', evaluator);
+            await model.setCell('B1', '=A1 * 10', evaluator);
+            events.length = 0;
+
+            await model.setCell('A1', '3', evaluator);
+
+            const recalculated = ofType('cellChanged').filter(event => event.source === 'recalc');
+            expect(recalculated).toEqual([
+                { type: 'cellChanged', sheet: 'Sheet1', ref: 'B1', oldValue: 20, newValue: 30, source: 'recalc' }
+            ]);
+            expect(ofType('recalcCompleted')).toEqual([
+                { type: 'recalcCompleted', cells: ['Sheet1.A1', 'Sheet1.B1'] }
+            ]);
+        });
+
+        it('should mark changes made by undo and redo', () => {
+            model.setCell('A1', 'x');
+            events.length = 0;
+
+            model.undo();
+
+            expect(ofType('cellChanged')).toEqual([
+                { type: 'cellChanged', sheet: 'Sheet1', ref: 'A1', oldValue: 'x', newValue: '', source: 'history' }
+            ]);
+        });
+    });
+
+    describe('Ranges', () => {
+        it('should report fills and sorts as range changes', () => {
+            model.setCell('A1', '2');
+            model.setCell('A2', '1');
+
+            model.fillRight('A1', 'B1:C1');
+            model.sortRange('A1:A2', 'A');
+
+            expect(ofType('rangeChanged')).toEqual([
+                { type: 'rangeChanged', sheet: 'Sheet1', range: 'B1:C1', action: 'fillRight' },
+                { type: 'rangeChanged', sheet: 'Sheet1', range: 'A1:A2', action: 'sortRange' }
+            ]);
+        });
+
+        it('should report clearing the sheet with a null range', () => {
+            model.clearCells();
+
+            expect(ofType('rangeChanged')).toEqual([
+                { type: 'rangeChanged', sheet: 'Sheet1', range: null, action: 'clearCells' }
+            ]);
+        });
+    });
+
+    describe('Metadata', () => {
+        it('should report the metadata an edit touched', () => {
+            model.setColumnWidth(2, 140);
+            model.freezePanes(1, 0);
+
+            expect(ofType('metadataChanged')).toEqual([
+                { type: 'metadataChanged', sheet: 'Sheet1', keys: ['columnWidths'], action: 'setColumnWidth 2' },
+                { type: 'metadataChanged', sheet: 'Sheet1', keys: ['frozenRows', 'frozenColumns'], action: 'freezePanes 1 0' }
+            ]);
+        });
+
+        it('should report metadata replayed by undo', async () => {
+            model.setColumnWidth(2, 140);
+            events.length = 0;
+
+            await model.undo();
+
+            expect(ofType('metadataChanged')).toEqual([
+                { type: 'metadataChanged', sheet: 'Sheet1', keys: ['columnWidths'], action: 'history' }
+            ]);
+        });
+    });
+
+    describe('Sheets and structure', () => {
+        it('should report sheets being added, renamed and deleted', async () => {
+            model.addSheet('Data');
+            model.renameSheet('Data', 'Inputs');
+            await model.deleteSheet('Inputs');
+
+            expect(events.map(event => event.type)).toEqual(['sheetAdded', 'sheetRenamed', 'sheetDeleted']);
+            expect(events[0]).toMatchObject({ sheet: 'Data', index: 1 });
+            expect(events[1]).toMatchObject({ from: 'Data', to: 'Inputs' });
+            expect(events[2]).toMatchObject({ sheet: 'Inputs', index: 1 });
+        });
+
+        it('should report sheet changes replayed by undo', () => {
+            model.addSheet('Data');
+            events.length = 0;
+
+            model.undo();
+
+            expect(events).toEqual([{ type: 'sheetDeleted', sheet: 'Data', index: 1 }]);
+        });
+
+        it('should report row and column edits, including their undo', () => {
+            model.insertRow(3);
+            model.deleteColumn(2);
+            model.undo();
+
+            expect(ofType('structureChanged')).toEqual([
+                { type: 'structureChanged', sheet: 'Sheet1', operation: 'insertRow', position: 3 },
+                { type: 'structureChanged', sheet: 'Sheet1', operation: 'deleteColumn', position: 2 },
+                { type: 'structureChanged', sheet: 'Sheet1', operation: 'insertColumn', position: 2 }
+            ]);
+        });
+
+        it('should report a loaded workbook', () => {
+            model.fromJSON({ version: 2, sheetOrder: ['A', 'B'], sheets: { A: { cells: {} }, B: { cells: {} } } });
+
+            expect(ofType('workbookLoaded')).toEqual([{ type: 'workbookLoaded', sheets: ['A', 'B'] }]);
+        });
+    });
+});
@@ -0,0 +1,165 @@
+/**
+ * Tests for financial functions against the results Excel gives for the
+ * same arguments (the examples in Excel's function reference), and for
+ * AMORTIZE writing a schedule into the sheet
+ */
+
+import SpreadsheetModel from '../src/spreadsheet-model.js';
+import SpreadsheetRexxAdapter from '../src/spreadsheet-rexx-adapter.js';
+import { createSpreadsheetControlFunctions } from '../src/spreadsheet-control-functions.js';
+import { pmt, ipmt, ppmt, fv, pv, rate, nper, irr, xirr, mirr, ddb, amortizationSchedule } from '../src/spreadsheet-financial.js';
+
+describe('Financial functions', () => {
+    it('should match Excel for loan payments', () => {
+        expect(pmt(0.08 / 12, 10, 10000)).toBeCloseTo(-1037.03, 2);
+        expect(pmt(0.08 / 12, 10, 10000, 0, 1)).toBeCloseTo(-1030.16, 2);
+        expect(pmt(0.06 / 12, 18 * 12, 0, 50000)).toBeCloseTo(-129.08, 2);
+        expect(pmt(0, 10, 1000)).toBe(-100);
+
+        expect(ipmt(0.1 / 12, 1, 36, 8000)).toBeCloseTo(-66.67, 2);
+        expect(ipmt(0.1, 3, 3, 8000)).toBeCloseTo(-292.45, 2);
+        expect(ipmt(0.1, 1, 3, 8000, 0, 1)).toBe(0);
+        expect(ppmt(0.1 / 12, 1, 24, 2000)).toBeCloseTo(-75.62, 2);
+        expect(ppmt(0.08, 10, 10, 200000)).toBeCloseTo(-27598.05, 2);
+        expect(() => ipmt(0.1, 4, 3, 8000)).toThrow('per must be from 1 to 3, got 4');
+    });
+
+    it('should match Excel for present and future values, rates and terms', () => {
+        expect(fv(0.06 / 12, 10, -200, -500, 1)).toBeCloseTo(2581.40, 2);
+        expect(fv(0.12 / 12, 12, -1000)).toBeCloseTo(12682.50, 2);
+        expect(fv(0.11 / 12, 35, -2000, 0, 1)).toBeCloseTo(82846.25, 2);
+        expect(pv(0.08 / 12, 12 * 20, 500)).toBeCloseTo(-59777.15, 2);
+
+        expect(rate(48, -200, 8000)).toBeCloseTo(0.00770147, 8);
+        expect(rate(10, -1037.03, 10000) * 12).toBeCloseTo(0.08, 5);
+
+        expect(nper(0.01, -100, -1000, 10000, 1)).toBeCloseTo(59.6738657, 6);
+        expect(nper(0.01, -100, -1000, 10000)).toBeCloseTo(60.0821229, 6);
+        expect(nper(0.01, -100, -1000)).toBeCloseTo(-9.57859404, 6);
+        expect(() => rate(10, 100, 1000)).toThrow('RATE did not converge');
+    });
+
+    it('should match Excel for cash flow returns', () => {
+        const flows = [-70000, 12000, 15000, 18000, 21000];
+
+        expect(irr(flows)).toBeCloseTo(-0.021244848, 8);
+        expect(irr([...flows, 26000])).toBeCloseTo(0.086630948, 8);
+        expect(irr([-70000, 12000, 15000], -0.1)).toBeCloseTo(-0.443506941, 8);
+        expect(() => irr([100, 200])).toThrow('IRR needs at least one positive and one negative cash flow');
+
+        const dated = [-10000, 2750, 4250, 3250, 2750];
+        const dates = ['2008-01-01', '2008-03-01', '2008-10-30', '2009-02-15', '2009-04-01'];
+        expect(xirr(dated, dates)).toBeCloseTo(0.373362535, 8);
+        expect(xirr(dated, [39448, 39508, 39751, 39859, 39904])).toBeCloseTo(0.373362535, 8);
+        expect(() => xirr(dated, dates.slice(1))).toThrow('XIRR needs one date per value, got 5 values and 4 dates');
+
+        const project = [-120000, 39000, 30000, 21000, 37000, 46000];
+        expect(mirr(project, 0.1, 0.12)).toBeCloseTo(0.126094, 6);
+        expect(mirr(project.slice(0, 4), 0.1, 0.12)).toBeCloseTo(-0.048044655, 8);
+        expect(mirr(project, 0.1, 0.14)).toBeCloseTo(0.134759111, 8);
+    });
+
+    it('should match Excel for depreciation', () => {
+        expect(ddb(2400, 300, 10 * 365, 1)).toBeCloseTo(1.32, 2);
+        expect(ddb(2400, 300, 10 * 12, 1)).toBeCloseTo(40, 8);
+        expect(ddb(2400, 300, 10, 1)).toBeCloseTo(480, 8);
+        expect(ddb(2400, 300, 10, 2, 1.5)).toBeCloseTo(306, 8);
+        expect(ddb(2400, 300, 10, 10)).toBeCloseTo(22.12, 2);
+        expect(() => ddb(2400, 300, 10, 11)).toThrow('DDB needs');
+    });
+
+    it('should build an amortisation schedule that pays off the loan', () => {
+        const schedule = amortizationSchedule(0.1, 2, 1000);
+
+        expect(schedule).toHaveLength(2);
+        expect(schedule[0].payment).toBeCloseTo(576.19, 2);
+        expect(schedule[0].interest).toBeCloseTo(100, 8);
+        expect(schedule[0].principal).toBeCloseTo(476.19, 2);
+        expect(schedule[0].balance).toBeCloseTo(523.81, 2);
+        expect(schedule[1].interest).toBeCloseTo(52.38, 2);
+        expect(schedule[1].balance).toBe(0);
+
+        const balloon = amortizationSchedule(0.06 / 12, 60, 25000, 5000);
+        expect(balloon[59].balance).toBeCloseTo(5000, 6);
+        expect(() => amortizationSchedule(0.1, 2.5, 1000)).toThrow('nper must be a whole number of periods, got 2.5');
+    });
+
+    describe('In formulas', () => {
+        let model;
+        let functions;
+
+        beforeEach(() => {
+            model = new SpreadsheetModel(100, 26);
+            functions = new SpreadsheetRexxAdapter(model).getSpreadsheetFunctions();
+            ['-10000', '3000', '4200', '', '6800'].forEach((value, i) => model.setCell(`A${i + 1}`, value));
+            ['2008-01-01', '2008-03-01', '2008-10-30', '2009-02-15', '2009-04-01'].forEach((date, i) => {
+                model.setCell(`C${i + 1}`, date);
+                model.setCell(`D${i + 1}`, String([-10000, 2750, 4250, 3250, 2750][i]));
+            });
+        });
+
+        it('should read cash flows from ranges and arguments', () => {
+            expect(functions.NPV(0.1, 'A1:A5')).toBeCloseTo(1188.44, 2);
+            expect(functions.NPV(0.1, -10000, 3000, 4200, 6800)).toBeCloseTo(1188.44, 2);
+            expect(functions.NPV(0.08, 8000, 9200, 10000, 12000, 14500) - 40000).toBeCloseTo(1922.06, 2);
+            expect(functions.IRR('A1:A5')).toBeCloseTo(irr([-10000, 3000, 4200, 6800]), 12);
+            expect(functions.XNPV(0.09, 'D1:D5', 'C1:C5')).toBeCloseTo(2086.65, 2);
+            expect(functions.XIRR('D1:D5', 'C1:C5')).toBeCloseTo(0.373362535, 8);
+            expect(functions.MIRR('A1:A5', 0.1, 0.12)).toBeCloseTo(mirr([-10000, 3000, 4200, 6800], 0.1, 0.12), 12);
+            expect(functions.PMT('0.01', '12', '1000')).toBeCloseTo(pmt(0.01, 12, 1000), 12);
+            expect(functions.SLN(30000, 7500, 10)).toBe(2250);
+        });
+
+        it('should give error values that IFERROR can catch', () => {
+            expect(functions.IRR('D2:D5')).toBe('#NUM!');
+            expect(functions.SLN(30000, 7500, 0)).toBe('#DIV/0!');
+            expect(functions.PMT('abc', 12, 1000)).toBe('#VALUE!');
+            expect(functions.XNPV(0.09, 'D1:D5', 'A1:A5')).toBe('#VALUE!');
+            expect(functions.IFERROR(functions.RATE(10, 100, 1000), 0)).toBe(0);
+        });
+    });
+
+    describe('AMORTIZE', () => {
+        let model;
+        let functions;
+
+        beforeAll(() => {
+            // AMORTIZE uses the SpreadsheetModel global the browser build provides
+            global.SpreadsheetModel = SpreadsheetModel;
+        });
+
+        afterAll(() => {
+            delete global.SpreadsheetModel;
+        });
+
+        beforeEach(() => {
+            model = new SpreadsheetModel(100, 26);
+            functions = createSpreadsheetControlFunctions(model, new SpreadsheetRexxAdapter(model));
+        });
+
+        it('should write the schedule as one undo step', async () => {
+            expect(await functions.AMORTIZE('b2', 0.01, 12, 10000)).toBe('B2:F14');
+
+            expect(['B2', 'C2', 'D2', 'E2', 'F2'].map(ref => model.getCellValue(ref)))
+                .toEqual(['Period', 'Payment', 'Interest', 'Principal', 'Balance']);
+            expect(model.getCellValue('B14')).toBe('12');
+            expect(Number(model.getCellValue('C3'))).toBeCloseTo(888.49, 2);
+            expect(Number(model.getCellValue('D3'))).toBeCloseTo(100, 8);
+            expect(model.getCellValue('F14')).toBe('0');
+            expect(functions.GETDISPLAYVALUE('E3')).toBe('788.49');
+            expect(model.getCell('B2').format).toBe('bold');
+
+            model.undo();
+            expect(model.getCellValue('B2')).toBe('');
+            expect(model.getCellValue('F14')).toBe('');
+        });
+
+        it('should refuse schedules that do not fit or make no sense', async () => {
+            await expect(functions.AMORTIZE('A95', 0.01, 12, 10000))
+                .rejects.toThrow('AMORTIZE needs 13 rows and 5 columns from A95, which runs off the sheet');
+            await expect(functions.AMORTIZE('A1', 'abc', 12, 10000)).rejects.toThrow('rate must be a number, got "abc"');
+            await expect(functions.AMORTIZE()).rejects.toThrow('AMORTIZE requires a start cell');
+            expect(Object.values(functions.LISTCOMMANDS())).toContain('AMORTIZE');
+        });
+    });
+});
@@ -0,0 +1,414 @@
+/**
+ * Tests for delta-based undo/redo across the workbook
+ */
+
+import SpreadsheetModel from '../src/spreadsheet-model.js';
+import { SpreadsheetHistory, sameCell, cloneValue } from '../src/spreadsheet-history.js';
+import { createSpreadsheetControlFunctions } from '../src/spreadsheet-control-functions.js';
+import { createTestAdapter } from './interpreter-helper.js';
+
+describe('SpreadsheetHistory', () => {
+    it('should group nested actions into the outermost entry', () => {
+        const history = new SpreadsheetHistory();
+        history.begin('outer');
+        history.record({ type: 'property', sheet: null, key: 'a', before: 1, after: 2 });
+        history.begin('inner');
+        history.record({ type: 'property', sheet: null, key: 'b', before: 1, after: 2 });
+        history.end();
+        history.end();
+
+        expect(history.undoStack).toHaveLength(1);
+        expect(history.undoStack[0].action).toBe('outer');
+        expect(history.undoStack[0].operations).toHaveLength(2);
+    });
+
+    it('should not push entries without operations', () => {
+        const history = new SpreadsheetHistory();
+        history.begin('nothing');
+        history.end();
+
+        expect(history.canUndo()).toBe(false);
+    });
+
+    it('should replace nested deltas for the same target', () => {
+        const history = new SpreadsheetHistory();
+        const start = history.begin('outer');
+        history.record({ type: 'cell', sheet: 'Sheet1', ref: 'A1', before: null, after: { value: 1 } });
+        history.recordSince(start, [{ type: 'cell', sheet: 'Sheet1', ref: 'A1', before: null, after: { value: 2 } }]);
+        history.end();
+
+        expect(history.undoStack[0].operations).toEqual([
+            { type: 'cell', sheet: 'Sheet1', ref: 'A1', before: null, after: { value: 2 } }
+        ]);
+    });
+
+    it('should compare cells without derived fields', () => {
+        const before = { value: '', expression: 'A1 + 1', dependencies: [] };
+        const after = { value: 5, expression: 'A1 + 1', dependencies: ['A1'] };
+
+        expect(sameCell(before, after)).toBe(true);
+        expect(sameCell(before, { ...after, expression: 'A1 + 2' })).toBe(false);
+        expect(sameCell(null, null)).toBe(true);
+    });
+
+    it('should deep-copy plain data', () => {
+        const original = { config: { options: ['a'] }, keys: new Map([['x', { n: 1 }]]) };
+        const copy = cloneValue(original);
+        copy.config.options.push('b');
+        copy.keys.get('x').n = 2;
+
+        expect(original.config.options).toEqual(['a']);
+        expect(original.keys.get('x').n).toBe(1);
+    });
+});
+
+describe('Model undo/redo', () => {
+    let model;
+
+    beforeEach(() => {
+        model = new SpreadsheetModel(100, 26);
+    });
+
+    describe('Cell deltas', () => {
+        it('should record one cell delta per edit regardless of sheet size', () => {
+            for (let row = 1; row <= 2000; row++) {
+                model.setCell(`A${row}`, String(row));
+            }
+
+            model.setCell('B1', '42');
+
+            const entry = model.undoStack[model.undoStack.length - 1];
+            expect(entry.action).toBe('setCell B1');
+            expect(entry.operations).toHaveLength(1);
+            expect(entry.operations[0]).toMatchObject({ type: 'cell', sheet: 'Sheet1', ref: 'B1', before: null });
+        });
+
+        it('should restore cell metadata changes', () => {
+            model.setCell('A1', '10');
+            model.setCellMetadata('A1', { comment: 'Check this' });
+
+            model.undo();
+
+            expect(model.getCell('A1').comment).toBe('');
+            expect(model.getCellValue('A1')).toBe('10');
+        });
+
+        it('should undo edits made on another sheet', () => {
+            model.addSheet('Data');
+            model.setActiveSheet('Data');
+            model.setCell('A1', 'remote');
+            model.setActiveSheet('Sheet1');
+            model.setCell('A1', 'local');
+
+            model.undo();
+            model.undo();
+
+            expect(model.sheets.get('Data').cells.has('A1')).toBe(false);
+            expect(model.getCellValue('A1')).toBe('');
+        });
+
+        it('should make a fill a single step', () => {
+            model.setCell('A1', '1');
+            model.fillDown('A1', 'A2:A5');
+
+            expect(model.undoStack[model.undoStack.length - 1].action).toBe('fillDown A2:A5');
+
+            model.undo();
+
+            expect(model.getCellValue('A1')).toBe('1');
+            expect(model.getCellValue('A5')).toBe('');
+        });
+
+        it('should undo clearing all cells', () => {
+            model.setCell('A1', '1');
+            model.setCell('B2', '=A1 + 1');
+
+            model.clearCells();
+            expect(model.getAllCells()).toHaveLength(0);
+
+            model.undo();
+
+            expect(model.getCellValue('A1')).toBe('1');
+            expect(model.getCellExpression('B2')).toBe('A1 + 1');
+            expect(model.getDependents('A1')).toContain('B2');
+        });
+    });
+
+    describe('Metadata', () => {
+        it('should undo and redo sheet metadata changes', () => {
+            model.setColumnWidth('B', 200);
+            model.freezePanes(1, 2);
+            model.setCellValidation('C3', { type: 'number' });
+
+            model.undo();
+            expect(model.getCellValidation('C3')).toBeNull();
+            model.undo();
+            expect(model.getFrozenPanes()).toEqual({ rows: 0, columns: 0 });
+            model.undo();
+            expect(model.columnWidths.has(2)).toBe(false);
+
+            model.redo();
+            model.redo();
+            expect(model.columnWidths.get(2)).toBe(200);
+            expect(model.getFrozenPanes()).toEqual({ rows: 1, columns: 2 });
+        });
+
+        it('should not let later changes to an object leak into history', () => {
+            model.setCellEditor('A1', 'dropdown', { options: ['a', 'b'] });
+            model.getCellEditor('A1').config.options.push('c');
+            model.removeCellEditor('A1');
+
+            model.undo();
+
+            expect(model.getCellEditor('A1').config.options).toEqual(['a', 'b', 'c']);
+            model.undo();
+            expect(model.getCellEditor('A1')).toBeNull();
+        });
+    });
+
+    describe('Structural edits', () => {
+        it('should store the edit instead of the sheet contents', () => {
+            for (let row = 1; row <= 500; row++) {
+                model.setCell(`A${row}`, String(row));
+            }
+
+            model.insertRow(10);
+
+            const entry = model.undoStack[model.undoStack.length - 1];
+            expect(entry.operations).toEqual([
+                { type: 'structure', sheet: 'Sheet1', operation: 'insertRow', position: 10 }
+            ]);
+        });
+
+        it('should undo and redo an inserted row', () => {
+            model.setCell('A1', '1');
+            model.setCell('A2', '2');
+            model.setCell('A3', '=SUM_RANGE("A1:A2") + A$2');
+
+            model.insertRow(2);
+            expect(model.getCell('A4').expression).toBe('SUM_RANGE("A1:A3") + A$3');
+
+            model.undo();
+            expect(model.getCell('A3').expression).toBe('SUM_RANGE("A1:A2") + A$2');
+            expect(model.getCellValue('A2')).toBe('2');
+
+            model.redo();
+            expect(model.getCell('A4').expression).toBe('SUM_RANGE("A1:A3") + A$3');
+            expect(model.getCellValue('A3')).toBe('2');
+        });
+
+        it('should redo a deleted column after undoing it', () => {
+            model.setCell('A1', '1');
+            model.setCell('B1', '2');
+            model.setCell('C1', '=A1 + B1');
+
+            model.deleteColumn('B');
+            model.undo();
+            expect(model.getCell('C1').expression).toBe('A1 + B1');
+
+            model.redo();
+            expect(model.getCell('B1').expression).toBe('A1 + #REF!');
+        });
+
+        it('should group the auto-ID of an inserted row with the insert', () => {
+            model.configureAutoId('A', 1, 'ID-');
+            model.insertRow(1);
+
+            expect(model.getCellValue('A1')).toBe('ID-1');
+
+            model.undo();
+
+            expect(model.getCellValue('A1')).toBe('');
+            expect(model.nextId).toBe(1);
+        });
+    });
+
+    describe('Sheets', () => {
+        it('should undo and redo adding a sheet', () => {
+            model.addSheet('Extra');
+
+            model.undo();
+            expect(model.getSheetNames()).toEqual(['Sheet1']);
+
+            model.redo();
+            expect(model.getSheetNames()).toEqual(['Sheet1', 'Extra']);
+        });
+
+        it('should undo a rename, including formulas that referenced the sheet', () => {
+            model.addSheet('Data');
+            model.setCell('A1', '=Data.A1 * 2');
+
+            model.renameSheet('Data', 'Inputs');
+            expect(model.getCell('A1').expression).toBe('Inputs.A1 * 2');
+
+            model.undo();
+
+            expect(model.getSheetNames()).toEqual(['Sheet1', 'Data']);
+            expect(model.getCell('A1').expression).toBe('Data.A1 * 2');
+        });
+
+        it('should bring back a deleted sheet and the references to it', async () => {
+            model.addSheet('Data');
+            model.setActiveSheet('Data');
+            model.setCell('A1', '7');
+            model.setActiveSheet('Sheet1');
+            model.setCell('A1', '=Data.A1 + 1');
+
+            await model.deleteSheet('Data');
+            expect(model.getCell('A1').expression).toBe('#REF! + 1');
+
+            model.undo();
+
+            expect(model.getSheetNames()).toEqual(['Sheet1', 'Data']);
+            expect(model.sheets.get('Data').cells.get('A1').value).toBe('7');
+            expect(model.getCell('A1').expression).toBe('Data.A1 + 1');
+            expect(model.getCell('A1').errorType).not.toBe('#REF!');
+        });
+    });
+
+    it('should not record loading a workbook', () => {
+        model.setCell('A1', 'before');
+        model.fromJSON({ version: 2, sheets: { Sheet1: { cells: { A1: 'loaded' } } } });
+
+        expect(model.canUndo()).toBe(false);
+    });
+});
+
+describe('History listing and jump-to', () => {
+    let model;
+
+    beforeEach(() => {
+        model = new SpreadsheetModel(100, 26);
+        model.setCell('B4', '1');
+        model.setCell('A1', '3');
+        model.setCell('A2', '2');
+        model.sortRange('A1:A2', 'A');
+    });
+
+    it('should list labelled steps oldest first', () => {
+        const history = model.getHistory();
+
+        expect(history.map(entry => entry.action)).toEqual(['setCell B4', 'setCell A1', 'setCell A2', 'sortRange A1:A2']);
+        expect(history[0]).toMatchObject({ index: 1, undone: false });
+        expect(typeof history[0].timestamp).toBe('number');
+    });
+
+    it('should jump back and forward, keeping undone steps redoable', async () => {
+        expect(await model.undoTo(1)).toBe(3);
+
+        expect(model.getCellValue('B4')).toBe('1');
+        expect(model.getCellValue('A1')).toBe('');
+        expect(model.getHistory().map(entry => entry.undone)).toEqual([false, true, true, true]);
+
+        expect(await model.undoTo(4)).toBe(-3);
+        expect(model.getCellValue('A1')).toBe('2');
+        expect(model.canRedo()).toBe(false);
+    });
+
+    it('should reject indexes outside the history', () => {
+        expect(() => model.undoTo(5)).toThrow('History index must be between 0 and 4');
+        expect(() => model.undoTo(-1)).toThrow('History index must be between 0 and 4');
+    });
+
+    it('should expose GETHISTORY and UNDOTO to scripts', async () => {
+        const functions = createSpreadsheetControlFunctions(model, null);
+
+        const history = functions.GETHISTORY();
+        expect(history[0]).toBe(4);
+        expect(history[4]).toMatchObject({ index: 4, action: 'sortRange A1:A2', undone: 0 });
+
+        expect(await functions.UNDOTO('0')).toBe(4);
+        expect(model.getCellValue('B4')).toBe('');
+        expect(functions.GETHISTORY()[1].undone).toBe(1);
+    });
+});
+
+describe('Recalculation after undo and redo', () => {
+    let model;
+    let adapter;
+
+    beforeEach(async () => {
+        model = new SpreadsheetModel(100, 26);
+        adapter = createTestAdapter(model, { delay: true });
+        await model.setCell('A1', '1', adapter);
+        await model.setCell('B1', '=A1 * 10', adapter);
+        await model.setCell('A1', '2', adapter);
+    });
+
+    it('should resolve undo and redo once dependents are recalculated', async () => {
+        expect(await model.undo(adapter)).toBe(true);
+        expect(model.getCellValue('A1')).toBe('1');
+        expect(model.getCellValue('B1')).toBe(10);
+
+        expect(await model.redo(adapter)).toBe(true);
+        expect(model.getCellValue('B1')).toBe(20);
+    });
+
+    it('should recalculate once after jumping several steps', async () => {
+        adapter.interpreter.evaluations.length = 0;
+
+        expect(await model.undoTo(1, adapter)).toBe(2);
+        expect(model.getCellValue('B1')).toBe('');
+        expect(await model.undoTo(3, adapter)).toBe(-2);
+        expect(model.getCellValue('B1')).toBe(20);
+        expect(adapter.interpreter.evaluations).toEqual(['A1 * 10']);
+    });
+
+    it('should await UNDO, REDO and UNDOTO in scripts', async () => {
+        const functions = createSpreadsheetControlFunctions(model, adapter);
+
+        expect(await functions.UNDO()).toBe(1);
+        expect(model.getCellValue('B1')).toBe(10);
+        expect(await functions.REDO()).toBe(1);
+        expect(model.getCellValue('B1')).toBe(20);
+        expect(await functions.UNDOTO('2')).toBe(1);
+        expect(model.getCellValue('B1')).toBe(10);
+    });
+
+    it('should relink restored formulas without rebuilding the dependency graph', async () => {
+        await model.setCell('C1', '5', adapter);
+        await model.setCell('B1', '=C1 * 10', adapter);
+        const rebuild = jest.spyOn(model, '_rebuildDependents');
+
+        await model.undo(adapter);
+        expect(model.getCellValue('B1')).toBe(20);
+        expect(rebuild).not.toHaveBeenCalled();
+
+        adapter.interpreter.evaluations.length = 0;
+        await model.setCell('C1', '6', adapter);
+        expect(adapter.interpreter.evaluations).toEqual([]);
+        await model.setCell('A1', '3', adapter);
+        expect(model.getCellValue('B1')).toBe(30);
+    });
+
+    it('should rebuild the dependency graph for structural steps', async () => {
+        model.insertRow(1);
+        const rebuild = jest.spyOn(model, '_rebuildDependents');
+
+        await model.undo(adapter);
+        expect(rebuild).toHaveBeenCalledTimes(1);
+        await model.setCell('A1', '4', adapter);
+        expect(model.getCellValue('B1')).toBe(40);
+    });
+});
+
+describe('History size limit', () => {
+    let model;
+
+    beforeEach(() => {
+        model = new SpreadsheetModel(100, 26);
+        model.maxHistorySize = 2;
+        ['1', '2', '3', '4'].forEach(value => model.setCell('A1', value));
+    });
+
+    it('should count the steps dropped beyond the limit', () => {
+        expect(model.getHistory()).toHaveLength(2);
+        expect(model.getDroppedHistoryCount()).toBe(2);
+        expect(createSpreadsheetControlFunctions(model, null).GETHISTORY().dropped).toBe(2);
+    });
+
+    it('should reset the count when the history is cleared', () => {
+        model.clearHistory();
+        expect(model.getDroppedHistoryCount()).toBe(0);
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for iterative calculation of intentional circular references
+ */
+
+import SpreadsheetModel from '../src/spreadsheet-model.js';
+import { createSpreadsheetControlFunctions } from '../src/spreadsheet-control-functions.js';
+import { createTestAdapter } from './interpreter-helper.js';
+
+describe('Iterative calculation', () => {
+    let model;
+    let evaluator;
+
+    beforeEach(() => {
+        model = new SpreadsheetModel(100, 26);
+        evaluator = createTestAdapter(model);
+    });
+
+    it('should leave cycles as #CIRCULAR! by default', async () => {
+        expect(model.getIterativeCalculation()).toEqual({ enabled: false, maxIterations: 100, maxChange: 0.001 });
+
+        await model.setCell('A1', '=B1 / 2 + 10', evaluator);
+        await model.setCell('B1', '=A1 / 2', evaluator);
+
+        expect(model.getCellValue('A1')).toBe('#CIRCULAR!');
+    });
+
+    it('should solve a converging cycle and its dependents', async () => {
+        await model.setIterativeCalculation({ enabled: true, maxChange: 0.000001 });
+
+        await model.setCell('A1', '=B1 / 2 + 10', evaluator);
+        await model.setCell('B1', '=A1 / 2', evaluator);
+        await model.setCell('C1', '=A1 + B1', evaluator);
+
+        expect(model.getCellValue('A1')).toBeCloseTo(40 / 3, 4);
+        expect(model.getCellValue('B1')).toBeCloseTo(20 / 3, 4);
+        expect(model.getCellValue('C1')).toBeCloseTo(20, 4);
+        expect(model.getCell('A1').error).toBeNull();
+    });
+
+    it('should solve existing cycles when iteration is switched on', async () => {
+        await model.setCell('A1', '=B1 / 2 + 10', evaluator);
+        await model.setCell('B1', '=A1 / 2', evaluator);
+
+        await model.setIterativeCalculation({ enabled: true }, evaluator);
+
+        expect(model.getCellValue('A1')).toBeCloseTo(40 / 3, 2);
+    });
+
+    it('should report a cycle that does not settle as #CONVERGE!', async () => {
+        await model.setIterativeCalculation({ enabled: true, maxIterations: 20 });
+
+        await model.setCell('A1', '=A1 + 1', evaluator);
+
+        expect(model.getCellValue('A1')).toBe('#CONVERGE!');
+        expect(model.getCell('A1').error).toBe('Did not converge within 20 iterations');
+    });
+
+    it('should stop as soon as values change by no more than the maximum change', async () => {
+        await model.setIterativeCalculation({ enabled: true, maxChange: 5 });
+
+        await model.setCell('A1', '=A1 + 1', evaluator);
+
+        expect(model.getCellValue('A1')).toBe(1);
+    });
+
+    it('should reject invalid limits', () => {
+        expect(() => model.setIterativeCalculation({ maxIterations: 0 }))
+            .toThrow('Maximum iterations must be a positive integer, got 0');
+        expect(() => model.setIterativeCalculation({ maxChange: -1 }))
+            .toThrow('Maximum change must be a non-negative number, got -1');
+    });
+
+    it('should undo a settings change', () => {
+        model.setIterativeCalculation({ enabled: true, maxIterations: 10 });
+
+        model.undo();
+
+        expect(model.getIterativeCalculation().enabled).toBe(false);
+        expect(model.getIterativeCalculation().maxIterations).toBe(100);
+    });
+
+    it('should save the settings in JSON and default them when absent', () => {
+        model.setIterativeCalculation({ enabled: true, maxIterations: 50, maxChange: 0.01 });
+
+        const restored = new SpreadsheetModel(100, 26);
+        restored.fromJSON(JSON.parse(JSON.stringify(model.toJSON())));
+        expect(restored.getIterativeCalculation()).toEqual({ enabled: true, maxIterations: 50, maxChange: 0.01 });
+
+        restored.fromJSON({ version: 2, sheetOrder: ['Sheet1'], sheets: { Sheet1: { cells: {} } } });
+        expect(restored.getIterativeCalculation().enabled).toBe(false);
+    });
+
+    describe('Control functions', () => {
+        let functions;
+
+        beforeEach(() => {
+            functions = createSpreadsheetControlFunctions(model, evaluator);
+        });
+
+        it('should set and report the settings', async () => {
+            await functions.SETITERATION(1, 250, 0.0001);
+
+            expect(functions.GETITERATION()).toEqual({ enabled: 1, maxIterations: 250, maxChange: 0.0001 });
+
+            await functions.SETITERATION(0);
+            expect(functions.GETITERATION()).toEqual({ enabled: 0, maxIterations: 250, maxChange: 0.0001 });
+        });
+
+        it('should be listed', () => {
+            const commands = Object.values(functions.LISTCOMMANDS());
+
+            expect(commands).toContain('SETITERATION');
+            expect(commands).toContain('GETITERATION');
+        });
+    });
+});
@@ -0,0 +1,191 @@
+/**
+ * Tests for lookup functions: VLOOKUP, HLOOKUP, XLOOKUP, INDEX, MATCH and
+ * OFFSET over ranges, named ranges and tables, and recalculation of the
+ * formulas that use them
+ */
+
+import SpreadsheetModel from '../src/spreadsheet-model.js';
+import SpreadsheetRexxAdapter from '../src/spreadsheet-rexx-adapter.js';
+import { findMatch, wildcardToRegExp, MATCH_MODES, SEARCH_MODES } from '../src/spreadsheet-lookup.js';
+import { createTestAdapter } from './interpreter-helper.js';
+
+function fill(model, topLeft, rows) {
+    const { col, row } = SpreadsheetModel.parseCellRef(topLeft);
+    const startCol = SpreadsheetModel.colLetterToNumber(col);
+    rows.forEach((values, r) => values.forEach((value, c) => {
+        model.setCell(SpreadsheetModel.formatCellRef(startCol + c, row + r), String(value));
+    }));
+}
+
+describe('Lookup matching', () => {
+    it('should find exact, nearest and wildcard matches', () => {
+        const values = [10, 20, 30, 40];
+
+        expect(findMatch(values, 30)).toBe(2);
+        expect(findMatch(values, '30')).toBe(2);
+        expect(findMatch(values, 35)).toBe(-1);
+        expect(findMatch(values, 35, { matchMode: MATCH_MODES.EXACT_OR_SMALLER })).toBe(2);
+        expect(findMatch(values, 35, { matchMode: MATCH_MODES.EXACT_OR_LARGER })).toBe(3);
+        expect(findMatch(values, 5, { matchMode: MATCH_MODES.EXACT_OR_SMALLER })).toBe(-1);
+        expect(findMatch(['apple', 'Banana', 'cherry'], 'banana')).toBe(1);
+        expect(findMatch(['apple', 'Banana', 'cherry'], 'b*', { matchMode: MATCH_MODES.WILDCARD })).toBe(1);
+        expect(wildcardToRegExp('a~*b?').test('a*bc')).toBe(true);
+        expect(wildcardToRegExp('a~*b?').test('axbc')).toBe(false);
+    });
+
+    it('should search from either end or by bisection', () => {
+        expect(findMatch(['x', 'y', 'x'], 'x', { searchMode: SEARCH_MODES.LAST_TO_FIRST })).toBe(2);
+        expect(findMatch([1, 3, 5, 7, 9], 6, {
+            matchMode: MATCH_MODES.EXACT_OR_SMALLER, searchMode: SEARCH_MODES.BINARY_ASCENDING
+        })).toBe(2);
+        expect(findMatch([9, 7, 5, 3, 1], 6, {
+            matchMode: MATCH_MODES.EXACT_OR_LARGER, searchMode: SEARCH_MODES.BINARY_DESCENDING
+        })).toBe(1);
+        expect(findMatch([9, 7, 5, 3, 1], 3, { searchMode: SEARCH_MODES.BINARY_DESCENDING })).toBe(3);
+        expect(() => findMatch([1], 1, { matchMode: 3 })).toThrow('Match mode must be 0, -1, 1 or 2, got 3');
+        expect(() => findMatch([1], 1, { searchMode: 0 })).toThrow('Search mode must be 1, -1, 2 or -2, got 0');
+    });
+});
+
+describe('Lookup functions', () => {
+    let model;
+    let functions;
+
+    beforeEach(() => {
+        model = new SpreadsheetModel(100, 26);
+        functions = new SpreadsheetRexxAdapter(model).getSpreadsheetFunctions();
+        fill(model, 'A1', [
+            ['Id', 'Product', 'Price'],
+            [101, 'Widget', 2.5],
+            [102, 'Gadget', 10],
+            [105, 'Gizmo', 7.25],
+            [110, 'Doohickey', 1]
+        ]);
+    });
+
+    it('should look up vertically and horizontally', () => {
+        expect(functions.VLOOKUP(102, 'A2:C5', 2, 0)).toBe('Gadget');
+        expect(functions.VLOOKUP(104, 'A2:C5', 3)).toBe(10);
+        expect(functions.VLOOKUP(100, 'A2:C5', 3)).toBe('#N/A');
+        expect(functions.VLOOKUP(104, 'A2:C5', 3, 'FALSE')).toBe('#N/A');
+        expect(functions.VLOOKUP('giz*', 'B2:C5', 2, 0)).toBe(7.25);
+        expect(functions.VLOOKUP(102, 'A2:C5', 4, 0)).toBe('#REF!');
+        expect(functions.VLOOKUP(102, 'A2:C5', 0, 0)).toBe('#VALUE!');
+        expect(functions.VLOOKUP('#N/A', 'A2:C5', 2, 0)).toBe('#N/A');
+
+        expect(functions.HLOOKUP('Price', 'A1:C5', 3, 0)).toBe(10);
+        expect(functions.HLOOKUP('Cost', 'A1:C5', 3, 0)).toBe('#N/A');
+    });
+
+    it('should find with XLOOKUP match and search modes', () => {
+        fill(model, 'E1', [[101], [102], [102], [110]]);
+        fill(model, 'F1', [['a'], ['b'], ['c'], ['d']]);
+
+        expect(functions.XLOOKUP(102, 'E1:E4', 'F1:F4')).toBe('b');
+        expect(functions.XLOOKUP(102, 'E1:E4', 'F1:F4', undefined, 0, -1)).toBe('c');
+        expect(functions.XLOOKUP(103, 'E1:E4', 'F1:F4')).toBe('#N/A');
+        expect(functions.XLOOKUP(103, 'E1:E4', 'F1:F4', 'none')).toBe('none');
+        expect(functions.XLOOKUP(103, 'E1:E4', 'F1:F4', undefined, -1)).toBe('b');
+        expect(functions.XLOOKUP(103, 'E1:E4', 'F1:F4', undefined, 1)).toBe('d');
+        expect(functions.XLOOKUP(108, 'E1:E4', 'F1:F4', undefined, -1, 2)).toBe('c');
+        expect(functions.XLOOKUP('G?dget', 'B2:B5', 'A2:A5', undefined, 2)).toBe(102);
+        expect(functions.XLOOKUP(105, 'A2:A5', 'B2:C5')).toEqual(['Gizmo', 7.25]);
+        expect(functions.XLOOKUP('Price', 'A1:C1', 'A4:C4')).toBe(7.25);
+
+        expect(functions.XLOOKUP(102, 'E1:E4', 'F1:F3')).toBe('#VALUE!');
+        expect(functions.XLOOKUP(102, 'E1:E4', 'F1:F4', undefined, 5)).toBe('#VALUE!');
+    });
+
+    it('should index and match', () => {
+        expect(functions.INDEX('A2:C5', 3, 2)).toBe('Gizmo');
+        expect(functions.INDEX('B2:B5', 4)).toBe('Doohickey');
+        expect(functions.INDEX('A1:C1', 3)).toBe('Price');
+        expect(functions.INDEX('A2:C5', 2, 0)).toEqual([102, 'Gadget', 10]);
+        expect(functions.INDEX('A2:C5', 0, 1)).toEqual([101, 102, 105, 110]);
+        expect(functions.INDEX('A2:C5', 5, 1)).toBe('#REF!');
+        expect(functions.INDEX('A2:C5', 2)).toBe('#REF!');
+
+        expect(functions.MATCH('gizmo', 'B2:B5', 0)).toBe(3);
+        expect(functions.MATCH(107, 'A2:A5')).toBe(3);
+        expect(functions.MATCH(100, 'A2:A5')).toBe('#N/A');
+        expect(functions.MATCH('Price', 'A1:C1', 0)).toBe(3);
+        fill(model, 'E1', [[50], [40], [30], [20]]);
+        expect(functions.MATCH(35, 'E1:E4', -1)).toBe(2);
+        expect(functions.INDEX('B2:B5', functions.MATCH(110, 'A2:A5', 0))).toBe('Doohickey');
+    });
+
+    it('should offset and resize references', () => {
+        expect(functions.OFFSET('A1', 2, 1)).toBe('B3');
+        expect(functions.OFFSET('A1:B2', 1, 1)).toBe('B2:C3');
+        expect(functions.OFFSET('A1', 1, 0, 4)).toBe('A2:A5');
+        expect(functions.OFFSET('$A$1', 0, 2, 1, 1)).toBe('C1');
+        expect(functions.OFFSET('Sheet1.A1', 1, 1)).toBe('Sheet1.B2');
+        expect(functions.SUM_RANGE(functions.OFFSET('C1', 1, 0, 4))).toBe(20.75);
+        expect(functions.OFFSET('A1', -1, 0)).toBe('#REF!');
+        expect(functions.OFFSET('A1', 0, 0, 0)).toBe('#VALUE!');
+        expect(functions.OFFSET('nowhere', 0, 0)).toBe('#REF!');
+    });
+
+    it('should target named ranges, tables and table columns', () => {
+        model.defineNamedRange('Products', 'A2:C5');
+        model.setTableMetadata('Catalog', {
+            range: 'A1:C5',
+            columns: { Id: 'A', Product: 'B', Price: 'C' }
+        });
+        fill(model, 'E1', [['Item', 'Qty'], ['Widget', 4], ['Gizmo', 0]]);
+        model.defineTable('Stock', 'E1:F3');
+
+        expect(functions.VLOOKUP(105, 'Products', 2, 0)).toBe('Gizmo');
+        expect(functions.VLOOKUP(105, 'Catalog', 3, 0)).toBe(7.25);
+        expect(functions.MATCH(101, 'Catalog[Id]', 0)).toBe(1);
+        expect(functions.XLOOKUP('gadget', 'Catalog[product]', 'Catalog[Price]')).toBe(10);
+        expect(functions.XLOOKUP('Gizmo', 'Stock[Item]', 'Stock[Qty]')).toBe(0);
+        expect(functions.XLOOKUP('Gizmo', 'Stock[Item]', 'Stock[Price]')).toBe('#REF!');
+        expect(functions.OFFSET('Products', 0, 2, 1, 1)).toBe('C2');
+    });
+});
+
+describe('Lookup recalculation', () => {
+    let model;
+    let interpreter;
+
+    beforeEach(() => {
+        model = new SpreadsheetModel(100, 26);
+        interpreter = createTestAdapter(model);
+        fill(model, 'A1', [['Id', 'Price'], [1, 10], [2, 20], [3, 30]]);
+    });
+
+    it('should depend on table columns and named ranges', async () => {
+        model.setTableMetadata('Prices', { range: 'A1:B4', columns: { Id: 'A', Price: 'B' } });
+        model.defineNamedRange('Ids', 'A2:A4');
+
+        expect(model.extractRangeReferences('XLOOKUP(2, "Prices[Id]", \'Prices[Price]\')')).toEqual(['Prices']);
+
+        await model.setCell('D1', '=XLOOKUP(2, "Prices[Id]", "Prices[Price]")', interpreter);
+        await model.setCell('D2', '=MATCH(3, "Ids", 0)', interpreter);
+        expect(model.getCellValue('D1')).toBe(20);
+        expect(model.getCellValue('D2')).toBe(3);
+
+        await model.setCell('B3', '25', interpreter);
+        await model.setCell('A4', '9', interpreter);
+        expect(model.getCellValue('D1')).toBe(25);
+        expect(model.getCell('D2').errorType).toBe('#N/A');
+    });
+
+    it('should follow the cells an OFFSET points at', async () => {
+        await model.setCell('D1', '1', interpreter);
+        await model.setCell('D2', '=CELL(OFFSET("B1", D1, 0))', interpreter);
+        expect(model.getCellValue('D2')).toBe(10);
+        expect(model.getDependents('B2')).toEqual(['D2']);
+
+        await model.setCell('B2', '15', interpreter);
+        expect(model.getCellValue('D2')).toBe(15);
+
+        await model.setCell('D1', '3', interpreter);
+        expect(model.getCellValue('D2')).toBe(30);
+        expect(model.getDependents('B2')).toEqual([]);
+
+        await model.setCell('B4', '35', interpreter);
+        expect(model.getCellValue('D2')).toBe(35);
+    });
+});
@@ -553,7 +553,7 @@ describe('SpreadsheetModel', () => {
                 expect(cell.expression).toBe('A1 + A3 + A4');
             });
 
-            it('should not adjust absolute row references when inserting row', () => {
+            it('should move absolute row references when inserting row', () => {
                 model.setCell('A1', '10');
                 model.setCell('A2', '20');
                 model.setCell('A3', '=A1 + A$2');
@@ -561,8 +561,8 @@ describe('SpreadsheetModel', () => {
                 model.insertRow(2);
 
                 const cell = model.getCell('A4');
-                // A$2 should stay as A$2 because it's absolute
-                expect(cell.expression).toBe('A1 + A$2');
+                // $ only matters when copying: A$2 follows its cell to row 3
+                expect(cell.expression).toBe('A1 + A$3');
             });
         });
 
@@ -607,7 +607,7 @@ describe('SpreadsheetModel', () => {
                 expect(cell.expression).toBe('SUM_RANGE("A1:A3")');
             });
 
-            it('should not adjust absolute row references when deleting row', () => {
+            it('should move absolute row references when deleting row', () => {
                 model.setCell('A1', '10');
                 model.setCell('A2', '20');
                 model.setCell('A3', '30');
@@ -616,8 +616,77 @@ describe('SpreadsheetModel', () => {
                 model.deleteRow(2);
 
                 const cell = model.getCell('A3');
-                // A$3 should stay as A$3 because it's absolute
-                expect(cell.expression).toBe('A1 + A$3');
+                // $ only matters when copying: A$3 follows its cell to row 2
+                expect(cell.expression).toBe('A1 + A$2');
+            });
+
+            it('should shrink a range when a row inside it is deleted', () => {
+                model.setCell('B1', '=SUM_RANGE("A1:A10")');
+
+                model.deleteRow(5);
+
+                expect(model.getCell('B1').expression).toBe('SUM_RANGE("A1:A9")');
+            });
+
+            it('should shrink a range when its first or last row is deleted', () => {
+                model.setCell('B1', '=SUM_RANGE("A2:A6") + SUM_RANGE("A8:A12")');
+
+                model.deleteRow(2);
+
+                expect(model.getCell('B1').expression).toBe('SUM_RANGE("A2:A5") + SUM_RANGE("A7:A11")');
+
+                model.deleteRow(11);
+
+                expect(model.getCell('B1').expression).toBe('SUM_RANGE("A2:A5") + SUM_RANGE("A7:A10")');
+            });
+
+            it('should mark a range as #REF! when all of its rows are deleted', () => {
+                model.setCell('B1', '=SUM_RANGE("A3:C3")');
+
+                model.deleteRow(3);
+
+                expect(model.getCell('B1').expression).toBe('SUM_RANGE("#REF!")');
+            });
+
+            it('should leave function names that look like cell references alone', () => {
+                model.setCell('A5', '100');
+                model.setCell('B1', '=LOG10(A5)');
+
+                model.deleteRow(2);
+
+                expect(model.getCell('B1').expression).toBe('LOG10(A4)');
+            });
+
+            it('should restore the original expression on undo', () => {
+                model.setCell('A1', '10');
+                model.setCell('A2', '20');
+                model.setCell('A3', '=A1 + A2 + SUM_RANGE("A1:A2")');
+
+                model.deleteRow(2);
+                expect(model.getCell('A2').expression).toBe('A1 + #REF! + SUM_RANGE("A1:A1")');
+
+                model.undo();
+
+                expect(model.getCell('A3').expression).toBe('A1 + A2 + SUM_RANGE("A1:A2")');
+                expect(model.getCellValue('A2')).toBe('20');
+                expect(model.getDependents('A2')).toContain('A3');
+            });
+
+            it('should adjust references from other sheets and restore them on undo', () => {
+                model.addSheet('Summary');
+                model.setActiveSheet('Summary');
+                model.setCell('A1', '=Sheet1.A5 + Sheet1_A2 + SUM_RANGE("Sheet1.A1:A9") + A5');
+                model.setActiveSheet('Sheet1');
+
+                model.deleteRow(2);
+
+                const summary = model.sheets.get('Summary').cells.get('A1');
+                expect(summary.expression).toBe('Sheet1.A4 + #REF! + SUM_RANGE("Sheet1.A1:A8") + A5');
+
+                model.undo();
+
+                expect(model.sheets.get('Summary').cells.get('A1').expression)
+                    .toBe('Sheet1.A5 + Sheet1_A2 + SUM_RANGE("Sheet1.A1:A9") + A5');
             });
         });
 
@@ -719,6 +788,34 @@ describe('SpreadsheetModel', () => {
                 // $A1 should stay as $A1 because it's absolute
                 expect(cell.expression).toBe('$A1 + B1');
             });
+
+            it('should shrink a range when a column inside it is deleted', () => {
+                model.setCell('A2', '=SUM_RANGE("A1:J1")');
+
+                model.deleteColumn('E');
+
+                expect(model.getCell('A2').expression).toBe('SUM_RANGE("A1:I1")');
+            });
+
+            it('should mark a range as #REF! when all of its columns are deleted', () => {
+                model.setCell('A2', '=SUM_RANGE("C1:C10")');
+
+                model.deleteColumn('C');
+
+                expect(model.getCell('A2').expression).toBe('SUM_RANGE("#REF!")');
+            });
+
+            it('should restore the original expression on undo', () => {
+                model.setCell('D1', '=B1 * 2');
+
+                model.deleteColumn('B');
+                expect(model.getCell('C1').expression).toBe('#REF! * 2');
+
+                model.undo();
+
+                expect(model.getCell('D1').expression).toBe('B1 * 2');
+                expect(model.getCell('C1').expression).toBeNull();
+            });
         });
 
         describe('Complex formula adjustment scenarios', () => {
@@ -731,8 +828,8 @@ describe('SpreadsheetModel', () => {
                 model.insertRow(2);
 
                 const cell = model.getCell('A5');
-                // A1 becomes A1, $A$2 stays $A$2, A3 becomes A4
-                expect(cell.expression).toBe('A1 + $A$2 + A4');
+                // A1 stays A1, $A$2 becomes $A$3, A3 becomes A4
+                expect(cell.expression).toBe('A1 + $A$3 + A4');
             });
 
             it('should handle formulas with functions and complex expressions', () => {
@@ -811,24 +908,20 @@ describe('SpreadsheetModel', () => {
                 expect(model.getCellValue('B2')).toBe('200');
             });
 
-            it('should handle mixed success and errors', async () => {
+            it('should roll back the whole batch when an update fails', async () => {
                 const updates = [
                     { address: 'A1', value: '100' },
                     { address: 'INVALID', value: '200' },  // Invalid address
                     { address: 'C3', value: '300' }
                 ];
 
-                const result = await controlFunctions.BATCH_SET_CELLS(updates);
-                const resultObj = JSON.parse(result);
+                await expect(controlFunctions.BATCH_SET_CELLS(updates))
+                    .rejects.toThrow('BATCH_SET_CELLS failed for 1 of 3 cells, no cells were changed (INVALID: Invalid cell reference format: INVALID)');
 
-                expect(resultObj.total).toBe(3);
-                expect(resultObj.success).toBe(2); // A1 and C3 succeeded
-                expect(resultObj.errors).toBe(1);
-                expect(resultObj.errorDetails).toBeDefined();
-                expect(resultObj.errorDetails.length).toBe(1);
-
-                expect(model.getCellValue('A1')).toBe('100');
-                expect(model.getCellValue('C3')).toBe('300');
+                // A1 and C3 succeeded but are not kept
+                expect(model.getCellValue('A1')).toBe('');
+                expect(model.getCellValue('C3')).toBe('');
+                expect(model.canUndo()).toBe(false);
             });
 
             it('should validate update structure', async () => {
@@ -884,25 +977,20 @@ describe('SpreadsheetModel', () => {
                 expect(results[1].success).toBe(true);
             });
 
-            it('should handle mixed command successes and failures', async () => {
+            it('should roll back the whole batch when a command fails', async () => {
                 const commands = [
                     { command: 'SETCELL', args: ['A1', '100'] },
                     { command: 'INVALID_COMMAND', args: [] },
                     { command: 'SETCELL', args: ['A2', '200'] }
                 ];
 
-                const result = await controlFunctions.BATCH_EXECUTE(commands);
-                const results = JSON.parse(result);
-
-                expect(results.length).toBe(3);
-                expect(results[0].success).toBe(true);
-                expect(results[1].success).toBe(false);
-                expect(results[1].error).toContain('Unknown command');
-                expect(results[2].success).toBe(true);
+                await expect(controlFunctions.BATCH_EXECUTE(commands))
+                    .rejects.toThrow('BATCH_EXECUTE failed for 1 of 3 commands, no changes were kept (#2: Unknown command: INVALID_COMMAND)');
 
-                // First and third commands should have succeeded
-                expect(model.getCellValue('A1')).toBe('100');
-                expect(model.getCellValue('A2')).toBe('200');
+                // First and third commands succeeded but are not kept
+                expect(model.getCellValue('A1')).toBe('');
+                expect(model.getCellValue('A2')).toBe('');
+                expect(model.canUndo()).toBe(false);
             });
 
             it('should validate command structure', async () => {
@@ -910,11 +998,8 @@ describe('SpreadsheetModel', () => {
                     { args: ['A1', '100'] }  // Missing command field
                 ];
 
-                const result = await controlFunctions.BATCH_EXECUTE(commands);
-                const results = JSON.parse(result);
-
-                expect(results[0].success).toBe(false);
-                expect(results[0].error).toContain('command');
+                await expect(controlFunctions.BATCH_EXECUTE(commands))
+                    .rejects.toThrow('Command must have a "command" field');
             });
 
             it('should include command results in response', async () => {
@@ -365,9 +365,10 @@ describe('SpreadsheetModel - New Features', () => {
             model.defineNamedRange('MyData', 'A1:A3');
             model.setCell('B1', '=SUM_RANGE("MyData")');
 
-            // The expression should have resolved MyData to A1:A3
+            // The name is kept, and resolved each time the formula is evaluated
             const cell = model.getCell('B1');
-            expect(cell.expression).toContain('A1:A3');
+            expect(cell.expression).toBe('SUM_RANGE("MyData")');
+            expect(cell.rangeDependencies).toEqual(['MyData']);
         });
 
         it('should handle multiple named ranges in one expression', () => {
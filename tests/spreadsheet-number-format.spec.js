@@ -0,0 +1,120 @@
+/**
+ * Tests for Excel number format codes: sections, colours and conditions,
+ * digit placeholders, scaling, scientific notation, fractions, dates and
+ * times, and their use in cell styles and control functions
+ */
+
+import SpreadsheetModel from '../src/spreadsheet-model.js';
+import SpreadsheetRexxAdapter from '../src/spreadsheet-rexx-adapter.js';
+import { createSpreadsheetControlFunctions } from '../src/spreadsheet-control-functions.js';
+import { formatValue, parseNumberFormat, isDateFormat } from '../src/spreadsheet-number-format.js';
+import { parseFormatString, formatStyle, formatNumberWithColor } from '../src/spreadsheet-cell-style.js';
+
+const text = (value, code) => formatValue(value, code).text;
+
+describe('Number format codes', () => {
+    it('should pick the section by sign and colour it', () => {
+        const accounting = '#,##0.00;[Red](#,##0.00);"-"';
+
+        expect(formatValue(1234.5, accounting)).toEqual({ text: '1,234.50', color: null });
+        expect(formatValue(-1234.5, accounting)).toEqual({ text: '(1,234.50)', color: 'red' });
+        expect(text(0, accounting)).toBe('-');
+        expect(text(-12.5, '$#,##0.00')).toBe('-$12.50');
+        expect(text(7, '0_);(0)')).toBe('7 ');
+    });
+
+    it('should pick the section by condition', () => {
+        const scaled = '[>=1000000]0.0,,"M";[>=1000]0.0,"K";0';
+
+        expect(text(2500000, scaled)).toBe('2.5M');
+        expect(text(12345, scaled)).toBe('12.3K');
+        expect(text(999, scaled)).toBe('999');
+        expect(formatValue(50, '[Blue][<=100]0;[Red][>100]0').color).toBe('blue');
+    });
+
+    it('should fill digit placeholders, group thousands and scale', () => {
+        expect(text(1234567, '#,##0')).toBe('1,234,567');
+        expect(text(0, '#,##0')).toBe('0');
+        expect(text(1234567, '#,##0,"K"')).toBe('1,235K');
+        expect(text(1.005, '0.00')).toBe('1.01');
+        expect(text(5.25, '0.0#')).toBe('5.25');
+        expect(text(5.2, '0.0#')).toBe('5.2');
+        expect(text(1.5, '0.0?')).toBe('1.5 ');
+        expect(text(5551234567, '(###) ###-####')).toBe('(555) 123-4567');
+        expect(text(0.1234, '0.0%')).toBe('12.3%');
+        expect(text(-0.001, '0.00')).toBe('0.00');
+    });
+
+    it('should show scientific notation and fractions', () => {
+        expect(text(12345.678, '0.00E+00')).toBe('1.23E+04');
+        expect(text(0.000123, '0.00E+00')).toBe('1.23E-04');
+        expect(text(12345, '##0.0E+0')).toBe('12.3E+3');
+
+        expect(text(3.75, '# ?/?')).toBe('3 3/4');
+        expect(text(2.6, '# ?/8')).toBe('2 5/8');
+        expect(text(0.333, '# ??/??')).toBe('  1/3 ');
+        expect(text(1.75, '?/?')).toBe('7/4');
+        expect(text(3, '# ?/?')).toBe('3    ');
+    });
+
+    it('should show dates and times from serial numbers and ISO strings', () => {
+        expect(text(45306.5, 'yyyy-mm-dd hh:mm')).toBe('2024-01-15 12:00');
+        expect(text(45306.75, 'd mmm yy h:mm AM/PM')).toBe('15 Jan 24 6:00 PM');
+        expect(text(45306, 'dddd, mmmm d')).toBe('Monday, January 15');
+        expect(text('2024-01-15', 'mm/dd/yyyy')).toBe('01/15/2024');
+        expect(text(1.5, '[h]:mm:ss')).toBe('36:00:00');
+        expect(text(0.5000123, 'hh:mm:ss.00')).toBe('12:00:01.06');
+        expect(isDateFormat('yyyy-mm-dd')).toBe(true);
+        expect(isDateFormat('#,##0')).toBe(false);
+    });
+
+    it('should show literal text, text values and General', () => {
+        expect(text(12.3, '"Total: "0.0')).toBe('Total: 12.3');
+        expect(text(12.5, '[$€-407]#,##0.00')).toBe('€12.50');
+        expect(text('abc', '0;-0;0;"Note: "@')).toBe('Note: abc');
+        expect(text('abc', '0.00')).toBe('abc');
+        expect(text(3.5, 'General')).toBe('3.5');
+        expect(text(123456789012, '')).toBe('1.23457E+11');
+    });
+
+    it('should reject malformed codes', () => {
+        expect(() => parseNumberFormat('0;0;0;@;0')).toThrow('A number format has at most 4 sections, got 5');
+        expect(() => parseNumberFormat('0.00 "units')).toThrow('Unclosed " in number format');
+        expect(() => parseNumberFormat('[Purple]0')).toThrow('Unknown [Purple] in number format');
+    });
+});
+
+describe('Format codes in cell styles', () => {
+    it('should keep a code with sections whole inside a format string', () => {
+        const style = parseFormatString('bold;number:{#,##0.00;[Red](#,##0.00)}');
+
+        expect(style.numberFormat).toBe('number:#,##0.00;[Red](#,##0.00)');
+        expect(formatStyle(style)).toBe('bold;number:{#,##0.00;[Red](#,##0.00)}');
+        expect(formatNumberWithColor(-5, style.numberFormat)).toEqual({ text: '(5.00)', color: 'red' });
+        expect(() => parseFormatString('number:[Purple]0')).toThrow('Unknown [Purple] in number format');
+    });
+
+    describe('Control functions', () => {
+        let model;
+        let functions;
+
+        beforeEach(() => {
+            model = new SpreadsheetModel(100, 26);
+            functions = createSpreadsheetControlFunctions(model, new SpreadsheetRexxAdapter(model));
+        });
+
+        it('should format values and cells', async () => {
+            model.setCell('A1', '-1234.5');
+            await functions.SETFORMAT('A1', 'number:{#,##0.00;(#,##0.00)}');
+
+            expect(functions.GETDISPLAYVALUE('A1')).toBe('(1,234.50)');
+            expect(functions.GETDISPLAYVALUE('B1')).toBe('');
+            expect(functions.FORMATVALUE(45306, 'yyyy-mm-dd')).toBe('2024-01-15');
+            expect(() => functions.FORMATVALUE(1)).toThrow('FORMATVALUE requires a value and a format code');
+
+            const commands = Object.values(functions.LISTCOMMANDS());
+            expect(commands).toContain('FORMATVALUE');
+            expect(commands).toContain('GETDISPLAYVALUE');
+        });
+    });
+});
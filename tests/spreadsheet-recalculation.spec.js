@@ -0,0 +1,451 @@
+/**
+ * Recalculation Engine Tests
+ *
+ * Tests for dependency-ordered, awaited recalculation of formula cells.
+ */
+
+import SpreadsheetModel from '../src/spreadsheet-model.js';
+import { createTestAdapter } from './interpreter-helper.js';
+import { createSpreadsheetControlFunctions } from '../src/spreadsheet-control-functions.js';
+
+describe('Recalculation engine', () => {
+    let model;
+    let adapter;
+
+    beforeEach(() => {
+        model = new SpreadsheetModel(100, 26);
+        adapter = createTestAdapter(model, { delay: true });
+    });
+
+    it('should resolve setCell only after the dependency chain settles', async () => {
+        await model.setCell('A1', '1', adapter);
+        await model.setCell('A2', '=A1 + 1', adapter);
+        await model.setCell('A3', '=A2 + 1', adapter);
+        await model.setCell('A4', '=A3 + 1', adapter);
+
+        await model.setCell('A1', '10', adapter);
+
+        expect(model.getCellValue('A2')).toBe(11);
+        expect(model.getCellValue('A3')).toBe(12);
+        expect(model.getCellValue('A4')).toBe(13);
+    });
+
+    it('should evaluate each affected cell exactly once for a diamond', async () => {
+        await model.setCell('A1', '1', adapter);
+        await model.setCell('B1', '=A1 * 2', adapter);
+        await model.setCell('C1', '=A1 * 3', adapter);
+        await model.setCell('D1', '=B1 + C1', adapter);
+
+        adapter.interpreter.evaluations.length = 0;
+        await model.setCell('A1', '2', adapter);
+
+        expect(adapter.interpreter.evaluations).toHaveLength(3);
+        expect(adapter.interpreter.evaluations.filter(e => e === 'B1 + C1')).toHaveLength(1);
+        expect(adapter.interpreter.evaluations[2]).toBe('B1 + C1');
+        expect(model.getCellValue('D1')).toBe(10);
+    });
+
+    it('should evaluate dependencies before dependents regardless of insertion order', async () => {
+        await model.setCell('C1', '=B1 + 1', adapter);
+        await model.setCell('B1', '=A1 + 1', adapter);
+        await model.setCell('A1', '5', adapter);
+
+        expect(model.getCellValue('B1')).toBe(6);
+        expect(model.getCellValue('C1')).toBe(7);
+    });
+
+    it('should store values synchronously before recalculation completes', () => {
+        const pending = model.setCell('A1', '42', adapter);
+        expect(model.getCellValue('A1')).toBe('42');
+        return pending;
+    });
+
+    it('should mark reference cycles as circular', async () => {
+        await model.setCell('A1', '=B1 + 1', adapter);
+        await model.setCell('B1', '=A1 + 1', adapter);
+
+        expect(model.getCellValue('A1')).toBe('#CIRCULAR!');
+        expect(model.getCellValue('B1')).toBe('#CIRCULAR!');
+        expect(model.getCell('A1').error).toBe('Circular reference');
+    });
+
+    it('should mark self references as circular', async () => {
+        await model.setCell('A1', '=A1 + 1', adapter);
+
+        expect(model.getCellValue('A1')).toBe('#CIRCULAR!');
+    });
+
+    it('should recalculate dependents when a cell is cleared', async () => {
+        await model.setCell('A1', '5', adapter);
+        await model.setCell('A2', '=A1 * 2', adapter);
+
+        await model.setCell('A1', '', adapter);
+
+        expect(model.getCellValue('A2')).toBe(0);
+    });
+
+    it('should coalesce concurrent edits into one settled chain', async () => {
+        await model.setCell('A2', '=A1 + B1', adapter);
+
+        const first = model.setCell('A1', '1', adapter);
+        const second = model.setCell('B1', '2', adapter);
+        await Promise.all([first, second]);
+
+        expect(model.getCellValue('A2')).toBe(3);
+    });
+
+    it('should settle each awaited edit made while another pass is running', async () => {
+        await model.setCell('A1', '=B1 * 10', adapter);
+
+        model.setCell('B1', '1', adapter);
+        await model.setCell('A2', '=A1 * 2', adapter);
+        expect(model.getCellValue('A2')).toBe(20);
+
+        const first = model.setCell('B1', '2', adapter);
+        const second = model.setCell('A3', '=A2 + 1', adapter);
+        await second;
+        expect(model.getCellValue('A3')).toBe(41);
+        await first;
+        expect(model.getCellValue('A2')).toBe(40);
+    });
+
+    it('should settle a formula entered while another formula is being evaluated', async () => {
+        let release;
+        const slow = createTestAdapter(model, {
+            functions: { SLOW: (value) => new Promise(resolve => { release = () => resolve(value); }) }
+        });
+        await model.setCell('A1', '1', slow);
+        const pending = model.setCell('B1', '=SLOW(A1)', slow);
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        const entered = model.setCell('C1', '=A1 + 1', slow);
+        release();
+        await entered;
+
+        expect(model.getCellValue('C1')).toBe(2);
+        await pending;
+        expect(model.getCellValue('B1')).toBe(1);
+    });
+
+    it('should let a formula edit cells without waiting for its own pass', async () => {
+        adapter.interpreter.builtinFunctions.SETCELL = createSpreadsheetControlFunctions(model, adapter).SETCELL;
+
+        // The target is built at run time so the formula does not depend on it
+        await model.setCell('A1', '=SETCELL("B" + 1, "5")', adapter);
+        await model.setCell('C1', '=B1 * 2', adapter);
+
+        expect(model.getCellValue('B1')).toBe('5');
+        expect(model.getCellValue('C1')).toBe(10);
+    });
+
+    it('should recalculate all formulas in dependency order', async () => {
+        model.setCell('A1', '3');
+        model.setCell('B1', '=A1 * 2');
+        model.setCell('C1', '=B1 + 1');
+
+        await model.recalculateAll(adapter);
+
+        expect(model.getCellValue('B1')).toBe(6);
+        expect(model.getCellValue('C1')).toBe(7);
+    });
+
+    it('should order a long reference chain without running out of stack', async () => {
+        const chained = new SpreadsheetModel(12000, 26);
+        // Entered last cell first, so ordering starts at the end of the chain
+        for (let row = 12000; row >= 2; row--) {
+            chained.setCell(`A${row}`, `=A${row - 1} + 1`);
+        }
+        chained.setCell('A1', '1');
+
+        await chained.recalculateAll(createTestAdapter(chained));
+
+        expect(chained.getCellValue('A12000')).toBe(12000);
+    });
+
+    it('should not evaluate anything without an interpreter', async () => {
+        await model.setCell('A1', '=1 + 1');
+
+        expect(model.getCellValue('A1')).toBe('');
+        expect(model.getCell('A1').dependencies).toEqual([]);
+    });
+
+    describe('Range dependencies', () => {
+        beforeEach(async () => {
+            for (let row = 1; row <= 5; row++) {
+                await model.setCell(`A${row}`, String(row * 10), adapter);
+            }
+        });
+
+        it('should store ranges as range dependencies rather than single cells', async () => {
+            await model.setCell('B1', '=SUM_RANGE("A1:A5")', adapter);
+
+            const cell = model.getCell('B1');
+            expect(cell.rangeDependencies).toEqual(['A1:A5']);
+            expect(cell.dependencies).toEqual([]);
+        });
+
+        it('should extract quoted, bare, absolute and cross-sheet ranges', () => {
+            expect(model.extractRangeReferences('SUM_RANGE("A1:A10") + MAX_RANGE(\'$B$2:$C$4\')'))
+                .toEqual(['A1:A10', 'B2:C4']);
+            expect(model.extractRangeReferences('COUNT_RANGE(Sheet2.A1:B5)')).toEqual(['Sheet2.A1:B5']);
+            expect(model.extractCellReferences('SUM_RANGE("A1:A10") + C1')).toEqual(['C1']);
+        });
+
+        it('should recalculate when a cell inside the range changes', async () => {
+            await model.setCell('B1', '=SUM_RANGE("A1:A5")', adapter);
+            expect(model.getCellValue('B1')).toBe(150);
+
+            await model.setCell('A3', '100', adapter);
+
+            expect(model.getCellValue('B1')).toBe(220);
+        });
+
+        it('should not recalculate when a cell outside the range changes', async () => {
+            await model.setCell('B1', '=SUM_RANGE("A1:A3")', adapter);
+
+            adapter.interpreter.evaluations.length = 0;
+            await model.setCell('A5', '1', adapter);
+
+            expect(adapter.interpreter.evaluations).toEqual([]);
+        });
+
+        it('should order range dependents after formulas inside the range', async () => {
+            await model.setCell('B1', '=SUM_RANGE("A1:A5")', adapter);
+            await model.setCell('A5', '=C1 * 2', adapter);
+
+            await model.setCell('C1', '100', adapter);
+
+            expect(model.getCellValue('A5')).toBe(200);
+            expect(model.getCellValue('B1')).toBe(300);
+        });
+
+        it('should track named ranges referenced by name', async () => {
+            await model.setCell('B1', '=SUM_RANGE("Sales")', adapter);
+            model.defineNamedRange('Sales', 'A1:A2');
+            await model.recalculateAll(adapter);
+            expect(model.getCell('B1').rangeDependencies).toEqual(['Sales']);
+            expect(model.getCellValue('B1')).toBe(30);
+
+            await model.setCell('A2', '50', adapter);
+
+            expect(model.getCellValue('B1')).toBe(60);
+        });
+
+        it('should track table references', async () => {
+            model.defineTable('Orders', 'A1:A5', false);
+            await model.setCell('B1', '=SUM_RANGE("Orders")', adapter);
+            expect(model.getCell('B1').rangeDependencies).toEqual(['Orders']);
+
+            await model.setCell('A5', '0', adapter);
+
+            expect(model.getCellValue('B1')).toBe(100);
+        });
+
+        it('should report range dependents as direct dependents', async () => {
+            await model.setCell('B1', '=SUM_RANGE("A1:A5")', adapter);
+
+            expect(model.getDependents('A4')).toEqual(['B1']);
+            expect(model.getDependents('A6')).toEqual([]);
+        });
+
+        it('should find dependents of ranges spanning several columns', async () => {
+            await model.setCell('B1', '=SUM_RANGE("A1:A3")', adapter);
+            await model.setCell('C1', '=SUM_RANGE("A2:B4")', adapter);
+
+            expect(model.getDependents('A2')).toEqual(['B1', 'C1']);
+            expect(model.getDependents('B3')).toEqual(['C1']);
+            expect(model.getDependents('B5')).toEqual([]);
+            expect(model.getDependents('C3')).toEqual([]);
+
+            await model.setCell('C1', '', adapter);
+
+            expect(model.getDependents('A2')).toEqual(['B1']);
+            expect(model.getDependents('B3')).toEqual([]);
+        });
+
+        it('should follow a named range to its new cells', async () => {
+            await model.setCell('B1', '=SUM_RANGE("Sales")', adapter);
+            model.defineNamedRange('Sales', 'A1:A2');
+            await model.recalculateAll(adapter);
+            expect(model.getDependents('A1')).toEqual(['B1']);
+            model.defineNamedRange('Sales', 'A4:A5');
+            await model.recalculateAll(adapter);
+            expect(model.getCellValue('B1')).toBe(90);
+
+            await model.setCell('A4', '1', adapter);
+
+            expect(model.getCellValue('B1')).toBe(51);
+            expect(model.getDependents('A1')).toEqual([]);
+        });
+
+        it('should recalculate formulas when a named range they use is redefined', async () => {
+            await model.setCell('A1', 'a', adapter);
+            await model.setCell('B1', '1', adapter);
+            await model.setCell('A2', 'b', adapter);
+            await model.setCell('B2', '2', adapter);
+            await model.setCell('D1', 'b', adapter);
+            await model.setCell('E1', '20', adapter);
+            await model.defineNamedRange('Tbl', 'A1:B2', adapter);
+            await model.setCell('C1', '=VLOOKUP("b", "Tbl", 2, 0)', adapter);
+            expect(model.getCell('C1').expression).toBe('VLOOKUP("b", "Tbl", 2, 0)');
+            expect(model.getCellValue('C1')).toBe(2);
+
+            await model.defineNamedRange('Tbl', 'D1:E1', adapter);
+            expect(model.getCellValue('C1')).toBe(20);
+
+            await model.setCell('E1', '30', adapter);
+            expect(model.getCellValue('C1')).toBe(30);
+
+            await model.deleteNamedRange('Tbl', adapter);
+            expect(model.getCell('C1').rangeDependencies).toEqual([]);
+            expect(model.getCellValue('C1')).toBe('#REF!');
+        });
+
+        it('should resolve named ranges used as bare names', async () => {
+            await model.setCell('B2', '0.25', adapter);
+            model.defineNamedRange('Rate', 'B2');
+            model.defineNamedRange('Inputs', 'A1:A3');
+
+            expect(model.extractRangeReferences('Rate * 2 + SUM_RANGE(Inputs)')).toEqual(['Rate', 'Inputs']);
+            expect(model.extractRangeReferences('"Rate" + RATE(1, 2, 3)')).toEqual(['Rate']);
+            expect(adapter.interpreter.variableResolver('Rate')).toBe(0.25);
+            expect(adapter.interpreter.variableResolver('INPUTS')).toBe('A1:A3');
+        });
+
+        it('should detect cycles through ranges', async () => {
+            await model.setCell('A3', '=SUM_RANGE("A1:A5")', adapter);
+
+            expect(model.getCellValue('A3')).toBe('#CIRCULAR!');
+        });
+
+        it('should drop range dependencies when the formula is replaced', async () => {
+            await model.setCell('B1', '=SUM_RANGE("A1:A5")', adapter);
+            await model.setCell('B1', '7', adapter);
+
+            expect(model.rangeDependents.size).toBe(0);
+            expect(model.getDependents('A1')).toEqual([]);
+        });
+    });
+
+    describe('Cross-sheet dependencies', () => {
+        beforeEach(async () => {
+            model.addSheet('Sheet2');
+            model.setActiveSheet('Sheet2');
+            await model.setCell('A1', '5', adapter);
+            await model.setCell('A2', '=A1 + 1', adapter);
+            model.setActiveSheet('Sheet1');
+        });
+
+        it('should normalize Rexx-style sheet references', () => {
+            expect(model.extractCellReferences('Sheet2_A1 + Unknown_B2 + C3'))
+                .toEqual(['Sheet2.A1', 'C3']);
+            expect(model.extractCellReferences('Sheet2.A1 + A1')).toEqual(['Sheet2.A1', 'A1']);
+        });
+
+        it('should recalculate formulas on other sheets when a referenced cell changes', async () => {
+            await model.setCell('B1', '=Sheet2_A1 * 2', adapter);
+            expect(model.getCellValue('B1')).toBe(10);
+
+            model.setActiveSheet('Sheet2');
+            await model.setCell('A1', '7', adapter);
+
+            expect(model.getActiveSheetName()).toBe('Sheet2');
+            expect(model.getCellValue('Sheet1.B1')).toBe(14);
+        });
+
+        it('should leave the active sheet alone while evaluating formulas on another sheet', async () => {
+            model.setActiveSheet('Sheet2');
+            await model.setCell('B1', '=Sheet1_A1 + A1', adapter);
+            model.setActiveSheet('Sheet1');
+
+            const pending = model.setCell('A1', '3', adapter);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            // Sheet2.B1 is waiting on the interpreter; the user carries on typing on Sheet1
+            expect(model.getActiveSheetName()).toBe('Sheet1');
+            const typed = model.setCell('C3', 'typed', adapter);
+            await Promise.all([pending, typed]);
+
+            expect(model.getActiveSheetName()).toBe('Sheet1');
+            expect(model.getCellValue('Sheet1.C3')).toBe('typed');
+            expect(model.getCellValue('Sheet2.C3')).toBe('');
+            expect(model.getCellValue('Sheet2.B1')).toBe(8);
+        });
+
+        it('should resolve named ranges against the formula\'s own sheet', async () => {
+            model.setActiveSheet('Sheet2');
+            model.defineNamedRange('Inputs', 'A1:A2');
+            await model.setCell('B2', '=SUM_RANGE("Inputs") + Sheet1_A1', adapter);
+            model.setActiveSheet('Sheet1');
+            model.defineNamedRange('Inputs', 'D1:D2');
+
+            await model.setCell('A1', '100', adapter);
+
+            expect(model.getCellValue('Sheet2.B2')).toBe(111);
+        });
+
+        it('should order evaluation across sheets', async () => {
+            await model.setCell('B1', '=Sheet2_A2 * 10', adapter);
+
+            model.setActiveSheet('Sheet2');
+            await model.setCell('A1', '1', adapter);
+
+            expect(model.getCellValue('A2')).toBe(2);
+            expect(model.getCellValue('Sheet1.B1')).toBe(20);
+        });
+
+        it('should track cross-sheet ranges', async () => {
+            await model.setCell('B1', '=SUM_RANGE("Sheet2.A1:A2")', adapter);
+            expect(model.getCellValue('B1')).toBe(11);
+
+            model.setActiveSheet('Sheet2');
+            expect(model.getDependents('A1')).toEqual(['A2', 'Sheet1.B1']);
+            await model.setCell('A1', '10', adapter);
+
+            expect(model.getCellValue('Sheet1.B1')).toBe(21);
+        });
+
+        it('should rewrite references when a sheet is renamed', async () => {
+            await model.setCell('B1', '=Sheet2_A1 + SUM_RANGE("Sheet2.A1:A2")', adapter);
+
+            model.renameSheet('Sheet2', 'Budget');
+
+            expect(model.getCellExpression('B1')).toBe('Budget_A1 + SUM_RANGE("Budget.A1:A2")');
+            model.setActiveSheet('Budget');
+            await model.setCell('A1', '100', adapter);
+            expect(model.getCellValue('Sheet1.B1')).toBe(301);
+        });
+
+        it('should invalidate references when a sheet is deleted', async () => {
+            await model.setCell('B1', '=Sheet2_A1 + 1', adapter);
+            await model.setCell('C1', '=B1 + 1', adapter);
+
+            await model.deleteSheet('Sheet2', adapter);
+
+            expect(model.getCellExpression('B1')).toBe('#REF! + 1');
+            expect(model.getCellValue('B1')).toBe('#REF!');
+            expect(model.getCell('B1').error).toBe('Reference to deleted sheet "Sheet2"');
+            expect(model.getDependents('B1')).toEqual(['C1']);
+        });
+
+        it('should invalidate spill and range references to a deleted sheet whole', async () => {
+            await model.setCell('B1', '=SUM_RANGE("Sheet2.A1#") + SUM_RANGE("Sheet2.A1:B2")', adapter);
+
+            await model.deleteSheet('Sheet2', adapter);
+
+            expect(model.getCellExpression('B1')).toBe('SUM_RANGE("#REF!") + SUM_RANGE("#REF!")');
+        });
+
+        it('should link formulas to a sheet added after them', async () => {
+            await model.setCell('B1', '=Later_A1 * 2 + 1', adapter);
+            expect(model.getCellValue('B1')).toBe('#NAME?');
+
+            model.addSheet('Later', adapter);
+            await model.whenRecalculated();
+            expect(model.getCellValue('B1')).toBe(1);
+
+            model.setActiveSheet('Later');
+            await model.setCell('A1', '41', adapter);
+            expect(model.getCellValue('Sheet1.B1')).toBe(83);
+        });
+    });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests for the scenario manager: saved input sets, applying, comparing and
+ * the summary sheet
+ */
+
+import SpreadsheetModel from '../src/spreadsheet-model.js';
+import { createSpreadsheetControlFunctions } from '../src/spreadsheet-control-functions.js';
+import { createTestAdapter } from './interpreter-helper.js';
+
+describe('Scenarios', () => {
+    let model;
+    let evaluator;
+
+    beforeEach(async () => {
+        model = new SpreadsheetModel(100, 26);
+        evaluator = createTestAdapter(model);
+        // Units * price, less costs
+        await model.setCell('B1', '100', evaluator);
+        await model.setCell('B2', '5', evaluator);
+        await model.setCell('B3', '200', evaluator);
+        await model.setCell('B5', '=B1 * B2', evaluator);
+        await model.setCell('B6', '=B5 - B3', evaluator);
+
+        model.addScenario('Best case', { B1: 150, B2: 6 }, 'Strong demand');
+        model.addScenario('Worst case', { b1: '50', B3: '300' });
+    });
+
+    it('should store scenarios with their input values', () => {
+        expect(model.getScenario('Best case')).toEqual({ cells: { B1: '150', B2: '6' }, comment: 'Strong demand' });
+        expect(model.getAllScenarios().map(scenario => scenario.name)).toEqual(['Best case', 'Worst case']);
+    });
+
+    it('should capture the current contents of cells and ranges', () => {
+        model.addScenario('Base', 'B1:B2');
+        model.addScenario('Formula', ['B5']);
+
+        expect(model.getScenario('Base').cells).toEqual({ B1: '100', B2: '5' });
+        expect(model.getScenario('Formula').cells).toEqual({ B5: '=B1 * B2' });
+    });
+
+    it('should apply a scenario and recalculate as one undo step', async () => {
+        const steps = model.undoStack.length;
+
+        await model.applyScenario('Best case', evaluator);
+
+        expect(model.getCellValue('B6')).toBe(700);
+        expect(model.undoStack).toHaveLength(steps + 1);
+
+        await model.undo(evaluator);
+        await model.whenRecalculated();
+        expect(model.getCellValue('B1')).toBe('100');
+        expect(model.getCellValue('B6')).toBe(300);
+    });
+
+    it('should compare scenarios without changing the sheet', async () => {
+        const steps = model.undoStack.length;
+
+        const comparison = await model.compareScenarios('B5,B6', evaluator);
+
+        expect(comparison).toEqual([
+            { name: 'Best case', inputs: { B1: '150', B2: '6', B3: '200' }, results: { B5: 900, B6: 700 } },
+            // B2 keeps its current value rather than Best case's
+            { name: 'Worst case', inputs: { B1: '50', B2: '5', B3: '300' }, results: { B5: 250, B6: -50 } }
+        ]);
+        expect(model.getCellValue('B1')).toBe('100');
+        expect(model.getCellValue('B6')).toBe(300);
+        expect(model.undoStack).toHaveLength(steps);
+    });
+
+    it('should write a summary sheet and replace it when run again', async () => {
+        expect(await model.scenarioSummary(['B5:B6'], evaluator)).toBe('ScenarioSummary');
+
+        expect(model.activeSheetName).toBe('Sheet1');
+        const summary = model.sheets.get('ScenarioSummary').cells;
+        const row = (n, cols = 'ABCD') => cols.split('').map(col => summary.get(`${col}${n}`)?.value ?? '');
+        expect(row(1)).toEqual(['Scenario Summary (Sheet1)', 'Current values', 'Best case', 'Worst case']);
+        expect(row(2)).toEqual(['Changing cells:', '', '', '']);
+        expect(row(3)).toEqual(['B1', '100', '150', '50']);
+        expect(row(6)).toEqual(['Result cells:', '', '', '']);
+        expect(row(7)).toEqual(['B5', '500', '900', '250']);
+        expect(row(8)).toEqual(['B6', '300', '700', '-50']);
+
+        model.deleteScenario('Worst case');
+        await model.scenarioSummary('B6', evaluator);
+        const replaced = model.sheets.get('ScenarioSummary').cells;
+        expect(replaced.has('D1')).toBe(false);
+        expect(replaced.get('A6').value).toBe('B6');
+        expect(replaced.has('A8')).toBe(false);
+    });
+
+    it('should undo a summary in one step', async () => {
+        await model.scenarioSummary('B6', evaluator);
+
+        model.undo();
+
+        expect(model.sheets.has('ScenarioSummary')).toBe(false);
+    });
+
+    it('should move input cells with inserted rows and drop deleted ones', () => {
+        model.insertRow(1);
+        expect(model.getScenario('Best case').cells).toEqual({ B2: '150', B3: '6' });
+
+        model.deleteRow(4);
+        expect(model.getScenario('Worst case').cells).toEqual({ B2: '50' });
+    });
+
+    it('should round-trip through JSON', () => {
+        const restored = new SpreadsheetModel(100, 26);
+        restored.fromJSON(JSON.parse(JSON.stringify(model.toJSON())));
+
+        expect(restored.getAllScenarios()).toEqual(model.getAllScenarios());
+    });
+
+    it('should validate names and cells', async () => {
+        expect(() => model.addScenario('', { B1: 1 })).toThrow('Scenario name is required');
+        expect(() => model.addScenario('Empty', {})).toThrow('Scenario Empty needs at least one input cell');
+        expect(() => model.addScenario('Bad', { 'Sheet2.B1': 1 })).toThrow('Invalid cell reference: SHEET2.B1');
+        expect(() => model.applyScenario('Missing')).toThrow('Scenario not found: Missing');
+        await expect(model.scenarioSummary('B6', evaluator, { sheetName: 'Sheet1' }))
+            .rejects.toThrow('The scenario summary cannot replace the sheet its scenarios are on');
+    });
+
+    describe('Control functions', () => {
+        let functions;
+
+        beforeEach(() => {
+            functions = createSpreadsheetControlFunctions(model, evaluator);
+        });
+
+        it('should add scenarios from assignments or captured cells', () => {
+            functions.ADDSCENARIO('Stretch', 'b1=200', 'B2 = 7');
+            functions.ADDSCENARIO('Base', 'B1:B2', 'B3');
+
+            expect(model.getScenario('Stretch').cells).toEqual({ B1: '200', B2: '7' });
+            expect(model.getScenario('Base').cells).toEqual({ B1: '100', B2: '5', B3: '200' });
+            expect(() => functions.ADDSCENARIO('Mixed', 'B1=1', 'B2'))
+                .toThrow('ADDSCENARIO cannot mix "cell=value" assignments with cell references');
+        });
+
+        it('should apply, compare, summarise and delete scenarios', async () => {
+            await functions.APPLYSCENARIO('Worst case');
+            expect(model.getCellValue('B6')).toBe(-50);
+
+            const comparison = JSON.parse(await functions.COMPARESCENARIOS('B6', 'Best case'));
+            expect(comparison).toEqual([{ name: 'Best case', inputs: { B1: '150', B2: '6' }, results: { B6: 600 } }]);
+
+            expect(await functions.SCENARIOSUMMARY('B6', 'Outlook')).toBe('Outlook');
+            expect(model.sheets.has('Outlook')).toBe(true);
+
+            functions.DELETESCENARIO('Best case');
+            expect(JSON.parse(functions.LISTSCENARIOS()).map(scenario => scenario.name)).toEqual(['Worst case']);
+        });
+
+        it('should be listed', () => {
+            const commands = Object.values(functions.LISTCOMMANDS());
+
+            expect(commands).toContain('ADDSCENARIO');
+            expect(commands).toContain('APPLYSCENARIO');
+            expect(commands).toContain('SCENARIOSUMMARY');
+        });
+    });
+});
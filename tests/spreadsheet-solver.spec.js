@@ -0,0 +1,254 @@
+/**
+ * Tests for Goal Seek and the Solver: the numeric search routines, the model
+ * API and the GOALSEEK/SOLVE control functions
+ */
+
+import SpreadsheetModel from '../src/spreadsheet-model.js';
+import { createSpreadsheetControlFunctions } from '../src/spreadsheet-control-functions.js';
+import { seekGoal, minimize, parseConstraint } from '../src/spreadsheet-solver.js';
+import { createTestAdapter } from './interpreter-helper.js';
+
+describe('Solver routines', () => {
+    it('should find a root with secant steps', async () => {
+        const result = await seekGoal(async x => x * x - 2, 1);
+
+        expect(result.found).toBe(true);
+        expect(result.x).toBeCloseTo(Math.SQRT2, 6);
+    });
+
+    it('should fall back to bisection inside a bracket', async () => {
+        // Secant steps overshoot badly on a steep step-like curve
+        const result = await seekGoal(async x => Math.atan(50 * (x - 3)), 0);
+
+        expect(result.found).toBe(true);
+        expect(result.x).toBeCloseTo(3, 6);
+    });
+
+    it('should report failure when there is no root', async () => {
+        const result = await seekGoal(async x => x * x + 1, 3, { maxIterations: 30 });
+
+        expect(result.found).toBe(false);
+    });
+
+    it('should minimize a function of several variables', async () => {
+        const result = await minimize(async ([x, y]) => (x - 1) ** 2 + (y + 2) ** 2, [0, 0], { maxIterations: 500 });
+
+        expect(result.converged).toBe(true);
+        expect(result.x[0]).toBeCloseTo(1, 3);
+        expect(result.x[1]).toBeCloseTo(-2, 3);
+    });
+
+    it('should parse constraints with number and cell limits', () => {
+        expect(parseConstraint('b4 <= 10')).toEqual({ ref: 'B4', operator: '<=', value: 10 });
+        expect(parseConstraint('B2>=c1')).toEqual({ ref: 'B2', operator: '>=', value: 'C1' });
+        expect(() => parseConstraint('B2 < 3')).toThrow('Constraint must look like "B4 <= 10", got "B2 < 3"');
+    });
+});
+
+describe('Goal Seek', () => {
+    let model;
+    let evaluator;
+
+    beforeEach(async () => {
+        model = new SpreadsheetModel(100, 26);
+        evaluator = createTestAdapter(model);
+        // Price * quantity, less a fixed cost
+        await model.setCell('A1', '10', evaluator);
+        await model.setCell('A2', '5', evaluator);
+        await model.setCell('A3', '=A1 * A2 - 20', evaluator);
+    });
+
+    it('should set the changing cell so the target reaches the value', async () => {
+        const result = await model.goalSeek('A3', 100, 'A2', evaluator);
+
+        expect(result.found).toBe(true);
+        expect(model.getCellValue('A2')).toBe('12');
+        expect(model.getCellValue('A3')).toBe(100);
+    });
+
+    it('should record the answer as one undo step', async () => {
+        const steps = model.undoStack.length;
+
+        await model.goalSeek('A3', 100, 'A2', evaluator);
+
+        expect(model.undoStack).toHaveLength(steps + 1);
+        expect(model.undoStack[steps].action).toBe('Goal Seek A3');
+
+        await model.undo(evaluator);
+        await model.whenRecalculated();
+        expect(model.getCellValue('A2')).toBe('5');
+        expect(model.getCellValue('A3')).toBe(30);
+    });
+
+    it('should restore the changing cell when no value reaches the target', async () => {
+        await model.setCell('A3', '=A2 * A2', evaluator);
+        const steps = model.undoStack.length;
+
+        const result = await model.goalSeek('A3', -4, 'A2', evaluator, { maxIterations: 30 });
+
+        expect(result.found).toBe(false);
+        expect(model.getCellValue('A2')).toBe('5');
+        expect(model.getCellValue('A3')).toBe(25);
+        expect(model.undoStack).toHaveLength(steps);
+    });
+
+    it('should report the answer but not the values tried', async () => {
+        const changes = [];
+        model.on('cellChanged', ({ ref, source }) => changes.push(`${ref} ${source}`));
+
+        await model.goalSeek('A3', 100, 'A2', evaluator);
+
+        expect(changes).toEqual(['A2 edit', 'A3 recalc']);
+    });
+
+    it('should record edits made during the search for undo', async () => {
+        const searching = model.goalSeek('A3', 100, 'A2', createTestAdapter(model, { delay: true }));
+        await new Promise(resolve => setTimeout(resolve, 0));
+        const edit = model.setCell('B1', '=A3 * 2', evaluator);
+        await Promise.all([searching, edit]);
+
+        expect(model.getCellValue('B1')).toBe(200);
+        expect(model.undoStack.map(step => step.action).slice(-2)).toEqual(['setCell B1', 'Goal Seek A3']);
+
+        await model.undo(evaluator);
+        await model.undo(evaluator);
+        await model.whenRecalculated();
+        expect(model.getCellValue('A2')).toBe('5');
+        expect(model.getCellExpression('B1')).toBeNull();
+    });
+
+    it('should insist on a formula target and a value changing cell', async () => {
+        await expect(model.goalSeek('A1', 1, 'A2', evaluator)).rejects.toThrow('Target cell A1 must contain a formula');
+        await expect(model.goalSeek('A3', 1, 'A3', evaluator))
+            .rejects.toThrow('Changing cell A3 must contain a value, not a formula');
+        await expect(model.goalSeek('A3', 'lots', 'A2', evaluator))
+            .rejects.toThrow('Goal Seek target value must be a number, got lots');
+    });
+});
+
+describe('Solver', () => {
+    let model;
+    let evaluator;
+
+    beforeEach(async () => {
+        model = new SpreadsheetModel(100, 26);
+        evaluator = createTestAdapter(model);
+        await model.setCell('B1', '1', evaluator);
+        await model.setCell('B2', '1', evaluator);
+        await model.setCell('B3', '=B1 * B2', evaluator);
+        await model.setCell('B4', '=B1 + B2', evaluator);
+    });
+
+    it('should maximize a target subject to constraints', async () => {
+        const result = await model.solve({
+            target: 'B3',
+            goal: 'max',
+            changing: 'B1:B2',
+            constraints: [
+                { ref: 'B4', operator: '<=', value: 10 },
+                { ref: 'B1', operator: '>=', value: 0 },
+                { ref: 'B2', operator: '>=', value: 0 }
+            ]
+        }, evaluator);
+
+        expect(result.feasible).toBe(true);
+        expect(result.objective).toBeCloseTo(25, 2);
+        expect(Number(model.getCellValue('B1'))).toBeCloseTo(5, 1);
+        expect(Number(model.getCellValue('B2'))).toBeCloseTo(5, 1);
+        expect(model.getCellValue('B4')).toBeLessThanOrEqual(10 + 1e-6);
+    });
+
+    it('should minimize and accept cell references as constraint limits', async () => {
+        await model.setCell('C1', '3', evaluator);
+        await model.setCell('B3', '=(B1 - 2) * (B1 - 2) + (B2 - 4) * (B2 - 4)', evaluator);
+
+        const result = await model.solve({
+            target: 'B3',
+            goal: 'min',
+            changing: 'B1:B2',
+            constraints: [{ ref: 'B2', operator: '<=', value: 'C1' }]
+        }, evaluator);
+
+        expect(result.feasible).toBe(true);
+        expect(result.values.B1).toBeCloseTo(2, 2);
+        expect(result.values.B2).toBeCloseTo(3, 2);
+    });
+
+    it('should drive a target to a value and undo in one step', async () => {
+        const steps = model.undoStack.length;
+
+        await model.solve({ target: 'B4', goal: 'value', targetValue: 7, changing: 'B1' }, evaluator);
+
+        expect(Number(model.getCellValue('B4'))).toBeCloseTo(7, 3);
+        expect(model.undoStack).toHaveLength(steps + 1);
+        expect(model.undoStack[steps].action).toBe('Solver B4');
+
+        await model.undo(evaluator);
+        await model.whenRecalculated();
+        expect(model.getCellValue('B1')).toBe('1');
+    });
+
+    it('should leave the cells alone when the constraints cannot be met', async () => {
+        const result = await model.solve({
+            target: 'B3',
+            goal: 'max',
+            changing: 'B1:B2',
+            constraints: [
+                { ref: 'B1', operator: '>=', value: 5 },
+                { ref: 'B1', operator: '<=', value: 2 }
+            ]
+        }, evaluator, { maxIterations: 100 });
+
+        expect(result.feasible).toBe(false);
+        expect(model.getCellValue('B1')).toBe('1');
+        expect(model.getCellValue('B2')).toBe('1');
+    });
+
+    it('should reject unknown goals and operators', async () => {
+        await expect(model.solve({ target: 'B3', goal: 'best', changing: 'B1' }, evaluator))
+            .rejects.toThrow('Solver goal must be max, min or value, got best');
+        await expect(model.solve({
+            target: 'B3', changing: 'B1', constraints: [{ ref: 'B1', operator: '<', value: 2 }]
+        }, evaluator)).rejects.toThrow('Unknown constraint operator: <');
+    });
+});
+
+describe('Control functions', () => {
+    let model;
+    let adapter;
+    let functions;
+
+    beforeEach(async () => {
+        model = new SpreadsheetModel(100, 26);
+        adapter = createTestAdapter(model);
+        functions = createSpreadsheetControlFunctions(model, adapter);
+        await model.setCell('A1', '4', adapter);
+        await model.setCell('A2', '=A1 * 3', adapter);
+    });
+
+    it('should run GOALSEEK and return the changing value', async () => {
+        expect(await functions.GOALSEEK('A2', 30, 'A1')).toBe(10);
+        expect(model.getCellValue('A2')).toBe(30);
+    });
+
+    it('should fail GOALSEEK when no solution is found', async () => {
+        await model.setCell('A2', '=A1 * A1', adapter);
+
+        await expect(functions.GOALSEEK('A2', -1, 'A1')).rejects.toThrow('GOALSEEK found no value of A1 that makes A2 equal -1');
+    });
+
+    it('should run SOLVE with constraint strings', async () => {
+        const result = await functions.SOLVE('A2', 'MAX', 'A1', 'A1 <= 7', 'A1 >= 0');
+
+        expect(result.feasible).toBe(1);
+        expect(result.objective).toBeCloseTo(21, 3);
+        expect(model.getCellValue('A1')).toBe('7');
+    });
+
+    it('should be listed', () => {
+        const commands = Object.values(functions.LISTCOMMANDS());
+
+        expect(commands).toContain('GOALSEEK');
+        expect(commands).toContain('SOLVE');
+    });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for native statistics functions. Expected values come from SciPy 1.17
+ * and NumPy on the same data:
+ *   stats.pearsonr, np.cov(x, y, bias=True/False), stats.linregress,
+ *   np.percentile (linear), stats.skew/stats.kurtosis(bias=False),
+ *   stats.mode, stats.rankdata(method='min'), np.linalg.lstsq
+ */
+
+import SpreadsheetModel from '../src/spreadsheet-model.js';
+import SpreadsheetRexxAdapter from '../src/spreadsheet-rexx-adapter.js';
+import {
+    correl, covarianceP, covarianceS, percentile, quartile, rank, mode,
+    skew, kurt, slope, intercept, rsq, forecastLinear, trend, growth
+} from '../src/spreadsheet-statistics.js';
+
+const xs = [2, 3, 5, 7, 9, 11, 14, 15, 18, 21];
+const ys = [4.1, 6.3, 9.8, 14.2, 17.1, 23.5, 27.9, 31.2, 35.8, 44.0];
+const data = [12, 15, 11, 18, 15, 22, 19, 15, 30, 11, 27];
+
+describe('Statistics functions', () => {
+    it('should match SciPy for correlation and covariance', () => {
+        expect(correl(xs, ys)).toBeCloseTo(0.9982190369704691, 12);
+        expect(covarianceP(xs, ys)).toBeCloseTo(76.89500000000002, 10);
+        expect(covarianceS(xs, ys)).toBeCloseTo(85.4388888888889, 10);
+
+        expect(() => correl([1, 2], [3, 3])).toThrow('CORREL needs values that vary');
+        expect(() => correl([1, 2, 3], [1, 2])).toThrow('CORREL needs ranges of the same size');
+    });
+
+    it('should match NumPy for percentiles and quartiles', () => {
+        expect(percentile(data, 0.1)).toBeCloseTo(11.0, 12);
+        expect(percentile(data, 0.25)).toBeCloseTo(13.5, 12);
+        expect(percentile(data, 0.5)).toBeCloseTo(15.0, 12);
+        expect(percentile(data, '0.9')).toBeCloseTo(27.0, 12);
+        expect([0, 1, 2, 3, 4].map(q => quartile(data, q))).toEqual([11, 13.5, 15, 20.5, 30]);
+
+        expect(() => percentile(data, 1.5)).toThrow('PERCENTILE needs data and k from 0 to 1, got 1.5');
+        expect(() => quartile(data, 5)).toThrow('QUARTILE quart must be from 0 to 4, got 5');
+    });
+
+    it('should rank, find the mode and measure shape like SciPy', () => {
+        expect(rank(15, data)).toBe(6);
+        expect(rank(15, data, 1)).toBe(4);
+        expect(() => rank(16, data)).toThrow('RANK: 16 is not in the list');
+
+        expect(mode(data)).toBe(15);
+        expect(mode([3, 1, 1, 3, 2])).toBe(3);
+        expect(() => mode([1, 2, 3])).toThrow('MODE: no value repeats');
+
+        expect(skew(data)).toBeCloseTo(0.8952796670842759, 12);
+        expect(kurt(data)).toBeCloseTo(-0.11423150016295525, 12);
+        expect(() => skew([1, 2])).toThrow('SKEW needs at least 3 values');
+        expect(() => kurt([1, 2, 3])).toThrow('KURT needs at least 4 values');
+    });
+
+    it('should match linregress for least-squares lines', () => {
+        expect(slope(ys, xs)).toBeCloseTo(2.0642953020134236, 12);
+        expect(intercept(ys, xs)).toBeCloseTo(-0.28510067114094895, 12);
+        expect(rsq(ys, xs)).toBeCloseTo(0.9964412457702514, 12);
+        expect(forecastLinear(25, ys, xs)).toBeCloseTo(51.322281879194634, 10);
+
+        const predicted = trend(ys, xs, [25, 30]);
+        expect(predicted[0]).toBeCloseTo(51.322281879194634, 10);
+        expect(predicted[1]).toBeCloseTo(61.64375838926176, 10);
+        expect(trend(ys, xs, [25], false)[0]).toBeCloseTo(51.1, 10);
+        expect(trend([3, 5, 7])).toEqual([3, 5, 7]);
+
+        expect(() => slope([1, 2], [4, 4])).toThrow('SLOPE needs x values that vary');
+    });
+
+    it('should match an exponential fit for GROWTH', () => {
+        const units = [33100, 47300, 69000, 102000, 150000, 220000];
+        const months = [11, 12, 13, 14, 15, 16];
+        const predicted = growth(units, months, [17, 18]);
+
+        expect(predicted[0]).toBeCloseTo(320196.71836347267, 6);
+        expect(predicted[1]).toBeCloseTo(468536.054184048, 6);
+        expect(() => growth([1, 0, 2], months.slice(0, 3))).toThrow('GROWTH needs known y values above 0');
+    });
+
+    describe('In formulas', () => {
+        let model;
+        let adapter;
+        let functions;
+
+        beforeEach(() => {
+            model = new SpreadsheetModel(100, 26);
+            adapter = new SpreadsheetRexxAdapter(model);
+            functions = adapter.getSpreadsheetFunctions();
+            xs.forEach((x, i) => {
+                model.setCell(`A${i + 1}`, String(x));
+                model.setCell(`B${i + 1}`, String(ys[i]));
+            });
+            data.forEach((value, i) => model.setCell(`D${i + 1}`, String(value)));
+            model.setCell('A11', 'n/a');
+            model.setCell('B11', '99');
+            model.setCell('F1', '25');
+            model.setCell('F2', '30');
+        });
+
+        it('should read ranges and skip pairs with text or blanks', () => {
+            expect(functions.CORREL('A1:A11', 'B1:B11')).toBeCloseTo(0.9982190369704691, 12);
+            expect(functions.COVARIANCE_S('A1:A10', 'B1:B10')).toBeCloseTo(85.4388888888889, 10);
+            expect(functions.SLOPE('B1:B12', 'A1:A12')).toBeCloseTo(2.0642953020134236, 12);
+            expect(functions.RSQ('B1:B10', 'A1:A10')).toBeCloseTo(0.9964412457702514, 12);
+            expect(functions.FORECAST_LINEAR(25, 'B1:B10', 'A1:A10')).toBeCloseTo(51.322281879194634, 10);
+            expect(functions.PERCENTILE('D1:D20', 0.25)).toBe(13.5);
+            expect(functions.RANK('15', 'D1:D11')).toBe(6);
+            expect(functions.MODE('D1:D11')).toBe(15);
+            expect(functions.KURT('D1:D11')).toBeCloseTo(-0.11423150016295525, 12);
+        });
+
+        it('should return arrays from TREND and GROWTH for several new x values', () => {
+            const predicted = functions.TREND('B1:B10', 'A1:A10', 'F1:F2');
+            expect(predicted).toHaveLength(2);
+            expect(predicted[1]).toBeCloseTo(61.64375838926176, 10);
+            expect(functions.TREND('B1:B10', 'A1:A10', 25, 0)).toBeCloseTo(51.1, 10);
+            expect(functions.GROWTH('B1:B10', 'A1:A10', 'F1')).toBeCloseTo(Math.exp(intercept(ys.map(Math.log), xs) + 25 * slope(ys.map(Math.log), xs)), 10);
+        });
+
+        it('should give error values that IFERROR can catch', () => {
+            expect(functions.CORREL('A1:A10', 'B1:B5')).toBe('#N/A');
+            expect(functions.MODE(1, 2, 3)).toBe('#N/A');
+            expect(functions.QUARTILE('D1:D11', 7)).toBe('#NUM!');
+            expect(functions.SKEW(1, 2)).toBe('#DIV/0!');
+            expect(functions.TREND('B1:B11', 'A1:A11')).toBe('#VALUE!');
+            expect(functions.TREND('B1:B10', 'A1:A5')).toBe('#REF!');
+            expect(functions.IFERROR(functions.GROWTH('A1:A11'), 0)).toBe(0);
+        });
+
+        it('should register the Excel spellings with dots', () => {
+            adapter.interpreter = { builtinFunctions: {} };
+            adapter.installSpreadsheetFunctions();
+
+            const builtins = adapter.interpreter.builtinFunctions;
+            expect(builtins['COVARIANCE.P']('A1:A10', 'B1:B10')).toBeCloseTo(76.89500000000002, 10);
+            expect(builtins['FORECAST.LINEAR']).toBe(builtins.FORECAST_LINEAR);
+            expect(builtins['ERROR.TYPE']('#N/A')).toBe(7);
+        });
+    });
+});
@@ -0,0 +1,232 @@
+/**
+ * Tests for structural edits (row/column insertion and deletion) moving
+ * references and position-keyed metadata together with the cells
+ */
+
+import SpreadsheetModel from '../src/spreadsheet-model.js';
+import {
+    createStructuralEdit,
+    adjustRangeRef,
+    adjustCellRef,
+    adjustExpression
+} from '../src/spreadsheet-structural-edit.js';
+
+describe('Structural edit helpers', () => {
+    const insertRow5 = createStructuralEdit('insertRow', 5);
+    const deleteRow5 = createStructuralEdit('deleteRow', 5);
+    const insertColumnC = createStructuralEdit('insertColumn', 3);
+
+    it('should reject unknown operations', () => {
+        expect(() => createStructuralEdit('moveRow', 1)).toThrow('Unknown structural edit: moveRow');
+    });
+
+    it('should grow a range when inserting inside it', () => {
+        expect(adjustRangeRef('A1:A10', insertRow5)).toBe('A1:A11');
+        expect(adjustRangeRef('A1:E1', insertColumnC)).toBe('A1:F1');
+    });
+
+    it('should move a range when inserting before it and leave it when inserting after it', () => {
+        expect(adjustRangeRef('B5:C8', insertRow5)).toBe('B6:C9');
+        expect(adjustRangeRef('B1:C4', insertRow5)).toBe('B1:C4');
+    });
+
+    it('should shrink a range when deleting inside it', () => {
+        expect(adjustRangeRef('A1:A10', deleteRow5)).toBe('A1:A9');
+        expect(adjustRangeRef('A5:A5', deleteRow5)).toBeNull();
+    });
+
+    it('should move single cells and drop deleted ones', () => {
+        expect(adjustCellRef('B7', deleteRow5)).toBe('B6');
+        expect(adjustCellRef('B5', deleteRow5)).toBeNull();
+        expect(adjustCellRef('b5', insertRow5)).toBe('B6');
+    });
+
+    it('should only rewrite references to the edited sheet', () => {
+        const context = {
+            formulaSheet: 'Sheet2',
+            editedSheet: 'Sheet1',
+            sheetExists: (name) => name === 'Sheet1' || name === 'Sheet2'
+        };
+        expect(adjustExpression('Sheet1.A6 + A6 + SUM_RANGE("Sheet1_A1:A9")', insertRow5, context))
+            .toBe('Sheet1.A7 + A6 + SUM_RANGE("Sheet1_A1:A10")');
+    });
+
+    it('should move absolute references with their cells', () => {
+        const context = { formulaSheet: 'Sheet1', editedSheet: 'Sheet1', sheetExists: () => true };
+        expect(adjustExpression('$A$7 * 2', insertRow5, context)).toBe('$A$8 * 2');
+        expect(adjustExpression('$A$7 * 2', deleteRow5, context)).toBe('$A$6 * 2');
+        expect(adjustExpression('SUM_RANGE("$A$1:$A$10")', insertRow5, context)).toBe('SUM_RANGE("$A$1:$A$11")');
+        expect(adjustExpression('SUM_RANGE("$A$1:$A$10")', deleteRow5, context)).toBe('SUM_RANGE("$A$1:$A$9")');
+        expect(adjustExpression('$C1 + D$1', insertColumnC, context)).toBe('$D1 + E$1');
+    });
+
+    it('should leave references in ordinary text alone', () => {
+        const context = { formulaSheet: 'Sheet1', editedSheet: 'Sheet1', sheetExists: () => true };
+        expect(adjustExpression('"See A5 for details" || A5', insertRow5, context)).toBe('"See A5 for details" || A6');
+        expect(adjustExpression('\'Don\'\'t use A7\'', insertRow5, context)).toBe('\'Don\'\'t use A7\'');
+        expect(adjustExpression('SORT("E5#", 1) + VLOOKUP(A1, \'A5:B9\', 2)', insertRow5, context))
+            .toBe('SORT("E6#", 1) + VLOOKUP(A1, \'A6:B10\', 2)');
+        expect(adjustExpression('FILTER("A2:C9", "C5 > $H$7")', insertRow5, context)).toBe('FILTER("A2:C10", "C6 > $H$8")');
+    });
+});
+
+describe('Structural edits on the model', () => {
+    let model;
+
+    beforeEach(() => {
+        model = new SpreadsheetModel(100, 26);
+    });
+
+    describe('Insert row in the middle of A1:A10', () => {
+        it('should grow formula ranges, named ranges and tables', () => {
+            model.setCell('B1', '=SUM_RANGE("A1:A10") + SUM_RANGE("Totals")');
+            model.defineNamedRange('Totals', 'A1:A10');
+            model.setTableMetadata('Items', {
+                range: 'A1:A10',
+                columns: { Amount: 'A' }
+            });
+
+            model.insertRow(5);
+
+            expect(model.getCell('B1').expression).toBe('SUM_RANGE("A1:A11") + SUM_RANGE("Totals")');
+            expect(model.namedRanges.get('Totals')).toBe('A1:A11');
+            expect(model.getTableMetadata('Items').range).toBe('A1:A11');
+        });
+
+        it('should grow merges and move validations and cell editors', () => {
+            model.mergeCells('A4:B6');
+            model.setCellValidation('A8', { type: 'number' });
+            model.setCellEditor('A2', 'checkbox');
+            model.setCellEditor('A9', 'date');
+
+            model.insertRow(5);
+
+            expect(model.mergedCells.get('A4')).toBe('B7');
+            expect(model.validations.has('A8')).toBe(false);
+            expect(model.validations.get('A9')).toEqual({ type: 'number' });
+            expect(model.getCellEditor('A2').type).toBe('checkbox');
+            expect(model.getCellEditor('A10').type).toBe('date');
+        });
+
+        it('should move hidden rows, row heights and frozen panes', () => {
+            model.hideRow(3);
+            model.hideRow(7);
+            model.rowHeights.set(6, 40);
+            model.frozenRows = 5;
+
+            model.insertRow(5);
+
+            expect([...model.hiddenRows].sort((a, b) => a - b)).toEqual([3, 8]);
+            expect(model.rowHeights.get(7)).toBe(40);
+            expect(model.rowHeights.has(6)).toBe(false);
+            expect(model.frozenRows).toBe(6);
+        });
+
+        it('should grow pivot table source ranges', () => {
+            model.setCell('A1', 'Region');
+            model.setCell('B1', 'Sales');
+            model.setCell('A2', 'East');
+            model.setCell('B2', '10');
+            model.setCell('A3', 'West');
+            model.setCell('B3', '20');
+            model.createPivotTable('byRegion', {
+                sourceRange: 'A1:B3',
+                rowFields: ['Region'],
+                valueField: 'Sales',
+                aggFunction: 'SUM',
+                outputCell: 'D10'
+            });
+
+            model.insertRow(3);
+
+            const pivot = model.pivotTables.get('byRegion');
+            expect(pivot.sourceRange).toBe('A1:B4');
+            expect(pivot.outputCell).toBe('D11');
+        });
+    });
+
+    describe('Insert column', () => {
+        it('should move column widths, hidden columns and table column letters', () => {
+            model.setColumnWidth('D', 150);
+            model.hideColumn('E');
+            model.setTableMetadata('People', {
+                range: 'A1:D5',
+                columns: { Name: 'A', Age: 'D' }
+            });
+
+            model.insertColumn('C');
+
+            expect(model.columnWidths.get(5)).toBe(150);
+            expect(model.hiddenColumns.has(6)).toBe(true);
+            expect(model.getTableMetadata('People').range).toBe('A1:E5');
+            expect(model.getTableMetadata('People').columns).toEqual({ Name: 'A', Age: 'E' });
+        });
+
+        it('should add a header for a column inserted inside a defined table', () => {
+            model.setCell('A1', 'Name');
+            model.setCell('B1', 'Score');
+            model.defineTable('Results', 'A1:B3');
+
+            model.insertColumn('B');
+
+            const table = model.tableMetadata.get('Results');
+            expect(table.range).toBe('A1:C3');
+            expect(table.endCol).toBe(3);
+            expect(table.headers).toEqual(['Name', 'B', 'Score']);
+        });
+    });
+
+    describe('Delete row and column', () => {
+        it('should drop metadata of deleted cells and shrink ranges', () => {
+            model.defineNamedRange('Block', 'A2:C6');
+            model.defineNamedRange('Gone', 'A4:C4');
+            model.setCellEditor('B4', 'checkbox');
+            model.mergeCells('A3:A4');
+            model.hideRow(4);
+
+            model.deleteRow(4);
+
+            expect(model.namedRanges.get('Block')).toBe('A2:C5');
+            expect(model.namedRanges.get('Gone')).toBe('#REF!');
+            expect(model.getCellEditor('B4')).toBeNull();
+            expect(model.mergedCells.size).toBe(0);
+            expect(model.hiddenRows.size).toBe(0);
+        });
+
+        it('should remove a table whose columns are all deleted', () => {
+            model.setTableMetadata('Narrow', { range: 'C1:C5', columns: { Value: 'C' } });
+
+            model.deleteColumn('C');
+
+            expect(model.getTableMetadata('Narrow')).toBeNull();
+        });
+
+        it('should keep the original row order of a defined table in step', () => {
+            model.setCell('A1', 'Name');
+            model.defineTable('Names', 'A1:A5');
+
+            model.deleteRow(3);
+
+            const table = model.tableMetadata.get('Names');
+            expect(table.range).toBe('A1:A4');
+            expect(table.originalOrder).toEqual([2, 3, 4]);
+        });
+    });
+
+    describe('Undo', () => {
+        it('should restore metadata moved by a structural edit', () => {
+            model.defineNamedRange('Totals', 'A1:A10');
+            model.setColumnWidth('C', 120);
+            model.setCellEditor('C3', 'dropdown', { options: ['a', 'b'] });
+
+            model.deleteColumn('B');
+            expect(model.columnWidths.get(2)).toBe(120);
+
+            model.undo();
+
+            expect(model.namedRanges.get('Totals')).toBe('A1:A10');
+            expect(model.columnWidths.get(3)).toBe(120);
+            expect(model.getCellEditor('C3').type).toBe('dropdown');
+        });
+    });
+});
@@ -0,0 +1,399 @@
+/**
+ * Tests for transactional undo grouping: the model transaction API, the
+ * BEGIN_TRANSACTION/COMMIT/ROLLBACK commands and batch commands, imports
+ * and scripts that each produce a single undo step
+ */
+
+import SpreadsheetModel from '../src/spreadsheet-model.js';
+import SpreadsheetRexxAdapter from '../src/spreadsheet-rexx-adapter.js';
+import { createSpreadsheetControlFunctions } from '../src/spreadsheet-control-functions.js';
+import { importCSV } from '../src/spreadsheet-import-export.js';
+
+describe('Transactions', () => {
+    let model;
+    let adapter;
+    let functions;
+
+    beforeEach(() => {
+        model = new SpreadsheetModel(100, 26);
+        adapter = new SpreadsheetRexxAdapter(model);
+        functions = createSpreadsheetControlFunctions(model, adapter);
+    });
+
+    describe('Model API', () => {
+        it('should record everything between begin and commit as one labelled step', () => {
+            model.beginTransaction('Load figures');
+            for (let row = 1; row <= 200; row++) {
+                model.setCell(`A${row}`, String(row));
+            }
+            model.insertRow(1);
+            model.commitTransaction();
+
+            expect(model.undoStack).toHaveLength(1);
+            expect(model.undoStack[0].action).toBe('Load figures');
+
+            model.undo();
+
+            expect(model.getAllCells()).toHaveLength(0);
+            expect(model.canUndo()).toBe(false);
+        });
+
+        it('should revert changes on rollback and leave no undo step', () => {
+            model.setCell('A1', 'kept');
+
+            model.beginTransaction('Scratch');
+            model.setCell('A1', 'changed');
+            model.setCell('B1', 'new');
+            model.addSheet('Temp');
+            model.rollbackTransaction();
+
+            expect(model.getCellValue('A1')).toBe('kept');
+            expect(model.getCell('B1').value).toBe('');
+            expect(model.getSheetNames()).toEqual(['Sheet1']);
+            expect(model.undoStack).toHaveLength(1);
+        });
+
+        it('should roll back an inner transaction on its own', () => {
+            model.beginTransaction('Outer');
+            model.setCell('A1', 'outer');
+            model.beginTransaction('Inner');
+            model.setCell('A2', 'inner');
+            model.rollbackTransaction();
+            model.commitTransaction();
+
+            expect(model.getCellValue('A1')).toBe('outer');
+            expect(model.getCellValue('A2')).toBe('');
+            expect(model.undoStack).toHaveLength(1);
+            expect(model.undoStack[0].action).toBe('Outer');
+        });
+
+        it('should refuse to undo while a transaction is open', async () => {
+            model.setCell('A1', '1');
+            model.beginTransaction('Open');
+
+            expect(() => model.undo()).toThrow('Cannot undo while transaction "Open" is open');
+            expect(() => model.redo()).toThrow('Cannot redo while transaction "Open" is open');
+            expect(model.getCellValue('A1')).toBe('1');
+
+            model.commitTransaction();
+            expect(await model.undo()).toBe(true);
+            expect(await model.undo()).toBe(false);
+        });
+
+        it('should tell callers outside the transaction that it is open', () => {
+            expect(() => model.assertNoTransaction('edit the spreadsheet')).not.toThrow();
+
+            model.beginTransaction('Script');
+            expect(() => model.assertNoTransaction('edit the spreadsheet'))
+                .toThrow('Cannot edit the spreadsheet while transaction "Script" is open');
+
+            model.commitTransaction();
+            expect(() => model.assertNoTransaction('edit the spreadsheet')).not.toThrow();
+        });
+
+        it('should complain about commit or rollback without a transaction', () => {
+            expect(() => model.commitTransaction()).toThrow('No transaction to commit');
+            expect(() => model.rollbackTransaction()).toThrow('No transaction to roll back');
+        });
+
+        it('should roll back automatically when the work throws', async () => {
+            model.setCell('A1', 'before');
+
+            await expect(model.transaction('Script', async () => {
+                model.setCell('A1', 'during');
+                await Promise.resolve();
+                model.setCell('A2', 'during');
+                throw new Error('Script failed halfway');
+            })).rejects.toThrow('Script failed halfway');
+
+            expect(model.getCellValue('A1')).toBe('before');
+            expect(model.getCellValue('A2')).toBe('');
+            expect(model.inTransaction()).toBe(false);
+            expect(model.undoStack).toHaveLength(1);
+        });
+
+        it('should keep a transaction the work opened open for later work to commit', () => {
+            model.transaction('First command', () => {
+                model.setCell('A1', 'x');
+                model.beginTransaction('Spanning');
+                model.setCell('A2', 'y');
+            });
+
+            expect(model.inTransaction()).toBe(true);
+            expect(model.undoStack.map(entry => entry.action)).toEqual(['First command']);
+
+            model.transaction('Second command', () => {
+                model.setCell('A3', 'z');
+                expect(model.commitTransaction()).toBe('Spanning');
+                model.setCell('A4', 'w');
+            });
+
+            expect(model.inTransaction()).toBe(false);
+            expect(model.undoStack.map(entry => entry.action)).toEqual(['First command', 'Spanning', 'Second command']);
+            expect(model.undoStack[1].operations.map(operation => operation.ref)).toEqual(['A2', 'A3']);
+        });
+
+        it('should let later work roll back a transaction opened earlier', () => {
+            model.transaction('First command', () => {
+                model.beginTransaction('Spanning');
+                model.setCell('A1', 'x');
+            });
+            model.transaction('Second command', () => {
+                model.setCell('A2', 'y');
+                model.rollbackTransaction();
+                model.setCell('A3', 'z');
+            });
+
+            expect(model.inTransaction()).toBe(false);
+            expect(model.getCellValue('A1')).toBe('');
+            expect(model.getCellValue('A2')).toBe('');
+            expect(model.undoStack.map(entry => entry.action)).toEqual(['Second command']);
+        });
+
+        it('should roll back transactions opened by work that fails, and only those', () => {
+            model.beginTransaction('Outer');
+            model.setCell('A1', 'kept');
+
+            expect(() => model.transaction('Script', () => {
+                model.beginTransaction('Inner');
+                model.setCell('A2', 'lost');
+                throw new Error('Script failed');
+            })).toThrow('Script failed');
+
+            expect(model.getCellValue('A2')).toBe('');
+            expect(model.commitTransaction()).toBe('Outer');
+            expect(model.inTransaction()).toBe(false);
+            expect(model.getCellValue('A1')).toBe('kept');
+        });
+    });
+
+    describe('Undo inside scripts and batches', () => {
+        it('should make the changes so far a step of their own and undo them', async () => {
+            await functions.SETCELL('A1', '1');
+
+            const results = JSON.parse(await functions.BATCH_EXECUTE([
+                { command: 'SETCELL', args: ['A2', '2'] },
+                { command: 'UNDO', args: [] },
+                { command: 'SETCELL', args: ['A3', '3'] }
+            ]));
+
+            expect(results[1]).toMatchObject({ success: true, result: 1 });
+            expect(model.getCellValue('A1')).toBe('1');
+            expect(model.getCellValue('A2')).toBe('');
+            expect(model.getCellValue('A3')).toBe('3');
+            expect(model.undoStack.map(entry => entry.action)).toEqual(['setCell A1', 'BATCH_EXECUTE 3 commands']);
+        });
+
+        it('should undo earlier steps from a script', async () => {
+            await functions.SETCELL('A1', '1');
+
+            await model.transaction('ADDRESS SPREADSHEET', async () => {
+                expect(await functions.UNDO()).toBe(1);
+                expect(await functions.REDO()).toBe(1);
+                expect(await functions.UNDOTO('0')).toBe(1);
+            }, adapter);
+
+            expect(model.getCellValue('A1')).toBe('');
+            expect(model.inTransaction()).toBe(false);
+            expect(model.canRedo()).toBe(true);
+        });
+    });
+
+    describe('Edits from another party', () => {
+        let ui;
+        let refused;
+
+        beforeEach(() => {
+            ui = model.actingAs('ui');
+            refused = [];
+            model.on('editRefused', event => refused.push(event));
+        });
+
+        it('should refuse edits through the view while a script transaction is open', async () => {
+            model.beginTransaction('Script');
+
+            expect(ui.setCell('A1', 'typed')).toBeUndefined();
+            expect(ui.insertRow(1)).toBeUndefined();
+            expect(await ui.undo()).toBeUndefined();
+            expect(model.getCellValue('A1')).toBe('');
+            expect(refused).toHaveLength(3);
+            expect(refused[0]).toEqual({
+                actor: 'ui',
+                transaction: 'Script',
+                message: 'Cannot edit the spreadsheet while transaction "Script" is open'
+            });
+
+            // The script itself carries on
+            model.setCell('A2', 'scripted');
+            model.commitTransaction();
+
+            ui.setCell('A1', 'typed');
+            expect(model.getCellValue('A1')).toBe('typed');
+            expect(model.getCellValue('A2')).toBe('scripted');
+        });
+
+        it('should let a party edit inside its own transaction', () => {
+            ui.transaction('Reorder', () => {
+                ui.setCell('A1', '1');
+                ui.setCell('A2', '2');
+            });
+
+            expect(refused).toHaveLength(0);
+            expect(model.undoStack.map(entry => entry.action)).toEqual(['Reorder']);
+        });
+
+        it('should reject async edits before they start', async () => {
+            model.beginTransaction('Script');
+
+            expect(await ui.goalSeek('A1', 1, 'A2', adapter)).toBeUndefined();
+            expect(refused).toHaveLength(1);
+        });
+    });
+
+    describe('Control functions', () => {
+        it('should group commands between BEGIN_TRANSACTION and COMMIT', async () => {
+            functions.BEGIN_TRANSACTION('Quarterly update');
+            for (let row = 1; row <= 10; row++) {
+                await functions.SETCELL(`A${row}`, String(row * 10));
+            }
+            expect(functions.COMMIT()).toBe('Quarterly update');
+
+            expect(model.undoStack).toHaveLength(1);
+            await functions.UNDO();
+            expect(model.getCellValue('A10')).toBe('');
+        });
+
+        it('should revert commands on ROLLBACK', async () => {
+            functions.BEGIN_TRANSACTION();
+            await functions.SETCELL('A1', 'temporary');
+            expect(await functions.ROLLBACK()).toBe('transaction');
+
+            expect(model.getCellValue('A1')).toBe('');
+            expect(functions.CANUNDO()).toBe(0);
+        });
+
+        it('should make SETCELLS one undo step', async () => {
+            // SETCELLS uses the SpreadsheetModel global the browser build provides
+            global.SpreadsheetModel = SpreadsheetModel;
+            try {
+                await functions.SETCELLS('A1:A3', ['100', '200', '300']);
+            } finally {
+                delete global.SpreadsheetModel;
+            }
+
+            expect(model.undoStack).toHaveLength(1);
+            expect(model.undoStack[0].action).toBe('SETCELLS A1:A3');
+            expect(model.getCellValue('A3')).toBe('300');
+        });
+
+        it('should make BATCH_EXECUTE one undo step', async () => {
+            await functions.BATCH_EXECUTE([
+                { command: 'SETCELL', args: ['A1', '1'] },
+                { command: 'SETCELL', args: ['A2', '2'] },
+                { command: 'HIDEROW', args: [5] }
+            ]);
+
+            expect(model.undoStack).toHaveLength(1);
+            expect(model.undoStack[0].action).toBe('BATCH_EXECUTE 3 commands');
+
+            await functions.UNDO();
+            expect(model.getCellValue('A1')).toBe('');
+            expect(model.isRowHidden(5)).toBe(false);
+        });
+
+        it('should make IMPORT one undoable step', async () => {
+            await functions.SETCELL('A1', 'original');
+            model.addSheet('Notes');
+
+            await functions.IMPORT(JSON.stringify({
+                version: 2,
+                sheetOrder: ['Data'],
+                sheets: { Data: { cells: { A1: 'imported' } } }
+            }));
+
+            expect(model.getSheetNames()).toEqual(['Data']);
+            expect(model.undoStack[model.undoStack.length - 1].action).toBe('importWorkbook');
+
+            await functions.UNDO();
+
+            expect(model.getSheetNames()).toEqual(['Sheet1', 'Notes']);
+            expect(model.getActiveSheetName()).toBe('Sheet1');
+            expect(model.getCellValue('A1')).toBe('original');
+
+            await functions.REDO();
+            expect(model.getSheetNames()).toEqual(['Data']);
+            expect(model.getCellValue('A1')).toBe('imported');
+        });
+    });
+
+    describe('Imports and scripts', () => {
+        it('should make a CSV import one undo step', () => {
+            importCSV(model, 'Name,Age\nAlice,30\nBob,25');
+
+            expect(model.undoStack).toHaveLength(1);
+            expect(model.undoStack[0].action).toBe('importCSV Sheet1');
+        });
+
+        it('should roll back an import that throws and leave undo available', async () => {
+            model.setCell('A1', 'kept');
+            const setCell = model.setCell.bind(model);
+            let calls = 0;
+            // A non-Error throw escapes the importer's own error handling
+            jest.spyOn(model, 'setCell').mockImplementation((...args) => {
+                if (++calls === 3) {
+                    throw null;
+                }
+                return setCell(...args);
+            });
+
+            expect(() => importCSV(model, 'Name,Age\nAlice,30')).toThrow();
+            model.setCell.mockRestore();
+
+            expect(model.inTransaction()).toBe(false);
+            expect(model.getCellValue('A1')).toBe('kept');
+            expect(model.getCellValue('B1')).toBe('');
+            expect(await model.undo()).toBe(true);
+            expect(model.getCellValue('A1')).toBe('');
+        });
+
+        it('should report a script transaction left open instead of ignoring undo', async () => {
+            await functions.SETCELL('A1', '1');
+            functions.BEGIN_TRANSACTION('Unfinished');
+            await functions.SETCELL('A1', '2');
+
+            await expect(functions.UNDO()).rejects.toThrow('Cannot undo while transaction "Unfinished" is open');
+
+            functions.COMMIT();
+            expect(await functions.UNDO()).toBe(1);
+            expect(model.getCellValue('A1')).toBe('1');
+        });
+
+        it('should run a setup script as one step and roll it back when it fails', async () => {
+            global.parse = (source) => source.split('\n');
+            adapter.interpreter = {
+                run: async (lines) => {
+                    for (const line of lines) {
+                        if (line === 'FAIL') {
+                            throw new Error('Setup failed');
+                        }
+                        const [ref, value] = line.split('=');
+                        await model.setCell(ref, value);
+                    }
+                }
+            };
+
+            try {
+                await adapter.executeSetupScript('A1=1\nA2=2');
+                expect(model.undoStack).toHaveLength(1);
+                expect(model.undoStack[0].action).toBe('executeSetupScript');
+
+                const result = await adapter.executeSetupScript('B1=1\nFAIL');
+                expect(result.success).toBe(false);
+                expect(model.getCellValue('B1')).toBe('');
+                expect(model.undoStack).toHaveLength(1);
+            } finally {
+                delete global.parse;
+            }
+        });
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * Tests for user-defined functions: DEFINE_FUNCTION declarations with
+ * parameter metadata, calls from cells on any sheet, LISTCOMMANDS, and
+ * recalculation of the cells that use a function when it is redefined
+ */
+
+import SpreadsheetModel from '../src/spreadsheet-model.js';
+import { createSpreadsheetControlFunctions } from '../src/spreadsheet-control-functions.js';
+import { isErrorValue } from '../src/spreadsheet-errors.js';
+import {
+    parseParameters, createDefinition, formatSignature, bindArguments, callsFunction
+} from '../src/spreadsheet-user-functions.js';
+import { createTestAdapter } from './interpreter-helper.js';
+
+describe('User-defined functions', () => {
+    it('should parse parameter lists with defaults and descriptions', () => {
+        expect(parseParameters('amount: Price before tax, rate = 0.2: Tax rate, currency = \'GBP\'')).toEqual([
+            { name: 'amount', description: 'Price before tax' },
+            { name: 'rate', description: 'Tax rate', default: 0.2 },
+            { name: 'currency', description: '', default: 'GBP' }
+        ]);
+        expect(parseParameters('')).toEqual([]);
+        expect(parseParameters(['x', 'y=1'])).toEqual([{ name: 'x', description: '' }, { name: 'y', description: '', default: 1 }]);
+
+        expect(() => parseParameters('a, A')).toThrow('Parameter A is listed twice');
+        expect(() => parseParameters('a = 1, b')).toThrow('Parameter b needs a default because an earlier parameter has one');
+        expect(() => parseParameters('B2')).toThrow('Parameter name B2 looks like a cell reference');
+        expect(() => parseParameters('two words')).toThrow('Parameter name must be a letter followed by letters, digits or underscores, got "two words"');
+    });
+
+    it('should validate definitions and describe their signatures', () => {
+        const definition = createDefinition('tax', 'amount, rate = 0.2', ' amount * rate ', 'Sales tax');
+        expect(definition).toEqual({
+            name: 'TAX',
+            params: [{ name: 'amount', description: '' }, { name: 'rate', description: '', default: 0.2 }],
+            body: 'amount * rate',
+            description: 'Sales tax'
+        });
+        expect(formatSignature(definition)).toBe('TAX(amount, [rate])');
+
+        expect(() => createDefinition('FY2024', 'x', 'x')).toThrow('Function name FY2024 looks like a cell reference');
+        expect(() => createDefinition('EMPTY', 'x', '  ')).toThrow('Function EMPTY needs a body');
+    });
+
+    it('should bind arguments as literals, leaving quoted text and function names alone', () => {
+        const definition = createDefinition('LABEL', 'name, total = 0, LENGTH = 3',
+            'name || \': \' || total || " name" || LENGTH(name) || length');
+        expect(bindArguments(definition, ["O'Brien", 12])).toBe(
+            '\'O\'\'Brien\' || \': \' || 12 || " name" || LENGTH(\'O\'\'Brien\') || 3');
+        expect(bindArguments(definition, ['x', ''])).toBe('\'x\' || \': \' || 0 || " name" || LENGTH(\'x\') || 3');
+
+        expect(() => bindArguments(definition, [])).toThrow('LABEL needs a value for name');
+        expect(() => bindArguments(definition, [1, 2, 3, 4])).toThrow('LABEL(name, [total], [LENGTH]) takes at most 3 arguments, got 4');
+
+        expect(callsFunction('=1 + tax(A1)', 'TAX')).toBe(true);
+        expect(callsFunction('=SALES_TAX(A1) + Sheet2.TAX', 'TAX')).toBe(false);
+    });
+
+    describe('In the spreadsheet', () => {
+        let model;
+        let adapter;
+        let functions;
+
+        beforeEach(() => {
+            model = new SpreadsheetModel(20, 10);
+            adapter = createTestAdapter(model);
+            functions = createSpreadsheetControlFunctions(model, adapter);
+            model.setCell('A1', '100');
+            model.setCell('A2', '40');
+            model.setCell('D1', '0.5');
+        });
+
+        it('should be callable from cells and recalculate them when redefined', async () => {
+            await model.setCell('B1', '=TAX(A1)', adapter);
+            await model.setCell('C1', '=B1 + 1', adapter);
+            expect(isErrorValue(model.getCellValue('B1'))).toBe(true);
+
+            expect(await functions.DEFINE_FUNCTION('Tax', 'amount: Price before tax, rate = 0.2: Tax rate', 'amount * rate', 'Sales tax on an amount')).toBe('TAX');
+            await model.whenRecalculated();
+            expect(model.getCellValue('B1')).toBe(20);
+            expect(model.getCellValue('C1')).toBe(21);
+
+            await model.setCell('B2', '=TAX(A2, 0.5)', adapter);
+            expect(model.getCellValue('B2')).toBe(20);
+
+            await functions.DEFINE_FUNCTION('TAX', 'amount, rate = 0.1', 'amount * rate');
+            expect(model.getCellValue('B1')).toBe(10);
+            expect(model.getCellValue('C1')).toBe(11);
+            expect(model.getCellValue('B2')).toBe(20);
+        });
+
+        it('should recalculate callers on other sheets and through other functions', async () => {
+            await functions.DEFINE_FUNCTION('TAX', 'amount', 'amount * 0.2');
+            await functions.DEFINE_FUNCTION('GROSS', 'amount', 'amount + TAX(amount)', 'Price including tax');
+            model.addSheet('Sheet2');
+            model.setActiveSheet('Sheet2');
+            await model.setCell('A1', '=GROSS(50)', adapter);
+            model.setActiveSheet('Sheet1');
+            await model.setCell('B1', '=GROSS(A1)', adapter);
+            expect(model.getCellValue('B1')).toBe(120);
+            expect(model.getCellValue('Sheet2.A1')).toBe(60);
+
+            await functions.DEFINE_FUNCTION('TAX', 'amount', 'amount * 0.25');
+            expect(model.getCellValue('B1')).toBe(125);
+            expect(model.getCellValue('Sheet2.A1')).toBe(62.5);
+        });
+
+        it('should depend on cells and ranges the body names', async () => {
+            await functions.DEFINE_FUNCTION('SCALED', 'amount', 'amount * D1');
+            await functions.DEFINE_FUNCTION('SPREAD', 'values', 'MAX_RANGE(values) - MIN_RANGE(values)');
+            await model.setCell('B1', '=SCALED(A1)', adapter);
+            await model.setCell('B2', '=SPREAD("A1:A2")', adapter);
+            expect(model.getCellValue('B1')).toBe(50);
+            expect(model.getCellValue('B2')).toBe(60);
+
+            await model.setCell('D1', '2', adapter);
+            await model.setCell('A2', '10', adapter);
+            expect(model.getCellValue('B1')).toBe(200);
+            expect(model.getCellValue('B2')).toBe(90);
+        });
+
+        it('should give error values for bad calls and refuse built-in names', async () => {
+            await functions.DEFINE_FUNCTION('TAX', 'amount, rate', 'amount * rate');
+            await functions.DEFINE_FUNCTION('LOOP', 'n', 'LOOP(n)');
+            await model.setCell('B1', '=TAX(A1)', adapter);
+            await model.setCell('B2', '=TAX(A1, 1, 2)', adapter);
+            await model.setCell('B3', '=LOOP(1)', adapter);
+
+            expect(model.getCellValue('B1')).toBe('#VALUE!');
+            expect(model.getCellValue('B2')).toBe('#VALUE!');
+            expect(model.getCellValue('B3')).toBe('#NUM!');
+            await expect(functions.DEFINE_FUNCTION('SUM_RANGE', 'range', 'range')).rejects.toThrow('SUM_RANGE is already a built-in function');
+            await expect(functions.DEFINE_FUNCTION('TAX')).rejects.toThrow('DEFINE_FUNCTION requires a name, a parameter list and a body');
+        });
+
+        it('should list functions in LISTCOMMANDS and for the function browser', async () => {
+            await functions.DEFINE_FUNCTION('TAX', 'amount, rate = 0.2: Tax rate', 'amount * rate', 'Sales tax');
+            await functions.DEFINE_FUNCTION('BONUS', 'salary', 'salary * 0.1');
+
+            const commands = Object.values(functions.LISTCOMMANDS());
+            expect(commands).toContain('DEFINE_FUNCTION');
+            expect(commands).toContain('TAX');
+            expect(commands).toContain('BONUS');
+
+            expect(adapter.getUserFunctions().map(definition => definition.signature)).toEqual(['BONUS(salary)', 'TAX(amount, [rate])']);
+            expect(adapter.getUserFunctions()[1].params[1]).toEqual({ name: 'rate', description: 'Tax rate', default: 0.2 });
+        });
+    });
+});
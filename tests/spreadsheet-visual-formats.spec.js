@@ -0,0 +1,189 @@
+/**
+ * Tests for visual conditional formats: data bars, colour scales and icon
+ * sets, their thresholds, the model API and control functions
+ */
+
+import SpreadsheetModel from '../src/spreadsheet-model.js';
+import { createSpreadsheetControlFunctions } from '../src/spreadsheet-control-functions.js';
+import {
+    normalizeConditionalFormat,
+    computeVisualFormat,
+    parseThreshold
+} from '../src/spreadsheet-conditional-format.js';
+import { createTestAdapter } from './interpreter-helper.js';
+
+const cellsOf = values => values.map((value, i) => ({ ref: `A${i + 1}`, value }));
+const computed = (rule, values) => computeVisualFormat(normalizeConditionalFormat({ range: 'A1:A10', ...rule }), cellsOf(values));
+const pick = (results, key) => Object.fromEntries(Array.from(results.entries(), ([ref, visual]) => [ref, key(visual)]));
+
+describe('Visual format rules', () => {
+    it('should size data bars between the thresholds', () => {
+        expect(pick(computed({ type: 'dataBar' }, [0, 50, 100, '', 'n/a']), visual => visual.dataBar.fraction))
+            .toEqual({ A1: 0, A2: 0.5, A3: 1 });
+        expect(pick(computed({ type: 'dataBar', min: { type: 'number', value: 0 }, max: { type: 'number', value: 200 } }, [100, 300]),
+            visual => visual.dataBar.fraction)).toEqual({ A1: 0.5, A2: 1 });
+        expect(computed({ type: 'dataBar' }, [7]).get('A1').dataBar).toEqual({ fraction: 1, color: '#638ec6' });
+    });
+
+    it('should blend colour scales through the midpoint', () => {
+        expect(computed({ type: 'colorScale', points: [{ color: '#000' }, { color: '#ffffff' }] }, [0, 50, 100]).get('A2'))
+            .toEqual({ background: '#808080' });
+
+        const threeColour = computed({
+            type: 'colorScale',
+            points: [{ color: '#ff0000' }, { color: '#ffff00' }, { color: '#00ff00' }]
+        }, [1, 2, 3, 4, 5]);
+        expect(pick(threeColour, visual => visual.background))
+            .toEqual({ A1: '#ff0000', A2: '#ff8000', A3: '#ffff00', A4: '#80ff00', A5: '#00ff00' });
+    });
+
+    it('should place icons by percent or percentile thresholds', () => {
+        const symbols = (rule, values) => pick(computed({ type: 'iconSet', ...rule }, values), visual => visual.icon.symbol);
+
+        expect(symbols({ iconSet: 'arrows3' }, [0, 40, 70, 100])).toEqual({ A1: '↓', A2: '→', A3: '↑', A4: '↑' });
+        expect(symbols({
+            iconSet: 'arrows3',
+            thresholds: [{ type: 'percentile', value: 50 }, { type: 'percentile', value: 90 }]
+        }, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10])).toMatchObject({ A5: '↓', A6: '→', A9: '→', A10: '↑' });
+        expect(symbols({ iconSet: 'arrows3', reverse: true }, [0, 100])).toEqual({ A1: '↑', A2: '↓' });
+
+        const light = computed({ type: 'iconSet', iconSet: 'trafficLights3', showValue: false }, [0, 10]).get('A1');
+        expect(light).toEqual({ icon: { symbol: '●', color: '#c00000' }, showValue: false });
+    });
+
+    it('should parse thresholds as typed', () => {
+        expect(parseThreshold('MIN')).toEqual({ type: 'min' });
+        expect(parseThreshold('-5')).toEqual({ type: 'number', value: -5 });
+        expect(parseThreshold('33%')).toEqual({ type: 'percent', value: 33 });
+        expect(parseThreshold('percentile:90')).toEqual({ type: 'percentile', value: 90 });
+        expect(() => parseThreshold('lots')).toThrow('Threshold must be min, max, a number, "10%" or "percentile:90", got "lots"');
+        expect(() => parseThreshold('150%')).toThrow('Threshold percent needs a value from 0 to 100, got 150');
+    });
+
+    it('should validate visual rules', () => {
+        const normalize = rule => normalizeConditionalFormat({ range: 'A1:A5', ...rule });
+
+        expect(() => normalize({ type: 'colorScale', points: [{ color: '#fff' }] }))
+            .toThrow('A colour scale needs 2 or 3 colours, got 1');
+        expect(() => normalize({ type: 'dataBar', color: 'blue' }))
+            .toThrow('Colour must be a hex colour such as #63be7b, got "blue"');
+        expect(() => normalize({ type: 'iconSet', iconSet: 'stars' })).toThrow('Unknown icon set: stars');
+        expect(() => normalize({ type: 'iconSet', iconSet: 'arrows3', thresholds: [{ type: 'max' }] }))
+            .toThrow('Icon set arrows3 needs 2 thresholds, got 1');
+        expect(normalize({ type: 'iconSet', iconSet: 'arrows5' }).thresholds.map(threshold => threshold.value))
+            .toEqual([20, 40, 60, 80]);
+    });
+});
+
+describe('Visual formats in the model', () => {
+    let model;
+    let evaluator;
+
+    beforeEach(async () => {
+        model = new SpreadsheetModel(100, 26);
+        evaluator = createTestAdapter(model);
+        await model.setCell('A1', '10', evaluator);
+        await model.setCell('A2', '20', evaluator);
+        await model.setCell('A3', '=A1 + A2', evaluator);
+    });
+
+    it('should show data bars and icons and follow recalculation', async () => {
+        await model.addConditionalFormat('bars', { range: 'A1:A3', type: 'dataBar' }, evaluator);
+        await model.addConditionalFormat('arrows', { range: 'A1:A3', type: 'iconSet', iconSet: 'arrows3' }, evaluator);
+
+        expect(model.getConditionalVisuals('A2')).toEqual({
+            dataBar: { fraction: 0.5, color: '#638ec6' },
+            icon: { symbol: '→', color: '#ffc000' },
+            showValue: true
+        });
+        expect(model.getConditionalVisuals('B1')).toBeNull();
+        expect(model.getConditionalStyle('A2')).toBe('');
+
+        await model.setCell('A1', '40', evaluator);
+        expect(model.getConditionalVisuals('A3').dataBar.fraction).toBe(1);
+        expect(model.getConditionalVisuals('A2').dataBar.fraction).toBe(0);
+    });
+
+    it('should give colour scales as a background under higher-priority styles', async () => {
+        await model.addConditionalFormat('scale', {
+            range: 'A1:A3', type: 'colorScale', points: [{ color: '#ffffff' }, { color: '#000000' }]
+        }, evaluator);
+        await model.addConditionalFormat('big', {
+            range: 'A1:A3', type: 'cellValue', operator: '>', value: 25, style: 'bold', priority: 0
+        }, evaluator);
+
+        expect(model.getConditionalStyle('A1')).toBe('background:#ffffff');
+        expect(model.getConditionalStyle('A3')).toBe('background:#000000;bold');
+    });
+
+    it('should stop at a matching stop-if-true rule', async () => {
+        await model.addConditionalFormat('bars', { range: 'A1:A3', type: 'dataBar' }, evaluator);
+        await model.addConditionalFormat('small', {
+            range: 'A1:A3', type: 'cellValue', operator: '<', value: 15, style: 'italic', stopIfTrue: true, priority: 0
+        }, evaluator);
+
+        expect(model.getConditionalVisuals('A1')).toBeNull();
+        expect(model.getConditionalVisuals('A2').dataBar).toBeDefined();
+    });
+
+    it('should move with inserted rows', async () => {
+        await model.addConditionalFormat('bars', { range: 'A1:A3', type: 'dataBar' }, evaluator);
+
+        model.insertRow(1);
+
+        expect(model.getConditionalFormat('bars').range).toBe('A2:A4');
+        expect(model.getConditionalVisuals('A4').dataBar.fraction).toBe(1);
+        expect(model.getConditionalVisuals('A1')).toBeNull();
+    });
+
+    it('should round-trip through JSON and compute after loading', async () => {
+        await model.addConditionalFormat('lights', {
+            range: 'A1:A3', type: 'iconSet', iconSet: 'trafficLights3', thresholds: [{ type: 'number', value: 15 }, { type: 'number', value: 25 }]
+        }, evaluator);
+
+        const restored = new SpreadsheetModel(100, 26);
+        restored.fromJSON(JSON.parse(JSON.stringify(model.toJSON())));
+        const restoredEvaluator = createTestAdapter(restored);
+        await restored.recalculateAll(restoredEvaluator);
+
+        expect(restored.getConditionalFormat('lights')).toEqual(model.getConditionalFormat('lights'));
+        expect(restored.getConditionalVisuals('A1').icon.color).toBe('#c00000');
+        expect(restored.getConditionalVisuals('A3').icon.color).toBe('#00b050');
+    });
+
+    describe('Control functions', () => {
+        let functions;
+
+        beforeEach(() => {
+            functions = createSpreadsheetControlFunctions(model, evaluator);
+        });
+
+        it('should add data bars, colour scales and icon sets', async () => {
+            expect(await functions.ADDDATABAR('bars', 'A1:A3', '#63be7b', '0', 'max')).toBe('bars');
+            expect(JSON.parse(functions.GETCONDITIONALVISUALS('a1')).dataBar).toEqual({ fraction: 1 / 3, color: '#63be7b' });
+
+            await functions.ADDCOLORSCALE('scale', 'A1:A3', '#ffffff@0', '#000000@number:30');
+            expect(functions.GETCONDITIONALSTYLE('A3')).toBe('background:#000000');
+
+            await functions.ADDICONSET('flags', 'A1:A3', 'FLAGS3', '50%,percentile:90', 1, 0);
+            expect(JSON.parse(functions.GETCONDITIONALVISUALS('A1'))).toMatchObject({
+                icon: { symbol: '⚑', color: '#00b050' },
+                showValue: false
+            });
+            expect(functions.GETCONDITIONALVISUALS('B9')).toBe('');
+
+            await expect(functions.ADDCOLORSCALE('bad', 'A1:A3', '#ffffff'))
+                .rejects.toThrow('ADDCOLORSCALE requires range and 2 or 3 colours');
+            await expect(functions.ADDICONSET('bad', 'A1:A3', 'stars')).rejects.toThrow('Unknown icon set: stars');
+        });
+
+        it('should be listed', () => {
+            const commands = Object.values(functions.LISTCOMMANDS());
+
+            expect(commands).toContain('ADDDATABAR');
+            expect(commands).toContain('ADDCOLORSCALE');
+            expect(commands).toContain('ADDICONSET');
+            expect(commands).toContain('GETCONDITIONALVISUALS');
+        });
+    });
+});